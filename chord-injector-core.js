@@ -0,0 +1,11466 @@
+/*
+ * Chord.Injector core: MIDI parsing, chord detection, Logic chord-track (Sequ) encoding and
+ * AIFF building. The web page loads it with a <script> tag (window.ChordInjectorCore) and the
+ * automation watcher with require(), so both produce the same AIFF for the same MIDI and options.
+ * See "Core library" in README.md for the public API.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChordInjectorCore = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const NOTE_NAMES_SHARP = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+  const NOTE_NAMES_FLAT = ["C", "Db", "D", "Eb", "E", "F", "Gb", "G", "Ab", "A", "Bb", "B"];
+
+  const CHORD_PATTERNS = [
+    { name: "7(9,#11,13)", intervals: [0, 2, 4, 6, 7, 9, 10], priority: 7 },
+    { name: "m7(9,11,b13)", intervals: [0, 2, 3, 5, 7, 8, 10], priority: 7 },
+    { name: "6(9,11)b5", intervals: [0, 2, 4, 5, 6, 9], priority: 6 },
+    { name: "m(9,13,b5)", intervals: [0, 2, 3, 6, 9, 10], priority: 6 },
+    { name: "aug7(9,11)", intervals: [0, 2, 4, 5, 8, 10], priority: 6 },
+    { name: "7(9,b13)sus4", intervals: [0, 2, 5, 7, 8, 10], priority: 6 },
+    { name: "m7(9,11)", intervals: [0, 2, 3, 5, 7, 10], priority: 6 },
+    { name: "m7(11)", intervals: [0, 3, 5, 7, 10], priority: 6 },
+    { name: "m7(9)", intervals: [0, 2, 3, 7, 10], priority: 6 },
+    { name: "maj7(11)", intervals: [0, 4, 5, 7, 11], priority: 6 },
+    { name: "maj7(#11)", intervals: [0, 4, 6, 7, 11], priority: 6 },
+    { name: "maj7(9)", intervals: [0, 2, 4, 7, 11], priority: 6 },
+    { name: "9", intervals: [0, 2, 4, 7, 10], priority: 6 },
+    { name: "7(b9)", intervals: [0, 1, 4, 7, 10], priority: 6 },
+    { name: "7(#9)", intervals: [0, 3, 4, 7, 10], priority: 6 },
+    { name: "7(9)sus4", intervals: [0, 2, 5, 7, 10], priority: 6 },
+    { name: "no3(7,9,11,#5)", intervals: [0, 2, 5, 8, 10], priority: 6 },
+    { name: "maj7(9)sus4", intervals: [0, 2, 5, 7, 11], priority: 6 },
+    { name: "m7b5(13)", intervals: [0, 3, 6, 9, 10], priority: 6 },
+    { name: "dim7(b9)", intervals: [0, 1, 3, 6, 9], priority: 6 },
+    { name: "maj7", intervals: [0, 4, 7, 11], priority: 5 },
+    { name: "7", intervals: [0, 4, 7, 10], priority: 5 },
+    { name: "m7", intervals: [0, 3, 7, 10], priority: 5 },
+    { name: "6", intervals: [0, 4, 7, 9], priority: 5 },
+    { name: "mmaj7", intervals: [0, 3, 7, 11], priority: 5 },
+    { name: "(b13)", intervals: [0, 4, 7, 8], priority: 4 },
+    { name: "add11", intervals: [0, 4, 5, 7], priority: 4 },
+    { name: "(#11)", intervals: [0, 4, 6, 7], priority: 4 },
+    { name: "aug", intervals: [0, 4, 8], priority: 4 },
+    { name: "dim", intervals: [0, 3, 6], priority: 4 },
+    { name: "(b5)", intervals: [0, 4, 6], priority: 4 },
+    { name: "no3(b5)", intervals: [0, 6], priority: 4 },
+    { name: "sus2", intervals: [0, 2, 7], priority: 4 },
+    { name: "sus4", intervals: [0, 5, 7], priority: 4 },
+    { name: "", intervals: [0, 4, 7], priority: 4 },
+    { name: "m", intervals: [0, 3, 7], priority: 4 },
+    { name: "5", intervals: [0, 7], priority: 3 }
+  ];
+
+  const ROOT_TO_PC = {
+    C: 0,
+    "C#": 1,
+    Db: 1,
+    D: 2,
+    "D#": 3,
+    Eb: 3,
+    E: 4,
+    F: 5,
+    "F#": 6,
+    Gb: 6,
+    G: 7,
+    "G#": 8,
+    Ab: 8,
+    A: 9,
+    "A#": 10,
+    Bb: 10,
+    B: 11
+  };
+
+  const SEQU_DESCRIPTOR_CODES = {
+    "7(9,#11,13)": 0xd5060103,
+    "6(9,11)b5": 0x65020205,
+    "dim7(b9)": 0x4b020308,
+    "": 0x9100070f,
+    m: 0x8900070f,
+    sus2: 0x8500070f,
+    sus4: 0xa100070f,
+    "5": 0x8100070f,
+    "(b5)": 0x5100070f,
+    "no3(b5)": 0x4100070f,
+    dim: 0x4900070f,
+    aug: 0x1101070f,
+    "6": 0x9102070f,
+    "7": 0x9104070f,
+    "9": 0x9504070f,
+    maj7: 0x9108070f,
+    "7(b9)": 0x9304070f,
+    "7(#9)": 0x9904070f,
+    "maj7(9)": 0x9508070f,
+    "maj7(11)": 0x9108070f,
+    "maj7(#11)": 0xd108070f,
+    add11: 0xb100070f,
+    "(#11)": 0xd100070f,
+    "(b13)": 0x9101070f,
+    mmaj7: 0x8908070f,
+    m7: 0x8904070f,
+    "m7(11)": 0xa904070f,
+    "m7(9)": 0x8d04070f,
+    "m7(9,11)": 0xcd04070f,
+    "aug7(9,11)": 0x3505070f,
+    "7(9,b13)sus4": 0xa505070f,
+    "m(9,13,b5)": 0x4d06070f,
+    "7(9)sus4": 0xa504070f,
+    "no3(7,9,11,#5)": 0x2505070f,
+    "m7(9,11,b13)": 0xad05070f,
+    "m7b5(13)": 0x4906070f,
+    "maj7(9)sus4": 0xa508070f
+  };
+
+  const SEQU_POSITION_BASE = 0x96;
+  const SEQU_POSITION_STEP = 0x0f;
+  const SEQU_NO_BASS_TAIL = 0x070f;
+  const NOTE_LETTERS = "CDEFGAB";
+  const SLASH_BASS_STEPS = [0, 1, 1, 2, 2, 3, 4, 4, 5, 5, 6, 6];
+
+  const EXTRA_DESCRIPTOR_TIMES = new Map([
+    [0x1101070f, 0x8020350b],
+    [0x2505070f, 0x80206d05],
+    [0x3505070f, 0x807f0000],
+    [0x4100070f, 0x8020550b],
+    [0x4900070f, 0x80206d05],
+    [0x4906070f, 0x80206b06],
+    [0x4d06070f, 0x807f0000],
+    [0x5100070f, 0x8020550b],
+    [0x8100070f, 0x8020b50a],
+    [0x8500070f, 0x8020b50a],
+    [0x8900070f, 0x8020ad0a],
+    [0x8904070f, 0x8020b50a],
+    [0x8908070f, 0x8020ad0a],
+    [0x8d04070f, 0x8020b50a],
+    [0x91000103, 0x8020d90a],
+    [0x9100070f, 0x8020b50a],
+    [0x9101070f, 0x8020b309],
+    [0x9102070f, 0x8020b50a],
+    [0x9104070f, 0x8020b506],
+    [0x9108070f, 0x8020b50a],
+    [0x9304070f, 0x8020b306],
+    [0x9502070f, 0x0025d50a],
+    [0x9504070f, 0x8020b506],
+    [0x9508070f, 0x8020b50a],
+    [0x9904070f, 0x8020b906],
+    [0xa100070f, 0x8020b50a],
+    [0xa504070f, 0x8020b506],
+    [0xa505070f, 0x8020ad05],
+    [0xa508070f, 0x8020b50a],
+    [0xa904070f, 0x8027ad06],
+    [0xad05070f, 0x8020ad05],
+    [0xb100070f, 0x8020b50a],
+    [0xcd04070f, 0x8020cd06],
+    [0xd100070f, 0x8020d50a],
+    [0xd108070f, 0x8020b510]
+  ]);
+
+  const SEQU_INFO = {
+    headerRecords: [
+      [0x01001700, 0x00000000, 0x0000a000, 0x0000ffff],
+      [0xffff0200, 0x00000200, 0x00000000, 0x00000000]
+    ],
+    posBase: SEQU_POSITION_BASE,
+    posStep: SEQU_POSITION_STEP,
+    timeBase: 0x8020b50a,
+    timeScale: 0,
+    descriptorTimeByCode: EXTRA_DESCRIPTOR_TIMES
+  };
+
+  // Apple Loops basc chunk: version, beat count, root note, scale type, 4/4, loop type, then
+  // the fields Logic writes for a looped MIDI region.
+  const BASC_ROOT_NOTE = 0x30;
+  const BASC_SCALE_TYPE = 2;
+  const BASC_LOOP_TYPE = 1;
+  const BASC_TAIL_HEX =
+    "0003000000000000c4b8000000011081b93000000001107cf48000000000ffcdc4c8" +
+    "0000000110816e8000007ff7b34a663400007ff80caf0000000000000000";
+
+  const SEQU_INTERVALS = {
+    "7(9,#11,13)": [0, 2, 4, 6, 7, 9, 10],
+    "6(9,11)b5": [0, 2, 4, 5, 6, 9],
+    "dim7(b9)": [0, 1, 3, 6, 9],
+    "": [0, 4, 7],
+    m: [0, 3, 7],
+    sus2: [0, 2, 7],
+    sus4: [0, 5, 7],
+    "5": [0, 7],
+    "(b5)": [0, 4, 6],
+    "no3(b5)": [0, 6],
+    dim: [0, 3, 6],
+    aug: [0, 4, 8],
+    "6": [0, 4, 7, 9],
+    "7": [0, 4, 7, 10],
+    "9": [0, 2, 4, 7, 10],
+    maj7: [0, 4, 7, 11],
+    "7(b9)": [0, 1, 4, 7, 10],
+    "7(#9)": [0, 3, 4, 7, 10],
+    "maj7(9)": [0, 2, 4, 7, 11],
+    "maj7(11)": [0, 4, 5, 7, 11],
+    "maj7(#11)": [0, 4, 6, 7, 11],
+    add11: [0, 4, 5, 7],
+    "(#11)": [0, 4, 6, 7],
+    "(b13)": [0, 4, 7, 8],
+    mmaj7: [0, 3, 7, 11],
+    m7: [0, 3, 7, 10],
+    "m7(11)": [0, 3, 5, 7, 10],
+    "m7(9)": [0, 2, 3, 7, 10],
+    "m7(9,11)": [0, 2, 3, 5, 7, 10],
+    "aug7(9,11)": [0, 2, 4, 5, 8, 10],
+    "7(9,b13)sus4": [0, 2, 5, 7, 8, 10],
+    "m(9,13,b5)": [0, 2, 3, 6, 9, 10],
+    "7(9)sus4": [0, 2, 5, 7, 10],
+    "no3(7,9,11,#5)": [0, 2, 5, 8, 10],
+    "m7(9,11,b13)": [0, 2, 3, 5, 7, 8, 10],
+    "m7b5(13)": [0, 3, 6, 9, 10],
+    "maj7(9)sus4": [0, 2, 5, 7, 11]
+  };
+
+  const DESCRIPTOR_PREFIX_OVERRIDES = {
+    "6(9,11)b5": 0x03
+  };
+
+  const DISABLED_QUALITIES = new Set();
+
+  const SEQU_QUALITY_FALLBACKS = {
+    "7(9,#11,13)": "7",
+    "6(9,11)b5": "6",
+    "dim7(b9)": "dim",
+    "maj7(9)": "maj7",
+    "maj7(11)": "maj7",
+    "maj7(#11)": "maj7",
+    "m(9,13,b5)": "m7b5(13)",
+    "m7(11)": "m7",
+    "m7(9)": "m7",
+    m7: "m"
+  };
+  // Spellings normalizeQuality reads as exactly the same chord.
+  const QUALITY_ALIASES = {
+    maj: "",
+    min: "m",
+    minor: "m",
+    sus: "sus4",
+    maj9: "maj7(9)",
+    "9sus": "7(9)sus4",
+    "9sus4": "7(9)sus4",
+    "7b9": "7(b9)",
+    "7#9": "7(#9)",
+    b5: "(b5)",
+    "#11": "(#11)",
+    b13: "(b13)"
+  };
+
+  const NOTE_LENGTH_FACTOR = 0.25;
+  const AIFF_SAMPLE_RATE = 44100;
+  const AIFF_CHANNELS = 2;
+  const AIFF_SAMPLE_SIZE = 24;
+  const AIFF_TAIL_SECONDS = 0.05;
+  const AIFF_DEFAULT_SECONDS = 1;
+  // Logic sizes the region from the basc beat count, not the audio, so the silence stops at the
+  // 30068 frames (about 0.7 s) the old template held instead of growing with the song.
+  const AIFF_MAX_FRAMES = 30068;
+  const INCLUDE_SEQU_NOTES = true;
+  const SEQU_NOTE_OFF_WORD = 0x00010000;
+  const DEFAULT_PPQ = 480;
+  const DEFAULT_METER = { numerator: 4, denominator: 4 };
+  const DEFAULT_ACCUMULATE_DECAY_BEATS = 2;
+  const ACCUMULATE_MIN_WEIGHT = 0.5;
+  const DEFAULT_CHROMA_WEIGHTS = { duration: 0.5, velocity: 0.5, register: 2, extra: 1 };
+  const CHROMA_TONE_FLOOR = 0.35;
+  const CHROMA_REGISTER_TOP = 60;
+  const CHROMA_REGISTER_SPAN = 24;
+  const DEFAULT_CHORD_ALTERNATIVES = 3;
+  const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+  const DEFAULT_SPLIT_BARS = 8;
+  // Text, lyric, marker and cue metas belong to their own section and aren't carried into the next.
+  const SECTION_TEXT_METAS = new Set([0x01, 0x05, 0x06, 0x07]);
+  // Yamaha XF chord types 0-34, as chord names; 1+8 (root and octave) is written as a power chord
+  // and 34 ("cc") cancels the chord.
+  const XF_CHORD_QUALITIES = [
+    "", "6", "maj7", "maj7(#11)", "add9", "maj7(9)", "6(9)", "aug", "m", "m6", "m7", "m7b5",
+    "m(9)", "m7(9)", "m7(11)", "mmaj7", "mmaj7(9)", "dim", "dim7", "7", "7sus4", "7(b5)", "7(9)",
+    "7(#11)", "7(13)", "7(b9)", "7(b13)", "7(#9)", "maj7(#5)", "aug7", "5", "5", "sus4", "sus2", "N.C."
+  ];
+  const XF_NO_BASS = 0x7f;
+  // Text that reads as a chord symbol: root, quality tokens (including -, +, o, ø and Δ shorthands)
+  // and an optional slash bass. Words like "Chorus" or "Amen" don't match.
+  const CHORD_SYMBOL_PATTERN =
+    /^[A-G][b#]?(?:maj|min|mi|ma|m|M|dim|aug|sus|add|alt|no|omit|[-+^o\u00f8\u00b0\u0394]|[b#]?\d{1,2}|[(),])*(?:\/[A-G][b#]?)?$/;
+  // At least this share of a track's text, lyric or marker events must be chord symbols before
+  // they are used.
+  const EMBEDDED_CHORD_MIN_SHARE = 0.8;
+  const CHART_DEFAULT_BPM = 120;
+  const CHART_VELOCITY = 90;
+  const MUSICXML_VELOCITY = 80;
+  const MIDI_EXPORT_VELOCITY = 80;
+  // General MIDI fingered electric bass, for the bass track of the MIDI export.
+  const MIDI_EXPORT_BASS_PROGRAM = 33;
+  const IREAL_MUSIC_PREFIX = "1r34LbKcu7";
+  const IREAL_TOKEN_PATTERN =
+    /\*[A-Za-z]|T\d\d|N\d|<[^>]*>|[|[\]{}Z]|W(?:\/[A-G][b#]?)?|[A-G][b#]?(?:[-^ho+#b\d]|sus|alt|add)*(?:\/[A-G][b#]?)?(?:\([^)]*\))?|\([^)]*\)|[\s,YsSlfQUxrnp]|[^\s,|[\]{}<]+/g;
+  const IREAL_SECTIONS = { i: "Intro", V: "Verse" };
+  const CHORDPRO_DIRECTIVES = {
+    t: "title",
+    st: "subtitle",
+    soc: "start_of_chorus",
+    eoc: "end_of_chorus",
+    sov: "start_of_verse",
+    eov: "end_of_verse",
+    sob: "start_of_bridge",
+    eob: "end_of_bridge",
+    sot: "start_of_tab",
+    eot: "end_of_tab",
+    sog: "start_of_grid",
+    eog: "end_of_grid"
+  };
+  // MusicXML <kind> values: their tones above the root, and the usual chord symbol for
+  // normalizeQuality when the tones match no chord in the vocabulary.
+  const MUSICXML_KINDS = {
+    major: { symbol: "", intervals: [0, 4, 7] },
+    minor: { symbol: "m", intervals: [0, 3, 7] },
+    augmented: { symbol: "aug", intervals: [0, 4, 8] },
+    diminished: { symbol: "dim", intervals: [0, 3, 6] },
+    dominant: { symbol: "7", intervals: [0, 4, 7, 10] },
+    "major-seventh": { symbol: "maj7", intervals: [0, 4, 7, 11] },
+    "minor-seventh": { symbol: "m7", intervals: [0, 3, 7, 10] },
+    "diminished-seventh": { symbol: "dim7", intervals: [0, 3, 6, 9] },
+    "augmented-seventh": { symbol: "aug7", intervals: [0, 4, 8, 10] },
+    "half-diminished": { symbol: "m7b5", intervals: [0, 3, 6, 10] },
+    "major-minor": { symbol: "mmaj7", intervals: [0, 3, 7, 11] },
+    "major-sixth": { symbol: "6", intervals: [0, 4, 7, 9] },
+    "minor-sixth": { symbol: "m6", intervals: [0, 3, 7, 9] },
+    "dominant-ninth": { symbol: "9", intervals: [0, 2, 4, 7, 10] },
+    "major-ninth": { symbol: "maj9", intervals: [0, 2, 4, 7, 11] },
+    "minor-ninth": { symbol: "m7(9)", intervals: [0, 2, 3, 7, 10] },
+    "dominant-11th": { symbol: "7(9)sus4", intervals: [0, 2, 5, 7, 10] },
+    "major-11th": { symbol: "maj7(9)", intervals: [0, 2, 4, 5, 7, 11] },
+    "minor-11th": { symbol: "m7(9,11)", intervals: [0, 2, 3, 5, 7, 10] },
+    "dominant-13th": { symbol: "7", intervals: [0, 2, 4, 7, 9, 10] },
+    "major-13th": { symbol: "maj7(9)", intervals: [0, 2, 4, 7, 9, 11] },
+    "minor-13th": { symbol: "m7(9,11)", intervals: [0, 2, 3, 5, 7, 9, 10] },
+    "suspended-second": { symbol: "sus2", intervals: [0, 2, 7] },
+    "suspended-fourth": { symbol: "sus4", intervals: [0, 5, 7] },
+    Neapolitan: { symbol: "", intervals: [0, 4, 7] },
+    Italian: { symbol: "7", intervals: [0, 4, 10] },
+    French: { symbol: "7", intervals: [0, 4, 6, 10] },
+    German: { symbol: "7", intervals: [0, 4, 7, 10] },
+    Tristan: { symbol: "m7b5", intervals: [0, 3, 6, 10] },
+    pedal: { symbol: "5", intervals: [0] },
+    power: { symbol: "5", intervals: [0, 7] }
+  };
+  // Semitones of an added <degree> (relative to a dominant chord), and the tones an altered or
+  // removed degree can be in the chord.
+  const MUSICXML_DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 10, 9: 2, 11: 5, 13: 9 };
+  const MUSICXML_DEGREE_TONES = {
+    2: [2, 1, 3],
+    3: [4, 3],
+    4: [5, 6],
+    5: [7, 6, 8],
+    6: [9, 8],
+    7: [10, 11, 9],
+    9: [2, 1, 3],
+    11: [5, 6],
+    13: [9, 8]
+  };
+  const MUSICXML_SEMITONE_DEGREES = ["1", "b9", "9", "b3", "3", "11", "#11", "5", "b13", "13", "7", "#7"];
+  // Each built-in chord as a MusicXML kind and its <degree> elements.
+  const MUSICXML_QUALITY_KINDS = {
+    "7(9,#11,13)": "dominant add9 add#11 add13",
+    "m7(9,11,b13)": "minor-seventh add9 add11 addb13",
+    "6(9,11)b5": "major-sixth alterb5 add9 add11",
+    "m(9,13,b5)": "half-diminished add9 add13",
+    "aug7(9,11)": "augmented-seventh add9 add11",
+    "7(9,b13)sus4": "suspended-fourth add7 add9 addb13",
+    "m7(9,11)": "minor-11th",
+    "m7(11)": "minor-seventh add11",
+    "m7(9)": "minor-ninth",
+    "maj7(11)": "major-seventh add11",
+    "maj7(#11)": "major-seventh add#11",
+    "maj7(9)": "major-ninth",
+    9: "dominant-ninth",
+    "7(b9)": "dominant addb9",
+    "7(#9)": "dominant add#9",
+    "7(9)sus4": "suspended-fourth add7 add9",
+    "no3(7,9,11,#5)": "suspended-fourth alter#5 add7 add9",
+    "maj7(9)sus4": "suspended-fourth add#7 add9",
+    "m7b5(13)": "half-diminished add13",
+    "dim7(b9)": "diminished-seventh addb9",
+    maj7: "major-seventh",
+    7: "dominant",
+    m7: "minor-seventh",
+    6: "major-sixth",
+    mmaj7: "major-minor",
+    "(b13)": "major addb13",
+    add11: "major add11",
+    "(#11)": "major add#11",
+    aug: "augmented",
+    dim: "diminished",
+    "(b5)": "major alterb5",
+    "no3(b5)": "power alterb5",
+    sus2: "suspended-second",
+    sus4: "suspended-fourth",
+    "": "major",
+    m: "minor",
+    5: "power"
+  };
+  // Written note values, in sixteenths: [length, type, dotted].
+  const MUSICXML_NOTE_TYPES = [
+    [16, "whole", false],
+    [12, "half", true],
+    [8, "half", false],
+    [6, "quarter", true],
+    [4, "quarter", false],
+    [3, "eighth", true],
+    [2, "eighth", false],
+    [1, "16th", false]
+  ];
+  const CHORD_CONFIDENCE_SCALE = 2;
+  const KEY_PROFILE_MAJOR = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+  const KEY_PROFILE_MINOR = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+  const SHARP_MAJOR_KEY_PCS = new Set([7, 2, 9, 4, 11]);
+  const FLAT_MAJOR_KEY_PCS = new Set([5, 10, 3, 8, 1]);
+  // Letter steps above the tonic for each semitone: chromatic notes read as b2, b3, #4, b6 and
+  // b7, which in minor also gives the raised third, sixth and seventh (G# in A minor).
+  const KEY_DEGREE_STEPS = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+  const KEY_WINDOW_BARS = 8;
+  const KEY_MIN_SEGMENT_BARS = 4;
+  // The profiles barely tell a flat seventh from the scale, so D / A7 would read as A major; each
+  // key also loses the share of the sounding time that falls outside its scale.
+  const KEY_OUT_OF_SCALE_PENALTY = 1;
+  const MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
+  const MINOR_SCALE_INTERVALS = [0, 2, 3, 5, 7, 8, 10];
+  const SEQUENCE_CANDIDATES = 6;
+  const SEQUENCE_NEIGHBORS = 2;
+  const SEQUENCE_MISSING_TONE_COST = 8;
+  const SEQUENCE_CHANGE_COST = 12;
+  const SEQUENCE_BASS_ROOT_BONUS = 4;
+  const SEQUENCE_FIFTH_DOWN_BONUS = 3;
+  const SEQUENCE_STEP_BONUS = 1;
+  const SEQUENCE_DIATONIC_BONUS = 2;
+  const SEQUENCE_NC_CHANGE_COST = 8;
+  const SEQUENCE_NC_SCORE = 30;
+  const SEQUENCE_MIN_WEIGHT = 0.25;
+  const SEQUENCE_MAX_WEIGHT = 8;
+  const HARMONY_DEGREES = {
+    major: [
+      { degree: 0, quality: "", role: "tonic", cost: 0 },
+      { degree: 2, quality: "m", role: "subdominant", cost: 0.3 },
+      { degree: 4, quality: "m", role: "tonic", cost: 0.6 },
+      { degree: 5, quality: "", role: "subdominant", cost: 0 },
+      { degree: 7, quality: "", role: "dominant", cost: 0 },
+      { degree: 9, quality: "m", role: "tonic", cost: 0.3 }
+    ],
+    minor: [
+      { degree: 0, quality: "m", role: "tonic", cost: 0 },
+      { degree: 3, quality: "", role: "tonic", cost: 0.4 },
+      { degree: 5, quality: "m", role: "subdominant", cost: 0 },
+      { degree: 7, quality: "", role: "dominant", cost: 0 },
+      { degree: 8, quality: "", role: "subdominant", cost: 0.3 },
+      { degree: 10, quality: "", role: "dominant", cost: 0.4 }
+    ]
+  };
+  const HARMONY_ROLE_COSTS = {
+    tonic: { tonic: 0.3, subdominant: 0, dominant: 0 },
+    subdominant: { tonic: 0.2, subdominant: 0.3, dominant: 0 },
+    dominant: { tonic: 0, subdominant: 1, dominant: 0.3 }
+  };
+  const HARMONY_CHANGE_COST = 0.3;
+  const HARMONY_MELODY_WEIGHT = 4;
+  const HARMONY_SCALE_TONE_COST = 0.5;
+  const HARMONY_CHROMATIC_COST = 1;
+  const HARMONY_ACCENT_WEIGHT = 2;
+  const HARMONY_CADENCE_COST = 1.5;
+  // Keeping a chord costs this much per bar, so a melody that walks the scale moves the harmony
+  // instead of resting on the tonic whenever the tonic misses no more notes than a change would.
+  const HARMONY_HOLD_COST = 0.5;
+
+  let chordVocabulary = null;
+
+  function readVarLen(view, offset) {
+    let value = 0;
+    let i = 0;
+    while (true) {
+      const byte = view.getUint8(offset + i);
+      value = (value << 7) | (byte & 0x7f);
+      i += 1;
+      if (!(byte & 0x80)) break;
+      if (i > 4) throw new Error("Invalid varlen");
+    }
+    return { value, length: i };
+  }
+
+  function parseMidiNoteEvents(buffer, options) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    function readStr(len) {
+      let s = "";
+      for (let i = 0; i < len; i++) {
+        s += String.fromCharCode(view.getUint8(offset + i));
+      }
+      offset += len;
+      return s;
+    }
+
+    // Meta text is read as UTF-8 when it is valid UTF-8, byte by byte otherwise.
+    function peekText(len) {
+      const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, len);
+      try {
+        return new TextDecoder("utf-8", { fatal: true }).decode(bytes);
+      } catch (err) {
+        return String.fromCharCode(...bytes);
+      }
+    }
+
+    function readU32() {
+      const v = view.getUint32(offset, false);
+      offset += 4;
+      return v;
+    }
+
+    function readU16() {
+      const v = view.getUint16(offset, false);
+      offset += 2;
+      return v;
+    }
+
+    if (readStr(4) !== "MThd") {
+      throw new Error("Not a MIDI file");
+    }
+    const headerLen = readU32();
+    const format = readU16();
+    const numTracks = readU16();
+    const division = readU16();
+    if (division & 0x8000) {
+      throw new Error("SMPTE time format is not supported.");
+    }
+    offset += Math.max(0, headerLen - 6);
+
+    const noteEvents = [];
+    const pedalEvents = [];
+    const timeSignatures = [];
+    const trackNames = [];
+    const markers = [];
+    const textEvents = [];
+
+    for (let t = 0; t < numTracks; t++) {
+      const chunkId = readStr(4);
+      if (chunkId !== "MTrk") {
+        throw new Error("Missing MTrk chunk");
+      }
+      const trackLen = readU32();
+      const trackEnd = offset + trackLen;
+      let absTicks = 0;
+      let runningStatus = null;
+
+      while (offset < trackEnd) {
+        const deltaInfo = readVarLen(view, offset);
+        offset += deltaInfo.length;
+        absTicks += deltaInfo.value;
+
+        const statusByte = view.getUint8(offset);
+        let status;
+        if (statusByte < 0x80) {
+          if (runningStatus === null) {
+            throw new Error("Running status without prior status");
+          }
+          status = runningStatus;
+          offset += 1;
+        } else {
+          status = statusByte;
+          offset += 1;
+          if (status < 0xf0) {
+            runningStatus = status;
+          } else {
+            runningStatus = null;
+          }
+        }
+
+        if (status === 0xff) {
+          const metaType = view.getUint8(offset);
+          offset += 1;
+          const lenInfo = readVarLen(view, offset);
+          offset += lenInfo.length;
+          if (metaType === 0x58 && lenInfo.value >= 2) {
+            timeSignatures.push({
+              tick: absTicks,
+              numerator: view.getUint8(offset),
+              denominator: Math.pow(2, view.getUint8(offset + 1))
+            });
+          } else if (metaType === 0x03 && trackNames[t] === undefined) {
+            trackNames[t] = peekText(lenInfo.value).trim();
+          } else if (metaType === 0x06 || metaType === 0x07) {
+            const type = metaType === 0x06 ? "marker" : "cue";
+            markers.push({ tick: absTicks, track: t, type, text: peekText(lenInfo.value).trim() });
+          } else if (metaType === 0x01 || metaType === 0x05) {
+            const type = metaType === 0x01 ? "text" : "lyric";
+            textEvents.push({ tick: absTicks, track: t, type, text: peekText(lenInfo.value).trim() });
+          } else if (metaType === 0x7f && lenInfo.value >= 7) {
+            const data = Array.from({ length: 7 }, (_, i) => view.getUint8(offset + i));
+            const name = data[0] === 0x43 && data[1] === 0x7b && data[2] === 0x01 ? decodeXfChord(data) : null;
+            if (name) textEvents.push({ tick: absTicks, track: t, type: "xf", text: name });
+          }
+          offset += lenInfo.value;
+          continue;
+        }
+
+        if (status === 0xf0 || status === 0xf7) {
+          const lenInfo = readVarLen(view, offset);
+          offset += lenInfo.length + lenInfo.value;
+          continue;
+        }
+
+        const messageType = status & 0xf0;
+        const dataLen = messageType === 0xc0 || messageType === 0xd0 ? 1 : 2;
+        const channel = status & 0x0f;
+        let data0;
+        let data1 = 0;
+
+        if (statusByte < 0x80) {
+          data0 = statusByte;
+        } else {
+          data0 = view.getUint8(offset);
+          offset += 1;
+        }
+
+        if (dataLen === 2) {
+          data1 = view.getUint8(offset);
+          offset += 1;
+        }
+
+        if (messageType === 0xb0 && (data0 === 64 || data0 === 66)) {
+          pedalEvents.push({ tick: absTicks, channel, controller: data0, value: data1 });
+        } else if (messageType === 0x90 || messageType === 0x80) {
+          if (!(options.ignoreDrums && channel === 9)) {
+            const velocity = data1 || 0;
+            const isOn = messageType === 0x90 && velocity > 0;
+            const isOff = messageType === 0x80 || (messageType === 0x90 && velocity === 0);
+            if (isOn || isOff) {
+              noteEvents.push({ tick: absTicks, note: data0, on: isOn, channel, velocity: data1, track: t });
+            }
+          }
+        }
+      }
+    }
+
+    noteEvents.sort((a, b) => {
+      if (a.tick !== b.tick) return a.tick - b.tick;
+      if (a.on === b.on) return 0;
+      return a.on ? -1 : 1;
+    });
+
+    timeSignatures.sort((a, b) => a.tick - b.tick);
+    pedalEvents.sort((a, b) => a.tick - b.tick);
+    markers.sort((a, b) => a.tick - b.tick);
+    textEvents.sort((a, b) => a.tick - b.tick);
+    for (let t = 0; t < numTracks; t++) {
+      if (trackNames[t] === undefined) trackNames[t] = "";
+    }
+    return {
+      noteEvents,
+      pedalEvents,
+      ppq: division,
+      format,
+      numTracks,
+      timeSignatures,
+      trackNames,
+      markers,
+      textEvents
+    };
+  }
+
+  // XF notes: the low nibble is the letter (1 = C ... 7 = B), the high nibble its accidental
+  // (3 = natural, each step away one flat or sharp).
+  function decodeXfNote(value) {
+    const letter = NOTE_LETTERS[(value & 0x0f) - 1];
+    const shift = (value >> 4) - 3;
+    if (!letter || Math.abs(shift) > 3) return null;
+    return spellNote(letter, shift);
+  }
+
+  // A letter moved by sharps (shift > 0) or flats; names chords can't use (Cb, E#, double
+  // accidentals) become the plain sharp or flat name.
+  function spellNote(letter, shift) {
+    const name = letter + (shift === -1 ? "b" : shift === 1 ? "#" : "");
+    if (!shift || (Math.abs(shift) === 1 && ROOT_TO_PC[name] !== undefined)) return name;
+    return (shift < 0 ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP)[(ROOT_TO_PC[letter] + shift + 12) % 12];
+  }
+
+  function decodeXfChord(data) {
+    const quality = XF_CHORD_QUALITIES[data[4]];
+    if (quality === undefined) return null;
+    if (quality === "N.C.") return quality;
+    const root = decodeXfNote(data[3]);
+    if (!root) return null;
+    const bass = data[5] === XF_NO_BASS ? null : decodeXfNote(data[5]);
+    return root + quality + (bass && bass !== root ? "/" + bass : "");
+  }
+
+  // Rewrites shorthand chord spellings (C-7, CΔ, CM7, Cø, Co7, C+) the way parseChordName reads them.
+  function readChordSymbol(text) {
+    const symbol = (text || "").trim().replace(/^\[(.*)\]$/, "$1").trim();
+    if (/^n\.?c\.?$/i.test(symbol)) return "N.C.";
+    if (!CHORD_SYMBOL_PATTERN.test(symbol)) return parseCustomChordName(symbol) ? symbol : null;
+    const match = symbol.match(/^([A-G][b#]?)([^/]*)(\/.*)?$/);
+    const quality = match[2]
+      .replace(/^(?:\u0394|\^)(?!\d)/, "maj7")
+      .replace(/^(?:\u0394|\^|Maj|Ma|M)(?=\d)/, "maj")
+      .replace(/^(?:Maj|Ma|M)$/, "")
+      .replace(/^(?:min|mi|-)/, "m")
+      .replace(/^\u00f87?/, "m7b5")
+      .replace(/^(?:\u00b0|o)/, "dim")
+      .replace(/^\+/, "aug");
+    const name = match[1] + quality + (match[3] || "");
+    return parseChordName(name) ? name : null;
+  }
+
+  // Chord symbols written into the file: every XF chord event, and a track's text, lyric, marker
+  // or cue events when nearly all of them are chord symbols (so lyrics and section names are
+  // left alone). The first symbol at a tick wins. MusicXML harmony (midiInfo.chordSymbols) is
+  // used as it is.
+  function listEmbeddedChords(midiInfo) {
+    if (Array.isArray(midiInfo.chordSymbols)) return midiInfo.chordSymbols;
+    const groups = new Map();
+    [...(midiInfo.textEvents || []), ...(midiInfo.markers || [])].forEach((event) => {
+      const key = event.track + ":" + event.type;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({ tick: event.tick, name: readChordSymbol(event.text), source: event.type });
+    });
+    const chords = [];
+    groups.forEach((events) => {
+      const named = events.filter((event) => event.name);
+      const trusted =
+        events[0].source === "xf" ||
+        (named.length >= events.length * EMBEDDED_CHORD_MIN_SHARE && named.some((event) => !/^[A-G]$/.test(event.name)));
+      if (trusted) chords.push(...named);
+    });
+    chords.sort((a, b) => a.tick - b.tick);
+    return chords.filter((chord, index) => index === 0 || chord.tick !== chords[index - 1].tick);
+  }
+
+  // Embedded symbols cover the bars from the first one to the last one; detected chords fill the
+  // bars before and after.
+  function fillChordGaps(embedded, detected, meterMap) {
+    const coverStart = getBarStartTick(meterMap, embedded[0].tick);
+    const lastBar = Math.round(getBarsAtTick(meterMap, getBarStartTick(meterMap, embedded[embedded.length - 1].tick)));
+    const coverEnd = getTickAtBars(meterMap, lastBar + 1);
+    const merged = embedded
+      .concat(detected.filter((chord) => chord.tick < coverStart || chord.tick >= coverEnd))
+      .sort((a, b) => a.tick - b.tick);
+    return merged.filter((chord, index) => index === 0 || chord.name !== merged[index - 1].name);
+  }
+
+  function parseSequCode(value) {
+    if (Number.isInteger(value)) return value >= 0 && value <= 0xffffffff ? value : null;
+    if (typeof value === "string" && /^(0x)?[0-9a-f]{1,8}$/i.test(value.trim())) {
+      return parseInt(value.trim().replace(/^0x/i, ""), 16);
+    }
+    return null;
+  }
+
+  function validateChordVocabulary(data) {
+    const entries = Array.isArray(data) ? data : data && Array.isArray(data.chords) ? data.chords : null;
+    if (!entries) {
+      throw new Error('Chord vocabulary must be a list of chords or an object with a "chords" list.');
+    }
+    const errors = [];
+    const chords = [];
+    entries.forEach((entry, index) => {
+      const label = "Chord " + (index + 1) + (entry && typeof entry.name === "string" ? ' "' + entry.name + '"' : "");
+      if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+        errors.push(label + ": must be an object.");
+        return;
+      }
+      const problems = [];
+      const { name, intervals, priority } = entry;
+      if (typeof name !== "string") {
+        problems.push("name must be a string");
+      } else if (/\s/.test(name)) {
+        problems.push("name must not contain spaces");
+      } else if (/^[#b/]/.test(name)) {
+        problems.push('name must not start with "#", "b" or "/"');
+      } else if (chords.some((chord) => chord.name === name)) {
+        problems.push("name is already defined");
+      }
+      if (
+        !Array.isArray(intervals) ||
+        intervals.length < 2 ||
+        !intervals.every((interval) => Number.isInteger(interval) && interval >= 0 && interval <= 11)
+      ) {
+        problems.push("intervals must list at least two whole numbers from 0 to 11");
+      } else if (!intervals.includes(0)) {
+        problems.push("intervals must include the root (0)");
+      } else if (new Set(intervals).size !== intervals.length) {
+        problems.push("intervals must not repeat");
+      }
+      if (typeof priority !== "number" || !Number.isFinite(priority) || priority < 0) {
+        problems.push("priority must be a number of 0 or more");
+      }
+      const sequCode = entry.sequCode === undefined ? null : parseSequCode(entry.sequCode);
+      if (entry.sequCode !== undefined && sequCode === null) {
+        problems.push('sequCode must be a 32-bit hex value like "0x9500070f"');
+      }
+      if (entry.fallback !== undefined && typeof entry.fallback !== "string") {
+        problems.push("fallback must be a chord name");
+      }
+      if (entry.sequCode === undefined && entry.fallback === undefined) {
+        problems.push("needs a sequCode or a fallback");
+      }
+      if (entry.prefix !== undefined && entry.prefix !== 2 && entry.prefix !== 3) {
+        problems.push("prefix must be 2 or 3");
+      }
+      if (problems.length) {
+        errors.push(label + ": " + problems.join("; ") + ".");
+        return;
+      }
+      chords.push({
+        name,
+        intervals: intervals.slice().sort((a, b) => a - b),
+        priority,
+        sequCode,
+        fallback: entry.fallback ?? null,
+        prefix: entry.prefix ?? null
+      });
+    });
+    const byName = new Map(chords.map((chord) => [chord.name, chord]));
+    chords.forEach((chord) => {
+      if (chord.fallback === null) return;
+      if (!byName.has(chord.fallback) && SEQU_DESCRIPTOR_CODES[chord.fallback] === undefined) {
+        errors.push('Chord "' + chord.name + '": fallback "' + chord.fallback + '" is not a known chord.');
+        return;
+      }
+      const seen = new Set([chord.name]);
+      let current = byName.get(chord.fallback);
+      while (current && current.sequCode === null && current.fallback !== null) {
+        if (seen.has(current.name)) {
+          errors.push('Chord "' + chord.name + '": fallbacks loop back to "' + current.name + '".');
+          return;
+        }
+        seen.add(current.name);
+        current = byName.get(current.fallback);
+      }
+    });
+    if (!entries.length) errors.push("The vocabulary has no chords.");
+    if (errors.length) {
+      throw new Error("Invalid chord vocabulary:\n" + errors.join("\n"));
+    }
+    return { chords, replaceBuiltins: !Array.isArray(data) && data.replaceBuiltins === true };
+  }
+
+  function buildChordVocabulary(definition) {
+    const custom = definition ? definition.chords : [];
+    const customNames = new Set(custom.map((chord) => chord.name));
+    const builtins = definition && definition.replaceBuiltins
+      ? []
+      : CHORD_PATTERNS.filter((pattern) => !customNames.has(pattern.name));
+    const patterns = definition
+      ? [
+          ...custom.map((chord) => ({ name: chord.name, intervals: chord.intervals, priority: chord.priority })),
+          ...builtins
+        ].sort((a, b) => b.priority - a.priority)
+      : CHORD_PATTERNS;
+    return {
+      patterns,
+      custom: new Map(custom.map((chord) => [chord.name, chord])),
+      parseOrder: Array.from(customNames).sort((a, b) => b.length - a.length)
+    };
+  }
+
+  function getChordVocabulary() {
+    if (!chordVocabulary) chordVocabulary = buildChordVocabulary(null);
+    return chordVocabulary;
+  }
+
+  function setChordVocabulary(vocabulary) {
+    chordVocabulary = vocabulary || null;
+    return getChordVocabulary();
+  }
+
+  function formatVocabularySummary(vocabulary) {
+    if (!vocabulary.custom.size) return "built-in chords (" + vocabulary.patterns.length + ")";
+    return vocabulary.custom.size + " custom chords, " + vocabulary.patterns.length + " chords in total";
+  }
+
+  function getQualityIntervals(quality) {
+    const custom = getChordVocabulary().custom.get(quality);
+    if (custom) return custom.intervals;
+    return SEQU_INTERVALS[quality] || SEQU_INTERVALS[""];
+  }
+
+  function getSequDescriptor(quality) {
+    const { custom } = getChordVocabulary();
+    let current = quality;
+    const seen = new Set();
+    while (custom.has(current) && !seen.has(current)) {
+      seen.add(current);
+      const chord = custom.get(current);
+      if (chord.sequCode !== null) return { code: chord.sequCode, prefix: chord.prefix ?? 0x02, quality: current };
+      current = chord.fallback;
+    }
+    const isEncodable = (quality) =>
+      SEQU_DESCRIPTOR_CODES[quality] !== undefined && !DISABLED_QUALITIES.has(quality);
+    while (!isEncodable(current) && SEQU_QUALITY_FALLBACKS[current] !== undefined) {
+      current = SEQU_QUALITY_FALLBACKS[current];
+    }
+    if (!isEncodable(current)) current = "";
+    return {
+      code: SEQU_DESCRIPTOR_CODES[current],
+      prefix: DESCRIPTOR_PREFIX_OVERRIDES[current] ?? 0x02,
+      quality: current
+    };
+  }
+
+  function formatQualityLabel(quality) {
+    return quality === "" ? "major" : quality;
+  }
+
+  // What the chord track will show for a chord name, and why it differs when it does.
+  function getChordEncoding(name) {
+    if (!name || name === "N.C.") {
+      return { parsed: null, descriptor: null, encodedName: null, downgraded: false, reason: "no chord" };
+    }
+    const parsed = parseChordName(name);
+    if (!parsed) {
+      return {
+        parsed: null,
+        descriptor: null,
+        encodedName: null,
+        downgraded: true,
+        reason: "unrecognised chord name, not encoded"
+      };
+    }
+    const descriptor = getSequDescriptor(parsed.quality);
+    const isCustom = getChordVocabulary().custom.has(parsed.quality);
+    const rootName = name.match(/^[A-G][b#]?/)[0];
+    // Custom qualities may contain a slash; built-in names split at the first one.
+    const qualityText = isCustom ? parsed.quality : name.split("/")[0].slice(rootName.length);
+    const bassText = name.slice(rootName.length + qualityText.length + 1);
+    const reasons = [];
+    if (qualityText !== parsed.quality && QUALITY_ALIASES[qualityText.toLowerCase()] !== parsed.quality) {
+      reasons.push('"' + qualityText + '" is not a quality Logic knows, read as ' + formatQualityLabel(parsed.quality));
+    }
+    if (descriptor.quality !== parsed.quality) {
+      const encodedAs = ", encoded as " + formatQualityLabel(descriptor.quality);
+      reasons.push(
+        isCustom
+          ? "the chord vocabulary gives " + parsed.quality + " no sequCode" + encodedAs
+          : "Logic has no descriptor for " + formatQualityLabel(parsed.quality) + encodedAs
+      );
+    }
+    const hasSlash = parsed.bassPc !== null && parsed.bassPc !== parsed.rootPc;
+    if (bassText && parsed.bassPc === null) {
+      reasons.push('slash bass "' + bassText + '" is not a note, dropped');
+    }
+    return {
+      parsed,
+      descriptor,
+      encodedName: rootName + descriptor.quality + (hasSlash ? "/" + bassText : ""),
+      downgraded: reasons.length > 0,
+      reason: reasons.length ? reasons.join("; ") : null
+    };
+  }
+
+  function parseCustomChordName(name) {
+    const vocabulary = getChordVocabulary();
+    if (!vocabulary.custom.size) return null;
+    const match = name.match(/^([A-G][b#]?)(.*)$/);
+    if (!match || ROOT_TO_PC[match[1]] === undefined) return null;
+    const rest = match[2];
+    for (const quality of vocabulary.parseOrder) {
+      if (rest !== quality && !rest.startsWith(quality + "/")) continue;
+      const bassName = rest.slice(quality.length + 1);
+      if (bassName && ROOT_TO_PC[bassName] === undefined) continue;
+      return {
+        rootPc: ROOT_TO_PC[match[1]],
+        quality,
+        bassPc: bassName ? ROOT_TO_PC[bassName] : null,
+        bassStep: bassName ? getLetterStep(match[1], bassName) : null
+      };
+    }
+    return null;
+  }
+
+  function getLetterStep(rootName, bassName) {
+    return (NOTE_LETTERS.indexOf(bassName[0]) - NOTE_LETTERS.indexOf(rootName[0]) + 7) % 7;
+  }
+
+  // The low two descriptor bytes carry the slash bass relative to the root:
+  // letter steps (so D# and Eb stay apart), then semitones. 0x070f means no bass.
+  function getSlashDescriptor(code, parsed) {
+    const interval = (parsed.bassPc - parsed.rootPc + 12) % 12;
+    const step = Number.isInteger(parsed.bassStep) ? parsed.bassStep : SLASH_BASS_STEPS[interval];
+    return ((code & 0xffff0000) | (step << 8) | interval) >>> 0;
+  }
+
+  function parseChordName(name) {
+    if (!name || name === "N.C.") return null;
+    const custom = parseCustomChordName(name);
+    if (custom) return custom;
+    const parts = name.split("/");
+    const base = parts[0];
+    const match = base.match(/^([A-G])([b#]?)(.*)$/);
+    if (!match) return null;
+    const rootName = match[1] + match[2];
+    const qualityText = match[3] || "";
+    const rootPc = ROOT_TO_PC[rootName];
+    if (rootPc === undefined) return null;
+    const quality = normalizeQuality(qualityText);
+    if (!quality && quality !== "") return null;
+    let bassPc = null;
+    let bassStep = null;
+    if (parts.length > 1 && parts[1]) {
+      const bassMatch = parts[1].match(/^([A-G])([b#]?)$/);
+      if (bassMatch) {
+        const bassName = bassMatch[1] + bassMatch[2];
+        if (ROOT_TO_PC[bassName] !== undefined) {
+          bassPc = ROOT_TO_PC[bassName];
+          bassStep = getLetterStep(rootName, bassName);
+        }
+      }
+    }
+    return { rootPc, quality, bassPc, bassStep };
+  }
+
+  function normalizeQuality(qualityText) {
+    const text = (qualityText || "").toLowerCase().replace(/\s+/g, "");
+    if (!text) return "";
+    const parenMatch = text.match(/\(([^)]+)\)/);
+    const parenTokens = parenMatch ? parenMatch[1].split(",") : [];
+    const baseText = parenMatch ? text.replace(/\([^)]*\)/, "") : text;
+    if (text === "maj") return "";
+    if (text === "min" || text === "minor") return "m";
+    if (text === "5") return "5";
+    if (text.startsWith("no3(")) {
+      if (text.includes("7,9,11,#5")) return "no3(7,9,11,#5)";
+      if (text.includes("b5")) return "no3(b5)";
+    }
+    if (text.startsWith("7(") && baseText.includes("sus4")) {
+      if (parenTokens.includes("9") && parenTokens.includes("b13")) return "7(9,b13)sus4";
+      if (parenTokens.includes("9")) return "7(9)sus4";
+    }
+    if (text.startsWith("7(")) {
+      if (parenTokens.includes("9") && parenTokens.includes("#11") && parenTokens.includes("13")) {
+        return "7(9,#11,13)";
+      }
+    }
+    if (text.startsWith("m7(")) {
+      if (text.includes("9,11,b13")) return "m7(9,11,b13)";
+      if (text.includes("9,11") || text.includes("9,#11")) return "m7(9,11)";
+      if (text.includes("11")) return "m7(11)";
+      if (text.includes("9")) return "m7(9)";
+    }
+    if (text.startsWith("m(") && text.includes("9,13,b5")) return "m(9,13,b5)";
+    if (text.startsWith("aug7") && text.includes("9,11")) return "aug7(9,11)";
+    if (text.startsWith("maj7") && text.includes("9") && text.includes("sus4")) {
+      return "maj7(9)sus4";
+    }
+    if (text.startsWith("maj7") && text.includes("9")) return "maj7(9)";
+    if (text.startsWith("maj7") && text.includes("#11")) return "maj7(#11)";
+    if (text.startsWith("maj7") && text.includes("11")) return "maj7(11)";
+    if (text.includes("7,9,b13") && text.includes("sus4")) return "7(9,b13)sus4";
+    if (text.includes("7,9") && text.includes("sus4")) return "7(9)sus4";
+    if (text.includes("7,9,#11,13") || (text.includes("13") && text.includes("#11") && text.includes("7"))) {
+      return "7(9,#11,13)";
+    }
+    if (text.startsWith("6(") && text.includes("9,11") && text.includes("b5")) {
+      return "6(9,11)b5";
+    }
+    if (text.startsWith("dim7") && text.includes("b9")) return "dim7(b9)";
+    if (text.startsWith("m7b5") && text.includes("13")) return "m7b5(13)";
+    if (text.startsWith("mmaj7")) return "mmaj7";
+    if (text === "(b5)" || text === "b5") return "(b5)";
+    if (text === "(#11)" || text === "#11") return "(#11)";
+    if (text === "(b13)" || text === "b13") return "(b13)";
+    if (text.startsWith("add11")) return "add11";
+    if (text.startsWith("7(") && text.includes("b9")) return "7(b9)";
+    if (text.startsWith("7(") && text.includes("#9")) return "7(#9)";
+    if (text === "7b9") return "7(b9)";
+    if (text === "7#9") return "7(#9)";
+    if (text.startsWith("maj7")) return "maj7";
+    // Extended major chords keep their seventh: maj9 as maj7(9), maj11 as maj7(11), maj13 as maj7.
+    if (text.startsWith("maj9")) return "maj7(9)";
+    if (text.startsWith("maj11")) return "maj7(11)";
+    if (text.startsWith("maj")) return "maj7";
+    if (text === "7") return "7";
+    if (text === "9") return "9";
+    if (text === "6") return "6";
+    if (text.startsWith("sus2")) return "sus2";
+    if (text.startsWith("sus4")) return "sus4";
+    if (text.startsWith("dim")) return "dim";
+    if (text.startsWith("aug")) return "aug";
+    if (text.startsWith("m7")) return "m7";
+    if (text === "m") return "m";
+    if (text.startsWith("m")) return "m";
+    // Dominants and sixths Logic has no descriptor for keep their seventh or sixth: 9sus as
+    // 7(9)sus4, 7sus, 7sus4 and 7(13) as 7, 69 and 6(9) as 6.
+    if (text.startsWith("9sus")) return "7(9)sus4";
+    if (text.startsWith("7")) return "7";
+    if (text.startsWith("6")) return "6";
+    if (text === "sus") return "sus4";
+    return "";
+  }
+
+  function buildChordNotes(rootPc, quality, bassPc = null) {
+    const intervals = getQualityIntervals(quality);
+    const lowRoot = (rootPc >= 7 ? 36 : 48) + rootPc;
+    const notes = [];
+    if (bassPc !== null && bassPc !== rootPc) {
+      let lowBass = (bassPc >= 7 ? 36 : 48) + bassPc;
+      if (lowBass >= lowRoot) {
+        lowBass -= 12;
+      }
+      notes.push(lowBass);
+    }
+    notes.push(lowRoot);
+    intervals.forEach((interval) => {
+      notes.push(lowRoot + 12 + interval);
+    });
+    return Array.from(new Set(notes)).filter((n) => n >= 0 && n <= 127);
+  }
+
+  function makeSequRecord(w0, w1, w2, w3) {
+    return [w0 >>> 0, w1 >>> 0, w2 >>> 0, w3 >>> 0];
+  }
+
+  function writeUint32BE(view, offset, value) {
+    view.setUint32(offset, value >>> 0, false);
+  }
+
+  function writeFourCC(buffer, offset, value) {
+    for (let i = 0; i < 4; i++) {
+      buffer[offset + i] = value.charCodeAt(i) || 0;
+    }
+  }
+
+  function readFourCC(view, offset) {
+    return String.fromCharCode(
+      view.getUint8(offset),
+      view.getUint8(offset + 1),
+      view.getUint8(offset + 2),
+      view.getUint8(offset + 3)
+    );
+  }
+
+  function writeExtended80(view, offset, value) {
+    if (!value) {
+      view.setUint16(offset, 0, false);
+      view.setUint32(offset + 2, 0, false);
+      view.setUint32(offset + 6, 0, false);
+      return;
+    }
+    const exp = Math.floor(Math.log2(value));
+    const mant = value * Math.pow(2, 31 - exp);
+    const hiMant = Math.floor(mant);
+    view.setUint16(offset, exp + 16383, false);
+    view.setUint32(offset + 2, hiMant >>> 0, false);
+    view.setUint32(offset + 6, Math.round((mant - hiMant) * 0x100000000) >>> 0, false);
+  }
+
+  function parseAiffChunks(buffer) {
+    const view = new DataView(buffer);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= buffer.byteLength) {
+      const id = readFourCC(view, offset);
+      const size = view.getUint32(offset + 4, false);
+      const dataStart = offset + 8;
+      const dataEnd = dataStart + size;
+      chunks.push({ id, size, dataStart, dataEnd });
+      offset = dataEnd + (size % 2);
+    }
+    return chunks;
+  }
+
+  function parseMidiTiming(midiBytes) {
+    const buffer = midiBytes instanceof Uint8Array ? midiBytes.buffer.slice(midiBytes.byteOffset, midiBytes.byteOffset + midiBytes.byteLength) : midiBytes;
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    function readStr(len) {
+      let s = "";
+      for (let i = 0; i < len; i++) {
+        s += String.fromCharCode(view.getUint8(offset + i));
+      }
+      offset += len;
+      return s;
+    }
+
+    function readU32() {
+      const v = view.getUint32(offset, false);
+      offset += 4;
+      return v;
+    }
+
+    function readU16() {
+      const v = view.getUint16(offset, false);
+      offset += 2;
+      return v;
+    }
+
+    if (readStr(4) !== "MThd") {
+      throw new Error("Not a MIDI file");
+    }
+    const headerLen = readU32();
+    readU16(); // format
+    const numTracks = readU16();
+    const division = readU16();
+    if (division & 0x8000) {
+      throw new Error("SMPTE time format is not supported.");
+    }
+    offset += Math.max(0, headerLen - 6);
+
+    const tempos = [];
+    const timeSignatures = [];
+    let lastTick = 0;
+
+    for (let t = 0; t < numTracks; t++) {
+      if (readStr(4) !== "MTrk") {
+        throw new Error("Invalid MIDI track header");
+      }
+      const trackLen = readU32();
+      const trackEnd = offset + trackLen;
+      let absTicks = 0;
+      let runningStatus = null;
+
+      while (offset < trackEnd) {
+        const { value: delta, length } = readVarLen(view, offset);
+        offset += length;
+        absTicks += delta;
+      let statusByte = view.getUint8(offset);
+      if (statusByte < 0x80) {
+        if (runningStatus === null) {
+          throw new Error("Running status without prior status");
+        }
+        statusByte = runningStatus;
+      } else {
+        offset += 1;
+        runningStatus = statusByte < 0xf0 ? statusByte : null;
+      }
+
+        if (statusByte === 0xff) {
+          const metaType = view.getUint8(offset);
+          offset += 1;
+          const metaLen = readVarLen(view, offset);
+          offset += metaLen.length;
+          if (metaType === 0x51 && metaLen.value === 3) {
+            const tempo =
+              (view.getUint8(offset) << 16) |
+              (view.getUint8(offset + 1) << 8) |
+              view.getUint8(offset + 2);
+            tempos.push({ tick: absTicks, tempo });
+          } else if (metaType === 0x58 && metaLen.value >= 2) {
+            timeSignatures.push({
+              tick: absTicks,
+              numerator: view.getUint8(offset),
+              denominator: Math.pow(2, view.getUint8(offset + 1))
+            });
+          }
+          offset += metaLen.value;
+          continue;
+        }
+
+        if (statusByte === 0xf0 || statusByte === 0xf7) {
+          const sysLen = readVarLen(view, offset);
+          offset += sysLen.length + sysLen.value;
+          continue;
+        }
+
+        const type = statusByte & 0xf0;
+        if (type === 0xc0 || type === 0xd0) {
+          offset += 1;
+        } else {
+          offset += 2;
+        }
+      }
+
+      if (absTicks > lastTick) lastTick = absTicks;
+    }
+
+    tempos.sort((a, b) => a.tick - b.tick);
+    timeSignatures.sort((a, b) => a.tick - b.tick);
+    return { ppq: division, tempos, timeSignatures, lastTick };
+  }
+
+  function getMidiDurationSeconds(midiBytes) {
+    const timing = parseMidiTiming(midiBytes);
+    const ppq = timing.ppq;
+    const lastTick = timing.lastTick;
+    const tempos = timing.tempos.length ? timing.tempos : [{ tick: 0, tempo: 500000 }];
+    let tempo = 500000;
+    let timeSec = 0;
+    let prevTick = 0;
+    tempos.forEach((entry) => {
+      if (entry.tick > prevTick) {
+        timeSec += ((entry.tick - prevTick) / ppq) * (tempo / 1000000);
+        prevTick = entry.tick;
+      }
+      tempo = entry.tempo;
+    });
+    if (lastTick > prevTick) {
+      timeSec += ((lastTick - prevTick) / ppq) * (tempo / 1000000);
+    }
+    return timeSec;
+  }
+
+  function getMidiBeatCount(midiBytes) {
+    const timing = parseMidiTiming(midiBytes);
+    if (!timing.ppq) return 1;
+    const beats = timing.lastTick / timing.ppq;
+    return Math.max(1, Math.ceil(beats));
+  }
+
+  function buildMeterMap(timeSignatures, ppq) {
+    const quarterTicks = ppq || DEFAULT_PPQ;
+    const changes = (Array.isArray(timeSignatures) ? timeSignatures : [])
+      .filter((ts) => ts && ts.numerator > 0 && ts.denominator > 0 && Number.isFinite(ts.tick))
+      .slice()
+      .sort((a, b) => a.tick - b.tick);
+    const makeSegment = (tick, bar, numerator, denominator) => {
+      const unitTicks = (4 * quarterTicks) / denominator;
+      const compound = denominator >= 8 && numerator > 3 && numerator % 3 === 0;
+      const beatTicks = compound ? unitTicks * 3 : unitTicks;
+      const barTicks = unitTicks * numerator;
+      const beatsPerBar = Math.max(1, Math.round(barTicks / beatTicks));
+      return {
+        tick,
+        bar,
+        numerator,
+        denominator,
+        beatTicks,
+        barTicks,
+        halfTicks: Math.ceil(beatsPerBar / 2) * beatTicks
+      };
+    };
+    const meterMap = [makeSegment(0, 0, DEFAULT_METER.numerator, DEFAULT_METER.denominator)];
+    changes.forEach((ts) => {
+      const last = meterMap[meterMap.length - 1];
+      const tick = Math.max(0, Math.round(ts.tick));
+      if (tick <= last.tick) {
+        meterMap[meterMap.length - 1] = makeSegment(last.tick, last.bar, ts.numerator, ts.denominator);
+        return;
+      }
+      if (ts.numerator === last.numerator && ts.denominator === last.denominator) return;
+      // A meter change always starts a new bar, even when the previous bar is cut short.
+      const bar = last.bar + Math.ceil((tick - last.tick) / last.barTicks - 1e-9);
+      meterMap.push(makeSegment(tick, bar, ts.numerator, ts.denominator));
+    });
+    return meterMap;
+  }
+
+  function getMeterSegmentIndex(meterMap, tick) {
+    let index = 0;
+    for (let i = 1; i < meterMap.length; i++) {
+      if (meterMap[i].tick <= tick) index = i;
+    }
+    return index;
+  }
+
+  function getBarsAtTick(meterMap, tick) {
+    const segment = meterMap[getMeterSegmentIndex(meterMap, tick)];
+    return segment.bar + (tick - segment.tick) / segment.barTicks;
+  }
+
+  function getTickAtBars(meterMap, bars) {
+    let segment = meterMap[0];
+    meterMap.forEach((entry) => {
+      if (entry.bar <= bars) segment = entry;
+    });
+    return Math.max(0, Math.round(segment.tick + (bars - segment.bar) * segment.barTicks));
+  }
+
+  function getBarStartTick(meterMap, tick) {
+    const segment = meterMap[getMeterSegmentIndex(meterMap, tick)];
+    const barIndex = Math.floor((tick - segment.tick) / segment.barTicks);
+    return Math.round(segment.tick + barIndex * segment.barTicks);
+  }
+
+  function shiftMeterMap(meterMap, shiftTicks) {
+    const shift = Number.isFinite(shiftTicks) ? Math.max(0, Math.round(shiftTicks)) : 0;
+    if (!shift || !Array.isArray(meterMap)) return meterMap;
+    const originBars = getBarsAtTick(meterMap, shift);
+    return meterMap.slice(getMeterSegmentIndex(meterMap, shift)).map((segment, index) => ({
+      ...segment,
+      tick: index === 0 ? 0 : segment.tick - shift,
+      bar: index === 0 ? 0 : segment.bar - originBars
+    }));
+  }
+
+  function snapTickToGrid(meterMap, tick, grid) {
+    if (!grid || grid === "off") return tick;
+    const index = getMeterSegmentIndex(meterMap, tick);
+    const segment = meterMap[index];
+    const next = meterMap[index + 1];
+    const barStart = segment.tick + Math.floor((tick - segment.tick) / segment.barTicks) * segment.barTicks;
+    const barEnd = barStart + segment.barTicks;
+    const points = [barStart, barEnd];
+    if (grid === "half") {
+      points.push(barStart + segment.halfTicks);
+    } else if (grid === "beat") {
+      const beat = Math.floor((tick - barStart) / segment.beatTicks);
+      points.push(barStart + beat * segment.beatTicks, Math.min(barEnd, barStart + (beat + 1) * segment.beatTicks));
+    }
+    const candidates = points.filter((point) => !next || point < next.tick);
+    if (next) candidates.push(next.tick);
+    let best = candidates[0];
+    candidates.forEach((point) => {
+      const distance = Math.abs(point - tick);
+      const bestDistance = Math.abs(best - tick);
+      if (distance < bestDistance || (distance === bestDistance && point < best)) best = point;
+    });
+    return Math.round(best);
+  }
+
+  function getNextGridTick(meterMap, tick, grid) {
+    const index = getMeterSegmentIndex(meterMap, tick);
+    const segment = meterMap[index];
+    const next = meterMap[index + 1];
+    const barStart = segment.tick + Math.floor((tick - segment.tick) / segment.barTicks) * segment.barTicks;
+    const step = grid === "beat" ? segment.beatTicks : grid === "half" ? segment.halfTicks : segment.barTicks;
+    let point = barStart + step;
+    while (point <= tick) point += step;
+    point = Math.min(point, barStart + segment.barTicks);
+    return Math.round(next && next.tick < point ? next.tick : point);
+  }
+
+  function snapChordsToGrid(chords, meterMap, grid) {
+    if (!Array.isArray(chords) || !grid || grid === "off") return chords;
+    const sorted = chords
+      .filter((chord) => chord && Number.isFinite(chord.tick))
+      .slice()
+      .sort((a, b) => a.tick - b.tick);
+    const snapped = [];
+    sorted.forEach((chord, index) => {
+      const nextTick = index + 1 < sorted.length ? sorted[index + 1].tick : Number.POSITIVE_INFINITY;
+      const entry = { chord, tick: snapTickToGrid(meterMap, chord.tick, grid), span: nextTick - chord.tick };
+      const last = snapped[snapped.length - 1];
+      if (last && last.tick === entry.tick) {
+        // Two changes landed on the same grid line: keep the one that sounds longest.
+        if (entry.span > last.span) snapped[snapped.length - 1] = entry;
+        return;
+      }
+      snapped.push(entry);
+    });
+    const result = [];
+    snapped.forEach((entry) => {
+      const last = result[result.length - 1];
+      if (last && last.name === entry.chord.name) return;
+      result.push({ ...entry.chord, tick: entry.tick });
+    });
+    return result;
+  }
+
+  function getSequPosition(sequInfo, meterMap, tick) {
+    return sequInfo.posBase + Math.round(getBarsAtTick(meterMap, tick) * sequInfo.posStep);
+  }
+
+  function encodeLittleEndianWord(value) {
+    return (((value & 0xff) << 24) | (((value >> 8) & 0xff) << 16) | (((value >> 16) & 0xff) << 8) | ((value >>> 24) & 0xff)) >>> 0;
+  }
+
+  // Sequ positions are little-endian 1/256 units: fraction byte, then low and high byte.
+  function encodeSequPositionWord(position) {
+    return encodeLittleEndianWord(Math.max(0, Math.min(0xffffff, Math.round(position * 256))));
+  }
+
+  function decodeSequPositionWord(word) {
+    return ((word >>> 24) + ((word >>> 16) & 0xff) * 256 + ((word >>> 8) & 0xff) * 65536) / 256;
+  }
+
+  function formatMeter(segment) {
+    return segment.numerator + "/" + segment.denominator;
+  }
+
+  function formatMeterSummary(meterMap) {
+    if (!Array.isArray(meterMap) || !meterMap.length) return formatMeter(DEFAULT_METER);
+    const main = formatMeter(meterMap[0]);
+    if (meterMap.length < 2) return main;
+    const changes = meterMap
+      .slice(1)
+      .map((segment) => "bar " + (Math.floor(segment.bar) + 1) + ": " + formatMeter(segment));
+    return main + " (" + changes.join(", ") + ")";
+  }
+
+  function formatBarBeat(meterMap, tick) {
+    if (!Array.isArray(meterMap) || !meterMap.length) return "1.1";
+    const segment = meterMap[getMeterSegmentIndex(meterMap, tick)];
+    const barStart = getBarStartTick(meterMap, tick);
+    const bar = Math.round(getBarsAtTick(meterMap, barStart)) + 1;
+    const beat = Math.floor((tick - barStart) / segment.beatTicks) + 1;
+    return bar + "." + beat;
+  }
+
+  function getChordTicks(chords) {
+    if (!Array.isArray(chords)) return [];
+    return chords
+      .map((ch) => (ch && Number.isFinite(ch.tick) ? Math.max(0, Math.round(ch.tick)) : null))
+      .filter((tick) => tick !== null);
+  }
+
+  function normalizeChordTicks(chordTicks) {
+    if (!Array.isArray(chordTicks) || !chordTicks.length) return null;
+    const sorted = chordTicks.slice().sort((a, b) => a - b);
+    const unique = [];
+    sorted.forEach((tick) => {
+      if (!unique.length || unique[unique.length - 1] !== tick) {
+        unique.push(tick);
+      }
+    });
+    return unique.length > 1 ? unique : null;
+  }
+
+  function getNextChordTick(tick, chordTicks) {
+    if (!chordTicks || chordTicks.length < 2) return null;
+    let left = 0;
+    let right = chordTicks.length - 1;
+    let result = null;
+    while (left <= right) {
+      const mid = Math.floor((left + right) / 2);
+      const value = chordTicks[mid];
+      if (value > tick) {
+        result = value;
+        right = mid - 1;
+      } else {
+        left = mid + 1;
+      }
+    }
+    return result;
+  }
+
+  function buildSequNoteRecordsFromMidi(noteEvents, sequInfo, ppq, mode, meterMap) {
+    if (!Array.isArray(noteEvents) || !noteEvents.length) return [];
+    const meter = meterMap || buildMeterMap(null, ppq);
+    const events = noteEvents
+      .map((ev, idx) => ({ ...ev, order: idx }))
+      .sort((a, b) => (a.tick !== b.tick ? a.tick - b.tick : (a.on === b.on ? a.order - b.order : a.on ? -1 : 1)));
+    const modeValue = mode || "duration";
+
+    if (modeValue === "logic") {
+      const noteOns = events.filter((ev) => ev.on);
+      if (!noteOns.length) return [];
+      const baseTick = noteOns[0].tick;
+      const records = [];
+      noteOns.forEach((ev) => {
+        const delta = Math.max(0, Math.round(ev.tick - baseTick));
+        const posWord = encodeSequPositionWord(sequInfo.posBase + (delta * 2) / 256);
+        const velocity = Math.max(1, Math.min(127, ev.velocity || 96));
+        const noteWord = ((ev.note & 0x7f) << 24) | 0x00000001;
+        records.push(makeSequRecord(0x90000000, posWord >>> 0, velocity >>> 0, noteWord >>> 0));
+      });
+      return records;
+    }
+    const stacks = new Map();
+    const pairs = [];
+    events.forEach((event) => {
+      const key = `${event.channel ?? 0}-${event.note}`;
+      if (event.on) {
+        if (!stacks.has(key)) stacks.set(key, []);
+        stacks.get(key).push(event.tick);
+      } else {
+        const stack = stacks.get(key);
+        if (stack && stack.length) {
+          const onTick = stack.pop();
+          pairs.push({ onTick, offTick: event.tick, note: event.note });
+        }
+      }
+    });
+    pairs.sort((a, b) => a.onTick - b.onTick);
+    const records = [];
+    pairs.forEach((pair) => {
+      const posOn = getSequPosition(sequInfo, meter, pair.onTick);
+      const posVal = encodeSequPositionWord(posOn);
+      const durationBars =
+        getBarsAtTick(meter, Math.max(pair.onTick + 1, pair.offTick)) - getBarsAtTick(meter, pair.onTick);
+      const durationPos = Math.max(1, Math.round(durationBars * sequInfo.posStep));
+      const durationWord = encodeSequPositionWord(durationPos);
+      const noteWord = ((pair.note & 0x7f) << 24) | 0x80;
+      records.push(makeSequRecord(0x90000000, posVal, 0x00009264, noteWord));
+      records.push(makeSequRecord(0x40000000, 0x00000089, 0x00000000, durationWord));
+    });
+    return records;
+  }
+
+  function buildSequChunk(
+    chords,
+    sequInfo,
+    ppq,
+    includeNotes,
+    noteEvents,
+    gateToNext,
+    endTick,
+    noteRecordMode,
+    meterMap
+  ) {
+    const records = sequInfo.headerRecords.map((record) => record.slice());
+    const meter = meterMap || buildMeterMap(null, ppq);
+    let encodedCount = 0;
+    const useSequNotes = typeof includeNotes === "boolean" ? includeNotes : INCLUDE_SEQU_NOTES;
+    const sortedChords = Array.isArray(chords)
+      ? chords
+          .filter((ch) => ch && Number.isFinite(ch.tick))
+          .slice()
+          .sort((a, b) => a.tick - b.tick)
+      : [];
+    const chordPositions = sortedChords.map((chord) => ({
+      chord,
+      posClean: getSequPosition(sequInfo, meter, chord.tick)
+    }));
+    let noteRecords = null;
+    if (useSequNotes && Array.isArray(noteEvents) && noteEvents.length) {
+      noteRecords = buildSequNoteRecordsFromMidi(noteEvents, sequInfo, ppq, noteRecordMode, meter);
+    }
+
+    const endPos = Number.isFinite(endTick)
+      ? getSequPosition(sequInfo, meter, endTick)
+      : null;
+
+    chordPositions.forEach((entry, index) => {
+      const chord = entry.chord;
+      const encoding = getChordEncoding(chord.name);
+      const parsed = encoding.parsed;
+      if (!parsed) return;
+      encodedCount += 1;
+      const sequDescriptor = encoding.descriptor;
+      const baseDescriptor = sequDescriptor.code;
+      const hasSlash = parsed.bassPc !== null && parsed.bassPc !== parsed.rootPc;
+      const descriptor = hasSlash ? getSlashDescriptor(baseDescriptor, parsed) : baseDescriptor;
+      const prefix = sequDescriptor.prefix;
+      const posClean = entry.posClean;
+      const posVal = encodeSequPositionWord(posClean + (prefix === 0x03 ? 0.5 : 0));
+      let timeWord = Math.round(
+        sequInfo.timeBase + (posClean - sequInfo.posBase) * sequInfo.timeScale
+      );
+      if (sequInfo.descriptorTimeByCode && sequInfo.descriptorTimeByCode.has(descriptor)) {
+        timeWord = sequInfo.descriptorTimeByCode.get(descriptor);
+      } else if (sequInfo.descriptorTimeByCode && sequInfo.descriptorTimeByCode.has(baseDescriptor)) {
+        timeWord = sequInfo.descriptorTimeByCode.get(baseDescriptor);
+      } else {
+        timeWord = sequInfo.timeBase;
+      }
+      const descriptorWord = (prefix << 24) | (parsed.rootPc << 16) | 0x00b2;
+
+      records.push(makeSequRecord(0x32000000, posVal, 0x00000000, 0x07000001));
+      records.push(makeSequRecord(0x00000000, 0x00000088, 0x00000000, 0x00000000));
+      records.push(makeSequRecord(0x70000000, posVal, 0x00000000, 0x67000001));
+      records.push(makeSequRecord(descriptor, descriptorWord, 0x00000000, timeWord));
+
+      if (useSequNotes && !noteRecords) {
+        const notes = buildChordNotes(parsed.rootPc, parsed.quality, parsed.bassPc);
+        let durationWord = SEQU_NOTE_OFF_WORD;
+        if (gateToNext) {
+          let nextPos = null;
+          if (index + 1 < chordPositions.length) {
+            nextPos = chordPositions[index + 1].posClean;
+          } else if (Number.isFinite(endPos) && endPos > posClean) {
+            nextPos = endPos;
+          }
+          if (Number.isFinite(nextPos) && nextPos > posClean) {
+            const durationPos = Math.max(1, nextPos - posClean - 1);
+            durationWord = encodeSequPositionWord(durationPos);
+          }
+        }
+        notes.forEach((note) => {
+          const noteWord = ((note & 0x7f) << 24) | 0x80;
+          records.push(makeSequRecord(0x90000000, posVal, 0x00009264, noteWord));
+          records.push(makeSequRecord(0x40000000, 0x00000089, 0x00000000, durationWord));
+        });
+      }
+    });
+
+    if (noteRecords) {
+      records.push(...noteRecords);
+    }
+
+    records.push(makeSequRecord(0xf1000000, 0xffffff3f, 0x00000000, 0x00000000));
+    // The last header record holds the byte length of the records after the header, little-endian.
+    const headerRecord = records[sequInfo.headerRecords.length - 1];
+    headerRecord[2] = encodeLittleEndianWord((records.length - sequInfo.headerRecords.length) * 16);
+
+    const out = new Uint8Array(4 + records.length * 16);
+    out.set([0x71, 0x53, 0x76, 0x45], 0);
+    const view = new DataView(out.buffer);
+    records.forEach((record, idx) => {
+      const base = 4 + idx * 16;
+      writeUint32BE(view, base, record[0]);
+      writeUint32BE(view, base + 4, record[1]);
+      writeUint32BE(view, base + 8, record[2]);
+      writeUint32BE(view, base + 12, record[3]);
+    });
+    return { bytes: out, encodedCount };
+  }
+
+  function getSequMaskIntervals(code) {
+    const intervals = [];
+    for (let interval = 0; interval < 12; interval++) {
+      const bits = interval < 8 ? code >>> 24 : (code >>> 16) & 0x0f;
+      if (bits & (1 << (interval % 8))) intervals.push(interval);
+    }
+    return intervals;
+  }
+
+  function getSequCodeQualities() {
+    const qualities = new Map();
+    const add = (code, quality) => {
+      if (!qualities.has(code >>> 0)) qualities.set(code >>> 0, quality);
+    };
+    Object.entries(SEQU_DESCRIPTOR_CODES).forEach(([quality, code]) => add(code, quality));
+    getChordVocabulary().custom.forEach((chord) => {
+      if (chord.sequCode !== null) add(chord.sequCode, chord.name);
+    });
+    return qualities;
+  }
+
+  function getQualityForSequCode(code, codeQualities) {
+    if (codeQualities.has(code)) return codeQualities.get(code);
+    const plain = ((code & 0xffff0000) | SEQU_NO_BASS_TAIL) >>> 0;
+    if (codeQualities.has(plain)) return codeQualities.get(plain);
+    // Descriptors Logic wrote for chords we never encode: match the pitch set instead.
+    const intervals = getSequMaskIntervals(code).join(",");
+    const qualities = [...Object.keys(SEQU_INTERVALS), ...getChordVocabulary().custom.keys()];
+    const match = qualities.find((quality) => getQualityIntervals(quality).slice().sort((a, b) => a - b).join(",") === intervals);
+    return match === undefined ? null : match;
+  }
+
+  function formatDecodedChordName(rootPc, quality, bassPc, bassStep, names) {
+    const rootName = names[rootPc];
+    if (bassPc === null || bassPc === rootPc) return rootName + quality;
+    const letter = NOTE_LETTERS[(NOTE_LETTERS.indexOf(rootName[0]) + bassStep) % 7];
+    const accidental = { 0: "", 1: "#", 11: "b" }[(bassPc - ROOT_TO_PC[letter] + 12) % 12];
+    const bassName = letter && accidental !== undefined ? letter + accidental : names[bassPc];
+    return rootName + quality + "/" + bassName;
+  }
+
+  function decodeSequChunk(sequBytes, meterMap, options) {
+    const view = new DataView(sequBytes.buffer, sequBytes.byteOffset, sequBytes.byteLength);
+    const signature = readFourCC(view, 0);
+    if (signature !== "qSvE") {
+      throw new Error("Unexpected Sequ signature: " + signature);
+    }
+    const codeQualities = getSequCodeQualities();
+    const names = options.preferFlats ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP;
+    const recordCount = Math.floor((sequBytes.length - 4) / 16);
+    const byPosition = new Map();
+    let currentPos = null;
+    for (let i = 0; i < recordCount; i++) {
+      const base = 4 + i * 16;
+      const w0 = view.getUint32(base, false);
+      const w1 = view.getUint32(base + 4, false);
+      if (w0 === 0x32000000 || w0 === 0x70000000) {
+        currentPos = Math.floor(decodeSequPositionWord(w1));
+        continue;
+      }
+      if ((w1 & 0xff) !== 0xb2 || currentPos === null) continue;
+      const rootPc = ((w1 >>> 16) & 0xff) % 12;
+      const quality = getQualityForSequCode(w0, codeQualities);
+      const tail = w0 & 0xffff;
+      const slashed = tail !== SEQU_NO_BASS_TAIL && !codeQualities.has(w0);
+      const bassPc = slashed && (tail & 0xff) < 12 ? (rootPc + (tail & 0xff)) % 12 : null;
+      const bars = Math.max(0, (currentPos - SEQU_POSITION_BASE) / SEQU_POSITION_STEP);
+      // Logic repeats the descriptor when a chord is edited; the last one at a position wins.
+      byPosition.set(currentPos, {
+        tick: getTickAtBars(meterMap, bars),
+        position: currentPos,
+        rootPc,
+        quality,
+        bassPc,
+        bassStep: bassPc === null ? null : tail >> 8,
+        code: w0,
+        name: quality === null ? null : formatDecodedChordName(rootPc, quality, bassPc, tail >> 8, names)
+      });
+    }
+    return Array.from(byPosition.values()).sort((a, b) => a.position - b.position);
+  }
+
+  function decodeAiffChords(buffer, options) {
+    const chunks = parseAiffChunks(buffer);
+    const sequChunk = chunks.find((chunk) => chunk.id === "Sequ");
+    if (!sequChunk) {
+      throw new Error("No Sequ chunk (this AIFF has no chord track)");
+    }
+    const midiChunk = chunks.find((chunk) => chunk.id === ".mid");
+    const midiBytes = midiChunk
+      ? normalizeMidiBytes(new Uint8Array(buffer.slice(midiChunk.dataStart, midiChunk.dataEnd)))
+      : null;
+    let timing = null;
+    if (midiBytes) {
+      try {
+        timing = parseMidiTiming(midiBytes);
+      } catch (err) {
+        timing = null;
+      }
+    }
+    const ppq = timing ? timing.ppq : DEFAULT_PPQ;
+    const meterMap = buildMeterMap(timing ? timing.timeSignatures : null, ppq);
+    const sequBytes = new Uint8Array(buffer, sequChunk.dataStart, sequChunk.size);
+    return { chords: decodeSequChunk(sequBytes, meterMap, options), midiBytes, ppq, meterMap };
+  }
+
+  function formatDescriptorCode(code) {
+    return "? (descriptor 0x" + code.toString(16).padStart(8, "0") + ")";
+  }
+
+  function formatDecodedChord(chord, meterMap) {
+    const name = chord.name || formatDescriptorCode(chord.code);
+    return formatBarBeat(meterMap, chord.tick) + "  " + name;
+  }
+
+  function buildBascChunk(beatCount) {
+    const tail = BASC_TAIL_HEX.match(/../g).map((byte) => parseInt(byte, 16));
+    const data = new Uint8Array(18 + tail.length);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, 1, false);
+    view.setUint32(4, beatCount >>> 0, false);
+    view.setUint16(8, BASC_ROOT_NOTE, false);
+    view.setUint16(10, BASC_SCALE_TYPE, false);
+    view.setUint16(12, 4, false);
+    view.setUint16(14, 4, false);
+    view.setUint16(16, BASC_LOOP_TYPE, false);
+    data.set(tail, 18);
+    return data;
+  }
+
+  function buildCommChunk(frames) {
+    const data = new Uint8Array(18);
+    const view = new DataView(data.buffer);
+    view.setUint16(0, AIFF_CHANNELS, false);
+    view.setUint32(2, frames >>> 0, false);
+    view.setUint16(6, AIFF_SAMPLE_SIZE, false);
+    writeExtended80(view, 8, AIFF_SAMPLE_RATE);
+    return data;
+  }
+
+  function buildSsndChunk(frames) {
+    // Offset and block size stay zero; the samples are silence.
+    return new Uint8Array(8 + frames * AIFF_CHANNELS * Math.ceil(AIFF_SAMPLE_SIZE / 8));
+  }
+
+  function getAiffLength(midiBytes) {
+    let durationSeconds = AIFF_DEFAULT_SECONDS;
+    let beatCount = 1;
+    if (midiBytes) {
+      durationSeconds = getMidiDurationSeconds(midiBytes) + AIFF_TAIL_SECONDS;
+      beatCount = getMidiBeatCount(midiBytes);
+    }
+    const frames = Math.max(1, Math.ceil(durationSeconds * AIFF_SAMPLE_RATE));
+    return { frames: Math.min(frames, AIFF_MAX_FRAMES), beatCount };
+  }
+
+  let aiffTemplateChunks = null;
+
+  function getAiffTemplateChunks() {
+    if (!aiffTemplateChunks) {
+      const bytes = Uint8Array.from(atob(AIFF_TEMPLATE_BASE64.replace(/\s+/g, "")), (char) => char.charCodeAt(0));
+      aiffTemplateChunks = parseAiffChunks(bytes.buffer).map((chunk) => ({
+        id: chunk.id,
+        data: bytes.subarray(chunk.dataStart, chunk.dataEnd)
+      }));
+    }
+    return aiffTemplateChunks;
+  }
+
+  // The template's chunks in its order: the ones the song decides are built, the rest are copied
+  // through, with LGWV's frame count set to the audio's as the template writer did.
+  function buildAiff(sequBytes, midiBytes) {
+    const { frames, beatCount } = getAiffLength(midiBytes);
+    const built = {
+      basc: buildBascChunk(beatCount),
+      COMM: buildCommChunk(frames),
+      ".mid": midiBytes || null,
+      Sequ: sequBytes,
+      SSND: buildSsndChunk(frames)
+    };
+    const chunkDataList = getAiffTemplateChunks()
+      .filter(({ id }) => built[id] !== null)
+      .map(({ id, data }) => {
+        if (built[id] !== undefined) return { id, data: built[id] };
+        if (id !== "LGWV") return { id, data };
+        const waveform = data.slice();
+        new DataView(waveform.buffer).setUint32(0, frames >>> 0, false);
+        return { id, data: waveform };
+      });
+
+    let totalSize = 12;
+    chunkDataList.forEach(({ data }) => {
+      totalSize += 8 + data.length + (data.length % 2);
+    });
+
+    const out = new Uint8Array(totalSize);
+    const outView = new DataView(out.buffer);
+    writeFourCC(out, 0, "FORM");
+    outView.setUint32(4, totalSize - 8, false);
+    writeFourCC(out, 8, "AIFF");
+    let cursor = 12;
+    chunkDataList.forEach(({ id, data }) => {
+      writeFourCC(out, cursor, id);
+      outView.setUint32(cursor + 4, data.length, false);
+      out.set(data, cursor + 8);
+      cursor += 8 + data.length + (data.length % 2);
+    });
+    return out;
+  }
+
+  function validateAiffMidi(outputBytes) {
+    const bytes = outputBytes instanceof Uint8Array ? outputBytes : new Uint8Array(outputBytes);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const view = new DataView(buffer);
+    if (readFourCC(view, 0) !== "FORM") {
+      throw new Error("Output AIFF is invalid.");
+    }
+    const chunks = parseAiffChunks(buffer);
+    const midiChunk = chunks.find((chunk) => chunk.id === ".mid");
+    if (!midiChunk) {
+      throw new Error("Output AIFF is missing embedded MIDI.");
+    }
+    if (readFourCC(view, midiChunk.dataStart) !== "MThd") {
+      throw new Error("Embedded MIDI chunk is invalid.");
+    }
+    return midiChunk.size;
+  }
+
+  // Reads a built AIFF back the way Logic would and lists everything that doesn't match what
+  // was meant to be written: container sizes, length chunks, embedded MIDI and the chord track.
+  function verifyAiffOutput(outputBytes, chords, ppq, midiBytes, meterMap) {
+    const bytes = outputBytes instanceof Uint8Array ? outputBytes : new Uint8Array(outputBytes);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const view = new DataView(buffer);
+    const problems = [];
+    if (bytes.length < 12 || readFourCC(view, 0) !== "FORM" || readFourCC(view, 8) !== "AIFF") {
+      return ["not a FORM/AIFF file"];
+    }
+    const formSize = view.getUint32(4, false);
+    if (formSize !== bytes.length - 8) {
+      problems.push("FORM size is " + formSize + ", the file holds " + (bytes.length - 8) + " bytes after the header");
+    }
+    const chunks = parseAiffChunks(buffer);
+    const findChunk = (id) => chunks.find((chunk) => chunk.id === id);
+    chunks
+      .filter((chunk) => chunk.dataEnd > bytes.length)
+      .forEach((chunk) => problems.push(chunk.id + " chunk runs past the end of the file"));
+    const required = midiBytes ? ["basc", "COMM", ".mid", "Sequ", "SSND"] : ["basc", "COMM", "Sequ", "SSND"];
+    required
+      .filter((id) => !findChunk(id))
+      .forEach((id) => problems.push("missing " + id + " chunk"));
+    if (problems.length) return problems;
+
+    const expectedLength = getAiffLength(midiBytes);
+    const comm = findChunk("COMM");
+    const channels = view.getUint16(comm.dataStart, false);
+    const frames = view.getUint32(comm.dataStart + 2, false);
+    const sampleSize = view.getUint16(comm.dataStart + 6, false);
+    if (frames !== expectedLength.frames) {
+      problems.push("COMM has " + frames + " frames, the MIDI needs " + expectedLength.frames);
+    }
+    const ssndSize = findChunk("SSND").size;
+    const expectedSsndSize = 8 + frames * channels * Math.ceil(sampleSize / 8);
+    if (ssndSize !== expectedSsndSize) {
+      problems.push("SSND holds " + ssndSize + " bytes, COMM describes " + expectedSsndSize);
+    }
+    const beatCount = view.getUint32(findChunk("basc").dataStart + 4, false);
+    if (beatCount !== expectedLength.beatCount) {
+      problems.push("basc has " + beatCount + " beats, the MIDI has " + expectedLength.beatCount);
+    }
+    if (midiBytes) {
+      const midiChunk = findChunk(".mid");
+      const embedded = bytes.subarray(midiChunk.dataStart, midiChunk.dataEnd);
+      if (embedded.length !== midiBytes.length || embedded.some((byte, index) => byte !== midiBytes[index])) {
+        problems.push("the .mid chunk differs from the MIDI that was embedded");
+      }
+    }
+
+    const sequChunk = findChunk("Sequ");
+    const sequBytes = bytes.subarray(sequChunk.dataStart, sequChunk.dataEnd);
+    const headerCount = SEQU_INFO.headerRecords.length;
+    const recordBytes = sequBytes.length - 4 - headerCount * 16;
+    const lengthWord = view.getUint32(sequChunk.dataStart + 4 + (headerCount - 1) * 16 + 8, false);
+    const headerLength = encodeLittleEndianWord(lengthWord);
+    if (headerLength !== recordBytes) {
+      problems.push("Sequ header gives " + headerLength + " record bytes, the chunk holds " + recordBytes);
+    }
+    const meter = meterMap || buildMeterMap(null, ppq);
+    let decoded;
+    try {
+      decoded = decodeSequChunk(sequBytes, meter, { preferFlats: false });
+    } catch (err) {
+      problems.push("Sequ chunk can't be read: " + err.message);
+      return problems;
+    }
+
+    // The chord meant for each position, read from its name rather than from the descriptor the
+    // writer built, so a wrong descriptor can't also be the one it's checked against.
+    const expected = new Map();
+    (Array.isArray(chords) ? chords : [])
+      .filter((chord) => chord && Number.isFinite(chord.tick))
+      .slice()
+      .sort((a, b) => a.tick - b.tick)
+      .forEach((chord) => {
+        const parsed = parseChordName(chord.name);
+        if (!parsed) return;
+        const position = getSequPosition(SEQU_INFO, meter, chord.tick);
+        const previous = expected.get(position);
+        if (previous) {
+          problems.push(
+            formatBarBeat(meter, chord.tick) + ": " + chord.name + " lands on the same chord-track position as " + previous.name + ", which is lost"
+          );
+        }
+        expected.set(position, { tick: chord.tick, name: chord.name, parsed });
+      });
+    const getPitchSet = (quality) => getQualityIntervals(quality).slice().sort((a, b) => a - b).join(",");
+    const decodedByPosition = new Map(decoded.map((chord) => [chord.position, chord]));
+    expected.forEach((chord, position) => {
+      const found = decodedByPosition.get(position);
+      const at = formatBarBeat(meter, chord.tick) + ": ";
+      if (!found) {
+        problems.push(at + chord.name + " is missing from the chord track");
+        return;
+      }
+      const { rootPc, quality, bassPc, bassStep } = chord.parsed;
+      const hasSlash = bassPc !== null && bassPc !== rootPc;
+      // Qualities Logic has no descriptor for are meant to fall back to the closest one it has.
+      const isMatch =
+        found.rootPc === rootPc &&
+        found.quality !== null &&
+        getPitchSet(found.quality) === getPitchSet(getSequDescriptor(quality).quality) &&
+        found.bassPc === (hasSlash ? bassPc : null) &&
+        (!hasSlash || !Number.isInteger(bassStep) || found.bassStep === bassStep);
+      if (!isMatch) {
+        problems.push(at + "expected " + chord.name + ", read back " + (found.name || formatDescriptorCode(found.code)));
+      }
+    });
+    decoded
+      .filter((chord) => !expected.has(chord.position))
+      .forEach((chord) => problems.push("unexpected chord on the chord track: " + formatDecodedChord(chord, meter)));
+    return problems;
+  }
+
+  function getChordWindowTicks(noteEvents, ppq, windowFactor) {
+    const base = Math.max(1, Math.round((ppq || 480) * 0.9));
+    if (!Array.isArray(noteEvents) || noteEvents.length < 2) return base;
+    const onTicks = noteEvents.filter((ev) => ev && ev.on).map((ev) => ev.tick);
+    if (onTicks.length < 2) return base;
+    onTicks.sort((a, b) => a - b);
+    const gaps = [];
+    for (let i = 1; i < onTicks.length; i++) {
+      const gap = onTicks[i] - onTicks[i - 1];
+      if (gap > 0) gaps.push(gap);
+    }
+    if (!gaps.length) return base;
+    gaps.sort((a, b) => a - b);
+    const mid = Math.floor(gaps.length / 2);
+    const median = gaps.length % 2 ? gaps[mid] : Math.round((gaps[mid - 1] + gaps[mid]) / 2);
+    const minWindow = Math.max(1, Math.round((ppq || 480) * 0.05));
+    const maxWindow = Math.round(base * 1.2);
+    const adaptive = Math.round(median * 1.0);
+    const factor = Math.max(1, Number.isFinite(windowFactor) ? windowFactor : 1);
+    const scaled = Math.round(adaptive * factor);
+    return Math.max(minWindow, Math.min(maxWindow, scaled));
+  }
+
+  function collectChordWindows(noteEvents, windowTicks) {
+    const activeCounts = new Map();
+    const activeStrikes = new Map();
+    let idx = 0;
+    const windows = [];
+    const windowSpan = Math.max(1, Math.round(windowTicks || 1));
+    let windowStart = null;
+    let windowEnd = null;
+    let windowHadNoteOn = false;
+
+    const finalizeWindow = () => {
+      if (windowStart === null || !windowHadNoteOn) return;
+      const activeNotes = Array.from(activeCounts.keys()).sort((a, b) => a - b);
+      windows.push({
+        tick: windowStart,
+        notes: activeNotes,
+        strikes: activeNotes.map((note) => ({ event: activeStrikes.get(note) }))
+      });
+    };
+
+    while (idx < noteEvents.length) {
+      const tick = noteEvents[idx].tick;
+
+      if (windowStart !== null && tick > windowEnd) {
+        finalizeWindow();
+        windowStart = null;
+        windowEnd = null;
+        windowHadNoteOn = false;
+      }
+
+      let tickHadNoteOn = false;
+      while (idx < noteEvents.length && noteEvents[idx].tick === tick) {
+        const ev = noteEvents[idx];
+        const current = activeCounts.get(ev.note) || 0;
+        if (ev.on) {
+          activeCounts.set(ev.note, current + 1);
+          activeStrikes.set(ev.note, ev);
+          tickHadNoteOn = true;
+        } else if (current > 1) {
+          activeCounts.set(ev.note, current - 1);
+        } else {
+          activeCounts.delete(ev.note);
+          activeStrikes.delete(ev.note);
+        }
+        idx += 1;
+      }
+
+      if (windowStart === null) {
+        if (tickHadNoteOn) {
+          windowStart = tick;
+          windowEnd = tick + windowSpan;
+          windowHadNoteOn = true;
+        }
+      } else if (tickHadNoteOn) {
+        windowHadNoteOn = true;
+        windowEnd = tick + windowSpan;
+      }
+    }
+
+    finalizeWindow();
+    const lastTick = noteEvents.length ? noteEvents[noteEvents.length - 1].tick : 0;
+    windows.forEach((win, i) => {
+      const next = windows[i + 1];
+      win.endTick = next ? next.tick : Math.max(win.tick + windowSpan, lastTick);
+    });
+    return windows;
+  }
+
+  function getNoteSourceKey(ev) {
+    return (ev.track ?? 0) + ":" + (ev.channel ?? 0);
+  }
+
+  function formatNoteWithOctave(note) {
+    return NOTE_NAMES_SHARP[note % 12] + (Math.floor(note / 12) - 1);
+  }
+
+  function listNoteSources(noteEvents, trackNames) {
+    const sources = new Map();
+    noteEvents.forEach((ev) => {
+      if (!ev.on) return;
+      const key = getNoteSourceKey(ev);
+      if (!sources.has(key)) {
+        const track = ev.track ?? 0;
+        sources.set(key, {
+          key,
+          track,
+          channel: ev.channel ?? 0,
+          name: (Array.isArray(trackNames) && trackNames[track]) || "",
+          noteCount: 0,
+          lowest: ev.note,
+          highest: ev.note
+        });
+      }
+      const source = sources.get(key);
+      source.noteCount += 1;
+      source.lowest = Math.min(source.lowest, ev.note);
+      source.highest = Math.max(source.highest, ev.note);
+    });
+    return Array.from(sources.values()).sort((a, b) => a.track - b.track || a.channel - b.channel);
+  }
+
+  function formatNoteSource(source) {
+    return (
+      "Track " +
+      (source.track + 1) +
+      (source.name ? ' "' + source.name + '"' : "") +
+      ", ch " +
+      (source.channel + 1) +
+      ": " +
+      source.noteCount +
+      " notes (" +
+      formatNoteWithOctave(source.lowest) +
+      "-" +
+      formatNoteWithOctave(source.highest) +
+      ")"
+    );
+  }
+
+  // harmonyTracks / bassTrack pick sources by track name (the watcher's settings); without
+  // them the harmonyExclude keys and bassSource key already in the options are kept.
+  function resolveNoteSourceOptions(sources, options) {
+    const harmonyPattern = options.harmonyTracks ? new RegExp(options.harmonyTracks, "i") : null;
+    const bassPattern = options.bassTrack ? new RegExp(options.bassTrack, "i") : null;
+    const harmonyExclude = harmonyPattern
+      ? sources.filter((source) => !harmonyPattern.test(source.name)).map((source) => source.key)
+      : Array.isArray(options.harmonyExclude)
+        ? options.harmonyExclude
+        : [];
+    let bassSource = options.bassSource || null;
+    if (bassPattern) {
+      const bass = sources.find((source) => bassPattern.test(source.name));
+      bassSource = bass ? bass.key : null;
+    }
+    return { harmonyExclude, bassSource };
+  }
+
+  function splitNoteSources(noteEvents, options) {
+    const excluded = new Set(Array.isArray(options.harmonyExclude) ? options.harmonyExclude : []);
+    const harmony = excluded.size
+      ? noteEvents.filter((ev) => !excluded.has(getNoteSourceKey(ev)))
+      : noteEvents;
+    const bass = options.bassSource
+      ? noteEvents.filter((ev) => getNoteSourceKey(ev) === options.bassSource)
+      : null;
+    return { harmony, bass: bass && bass.length ? bass : null };
+  }
+
+  function applyBassSource(win, bassSpans) {
+    const endTick = Number.isFinite(win.endTick) && win.endTick > win.tick ? win.endTick : win.tick + 1;
+    let best = null;
+    let bestOverlap = 0;
+    bassSpans.forEach((span) => {
+      const overlap = Math.min(span.end, endTick) - Math.max(span.start, win.tick);
+      if (overlap <= 0) return;
+      if (!best || overlap > bestOverlap || (overlap === bestOverlap && span.note < best.note)) {
+        best = span;
+        bestOverlap = overlap;
+      }
+    });
+    if (!best) return;
+    const entries = win.notes.map((note, i) => ({ note, strike: win.strikes[i] }));
+    const own = entries.find((entry) => entry.note === best.note);
+    const rest = entries.filter((entry) => entry.note !== best.note);
+    win.notes = [best.note, ...rest.map((entry) => entry.note)];
+    win.strikes = [own ? own.strike : { event: best.event }, ...rest.map((entry) => entry.strike)];
+  }
+
+  function applyPedalHolds(noteEvents, pedalEvents, options) {
+    if (!options.usePedals || !Array.isArray(pedalEvents) || !pedalEvents.length) return noteEvents;
+    const pedals = pedalEvents.slice().sort((a, b) => a.tick - b.tick);
+    const channels = new Map();
+    const getChannel = (channel) => {
+      if (!channels.has(channel)) {
+        channels.set(channel, { sustain: false, sostenuto: false, down: new Map(), held: new Map(), captured: new Set() });
+      }
+      return channels.get(channel);
+    };
+    const out = [];
+    const releaseHeld = (state, tick) => {
+      state.held.forEach((offEvents, note) => {
+        if (state.sostenuto && state.captured.has(note)) return;
+        offEvents.forEach((ev) => out.push({ ...ev, tick }));
+        state.held.delete(note);
+      });
+    };
+    const applyPedal = (pedal) => {
+      const channel = pedal.channel ?? 0;
+      const state = getChannel(channel);
+      const isDown = pedal.value >= 64;
+      if (pedal.controller === 64) {
+        if (state.sustain && !isDown) {
+          state.sustain = false;
+          releaseHeld(state, pedal.tick);
+        }
+        state.sustain = isDown;
+      } else if (pedal.controller === 66) {
+        if (isDown && !state.sostenuto) {
+          state.captured = new Set(state.down.keys());
+        } else if (!isDown && state.sostenuto) {
+          state.sostenuto = false;
+          state.captured = new Set();
+          if (!state.sustain) releaseHeld(state, pedal.tick);
+        }
+        state.sostenuto = isDown;
+      }
+    };
+    let pedalIdx = 0;
+    noteEvents.forEach((ev) => {
+      while (pedalIdx < pedals.length && pedals[pedalIdx].tick <= ev.tick) {
+        applyPedal(pedals[pedalIdx]);
+        pedalIdx += 1;
+      }
+      const channel = ev.channel ?? 0;
+      const state = getChannel(channel);
+      if (ev.on) {
+        state.down.set(ev.note, (state.down.get(ev.note) || 0) + 1);
+        out.push(ev);
+        return;
+      }
+      const downCount = state.down.get(ev.note) || 0;
+      if (downCount > 1) {
+        state.down.set(ev.note, downCount - 1);
+      } else {
+        state.down.delete(ev.note);
+      }
+      if (state.sustain || (state.sostenuto && state.captured.has(ev.note))) {
+        if (!state.held.has(ev.note)) state.held.set(ev.note, []);
+        state.held.get(ev.note).push(ev);
+        return;
+      }
+      out.push(ev);
+    });
+    // Notes still held when the pedals stop reporting end with the last pedal or note event.
+    const lastTick = Math.max(
+      noteEvents.length ? noteEvents[noteEvents.length - 1].tick : 0,
+      pedals[pedals.length - 1].tick
+    );
+    while (pedalIdx < pedals.length) {
+      applyPedal(pedals[pedalIdx]);
+      pedalIdx += 1;
+    }
+    channels.forEach((state) => {
+      state.sostenuto = false;
+      releaseHeld(state, lastTick);
+    });
+    return out
+      .map((ev, order) => ({ ev, order }))
+      .sort((a, b) => {
+        if (a.ev.tick !== b.ev.tick) return a.ev.tick - b.ev.tick;
+        if (a.ev.on !== b.ev.on) return a.ev.on ? -1 : 1;
+        return a.order - b.order;
+      })
+      .map((entry) => entry.ev);
+  }
+
+  function collectAccumulatedWindows(noteEvents, options, meterMap) {
+    const noteOns = noteEvents.filter((ev) => ev && ev.on);
+    if (!noteOns.length) return [];
+    const lastTick = noteEvents[noteEvents.length - 1].tick;
+    const decayBeats = options.accumulateDecayBeats > 0 ? options.accumulateDecayBeats : DEFAULT_ACCUMULATE_DECAY_BEATS;
+    const sounding = new Map();
+    const lastStrike = new Map();
+    const windows = [];
+    let idx = 0;
+    let spanStart = getBarStartTick(meterMap, noteOns[0].tick);
+    while (spanStart <= lastTick) {
+      const spanEnd = getNextGridTick(meterMap, spanStart, options.accumulateSpan);
+      const segment = meterMap[getMeterSegmentIndex(meterMap, spanStart)];
+      const decayTicks = Math.max(1, decayBeats * segment.beatTicks);
+      const strikes = new Map();
+      // Notes carried in from earlier spans fade with the time since they were struck.
+      sounding.forEach((count, note) => {
+        const event = lastStrike.get(note);
+        const weight = Math.exp(-(spanStart - event.tick) / decayTicks);
+        if (weight >= ACCUMULATE_MIN_WEIGHT) strikes.set(note, { event, weight });
+      });
+      while (idx < noteEvents.length && noteEvents[idx].tick < spanEnd) {
+        const ev = noteEvents[idx];
+        const current = sounding.get(ev.note) || 0;
+        if (ev.on) {
+          sounding.set(ev.note, current + 1);
+          lastStrike.set(ev.note, ev);
+          strikes.set(ev.note, { event: ev, weight: 1 });
+        } else if (current > 1) {
+          sounding.set(ev.note, current - 1);
+        } else {
+          sounding.delete(ev.note);
+        }
+        idx += 1;
+      }
+      if (strikes.size) {
+        const notes = Array.from(strikes.keys()).sort((a, b) => a - b);
+        windows.push({
+          tick: spanStart,
+          notes,
+          strikes: notes.map((note) => strikes.get(note)),
+          endTick: spanEnd
+        });
+      }
+      spanStart = spanEnd;
+    }
+    return windows;
+  }
+
+  function getChromaWeights(options) {
+    return { ...DEFAULT_CHROMA_WEIGHTS, ...((options && options.chromaWeights) || {}) };
+  }
+
+  function getNoteEndTicks(noteEvents) {
+    return new Map(buildNoteSpans(noteEvents).map((span) => [span.event, span.end]));
+  }
+
+  function buildWeightedChroma(strikes, endTicks, options, spanTicks) {
+    const weights = getChromaWeights(options);
+    const chroma = new Array(12).fill(0);
+    const bass = new Array(12).fill(0);
+    if (!Array.isArray(strikes) || !strikes.length) return { chroma, bass };
+    const durations = strikes.map((strike) => {
+      const end = endTicks ? endTicks.get(strike.event) : null;
+      return Math.max(1, Number.isFinite(end) ? end - strike.event.tick : 1);
+    });
+    // Anything that rings for the whole window counts as a full-length note.
+    const fullTicks = Math.max(1, Math.min(spanTicks || Infinity, Math.max(...durations)));
+    strikes.forEach((strike, i) => {
+      const note = strike.event.note;
+      const velocity = Math.max(1, Math.min(127, strike.event.velocity || 96)) / 127;
+      // 0 at middle C and above, rising to 1 two octaves below it.
+      const low = Math.max(0, Math.min(1, (CHROMA_REGISTER_TOP - note) / CHROMA_REGISTER_SPAN));
+      const weight =
+        Math.pow(Math.min(1, durations[i] / fullTicks), weights.duration) *
+        Math.pow(velocity, weights.velocity) *
+        (strike.weight ?? 1);
+      // Octave doublings do not add up: each pitch class keeps its strongest note.
+      chroma[note % 12] = Math.max(chroma[note % 12], weight);
+      bass[note % 12] = Math.max(bass[note % 12], weight * low);
+    });
+    const peak = Math.max(...chroma);
+    if (peak > 0) {
+      for (let pc = 0; pc < 12; pc++) {
+        chroma[pc] /= peak;
+        bass[pc] /= peak;
+      }
+    }
+    return { chroma, bass };
+  }
+
+  // Readings with the same chord tones (Am7 and C6/A) are one chord spelled two ways, so they
+  // share one confidence instead of splitting it.
+  function getCandidateConfidences(ranked) {
+    if (!ranked.length) return [];
+    const top = ranked[0].score;
+    const groupWeights = new Map();
+    const groups = ranked.map((cand) => {
+      const tones = cand.pattern.intervals.map((interval) => (cand.root + interval) % 12).sort((a, b) => a - b);
+      const group = tones.join(",");
+      const weight = Math.exp((cand.score - top) / CHORD_CONFIDENCE_SCALE);
+      groupWeights.set(group, Math.max(groupWeights.get(group) || 0, weight));
+      return group;
+    });
+    const total = Array.from(groupWeights.values()).reduce((sum, weight) => sum + weight, 0);
+    return groups.map((group) => groupWeights.get(group) / total);
+  }
+
+  function getChosenConfidence(ranked, root, pattern) {
+    const index = ranked.findIndex((cand) => cand.root === root && cand.pattern === pattern);
+    return index >= 0 ? getCandidateConfidences(ranked)[index] : 0;
+  }
+
+  function summarizeCandidates(ranked, bassPc, options, noteNames) {
+    const confidences = getCandidateConfidences(ranked);
+    const count = Math.max(1, Math.round(options.alternativeCount || DEFAULT_CHORD_ALTERNATIVES));
+    return ranked.slice(0, count).map((cand, index) => ({
+      name: formatChordName(cand.root, cand.pattern, bassPc, options, noteNames),
+      confidence: confidences[index],
+      score: cand.score,
+      details: cand.details
+    }));
+  }
+
+  function formatConfidence(confidence) {
+    return Math.round(confidence * 100) + "%";
+  }
+
+  function isLowConfidenceChord(chord, options) {
+    const threshold = Number.isFinite(options.confidenceThreshold)
+      ? options.confidenceThreshold
+      : DEFAULT_CONFIDENCE_THRESHOLD;
+    return Number.isFinite(chord.confidence) && chord.confidence < threshold;
+  }
+
+  function formatChordAlternatives(chord, meterMap) {
+    const alternatives = (chord.scores || [])
+      .filter((entry) => entry.name !== chord.name)
+      .map((entry) => entry.name + " " + formatConfidence(entry.confidence));
+    return (
+      "Bar " +
+      formatBarBeat(meterMap, chord.tick) +
+      ": " +
+      chord.name +
+      " " +
+      formatConfidence(chord.confidence) +
+      (alternatives.length ? " (or " + alternatives.join(", ") + ")" : "")
+    );
+  }
+
+  function formatChordScores(chord) {
+    if (!chord || !Array.isArray(chord.scores) || !chord.scores.length) return chord ? chord.name : "";
+    const parts = chord.scores.map((entry) => {
+      const d = entry.details;
+      return (
+        entry.name +
+        " " +
+        formatConfidence(entry.confidence) +
+        " (score " +
+        entry.score.toFixed(2) +
+        ", priority " +
+        d.priority +
+        ", tones x" +
+        d.toneFactor.toFixed(2) +
+        ", extras -" +
+        d.extras.toFixed(2) +
+        ", root +" +
+        d.rootBoost.toFixed(2) +
+        ")"
+      );
+    });
+    return chord.name + " @" + chord.tick + ": " + parts.join(" | ");
+  }
+
+  function getHarmonySpans(noteSpans, meterMap, grid) {
+    const first = Math.min(...noteSpans.map((span) => span.start));
+    const last = Math.max(...noteSpans.map((span) => span.end));
+    const spans = [];
+    let tick = getBarStartTick(meterMap, first);
+    while (tick < last) {
+      const next = getNextGridTick(meterMap, tick, grid);
+      spans.push({ tick, endTick: next });
+      tick = next;
+    }
+    return spans;
+  }
+
+  function getHarmonyMelodyCost(notes, span, root, quality, key) {
+    const tones = SEQU_INTERVALS[quality].map((interval) => (root + interval) % 12);
+    const scale = key.mode === "minor" ? [...MINOR_SCALE_INTERVALS, 11] : MAJOR_SCALE_INTERVALS;
+    const length = Math.max(1, span.endTick - span.tick);
+    let cost = 0;
+    notes.forEach((note) => {
+      const pc = note.note % 12;
+      if (tones.includes(pc)) return;
+      const overlap = Math.min(note.end, span.endTick) - Math.max(note.start, span.tick);
+      const miss = scale.includes((pc - key.tonicPc + 12) % 12) ? HARMONY_SCALE_TONE_COST : HARMONY_CHROMATIC_COST;
+      const accent = note.start <= span.tick ? HARMONY_ACCENT_WEIGHT : 1;
+      cost += (Math.max(0, overlap) / length) * miss * accent;
+    });
+    return cost * HARMONY_MELODY_WEIGHT;
+  }
+
+  function harmonizeMelody(noteEvents, options, keyInfo, meterMap) {
+    const noteSpans = buildNoteSpans(noteEvents);
+    if (!noteSpans.length || !meterMap) return [];
+    const spans = getHarmonySpans(noteSpans, meterMap, options.harmonizeSpan === "half" ? "half" : "bar");
+    const key = (keyInfo && keyInfo.key) || { tonicPc: 0, mode: "major" };
+    const noteNames = getChordNoteNames(options, keyInfo ? { key } : null, 0);
+    const steps = spans.map((span, index) => {
+      const notes = noteSpans.filter((note) => note.end > span.tick && note.start < span.endTick);
+      const edge = index === 0 || index === spans.length - 1;
+      const states = HARMONY_DEGREES[key.mode === "minor" ? "minor" : "major"].map((chord) => ({
+        root: (key.tonicPc + chord.degree) % 12,
+        quality: chord.quality,
+        role: chord.role,
+        cost:
+          chord.cost +
+          getHarmonyMelodyCost(notes, span, (key.tonicPc + chord.degree) % 12, chord.quality, key) +
+          (edge && chord.degree !== 0 ? HARMONY_CADENCE_COST : 0)
+      }));
+      const bars = (span.endTick - span.tick) / meterMap[getMeterSegmentIndex(meterMap, span.tick)].barTicks;
+      return { span, bars, states };
+    });
+
+    let previous = steps[0].states.map((state) => ({ state, cost: state.cost, back: null }));
+    const trellis = [previous];
+    for (let i = 1; i < steps.length; i++) {
+      const column = steps[i].states.map((state) => {
+        let best = null;
+        previous.forEach((cell, backIdx) => {
+          const same = cell.state.root === state.root && cell.state.quality === state.quality;
+          const move = same
+            ? HARMONY_HOLD_COST * steps[i].bars
+            : HARMONY_CHANGE_COST + HARMONY_ROLE_COSTS[cell.state.role][state.role];
+          if (!best || cell.cost + move < best.cost) best = { cost: cell.cost + move, back: backIdx };
+        });
+        return { state, cost: best.cost + state.cost, back: best.back };
+      });
+      trellis.push(column);
+      previous = column;
+    }
+
+    let bestIdx = 0;
+    previous.forEach((cell, idx) => {
+      if (cell.cost < previous[bestIdx].cost) bestIdx = idx;
+    });
+    const chords = [];
+    for (let i = steps.length - 1; i >= 0; i--) {
+      const cell = trellis[i][bestIdx];
+      chords.unshift({
+        tick: steps[i].span.tick,
+        name: formatChordName(cell.state.root, { name: cell.state.quality }, null, options, noteNames),
+        confidence: null,
+        harmonized: true
+      });
+      bestIdx = cell.back;
+    }
+    return chords.filter((chord, index) => !index || chord.name !== chords[index - 1].name);
+  }
+
+  function detectChords(noteEvents, options, windowTicks, keyInfo, meterMap, bassEvents) {
+    const harmonize = meterMap ? options.harmonize || "off" : "off";
+    if (harmonize === "always") return harmonizeMelody(noteEvents, options, keyInfo, meterMap);
+    const chords = detectWindowChords(noteEvents, options, windowTicks, keyInfo, meterMap, bassEvents);
+    if (harmonize === "auto" && !chords.some((chord) => chord.name !== "N.C.")) {
+      return harmonizeMelody(noteEvents, options, keyInfo, meterMap);
+    }
+    return chords;
+  }
+
+  function detectWindowChords(noteEvents, options, windowTicks, keyInfo, meterMap, bassEvents) {
+    const windows =
+      meterMap && options.accumulateSpan && options.accumulateSpan !== "off"
+        ? collectAccumulatedWindows(noteEvents, options, meterMap)
+        : collectChordWindows(noteEvents, windowTicks);
+    const endTicks = getNoteEndTicks(noteEvents);
+    if (bassEvents) {
+      const bassSpans = buildNoteSpans(bassEvents);
+      bassSpans.forEach((span) => endTicks.set(span.event, span.end));
+      windows.forEach((win) => applyBassSource(win, bassSpans));
+    }
+    windows.forEach((win) => {
+      win.profile = buildWeightedChroma(win.strikes, endTicks, options, win.endTick - win.tick);
+    });
+    if (options.detectionMode === "sequence") {
+      return decodeChordSequence(windows, options, windowTicks, keyInfo);
+    }
+    let lastChord = null;
+    const chords = [];
+    windows.forEach((win) => {
+      const noteNames = getChordNoteNames(options, keyInfo, win.tick);
+      const ranked = rankChordCandidates(win.notes, options, win.profile);
+      const bassPc = win.notes.length ? win.notes[0] % 12 : null;
+      const chordName = ranked.length
+        ? formatChordName(ranked[0].root, ranked[0].pattern, bassPc, options, noteNames)
+        : null;
+      if (chordName !== lastChord && (chordName || options.emitNC)) {
+        const scores = summarizeCandidates(ranked, bassPc, options, noteNames);
+        chords.push({
+          tick: win.tick,
+          name: chordName || "N.C.",
+          confidence: scores.length ? scores[0].confidence : null,
+          scores
+        });
+        lastChord = chordName;
+      }
+    });
+    return chords;
+  }
+
+  function rankChordCandidates(activeNotes, options, profile) {
+    if (activeNotes.length < options.minNotes) return [];
+    const pcs = Array.from(new Set(activeNotes.map((n) => n % 12)));
+    if (pcs.length < options.minNotes) return [];
+
+    const pcSet = new Set(pcs);
+    const bassPc = activeNotes.length ? activeNotes[0] % 12 : null;
+    const weights = getChromaWeights(options);
+    const chroma = profile ? profile.chroma : Array.from({ length: 12 }, (_, pc) => (pcSet.has(pc) ? 1 : 0));
+    const bass = profile ? profile.bass : new Array(12).fill(0);
+    const candidates = [];
+
+    for (let root = 0; root < 12; root++) {
+      const intervals = pcs.map((pc) => (pc - root + 12) % 12);
+      const intervalSet = new Set(intervals);
+      for (const pattern of getChordVocabulary().patterns) {
+        const patternSet = new Set(pattern.intervals);
+        let matches = true;
+        patternSet.forEach((val) => {
+          if (!intervalSet.has(val)) matches = false;
+        });
+        if (!matches) continue;
+        const extraCount = intervalSet.size - patternSet.size;
+        if (!options.allowExtensions && extraCount > 0) continue;
+        const tones = pattern.intervals.map((interval) => (root + interval) % 12);
+        const weakest = Math.min(...tones.map((pc) => chroma[pc]));
+        const toneFactor = Math.min(1, weakest / CHROMA_TONE_FLOOR);
+        const extras =
+          pcs.filter((pc) => !tones.includes(pc)).reduce((sum, pc) => sum + chroma[pc], 0) * weights.extra;
+        const rootBoost = bass[root] * weights.register;
+        let score = pattern.priority * 10 * toneFactor - extras + rootBoost;
+        if (!pcSet.has(root)) score -= 2;
+        const bassMatch = bassPc !== null && bassPc === root;
+        candidates.push({
+          root,
+          pattern,
+          score,
+          bassMatch,
+          details: { priority: pattern.priority, toneFactor, extras, rootBoost }
+        });
+      }
+    }
+
+    return candidates.sort((a, b) => {
+      if (a.score !== b.score) return b.score - a.score;
+      if (a.bassMatch !== b.bassMatch) return a.bassMatch ? -1 : 1;
+      return 0;
+    });
+  }
+
+  // With key spelling (noteNames), a slash bass that is a chord tone is spelled from the root, so
+  // E7/G# stays E7/G# in C major; other basses take the key's name.
+  function formatChordName(root, pattern, bassPc, options, noteNames) {
+    const names = noteNames || (options.preferFlats ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP);
+    let name = names[root] + pattern.name;
+    if (options.useSlash && bassPc !== null && bassPc !== root) {
+      const interval = (bassPc - root + 12) % 12;
+      const isChordTone = noteNames && (pattern.intervals || []).some((tone) => tone % 12 === interval);
+      const letter = NOTE_LETTERS[(NOTE_LETTERS.indexOf(names[root][0]) + SLASH_BASS_STEPS[interval]) % 7];
+      name += "/" + ((isChordTone && spellNote(letter, bassPc)) || names[bassPc]);
+    }
+    return name;
+  }
+
+  function identifyChord(activeNotes, options, noteNames, profile) {
+    const best = rankChordCandidates(activeNotes, options, profile)[0];
+    if (!best) return null;
+    const bassPc = activeNotes.length > 0 ? activeNotes[0] % 12 : null;
+    return formatChordName(best.root, best.pattern, bassPc, options, noteNames);
+  }
+
+  function scoreChordFit(pcSet, bassPc, root, pattern, options, profile) {
+    let matched = 0;
+    let missing = 0;
+    pattern.intervals.forEach((interval) => {
+      if (pcSet.has((root + interval) % 12)) {
+        matched += 1;
+      } else {
+        missing += 1;
+      }
+    });
+    const extraCount = pcSet.size - matched;
+    const tones = new Set(pattern.intervals.map((interval) => (root + interval) % 12));
+    const extraWeight = profile
+      ? Array.from(pcSet).reduce((sum, pc) => sum + (tones.has(pc) ? 0 : profile.chroma[pc]), 0)
+      : extraCount;
+    let score =
+      pattern.priority * 10 -
+      extraWeight * getChromaWeights(options).extra -
+      missing * SEQUENCE_MISSING_TONE_COST;
+    if (!options.allowExtensions) score -= extraCount * SEQUENCE_MISSING_TONE_COST;
+    if (!pcSet.has(root)) score -= 2;
+    if (bassPc === root) score += SEQUENCE_BASS_ROOT_BONUS;
+    return score;
+  }
+
+  function getSequenceTransitionCost(from, to, keyInfo, tick) {
+    if (from.id === to.id) return 0;
+    if (!from.pattern || !to.pattern) return SEQUENCE_NC_CHANGE_COST;
+    let cost = SEQUENCE_CHANGE_COST;
+    const motion = (to.root - from.root + 12) % 12;
+    if (motion === 5) {
+      cost -= SEQUENCE_FIFTH_DOWN_BONUS;
+    } else if (motion === 7 || motion === 2 || motion === 10) {
+      cost -= SEQUENCE_STEP_BONUS;
+    }
+    const key = getKeyAtTick(keyInfo, tick);
+    if (key) {
+      const scale = key.mode === "minor" ? MINOR_SCALE_INTERVALS : MAJOR_SCALE_INTERVALS;
+      const inKey = (pc) => scale.includes((pc - key.tonicPc + 12) % 12);
+      if (inKey(from.root) && inKey(to.root)) cost -= SEQUENCE_DIATONIC_BONUS;
+    }
+    return Math.max(1, cost);
+  }
+
+  function decodeChordSequence(windows, options, windowTicks, keyInfo) {
+    const windowSpan = Math.max(1, Math.round(windowTicks || 1));
+    const steps = windows
+      .map((win) => {
+        const pcSet = new Set(win.notes.map((n) => n % 12));
+        const bassPc = win.notes.length ? win.notes[0] % 12 : null;
+        const ranked = rankChordCandidates(win.notes, options, win.profile);
+        return { win, pcSet, bassPc, ranked };
+      })
+      .filter((step) => step.ranked.length || options.emitNC);
+    if (!steps.length) return [];
+
+    const stateId = (root, pattern) => root + ":" + pattern.name;
+    const noChord = { id: "N.C.", root: null, pattern: null };
+    steps.forEach((step, idx) => {
+      const states = new Map();
+      const addState = (root, pattern) => {
+        const id = stateId(root, pattern);
+        if (!states.has(id)) states.set(id, { id, root, pattern });
+      };
+      step.ranked.slice(0, SEQUENCE_CANDIDATES).forEach((cand) => addState(cand.root, cand.pattern));
+      for (let n = idx - SEQUENCE_NEIGHBORS; n <= idx + SEQUENCE_NEIGHBORS; n++) {
+        const neighbor = steps[n];
+        if (n === idx || !neighbor || !neighbor.ranked.length) continue;
+        addState(neighbor.ranked[0].root, neighbor.ranked[0].pattern);
+      }
+      if (options.emitNC || !states.size) states.set(noChord.id, noChord);
+      const weight = Math.min(
+        SEQUENCE_MAX_WEIGHT,
+        Math.max(SEQUENCE_MIN_WEIGHT, (step.win.endTick - step.win.tick) / windowSpan)
+      );
+      const fits = Array.from(states.values()).map((state) => ({
+        state,
+        fit: state.pattern
+          ? scoreChordFit(step.pcSet, step.bassPc, state.root, state.pattern, options, step.win.profile)
+          : (step.ranked.length ? 0 : SEQUENCE_NC_SCORE)
+      }));
+      const bestFit = fits.reduce((max, entry) => Math.max(max, entry.fit), -Infinity);
+      step.states = fits.map((entry) => ({
+        ...entry.state,
+        emission: (bestFit - entry.fit) * weight
+      }));
+    });
+
+    let previous = steps[0].states.map((state) => ({ state, cost: state.emission, back: null }));
+    const trellis = [previous];
+    for (let i = 1; i < steps.length; i++) {
+      const tick = steps[i].win.tick;
+      const column = steps[i].states.map((state) => {
+        let best = null;
+        previous.forEach((cell, backIdx) => {
+          const cost = cell.cost + getSequenceTransitionCost(cell.state, state, keyInfo, tick);
+          if (!best || cost < best.cost) best = { cost, back: backIdx };
+        });
+        return { state, cost: best.cost + state.emission, back: best.back };
+      });
+      trellis.push(column);
+      previous = column;
+    }
+
+    let bestIdx = 0;
+    previous.forEach((cell, idx) => {
+      if (cell.cost < previous[bestIdx].cost) bestIdx = idx;
+    });
+    const path = new Array(steps.length);
+    for (let i = steps.length - 1; i >= 0; i--) {
+      const cell = trellis[i][bestIdx];
+      path[i] = cell.state;
+      bestIdx = cell.back;
+    }
+
+    const chords = [];
+    let lastName = null;
+    path.forEach((state, i) => {
+      const step = steps[i];
+      let name = "N.C.";
+      if (state.pattern) {
+        const chordTones = new Set(state.pattern.intervals.map((interval) => (state.root + interval) % 12));
+        const bassPc = step.bassPc !== null && chordTones.has(step.bassPc) ? step.bassPc : null;
+        const noteNames = getChordNoteNames(options, keyInfo, step.win.tick);
+        name = formatChordName(state.root, state.pattern, bassPc, options, noteNames);
+      }
+      if (name !== lastName) {
+        const noteNames = getChordNoteNames(options, keyInfo, step.win.tick);
+        chords.push({
+          tick: step.win.tick,
+          name,
+          confidence: state.pattern ? getChosenConfidence(step.ranked, state.root, state.pattern) : null,
+          scores: summarizeCandidates(step.ranked, step.bassPc, options, noteNames)
+        });
+        lastName = name;
+      }
+    });
+    return chords;
+  }
+
+  function buildNoteSpans(noteEvents) {
+    if (!Array.isArray(noteEvents) || !noteEvents.length) return [];
+    const stacks = new Map();
+    const spans = [];
+    let lastTick = 0;
+    noteEvents.forEach((event) => {
+      if (event.tick > lastTick) lastTick = event.tick;
+      const key = `${event.channel ?? 0}-${event.note}`;
+      if (event.on) {
+        if (!stacks.has(key)) stacks.set(key, []);
+        stacks.get(key).push(event);
+      } else {
+        // Oldest note first: a note struck again at the tick it ends (its note-on sorts first)
+        // must not take that note-off.
+        const stack = stacks.get(key);
+        if (stack && stack.length) {
+          const onEvent = stack.shift();
+          spans.push({
+            start: onEvent.tick,
+            end: event.tick,
+            note: onEvent.note,
+            velocity: onEvent.velocity || 0,
+            channel: onEvent.channel ?? 0,
+            event: onEvent
+          });
+        }
+      }
+    });
+    stacks.forEach((stack) => {
+      stack.forEach((onEvent) => {
+        spans.push({
+          start: onEvent.tick,
+          end: lastTick,
+          note: onEvent.note,
+          velocity: onEvent.velocity || 0,
+          channel: onEvent.channel ?? 0,
+          event: onEvent
+        });
+      });
+    });
+    return spans
+      .filter((span) => span.end > span.start)
+      .sort((a, b) => (a.start !== b.start ? a.start - b.start : a.note - b.note));
+  }
+
+  function correlateProfile(chroma, profile, tonicPc) {
+    let chromaMean = 0;
+    let profileMean = 0;
+    for (let i = 0; i < 12; i++) {
+      chromaMean += chroma[i];
+      profileMean += profile[i];
+    }
+    chromaMean /= 12;
+    profileMean /= 12;
+    let num = 0;
+    let chromaVar = 0;
+    let profileVar = 0;
+    for (let pc = 0; pc < 12; pc++) {
+      const x = chroma[pc] - chromaMean;
+      const y = profile[(pc - tonicPc + 12) % 12] - profileMean;
+      num += x * y;
+      chromaVar += x * x;
+      profileVar += y * y;
+    }
+    if (!chromaVar || !profileVar) return 0;
+    return num / Math.sqrt(chromaVar * profileVar);
+  }
+
+  function pickBestKey(chroma) {
+    if (!chroma || !chroma.some((value) => value > 0)) return null;
+    const total = chroma.reduce((sum, value) => sum + value, 0);
+    let best = null;
+    for (let tonicPc = 0; tonicPc < 12; tonicPc++) {
+      [
+        { mode: "major", profile: KEY_PROFILE_MAJOR },
+        { mode: "minor", profile: KEY_PROFILE_MINOR }
+      ].forEach(({ mode, profile }) => {
+        const scale = mode === "minor" ? [...MINOR_SCALE_INTERVALS, 11] : MAJOR_SCALE_INTERVALS;
+        const outside = chroma.reduce(
+          (sum, value, pc) => (scale.includes((pc - tonicPc + 12) % 12) ? sum : sum + value),
+          0
+        );
+        const score = correlateProfile(chroma, profile, tonicPc) - (KEY_OUT_OF_SCALE_PENALTY * outside) / total;
+        if (!best || score > best.score) {
+          best = { tonicPc, mode, score };
+        }
+      });
+    }
+    return best;
+  }
+
+  function isSameKey(a, b) {
+    return !!(a && b && a.tonicPc === b.tonicPc && a.mode === b.mode);
+  }
+
+  // Bars follow the song's meter map, so key windows and segment starts land on its barlines;
+  // without one the song is read as 4/4.
+  function estimateKey(noteEvents, ppq, meterMap) {
+    const spans = buildNoteSpans(noteEvents);
+    if (!spans.length) return null;
+    const beatTicks = Math.max(1, ppq || DEFAULT_PPQ);
+    const meter = Array.isArray(meterMap) && meterMap.length ? meterMap : buildMeterMap([], beatTicks);
+    const lastTick = spans.reduce((max, span) => Math.max(max, span.end), 0);
+    const barCount = Math.max(1, Math.ceil(getBarsAtTick(meter, lastTick) - 1e-9));
+    const barChroma = Array.from({ length: barCount }, () => new Array(12).fill(0));
+    const totalChroma = new Array(12).fill(0);
+    spans.forEach((span) => {
+      const pc = span.note % 12;
+      let tick = span.start;
+      while (tick < span.end) {
+        const bar = Math.min(barCount - 1, Math.floor(getBarsAtTick(meter, tick) + 1e-9));
+        const barEnd = bar === barCount - 1 ? span.end : getTickAtBars(meter, bar + 1);
+        const segmentEnd = Math.min(span.end, Math.max(tick + 1, barEnd));
+        const weight = (segmentEnd - tick) / beatTicks;
+        barChroma[bar][pc] += weight;
+        totalChroma[pc] += weight;
+        tick = segmentEnd;
+      }
+    });
+
+    const globalKey = pickBestKey(totalChroma);
+    if (!globalKey) return null;
+
+    const lookBack = Math.floor(KEY_WINDOW_BARS / 2) - 1;
+    const runs = [];
+    for (let bar = 0; bar < barCount; bar++) {
+      const windowChroma = new Array(12).fill(0);
+      const from = Math.max(0, bar - lookBack);
+      const to = Math.min(barCount, from + KEY_WINDOW_BARS);
+      for (let i = from; i < to; i++) {
+        for (let pc = 0; pc < 12; pc++) windowChroma[pc] += barChroma[i][pc];
+      }
+      const previous = runs.length ? runs[runs.length - 1].key : globalKey;
+      const localKey = pickBestKey(windowChroma) || previous;
+      if (runs.length && isSameKey(runs[runs.length - 1].key, localKey)) {
+        runs[runs.length - 1].bars += 1;
+      } else {
+        runs.push({ startBar: bar, bars: 1, key: localKey });
+      }
+    }
+
+    const merged = [];
+    runs.forEach((run) => {
+      const last = merged[merged.length - 1];
+      if (last && (run.bars < KEY_MIN_SEGMENT_BARS || isSameKey(last.key, run.key))) {
+        last.bars += run.bars;
+      } else {
+        merged.push({ ...run });
+      }
+    });
+    if (merged.length > 1 && merged[0].bars < KEY_MIN_SEGMENT_BARS) {
+      merged[1].bars += merged[0].bars;
+      merged[1].startBar = 0;
+      merged.shift();
+    }
+    const segments = merged.map((run) => ({
+      tick: getTickAtBars(meter, run.startBar),
+      bar: run.startBar + 1,
+      key: run.key
+    }));
+    return { key: globalKey, segments };
+  }
+
+  function getKeyAtTick(keyInfo, tick) {
+    if (!keyInfo) return null;
+    let key = keyInfo.key;
+    if (Array.isArray(keyInfo.segments)) {
+      keyInfo.segments.forEach((segment) => {
+        if (segment.tick <= tick) key = segment.key;
+      });
+    }
+    return key;
+  }
+
+  // The key signature's sharp or flat names, then every note spelled by its scale degree from
+  // the tonic's letter. A degree that would need a double sharp or flat, or a name like Cb, keeps
+  // the signature's name.
+  function getNoteNamesForKey(key, preferFlats) {
+    let names = preferFlats ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP;
+    if (!key) return names;
+    const majorPc = key.mode === "minor" ? (key.tonicPc + 3) % 12 : key.tonicPc;
+    if (SHARP_MAJOR_KEY_PCS.has(majorPc)) names = NOTE_NAMES_SHARP;
+    if (FLAT_MAJOR_KEY_PCS.has(majorPc)) names = NOTE_NAMES_FLAT;
+    const tonicStep = NOTE_LETTERS.indexOf(names[key.tonicPc][0]);
+    return names.map((fallback, pc) => {
+      const letter = NOTE_LETTERS[(tonicStep + KEY_DEGREE_STEPS[(pc - key.tonicPc + 12) % 12]) % 7];
+      return spellNote(letter, pc) || fallback;
+    });
+  }
+
+  // The letter with the one sharp or flat (or none) that makes pc, if it is a name the core reads.
+  function spellNote(letter, pc) {
+    const shift = ((pc - ROOT_TO_PC[letter] + 18) % 12) - 6;
+    const name = letter + (shift === 1 ? "#" : shift === -1 ? "b" : "");
+    return Math.abs(shift) <= 1 && ROOT_TO_PC[name] !== undefined ? name : null;
+  }
+
+  function getChordNoteNames(options, keyInfo, tick) {
+    if (!options.spellForKey || !keyInfo) {
+      return options.preferFlats ? NOTE_NAMES_FLAT : NOTE_NAMES_SHARP;
+    }
+    return getNoteNamesForKey(getKeyAtTick(keyInfo, tick), options.preferFlats);
+  }
+
+  function formatKeyName(key, preferFlats) {
+    if (!key) return "unknown";
+    return getNoteNamesForKey(key, preferFlats)[key.tonicPc] + " " + key.mode;
+  }
+
+  function formatKeySummary(keyInfo, preferFlats) {
+    if (!keyInfo) return "unknown";
+    let text = formatKeyName(keyInfo.key, preferFlats);
+    const changes = (keyInfo.segments || []).filter(
+      (segment, idx) => idx > 0 || !isSameKey(segment.key, keyInfo.key)
+    );
+    if (changes.length) {
+      text +=
+        " (" +
+        changes
+          .map((segment) => "bar " + segment.bar + ": " + formatKeyName(segment.key, preferFlats))
+          .join(", ") +
+        ")";
+    }
+    return text;
+  }
+
+  function writeVarLen(value) {
+    const bytes = [value & 0x7f];
+    let v = value >>> 7;
+    while (v > 0) {
+      bytes.unshift((v & 0x7f) | 0x80);
+      v >>>= 7;
+    }
+    return bytes;
+  }
+
+  function readMidiTrackEvents(midiBytes) {
+    const bytes = midiBytes instanceof Uint8Array ? midiBytes : new Uint8Array(midiBytes);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    function readStr(len) {
+      let s = "";
+      for (let i = 0; i < len; i++) {
+        s += String.fromCharCode(view.getUint8(offset + i));
+      }
+      offset += len;
+      return s;
+    }
+
+    function readU32() {
+      const v = view.getUint32(offset, false);
+      offset += 4;
+      return v;
+    }
+
+    function readU16() {
+      const v = view.getUint16(offset, false);
+      offset += 2;
+      return v;
+    }
+
+    if (readStr(4) !== "MThd") {
+      throw new Error("Not a MIDI file");
+    }
+    const headerLen = readU32();
+    const format = readU16();
+    const numTracks = readU16();
+    const division = readU16();
+    if (division & 0x8000) {
+      throw new Error("SMPTE time format is not supported.");
+    }
+    offset += Math.max(0, headerLen - 6);
+
+    const tracks = [];
+
+    for (let t = 0; t < numTracks; t++) {
+      if (readStr(4) !== "MTrk") {
+        throw new Error("Invalid MIDI track header");
+      }
+      const trackLen = readU32();
+      const trackEnd = offset + trackLen;
+      let absTicks = 0;
+      let runningStatus = null;
+      let order = 0;
+      const events = [];
+
+      while (offset < trackEnd) {
+        const { value: delta, length } = readVarLen(view, offset);
+        offset += length;
+        absTicks += delta;
+        let statusByte = view.getUint8(offset);
+        if (statusByte < 0x80 && runningStatus !== null) {
+          statusByte = runningStatus;
+        } else {
+          offset += 1;
+          runningStatus = statusByte;
+        }
+
+        if (statusByte === 0xff) {
+          const metaType = view.getUint8(offset);
+          offset += 1;
+          const metaLen = readVarLen(view, offset);
+          offset += metaLen.length;
+          const data = new Uint8Array(buffer.slice(offset, offset + metaLen.value));
+          offset += metaLen.value;
+          const bytesOut = [
+            0xff,
+            metaType,
+            ...writeVarLen(metaLen.value),
+            ...Array.from(data)
+          ];
+          events.push({ tick: absTicks, order: order++, bytes: bytesOut });
+          continue;
+        }
+
+        if (statusByte === 0xf0 || statusByte === 0xf7) {
+          const sysLen = readVarLen(view, offset);
+          offset += sysLen.length;
+          const data = new Uint8Array(buffer.slice(offset, offset + sysLen.value));
+          offset += sysLen.value;
+          const bytesOut = [statusByte, ...writeVarLen(sysLen.value), ...Array.from(data)];
+          events.push({ tick: absTicks, order: order++, bytes: bytesOut });
+          continue;
+        }
+
+        const type = statusByte & 0xf0;
+        if (type === 0xc0 || type === 0xd0) {
+          const data0 = view.getUint8(offset);
+          offset += 1;
+          events.push({
+            tick: absTicks,
+            order: order++,
+            bytes: [statusByte, data0 & 0x7f]
+          });
+          continue;
+        }
+
+        const data0 = view.getUint8(offset);
+        const data1 = view.getUint8(offset + 1);
+        offset += 2;
+        const bytesOut = [statusByte, data0 & 0x7f, data1 & 0x7f];
+        events.push({ tick: absTicks, order: order++, bytes: bytesOut });
+      }
+
+      tracks.push(events);
+    }
+    return { format, numTracks, division, tracks };
+  }
+
+  function writeMidiTrackEvents(format, division, trackEvents) {
+    const tracks = trackEvents.map((events) => {
+      let lastTick = 0;
+      const trackBytes = [];
+      events.forEach((event) => {
+        const delta = Math.max(0, event.tick - lastTick);
+        trackBytes.push(...writeVarLen(delta), ...event.bytes);
+        lastTick = event.tick;
+      });
+      return Uint8Array.from(trackBytes);
+    });
+    const numTracks = tracks.length;
+    const totalLength = 14 + tracks.reduce((sum, track) => sum + 8 + track.length, 0);
+    const out = new Uint8Array(totalLength);
+    const outView = new DataView(out.buffer);
+    out.set([0x4d, 0x54, 0x68, 0x64], 0);
+    writeUint32BE(outView, 4, 6);
+    out[8] = (format >> 8) & 0xff;
+    out[9] = format & 0xff;
+    out[10] = (numTracks >> 8) & 0xff;
+    out[11] = numTracks & 0xff;
+    out[12] = (division >> 8) & 0xff;
+    out[13] = division & 0xff;
+    let cursor = 14;
+    tracks.forEach((track) => {
+      out.set([0x4d, 0x54, 0x72, 0x6b], cursor);
+      writeUint32BE(outView, cursor + 4, track.length);
+      out.set(track, cursor + 8);
+      cursor += 8 + track.length;
+    });
+    return out;
+  }
+
+  function shiftMidiTicks(midiBytes, shiftTicks, forceEndTick) {
+    const shift = Number.isFinite(shiftTicks) ? Math.max(0, Math.round(shiftTicks)) : 0;
+    if (!shift) return midiBytes;
+    const { format, division, tracks } = readMidiTrackEvents(midiBytes);
+    const shifted = tracks.map((events) => {
+      const endEvents = events.filter(isEndOfTrackEvent);
+      const activeEvents = events
+        .filter((event) => !isEndOfTrackEvent(event))
+        .map((event) => ({ ...event, tick: Math.max(0, event.tick - shift) }));
+      activeEvents.sort((a, b) => (a.tick !== b.tick ? a.tick - b.tick : a.order - b.order));
+      let maxTick = activeEvents.length ? activeEvents[activeEvents.length - 1].tick : 0;
+      const targetEndTick = Number.isFinite(forceEndTick)
+        ? Math.max(maxTick, forceEndTick)
+        : maxTick;
+      if (!endEvents.length) {
+        endEvents.push({
+          tick: targetEndTick,
+          order: Number.MAX_SAFE_INTEGER,
+          bytes: [0xff, 0x2f, 0x00]
+        });
+      } else {
+        endEvents.forEach((event, idx) => {
+          event.tick = targetEndTick;
+          event.order = Number.MAX_SAFE_INTEGER + idx;
+        });
+      }
+      return activeEvents.concat(endEvents);
+    });
+    return writeMidiTrackEvents(format, division, shifted);
+  }
+
+  // The setting an event before a section's cut changes, so only the last one of each is replayed:
+  // one per meta type (tempo, meter, key, track name), per controller and channel, and per channel
+  // for program, pressure and pitch bend. Sysex setup is kept whole. Null for events that belong
+  // to their moment: text, lyric, marker and cue metas, and note aftertouch.
+  function getSectionStateKey(event) {
+    const status = event.bytes[0];
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    if (status === 0xff) return SECTION_TEXT_METAS.has(event.bytes[1]) ? null : "meta-" + event.bytes[1];
+    if (status === 0xf0 || status === 0xf7) return "sysex-" + event.order;
+    if (type === 0xb0) return "controller-" + channel + "-" + event.bytes[1];
+    if (type === 0xc0) return "program-" + channel;
+    if (type === 0xd0) return "pressure-" + channel;
+    if (type === 0xe0) return "bend-" + channel;
+    return null;
+  }
+
+  // Cuts [startTick, endTick) out of a MIDI file. The state set before the cut is replayed at
+  // tick 0 (see getSectionStateKey); notes are kept when they start inside and end at endTick.
+  function sliceMidiTicks(midiBytes, startTick, endTick) {
+    const { format, division, tracks } = readMidiTrackEvents(midiBytes);
+    const sliced = tracks.map((events) => {
+      const openNotes = new Map();
+      const state = new Map();
+      const kept = [];
+      events.forEach((event) => {
+        if (isEndOfTrackEvent(event)) return;
+        const status = event.bytes[0];
+        const type = status & 0xf0;
+        if (status < 0xf0 && (type === 0x90 || type === 0x80)) {
+          const key = (status & 0x0f) + "-" + event.bytes[1];
+          const open = openNotes.get(key) || 0;
+          if (type === 0x90 && event.bytes[2] > 0) {
+            if (event.tick < startTick || event.tick >= endTick) return;
+            openNotes.set(key, open + 1);
+            kept.push({ ...event, tick: event.tick - startTick });
+          } else if (open) {
+            openNotes.set(key, open - 1);
+            kept.push({ ...event, tick: Math.min(event.tick, endTick) - startTick });
+          }
+          return;
+        }
+        if (event.tick >= endTick) return;
+        if (event.tick < startTick) {
+          const key = getSectionStateKey(event);
+          if (key) state.set(key, { ...event, tick: 0 });
+          return;
+        }
+        kept.push({ ...event, tick: event.tick - startTick });
+      });
+      kept.push(...state.values());
+      kept.sort((a, b) => (a.tick !== b.tick ? a.tick - b.tick : a.order - b.order));
+      const lastTick = kept.length ? kept[kept.length - 1].tick : 0;
+      const endTickInSlice = Number.isFinite(endTick) ? Math.max(lastTick, endTick - startTick) : lastTick;
+      return kept.concat({ tick: endTickInSlice, order: Number.MAX_SAFE_INTEGER, bytes: [0xff, 0x2f, 0x00] });
+    });
+    return writeMidiTrackEvents(format, division, sliced);
+  }
+
+  function shortenMidiNotes(midiBytes, factor, chordTicks, gateMode, forceEndTick, shiftTicks) {
+    const bytes = midiBytes instanceof Uint8Array ? midiBytes : new Uint8Array(midiBytes);
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    const view = new DataView(buffer);
+    let offset = 0;
+    const gateTicks = normalizeChordTicks(chordTicks);
+    const shift = Number.isFinite(shiftTicks) ? Math.max(0, Math.round(shiftTicks)) : 0;
+
+    function readStr(len) {
+      let s = "";
+      for (let i = 0; i < len; i++) {
+        s += String.fromCharCode(view.getUint8(offset + i));
+      }
+      offset += len;
+      return s;
+    }
+
+    function readU32() {
+      const v = view.getUint32(offset, false);
+      offset += 4;
+      return v;
+    }
+
+    function readU16() {
+      const v = view.getUint16(offset, false);
+      offset += 2;
+      return v;
+    }
+
+    if (readStr(4) !== "MThd") {
+      throw new Error("Not a MIDI file");
+    }
+    const headerLen = readU32();
+    const format = readU16();
+    const numTracks = readU16();
+    const division = readU16();
+    if (division & 0x8000) {
+      throw new Error("SMPTE time format is not supported.");
+    }
+    offset += Math.max(0, headerLen - 6);
+
+    const tracks = [];
+
+    for (let t = 0; t < numTracks; t++) {
+      if (readStr(4) !== "MTrk") {
+        throw new Error("Invalid MIDI track header");
+      }
+      const trackLen = readU32();
+      const trackEnd = offset + trackLen;
+      let absTicks = 0;
+      let runningStatus = null;
+      let order = 0;
+      const events = [];
+
+      while (offset < trackEnd) {
+        const { value: delta, length } = readVarLen(view, offset);
+        offset += length;
+        absTicks += delta;
+        let statusByte = view.getUint8(offset);
+        if (statusByte < 0x80 && runningStatus !== null) {
+          statusByte = runningStatus;
+        } else {
+          offset += 1;
+          runningStatus = statusByte;
+        }
+
+        if (statusByte === 0xff) {
+          const metaType = view.getUint8(offset);
+          offset += 1;
+          const metaLen = readVarLen(view, offset);
+          offset += metaLen.length;
+          const data = new Uint8Array(buffer.slice(offset, offset + metaLen.value));
+          offset += metaLen.value;
+          const bytesOut = [
+            0xff,
+            metaType,
+            ...writeVarLen(metaLen.value),
+            ...Array.from(data)
+          ];
+          events.push({ tick: absTicks, order: order++, bytes: bytesOut });
+          continue;
+        }
+
+        if (statusByte === 0xf0 || statusByte === 0xf7) {
+          const sysLen = readVarLen(view, offset);
+          offset += sysLen.length;
+          const data = new Uint8Array(buffer.slice(offset, offset + sysLen.value));
+          offset += sysLen.value;
+          const bytesOut = [statusByte, ...writeVarLen(sysLen.value), ...Array.from(data)];
+          events.push({ tick: absTicks, order: order++, bytes: bytesOut });
+          continue;
+        }
+
+        const type = statusByte & 0xf0;
+        const channel = statusByte & 0x0f;
+        if (type === 0xc0 || type === 0xd0) {
+          const data0 = view.getUint8(offset);
+          offset += 1;
+          events.push({
+            tick: absTicks,
+            order: order++,
+            bytes: [statusByte, data0 & 0x7f]
+          });
+          continue;
+        }
+
+        const data0 = view.getUint8(offset);
+        const data1 = view.getUint8(offset + 1);
+        offset += 2;
+        const bytesOut = [statusByte, data0 & 0x7f, data1 & 0x7f];
+        const isNote = type === 0x90 || type === 0x80;
+        const isOn = type === 0x90 && data1 > 0;
+        events.push({
+          tick: absTicks,
+          order: order++,
+          bytes: bytesOut,
+          note: isNote ? data0 : null,
+          channel: isNote ? channel : null,
+          isOn: isNote ? isOn : null,
+          isNote
+        });
+      }
+
+      const stacks = new Map();
+      events.forEach((event) => {
+        if (!event.isNote) return;
+        const key = `${event.channel}-${event.note}`;
+        if (event.isOn) {
+          if (!stacks.has(key)) stacks.set(key, []);
+          stacks.get(key).push(event.tick);
+        } else {
+          const stack = stacks.get(key);
+          if (stack && stack.length) {
+            const onTick = stack.pop();
+            const duration = event.tick - onTick;
+            if (duration > 0) {
+              const newDuration = Math.max(1, Math.round(duration * factor));
+              let offTick = onTick + newDuration;
+              if (gateTicks) {
+                const gateTick = getNextChordTick(onTick, gateTicks);
+                if (gateTick !== null && gateTick > onTick) {
+                  const clampTick = Math.max(onTick + 1, gateTick - 1);
+                  if (gateMode === "toNext") {
+                    offTick = clampTick;
+                  } else {
+                    const span = gateTick - onTick;
+                    const spanDuration = Math.max(1, Math.round(span * factor));
+                    offTick = Math.min(onTick + spanDuration, offTick, clampTick);
+                  }
+                }
+              }
+              event.tick = offTick;
+            }
+          }
+        }
+      });
+
+      const trimTick = getTrimTickFromEvents(events);
+      let effectiveTrimTick = trimTick;
+      if (Number.isFinite(forceEndTick)) {
+        const forced = Math.max(0, Math.round(forceEndTick));
+        if (effectiveTrimTick === null || forced > effectiveTrimTick) {
+          effectiveTrimTick = forced;
+        }
+      }
+      const endEvents = events.filter(isEndOfTrackEvent);
+      let activeEvents = events.filter((event) => !isEndOfTrackEvent(event));
+      if (effectiveTrimTick !== null) {
+        activeEvents = activeEvents.filter((event) => event.tick <= effectiveTrimTick);
+      }
+      activeEvents.sort((a, b) => (a.tick !== b.tick ? a.tick - b.tick : a.order - b.order));
+      let maxTick = effectiveTrimTick !== null
+        ? effectiveTrimTick
+        : (activeEvents.length ? activeEvents[activeEvents.length - 1].tick : 0);
+      if (shift) {
+        activeEvents.forEach((event) => {
+          event.tick = Math.max(0, event.tick - shift);
+        });
+        maxTick = Math.max(0, maxTick - shift);
+      }
+      if (!endEvents.length) {
+        endEvents.push({ tick: maxTick, order: Number.MAX_SAFE_INTEGER, bytes: [0xff, 0x2f, 0x00] });
+      } else {
+        endEvents.forEach((event, idx) => {
+          event.tick = maxTick;
+          event.order = Number.MAX_SAFE_INTEGER + idx;
+        });
+      }
+      const finalEvents = activeEvents.concat(endEvents);
+
+      let lastTick = 0;
+      const trackBytes = [];
+      finalEvents.forEach((event) => {
+        const delta = Math.max(0, event.tick - lastTick);
+        trackBytes.push(...writeVarLen(delta), ...event.bytes);
+        lastTick = event.tick;
+      });
+      tracks.push(Uint8Array.from(trackBytes));
+    }
+
+    const totalLength =
+      14 + tracks.reduce((sum, track) => sum + 8 + track.length, 0);
+    const out = new Uint8Array(totalLength);
+    const outView = new DataView(out.buffer);
+    out.set([0x4d, 0x54, 0x68, 0x64], 0);
+    writeUint32BE(outView, 4, 6);
+    out[8] = (format >> 8) & 0xff;
+    out[9] = format & 0xff;
+    out[10] = (numTracks >> 8) & 0xff;
+    out[11] = numTracks & 0xff;
+    out[12] = (division >> 8) & 0xff;
+    out[13] = division & 0xff;
+    let cursor = 14;
+    tracks.forEach((track) => {
+      out.set([0x4d, 0x54, 0x72, 0x6b], cursor);
+      writeUint32BE(outView, cursor + 4, track.length);
+      out.set(track, cursor + 8);
+      cursor += 8 + track.length;
+    });
+    return out;
+  }
+
+  function isEndOfTrackEvent(event) {
+    return !!(
+      event &&
+      event.bytes &&
+      event.bytes.length === 3 &&
+      event.bytes[0] === 0xff &&
+      event.bytes[1] === 0x2f
+    );
+  }
+
+  function getTrimTickFromEvents(events) {
+    let lastNoteOn = null;
+    let lastNoteOff = null;
+    let lastAny = null;
+    events.forEach((event) => {
+      if (event && typeof event.tick === "number") {
+        if (!isEndOfTrackEvent(event)) {
+          if (lastAny === null || event.tick > lastAny) lastAny = event.tick;
+        }
+        if (event.isNote) {
+          if (event.isOn) {
+            if (lastNoteOn === null || event.tick > lastNoteOn) lastNoteOn = event.tick;
+          } else {
+            if (lastNoteOff === null || event.tick > lastNoteOff) lastNoteOff = event.tick;
+          }
+        }
+      }
+    });
+    if (lastNoteOff !== null && lastNoteOn !== null) {
+      return Math.max(lastNoteOff, lastNoteOn);
+    }
+    if (lastNoteOff !== null) return lastNoteOff;
+    if (lastNoteOn !== null) return lastNoteOn;
+    return lastAny;
+  }
+
+  function getLastNoteTick(noteEvents) {
+    if (!Array.isArray(noteEvents) || !noteEvents.length) return null;
+    let last = null;
+    noteEvents.forEach((event) => {
+      if (event && typeof event.tick === "number") {
+        if (last === null || event.tick > last) last = event.tick;
+      }
+    });
+    return last;
+  }
+
+  function getFirstChordTick(chords) {
+    if (!Array.isArray(chords) || !chords.length) return null;
+    let first = null;
+    chords.forEach((chord) => {
+      if (chord && typeof chord.tick === "number") {
+        if (first === null || chord.tick < first) first = chord.tick;
+      }
+    });
+    return first;
+  }
+
+  function getFirstNoteOnTick(noteEvents) {
+    if (!Array.isArray(noteEvents) || !noteEvents.length) return null;
+    let first = null;
+    noteEvents.forEach((event) => {
+      if (event && event.on && typeof event.tick === "number") {
+        if (first === null || event.tick < first) first = event.tick;
+      }
+    });
+    return first;
+  }
+
+  function shiftChordTicks(chords, shiftTicks) {
+    const shift = Number.isFinite(shiftTicks) ? Math.max(0, Math.round(shiftTicks)) : 0;
+    if (!shift || !Array.isArray(chords)) return chords;
+    return chords.map((chord) => {
+      if (!chord || !Number.isFinite(chord.tick)) return chord;
+      return { ...chord, tick: Math.max(0, chord.tick - shift) };
+    });
+  }
+
+  function isMidiBytes(data) {
+    if (!data) return false;
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    if (bytes.length < 4) return false;
+    return bytes[0] === 0x4d && bytes[1] === 0x54 && bytes[2] === 0x68 && bytes[3] === 0x64;
+  }
+
+  function getMidiActualLength(midiBytes) {
+    const bytes = midiBytes instanceof Uint8Array ? midiBytes : new Uint8Array(midiBytes);
+    if (bytes.length < 14) return bytes.length;
+    if (!isMidiBytes(bytes)) return bytes.length;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 0;
+    const headerLen = view.getUint32(4, false);
+    const numTracks = view.getUint16(10, false);
+    offset = 8 + headerLen;
+    let total = offset;
+    for (let t = 0; t < numTracks; t++) {
+      if (offset + 8 > bytes.length) return bytes.length;
+      if (
+        bytes[offset] !== 0x4d ||
+        bytes[offset + 1] !== 0x54 ||
+        bytes[offset + 2] !== 0x72 ||
+        bytes[offset + 3] !== 0x6b
+      ) {
+        return bytes.length;
+      }
+      const len = view.getUint32(offset + 4, false);
+      total = offset + 8 + len;
+      offset = total;
+    }
+    return Math.min(total, bytes.length);
+  }
+
+  function normalizeMidiBytes(midiBytes) {
+    if (!midiBytes) return midiBytes;
+    const bytes = midiBytes instanceof Uint8Array ? midiBytes : new Uint8Array(midiBytes);
+    const actual = getMidiActualLength(bytes);
+    if (actual >= bytes.length) return bytes;
+    return bytes.slice(0, actual);
+  }
+
+  async function buildAiffFromChords(
+    chords,
+    ppq,
+    midiBytes,
+    includeSequNotes,
+    noteEvents,
+    gateToNext,
+    noteRecordMode,
+    meterMap
+  ) {
+    let endTick = null;
+    if (gateToNext && midiBytes) {
+      try {
+        endTick = parseMidiTiming(midiBytes).lastTick;
+      } catch (err) {
+        endTick = null;
+      }
+    }
+    const sequResult = buildSequChunk(
+      chords,
+      SEQU_INFO,
+      ppq,
+      includeSequNotes,
+      noteEvents,
+      gateToNext,
+      endTick,
+      noteRecordMode,
+      meterMap
+    );
+    if (!sequResult.encodedCount) {
+      throw new Error("No supported chords detected for AIFF encoding.");
+    }
+    const normalizedMidi = midiBytes ? normalizeMidiBytes(midiBytes) : null;
+    if (normalizedMidi && !isMidiBytes(normalizedMidi)) {
+      throw new Error("Embedded MIDI is invalid.");
+    }
+    const outputBytes = buildAiff(sequResult.bytes, normalizedMidi);
+    if (normalizedMidi) {
+      validateAiffMidi(outputBytes);
+    }
+    return {
+      outputBytes,
+      encodedCount: sequResult.encodedCount,
+      problems: verifyAiffOutput(outputBytes, chords, ppq, normalizedMidi, meterMap)
+    };
+  }
+
+  function detectMidiChords(midiInfo, options) {
+    const soundingEvents = applyPedalHolds(midiInfo.noteEvents, midiInfo.pedalEvents, options);
+    const sources = splitNoteSources(soundingEvents, options);
+    const meterMap = buildMeterMap(midiInfo.timeSignatures, midiInfo.ppq);
+    const keyInfo = estimateKey(soundingEvents, midiInfo.ppq, meterMap);
+    const windowTicks = getChordWindowTicks(sources.harmony, midiInfo.ppq, options.chordWindowFactor);
+    const detected = snapChordsToGrid(
+      detectChords(sources.harmony, options, windowTicks, keyInfo, meterMap, sources.bass),
+      meterMap,
+      options.gridSnap
+    );
+    const embedded = options.chordSource === "detect" ? [] : listEmbeddedChords(midiInfo);
+    const chords = embedded.length ? fillChordGaps(embedded, detected, meterMap) : detected;
+    return { keyInfo, meterMap, chords };
+  }
+
+  function getLeadingTrimTicks(chords, noteEvents, meterMap, gridSnap) {
+    const firstChordTick = getFirstChordTick(chords);
+    const firstNoteTick = getFirstNoteOnTick(noteEvents);
+    let baseShift = null;
+    if (Number.isFinite(firstNoteTick) && Number.isFinite(firstChordTick)) {
+      baseShift = Math.min(firstNoteTick, firstChordTick);
+    } else if (Number.isFinite(firstNoteTick)) {
+      baseShift = firstNoteTick;
+    } else if (Number.isFinite(firstChordTick)) {
+      baseShift = firstChordTick;
+    }
+    let shiftTicks = Number.isFinite(baseShift) && baseShift > 0 ? baseShift : 0;
+    if (shiftTicks && gridSnap !== "off") {
+      shiftTicks = getBarStartTick(meterMap, shiftTicks);
+    }
+    return shiftTicks;
+  }
+
+  async function buildAiffFromMidi(midiBytes, midiInfo, chords, meterMap, options) {
+    const preserveOriginal = !!options.preserveOriginal;
+    const shiftTicks = options.trimLeading
+      ? getLeadingTrimTicks(chords, midiInfo.noteEvents, meterMap, options.gridSnap)
+      : 0;
+    const gateToNext = !preserveOriginal && !!options.gateToNext;
+    const originalEndTick = !preserveOriginal ? getLastNoteTick(midiInfo.noteEvents) : null;
+    const outputMidi = preserveOriginal
+      ? (shiftTicks ? shiftMidiTicks(midiBytes, shiftTicks) : midiBytes)
+      : shortenMidiNotes(
+          midiBytes,
+          options.noteLengthFactor > 0 ? options.noteLengthFactor : NOTE_LENGTH_FACTOR,
+          getChordTicks(chords),
+          gateToNext ? "toNext" : null,
+          originalEndTick,
+          shiftTicks
+        );
+    const aiffResult = await buildAiffFromChords(
+      shiftTicks ? shiftChordTicks(chords, shiftTicks) : chords,
+      midiInfo.ppq,
+      outputMidi,
+      preserveOriginal,
+      midiInfo.noteEvents,
+      gateToNext,
+      preserveOriginal ? "logic" : null,
+      shiftMeterMap(meterMap, shiftTicks)
+    );
+    return { ...aiffResult, shiftTicks };
+  }
+
+  function listMidiSections(midiInfo, meterMap, options) {
+    const mode = options.splitMode || "off";
+    const noteOnTicks = midiInfo.noteEvents.filter((event) => event.on).map((event) => event.tick);
+    const lastTick = noteOnTicks.reduce((max, tick) => Math.max(max, tick), 0);
+    let starts = [];
+    if (mode === "markers") {
+      starts = (midiInfo.markers || [])
+        .filter((marker) => marker.type === "marker" || options.splitCues)
+        .map((marker) => ({ tick: marker.tick, name: marker.text }));
+    } else if (mode === "bars") {
+      const span = Math.max(1, Math.round(options.splitBars) || DEFAULT_SPLIT_BARS);
+      for (let bar = 0; getTickAtBars(meterMap, bar) <= lastTick; bar += span) {
+        starts.push({ tick: getTickAtBars(meterMap, bar), name: "Bars " + (bar + 1) + "-" + (bar + span) });
+      }
+    }
+    starts = starts.filter((start, index) => starts.findIndex((other) => other.tick === start.tick) === index);
+    if (!starts.length || starts[0].tick > 0) starts.unshift({ tick: 0, name: "" });
+    return starts
+      .map((start, index) => ({
+        name: start.name,
+        startTick: start.tick,
+        endTick: index + 1 < starts.length ? starts[index + 1].tick : Infinity
+      }))
+      .filter((section) => noteOnTicks.some((tick) => tick >= section.startTick && tick < section.endTick))
+      .map((section, index) => ({ ...section, index, name: section.name || "Section " + (index + 1) }));
+  }
+
+  // A chord still sounding when the section starts is repeated at its first tick.
+  function sliceChordsToSection(chords, startTick, endTick) {
+    const inside = chords
+      .filter((chord) => chord.tick >= startTick && chord.tick < endTick)
+      .map((chord) => ({ ...chord, tick: chord.tick - startTick }));
+    const before = chords.filter((chord) => chord.tick < startTick);
+    const carried = before.length ? before[before.length - 1] : null;
+    if (carried && carried.name !== "N.C." && (!inside.length || inside[0].tick > 0)) {
+      inside.unshift({ ...carried, tick: 0 });
+    }
+    return inside;
+  }
+
+  async function buildAiffSections(midiBytes, midiInfo, chords, meterMap, options) {
+    const results = [];
+    for (const section of listMidiSections(midiInfo, meterMap, options)) {
+      const sectionBytes = sliceMidiTicks(midiBytes, section.startTick, section.endTick);
+      const sectionInfo = parseMidiNoteEvents(sectionBytes.buffer, options);
+      const sectionMeterMap = buildMeterMap(sectionInfo.timeSignatures, sectionInfo.ppq);
+      const sectionChords = sliceChordsToSection(chords, section.startTick, section.endTick);
+      const startBar = formatBarBeat(meterMap, section.startTick);
+      if (!sectionChords.some((chord) => getChordEncoding(chord.name).parsed)) {
+        results.push({ ...section, startBar, chords: sectionChords, meterMap: sectionMeterMap, skipped: "no chords" });
+        continue;
+      }
+      // Sections keep the time up to their first note, so each region starts on its marker.
+      const aiffResult = await buildAiffFromMidi(sectionBytes, sectionInfo, sectionChords, sectionMeterMap, {
+        ...options,
+        trimLeading: false
+      });
+      results.push({ ...section, startBar, chords: sectionChords, meterMap: sectionMeterMap, ...aiffResult });
+    }
+    return results;
+  }
+
+  // A chord chart as text: bars between "|" (a line break also ends a bar), "%" repeats the
+  // previous bar, "|: ... :|" repeats a passage (":| x3" plays it three times), "/" holds the
+  // previous chord for a beat and "Am7:3" gives a chord three beats; chords without beats share
+  // the rest of their bar equally. "3/4" in a bar changes the meter from that bar, "[Verse]" marks
+  // a section, and "tempo: 96" or "meter: 6/8" lines apply from the next bar. Beats count the
+  // lower number of the meter (eighths in 6/8). Lines starting with "#" are comments.
+  function parseChordChart(text) {
+    const ppq = DEFAULT_PPQ;
+    const errors = [];
+    const bars = [];
+    let meter = { ...DEFAULT_METER };
+    let bpm = CHART_DEFAULT_BPM;
+    let marker = null;
+    let repeatStart = 0;
+
+    const readMeter = (value, lineNumber) => {
+      const match = value.match(/^(\d{1,2})\/(\d{1,2})$/);
+      const numerator = match ? Number(match[1]) : 0;
+      const denominator = match ? Number(match[2]) : 0;
+      if (!numerator || ![1, 2, 4, 8, 16, 32].includes(denominator)) {
+        errors.push("Line " + lineNumber + ': "' + value + '" is not a meter.');
+        return;
+      }
+      if (numerator !== meter.numerator || denominator !== meter.denominator) meter = { numerator, denominator };
+    };
+
+    const closeBar = (tokens, lineNumber, betweenBarLines) => {
+      const items = [];
+      let repeatsPrevious = false;
+      tokens.forEach((token) => {
+        if (/^\[.*\]$/.test(token)) {
+          marker = token.slice(1, -1).trim() || null;
+        } else if (/^\d+\/\d+$/.test(token)) {
+          readMeter(token, lineNumber);
+        } else if (token === "%") {
+          repeatsPrevious = true;
+        } else if (token === "/") {
+          items.push({ name: null, beats: null });
+        } else {
+          const match = token.match(/^(.+?)(?::(\d+(?:\.\d+)?))?$/);
+          const name = readChordSymbol(match[1]);
+          if (!name) {
+            errors.push("Line " + lineNumber + ': "' + token + '" is not a chord.');
+            return;
+          }
+          items.push({ name, beats: match[2] ? Number(match[2]) : null });
+        }
+      });
+      if (repeatsPrevious) {
+        if (items.length || !bars.length) {
+          errors.push("Line " + lineNumber + ': "%" must be alone in a bar and follow another bar.');
+        } else {
+          items.push(...bars[bars.length - 1].items);
+        }
+      }
+      if (!items.length && !betweenBarLines) return;
+      bars.push({ items, lineNumber, meter, bpm, marker });
+      marker = null;
+    };
+
+    String(text || "")
+      .split(/\r?\n/)
+      .forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+        if (!line || line.startsWith("#")) return;
+        const setting = line.match(/^(tempo|bpm|meter|time)\s*[:=]\s*(.+)$/i);
+        if (setting) {
+          const value = setting[2].trim();
+          if (/^(?:meter|time)$/i.test(setting[1])) {
+            readMeter(value, lineNumber);
+          } else if (Number(value) >= 20 && Number(value) <= 400) {
+            bpm = Number(value);
+          } else {
+            errors.push("Line " + lineNumber + ': "' + value + '" is not a tempo (20-400 BPM).');
+          }
+          return;
+        }
+        let tokens = [];
+        let afterBarLine = false;
+        (line.match(/\[[^\]]*\]|:?\|+:?(?:\s*[x×]\s*\d+)?|[^\s|:[]+(?::[\d.]+)?|\S/g) || []).forEach((token) => {
+          const barLine = token.match(/^(:?)\|+(:?)(?:\s*[x×]\s*(\d+))?$/);
+          if (!barLine) {
+            tokens.push(token);
+            return;
+          }
+          closeBar(tokens, lineNumber, afterBarLine);
+          tokens = [];
+          afterBarLine = true;
+          if (barLine[1]) {
+            const passage = bars.slice(repeatStart).map((bar) => ({ ...bar, marker: null }));
+            const times = barLine[3] ? Number(barLine[3]) : 2;
+            for (let i = 1; i < times; i++) bars.push(...passage);
+            repeatStart = bars.length;
+          }
+          if (barLine[2]) repeatStart = bars.length;
+        });
+        closeBar(tokens, lineNumber, false);
+      });
+
+    const timeline = layoutChartBars(bars, ppq, errors);
+    if (!errors.length && !timeline.chords.length) errors.push("The chart has no chords.");
+    if (errors.length) {
+      throw new Error("Invalid chord chart:\n" + errors.join("\n"));
+    }
+    return { ppq, ...timeline };
+  }
+
+  // Chart bars ({ items: [{ name, beats }], meter, bpm, marker }) laid out by tick. Items without
+  // beats share what is left of their bar, a null name holds the chord before it and a chord
+  // that repeats the one before it is merged.
+  function layoutChartBars(bars, ppq, errors) {
+    const chords = [];
+    const timeSignatures = [];
+    const tempos = [];
+    const markers = [];
+    let tick = 0;
+    bars.forEach((bar, index) => {
+      const previous = index ? bars[index - 1] : null;
+      if (!previous || previous.meter !== bar.meter) {
+        timeSignatures.push({ tick, numerator: bar.meter.numerator, denominator: bar.meter.denominator });
+      }
+      if (!previous || previous.bpm !== bar.bpm) tempos.push({ tick, bpm: bar.bpm });
+      if (bar.marker) markers.push({ tick, text: bar.marker });
+      const unitTicks = (4 * ppq) / bar.meter.denominator;
+      const setBeats = bar.items.reduce((sum, item) => sum + (item.beats || 0), 0);
+      const openCount = bar.items.filter((item) => !item.beats).length;
+      const openBeats = bar.meter.numerator - setBeats;
+      if (openBeats < 0 || (openCount && openBeats <= 0)) {
+        const meterName = bar.meter.numerator + "/" + bar.meter.denominator;
+        errors.push("Line " + bar.lineNumber + ": the chords need more than the " + meterName + " bar.");
+      }
+      let beat = 0;
+      bar.items.forEach((item) => {
+        const last = chords[chords.length - 1];
+        if (item.name && (!last || last.name !== item.name)) {
+          chords.push({ tick: Math.round(tick + beat * unitTicks), name: item.name, source: "chart" });
+        }
+        beat += item.beats || openBeats / openCount;
+      });
+      tick += bar.meter.numerator * unitTicks;
+    });
+    return { chords, timeSignatures, tempos, markers, endTick: Math.round(tick) };
+  }
+
+  // iReal Pro shares songs as irealb:// links (in its HTML exports too). A playlist joins songs
+  // with "===" and ends with its name; each song is "Title=Composer==Style=Key==Music=Groove=BPM"
+  // with the chart scrambled after "1r34LbKcu7". Older irealbook:// links carry plain charts.
+  function parseIRealSongs(text) {
+    const songs = [];
+    (String(text || "").match(/irealb(?:ook)?:\/\/[^"'<>\s]+/g) || []).forEach((link) => {
+      const scrambled = link.startsWith("irealb://");
+      let data;
+      try {
+        data = decodeURIComponent(link.replace(/^irealb(?:ook)?:\/\//, ""));
+      } catch (err) {
+        data = "";
+      }
+      const parts = data.split("===");
+      if (parts.length > 1) parts.pop();
+      parts.forEach((part) => {
+        const fields = part.split("=");
+        if (fields.length < 6) return;
+        const music = scrambled ? unscrambleIRealMusic((fields[6] || "").split(IREAL_MUSIC_PREFIX)[1] || "") : fields[5];
+        songs.push({
+          title: fields[0].trim().replace(/^(.*), (The|A|An)$/, "$2 $1"),
+          composer: fields[1].trim(),
+          style: (scrambled ? fields[3] : fields[2]).trim(),
+          key: (scrambled ? fields[4] : fields[3]).trim(),
+          bpm: scrambled ? Number(fields[8]) || null : null,
+          music
+        });
+      });
+    });
+    return songs;
+  }
+
+  // The chart is scrambled in 50-character blocks (the first and last five characters swapped,
+  // then characters 10-23 with 26-39), and common sequences are shortened.
+  function unscrambleIRealMusic(text) {
+    let rest = text;
+    let music = "";
+    while (rest.length > 51) {
+      const block = rest.slice(0, 50).split("");
+      const swapped = block.slice();
+      for (let i = 0; i < 50; i++) {
+        if (i < 5 || (i >= 10 && i < 24)) {
+          swapped[i] = block[49 - i];
+          swapped[49 - i] = block[i];
+        }
+      }
+      music += swapped.join("");
+      rest = rest.slice(50);
+    }
+    return (music + rest).replace(/Kcl/g, "| x").replace(/LZ/g, " |").replace(/XyQ/g, "   ");
+  }
+
+  // An iReal Pro song (from parseIRealSongs) as a chart, played once through: repeats and their
+  // endings ("N1", "N2", "<3x>" for more passes), "x" and "r" (repeat one or two bars), D.C. and
+  // D.S. al Coda/al Fine, and the coda, taken at the first coda sign as on iReal's last chorus.
+  // Chords in a bar split it like iReal does: one per half bar, three in 4/4 as 2+1+1.
+  function parseIRealChart(song) {
+    const ppq = DEFAULT_PPQ;
+    const errors = [];
+    const bpm = song.bpm >= 20 && song.bpm <= 400 ? song.bpm : CHART_DEFAULT_BPM;
+    const bars = [];
+    let meter = { ...DEFAULT_METER };
+    let bar = { items: [] };
+    let lastName = null;
+    let openBar = false;
+
+    const closeBar = (barLine) => {
+      const hasContent = bar.items.length || bar.repeatBars;
+      if (hasContent || (openBar && barLine && !/[[{]/.test(barLine))) {
+        bars.push({ ...bar, meter });
+        bar = { items: [] };
+      }
+      const last = bars[bars.length - 1];
+      if (barLine === "{") bar.repeatStart = true;
+      if (barLine === "}" && last) last.repeatEnd = true;
+      if (barLine === "]" && last) last.sectionEnd = true;
+      if (barLine === "Z" && last) last.final = true;
+      openBar = /[|[{]/.test(barLine);
+    };
+
+    ((song.music || "").match(IREAL_TOKEN_PATTERN) || []).forEach((token) => {
+      if (/^[|[\]{}Z]$/.test(token)) {
+        closeBar(token);
+      } else if (/^\*/.test(token)) {
+        bar.marker = IREAL_SECTIONS[token[1]] || token[1];
+      } else if (/^T\d\d$/.test(token)) {
+        const next =
+          token === "T12"
+            ? { numerator: 12, denominator: 8 }
+            : { numerator: Number(token[1]), denominator: Number(token[2]) };
+        if (next.numerator !== meter.numerator || next.denominator !== meter.denominator) meter = next;
+      } else if (/^N\d$/.test(token)) {
+        bar.ending = Number(token[1]) || 1;
+      } else if (token.startsWith("<")) {
+        const comment = token.slice(1, -1).replace(/^\*\d+/, "").trim();
+        const jump = comment.match(/D\.?\s*([CS])\.?/i);
+        const times = comment.match(/(\d+)\s*x\b/i);
+        if (jump) {
+          bar.jump = { segno: jump[1].toUpperCase() === "S", coda: /coda/i.test(comment), fine: /fine/i.test(comment) };
+        } else if (/^fine$/i.test(comment)) {
+          bar.fine = true;
+        }
+        if (times) bar.times = Number(times[1]);
+      } else if (token === "S") {
+        bar.segno = true;
+      } else if (token === "Q") {
+        bar.coda = true;
+      } else if (token === "U") {
+        bar.stop = true;
+      } else if (token === "x" || token === "r") {
+        bar.repeatBars = token === "x" ? 1 : 2;
+      } else if (token === "n") {
+        bar.items.push({ name: "N.C." });
+      } else if (token === "p") {
+        bar.items.push({ name: null });
+      } else if (/^W/.test(token)) {
+        const bass = token.match(/\/([A-G][b#]?)/);
+        const base = lastName && lastName !== "N.C." ? lastName.replace(/\/.*$/, "") : null;
+        bar.items.push({ name: base && bass ? readChordSymbol(base + "/" + bass[1]) : null });
+      } else if (/^[A-G]/.test(token) || token.length > 1) {
+        const chord = token.replace(/\(.*$/, "");
+        const match = chord.match(/^([A-G][b#]?)([^/]*)(\/.*)?$/);
+        const quality = match
+          ? match[2]
+              .replace(/^h9/, "m9b5")
+              .replace(/^h7?/, "m7b5")
+              .replace(/^-\^(?!\d)/, "mmaj7")
+              .replace(/^-\^/, "mmaj")
+          : "";
+        const name = match ? readChordSymbol(match[1] + quality + (match[3] || "")) : null;
+        if (!name) errors.push('"' + chord + '" is not a chord.');
+        lastName = name || lastName;
+        bar.items.push({ name });
+      }
+    });
+    closeBar("");
+
+    const played = [];
+    const seen = new Set();
+    const passes = new Map();
+    const codaStart = bars.reduce((found, entry, index) => (entry.coda ? index : found), -1);
+    const codaJump = bars.findIndex((entry) => entry.coda);
+    const hasJump = bars.some((entry) => entry.jump);
+    let index = 0;
+    let repeatStart = 0;
+    let jumped = null;
+    let heldBars = null;
+    while (index < bars.length) {
+      const entry = bars[index];
+      if (entry.repeatStart) repeatStart = index;
+      if (index === codaJump && codaJump < codaStart && (hasJump ? jumped && jumped.coda : true)) {
+        index = codaStart;
+        continue;
+      }
+      if (entry.ending) {
+        let end = index;
+        const endsHere = (other, next) =>
+          other.repeatEnd || other.sectionEnd || other.final || !next || next.repeatStart || next.ending;
+        while (!endsHere(bars[end], bars[end + 1])) end++;
+        const pass = jumped ? Infinity : (passes.get(end) || 0) + 1;
+        if (bars[end].repeatEnd && entry.ending !== pass) {
+          index = end + 1;
+          repeatStart = index;
+          continue;
+        }
+      }
+      let items = entry.items;
+      if (entry.repeatBars && played.length >= entry.repeatBars) {
+        items = played[played.length - entry.repeatBars].items;
+        heldBars = entry.repeatBars === 2 ? played[played.length - 1].items : null;
+      } else {
+        if (heldBars && !items.length) items = heldBars;
+        heldBars = null;
+      }
+      played.push({
+        items: distributeIRealBeats(items, entry.meter),
+        meter: entry.meter,
+        bpm,
+        marker: seen.has(index) ? null : entry.marker
+      });
+      seen.add(index);
+      if (entry.stop || (jumped && jumped.fine && entry.fine)) break;
+      if (entry.repeatEnd && !jumped) {
+        const passBars = bars.slice(repeatStart, index + 1);
+        const times = passBars.reduce((most, other) => Math.max(most, other.times || 0), 0) || 2;
+        const pass = (passes.get(index) || 0) + 1;
+        if (pass < times) {
+          passes.set(index, pass);
+          index = repeatStart;
+          continue;
+        }
+        passes.delete(index);
+        repeatStart = index + 1;
+      }
+      if (entry.jump && !jumped) {
+        jumped = entry.jump;
+        index = entry.jump.segno ? Math.max(0, bars.findIndex((other) => other.segno)) : 0;
+        repeatStart = index;
+        continue;
+      }
+      if (entry.final) {
+        if (codaStart > index && !seen.has(codaStart)) {
+          index = codaStart;
+          continue;
+        }
+        break;
+      }
+      index++;
+    }
+
+    const timeline = layoutChartBars(played, ppq, errors);
+    if (!errors.length && !timeline.chords.length) errors.push("The chart has no chords.");
+    if (errors.length) {
+      throw new Error('Invalid iReal Pro chart "' + song.title + '":\n' + errors.join("\n"));
+    }
+    return { ppq, title: song.title, ...timeline };
+  }
+
+  function distributeIRealBeats(items, meter) {
+    if (!items.length || items.length > meter.numerator) return items.map((item) => ({ name: item.name, beats: null }));
+    const base = Math.floor(meter.numerator / items.length);
+    const extra = meter.numerator - base * items.length;
+    return items.map((item, index) => ({ name: item.name, beats: base + (index < extra ? 1 : 0) }));
+  }
+
+  // ChordPro has no timing, so each chord over the lyrics ("[Am]Some [F]words") gets a bar, and
+  // grid lines ({start_of_grid}) are read like chart bars with "." holding a beat. Directives
+  // become chart lines ({tempo}, {time}, sections as markers, {chorus} repeating the last
+  // chorus), one per line, so errors keep their line numbers.
+  function parseChordPro(text) {
+    let title = null;
+    let block = null;
+    let chorus = [];
+    let collecting = null;
+    const lines = String(text || "")
+      .split(/\r?\n/)
+      .map((rawLine) => {
+        const line = rawLine.trim();
+        const directive = line.match(/^\{\s*([a-z_]+)\s*(?:[:\s]\s*(.*?))?\s*\}$/i);
+        if (directive) {
+          const name = CHORDPRO_DIRECTIVES[directive[1].toLowerCase()] || directive[1].toLowerCase();
+          const value = (directive[2] || "").trim();
+          const label = (value.match(/label="([^"]*)"/) || [null, value])[1].trim();
+          if (name === "title") title = title || value;
+          if (name === "tempo") return "tempo: " + value;
+          if (name === "time") return "meter: " + value;
+          if (/^start_of_(tab|grid|chorus|verse|bridge)$/.test(name)) {
+            block = name.slice(9);
+            if (block === "chorus") chorus = collecting = [];
+            if (block === "tab" || block === "grid") return "";
+            return "[" + (label || block[0].toUpperCase() + block.slice(1)) + "]";
+          }
+          if (/^end_of_/.test(name)) {
+            if (name === "end_of_chorus") collecting = null;
+            block = null;
+          }
+          if (name === "chorus") return chorus.length ? "[" + (label || "Chorus") + "] " + chorus.join("") : "";
+          return "";
+        }
+        if (block === "tab" || !line || line.startsWith("#")) return "";
+        let bars;
+        if (block === "grid") {
+          const grid = line.slice(line.indexOf("|"), line.lastIndexOf("|") + 1);
+          bars = grid
+            .split(/\s+/)
+            .map((token) => (token === "." ? "/" : token.replace(/^(:?\|+)\.$/, "$1")))
+            .join(" ")
+            .replace(/%(?:\s+\/)+/g, "%");
+        } else {
+          const chords = (line.match(/\[[^\]]*\]/g) || [])
+            .map((token) => token.slice(1, -1).trim())
+            .filter((name) => name && !name.startsWith("*"));
+          bars = chords.length ? "| " + chords.join(" | ") + " |" : "";
+        }
+        if (collecting && bars) collecting.push(bars);
+        return bars;
+      });
+    return { ...parseChordChart(lines.join("\n")), title };
+  }
+
+  // The songs in a chart file: every song of an iReal Pro link or playlist, or one ChordPro
+  // (.cho, .chordpro, .chopro, .crd or .pro, or any text with {directives}) or plain chord chart.
+  // Each is { title, format, chart }, or { title, format, error } when it can't be read.
+  function parseChartSongs(text, fileName) {
+    const source = String(text || "");
+    const readSong = (title, format, parse) => {
+      try {
+        const chart = parse();
+        return { title: chart.title || title, format, chart };
+      } catch (err) {
+        return { title, format, error: err.message };
+      }
+    };
+    if (/irealb(?:ook)?:\/\//.test(source)) {
+      return parseIRealSongs(source).map((song) => readSong(song.title, "ireal", () => parseIRealChart(song)));
+    }
+    if (/\.(?:cho|chordpro|chopro|crd|pro)$/i.test(fileName || "") || /^\s*\{\s*[a-z_]+\s*(?:[:\s][^}]*)?\}\s*$/im.test(source)) {
+      const title = source.match(/^\s*\{\s*(?:title|t)\s*:\s*(.*?)\s*\}/im);
+      return [readSong(title ? title[1] : null, "chordpro", () => parseChordPro(source))];
+    }
+    return [readSong(null, "chart", () => parseChordChart(source))];
+  }
+
+  function encodeMetaText(text) {
+    if (typeof TextEncoder !== "undefined") return Array.from(new TextEncoder().encode(text));
+    return Array.from(text, (char) => char.charCodeAt(0) & 0xff);
+  }
+
+  // Block chords for a parsed chart, each held until the next chord, with the chart's tempo,
+  // meter, section markers and title.
+  function buildChartMidi(chart) {
+    const titleBytes = encodeMetaText(chart.title || "Chord chart");
+    const events = [{ tick: 0, order: 0, bytes: [0xff, 0x03, ...writeVarLen(titleBytes.length), ...titleBytes] }];
+    chart.tempos.forEach((tempo) => {
+      const micros = Math.round(60000000 / tempo.bpm);
+      const tempoBytes = [(micros >> 16) & 0xff, (micros >> 8) & 0xff, micros & 0xff];
+      events.push({ tick: tempo.tick, order: 0, bytes: [0xff, 0x51, 0x03, ...tempoBytes] });
+    });
+    chart.timeSignatures.forEach((ts) => {
+      events.push({ tick: ts.tick, order: 0, bytes: [0xff, 0x58, 0x04, ts.numerator, Math.log2(ts.denominator), 24, 8] });
+    });
+    chart.markers.forEach((marker) => {
+      const textBytes = encodeMetaText(marker.text);
+      events.push({ tick: marker.tick, order: 0, bytes: [0xff, 0x06, ...writeVarLen(textBytes.length), ...textBytes] });
+    });
+    chart.chords.forEach((chord, index) => {
+      const parsed = chord.name === "N.C." ? null : parseChordName(chord.name);
+      if (!parsed) return;
+      const endTick = index + 1 < chart.chords.length ? chart.chords[index + 1].tick : chart.endTick;
+      buildChordNotes(parsed.rootPc, parsed.quality, parsed.bassPc).forEach((note) => {
+        events.push({ tick: chord.tick, order: 2, bytes: [0x90, note, CHART_VELOCITY] });
+        events.push({ tick: endTick, order: 1, bytes: [0x80, note, 0] });
+      });
+    });
+    events.push({ tick: chart.endTick, order: 3, bytes: [0xff, 0x2f, 0x00] });
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    return writeMidiTrackEvents(0, chart.ppq, [events]);
+  }
+
+  // Builds from chart text, or from a chart parsed by parseIRealChart, parseChordPro or
+  // parseChartSongs.
+  async function buildAiffFromChart(input, options) {
+    const chart = typeof input === "string" ? parseChordChart(input) : input;
+    const midiBytes = buildChartMidi(chart);
+    const midiInfo = parseMidiNoteEvents(midiBytes.buffer, options);
+    const meterMap = buildMeterMap(chart.timeSignatures, chart.ppq);
+    const aiffResult = await buildAiffFromChords(
+      chart.chords,
+      chart.ppq,
+      midiBytes,
+      false,
+      midiInfo.noteEvents,
+      false,
+      null,
+      meterMap
+    );
+    return {
+      ...aiffResult,
+      chart,
+      chords: chart.chords,
+      keyInfo: estimateKey(midiInfo.noteEvents, chart.ppq, meterMap),
+      meterMap,
+      midiBytes
+    };
+  }
+
+  // Just enough XML for MusicXML: elements, attributes, text and CDATA. Comments, processing
+  // instructions and the doctype are skipped.
+  function parseXml(text) {
+    const root = { name: "", attrs: {}, children: [], text: "" };
+    const stack = [root];
+    const pattern =
+      /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const current = stack[stack.length - 1];
+      if (match[1] !== undefined) {
+        current.text += match[1];
+      } else if (match[2]) {
+        if (current.name !== match[2]) throw new Error("MusicXML is not well-formed: unexpected </" + match[2] + ">.");
+        stack.pop();
+      } else if (match[3]) {
+        const attrs = {};
+        (match[4].match(/[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*')/g) || []).forEach((attr) => {
+          const split = attr.indexOf("=");
+          attrs[attr.slice(0, split).trim()] = decodeXmlText(attr.slice(split + 1).trim().slice(1, -1));
+        });
+        const element = { name: match[3], attrs, children: [], text: "" };
+        current.children.push(element);
+        if (!match[5]) stack.push(element);
+      } else if (match[6]) {
+        current.text += decodeXmlText(match[6]);
+      }
+    }
+    if (stack.length > 1) throw new Error("MusicXML is not well-formed: <" + stack[stack.length - 1].name + "> is not closed.");
+    return root;
+  }
+
+  function decodeXmlText(text) {
+    const entities = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] !== "#") return entities[code] ?? entity;
+      return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+    });
+  }
+
+  function escapeXmlText(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  function getXmlChild(element, name) {
+    return (element && element.children.find((child) => child.name === name)) || null;
+  }
+
+  function getXmlChildren(element, name) {
+    return element ? element.children.filter((child) => child.name === name) : [];
+  }
+
+  function getXmlText(element, name) {
+    const child = getXmlChild(element, name);
+    return child ? child.text.trim() : "";
+  }
+
+  function readMusicXmlNote(step, alter) {
+    if (ROOT_TO_PC[step] === undefined || step.length !== 1) return null;
+    return spellNote(step, Math.round(Number(alter) || 0));
+  }
+
+  // A <degree> adds a tone (relative to a dominant chord: 7 is the minor seventh), or alters or
+  // removes the chord's own tone of that degree.
+  function applyMusicXmlDegree(intervals, value, alter, type) {
+    const base = MUSICXML_DEGREE_SEMITONES[value];
+    if (base === undefined) return;
+    const own = (MUSICXML_DEGREE_TONES[value] || []).find((tone) => intervals.has(tone));
+    if (type === "add" || own === undefined) {
+      if (type !== "subtract") intervals.add((base + alter + 12) % 12);
+      return;
+    }
+    intervals.delete(own);
+    if (type === "alter") intervals.add((own + alter + 12) % 12);
+  }
+
+  // The chord vocabulary entry with exactly these tones, else the kind's usual symbol as
+  // normalizeQuality reads it.
+  function readMusicXmlHarmony(harmony) {
+    const root = getXmlChild(harmony, "root");
+    const kindElement = getXmlChild(harmony, "kind");
+    if (!root || !kindElement) return null;
+    const kind = kindElement.text.trim();
+    if (kind === "none") return "N.C.";
+    const rootName = readMusicXmlNote(getXmlText(root, "root-step"), getXmlText(root, "root-alter"));
+    if (!rootName) return null;
+    const known = MUSICXML_KINDS[kind];
+    const intervals = new Set(known ? known.intervals : [0]);
+    const degrees = getXmlChildren(harmony, "degree");
+    degrees.forEach((degree) => {
+      const alter = Math.round(Number(getXmlText(degree, "degree-alter")) || 0);
+      applyMusicXmlDegree(intervals, Number(getXmlText(degree, "degree-value")), alter, getXmlText(degree, "degree-type"));
+    });
+    const key = Array.from(intervals).sort((a, b) => a - b).join(",");
+    const pattern = getChordVocabulary().patterns.find(
+      (entry) => Array.from(new Set(entry.intervals)).sort((a, b) => a - b).join(",") === key
+    );
+    let quality = pattern ? pattern.name : null;
+    if (quality === null && !known && !degrees.length && kindElement.attrs.text) {
+      const symbol = readChordSymbol(rootName + kindElement.attrs.text);
+      quality = symbol ? parseChordName(symbol).quality : null;
+    }
+    if (quality === null) quality = normalizeQuality(known ? known.symbol : "");
+    const bass = getXmlChild(harmony, "bass");
+    const bassName = bass ? readMusicXmlNote(getXmlText(bass, "bass-step"), getXmlText(bass, "bass-alter")) : null;
+    return rootName + quality + (bassName && bassName !== rootName ? "/" + bassName : "");
+  }
+
+  // A part-wise MusicXML score as notes per part, <harmony> chords, time signatures, tempos and
+  // rehearsal marks, all by tick. Repeats are played straight through, as written.
+  function parseMusicXml(text) {
+    const score = getXmlChild(parseXml(String(text || "")), "score-partwise");
+    if (!score) throw new Error("Not a part-wise MusicXML score (no <score-partwise>).");
+    const ppq = DEFAULT_PPQ;
+    const partInfo = new Map();
+    getXmlChildren(getXmlChild(score, "part-list"), "score-part").forEach((part) => {
+      const channel = Number(getXmlText(getXmlChild(part, "midi-instrument"), "midi-channel")) - 1;
+      partInfo.set(part.attrs.id, { name: getXmlText(part, "part-name"), channel });
+    });
+    const parts = [];
+    const chords = [];
+    const timeSignatures = [];
+    const tempos = [];
+    const markers = [];
+    let endTick = 0;
+    getXmlChildren(score, "part").forEach((part, partIndex) => {
+      const info = partInfo.get(part.attrs.id) || { name: "", channel: -1 };
+      // Channel 10 is left to drums.
+      const channel = info.channel >= 0 && info.channel < 16 ? info.channel : (partIndex + (partIndex >= 9 ? 1 : 0)) % 16;
+      const notes = [];
+      const openTies = new Map();
+      let divisions = 1;
+      let meter = { ...DEFAULT_METER };
+      let velocity = MUSICXML_VELOCITY;
+      let measureTick = 0;
+      const readSound = (sound, tick) => {
+        if (Number(sound.attrs.tempo) > 0) tempos.push({ tick, bpm: Number(sound.attrs.tempo) });
+        if (Number(sound.attrs.dynamics) >= 0) velocity = Math.round((Number(sound.attrs.dynamics) * 90) / 100);
+      };
+      getXmlChildren(part, "measure").forEach((measure) => {
+        const toTicks = (value) => Math.round(((Number(value) || 0) * ppq) / divisions);
+        let cursor = 0;
+        let noteStart = 0;
+        let measureEnd = 0;
+        measure.children.forEach((element) => {
+          const tick = measureTick + cursor;
+          if (element.name === "attributes") {
+            divisions = Number(getXmlText(element, "divisions")) || divisions;
+            const time = getXmlChild(element, "time");
+            const numerator = time ? getXmlText(time, "beats").split("+").reduce((sum, beats) => sum + (Number(beats) || 0), 0) : 0;
+            const denominator = time ? Number(getXmlText(time, "beat-type")) : 0;
+            if (numerator > 0 && denominator > 0) {
+              meter = { numerator, denominator };
+              if (!partIndex) timeSignatures.push({ tick, numerator, denominator });
+            }
+          } else if (element.name === "backup") {
+            cursor = Math.max(0, cursor - toTicks(getXmlText(element, "duration")));
+          } else if (element.name === "forward") {
+            cursor += toTicks(getXmlText(element, "duration"));
+          } else if (element.name === "note") {
+            const duration = getXmlChild(element, "grace") ? 0 : toTicks(getXmlText(element, "duration"));
+            const start = getXmlChild(element, "chord") ? noteStart : cursor;
+            noteStart = start;
+            cursor = start + duration;
+            const pitch = getXmlChild(element, "pitch");
+            const note = pitch
+              ? (Number(getXmlText(pitch, "octave")) + 1) * 12 +
+                ROOT_TO_PC[getXmlText(pitch, "step")] +
+                Math.round(Number(getXmlText(pitch, "alter")) || 0)
+              : NaN;
+            if (!duration || !(note >= 0 && note <= 127)) return;
+            const ties = getXmlChildren(element, "tie").map((tie) => tie.attrs.type);
+            let span = openTies.get(note);
+            if (ties.includes("stop") && span && span.end === measureTick + start) {
+              span.end = measureTick + start + duration;
+            } else {
+              const noteVelocity = Number(element.attrs.dynamics) >= 0 ? Math.round((Number(element.attrs.dynamics) * 90) / 100) : velocity;
+              span = { start: measureTick + start, end: measureTick + start + duration, note, velocity: noteVelocity };
+              notes.push(span);
+            }
+            if (ties.includes("start")) openTies.set(note, span);
+            else openTies.delete(note);
+          } else if (element.name === "harmony") {
+            const name = readMusicXmlHarmony(element);
+            if (name) chords.push({ tick: tick + toTicks(getXmlText(element, "offset")), name, source: "musicxml" });
+          } else if (element.name === "direction") {
+            const directionTick = tick + toTicks(getXmlText(element, "offset"));
+            getXmlChildren(element, "direction-type").forEach((type) => {
+              getXmlChildren(type, "rehearsal").forEach((mark) => {
+                if (mark.text.trim()) markers.push({ tick: directionTick, text: mark.text.trim() });
+              });
+            });
+            const sound = getXmlChild(element, "sound");
+            if (sound) readSound(sound, directionTick);
+          } else if (element.name === "sound") {
+            readSound(element, tick);
+          }
+          measureEnd = Math.max(measureEnd, cursor);
+        });
+        // An empty measure still lasts a full bar.
+        measureTick += measureEnd || Math.round((meter.numerator * 4 * ppq) / meter.denominator);
+      });
+      endTick = Math.max(endTick, measureTick);
+      parts.push({ name: info.name, channel, notes: notes.map((span) => ({ ...span, velocity: Math.max(1, Math.min(127, span.velocity)) })) });
+    });
+    const firstAtTick = (list) =>
+      list.sort((a, b) => a.tick - b.tick).filter((entry, index) => index === 0 || entry.tick !== list[index - 1].tick);
+    return {
+      ppq,
+      title: getXmlText(getXmlChild(score, "work"), "work-title") || getXmlText(score, "movement-title"),
+      parts,
+      chords: firstAtTick(chords),
+      timeSignatures,
+      tempos: firstAtTick(tempos),
+      markers: firstAtTick(markers),
+      endTick
+    };
+  }
+
+  // A format 1 MIDI file for a parsed score: tempo, meter, rehearsal marks and the harmony as
+  // text events on the first track, then one track per part.
+  function buildMusicXmlMidi(score) {
+    const textEvent = (tick, type, text) => {
+      const bytes = encodeMetaText(text);
+      return { tick, order: 0, bytes: [0xff, type, ...writeVarLen(bytes.length), ...bytes] };
+    };
+    const endOfTrack = { tick: score.endTick, order: 3, bytes: [0xff, 0x2f, 0x00] };
+    const conductor = score.title ? [textEvent(0, 0x03, score.title)] : [];
+    score.tempos.forEach((tempo) => {
+      const micros = Math.round(60000000 / tempo.bpm);
+      const tempoBytes = [(micros >> 16) & 0xff, (micros >> 8) & 0xff, micros & 0xff];
+      conductor.push({ tick: tempo.tick, order: 0, bytes: [0xff, 0x51, 0x03, ...tempoBytes] });
+    });
+    score.timeSignatures.forEach((ts) => {
+      conductor.push({ tick: ts.tick, order: 0, bytes: [0xff, 0x58, 0x04, ts.numerator, Math.log2(ts.denominator), 24, 8] });
+    });
+    score.markers.forEach((marker) => conductor.push(textEvent(marker.tick, 0x06, marker.text)));
+    score.chords.forEach((chord) => conductor.push(textEvent(chord.tick, 0x01, chord.name)));
+    const tracks = [[...conductor, endOfTrack]];
+    score.parts
+      .filter((part) => part.notes.length)
+      .forEach((part) => {
+        const events = part.name ? [textEvent(0, 0x03, part.name)] : [];
+        part.notes.forEach((span) => {
+          events.push({ tick: span.start, order: 2, bytes: [0x90 | part.channel, span.note, span.velocity] });
+          events.push({ tick: span.end, order: 1, bytes: [0x80 | part.channel, span.note, 0] });
+        });
+        tracks.push([...events, endOfTrack]);
+      });
+    tracks.forEach((events) => events.sort((a, b) => a.tick - b.tick || a.order - b.order));
+    return writeMidiTrackEvents(1, score.ppq, tracks);
+  }
+
+  // Reads MusicXML like parseMidiNoteEvents reads MIDI, through the MIDI file built from it
+  // (midiBytes). Its harmony becomes chordSymbols, which listEmbeddedChords uses as it is.
+  function parseMusicXmlNoteEvents(text, options) {
+    const score = parseMusicXml(text);
+    const midiBytes = buildMusicXmlMidi(score);
+    return { ...parseMidiNoteEvents(midiBytes.buffer, options), midiBytes, chordSymbols: score.chords, title: score.title };
+  }
+
+  function getMusicXmlHarmony(name) {
+    if (name === "N.C.") return { rootName: "C", kind: "none", text: "N.C.", bassName: null, degrees: [] };
+    const parsed = parseChordName(name);
+    if (!parsed) return null;
+    const rootName = name.match(/^[A-G][b#]?/)[0];
+    const bassMatch = parsed.bassPc !== null ? name.match(/\/([A-G][b#]?)$/) : null;
+    const entry = MUSICXML_QUALITY_KINDS[parsed.quality];
+    if (entry) {
+      const [kind, ...degrees] = entry.split(" ");
+      return { rootName, kind, text: parsed.quality, bassName: bassMatch ? bassMatch[1] : null, degrees };
+    }
+    // Custom chords are spelled out tone by tone.
+    const degrees = getQualityIntervals(parsed.quality)
+      .filter((interval) => interval % 12)
+      .map((interval) => "add" + MUSICXML_SEMITONE_DEGREES[interval % 12]);
+    return { rootName, kind: "other", text: parsed.quality, bassName: bassMatch ? bassMatch[1] : null, degrees };
+  }
+
+  // <step>/<alter>, or <root-step>/<root-alter> and so on with a prefix.
+  function formatMusicXmlPitch(noteName, prefix) {
+    const alter = noteName[1] === "#" ? 1 : noteName[1] === "b" ? -1 : 0;
+    const step = prefix ? prefix + "-step" : "step";
+    const alterTag = prefix ? prefix + "-alter" : "alter";
+    return "<" + step + ">" + noteName[0] + "</" + step + ">" + (alter ? "<" + alterTag + ">" + alter + "</" + alterTag + ">" : "");
+  }
+
+  function formatMusicXmlHarmony(chord, offset) {
+    const harmony = getMusicXmlHarmony(chord.name);
+    if (!harmony) return "";
+    const degrees = harmony.degrees.map((token) => {
+      const [, type, accidental, value] = token.match(/^(add|alter|subtract)([b#]?)(\d+)$/);
+      const alter = accidental === "#" ? 1 : accidental === "b" ? -1 : 0;
+      return (
+        "<degree><degree-value>" + value + "</degree-value><degree-alter>" + alter + "</degree-alter>" +
+        "<degree-type>" + type + "</degree-type></degree>"
+      );
+    });
+    return (
+      "<harmony>" +
+      "<root>" + formatMusicXmlPitch(harmony.rootName, "root") + "</root>" +
+      '<kind text="' + escapeXmlText(harmony.text) + '">' + harmony.kind + "</kind>" +
+      (harmony.bassName ? "<bass>" + formatMusicXmlPitch(harmony.bassName, "bass") + "</bass>" : "") +
+      degrees.join("") +
+      (offset ? "<offset>" + offset + "</offset>" : "") +
+      "</harmony>"
+    );
+  }
+
+  // The top line of the melody notes (the sources left out of chord detection, or every note),
+  // on a sixteenth-note grid.
+  function getMelodyLine(noteEvents, ppq, options) {
+    const excluded = new Set(Array.isArray(options.harmonyExclude) ? options.harmonyExclude : []);
+    const events = excluded.size ? (noteEvents || []).filter((ev) => excluded.has(getNoteSourceKey(ev))) : noteEvents;
+    const grid = Math.max(1, Math.round(ppq / 4));
+    const snap = (tick) => Math.round(tick / grid) * grid;
+    const spans = buildNoteSpans(events)
+      .map((span) => ({ start: snap(span.start), end: Math.max(snap(span.end), snap(span.start) + grid), note: span.note }))
+      .sort((a, b) => a.start - b.start || b.note - a.note);
+    const line = [];
+    spans.forEach((span) => {
+      const last = line[line.length - 1];
+      if (last && last.start === span.start) return;
+      if (last && last.end > span.start) last.end = span.start;
+      line.push(span);
+    });
+    return line;
+  }
+
+  // Note values (in sixteenths) a duration is tied together from.
+  function splitMusicXmlDuration(ticks, ppq) {
+    const sixteenth = ppq / 4;
+    let left = Math.round(ticks / sixteenth);
+    const pieces = [];
+    MUSICXML_NOTE_TYPES.forEach(([length, type, dotted]) => {
+      while (left >= length) {
+        pieces.push({ ticks: length * sixteenth, type, dotted });
+        left -= length;
+      }
+    });
+    return pieces;
+  }
+
+  function getMusicXmlFifths(keyInfo, preferFlats) {
+    if (!keyInfo || !keyInfo.key) return 0;
+    const majorPc = keyInfo.key.mode === "minor" ? (keyInfo.key.tonicPc + 3) % 12 : keyInfo.key.tonicPc;
+    const fifths = (majorPc * 7) % 12;
+    if (fifths === 6) return getNoteNamesForKey(keyInfo.key, preferFlats)[majorPc].endsWith("b") ? -6 : 6;
+    return fifths > 6 ? fifths - 12 : fifths;
+  }
+
+  // A lead sheet: the chords as <harmony> symbols over a slash part (one slash per beat) or,
+  // with options.part "melody", over the melody taken from options.noteEvents. It runs to the
+  // bar holding the last chord or note, or options.endTick when that is later.
+  function buildMusicXml(chords, meterMap, options = {}) {
+    const ppq = options.ppq || DEFAULT_PPQ;
+    const melody = options.part === "melody" ? getMelodyLine(options.noteEvents, ppq, options) : null;
+    const noteNames = getNoteNamesForKey(options.keyInfo ? options.keyInfo.key : null, options.preferFlats);
+    const lastChord = chords.length ? chords[chords.length - 1].tick + 1 : 0;
+    const lastNote = (options.noteEvents || []).reduce((max, event) => Math.max(max, event.tick), 0);
+    const lastMelody = melody && melody.length ? melody[melody.length - 1].end : 0;
+    const lastTick = Math.max(lastChord, lastNote, options.endTick || 0, lastMelody, 1);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+      '<score-partwise version="4.0">',
+      "  <work><work-title>" + escapeXmlText(options.title || "Chords") + "</work-title></work>",
+      "  <part-list>",
+      '    <score-part id="P1"><part-name>' + (melody ? "Melody" : "Chords") + "</part-name></score-part>",
+      "  </part-list>",
+      '  <part id="P1">'
+    ];
+    let segmentIndex = -1;
+    for (let bar = 0; getTickAtBars(meterMap, bar) < lastTick; bar++) {
+      const start = getTickAtBars(meterMap, bar);
+      const end = getTickAtBars(meterMap, bar + 1);
+      const segment = meterMap[getMeterSegmentIndex(meterMap, start)];
+      const events = [];
+      if (melody) {
+        let tick = start;
+        melody
+          .filter((span) => span.end > start && span.start < end)
+          .forEach((span) => {
+            if (span.start > tick) events.push({ start: tick, end: span.start, note: null });
+            events.push({ start: Math.max(span.start, start), end: Math.min(span.end, end), note: span.note, span });
+            tick = Math.min(span.end, end);
+          });
+        if (tick < end) events.push({ start: tick, end, note: null });
+      } else {
+        for (let tick = start; tick < end; tick += segment.beatTicks) {
+          events.push({ start: tick, end: Math.min(tick + segment.beatTicks, end), note: "slash" });
+        }
+      }
+      lines.push('    <measure number="' + (bar + 1) + '">');
+      if (getMeterSegmentIndex(meterMap, start) !== segmentIndex) {
+        segmentIndex = getMeterSegmentIndex(meterMap, start);
+        lines.push(
+          "      <attributes>" +
+            (bar ? "" : "<divisions>" + ppq + "</divisions><key><fifths>" + getMusicXmlFifths(options.keyInfo, options.preferFlats) + "</fifths></key>") +
+            "<time><beats>" + segment.numerator + "</beats><beat-type>" + segment.denominator + "</beat-type></time>" +
+            (bar ? "" : "<clef><sign>G</sign><line>2</line></clef>") +
+            "</attributes>"
+        );
+      }
+      events.forEach((event) => {
+        let pieceStart = event.start;
+        const pieces = splitMusicXmlDuration(event.end - event.start, ppq);
+        pieces.forEach((piece, pieceIndex) => {
+          const pieceEnd = pieceIndex === pieces.length - 1 ? event.end : pieceStart + piece.ticks;
+          chords
+            .filter((chord) => chord.tick >= pieceStart && chord.tick < pieceEnd)
+            .forEach((chord) => lines.push("      " + formatMusicXmlHarmony(chord, chord.tick - pieceStart)));
+          const tiedBefore = event.span && (pieceIndex > 0 || event.span.start < event.start);
+          const tiedAfter = event.span && (pieceIndex < pieces.length - 1 || event.span.end > event.end);
+          let pitch = "<rest/>";
+          if (event.note === "slash") {
+            pitch = "<pitch><step>B</step><octave>4</octave></pitch>";
+          } else if (event.note !== null) {
+            const name = noteNames[event.note % 12];
+            pitch = "<pitch>" + formatMusicXmlPitch(name, "") + "<octave>" + (Math.floor(event.note / 12) - 1) + "</octave></pitch>";
+          }
+          lines.push(
+            "      <note>" +
+              pitch +
+              "<duration>" + piece.ticks + "</duration>" +
+              (tiedBefore ? '<tie type="stop"/>' : "") +
+              (tiedAfter ? '<tie type="start"/>' : "") +
+              "<voice>1</voice><type>" + piece.type + "</type>" +
+              (piece.dotted ? "<dot/>" : "") +
+              (event.note === "slash" ? "<stem>none</stem><notehead>slash</notehead>" : "") +
+              (tiedBefore || tiedAfter
+                ? "<notations>" + (tiedBefore ? '<tied type="stop"/>' : "") + (tiedAfter ? '<tied type="start"/>' : "") + "</notations>"
+                : "") +
+              "</note>"
+          );
+          pieceStart = pieceEnd;
+        });
+      });
+      lines.push("    </measure>");
+    }
+    lines.push("  </part>", "</score-partwise>", "");
+    return lines.join("\n");
+  }
+
+  // A Format 1 MIDI file of the chords for other DAWs and notation apps: the original tracks
+  // (only their meta events with options.keepTracks false), then a "Chords" track of block chords
+  // with each symbol as a text event (a marker with options.chordSymbols "marker") and, with
+  // options.bassTrack, a "Bass" track playing each chord's bass. Both take channels the file
+  // doesn't use, and every chord lasts until the next one.
+  function buildChordMidiFile(midiBytes, chords, options = {}) {
+    const source = readMidiTrackEvents(midiBytes);
+    const tracks = source.tracks.map((events) =>
+      options.keepTracks === false ? events.filter((event) => event.bytes[0] === 0xff) : events
+    );
+    const endTick = tracks.reduce(
+      (end, events) => events.reduce((last, event) => Math.max(last, event.tick), end),
+      0
+    );
+    const usedChannels = new Set();
+    tracks.forEach((events) =>
+      events.forEach((event) => {
+        if (event.bytes[0] >= 0x80 && event.bytes[0] < 0xf0) usedChannels.add(event.bytes[0] & 0x0f);
+      })
+    );
+    const freeChannels = [...Array(16).keys()].filter((channel) => channel !== 9 && !usedChannels.has(channel));
+    const chordChannel = freeChannels.length ? freeChannels[0] : 0;
+    const bassChannel = freeChannels.length > 1 ? freeChannels[1] : chordChannel;
+    const symbolType = options.chordSymbols === "marker" ? 0x06 : 0x01;
+    const sorted = chords.filter((chord) => Number.isFinite(chord.tick)).sort((a, b) => a.tick - b.tick);
+    const nameEvent = (name) => {
+      const nameBytes = encodeMetaText(name);
+      return { tick: 0, order: 0, bytes: [0xff, 0x03, ...writeVarLen(nameBytes.length), ...nameBytes] };
+    };
+    const chordEvents = [nameEvent("Chords")];
+    const bassEvents = [nameEvent("Bass"), { tick: 0, order: 0, bytes: [0xc0 | bassChannel, MIDI_EXPORT_BASS_PROGRAM] }];
+    const trackEnd = Math.max(endTick, sorted.length ? sorted[sorted.length - 1].tick + 1 : 0);
+    sorted.forEach((chord, index) => {
+      const textBytes = encodeMetaText(chord.name);
+      const symbolBytes = [0xff, symbolType, ...writeVarLen(textBytes.length), ...textBytes];
+      chordEvents.push({ tick: chord.tick, order: 0, bytes: symbolBytes });
+      const parsed = chord.name === "N.C." ? null : parseChordName(chord.name);
+      const offTick = index + 1 < sorted.length ? sorted[index + 1].tick : trackEnd;
+      if (!parsed || offTick <= chord.tick) return;
+      buildChordNotes(parsed.rootPc, parsed.quality, parsed.bassPc).forEach((note) => {
+        chordEvents.push({ tick: chord.tick, order: 2, bytes: [0x90 | chordChannel, note, MIDI_EXPORT_VELOCITY] });
+        chordEvents.push({ tick: offTick, order: 1, bytes: [0x80 | chordChannel, note, 0] });
+      });
+      const bassPc = parsed.bassPc === null ? parsed.rootPc : parsed.bassPc;
+      const bassNote = (bassPc >= 4 ? 24 : 36) + bassPc;
+      bassEvents.push({ tick: chord.tick, order: 2, bytes: [0x90 | bassChannel, bassNote, MIDI_EXPORT_VELOCITY] });
+      bassEvents.push({ tick: offTick, order: 1, bytes: [0x80 | bassChannel, bassNote, 0] });
+    });
+    const added = options.bassTrack ? [chordEvents, bassEvents] : [chordEvents];
+    added.forEach((events) => {
+      events.push({ tick: trackEnd, order: 3, bytes: [0xff, 0x2f, 0x00] });
+      events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+    });
+    return writeMidiTrackEvents(1, source.division, [...tracks, ...added]);
+  }
+
+  // Every chord with its tick, bar.beat (from the meter map) and time in seconds (from the MIDI's
+  // tempo map), split into root, quality and bass, for the JSON, CSV and timed-text exports.
+  function buildChordList(chords, meterMap, midiBytes, options = {}) {
+    const timing = parseMidiTiming(midiBytes);
+    const ppq = timing.ppq || DEFAULT_PPQ;
+    const secondsAt = (tick) => {
+      let seconds = 0;
+      let prevTick = 0;
+      let tempo = 500000;
+      timing.tempos.forEach((entry) => {
+        if (entry.tick >= tick) return;
+        seconds += ((entry.tick - prevTick) / ppq) * (tempo / 1000000);
+        prevTick = entry.tick;
+        tempo = entry.tempo;
+      });
+      return seconds + ((tick - prevTick) / ppq) * (tempo / 1000000);
+    };
+    return {
+      title: options.title || null,
+      key: options.keyInfo ? formatKeySummary(options.keyInfo, options.preferFlats) : null,
+      meter: formatMeterSummary(meterMap),
+      ppq,
+      chords: chords
+        .filter((chord) => Number.isFinite(chord.tick))
+        .sort((a, b) => a.tick - b.tick)
+        .map((chord) => {
+          const parsed = parseChordName(chord.name);
+          return {
+            tick: chord.tick,
+            bar: formatBarBeat(meterMap, chord.tick),
+            seconds: Math.round(secondsAt(chord.tick) * 1000) / 1000,
+            name: chord.name,
+            root: parsed ? chord.name.match(/^[A-G][b#]?/)[0] : null,
+            quality: parsed ? formatQualityLabel(parsed.quality) : null,
+            bass: parsed && parsed.bassPc !== null ? chord.name.slice(chord.name.lastIndexOf("/") + 1) : null,
+            source: chord.source || "detected"
+          };
+        })
+    };
+  }
+
+  function formatChordListCsv(chordList) {
+    const columns = ["tick", "bar", "seconds", "name", "root", "quality", "bass", "source"];
+    const cell = (value) => {
+      const text = value === null || value === undefined ? "" : String(value);
+      return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+    };
+    const rows = chordList.chords.map((chord) => columns.map((column) => cell(chord[column])).join(","));
+    return [columns.join(","), ...rows, ""].join("\n");
+  }
+
+  // LRC-style timed text ("[01:02.50]Am7"), one line per chord, for lyric and teleprompter apps.
+  function formatChordListLrc(chordList) {
+    const lines = chordList.title ? ["[ti:" + chordList.title + "]"] : [];
+    chordList.chords.forEach((chord) => {
+      const hundredths = Math.round(chord.seconds * 100);
+      const minutes = Math.floor(hundredths / 6000);
+      const seconds = (hundredths % 6000) / 100;
+      lines.push(
+        "[" + String(minutes).padStart(2, "0") + ":" + seconds.toFixed(2).padStart(5, "0") + "]" + chord.name
+      );
+    });
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  function roundConfidence(value) {
+    return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null;
+  }
+
+  function formatChordSourceSummary(chords) {
+    const embedded = chords.filter((chord) => chord.source);
+    if (!embedded.length) return null;
+    const labels = {
+      text: "text events",
+      lyric: "lyrics",
+      marker: "markers",
+      cue: "cue points",
+      xf: "XF chord events",
+      musicxml: "MusicXML harmony"
+    };
+    const sources = Array.from(new Set(embedded.map((chord) => labels[chord.source])));
+    return embedded.length + " from the file (" + sources.join(", ") + "), " + (chords.length - embedded.length) + " detected";
+  }
+
+  function formatChordEncoding(chord, meterMap) {
+    const encoding = getChordEncoding(chord.name);
+    return (
+      formatBarBeat(meterMap, chord.tick) +
+      "  " +
+      chord.name +
+      " -> " +
+      (encoding.encodedName || "not encoded") +
+      (encoding.reason ? " (" + encoding.reason + ")" : "")
+    );
+  }
+
+  function buildChordReport(sourceName, outName, chords, keyInfo, meterMap, options) {
+    const encodings = chords.map((chord) => getChordEncoding(chord.name));
+    return {
+      source: sourceName,
+      output: outName,
+      key: formatKeySummary(keyInfo, options.preferFlats),
+      meter: formatMeterSummary(meterMap),
+      confidenceThreshold: options.confidenceThreshold,
+      encodedCount: encodings.filter((encoding) => encoding.parsed).length,
+      downgradedCount: encodings.filter((encoding) => encoding.downgraded).length,
+      chords: chords.map((chord, index) => ({
+        tick: chord.tick,
+        bar: formatBarBeat(meterMap, chord.tick),
+        name: chord.name,
+        source: chord.source || "detected",
+        encoded: encodings[index].encodedName,
+        downgraded: encodings[index].downgraded,
+        downgradeReason: encodings[index].downgraded ? encodings[index].reason : null,
+        confidence: roundConfidence(chord.confidence),
+        lowConfidence: isLowConfidenceChord(chord, options),
+        alternatives: (chord.scores || []).map((entry) => ({
+          name: entry.name,
+          confidence: roundConfidence(entry.confidence),
+          score: Math.round(entry.score * 100) / 100
+        }))
+      }))
+    };
+  }
+
+  // The AIFF Logic exported that the output is modelled on, with basc, COMM, .mid, Sequ and SSND
+  // emptied: cate, FLLR, CHAN, LGWV, MARK, CHSV, trns, adLD and geMo are copied into every file.
+  const AIFF_TEMPLATE_BASE64 = `
+Rk9STQAFlp5BSUZGYmFzYwAAAABjYXRlAAABEAAAAAEAAAAAAAOrHgBgAAABAAAAAAAAAAAAAAAA
+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAAAAAAAAAAAAAAAAAAAAAz4fwAAuMSBEAEAAAAAAAAAAAAAAAAAAAD/////AQAAAAAAAAAB
+AAAAAAAAAF8KgBAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAAAAAAAAAAAAAAARkxMUgAAACgAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAAAQ09NTQAAAABDSEFOAAAAIABlAAIAAAADAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAATEdX
+VgAAAPQAAHV05ZWl69sM0g7ZDNQN1hDVDdUK1g/XDM0TzBDODswRzQ/MEMcQzg3KEMcPwg/JEcES
+yRG/EtMNwxPCGMEezhzBIb4nxCe3McAuuD2vR8gzv0TAP8o1xkDTOdE80EDaP+U12EPiQuRC6yzp
+RexB8EXzMvI/7UnyO+077EfrOOxE8yvpOO0+8S7qOOw37DXoOek67inlPOY+4j/wK+RC5D/kRu00
+6j3oR+847TTrSe806kbnMew04T/gL9g82jndL9I52TTXLs06zjfNN9MvzTPML8ss1CbMJckl1hvP
+F8gWzhLaD9EL2QzYEOsH7wb0BfYCTUFSSwAAAB4AAQABAAAAABRUaW1lc3RhbXA6IDE1OTM5MTQz
+MgAubWlkAAAAAFNlcXUAAAAAQ0hTVgAFj2BPQ3VBBgAOAAAAJAAAAAAAAAD/////AgAAAAIA3QAA
+AAAAAADYAAAAQwADADUSNRIAAAAA2AAAAAAAAQABAQ0AAgADAAMAAAAAAAEAAAAEAAAAAAAAAAAA
+AAAAAAAAAAAgSW5zdCA0AAAAAAAAAAAAKfX3zwwAAAAAWgEAAEAAAAAAAAAAAAAAAAAAAEAPpkUA
+AAAAIhIAAAAAAFoGAH8CAAAAAAMAAgAAAAAAAAAAAAEAAAAAAAAAAAAAAAEAAAABAAAAAAAAAAAA
+AAAAAAAAAQAAAAEAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAD/0bnsgHr+EfCwDvVii299RVVD
+dUEEAA4AAAAkAAAAAAAAAAIAAAACAAAAAgD0WQUAAAAAAKgBAAABAAAAAAA1EgAAI2RlZmF1bHQu
+YXVwcmVzZXQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAADQNgAA
+AAEAAQIAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAcxQAAktleXNjYXBlAAAAAFdTT0d1
+bXVhbnRzSwAArAEAAAAIOFkFAAAAAAAAAAAAAAA0NmlhAwA8P3htbCB2ZXJzaW9uPSIxLjAiIGVu
+Y29kaW5nPSJVVEYtOCI/Pgo8IURPQ1RZUEUgcGxpc3QgUFVCTElDICItLy9BcHBsZS8vRFREIFBM
+SVNUIDEuMC8vRU4iICJodHRwOi8vd3d3LmFwcGxlLmNvbS9EVERzL1Byb3BlcnR5TGlzdC0xLjAu
+ZHRkIj4KPHBsaXN0IHZlcnNpb249IjEuMCI+CjxkaWN0PgoJPGtleT5kYXRhPC9rZXk+Cgk8ZGF0
+YT4KCTwvZGF0YT4KCTxrZXk+ZGF0YTA8L2tleT4KCTxkYXRhPgoJUEZONWJuUm9UV0Z6ZEdWeUlD
+QjJaWEp6UFNJeExqVXVNV01pSUQ0S1BFVk9WRkpaUkVWVFExSWdJRzVoYldVOUltUmwKCVptRjFi
+SFFpSUNCc2FXSnlZWEo1UFNKUGJXNXBjM0JvWlhKbElFeHBZbkpoY25raUlDQkJWRlJTU1VKZlZr
+Rk1WVVZmCglSRUZVUVQwaWMybDZaVDB3T3lJZ1BnbzhMMFZPVkZKWlJFVlRRMUkrQ2lBOFUzbHVk
+R2hOWVhOMFpYSkZibWRwYm1WUQoJWVhKaGJVSnNiMk5ySUQ0S1BFMWhjM1JsY2tWdVoybHVaVUpo
+YzJWUVlYSmhiVUpzYjJOcklDQnpZMkZzWlU1aGJXVTkKCUlsTmxkSFJwYm1keklFeHBZbkpoY25r
+dlVISmxjMlYwY3k5VWRXNXBibWNnUm1sc1pTOVhaWE4wWlhKdUwwVnhkV0ZzCglJRlJsYlhCbGNt
+RnRaVzUwTG5SMWJpSWdJRWhYY0hKdlptbHNaVDBpSWlBZ2RtVnljMmx2YmowaU1TSWdJR2x1VEdW
+MgoJWld3OUlqTm1OREF3TURBd0lpQWdaMkZwYmowaU0yWXlNVGt3TURBaUlDQm5ZV2x1VFdsa2FV
+eGxZWEp1UkdWMmFXTmwKCU1EMGlNVGMySWlBZ1oyRnBiazFwWkdsTVpXRnlia2xFYm5WdE1EMGlO
+eUlnSUdkaGFXNU5hV1JwVEdWaGNtNURhR0Z1CglibVZzTUQwaU1DSWdJRzFoYzNSbGNrMXBlRDBp
+TTJZNE1EQXdNREFpSUNCaGRYUnZUR1JRWVhSamFEMGlNQ0lnSUhCaAoJYm1salBTSXdJaUFnZEhW
+dVZqMGlORE5rWXpBd01EQWlJQ0J3VUdGdU1EMGlNMll3TURBd01EQWlJQ0J3VUdGdU1UMGkKCU0y
+WXdNREF3TURBaUlDQndVR0Z1TWowaU0yWXdNREF3TURBaUlDQndVR0Z1TXowaU0yWXdNREF3TURB
+aUlDQndVR0Z1CglORDBpTTJZd01EQXdNREFpSUNCd1VHRnVOVDBpTTJZd01EQXdNREFpSUNCd1VH
+RnVOajBpTTJZd01EQXdNREFpSUNCdwoJVUdGdU56MGlNMll3TURBd01EQWlJQ0J3VEdWMlpXd3dQ
+U0l6WmpRd01EQXdNQ0lnSUhCTVpYWmxiREU5SWpObU5EQXcKCU1EQXdJaUFnY0V4bGRtVnNNajBp
+TTJZME1EQXdNREFpSUNCd1RHVjJaV3d6UFNJelpqUXdNREF3TUNJZ0lIQk1aWFpsCgliRFE5SWpO
+bU5EQXdNREF3SWlBZ2NFeGxkbVZzTlQwaU0yWTBNREF3TURBaUlDQndUR1YyWld3MlBTSXpaalF3
+TURBdwoJTUNJZ0lIQk1aWFpsYkRjOUlqTm1OREF3TURBd0lpQWdjRXhoZEdOb01EMGlNQ0lnSUhC
+TVlYUmphREU5SWpBaUlDQncKCVRHRjBZMmd5UFNJd0lpQWdjRXhoZEdOb016MGlNQ0lnSUhCTVlY
+UmphRFE5SWpBaUlDQndUR0YwWTJnMVBTSXdJaUFnCgljRXhoZEdOb05qMGlNQ0lnSUhCTVlYUmph
+RGM5SWpBaUlDQndWSEpwWjJkbGNqQTlJakFpSUNCd1ZISnBaMmRsY2pFOQoJSWpBaUlDQndWSEpw
+WjJkbGNqSTlJakFpSUNCd1ZISnBaMmRsY2pNOUlqQWlJQ0J3VkhKcFoyZGxjalE5SWpBaUlDQncK
+CVZISnBaMmRsY2pVOUlqQWlJQ0J3VkhKcFoyZGxjalk5SWpBaUlDQndWSEpwWjJkbGNqYzlJakFp
+SUNCd1UzVnpSVzR3CglQU0l6Wmpnd01EQXdNQ0lnSUhCVGRYTkZiakU5SWpObU9EQXdNREF3SWlB
+Z2NGTjFjMFZ1TWowaU0yWTRNREF3TURBaQoJSUNCd1UzVnpSVzR6UFNJelpqZ3dNREF3TUNJZ0lI
+QlRkWE5GYmpROUlqTm1PREF3TURBd0lpQWdjRk4xYzBWdU5UMGkKCU0yWTRNREF3TURBaUlDQndV
+M1Z6Ulc0MlBTSXpaamd3TURBd01DSWdJSEJUZFhORmJqYzlJak5tT0RBd01EQXdJaUFnCgljRTEx
+ZEdVd1BTSXdJaUFnY0UxMWRHVXhQU0l3SWlBZ2NFMTFkR1V5UFNJd0lpQWdjRTExZEdVelBTSXdJ
+aUFnY0UxMQoJZEdVMFBTSXdJaUFnY0UxMWRHVTFQU0l3SWlBZ2NFMTFkR1UyUFNJd0lpQWdjRTEx
+ZEdVM1BTSXdJaUFnY0ZOdmJHOHcKCVBTSXdJaUFnY0ZOdmJHOHhQU0l3SWlBZ2NGTnZiRzh5UFNJ
+d0lpQWdjRk52Ykc4elBTSXdJaUFnY0ZOdmJHODBQU0l3CglJaUFnY0ZOdmJHODFQU0l3SWlBZ2NG
+TnZiRzgyUFNJd0lpQWdjRk52Ykc4M1BTSXdJaUFnY0VkQmRIUmxiakE5SWpObQoJT0RBd01EQXdJ
+aUFnY0VkQmRIUmxiakU5SWpObU9EQXdNREF3SWlBZ2NFZEJkSFJsYmpJOUlqTm1PREF3TURBd0lp
+QWcKCWNFZEJkSFJsYmpNOUlqTm1PREF3TURBd0lpQWdjRWRCZEhSbGJqUTlJak5tT0RBd01EQXdJ
+aUFnY0VkQmRIUmxialU5CglJak5tT0RBd01EQXdJaUFnY0VkQmRIUmxialk5SWpObU9EQXdNREF3
+SWlBZ2NFZEJkSFJsYmpjOUlqTm1PREF3TURBdwoJSWlBZ2NEQkJkWGhUYm1Rd1BTSXdJaUFnY0RC
+QmRYaFRibVF4UFNJd0lpQWdjREJCZFhoVGJtUXlQU0l3SWlBZ2NEQkIKCWRYaFRibVF6UFNJd0lp
+QWdjREZCZFhoVGJtUXdQU0l3SWlBZ2NERkJkWGhUYm1ReFBTSXdJaUFnY0RGQmRYaFRibVF5CglQ
+U0l3SWlBZ2NERkJkWGhUYm1RelBTSXdJaUFnY0RKQmRYaFRibVF3UFNJd0lpQWdjREpCZFhoVGJt
+UXhQU0l3SWlBZwoJY0RKQmRYaFRibVF5UFNJd0lpQWdjREpCZFhoVGJtUXpQU0l3SWlBZ2NETkJk
+WGhUYm1Rd1BTSXdJaUFnY0ROQmRYaFQKCWJtUXhQU0l3SWlBZ2NETkJkWGhUYm1ReVBTSXdJaUFn
+Y0ROQmRYaFRibVF6UFNJd0lpQWdjRFJCZFhoVGJtUXdQU0l3CglJaUFnY0RSQmRYaFRibVF4UFNJ
+d0lpQWdjRFJCZFhoVGJtUXlQU0l3SWlBZ2NEUkJkWGhUYm1RelBTSXdJaUFnY0RWQgoJZFhoVGJt
+UXdQU0l3SWlBZ2NEVkJkWGhUYm1ReFBTSXdJaUFnY0RWQmRYaFRibVF5UFNJd0lpQWdjRFZCZFho
+VGJtUXoKCVBTSXdJaUFnY0RaQmRYaFRibVF3UFNJd0lpQWdjRFpCZFhoVGJtUXhQU0l3SWlBZ2NE
+WkJkWGhUYm1ReVBTSXdJaUFnCgljRFpCZFhoVGJtUXpQU0l3SWlBZ2NEZEJkWGhUYm1Rd1BTSXdJ
+aUFnY0RkQmRYaFRibVF4UFNJd0lpQWdjRGRCZFhoVAoJYm1ReVBTSXdJaUFnY0RkQmRYaFRibVF6
+UFNJd0lpQWdiM1YwTUQwaU1DSWdJRzkxZERFOUlqQWlJQ0J2ZFhReVBTSXcKCUlpQWdiM1YwTXow
+aU1DSWdJRzkxZERROUlqQWlJQ0J2ZFhRMVBTSXdJaUFnYjNWME5qMGlNQ0lnSUc5MWREYzlJakFp
+CglJQ0JqYUdGdU1EMGlNVFlpSUNCamFHRnVNVDBpTVNJZ0lHTm9ZVzR5UFNJeUlpQWdZMmhoYmpN
+OUlqTWlJQ0JqYUdGdQoJTkQwaU5DSWdJR05vWVc0MVBTSTFJaUFnWTJoaGJqWTlJallpSUNCamFH
+RnVOejBpTnlJZ0lHMW5NRDBpTUNJZ0lHMW4KCU1UMGlNQ0lnSUcxbk1qMGlNQ0lnSUcxbk16MGlN
+Q0lnSUcxbk5EMGlNQ0lnSUcxbk5UMGlNQ0lnSUcxbk5qMGlNQ0lnCglJRzFuTnowaU1DSWdJSE53
+YmpBOUlqRWlJQ0J6Y0c0eFBTSXhJaUFnYzNCdU1qMGlNU0lnSUhOd2JqTTlJakVpSUNCegoJY0c0
+MFBTSXhJaUFnYzNCdU5UMGlNU0lnSUhOd2JqWTlJakVpSUNCemNHNDNQU0l4SWlBZ1luSnZkM05s
+VlhBOUlqQWkKCUlDQmljbTkzYzJWRWJqMGlNQ0lnSUU5aWFtVmpkRk4wWlhBOUltSm1PREF3TURB
+d0lpQWdSbWxzZEdWeVUzUmxjREE5CglJbUptT0RBd01EQXdJaUFnUm1sc2RHVnlVM1JsY0RFOUlt
+Sm1PREF3TURBd0lpQWdSbWxzZEdWeVUzUmxjREk5SW1KbQoJT0RBd01EQXdJaUFnUm1sc2RHVnlV
+M1JsY0RNOUltSm1PREF3TURBd0lpQWdSbWxzZEdWeVUzUmxjRFE5SW1KbU9EQXcKCU1EQXdJaUEr
+Q2p4TlJXWm1VbUZqYXlBK0NqeEZSa1pOVDBSVlRFVWdJRlI1Y0dVOUlrNXZJRVZtWm1WamRDSWdJ
+RkF3CglQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROUlqQWlJQ0JR
+TlQwaU1DSWdJRkEyUFNJdwoJSWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFnVURF
+d1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeVBTSXcKCUlpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lp
+QWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHCglSazFQUkZWTVJTQWdW
+SGx3WlQwaVRtOGdSV1ptWldOMElpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3SWlBZwoJ
+VURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBpTUNJZ0lGQTRQ
+U0l3SWlBZ1VEazkKCUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlqQWlJQ0JR
+TVRNOUlqQWlJQ0JRTVRROUlqQWlJQ0JCCglZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5UMFJWVEVV
+K0NpQThSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abAoJWTNRaUlDQlFNRDBpTUNJZ0lG
+QXhQU0l3SWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWkKCUlDQlFO
+ajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1U
+MGlNQ0lnCglJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdJRUZqZEdsMlpUMGlN
+Q0lnUGdvOEwwVkdSazFQUkZWTQoJUlQ0S0lEeEZSa1pOVDBSVlRFVWdJRlI1Y0dVOUlrNXZJRVZt
+Wm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlEKCU1qMGlNQ0lnSUZBelBTSXdJaUFnVURR
+OUlqQWlJQ0JRTlQwaU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpCglNQ0lnSUZBNVBT
+SXdJaUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeVBTSXdJaUFnVURFelBTSXdJaUFnVURF
+MAoJUFNJd0lpQWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQQzlOUldabVVt
+RmphejRLSUR4QlJXWm0KCVVtRmphekFnUGdvOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKRldpMVda
+WEppSWlBZ1VEQTlJak5tT0RBd01EQXdJaUFnCglVREU5SWpObU1tVTJOalkySWlBZ1VESTlJak5s
+TjJGbE1UUTRJaUFnVURNOUlqTmxNRE0yT1dObUlpQWdVRFE5SWpObAoJTjJGbE1UUTRJaUFnVURV
+OUlqTm1PREF3TURBd0lpQWdVRFk5SWpObU16azVPVGs1SWlBZ1VEYzlJak5tTkRJNFpqVmoKCUlp
+QWdVRGc5SWpObU9EQXdNREF3SWlBZ1VEazlJak5rWWpnMU1XVmxJaUFnVURFd1BTSXpZMk5qWTJO
+bU1pSWdJRkF4CglNVDBpTTJWbVlXVXhORGNpSUNCUU1USTlJak5tT0RBd01EQXdJaUFnVURFelBT
+SXpaamd3TURBd01DSWdJRkF4TkQwaQoJTUNJZ0lFRmpkR2wyWlQwaU0yWTRNREF3TURBaUlENEtQ
+QzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlUKCWVYQmxQU0pPYnlCRlptWmxZM1Fp
+SUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwCglQU0l3SWlB
+Z1VEVTlJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4
+TUQwaQoJTUNJZ0lGQXhNVDBpTUNJZ0lGQXhNajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXhORDBpTUNJ
+Z0lFRmpkR2wyWlQwaU0yWTQKCU1EQXdNREFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaR1RV
+OUVWVXhGSUNCVWVYQmxQU0pPYnlCRlptWmxZM1FpCglJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdV
+REk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VEVTlJakFpSUNCUQoJTmowaU1DSWdJRkEz
+UFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpTUNJZ0lGQXhNVDBpTUNJZ0lGQXgK
+CU1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGamRHbDJaVDBpTUNJZ1BnbzhMMFZH
+UmsxUFJGVk1SVDRLCglJRHhGUmtaTlQwUlZURVVnSUZSNWNHVTlJazV2SUVWbVptVmpkQ0lnSUZB
+d1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaQoJTUNJZ0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5U
+MGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRT0QwaU1DSWcKCUlGQTVQU0l3SWlBZ1VERXdQ
+U0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3SWlBZ1VERTBQU0l3CglJaUFn
+UVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEZQZ29nUEM5QlJXWm1VbUZqYXpBK0NpQThR
+VVZtWmxKaAoJWTJzeElENEtQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlRbEJOSUVSbGJHRjVJaUFn
+VURBOUlqTm1PREF3TURBd0lpQWcKCVVERTlJak5tT0RBd01EQXdJaUFnVURJOUlqTm1NREF3TURB
+d0lpQWdVRE05SWpObU9EQXdNREF3SWlBZ1VEUTlJak5rCglOelZqTWpobUlpQWdVRFU5SWpObE9U
+UTNZV1V4SWlBZ1VEWTlJakFpSUNCUU56MGlNMlZoWWpnMU1XWWlJQ0JRT0QwaQoJTUNJZ0lGQTVQ
+U0l6WTJFelpEY3dZU0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNMlZtTUdFelpE
+Y2kKCUlDQlFNVE05SWpOa01qTmtOekJoSWlBZ1VERTBQU0l6WmpVME4yRmxNU0lnSUVGamRHbDJa
+VDBpTTJZNE1EQXdNREFpCglJRDRLUEM5RlJrWk5UMFJWVEVVK0NpQThSVVpHVFU5RVZVeEZJQ0JV
+ZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRTUQwaQoJTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpSUNC
+UU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWcKCUlGQTNQU0l3SWlBZ1VE
+ZzlJakFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnCglJ
+RkF4TXowaU1DSWdJRkF4TkQwaU1DSWdJRUZqZEdsMlpUMGlNQ0lnUGdvOEwwVkdSazFQUkZWTVJU
+NEtJRHhGUmtaTgoJVDBSVlRFVWdJRlI1Y0dVOUlrNXZJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdV
+REU5SWpBaUlDQlFNajBpTUNJZ0lGQXoKCVBTSXdJaUFnVURROUlqQWlJQ0JRTlQwaU1DSWdJRkEy
+UFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQU0l3CglJaUFnVURFd1BTSXdJaUFnVURF
+eFBTSXdJaUFnVURFeVBTSXdJaUFnVURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMAoJYVhabFBT
+SXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUlda
+bVpXTjAKCUlpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5E
+MGlNQ0lnSUZBMVBTSXdJaUFnCglVRFk5SWpBaUlDQlFOejBpTUNJZ0lGQTRQU0l3SWlBZ1VEazlJ
+akFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUQoJTVRJOUlqQWlJQ0JRTVRNOUlqQWlJQ0JR
+TVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVlRFVSsKCUNpQThMMEZGWm1a
+U1lXTnJNVDRLSUR4QlJXWm1VbUZqYXpJZ1BnbzhSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJG
+CglabVpsWTNRaUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnSUZB
+MFBTSXdJaUFnVURVOQoJSWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9U
+MGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGkKCU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJ
+RkF4TkQwaU1DSWdJRUZqZEdsMlpUMGlNMlk0TURBd01EQWlJRDRLCglQQzlGUmtaTlQwUlZURVUr
+Q2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpTUNJZwoJSUZB
+eFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBp
+TUNJZ0lGQTMKCVBTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQw
+aU1DSWdJRkF4TWowaU1DSWdJRkF4CglNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1D
+SWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOVDBSVgoJVEVVZ0lGUjVjR1U5SWs1dklFVm1a
+bVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXcKCUlpQWdVRFE5
+SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJ
+aUFnCglVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUw
+UFNJd0lpQWdRV04wYVhabAoJUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZW
+TVJTQWdWSGx3WlQwaVRtOGdSV1ptWldOMElpQWcKCVVEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBT
+SXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5CglJakFpSUNCUU56MGlN
+Q0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOQoJ
+SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5U
+MFJWVEVVK0NpQTgKCUwwRkZabVpTWVdOck1qNEtJRHhCUldabVVtRmphek1nUGdvOFJVWkdUVTlF
+VlV4RklDQlVlWEJsUFNKT2J5QkZabVpsCglZM1FpSUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJ
+OUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaQoJSUNCUU5qMGlNQ0lnSUZBM1BT
+SXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWcKCUlGQXhN
+ajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1Jr
+MVBSRlZNCglSVDRLSUR4RlJrWk5UMFJWVEVVZ0lGUjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQ
+U0l3SWlBZ1VERTlJakFpSUNCUQoJTWowaU1DSWdJRkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBp
+TUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGkKCU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJ
+d0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUwCglQU0l3SWlBZ1FX
+TjBhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJTQWdWSGx3WlQw
+aQoJVG04Z1JXWm1aV04wSWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlq
+QWlJQ0JRTkQwaU1DSWcKCUlGQTFQU0l3SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJ
+aUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRCglNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05
+SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RgoJUmtaTlQwUlZURVUrQ2lB
+OFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpTUNJZ0lGQXgKCVBT
+SXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJ
+Z0lGQTNQU0l3CglJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1D
+SWdJRkF4TWowaU1DSWdJRkF4TXowaQoJTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQ
+Z284TDBWR1JrMVBSRlZNUlQ0S0lEd3ZRVVZtWmxKaFkyc3oKCVBnb2dQQzlOWVhOMFpYSkZibWRw
+Ym1WQ1lYTmxVR0Z5WVcxQ2JHOWphejRLSUR3dlUzbHVkR2hOWVhOMFpYSkZibWRwCglibVZRWVhK
+aGJVSnNiMk5yUGdvZ1BFbHVjSFYwVFdGd2NHVnlJQ0JzYVhabFQyNVBabVpmZGpJOUlqQWlJQ0Jz
+YVhabAoJUkhWaGJFOXVUMlptWDNZeVBTSXdJaUFnYzNSaFkydFBiazltWmw5Mk1qMGlNQ0lnSUdO
+NVkydHNaVTl1VDJabVgzWXkKCVBTSXdJaUFnYldGd1RXOWtaVDBpTUNJZ0lHRmtkbE53YkdsMFBT
+SXdJaUFnWTJNOUlqTmpZVE5rTnpCaElpQWdjM1JoCglZMnRNWVdKbGJEMGlNQ0lnSUhOMFlXTnJR
+MmhoYmowaU1DSWdQZ284VTNSaFkydFNZVzF3Y3lBZ1UyNWhjSE5vYjNSTwoJZFcwOUlqQWlJQ0JP
+WVcxbFBTSWlJRDRLUEZOd2JHbDBVR0Z5ZENBZ1VHRnlkRDBpTUNJZ0lFSmhjajBpTUNJZ0lFeGwK
+CVpuUTlJakFpSUNCTVpXWjBVbUZ0Y0QwaU1DSWdJRkpwWjJoMFBTSXhNamdpSUNCU2FXZG9kRkpo
+YlhBOUlqQWlJRDRLCglQQzlUY0d4cGRGQmhjblErQ2lBOFUzQnNhWFJRWVhKMElDQlFZWEowUFNJ
+eElpQWdRbUZ5UFNJeElpQWdUR1ZtZEQwaQoJTUNJZ0lFeGxablJTWVcxd1BTSXdJaUFnVW1sbmFI
+UTlJakV5T0NJZ0lGSnBaMmgwVW1GdGNEMGlNQ0lnUGdvOEwxTncKCWJHbDBVR0Z5ZEQ0S0lEeFRj
+R3hwZEZCaGNuUWdJRkJoY25ROUlqSWlJQ0JDWVhJOUlqSWlJQ0JNWldaMFBTSXdJaUFnCglUR1Zt
+ZEZKaGJYQTlJakFpSUNCU2FXZG9kRDBpTVRJNElpQWdVbWxuYUhSU1lXMXdQU0l3SWlBK0Nqd3ZV
+M0JzYVhSUQoJWVhKMFBnb2dQRk53YkdsMFVHRnlkQ0FnVUdGeWREMGlNeUlnSUVKaGNqMGlNeUln
+SUV4bFpuUTlJakFpSUNCTVpXWjAKCVVtRnRjRDBpTUNJZ0lGSnBaMmgwUFNJeE1qZ2lJQ0JTYVdk
+b2RGSmhiWEE5SWpBaUlENEtQQzlUY0d4cGRGQmhjblErCglDaUE4TDFOMFlXTnJVbUZ0Y0hNK0Np
+QThVMmx0Y0d4bElDQjBjbWxuUFNJd0lpQWdiVzl2WmowaU1DSWdJR05qYjJZOQoJSWpObU9EQXdN
+REF3SWlBZ2NHTnZaajBpTTJZNE1EQXdNREFpSUNCdWIyOW1QU0l6Wmpnd01EQXdNQ0lnSUhOMGJI
+WTkKCUlqQWlJQ0J0YjJGalBTSXpZMkV6WkRjd1lTSWdJR05qWVdNOUlqTmtOelZqTWpobUlpQWdj
+R05oWXowaU1DSWdJRzV2CglZV005SWpOa056VmpNamhtSWlBZ2JuaDBQU0l3SWlBZ2NISmxkajBp
+TUNJZ0lHNXZaRzA5SWpOallUTmtOekJoSWlBZwoJY0dOa2JUMGlNMlF5TTJRM01HRWlJQ0JOU1VS
+SlkyZzlJakFpSUNCemFEMGlNMlEzTldNeU9HWWlJQ0J3TUQwaU0yWTQKCU1EQXdNREFpSUNCd01U
+MGlNQ0lnSUhBeVBTSXdJaUFnY0RNOUlqQWlJQ0J3TkQwaU1DSWdJSEExUFNJd0lpQWdjRFk5CglJ
+akFpSUNCd056MGlNQ0lnSUc5dlpXNWtQU0l3SWlBK0Nqd3ZVMmx0Y0d4bFBnb2dQRVIxWVd4TVpX
+WjBJQ0IwY21sbgoJUFNJd0lpQWdiVzl2WmowaU1DSWdJR05qYjJZOUlqTm1PREF3TURBd0lpQWdj
+R052WmowaU0yWTRNREF3TURBaUlDQnUKCWIyOW1QU0l6Wmpnd01EQXdNQ0lnSUhOMGJIWTlJakFp
+SUNCdGIyRmpQU0l6WTJFelpEY3dZU0lnSUdOallXTTlJakFpCglJQ0J3WTJGalBTSXdJaUFnYm05
+aFl6MGlNMk5oTTJRM01HRWlJQ0J1ZUhROUlqQWlJQ0J3Y21WMlBTSXdJaUFnYm05awoJYlQwaU0y
+TmhNMlEzTUdFaUlDQndZMlJ0UFNJelpESXpaRGN3WVNJZ0lFMUpSRWxqYUQwaU1DSWdJSE5vUFNJ
+elpEYzEKCVl6STRaaUlnSUhBd1BTSXpaamd3TURBd01DSWdJSEF4UFNJd0lpQWdjREk5SWpBaUlD
+QndNejBpTUNJZ0lIQTBQU0l6Cglaamd3TURBd01DSWdJSEExUFNJelpqZ3dNREF3TUNJZ0lIQTJQ
+U0l6Wmpnd01EQXdNQ0lnSUhBM1BTSXpaamd3TURBdwoJTUNJZ0lHOXZaVzVrUFNJd0lpQStDand2
+UkhWaGJFeGxablErQ2lBOFJIVmhiRkpwWjJoMElDQjBjbWxuUFNJd0lpQWcKCWJXOXZaajBpTUNJ
+Z0lHTmpiMlk5SWpObU9EQXdNREF3SWlBZ2NHTnZaajBpTTJZNE1EQXdNREFpSUNCdWIyOW1QU0l6
+Cglaamd3TURBd01DSWdJSE4wYkhZOUlqQWlJQ0J0YjJGalBTSXpZMkV6WkRjd1lTSWdJR05qWVdN
+OUlqQWlJQ0J3WTJGagoJUFNJd0lpQWdibTloWXowaU0yTmhNMlEzTUdFaUlDQnVlSFE5SWpBaUlD
+QndjbVYyUFNJd0lpQWdibTlrYlQwaU0yTmgKCU0yUTNNR0VpSUNCd1kyUnRQU0l6WkRJelpEY3dZ
+U0lnSUUxSlJFbGphRDBpTUNJZ0lITm9QU0l3SWlBZ2NEQTlJak5tCglPREF3TURBd0lpQWdjREU5
+SWpObU9EQXdNREF3SWlBZ2NESTlJak5tT0RBd01EQXdJaUFnY0RNOUlqTm1PREF3TURBdwoJSWlB
+Z2NEUTlJak5tT0RBd01EQXdJaUFnY0RVOUlqQWlJQ0J3TmowaU1DSWdJSEEzUFNJd0lpQWdiMjls
+Ym1ROUlqQWkKCUlENEtQQzlFZFdGc1VtbG5hSFErQ2lBOFRHbDJaVk5sY1RBZ0lIQmhNRDBpTUNJ
+Z0lIQmhNVDBpTVNJZ0lIQmhNajBpCglNaUlnSUhCaE16MGlNeUlnSUhCaE5EMGlOQ0lnSUhCaE5U
+MGlOU0lnSUhCaE5qMGlOaUlnSUhCaE56MGlOeUlnUGdvOAoJTDB4cGRtVlRaWEV3UGdvZ1BFeHBk
+bVZUWlhFeElDQndZVEE5SWpBaUlDQndZVEU5SWpFaUlDQndZVEk5SWpJaUlDQncKCVlUTTlJak1p
+SUNCd1lUUTlJalFpSUNCd1lUVTlJalVpSUNCd1lUWTlJallpSUNCd1lUYzlJamNpSUQ0S1BDOU1h
+WFpsCglVMlZ4TVQ0S0lEd3ZTVzV3ZFhSTllYQndaWEkrQ2lBOFRVbEVTV3hsWVhKdUlENEtQQzlO
+U1VSSmJHVmhjbTQrQ2lBOAoJVTNsdWRHaFRkV0pGYm1kcGJtVWdQZ284VTNsdWRHaEZibWRwYm1V
+Z1BnbzhRVkpRSUNCQmNuQk5iMlJsUFNJNElpQWcKCVFYSndRMnh2WTJzOUlqUWlJQ0JCY25CTVpX
+NDlJak5tT0RBd01EQXdJaUFnUVhKd1UzZHBibWM5SWpBaUlDQkJjbkJXCglaV3hOYVhnOUlqTm1N
+RGt3WTJWbElpQWdRWEp3U0hWdFBTSXdJaUFnUVhKd1NIVnRWbVZzUFNJd0lpQWdRWEp3U0hWdAoJ
+VkdsbmFIUkViM2R1UFNJelpqZ3dNREF3TUNJZ0lFRnljRTlqZEQwaU1DSWdJRUZ5Y0U5dVQyWm1Q
+U0l3SWlBZ1FYSncKCVVHaGhjMlU5SWpBaUlDQkJjbkJHWldWc1IzSnZiM1psVDI1UFptWTlJak5t
+T0RBd01EQXdJaUFnUVhKd1UyNWhjRlJ2CglSM0pwWkU5dVQyWm1QU0l6Wmpnd01EQXdNQ0lnSUVG
+eWNGTndaRDBpTTJZd01EQXdNREFpSUNCQmNuQlFiSGs5SWpBaQoJSUNCQmNuQlNaWE5sZEQwaU1D
+SWdJRUZ5Y0ZOd1lXNDlJak5tTWpOa056QmhJaUFnUVhKd1UyNXdSM0oyZEhrOUlqTm0KCU9EQXdN
+REF3SWlBZ1FYSndSM0p2YjNabFRtRnRaVDBpSWlBK0NqeEJVbEJUUlZFeUlDQlVSVTFRVHowaU5E
+Sm1NREF3CglNREFpSUNCVVNVTkxVMUJGVWxGVlFWSlVSVkk5SWpFeU1EQWlJQ0JVU1UxRlUwbEhU
+bFZOUFNJMElpQWdWRWxOUlZOSgoJUjBSRlRrOU5QU0kwSWlBK0NqeFRURWxEUlZORlVWTlVSVkFn
+SUVKRlIwbE9QU0l3SWlBZ1JVNUVQU0l6TURBaUlDQkQKCVNEMGlMVEVpSUNCVFRFbERSVWxPUkVW
+WVBTSTJNQ0lnSUZaRlREMGlNVEkzSWlBZ1UxUlNVMUE5SWpObE9EQXdNREF3CglJaUErQ2p3dlUw
+eEpRMFZUUlZGVFZFVlFQZ29nUEZOTVNVTkZVMFZSVTFSRlVDQWdRa1ZIU1U0OUlqTXdNQ0lnSUVW
+TwoJUkQwaU5qQXdJaUFnUTBnOUlpMHhJaUFnVTB4SlEwVkpUa1JGV0QwaU5qQWlJQ0JXUlV3OUlq
+WXlJaUFnVTFSU1UxQTkKCUlqTmxPREF3TURBd0lpQStDand2VTB4SlEwVlRSVkZUVkVWUVBnb2dQ
+Rk5NU1VORlUwVlJVMVJGVUNBZ1FrVkhTVTQ5CglJall3TUNJZ0lFVk9SRDBpT1RBd0lpQWdRMGc5
+SWkweElpQWdVMHhKUTBWSlRrUkZXRDBpTmpBaUlDQldSVXc5SWpreQoJSWlBZ1UxUlNVMUE5SWpO
+bE9EQXdNREF3SWlBK0Nqd3ZVMHhKUTBWVFJWRlRWRVZRUGdvZ1BGTk1TVU5GVTBWUlUxUkYKCVVD
+QWdRa1ZIU1U0OUlqa3dNQ0lnSUVWT1JEMGlNVEl3TUNJZ0lFTklQU0l0TVNJZ0lGTk1TVU5GU1U1
+RVJWZzlJall3CglJaUFnVmtWTVBTSXlOQ0lnSUZOVVVsTlFQU0l6WlRnd01EQXdNQ0lnUGdvOEwx
+Tk1TVU5GVTBWUlUxUkZVRDRLSUR4VAoJVEVsRFJWTkZVVk5VUlZBZ0lFSkZSMGxPUFNJeE1qQXdJ
+aUFnUlU1RVBTSXhOVEF3SWlBZ1EwZzlJaTB4SWlBZ1UweEoKCVEwVkpUa1JGV0QwaU5qQWlJQ0JX
+UlV3OUlqRXlOeUlnSUZOVVVsTlFQU0l6WlRnd01EQXdNQ0lnUGdvOEwxTk1TVU5GCglVMFZSVTFS
+RlVENEtJRHhUVEVsRFJWTkZVVk5VUlZBZ0lFSkZSMGxPUFNJeE5UQXdJaUFnUlU1RVBTSXhOVEF3
+SWlBZwoJUTBnOUlpMHhJaUFnVTB4SlEwVkpUa1JGV0QwaU5qQWlJQ0JXUlV3OUlqRXlOeUlnSUZO
+VVVsTlFQU0l6WlRnd01EQXcKCU1DSWdQZ284TDFOTVNVTkZVMFZSVTFSRlVENEtJRHhUVEVsRFJW
+TkZVVk5VUlZBZ0lFSkZSMGxPUFNJeE9EQXdJaUFnCglSVTVFUFNJeU1UQXdJaUFnUTBnOUlpMHhJ
+aUFnVTB4SlEwVkpUa1JGV0QwaU5qQWlJQ0JXUlV3OUlqTXpJaUFnVTFSUwoJVTFBOUlqTmxPREF3
+TURBd0lpQStDand2VTB4SlEwVlRSVkZUVkVWUVBnb2dQRk5NU1VORlUwVlJVMVJGVUNBZ1FrVkgK
+CVNVNDlJakl4TURBaUlDQkZUa1E5SWpJME1EQWlJQ0JEU0QwaUxURWlJQ0JUVEVsRFJVbE9SRVZZ
+UFNJMk1DSWdJRlpGCglURDBpT0RraUlDQlRWRkpUVUQwaU0yVTRNREF3TURBaUlENEtQQzlUVEVs
+RFJWTkZVVk5VUlZBK0NpQThVMHhKUTBWVAoJUlZGVFZFVlFJQ0JDUlVkSlRqMGlNalF3TUNJZ0lF
+Vk9SRDBpTWpjd01DSWdJRU5JUFNJdE1TSWdJRk5NU1VORlNVNUUKCVJWZzlJall3SWlBZ1ZrVk1Q
+U0l4TWpjaUlDQlRWRkpUVUQwaU0yVTRNREF3TURBaUlENEtQQzlUVEVsRFJWTkZVVk5VCglSVkEr
+Q2lBOFUweEpRMFZUUlZGVFZFVlFJQ0JDUlVkSlRqMGlNamN3TUNJZ0lFVk9SRDBpTXpBd01DSWdJ
+RU5JUFNJdAoJTVNJZ0lGTk1TVU5GU1U1RVJWZzlJall3SWlBZ1ZrVk1QU0kyTlNJZ0lGTlVVbE5R
+UFNJelpUZ3dNREF3TUNJZ1BnbzgKCUwxTk1TVU5GVTBWUlUxUkZVRDRLSUR4VFRFbERSVk5GVVZO
+VVJWQWdJRUpGUjBsT1BTSXpNREF3SWlBZ1JVNUVQU0l6CglNekF3SWlBZ1EwZzlJaTB4SWlBZ1Uw
+eEpRMFZKVGtSRldEMGlOakFpSUNCV1JVdzlJamsxSWlBZ1UxUlNVMUE5SWpObAoJT0RBd01EQXdJ
+aUErQ2p3dlUweEpRMFZUUlZGVFZFVlFQZ29nUEZOTVNVTkZVMFZSVTFSRlVDQWdRa1ZIU1U0OUlq
+TXoKCU1EQWlJQ0JGVGtROUlqTTJNREFpSUNCRFNEMGlMVEVpSUNCVFRFbERSVWxPUkVWWVBTSTJN
+Q0lnSUZaRlREMGlNalFpCglJQ0JUVkZKVFVEMGlNMlU0TURBd01EQWlJRDRLUEM5VFRFbERSVk5G
+VVZOVVJWQStDaUE4VTB4SlEwVlRSVkZUVkVWUQoJSUNCQ1JVZEpUajBpTXpZd01DSWdJRVZPUkQw
+aU16a3dNQ0lnSUVOSVBTSXRNU0lnSUZOTVNVTkZTVTVFUlZnOUlqWXcKCUlpQWdWa1ZNUFNJeE1q
+Y2lJQ0JUVkZKVFVEMGlNMlU0TURBd01EQWlJRDRLUEM5VFRFbERSVk5GVVZOVVJWQStDaUE4CglV
+MHhKUTBWVFJWRlRWRVZRSUNCQ1JVZEpUajBpTXprd01DSWdJRVZPUkQwaU5ESXdNQ0lnSUVOSVBT
+SXRNU0lnSUZOTQoJU1VORlNVNUVSVmc5SWpZd0lpQWdWa1ZNUFNJeE1EZ2lJQ0JUVkZKVFVEMGlN
+MlU0TURBd01EQWlJRDRLUEM5VFRFbEQKCVJWTkZVVk5VUlZBK0NpQThVMHhKUTBWVFJWRlRWRVZR
+SUNCQ1JVZEpUajBpTkRJd01DSWdJRVZPUkQwaU5ESXdNQ0lnCglJRU5JUFNJdE1TSWdJRk5NU1VO
+RlNVNUVSVmc5SWpZd0lpQWdWa1ZNUFNJeE1qY2lJQ0JUVkZKVFVEMGlNMlU0TURBdwoJTURBaUlE
+NEtQQzlUVEVsRFJWTkZVVk5VUlZBK0NpQThVMHhKUTBWVFJWRlRWRVZRSUNCQ1JVZEpUajBpTkRV
+d01DSWcKCUlFVk9SRDBpTkRnd01DSWdJRU5JUFNJdE1TSWdJRk5NU1VORlNVNUVSVmc5SWpZd0lp
+QWdWa1ZNUFNJeE5DSWdJRk5VCglVbE5RUFNJelpUZ3dNREF3TUNJZ1BnbzhMMU5NU1VORlUwVlJV
+MVJGVUQ0S0lEeFRURWxEUlZORlVWTlVSVkFnSUVKRgoJUjBsT1BTSTBPREF3SWlBZ1JVNUVQU0kx
+TVRBd0lpQWdRMGc5SWkweElpQWdVMHhKUTBWSlRrUkZXRDBpTmpBaUlDQlcKCVJVdzlJakV5TnlJ
+Z0lGTlVVbE5RUFNJelpUZ3dNREF3TUNJZ1BnbzhMMU5NU1VORlUwVlJVMVJGVUQ0S0lEeFRURWxE
+CglSVk5GVVZOVVJWQWdJRUpGUjBsT1BTSTFNVEF3SWlBZ1JVNUVQU0kxTkRBd0lpQWdRMGc5SWkw
+eElpQWdVMHhKUTBWSgoJVGtSRldEMGlOakFpSUNCV1JVdzlJall3SWlBZ1UxUlNVMUE5SWpObE9E
+QXdNREF3SWlBK0Nqd3ZVMHhKUTBWVFJWRlQKCVZFVlFQZ29nUEZOTVNVTkZVMFZSVTFSRlVDQWdR
+a1ZIU1U0OUlqVTBNREFpSUNCRlRrUTlJalUzTURBaUlDQkRTRDBpCglMVEVpSUNCVFRFbERSVWxP
+UkVWWVBTSTJNQ0lnSUZaRlREMGlPVElpSUNCVFZGSlRVRDBpTTJVNE1EQXdNREFpSUQ0SwoJUEM5
+VFRFbERSVk5GVVZOVVJWQStDaUE4VTB4SlEwVlRSVkZUVkVWUUlDQkNSVWRKVGowaU5UY3dNQ0ln
+SUVWT1JEMGkKCU5qQXdNQ0lnSUVOSVBTSXRNU0lnSUZOTVNVTkZTVTVFUlZnOUlqWXdJaUFnVmtW
+TVBTSXhOU0lnSUZOVVVsTlFQU0l6CglaVGd3TURBd01DSWdQZ284TDFOTVNVTkZVMFZSVTFSRlVE
+NEtJRHhUVEVsRFJWTkZVVk5VUlZBZ0lFSkZSMGxPUFNJMgoJTURBd0lpQWdSVTVFUFNJMk16QXdJ
+aUFnUTBnOUlpMHhJaUFnVTB4SlEwVkpUa1JGV0QwaU5qQWlJQ0JXUlV3OUlqRXkKCU55SWdJRk5V
+VWxOUVBTSXpaVGd3TURBd01DSWdQZ284TDFOTVNVTkZVMFZSVTFSRlVENEtJRHhUVEVsRFJWTkZV
+Vk5VCglSVkFnSUVKRlIwbE9QU0kyTXpBd0lpQWdSVTVFUFNJMk16QXdJaUFnUTBnOUlpMHhJaUFn
+VTB4SlEwVkpUa1JGV0QwaQoJTmpBaUlDQldSVXc5SWpFeU55SWdJRk5VVWxOUVBTSXpaVGd3TURB
+d01DSWdQZ284TDFOTVNVTkZVMFZSVTFSRlVENEsKCUlEeFRURWxEUlZORlVWTlVSVkFnSUVKRlIw
+bE9QU0kyTmpBd0lpQWdSVTVFUFNJMk9UQXdJaUFnUTBnOUlpMHhJaUFnCglVMHhKUTBWSlRrUkZX
+RDBpTmpBaUlDQldSVXc5SWpJNUlpQWdVMVJTVTFBOUlqTmxPREF3TURBd0lpQStDand2VTB4SgoJ
+UTBWVFJWRlRWRVZRUGdvZ1BGTk1TVU5GVTBWUlUxUkZVQ0FnUWtWSFNVNDlJalk1TURBaUlDQkZU
+a1E5SWpjeU1EQWkKCUlDQkRTRDBpTFRFaUlDQlRURWxEUlVsT1JFVllQU0kyTUNJZ0lGWkZURDBp
+T1RBaUlDQlRWRkpUVUQwaU0yVTRNREF3CglNREFpSUQ0S1BDOVRURWxEUlZORlVWTlVSVkErQ2lB
+OFUweEpRMFZUUlZGVFZFVlFJQ0JDUlVkSlRqMGlOekl3TUNJZwoJSUVWT1JEMGlOelV3TUNJZ0lF
+TklQU0l0TVNJZ0lGTk1TVU5GU1U1RVJWZzlJall3SWlBZ1ZrVk1QU0l4TWpjaUlDQlQKCVZGSlRV
+RDBpTTJVNE1EQXdNREFpSUQ0S1BDOVRURWxEUlZORlVWTlVSVkErQ2lBOFUweEpRMFZUUlZGVFZF
+VlFJQ0JDCglSVWRKVGowaU56VXdNQ0lnSUVWT1JEMGlOemd3TUNJZ0lFTklQU0l0TVNJZ0lGTk1T
+VU5GU1U1RVJWZzlJall3SWlBZwoJVmtWTVBTSTJOaUlnSUZOVVVsTlFQU0l6WlRnd01EQXdNQ0ln
+UGdvOEwxTk1TVU5GVTBWUlUxUkZVRDRLSUR4VFRFbEQKCVJWTkZVVk5VUlZBZ0lFSkZSMGxPUFNJ
+M09EQXdJaUFnUlU1RVBTSTRNVEF3SWlBZ1EwZzlJaTB4SWlBZ1UweEpRMFZKCglUa1JGV0QwaU5q
+QWlJQ0JXUlV3OUlqa3lJaUFnVTFSU1UxQTlJak5sT0RBd01EQXdJaUErQ2p3dlUweEpRMFZUUlZG
+VAoJVkVWUVBnb2dQRk5NU1VORlUwVlJVMVJGVUNBZ1FrVkhTVTQ5SWpneE1EQWlJQ0JGVGtROUlq
+ZzBNREFpSUNCRFNEMGkKCUxURWlJQ0JUVEVsRFJVbE9SRVZZUFNJMk1DSWdJRlpGVEQwaU1UY2lJ
+Q0JUVkZKVFVEMGlNMlU0TURBd01EQWlJRDRLCglQQzlUVEVsRFJWTkZVVk5VUlZBK0NpQThVMHhK
+UTBWVFJWRlRWRVZRSUNCQ1JVZEpUajBpT0RRd01DSWdJRVZPUkQwaQoJT0Rjd01DSWdJRU5JUFNJ
+dE1TSWdJRk5NU1VORlNVNUVSVmc5SWpZd0lpQWdWa1ZNUFNJeE1qY2lJQ0JUVkZKVFVEMGkKCU0y
+VTRNREF3TURBaUlENEtQQzlUVEVsRFJWTkZVVk5VUlZBK0NpQThVMHhKUTBWVFJWRlRWRVZRSUNC
+Q1JVZEpUajBpCglPRGN3TUNJZ0lFVk9SRDBpT1RBd01DSWdJRU5JUFNJdE1TSWdJRk5NU1VORlNV
+NUVSVmc5SWpZd0lpQWdWa1ZNUFNJeAoJTURRaUlDQlRWRkpUVUQwaU0yVTRNREF3TURBaUlENEtQ
+QzlUVEVsRFJWTkZVVk5VUlZBK0NpQThVMHhKUTBWVFJWRlQKCVZFVlFJQ0JDUlVkSlRqMGlPVEF3
+TUNJZ0lFVk9SRDBpT1RNd01DSWdJRU5JUFNJdE1TSWdJRk5NU1VORlNVNUVSVmc5CglJall3SWlB
+Z1ZrVk1QU0l4TkNJZ0lGTlVVbE5RUFNJelpUZ3dNREF3TUNJZ1BnbzhMMU5NU1VORlUwVlJVMVJG
+VUQ0SwoJSUR4VFRFbERSVk5GVVZOVVJWQWdJRUpGUjBsT1BTSTVNekF3SWlBZ1JVNUVQU0k1TmpB
+d0lpQWdRMGc5SWkweElpQWcKCVUweEpRMFZKVGtSRldEMGlOakFpSUNCV1JVdzlJalV3SWlBZ1Ux
+UlNVMUE5SWpObE9EQXdNREF3SWlBK0Nqd3ZVMHhKCglRMFZUUlZGVFZFVlFQZ29nUEZOTVNVTkZV
+MFZSVTFSRlVDQWdRa1ZIU1U0OUlqazJNREFpSUNCRlRrUTlJakFpSUNCRAoJU0QwaUxURWlJQ0JU
+VEVsRFJVbE9SRVZZUFNJdE1pSWdJRlpGVEQwaU1USTNJaUFnVTFSU1UxQTlJak5sT0RBd01EQXcK
+CUlpQStDand2VTB4SlEwVlRSVkZUVkVWUVBnb2dQQzlCVWxCVFJWRXlQZ29nUEVGU1VFWkZSVXhU
+UlZFZ0lGUkZUVkJQCglQU0kwTW1Zd01EQXdNQ0lnSUZSSlEwdFRVRVZTVVZWQlVsUkZVajBpTkRF
+NU1pSWdJRlJKVFVWVFNVZE9WVTA5SWpRaQoJSUNCVVNVMUZVMGxIUkVWT1QwMDlJalFpSUQ0S1BD
+OUJVbEJHUlVWTVUwVlJQZ29nUEM5QlVsQStDaUE4VTFsT1ZFaEYKCVRrY2dJRlpsY25NOUlqSTVJ
+aUFnWW5Jd1BTSXpaalF3TURBd01DSWdJR0kwTUQwaU1DSWdJR0p5TVQwaU0yWTBNREF3CglNREFp
+SUNCaU5ERTlJakFpSUNCaWNqSTlJak5tTkRBd01EQXdJaUFnWWpReVBTSXdJaUFnWW5JelBTSXpa
+alF3TURBdwoJTUNJZ0lHSTBNejBpTUNJZ0lHSnlORDBpTTJZME1EQXdNREFpSUNCaU5EUTlJakFp
+SUNCaWNqVTlJak5tTkRBd01EQXcKCUlpQWdZalExUFNJd0lpQWdZbkkyUFNJelpqUXdNREF3TUNJ
+Z0lHSTBOajBpTUNJZ0lHSnlOejBpTTJZME1EQXdNREFpCglJQ0JpTkRjOUlqQWlJQ0J4YjI0OUlq
+QWlJQ0J4Ylc5a1pUMGlNQ0lnSUhGbVlXUmxQU0l3SWlBZ2MzVnpiV1E5SWpBaQoJSUNCeVpYQnJh
+V3hzUFNJd0lpQWdaRzF3YkhROUlqQWlJQ0IwYzJOc1BTSXpaRGMxWXpJNFppSWdJR3hNUms5UVBT
+STUKCU9Ua2lJQ0JzVFVWdWRsQTlJamMzTnlJZ0lITm9ZWEpsUFNJd0lpQWdjSEIyY3owaU0yWXdN
+REF3TURBaUlDQndjR053CglQU0l6WmpBd01EQXdNQ0lnSUhCdmJIazlJak5tTVdWaU9EVXlJaUFn
+Y0dKamRYUTlJalF4Wmpnd01EQXdJaUFnY0dKMQoJY0QwaU0yUXlNMlEzTUdFaUlDQndZbVJ1UFNJ
+elpESXpaRGN3WVNJZ0lIWmplRDBpTTJZd01EQXdNREFpSUNCMlkzazkKCUlqTm1NREF3TURBd0lp
+QWdkbU5uUFNJelpqQXdNREF3TUNJZ0lIWmpZajBpTTJZd01EQXdNREFpSUNCc1pXZHRQU0l3CglJ
+aUFnZFhObFRHVm5QU0l3SWlBZ2JHVm5TVzUwUFNJelkyRXpaRGN3WVNJZ0lITnVjblJ5WnowaU0y
+WTRNREF3TURBaQoJSUNCd2JHVm5QU0l3SWlBZ1oyRnBiajBpTTJZelptWm1ZbVFpSUNCdFptWnlj
+VDBpTTJZNE1EQXdNREFpSUNCdFptMWsKCVBTSXdJaUFnYldaeFBTSXdJaUFnWkhOcFlUMGlNQ0ln
+SUdSemFXSTlJakFpSUNCa2MyRmllR1k5SWpBaUlDQjJhWE14CglQU0l3SWlBZ2RtbHpNajBpTTJZ
+NE1EQXdNREFpSUNCMmFYTXpQU0l6WmpBd01EQXdNQ0lnSUhacGN6UTlJak5tTURBdwoJTURBd0lp
+QWdkbWx6TlQwaU0yWXdNREF3TURBaUlDQjJhWE0yUFNJelpqQXdNREF3TUNJZ0lITmpia1J3ZEdn
+OUlqTm0KCU9EQXdNREF3SWlBZ2MyTnVUV2w0UFNJd0lpQWdjMk51VTJWc1BTSXdJaUFnY0c5eWRG
+WXlQU0l3SWlBZ2MyTnVUVUU5CglJakFpSUNCelkyNU5RejBpTUNJZ0lHOXlZbE4wUFNJd0lpQWdi
+M0ppU1c1QmJXNTBQU0l6Wmpnd01EQXdNQ0lnSUc5eQoJWWtsdVUzUTlJak5tT0RBd01EQXdJaUFn
+VTJObGJtVkRiMjF3YjI1bGJuUXdQU0l6Wmpnd01EQXdNQ0lnSUZOalpXNWwKCVEyOXRjRzl1Wlc1
+ME1UMGlNMlk0TURBd01EQWlJQ0JUWTJWdVpVTnZiWEJ2Ym1WdWRESTlJak5tT0RBd01EQXdJaUFn
+CglVMk5sYm1WRGIyMXdiMjVsYm5RelBTSXpaamd3TURBd01DSWdJR2x5YzJWdVpHRjFlRDBpTUNJ
+Z0lIQmhkWGh5YkQwaQoJTTJZNE1EQXdNREFpSUNCd1lYVjRjbXhmUTNOMGJWOHdYejBpTXpNaUlD
+QndZWFY0Y214ZlEzTjBiVjh3WHpCWVBTSXcKCUlpQWdjR0YxZUhKc1gwTnpkRzFmTUY4d1dUMGlN
+Q0lnSUhCaGRYaHliRjlEYzNSdFh6QmZNVmc5SWpObU9EQXdNREF3CglJaUFnY0dGMWVISnNYME56
+ZEcxZk1GOHhXVDBpTTJZNE1EQXdNREFpSUNCd1lYVjRjbXhmUTNOMGJWOHdYMU5XTUQwaQoJTUNJ
+Z0lIQmhkWGh5YkY5RGMzUnRYekJmVTFZeFBTSXpaamd3TURBd01DSWdJSEJoZFhoeWJGOURjM1J0
+WHpCZlUxWXkKCVBTSXpaamd3TURBd01DSWdJSEJoZFhoeWJGOURjM1J0WHpCZlUxWXpQU0l6Wmpn
+d01EQXdNQ0lnSUdKNWNHRnpjejBpCglNQ0lnSUhSMWJuQmhkR2c5SWlJZ0lHOXlhV2RNYVdKT1lX
+MWxQU0pMWlhselkyRndaU0JNYVdKeVlYSjVJaUFnYjNKcAoJWjFCaGRHTm9UbUZ0WlQwaVVtaHZa
+R1Z6SUMwZ1EyeGhjM05wWXlJZ0lFTjFjM1J2YlY4d1BTSXpaalJtTldNeU9TSWcKCUlFTjFjM1J2
+YlY4eFBTSXpaVFZqTWpobU5TSWdJRU4xYzNSdmJWOHlQU0l6WmpNNU9UazVZU0lnSUVOMWMzUnZi
+Vjh6CglQU0l6Wmpnd01EQXdNQ0lnSUVOMWMzUnZiVjgwUFNJelpqZ3dNREF3TUNJZ0lFTjFjM1J2
+YlY4MVBTSXpaalV6WW1JMgoJT0NJZ0lFTjFjM1J2YlY4MlBTSXpaV05oTTJRM01DSWdJRU4xYzNS
+dmJWODNQU0l6WldVeU5HUmtNU0lnSUVOMWMzUnYKCWJWODRQU0l3SWlBZ1EzVnpkRzl0WHprOUlq
+Tm1PREF3TURBd0lpQWdRM1Z6ZEc5dFh6RXdQU0l6Wmpnd01EQXdNQ0lnCglJRU4xYzNSdmJWOHhN
+VDBpTUNJZ0lFTjFjM1J2YlY4eE1qMGlNMlk0TURBd01EQWlJQ0JEZFhOMGIyMWZNVE05SWpBaQoJ
+SUNCRGRYTjBiMjFmTVRROUlqTm1NREF3TURBd0lpQWdRM1Z6ZEc5dFh6RTFQU0l6Wmpnd01EQXdN
+Q0lnSUVOMWMzUnYKCWJWOHhOajBpTUNJZ0lFTjFjM1J2YlY4eE56MGlNMll3TURBd01EQWlJQ0JE
+ZFhOMGIyMWZNVGc5SWpObFpqVmpNamt3CglJaUFnUTNWemRHOXRYekU1UFNJd0lpQWdRM1Z6ZEc5
+dFh6SXdQU0l6WlRBeE1EWXlOU0lnSUVOMWMzUnZiVjh5TVQwaQoJTUNJZ0lFTjFjM1J2YlY4eU1q
+MGlNMlE0TXpFeU56QWlJQ0JEZFhOMGIyMWZNak05SWpObU9EQXdNREF3SWlBZ1EzVnoKCWRHOXRY
+ekkwUFNJelpqZ3dNREF3TUNJZ0lFTjFjM1J2YlY4eU5UMGlNMll3TlRGbFlqZ2lJQ0JEZFhOMGIy
+MWZNalk5CglJak5tTWpBMFpXRTBJaUFnUTNWemRHOXRYekkzUFNJd0lpQWdRM1Z6ZEc5dFh6STRQ
+U0l6Wmpnd01EQXdNQ0lnSUVOMQoJYzNSdmJWOHlPVDBpTTJZME1EQXdNREFpSUNCRGRYTjBiMjFm
+TXpBOUlqTm1PREF3TURBd0lpQWdRM1Z6ZEc5dFh6TXgKCVBTSXpaV1prTnpCaE5DSWdJRU4xYzNS
+dmJWOHpNajBpTTJWa056QmhNMlVpSUNCRGRYTjBiMjFmTXpNOUlqTm1PREF3CglNREF3SWlBZ1Ez
+VnpkRzl0WHpNMFBTSXpaakF3TURBd01DSWdJRU4xYzNSdmJWOHpOVDBpTTJZd01EQXdNREFpSUNC
+RAoJZFhOMGIyMWZNelk5SWpBaUlDQkRkWE4wYjIxZk16YzlJak5tTW1OalkyTmpJaUFnUTNWemRH
+OXRYek00UFNJd0lpQWcKCVEzVnpkRzl0WHpNNVBTSXdJaUFnUTNWemRHOXRYelF3UFNJd0lpQWdR
+M1Z6ZEc5dFh6UXhQU0l3SWlBZ1EzVnpkRzl0CglYelF5UFNJd0lpQWdRM1Z6ZEc5dFh6UXpQU0l3
+SWlBZ1EzVnpkRzl0WHpRMFBTSXdJaUFnUTNWemRHOXRYelExUFNJdwoJSWlBZ1EzVnpkRzl0WHpR
+MlBTSXdJaUFnUTNWemRHOXRYelEzUFNJd0lpQWdRM1Z6ZEc5dFh6UTRQU0l3SWlBZ1EzVnoKCWRH
+OXRYelE1UFNJd0lpQWdRM1Z6ZEc5dFh6VXdQU0l3SWlBZ1EzVnpkRzl0WHpVeFBTSXdJaUFnUTNW
+emRHOXRYelV5CglQU0l3SWlBZ1EzVnpkRzl0WHpVelBTSXdJaUFnUTNWemRHOXRYelUwUFNJd0lp
+QWdRM1Z6ZEc5dFh6VTFQU0l3SWlBZwoJUTNWemRHOXRYelUyUFNJd0lpQWdRM1Z6ZEc5dFh6VTNQ
+U0l3SWlBZ1EzVnpkRzl0WHpVNFBTSXdJaUFnUTNWemRHOXQKCVh6VTVQU0l3SWlBZ1EzVnpkRzl0
+WHpZd1BTSXdJaUFnUTNWemRHOXRYell4UFNJd0lpQWdRM1Z6ZEc5dFh6WXlQU0l3CglJaUFnUTNW
+emRHOXRYell6UFNJd0lpQWdRM1Z6ZEc5dFh6WTBQU0l3SWlBZ1EzVnpkRzl0WHpZMVBTSXdJaUFn
+UTNWegoJZEc5dFh6WTJQU0l3SWlBZ1EzVnpkRzl0WHpZM1BTSXdJaUFnUTNWemRHOXRYelk0UFNJ
+d0lpQWdRM1Z6ZEc5dFh6WTUKCVBTSXdJaUFnUTNWemRHOXRYemN3UFNJd0lpQWdRM1Z6ZEc5dFh6
+Y3hQU0l3SWlBZ1EzVnpkRzl0WHpjeVBTSXdJaUFnCglRM1Z6ZEc5dFh6Y3pQU0l3SWlBZ1EzVnpk
+Rzl0WHpjMFBTSXdJaUFnUTNWemRHOXRYemMxUFNJd0lpQWdRM1Z6ZEc5dAoJWHpjMlBTSXdJaUFn
+UTNWemRHOXRYemMzUFNJd0lpQWdRM1Z6ZEc5dFh6YzRQU0l3SWlBZ1EzVnpkRzl0WHpjNVBTSXcK
+CUlpQWdRM1Z6ZEc5dFh6Z3dQU0l3SWlBZ1EzVnpkRzl0WHpneFBTSXdJaUFnUTNWemRHOXRYemd5
+UFNJd0lpQWdRM1Z6CglkRzl0WHpnelBTSXdJaUFnUTNWemRHOXRYemcwUFNJd0lpQWdRM1Z6ZEc5
+dFh6ZzFQU0l3SWlBZ1EzVnpkRzl0WHpnMgoJUFNJd0lpQWdRM1Z6ZEc5dFh6ZzNQU0l3SWlBZ1Ez
+VnpkRzl0WHpnNFBTSXdJaUFnUTNWemRHOXRYemc1UFNJd0lpQWcKCVEzVnpkRzl0WHprd1BTSXdJ
+aUFnUTNWemRHOXRYemt4UFNJd0lpQWdRM1Z6ZEc5dFh6a3lQU0l3SWlBZ1EzVnpkRzl0CglYemt6
+UFNJd0lpQWdRM1Z6ZEc5dFh6azBQU0l3SWlBZ1EzVnpkRzl0WHprMVBTSXdJaUFnUTNWemRHOXRY
+emsyUFNJdwoJSWlBZ1EzVnpkRzl0WHprM1BTSXdJaUFnUTNWemRHOXRYems0UFNJd0lpQWdRM1Z6
+ZEc5dFh6azVQU0l3SWlBZ1EzVnoKCWRHOXRYekV3TUQwaU1DSWdJRU4xYzNSdmJWOHhNREU5SWpB
+aUlDQkRkWE4wYjIxZk1UQXlQU0l3SWlBZ1EzVnpkRzl0CglYekV3TXowaU1DSWdJRU4xYzNSdmJW
+OHhNRFE5SWpBaUlDQkRkWE4wYjIxZk1UQTFQU0l3SWlBZ1EzVnpkRzl0WHpFdwoJTmowaU1DSWdJ
+RU4xYzNSdmJWOHhNRGM5SWpBaUlDQkRkWE4wYjIxZk1UQTRQU0l3SWlBZ1EzVnpkRzl0WHpFd09U
+MGkKCU1DSWdJRU4xYzNSdmJWOHhNVEE5SWpBaUlDQkRkWE4wYjIxZk1URXhQU0l3SWlBZ1EzVnpk
+Rzl0WHpFeE1qMGlNQ0lnCglJRU4xYzNSdmJWOHhNVE05SWpBaUlDQkRkWE4wYjIxZk1URTBQU0l3
+SWlBZ1EzVnpkRzl0WHpFeE5UMGlNQ0lnSUVOMQoJYzNSdmJWOHhNVFk5SWpBaUlDQkRkWE4wYjIx
+Zk1URTNQU0l3SWlBZ1EzVnpkRzl0WHpFeE9EMGlNQ0lnSUVOMWMzUnYKCWJWOHhNVGs5SWpBaUlD
+QkRkWE4wYjIxZk1USXdQU0l3SWlBZ1EzVnpkRzl0WHpFeU1UMGlNQ0lnSUVOMWMzUnZiVjh4CglN
+akk5SWpBaUlDQkRkWE4wYjIxZk1USXpQU0l3SWlBZ1EzVnpkRzl0WHpFeU5EMGlNQ0lnSUVOMWMz
+UnZiVjh4TWpVOQoJSWpBaUlDQkRkWE4wYjIxZk1USTJQU0l3SWlBZ1EzVnpkRzl0WHpFeU56MGlN
+Q0lnSUdOelkyZzlJakFpSUNCRFVGTmoKCVh6QTlJakFpSUNCRFVGTmpYekU5SWpBaUlDQkRVRk5q
+WHpJOUlqQWlJQ0JEVUZOalh6TTlJakFpSUNCRFVGTmpYelE5CglJakFpSUNCRFVGTmpYelU5SWpB
+aUlDQkRVRk5qWHpZOUlqQWlJQ0JEVUZOalh6YzlJakFpSUQ0S1BFVk9WRkpaUkVWVAoJUTFJZ0lH
+NWhiV1U5SWxKb2IyUmxjeUF0SUVOc1lYTnphV01pSUNCc2FXSnlZWEo1UFNKTFpYbHpZMkZ3WlNC
+TWFXSnkKCVlYSjVJaUFnUVZSVVVrbENYMVpCVEZWRlgwUkJWRUU5SWtGMWRHaHZjajFGY21saklG
+Qmxjbk5wYm1jN1FYVjBhRzl5CglQVWxuYm1GamFXOGdURzl1WjI4N1EyOXRjR3hsZUdsMGVUMVRh
+VzF3YkdVN1RXOWtaV3c5VW1odlpHVnpJQzBnUTJ4aAoJYzNOcFl5Qk5ZWEpySUVrN1ZIbHdaVDFG
+YkdWamRISnBZeUJRYVdGdWIzTTdSR1Z6WTNKcGNIUnBiMjQ5VkVsUUlDMGcKCVFXUnFkWE4wSUhS
+b1pTQlNaV3dnVG05cGMyVWdiR1YyWld3Z2RXNWtaWElnVFVGSlRpNG1JekV3T3lZak1UQTdTRWxU
+CglWRTlTV1NBdElGZHBkR2dnYjNabGNpQXlOVEFzTURBd0lFWmxibVJsY2lCU2FHOWtaWE1nY0hK
+dlpIVmpaV1FzSUdFZwoJYldGcWIzSWdZM1ZzZEhWeVpTQm9ZWE1nWjNKdmQyNGdkWEFnWVhKdmRX
+NWtJSFJvWlNCcGJuTjBjblZ0Wlc1MExpQk8KCWRXMWxjbTkxY3lCdGIyUmxiSE1nZDJWeVpTQndj
+bTlrZFdObFpDQmlaWFIzWldWdUlERTVOalVnWVc1a0lERTVPRFFzCglJR0oxZENCMGFHVWdZMjl1
+YzJWdWMzVnpJR2x6SUhSb1lYUWdkR2hsSUdWaGNteDVJQ1lqTXprN056QnpJRGN6TFd0bAoJZVNC
+TmEwa2dkMmwwYUNCM2IyOWtJR3RsZVhNZ1lXNWtJRkJsZEdWeWMyOXVJR1ZzWldOMGNtOXVhV056
+SUdseklIUm8KCVpTQnBaR1ZoYkNCemNHVmphVzFsYmk0Z1ZHaGhkQ0JqYkdGemMybGpJR2x6SUda
+bFlYUjFjbVZrSUdobGNtVXVJRmRsCglJSEpsWTI5eVpHVmtJSFpwWVNCMGFHVWdjSEpsTFdGdGND
+QmhibVFnWTJGd2RIVnlaV1FnZEdobElHMWxZMmhoYm1sagoJWVd3Z2JtOXBjMlZ6SUhkcGRHZ2dZ
+U0J0YVdNdUppTXhNRHNtSXpFd08xUm9aU0JTYUc5a1pYTWdjR2xoYm04Z1lXTjAKCWFXOXVJR05o
+ZFhObGN5QnBkSE1nYUdGdGJXVnljeUIwYnlCemRISnBhMlVnWVNCMGFXNWxJQ2hoSUhSMWJtVmtJ
+RzFsCglkR0ZzSUhKdlpDa2dkMmhwWTJnZ2FYTWdZWFIwWVdOb1pXUWdkRzhnWVNCdGIzSmxJSE4x
+WW5OMFlXNTBhV0ZzSUcxbAoJZEdGc0lIUnZibVZpWVhJZ1ptOXlJSE4xYzNSaGFXNHVJRlJvWlNC
+emIzVnVaQ0JwY3lCaGJYQnNhV1pwWldRZ1lua2cKCVlXNGdaV3hsWTNSeWJ5MXRZV2R1WlhScFl5
+QndhV05yZFhBZ2NtOTFkR1ZrSUhSdklHRnVJR0ZqZEdsMlpTQndjbVV0CglZVzF3TGlCUGRYSWdZ
+VzFoZW1sdVp5MXpiM1Z1WkdsdVp5QnBibk4wY25WdFpXNTBJSGRoY3lCallYSmxablZzYkhrZwoJ
+Y21WemRHOXlaV1FnWVc1a0lISmxZblZwYkhRZ1lua2djbVZ1YjNkdVpXUWdURzl6SUVGdVoyVnNa
+WE1nYTJWNVltOWgKCWNtUWdkR1ZqYUN3Z1MyVnVJRkpwWTJndU8zTnBlbVU5T1RFMk56UTVNekV5
+TUR0UGMyTWdWSGx3WlQxVFlXMXdiR1VnCglUMjVzZVR0R1pXRjBkWEpsWkNCUGNtUmxjajA1T1Rr
+NU1Ua3VNREF3T3lJZ1BnbzhMMFZPVkZKWlJFVlRRMUkrQ2lBOAoJVFU5RVgwMUJWRkpKV0NBZ2My
+OTFjbU5sTUQwaVRFWlBNU0lnSUhSaGNtZGxkREE5SWtFZ1lYUnliU0lnSUdSbFpsWXcKCVBTSXpa
+amd3TURBd01DSWdJR3h2TUQwaU0yWTRNREF3TURBaUlDQm9hVEE5SWpObU9EQXdNREF3SWlBZ2FH
+a3dYME56CglkRzFmTUY4OUlqRXlJaUFnYUdrd1gwTnpkRzFmTUY4d1dEMGlNQ0lnSUdocE1GOURj
+M1J0WHpCZk1GazlJakFpSUNCbwoJYVRCZlEzTjBiVjh3WHpGWVBTSXpaamd3TURBd01DSWdJR2hw
+TUY5RGMzUnRYekJmTVZrOUlqTm1PREF3TURBd0lpQWcKCWJYVjBaVEE5SWpObU9EQXdNREF3SWlB
+Z2JYVjBaVEJmUTNOMGJWOHdYejBpTXlJZ0lHMTFkR1V3WDBOemRHMWZNRjh3CglXRDBpTUNJZ0lH
+MTFkR1V3WDBOemRHMWZNRjh3V1QwaU1DSWdJRzExZEdVd1gwTnpkRzFmTUY4eFdEMGlNMlk0TURB
+dwoJTURBaUlDQnRkWFJsTUY5RGMzUnRYekJmTVZrOUlqTm1PREF3TURBd0lpQWdaR0Z0Y0RBOUlq
+Tm1NbU5qWTJOaklpQWcKCVpHRnRjREJmUTNOMGJWOHdYejBpTXpjaUlDQmtZVzF3TUY5RGMzUnRY
+ekJmTUZnOUlqQWlJQ0JrWVcxd01GOURjM1J0CglYekJmTUZrOUlqTm1Oems1T1RsaElpQWdaR0Z0
+Y0RCZlEzTjBiVjh3WHpGWVBTSXpaakF3TURBd01DSWdJR1JoYlhBdwoJWDBOemRHMWZNRjh4V1Qw
+aU0yWXhPVGs1T1dFaUlDQmtZVzF3TUY5RGMzUnRYekJmTWxnOUlqTm1PREF3TURBd0lpQWcKCVpH
+RnRjREJmUTNOMGJWOHdYekpaUFNJelpEUmpZMk5qWkNJZ0lHRnNiREE5SWpBaUlDQnpiM1Z5WTJV
+eFBTSk1Sazh5CglJaUFnZEdGeVoyVjBNVDBpUVNCd1lXNGlJQ0JrWldaV01UMGlNMll3TURBd01E
+QWlJQ0JzYnpFOUlqQWlJQ0JvYVRFOQoJSWpObU1EQXdNREF3SWlBZ2FHa3hYME56ZEcxZk1GODlJ
+akV5SWlBZ2FHa3hYME56ZEcxZk1GOHdXRDBpTUNJZ0lHaHAKCU1WOURjM1J0WHpCZk1GazlJakFp
+SUNCb2FURmZRM04wYlY4d1h6RllQU0l6Wmpnd01EQXdNQ0lnSUdocE1WOURjM1J0CglYekJmTVZr
+OUlqTm1NREF3TURBd0lpQWdiWFYwWlRFOUlqQWlJQ0J0ZFhSbE1WOURjM1J0WHpCZlBTSXpJaUFn
+YlhWMAoJWlRGZlEzTjBiVjh3WHpCWVBTSXdJaUFnYlhWMFpURmZRM04wYlY4d1h6QlpQU0l6Wmpn
+d01EQXdNQ0lnSUcxMWRHVXgKCVgwTnpkRzFmTUY4eFdEMGlNMlk0TURBd01EQWlJQ0J0ZFhSbE1W
+OURjM1J0WHpCZk1WazlJakFpSUNCa1lXMXdNVDBpCglNMll5WTJOalkyTWlJQ0JrWVcxd01WOURj
+M1J0WHpCZlBTSXpOeUlnSUdSaGJYQXhYME56ZEcxZk1GOHdXRDBpTUNJZwoJSUdSaGJYQXhYME56
+ZEcxZk1GOHdXVDBpTTJZM09UazVPV0VpSUNCa1lXMXdNVjlEYzNSdFh6QmZNVmc5SWpObU1EQXcK
+CU1EQXdJaUFnWkdGdGNERmZRM04wYlY4d1h6RlpQU0l6WmpFNU9UazVZU0lnSUdSaGJYQXhYME56
+ZEcxZk1GOHlXRDBpCglNMlk0TURBd01EQWlJQ0JrWVcxd01WOURjM1J0WHpCZk1sazlJak5rTkdO
+alkyTmtJaUFnWVd4c01UMGlNQ0lnSUhOdgoJZFhKalpUSTlJa0ZzZENJZ0lIUmhjbWRsZERJOUlr
+RWdkR2x0WW5KbElpQWdaR1ZtVmpJOUlqTm1NREF3TURBd0lpQWcKCWJHOHlQU0l3SWlBZ2FHa3lQ
+U0l6WWpnek1USTNNQ0lnSUcxMWRHVXlQU0l6Wmpnd01EQXdNQ0lnSUdSaGJYQXlQU0l3CglJaUFn
+WVd4c01qMGlNQ0lnSUhOdmRYSmpaVE05SWtGc2RDSWdJSFJoY21kbGRETTlJa0lnZEdsdFluSmxJ
+aUFnWkdWbQoJVmpNOUlqTm1NREF3TURBd0lpQWdiRzh6UFNJd0lpQWdhR2t6UFNJell6VmhOelF3
+WlNJZ0lHMTFkR1V6UFNJelpqZ3cKCU1EQXdNQ0lnSUdSaGJYQXpQU0l3SWlBZ1lXeHNNejBpTUNJ
+Z0lITnZkWEpqWlRROUlsWmxiRzhpSUNCMFlYSm5aWFEwCglQU0pCSUhScGJXSnlaU0lnSUdSbFps
+WTBQU0l6WmpBd01EQXdNQ0lnSUd4dk5EMGlNQ0lnSUdocE5EMGlNMlU1T1RrNQoJT1dFaUlDQnRk
+WFJsTkQwaU0yWTRNREF3TURBaUlDQnRkWFJsTkY5RGMzUnRYekJmUFNJMElpQWdiWFYwWlRSZlEz
+TjAKCWJWOHdYekJZUFNJd0lpQWdiWFYwWlRSZlEzTjBiVjh3WHpCWlBTSXpaamd3TURBd01DSWdJ
+RzExZEdVMFgwTnpkRzFmCglNRjh4V0QwaU0yWTRNREF3TURBaUlDQnRkWFJsTkY5RGMzUnRYekJm
+TVZrOUlqQWlJQ0JrWVcxd05EMGlNQ0lnSUdGcwoJYkRROUlqQWlJQ0J6YjNWeVkyVTFQU0p2Wm1Z
+aUlDQjBZWEpuWlhRMVBTSnZabVlpSUNCa1pXWldOVDBpTTJZNE1EQXcKCU1EQWlJQ0JzYnpVOUlq
+QWlJQ0JvYVRVOUlqTmxNemhoTWpZd0lpQWdiWFYwWlRVOUlqQWlJQ0JrWVcxd05UMGlNQ0lnCglJ
+R0ZzYkRVOUlqQWlJQ0J6YjNWeVkyVTJQU0p2Wm1ZaUlDQjBZWEpuWlhRMlBTSnZabVlpSUNCa1pX
+WldOajBpTTJZNAoJTURBd01EQWlJQ0JzYnpZOUlqQWlJQ0JvYVRZOUlqTmxNemd4WkRkbUlpQWdi
+WFYwWlRZOUlqQWlJQ0JrWVcxd05qMGkKCU1DSWdJR0ZzYkRZOUlqQWlJQ0J6YjNWeVkyVTNQU0p2
+Wm1ZaUlDQjBZWEpuWlhRM1BTSnZabVlpSUNCa1pXWldOejBpCglNMlk0TURBd01EQWlJQ0JzYnpj
+OUlqQWlJQ0JvYVRjOUlqTmxZMk5qWTJOa0lpQWdiWFYwWlRjOUlqQWlJQ0JrWVcxdwoJTnowaU1D
+SWdJR0ZzYkRjOUlqQWlJQ0J6YjNWeVkyVTRQU0p2Wm1ZaUlDQjBZWEpuWlhRNFBTSnZabVlpSUNC
+a1pXWlcKCU9EMGlNMlk0TURBd01EQWlJQ0JzYnpnOUlqQWlJQ0JvYVRnOUlqTmxZMk5qWTJOaklp
+QWdiWFYwWlRnOUlqQWlJQ0JrCglZVzF3T0QwaU1DSWdJR0ZzYkRnOUlqQWlJQ0J6YjNWeVkyVTVQ
+U0p2Wm1ZaUlDQjBZWEpuWlhRNVBTSnZabVlpSUNCawoJWldaV09UMGlNMlk0TURBd01EQWlJQ0Jz
+YnprOUlqQWlJQ0JvYVRrOUlqTmxOMlprTW1Oa0lpQWdiWFYwWlRrOUlqQWkKCUlDQmtZVzF3T1Qw
+aU1DSWdJR0ZzYkRrOUlqQWlJQ0J6YjNWeVkyVXhNRDBpYjJabUlpQWdkR0Z5WjJWME1UQTlJbTlt
+CglaaUlnSUdSbFpsWXhNRDBpTTJZNE1EQXdNREFpSUNCc2J6RXdQU0l3SWlBZ2FHa3hNRDBpTTJZ
+d01EQXdNREFpSUNCdAoJZFhSbE1UQTlJakFpSUNCa1lXMXdNVEE5SWpBaUlDQmhiR3d4TUQwaU1D
+SWdJSE52ZFhKalpURXhQU0p2Wm1ZaUlDQjAKCVlYSm5aWFF4TVQwaWIyWm1JaUFnWkdWbVZqRXhQ
+U0l6Wmpnd01EQXdNQ0lnSUd4dk1URTlJakFpSUNCb2FURXhQU0l6CglaakF3TURBd01DSWdJRzEx
+ZEdVeE1UMGlNQ0lnSUdSaGJYQXhNVDBpTUNJZ0lHRnNiREV4UFNJd0lpQWdjMjkxY21ObAoJTVRJ
+OUltOW1aaUlnSUhSaGNtZGxkREV5UFNKdlptWWlJQ0JrWldaV01USTlJak5tT0RBd01EQXdJaUFn
+Ykc4eE1qMGkKCU1DSWdJR2hwTVRJOUlqTm1NREF3TURBd0lpQWdiWFYwWlRFeVBTSXdJaUFnWkdG
+dGNERXlQU0l3SWlBZ1lXeHNNVEk5CglJakFpSUNCemIzVnlZMlV4TXowaWIyWm1JaUFnZEdGeVoy
+VjBNVE05SW05bVppSWdJR1JsWmxZeE16MGlNMlk0TURBdwoJTURBaUlDQnNiekV6UFNJd0lpQWdh
+R2t4TXowaU0yWXdNREF3TURBaUlDQnRkWFJsTVRNOUlqQWlJQ0JrWVcxd01UTTkKCUlqQWlJQ0Jo
+Ykd3eE16MGlNQ0lnSUhOdmRYSmpaVEUwUFNKdlptWWlJQ0IwWVhKblpYUXhORDBpYjJabUlpQWda
+R1ZtCglWakUwUFNJelpqZ3dNREF3TUNJZ0lHeHZNVFE5SWpBaUlDQm9hVEUwUFNJelpqQXdNREF3
+TUNJZ0lHMTFkR1V4TkQwaQoJTUNJZ0lHUmhiWEF4TkQwaU1DSWdJR0ZzYkRFMFBTSXdJaUFnYzI5
+MWNtTmxNVFU5SW05bVppSWdJSFJoY21kbGRERTEKCVBTSnZabVlpSUNCa1pXWldNVFU5SWpObU9E
+QXdNREF3SWlBZ2JHOHhOVDBpTUNJZ0lHaHBNVFU5SWpObU1EQXdNREF3CglJaUFnYlhWMFpURTFQ
+U0l3SWlBZ1pHRnRjREUxUFNJd0lpQWdZV3hzTVRVOUlqQWlJQ0J6YjNWeVkyVXhOajBpYjJabQoJ
+SWlBZ2RHRnlaMlYwTVRZOUltOW1aaUlnSUdSbFpsWXhOajBpTTJZNE1EQXdNREFpSUNCc2J6RTJQ
+U0l3SWlBZ2FHa3gKCU5qMGlNMll3TURBd01EQWlJQ0J0ZFhSbE1UWTlJakFpSUNCa1lXMXdNVFk5
+SWpBaUlDQmhiR3d4TmowaU1DSWdJSE52CglkWEpqWlRFM1BTSnZabVlpSUNCMFlYSm5aWFF4Tnow
+aWIyWm1JaUFnWkdWbVZqRTNQU0l6Wmpnd01EQXdNQ0lnSUd4dgoJTVRjOUlqQWlJQ0JvYVRFM1BT
+SXpaakF3TURBd01DSWdJRzExZEdVeE56MGlNQ0lnSUdSaGJYQXhOejBpTUNJZ0lHRnMKCWJERTNQ
+U0l3SWlBZ2MyOTFjbU5sTVRnOUltOW1aaUlnSUhSaGNtZGxkREU0UFNKdlptWWlJQ0JrWldaV01U
+ZzlJak5tCglPREF3TURBd0lpQWdiRzh4T0QwaU1DSWdJR2hwTVRnOUlqTm1NREF3TURBd0lpQWdi
+WFYwWlRFNFBTSXdJaUFnWkdGdAoJY0RFNFBTSXdJaUFnWVd4c01UZzlJakFpSUNCemIzVnlZMlV4
+T1QwaWIyWm1JaUFnZEdGeVoyVjBNVGs5SW05bVppSWcKCUlHUmxabFl4T1QwaU0yWTRNREF3TURB
+aUlDQnNiekU1UFNJd0lpQWdhR2t4T1QwaU0yWXdNREF3TURBaUlDQnRkWFJsCglNVGs5SWpBaUlD
+QmtZVzF3TVRrOUlqQWlJQ0JoYkd3eE9UMGlNQ0lnSUhOdmRYSmpaVEl3UFNKdlptWWlJQ0IwWVhK
+bgoJWlhReU1EMGliMlptSWlBZ1pHVm1Wakl3UFNJelpqZ3dNREF3TUNJZ0lHeHZNakE5SWpBaUlD
+Qm9hVEl3UFNJelpqQXcKCU1EQXdNQ0lnSUcxMWRHVXlNRDBpTUNJZ0lHUmhiWEF5TUQwaU1DSWdJ
+R0ZzYkRJd1BTSXdJaUFnYzI5MWNtTmxNakU5CglJbTltWmlJZ0lIUmhjbWRsZERJeFBTSnZabVlp
+SUNCa1pXWldNakU5SWpObU9EQXdNREF3SWlBZ2JHOHlNVDBpTUNJZwoJSUdocE1qRTlJak5tTURB
+d01EQXdJaUFnYlhWMFpUSXhQU0l3SWlBZ1pHRnRjREl4UFNJd0lpQWdZV3hzTWpFOUlqQWkKCUlD
+QnpiM1Z5WTJVeU1qMGliMlptSWlBZ2RHRnlaMlYwTWpJOUltOW1aaUlnSUdSbFpsWXlNajBpTTJZ
+NE1EQXdNREFpCglJQ0JzYnpJeVBTSXdJaUFnYUdreU1qMGlNMll3TURBd01EQWlJQ0J0ZFhSbE1q
+STlJakFpSUNCa1lXMXdNakk5SWpBaQoJSUNCaGJHd3lNajBpTUNJZ0lITnZkWEpqWlRJelBTSnZa
+bVlpSUNCMFlYSm5aWFF5TXowaWIyWm1JaUFnWkdWbVZqSXoKCVBTSXpaamd3TURBd01DSWdJR3h2
+TWpNOUlqQWlJQ0JvYVRJelBTSXpaakF3TURBd01DSWdJRzExZEdVeU16MGlNQ0lnCglJR1JoYlhB
+eU16MGlNQ0lnSUdGc2JESXpQU0l3SWlBZ2MyOTFjbU5sTWpROUltOW1aaUlnSUhSaGNtZGxkREkw
+UFNKdgoJWm1ZaUlDQmtaV1pXTWpROUlqTm1PREF3TURBd0lpQWdiRzh5TkQwaU1DSWdJR2hwTWpR
+OUlqTm1NREF3TURBd0lpQWcKCWJYVjBaVEkwUFNJd0lpQWdaR0Z0Y0RJMFBTSXdJaUFnWVd4c01q
+UTlJakFpSUNCemIzVnlZMlV5TlQwaWIyWm1JaUFnCglkR0Z5WjJWME1qVTlJbTltWmlJZ0lHUmxa
+bFl5TlQwaU0yWTRNREF3TURBaUlDQnNiekkxUFNJd0lpQWdhR2t5TlQwaQoJTTJZd01EQXdNREFp
+SUNCdGRYUmxNalU5SWpBaUlDQmtZVzF3TWpVOUlqQWlJQ0JoYkd3eU5UMGlNQ0lnSUhOdmRYSmoK
+CVpUSTJQU0p2Wm1ZaUlDQjBZWEpuWlhReU5qMGliMlptSWlBZ1pHVm1WakkyUFNJelpqZ3dNREF3
+TUNJZ0lHeHZNalk5CglJakFpSUNCb2FUSTJQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXlOajBpTUNJ
+Z0lHUmhiWEF5TmowaU1DSWdJR0ZzYkRJMgoJUFNJd0lpQWdjMjkxY21ObE1qYzlJbTltWmlJZ0lI
+UmhjbWRsZERJM1BTSnZabVlpSUNCa1pXWldNamM5SWpObU9EQXcKCU1EQXdJaUFnYkc4eU56MGlN
+Q0lnSUdocE1qYzlJak5tTURBd01EQXdJaUFnYlhWMFpUSTNQU0l3SWlBZ1pHRnRjREkzCglQU0l3
+SWlBZ1lXeHNNamM5SWpBaUlDQnpiM1Z5WTJVeU9EMGliMlptSWlBZ2RHRnlaMlYwTWpnOUltOW1a
+aUlnSUdSbAoJWmxZeU9EMGlNMlk0TURBd01EQWlJQ0JzYnpJNFBTSXdJaUFnYUdreU9EMGlNMll3
+TURBd01EQWlJQ0J0ZFhSbE1qZzkKCUlqQWlJQ0JrWVcxd01qZzlJakFpSUNCaGJHd3lPRDBpTUNJ
+Z0lITnZkWEpqWlRJNVBTSnZabVlpSUNCMFlYSm5aWFF5CglPVDBpYjJabUlpQWdaR1ZtVmpJNVBT
+SXpaamd3TURBd01DSWdJR3h2TWprOUlqQWlJQ0JvYVRJNVBTSXpaakF3TURBdwoJTUNJZ0lHMTFk
+R1V5T1QwaU1DSWdJR1JoYlhBeU9UMGlNQ0lnSUdGc2JESTVQU0l3SWlBZ2MyOTFjbU5sTXpBOUlt
+OW0KCVppSWdJSFJoY21kbGRETXdQU0p2Wm1ZaUlDQmtaV1pXTXpBOUlqTm1PREF3TURBd0lpQWdi
+Rzh6TUQwaU1DSWdJR2hwCglNekE5SWpObU1EQXdNREF3SWlBZ2JYVjBaVE13UFNJd0lpQWdaR0Z0
+Y0RNd1BTSXdJaUFnWVd4c016QTlJakFpSUNCegoJYjNWeVkyVXpNVDBpYjJabUlpQWdkR0Z5WjJW
+ME16RTlJbTltWmlJZ0lHUmxabFl6TVQwaU0yWTRNREF3TURBaUlDQnMKCWJ6TXhQU0l3SWlBZ2FH
+a3pNVDBpTTJZd01EQXdNREFpSUNCdGRYUmxNekU5SWpBaUlDQmtZVzF3TXpFOUlqQWlJQ0JoCgli
+R3d6TVQwaU1DSWdJSE52ZFhKalpUTXlQU0p2Wm1ZaUlDQjBZWEpuWlhRek1qMGliMlptSWlBZ1pH
+Vm1Wak15UFNJegoJWmpnd01EQXdNQ0lnSUd4dk16STlJakFpSUNCb2FUTXlQU0l6WmpBd01EQXdN
+Q0lnSUcxMWRHVXpNajBpTUNJZ0lHUmgKCWJYQXpNajBpTUNJZ0lHRnNiRE15UFNJd0lpQWdjMjkx
+Y21ObE16TTlJbTltWmlJZ0lIUmhjbWRsZERNelBTSnZabVlpCglJQ0JrWldaV016TTlJak5tT0RB
+d01EQXdJaUFnYkc4ek16MGlNQ0lnSUdocE16TTlJak5tTURBd01EQXdJaUFnYlhWMAoJWlRNelBT
+SXdJaUFnWkdGdGNETXpQU0l3SWlBZ1lXeHNNek05SWpBaUlDQnpiM1Z5WTJVek5EMGliMlptSWlB
+Z2RHRnkKCVoyVjBNelE5SW05bVppSWdJR1JsWmxZek5EMGlNMlk0TURBd01EQWlJQ0JzYnpNMFBT
+SXdJaUFnYUdrek5EMGlNMll3CglNREF3TURBaUlDQnRkWFJsTXpROUlqQWlJQ0JrWVcxd016UTlJ
+akFpSUNCaGJHd3pORDBpTUNJZ0lITnZkWEpqWlRNMQoJUFNKdlptWWlJQ0IwWVhKblpYUXpOVDBp
+YjJabUlpQWdaR1ZtVmpNMVBTSXpaamd3TURBd01DSWdJR3h2TXpVOUlqQWkKCUlDQm9hVE0xUFNJ
+elpqQXdNREF3TUNJZ0lHMTFkR1V6TlQwaU1DSWdJR1JoYlhBek5UMGlNQ0lnSUdGc2JETTFQU0l3
+CglJaUFnYzI5MWNtTmxNelk5SW05bVppSWdJSFJoY21kbGRETTJQU0p2Wm1ZaUlDQmtaV1pXTXpZ
+OUlqTm1PREF3TURBdwoJSWlBZ2JHOHpOajBpTUNJZ0lHaHBNelk5SWpObU1EQXdNREF3SWlBZ2JY
+VjBaVE0yUFNJd0lpQWdaR0Z0Y0RNMlBTSXcKCUlpQWdZV3hzTXpZOUlqQWlJQ0J6YjNWeVkyVXpO
+ejBpYjJabUlpQWdkR0Z5WjJWME16YzlJbTltWmlJZ0lHUmxabFl6CglOejBpTTJZNE1EQXdNREFp
+SUNCc2J6TTNQU0l3SWlBZ2FHa3pOejBpTTJZd01EQXdNREFpSUNCdGRYUmxNemM5SWpBaQoJSUNC
+a1lXMXdNemM5SWpBaUlDQmhiR3d6TnowaU1DSWdJSE52ZFhKalpUTTRQU0p2Wm1ZaUlDQjBZWEpu
+WlhRek9EMGkKCWIyWm1JaUFnWkdWbVZqTTRQU0l6Wmpnd01EQXdNQ0lnSUd4dk16ZzlJakFpSUNC
+b2FUTTRQU0l6WmpBd01EQXdNQ0lnCglJRzExZEdVek9EMGlNQ0lnSUdSaGJYQXpPRDBpTUNJZ0lH
+RnNiRE00UFNJd0lpQWdjMjkxY21ObE16azlJbTltWmlJZwoJSUhSaGNtZGxkRE01UFNKdlptWWlJ
+Q0JrWldaV016azlJak5tT0RBd01EQXdJaUFnYkc4ek9UMGlNQ0lnSUdocE16azkKCUlqTm1NREF3
+TURBd0lpQWdiWFYwWlRNNVBTSXdJaUFnWkdGdGNETTVQU0l3SWlBZ1lXeHNNems5SWpBaUlDQnpi
+M1Z5CglZMlUwTUQwaWIyWm1JaUFnZEdGeVoyVjBOREE5SW05bVppSWdJR1JsWmxZME1EMGlNMlk0
+TURBd01EQWlJQ0JzYnpRdwoJUFNJd0lpQWdhR2swTUQwaU0yWXdNREF3TURBaUlDQnRkWFJsTkRB
+OUlqQWlJQ0JrWVcxd05EQTlJakFpSUNCaGJHdzAKCU1EMGlNQ0lnSUhOdmRYSmpaVFF4UFNKdlpt
+WWlJQ0IwWVhKblpYUTBNVDBpYjJabUlpQWdaR1ZtVmpReFBTSXpaamd3CglNREF3TUNJZ0lHeHZO
+REU5SWpBaUlDQm9hVFF4UFNJelpqQXdNREF3TUNJZ0lHMTFkR1UwTVQwaU1DSWdJR1JoYlhBMAoJ
+TVQwaU1DSWdJR0ZzYkRReFBTSXdJaUFnYzI5MWNtTmxOREk5SW05bVppSWdJSFJoY21kbGREUXlQ
+U0p2Wm1ZaUlDQmsKCVpXWldOREk5SWpObU9EQXdNREF3SWlBZ2JHODBNajBpTUNJZ0lHaHBOREk5
+SWpObU1EQXdNREF3SWlBZ2JYVjBaVFF5CglQU0l3SWlBZ1pHRnRjRFF5UFNJd0lpQWdZV3hzTkRJ
+OUlqQWlJQ0J6YjNWeVkyVTBNejBpYjJabUlpQWdkR0Z5WjJWMAoJTkRNOUltOW1aaUlnSUdSbFps
+WTBNejBpTTJZNE1EQXdNREFpSUNCc2J6UXpQU0l3SWlBZ2FHazBNejBpTTJZd01EQXcKCU1EQWlJ
+Q0J0ZFhSbE5ETTlJakFpSUNCa1lXMXdORE05SWpBaUlDQmhiR3cwTXowaU1DSWdJSE52ZFhKalpU
+UTBQU0p2CglabVlpSUNCMFlYSm5aWFEwTkQwaWIyWm1JaUFnWkdWbVZqUTBQU0l6Wmpnd01EQXdN
+Q0lnSUd4dk5EUTlJakFpSUNCbwoJYVRRMFBTSXpaakF3TURBd01DSWdJRzExZEdVME5EMGlNQ0ln
+SUdSaGJYQTBORDBpTUNJZ0lHRnNiRFEwUFNJd0lpQWcKCWMyOTFjbU5sTkRVOUltOW1aaUlnSUhS
+aGNtZGxkRFExUFNKdlptWWlJQ0JrWldaV05EVTlJak5tT0RBd01EQXdJaUFnCgliRzgwTlQwaU1D
+SWdJR2hwTkRVOUlqTm1NREF3TURBd0lpQWdiWFYwWlRRMVBTSXdJaUFnWkdGdGNEUTFQU0l3SWlB
+ZwoJWVd4c05EVTlJakFpSUNCemIzVnlZMlUwTmowaWIyWm1JaUFnZEdGeVoyVjBORFk5SW05bVpp
+SWdJR1JsWmxZME5qMGkKCU0yWTRNREF3TURBaUlDQnNielEyUFNJd0lpQWdhR2swTmowaU0yWXdN
+REF3TURBaUlDQnRkWFJsTkRZOUlqQWlJQ0JrCglZVzF3TkRZOUlqQWlJQ0JoYkd3ME5qMGlNQ0ln
+SUhOdmRYSmpaVFEzUFNKdlptWWlJQ0IwWVhKblpYUTBOejBpYjJabQoJSWlBZ1pHVm1WalEzUFNJ
+elpqZ3dNREF3TUNJZ0lHeHZORGM5SWpBaUlDQm9hVFEzUFNJelpqQXdNREF3TUNJZ0lHMTEKCWRH
+VTBOejBpTUNJZ0lHUmhiWEEwTnowaU1DSWdJR0ZzYkRRM1BTSXdJaUErQ2p3dlRVOUVYMDFCVkZK
+SldENEtJRHhXCglUMGxEUlNBZ2NHRjFlR3c5SWpObU1EVXhaV0k0SWlBZ2NHRjFlR3hmUTNOMGJW
+OHdYejBpTWpVaUlDQndZWFY0YkY5RAoJYzNSdFh6QmZNRmc5SWpBaUlDQndZWFY0YkY5RGMzUnRY
+ekJmTUZrOUlqQWlJQ0J3WVhWNGJGOURjM1J0WHpCZk1WZzkKCUlqTm1PREF3TURBd0lpQWdjR0Yx
+ZUd4ZlEzTjBiVjh3WHpGWlBTSXpaamd3TURBd01DSWdJSEJoZFhocGNHOW1QU0l6Cglaamd3TURB
+d01DSWdQZ284UmtsTVZFVlNJQ0JoWTNROUlqQWlJQ0JoWTNSZlEzTjBiVjh3WHowaU1UTWlJQ0Jo
+WTNSZgoJUTNOMGJWOHdYekJZUFNJd0lpQWdZV04wWDBOemRHMWZNRjh3V1QwaU1DSWdJR0ZqZEY5
+RGMzUnRYekJmTVZnOUlqTm0KCU9EQXdNREF3SWlBZ1lXTjBYME56ZEcxZk1GOHhXVDBpTTJZNE1E
+QXdNREFpSUNCaFkzUmZRM04wYlY4d1gxTldNRDBpCglNQ0lnSUdGamRGOURjM1J0WHpCZlUxWXhQ
+U0l6Wmpnd01EQXdNQ0lnSUdGamRGOURjM1J0WHpCZlUxWXlQU0l6WmpndwoJTURBd01DSWdJR0Zq
+ZEY5RGMzUnRYekJmVTFZelBTSXpaamd3TURBd01DSWdJSEJoY21FOUlqQWlJQ0JpWVd3OUlqTm0K
+CU1EQXdNREF3SWlBZ1puSmxjVDBpTTJWbE1UUTNZV1VpSUNCbWNtVnhYME56ZEcxZk1GODlJakV6
+SWlBZ1puSmxjVjlECgljM1J0WHpCZk1GZzlJakFpSUNCbWNtVnhYME56ZEcxZk1GOHdXVDBpTUNJ
+Z0lHWnlaWEZmUTNOMGJWOHdYekZZUFNJegoJWmpnd01EQXdNQ0lnSUdaeVpYRmZRM04wYlY4d1h6
+RlpQU0l6Wmpnd01EQXdNQ0lnSUdaeVpYRmZRM04wYlY4d1gxTlcKCU1EMGlNMlZsTVRRM1lXVWlJ
+Q0JtY21WeFgwTnpkRzFmTUY5VFZqRTlJak5sWlRFME4yRmxJaUFnWm5KbGNWOURjM1J0CglYekJm
+VTFZeVBTSXpaV0V4TkRkaFpTSWdJR1p5WlhGZlEzTjBiVjh3WDFOV016MGlNMlU0TWpobU5XTWlJ
+Q0J6Y0hKawoJUFNJelpqQXdNREF3TUNJZ0lISmxjejBpTUNJZ0lHdGxlVDBpTUNJZ0lHdGxlV2x1
+ZGowaU1DSWdJR3RsZVcxd1BTSXoKCVpESXpaRGN3WVNJZ0lHVnVkbVJ3ZEdnOUlqTm1PREF3TURB
+d0lpQWdaVzUyWkhCMGFGOURjM1J0WHpCZlBTSXhNeUlnCglJR1Z1ZG1Sd2RHaGZRM04wYlY4d1h6
+QllQU0l3SWlBZ1pXNTJaSEIwYUY5RGMzUnRYekJmTUZrOUlqQWlJQ0JsYm5aawoJY0hSb1gwTnpk
+RzFmTUY4eFdEMGlNMlk0TURBd01EQWlJQ0JsYm5aa2NIUm9YME56ZEcxZk1GOHhXVDBpTTJZNE1E
+QXcKCU1EQWlJQ0JsYm5aa2NIUm9YME56ZEcxZk1GOVRWakE5SWpObU9EQXdNREF3SWlBZ1pXNTJa
+SEIwYUY5RGMzUnRYekJmCglVMVl4UFNJelpqZ3dNREF3TUNJZ0lHVnVkbVJ3ZEdoZlEzTjBiVjh3
+WDFOV01qMGlNMlkwTlRGbFlqZ2lJQ0JsYm5aawoJY0hSb1gwTnpkRzFmTUY5VFZqTTlJak5sT0dZ
+MVl6SmhJaUFnWlc1MlpIQjBhR2x1ZGowaU1DSWdJRzVoYldVOUlqQWkKCUlDQmhZM1F4UFNJelpq
+Z3dNREF3TUNJZ0lIUjVjR1V4UFNJelpUTTROVEZsWXlJZ0lHWnlaWEV4UFNJelpqQXdNREF3CglN
+Q0lnSUhKbGN6RTlJak5tTURBd01EQXdJaUFnY0dGdU1UMGlNMll3TURBd01EQWlJQ0JoWTNReVBT
+SXdJaUFnZEhsdwoJWlRJOUlqQWlJQ0JtY21WeE1qMGlNMll3TURBd01EQWlJQ0J5WlhNeVBTSXpa
+akF3TURBd01DSWdJSEJoYmpJOUlqTm0KCU1EQXdNREF3SWlBZ1pHbHpkRkJ2YzNROUlqQWlJQ0Js
+Y1ZCdmMzUTlJakFpSUNCT1lXMWxVM1J5UFNKQ1lYTnBZeUF4CglNbVJpSUV4dmQzQmhjM01pSUQ0
+S1BFVlJNVElnSUVGamRHbDJaVDBpTUNJZ0lGQXdQU0l6WmpBd01EQXdNQ0lnSUZBeAoJUFNJelpq
+QXdNREF3TUNJZ0lGQXlQU0l6WmpBd01EQXdNQ0lnSUZBelBTSXpaakF3TURBd01DSWdJRkEwUFNJ
+elpqQXcKCU1EQXdNQ0lnSUZBMVBTSXpaakF3TURBd01DSWdJRkEyUFNJelpqQXdNREF3TUNJZ0lG
+QTNQU0l6WmpBd01EQXdNQ0lnCglJRkE0UFNJelpqQXdNREF3TUNJZ0lGQTVQU0l6WmpBd01EQXdN
+Q0lnSUZBeE1EMGlNMll3TURBd01EQWlJQ0JRTVRFOQoJSWpObU1EQXdNREF3SWlBZ1VERXlQU0l6
+WmpBd01EQXdNQ0lnSUZBeE16MGlNMlU0TVdOa09EVWlJQ0JRTVRROUlqQWkKCUlENEtQQzlGVVRF
+eVBnb2dQRVZSTWlBZ1FXTjBhWFpsUFNJd0lpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3
+CglJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBpTUNJ
+Z0lGQTRQU0l3SWlBZwoJVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlq
+QWlJQ0JRTVRNOUlqQWlJQ0JRTVRROUlqQWkKCUlENEtQQzlGVVRJK0NpQThSRWxUVkNBZ1FXTjBh
+WFpsUFNJd0lpQWdVREE5SWpObU9EQXdNREF3SWlBZ1VERTlJak5tCglNekZsWWpnMUlpQWdVREk5
+SWpBaUlDQlFNejBpTTJZNE1EQXdNREFpSUNCUU5EMGlNMlJqWTJOalkyUWlJQ0JRTlQwaQoJTTJZ
+MU1UQTBNemdpSUNCUU5WOURjM1J0WHpCZlBTSXhNeUlnSUZBMVgwTnpkRzFmTUY4d1dEMGlNQ0ln
+SUZBMVgwTnoKCWRHMWZNRjh3V1QwaU1DSWdJRkExWDBOemRHMWZNRjh4V0QwaU0yWTRNREF3TURB
+aUlDQlFOVjlEYzNSdFh6QmZNVms5CglJak5tT0RBd01EQXdJaUFnVURWZlEzTjBiVjh3WDFOV01E
+MGlNMlkxTVRBME16Z2lJQ0JRTlY5RGMzUnRYekJmVTFZeAoJUFNJelpqVXhNRFF6T0NJZ0lGQTFY
+ME56ZEcxZk1GOVRWakk5SWpObU5EVm1PVEpqSWlBZ1VEVmZRM04wYlY4d1gxTlcKCU16MGlNMlkw
+TldZNU1tTWlJQ0JRTmowaU1DSWdJRkEzUFNJelpqZ3dNREF3TUNJZ0lGQTRQU0l3SWlBZ1VEazlJ
+akFpCglJQ0JRTVRBOUlqTmxNR0V6WkRjeElpQWdVREV4UFNJelpqVXdZVE5rTnlJZ0lGQXhNajBp
+TUNJZ0lGQXhNejBpTUNJZwoJSUZBeE5EMGlNQ0lnUGdvOEwwUkpVMVErQ2lBOEwwWkpURlJGVWo0
+S0lEeFhRVlpGVTBoQlVFVlNJQ0JoWTNROUlqQWkKCUlDQjBlWEJsUFNJd0lpQWdjRzl6UFNJelpE
+SXpaRGN3WVNJZ0lHUndkR2c5SWpOa09EZzRPRGc1SWlBZ1oyRnBiajBpCglNMll3TURBd01EQWlJ
+Q0J0YVhnOUlqTm1PREF3TURBd0lpQWdkRzl1WlQwaU1DSWdJR0pqUFNJd0lpQWdjM0p5WkdNOQoJ
+SWpBaUlDQnRaM0ptZVRFOUlqQWlJQ0J0WjNKbWVUSTlJakFpSUNCdVlXMWxQU0l3SWlBZ1RtRnRa
+Vk4wY2owaWRXNTAKCWFYUnNaV1FpSUQ0S1BDOVhRVlpGVTBoQlVFVlNQZ29nUEU5VFF5QWdkSGx3
+WlQwaU0yWTNaR0l4WkRraUlDQnJhVzVrCglQU0kwSWlBZ2NXdzlJakFpSUNCeGJISTlJakFpSUNC
+eGNuSTlJak5tT0RBd01EQXdJaUFnY1hJOUlqTm1PREF3TURBdwoJSWlBZ2RIVnVaVDBpTTJZd01E
+QXdNREFpSUNCMGRXNWxSbWx1WlQwaU0yWXdNREF3TURBaUlDQm1hVzVsVTJOc1BTSXgKCUlpQWdj
+R1JsY0hSb1BTSXdJaUFnY0hkcFpIUm9QU0l3SWlBZ2IyTjBQU0l6WkRJelpEY3dZU0lnSUhObGJX
+azlJak5sCglaalZqTWpobUlpQWdiR1YyWld3OUlqTm1OR1kxWXpJNUlpQWdiR1YyWld4ZlEzTjBi
+Vjh3WHowaU1DSWdJR3hsZG1WcwoJWDBOemRHMWZNRjh3V0QwaU1DSWdJR3hsZG1Wc1gwTnpkRzFm
+TUY4d1dUMGlNQ0lnSUd4bGRtVnNYME56ZEcxZk1GOHgKCVdEMGlNMlk0TURBd01EQWlJQ0JzWlha
+bGJGOURjM1J0WHpCZk1WazlJak5tT0RBd01EQXdJaUFnY0dGdVBTSXpaakF3CglNREF3TUNJZ0lI
+QnZjblE5SWpBaUlDQndiM0owUVdOMFBTSXdJaUFnZEhCelBTSXdJaUFnWm14VVpXMXdiRDBpTUNJ
+ZwoJSUdac1UzQmtQU0l6WmpBd01EQXdNQ0lnSUdac1RHOXZjRDBpTTJZNE1EQXdNREFpSUNCdGIy
+UnBiblE5SWpObU1EQXcKCU1EQXdJaUFnYlc5a1pHVndkR2c5SWpObU1EQXdNREF3SWlBZ1ptMDlJ
+akFpSUNCbWJXdDBQU0l6Wmpnd01EQXdNQ0lnCglJR1p0ZDJZOUlqQWlJQ0JtYlhOamJEMGlNQ0ln
+SUdadGNHUTlJakFpSUNCbWJYQjNQU0l3SWlBZ1ptMW9jejBpTUNJZwoJSUVGTmJXOWthVzUwUFNJ
+elpqQXdNREF3TUNJZ0lFRk5iVzlrWkdWd2RHZzlJak5tTURBd01EQXdJaUFnWVcwOUlqQWkKCUlD
+QmhiV3QwUFNJelpqZ3dNREF3TUNJZ0lHRnRkMlk5SWpBaUlDQmhiWE5qYkQwaU1DSWdJR0Z0Y0dR
+OUlqQWlJQ0JoCgliWEIzUFNJd0lpQWdZVzFvY3owaU1DSWdJR2R5WVc0OUlqTm1OREF3TURBd0lp
+QWdibWR5WVdsdWN6MGlNQ0lnSUdkeQoJWVdsdU16MGlNMlV4T1RrNU9XRWlJQ0JuY21GcGJqUTlJ
+akFpSUNCbmNtRnBialU5SWpObU9EQXdNREF3SWlBZ1ozSmgKCWFXNDJQU0l6WmpBd01EQXdNQ0ln
+SUdkeVlXNVRjSEprUFNJelpqZ3dNREF3TUNJZ0lHZHlZVzVRUkdseVBTSXdJaUFnCglaM0poYmxC
+QlkyTjFiVDBpTUNJZ0lHZHlZVzVOYVhnOUlqTm1PREF3TURBd0lpQWdaM0poYmtWNGNEMGlNMlU0
+TURBdwoJTURBaUlDQm5jbUZ1VkhKblBTSXdJaUFnWldsR2NreHZZejBpTUNJZ0lHZHlZVzVRYjNN
+OUlqQWlJQ0JuY21GdVZqRTkKCUlqQWlJQ0IxWTI1MFBTSXdJaUFnZFdSd2RHZzlJak5rWldKa05E
+aG1JaUFnZFhka2RHZzlJak5tT0RBd01EQXdJaUFnCglkV1J3Y21jOUlqQWlJQ0IxYjJOMFBTSXpa
+REl6WkRjd1lTSWdJSFZrY21aMFBTSXdJaUFnZFhad2N6MGlNQ0lnSUdoeQoJWkhOdVl6MGlNQ0ln
+SUhKbGNIUmphRDBpTTJZNE1EQXdNREFpSUNCemNHaGhQU0l3SWlBZ2MyRnVZVDBpTTJZd05tWmkK
+CU5UZ2lJQ0JoZEhKdFBTSXpaamd3TURBd01DSWdJSE56WlhNOUlqTmtNak5rTnpCaElpQWdjM05s
+YzNrOUlqQWlJQ0IyCgliWFE5SWpBaUlDQjJiV0U5SWpBaUlDQmpjM05vWkdGdGNEMGlNQ0lnUGdv
+OFNFRlNUU0FnUVdOME1UMGlNMlk0TURBdwoJTURBaUlDQnNkbXd4UFNJelpqUXdNREF3TUNJZ0lI
+QmhiakU5SWpObU1EQXdNREF3SWlBZ2RIVnVNVDBpTTJZd01EQXcKCU1EQWlJQ0J6YldreFBTSXpa
+akZsWWpnMU1pSWdJSE5vY0RFOUlqTm1NREF3TURBd0lpQWdjM2x0YlRFOUlqTm1NREF3CglNREF3
+SWlBZ2MzbHVNVDBpTTJZd01EQXdNREFpSUNCM1ptMHhQU0l3SWlBZ1FXTjBNajBpTTJZNE1EQXdN
+REFpSUNCcwoJZG13eVBTSXpaalF3TURBd01DSWdJSEJoYmpJOUlqTm1NREF3TURBd0lpQWdkSFZ1
+TWowaU0yWXhNV1ZpT0RVaUlDQnoKCWJXa3lQU0l6WldZMVl6STRaaUlnSUhOb2NESTlJak5tTURB
+d01EQXdJaUFnYzNsdGJUSTlJak5tTURBd01EQXdJaUFnCgljM2x1TWowaU0yWXdNREF3TURBaUlD
+QjNabTB5UFNJd0lpQWdRV04wTXowaU1DSWdJR3gyYkRNOUlqTm1OREF3TURBdwoJSWlBZ2NHRnVN
+ejBpTTJZd01EQXdNREFpSUNCMGRXNHpQU0l6WmpBd01EQXdNQ0lnSUhOdGFUTTlJak5sTnpWak1q
+aG0KCUlpQWdjMmh3TXowaU0yWXdNREF3TURBaUlDQnplVzF0TXowaU0yWXdNREF3TURBaUlDQnpl
+VzR6UFNJelpqQXdNREF3CglNQ0lnSUhkbWJUTTlJakFpSUNCQlkzUTBQU0l3SWlBZ2JIWnNORDBp
+TTJZME1EQXdNREFpSUNCd1lXNDBQU0l6WmpBdwoJTURBd01DSWdJSFIxYmpROUlqTm1NREF3TURB
+d0lpQWdjMjFwTkQwaU0yVm1OV015T0dZaUlDQnphSEEwUFNJelpqQXcKCU1EQXdNQ0lnSUhONWJX
+MDBQU0l6WmpBd01EQXdNQ0lnSUhONWJqUTlJak5tTURBd01EQXdJaUFnZDJadE5EMGlNQ0lnCglJ
+RzF2WkQwaU1DSWdJRzFwZUQwaU0yWXdNREF3TURBaUlENEtQQzlJUVZKTlBnb2dQRlJQVGtWWFNF
+VkZUQ0FnWkhKMwoJTVQwaU0yWXdNREF3TURBaUlDQmtjbmN5UFNJelpqQXdNREF3TUNJZ0lHUnlk
+ek05SWpObU1EQXdNREF3SWlBZ1pISjMKCU5EMGlNMll3TURBd01EQWlJQ0JrY25jMVBTSXdJaUFn
+WkhKM05qMGlNQ0lnSUdSeWR6YzlJakFpSUNCa2NuYzRQU0l3CglJaUFnWkhKM09UMGlNQ0lnSUhC
+bFpERTlJak5tTURBd01EQXdJaUFnY0dWa01qMGlNMll3TURBd01EQWlJQ0JUY0U5dQoJUFNJd0lp
+QWdWazl1UFNJd0lpQWdWbTF2WkdVOUlqQWlJQ0JRYjI0OUlqQWlJQ0JRYzI5bWREMGlNQ0lnSUZC
+bVlYTjAKCVBTSXdJaUFnVUdoaGNtMDlJakFpSUNCVGNHdHlQU0l3SWlBZ1EyeHBZMnM5SWpBaUlD
+QklkVzA5SWpBaUlDQkJaMlU5CglJakFpSUNCWWRHRnNhejBpTUNJZ0lFeHZkMlp2YkdROUlqTm1P
+REF3TURBd0lpQWdVRGxrUFNJelpqZ3dNREF3TUNJZwoJSUZCc1pXYzlJak5tT0RBd01EQXdJaUFn
+VUdScGJUMGlNMlk0TURBd01EQWlJRDRLUEM5VVQwNUZWMGhGUlV3K0NpQTgKCVYwRldSVk1nUGdv
+OEwxZEJWa1ZUUGdvZ1BFWk5WMEZXUlZNZ1BnbzhMMFpOVjBGV1JWTStDaUE4UVUxWFFWWkZVeUEr
+CglDand2UVUxWFFWWkZVejRLSUR3dlQxTkRQZ29nUEVaRlRsWWdJR005SWpNaUlDQndZVzQ5SWpB
+aUlDQjZiMjl0UFNJegoJWldRd1pUWXpNaUlnUGdvOGNDQWdiRDBpTUNJZ0lIUTlJakFpSUNCelBT
+SXhOQ0lnSUdNOUlqTmxaVFEwWlRreUlpQSsKCUNqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdN
+Q0lnSUhROUlqQWlJQ0J6UFNJeE9DSWdJR005SWpOa1pUVXhNVGxsCglJaUErQ2p3dmNENEtJRHh3
+SUNCc1BTSXdJaUFnZEQwaU0ySXdZelEwTURBaUlDQnpQU0l4TkNJZ0lHTTlJak5sWWpBeQoJTkRF
+d0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJd0lpQWdkRDBpTTJObE9EVXhOREFpSUNCelBTSXhPQ0ln
+SUdNOUlqTmwKCU56a3pZMlJrSWlBK0Nqd3ZjRDRLSUR3dlJrVk9WajRLSUR4R1JVNVdVRUZTUVUx
+VElDQmhQU0l3SWlBZ2FEMGlNQ0lnCglJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTUNJZ0lH
+aHZiR1E5SWpOa1pETmtZelZsSWlBZ1pHVmplVDBpTTJSawoJTTJSak5XVWlJQ0JrWldONVgwTnpk
+RzFmTUY4OUlqRXpJaUFnWkdWamVWOURjM1J0WHpCZk1GZzlJakFpSUNCa1pXTjUKCVgwTnpkRzFm
+TUY4d1dUMGlNQ0lnSUdSbFkzbGZRM04wYlY4d1h6RllQU0l6Wmpnd01EQXdNQ0lnSUdSbFkzbGZR
+M04wCgliVjh3WHpGWlBTSXpaamd3TURBd01DSWdJR1JsWTNsZlEzTjBiVjh3WDFOV01EMGlNMlJr
+TTJSak5XVWlJQ0JrWldONQoJWDBOemRHMWZNRjlUVmpFOUlqTm1NV1ZsTlRneklpQWdaR1ZqZVY5
+RGMzUnRYekJmVTFZeVBTSXpaak13T0dRelpDSWcKCUlHUmxZM2xmUTNOMGJWOHdYMU5XTXowaU0y
+WXpNRGhrTTJRaUlDQnpkWE4wUFNJd0lpQWdjbVZzY3owaU0yVmlPVFl4CglNVGNpSUNCeVpXeHpY
+ME56ZEcxZk1GODlJakV6SWlBZ2NtVnNjMTlEYzNSdFh6QmZNRmc5SWpBaUlDQnlaV3h6WDBOegoJ
+ZEcxZk1GOHdXVDBpTUNJZ0lISmxiSE5mUTNOMGJWOHdYekZZUFNJelpqZ3dNREF3TUNJZ0lISmxi
+SE5mUTNOMGJWOHcKCVh6RlpQU0l6Wmpnd01EQXdNQ0lnSUhKbGJITmZRM04wYlY4d1gxTldNRDBp
+TTJWaU9UWXhNVGNpSUNCeVpXeHpYME56CglkRzFmTUY5VFZqRTlJak5sWWprMk1URTNJaUFnY21W
+c2MxOURjM1J0WHpCZlUxWXlQU0l6WlRrMFlUVXlZaUlnSUhKbAoJYkhOZlEzTjBiVjh3WDFOV016
+MGlNMlU1TkdFMU1tSWlJQ0J6YlhBOUlqQWlJQ0JzY0QwaU1DSWdJSE41Ym1NOUlqQWkKCUlDQnpj
+R1E5SWpObU1EQXdNREF3SWlBZ2RISm5UV1E5SWpObU9EQXdNREF3SWlBZ2RtVnNjMlZ1Y3owaU0y
+WTRNREF3CglNREFpSUNCdFoyeDJiSE05SWpObU1EQXdNREF3SWlBZ2JXZGpjblp6UFNJelpqQXdN
+REF3TUNJZ0lHUndkRDBpTUNJZwoJSUdOb2MxUnlaejBpTUNJZ0lHRjBZMmh6UFNJd0lpQStDand2
+UmtWT1ZsQkJVa0ZOVXo0S0lEeEJSVTVXSUNCalBTSXoKCUlpQWdjR0Z1UFNJd0lpQWdlbTl2YlQw
+aU0yWXdObUU0TlRZaUlENEtQSEFnSUd3OUlqQWlJQ0IwUFNJd0lpQWdjejBpCglNVFFpSUNCalBT
+SXpaV1l4TW1abVlTSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l3SWlB
+ZwoJY3owaU1UUWlJQ0JqUFNJelpXVXhNVFl6T0NJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1E
+QXdNREFpSUNCMFBTSXoKCVl6Z3hNVGcyTUNJZ0lITTlJakUwSWlBZ1l6MGlNMlZqTXpjMk1tVWlJ
+RDRLUEM5d1Bnb2dQSEFnSUd3OUlqQWlJQ0IwCglQU0l6WkRsalpqUmlNQ0lnSUhNOUlqRTRJaUFn
+WXowaU0yVTNPVE5qWkdRaUlENEtQQzl3UGdvZ1BDOUJSVTVXUGdvZwoJUEVGRlRsWlFRVkpCVFZN
+Z0lHOXVUMlptUFNJelpqZ3dNREF3TUNJZ0lHOXVUMlptWDBOemRHMWZNRjg5SWpraUlDQnYKCWJr
+OW1abDlEYzNSdFh6QmZNRmc5SWpBaUlDQnZiazltWmw5RGMzUnRYekJmTUZrOUlqQWlJQ0J2Yms5
+bVpsOURjM1J0CglYekJmTVZnOUlqTm1PREF3TURBd0lpQWdiMjVQWm1aZlEzTjBiVjh3WHpGWlBT
+SXpaamd3TURBd01DSWdJR0U5SWpBaQoJSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhk
+SFJyUFNJd0lpQWdhRzlzWkQwaU0yVTRabUk0TWpNaUlDQmsKCVpXTjVQU0l6WlRobVlqZ3lNeUln
+SUhOMWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMll3WkROa1kyRWlJQ0J6CgliWEE5SWpB
+aUlDQnNjRDBpTUNJZ0lITjVibU05SWpBaUlDQnpjR1E5SWpObU1EQXdNREF3SWlBZ2RISm5UV1E5
+SWpObQoJT0RBd01EQXdJaUFnZG1Wc2MyVnVjejBpTTJWbE1qUmtaREVpSUNCMlpXeHpaVzV6WDBO
+emRHMWZNRjg5SWpjaUlDQjIKCVpXeHpaVzV6WDBOemRHMWZNRjh3V0QwaU1DSWdJSFpsYkhObGJu
+TmZRM04wYlY4d1h6QlpQU0l3SWlBZ2RtVnNjMlZ1CgljMTlEYzNSdFh6QmZNVmc5SWpObU1EQXdN
+REF3SWlBZ2RtVnNjMlZ1YzE5RGMzUnRYekJmTVZrOUlqTm1NalkyTmpZMgoJSWlBZ2RtVnNjMlZ1
+YzE5RGMzUnRYekJmTWxnOUlqTm1PREF3TURBd0lpQWdkbVZzYzJWdWMxOURjM1J0WHpCZk1sazkK
+CUlqTm1PREF3TURBd0lpQWdiV2RzZG14elBTSXpaakF3TURBd01DSWdJRzFuWTNKMmN6MGlNMll3
+TURBd01EQWlJQ0JrCgljSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGlNQ0lnUGdv
+OEwwRkZUbFpRUVZKQlRWTStDaUE4UlVaRwoJVWtGRFN5QStDanhGUmtaTlQwUlZURVVnSUZSNWNH
+VTlJa05zWVhOemFXTWdWSGRwYmlJZ0lGQXdQU0l6WmpBd01EQXcKCU1DSWdJRkF3WDBOemRHMWZN
+Rjg5SWpFMElpQWdVREJmUTNOMGJWOHdYekJZUFNJd0lpQWdVREJmUTNOMGJWOHdYekJaCglQU0l6
+WkRCbU5XTXlPU0lnSUZBd1gwTnpkRzFmTUY4eFdEMGlNMll3TURBd01EQWlJQ0JRTUY5RGMzUnRY
+ekJmTVZrOQoJSWpObU1EQXdNREF3SWlBZ1VEQmZRM04wYlY4d1h6SllQU0l6Wmpnd01EQXdNQ0ln
+SUZBd1gwTnpkRzFmTUY4eVdUMGkKCU0yWTRNREF3TURBaUlDQlFNVDBpTTJWbU5XTXlPVEFpSUNC
+UU1WOURjM1J0WHpCZlBTSXhPQ0lnSUZBeFgwTnpkRzFmCglNRjh3V0QwaU1DSWdJRkF4WDBOemRH
+MWZNRjh3V1QwaU1DSWdJRkF4WDBOemRHMWZNRjh4V0QwaU0yWTRNREF3TURBaQoJSUNCUU1WOURj
+M1J0WHpCZk1WazlJak5tT0RBd01EQXdJaUFnVURGZlEzTjBiVjh3WDFOV01EMGlNMlZtTldNeU9U
+QWkKCUlDQlFNVjlEYzNSdFh6QmZVMVl4UFNJelpXWmhaVEUwT0NJZ0lGQXhYME56ZEcxZk1GOVRW
+akk5SWpBaUlDQlFNVjlECgljM1J0WHpCZlUxWXpQU0l6Wmpnd01EQXdNQ0lnSUZBeFgwTnpkRzFm
+TUY5VFZqUTlJak5tTURBd01EQXdJaUFnVURGZgoJUTNOMGJWOHdYMU5XTlQwaU0yVTVOekJoTTJR
+aUlDQlFNVjlEYzNSdFh6QmZVMVkyUFNJd0lpQWdVREZmUTNOMGJWOHcKCVgxTldOejBpTTJZd01E
+QXdNREFpSUNCUU1qMGlNMll3TURBd01EQWlJQ0JRTWw5RGMzUnRYekJmUFNJek5DSWdJRkF5CglY
+ME56ZEcxZk1GOHdXRDBpTUNJZ0lGQXlYME56ZEcxZk1GOHdXVDBpTTJRM05XTXlPR1lpSUNCUU1s
+OURjM1J0WHpCZgoJTVZnOUlqTm1NREF3TURBd0lpQWdVREpmUTNOMGJWOHdYekZaUFNJelpqQXdN
+REF3TUNJZ0lGQXlYME56ZEcxZk1GOHkKCVdEMGlNMlk0TURBd01EQWlJQ0JRTWw5RGMzUnRYekJm
+TWxrOUlqTm1OR1V4TkRkaUlpQWdVRE05SWpObU1EQXdNREF3CglJaUFnVUROZlEzTjBiVjh3WHow
+aU16VWlJQ0JRTTE5RGMzUnRYekJmTUZnOUlqQWlJQ0JRTTE5RGMzUnRYekJmTUZrOQoJSWpBaUlD
+QlFNMTlEYzNSdFh6QmZNVmc5SWpObU9EQXdNREF3SWlBZ1VETmZRM04wYlY4d1h6RlpQU0l6Wmpn
+d01EQXcKCU1DSWdJRkEwUFNJelpHTXlPR1kxT0NJZ0lGQTBYME56ZEcxZk1GODlJakU0SWlBZ1VE
+UmZRM04wYlY4d1h6QllQU0l3CglJaUFnVURSZlEzTjBiVjh3WHpCWlBTSXdJaUFnVURSZlEzTjBi
+Vjh3WHpGWVBTSXpaamd3TURBd01DSWdJRkEwWDBOegoJZEcxZk1GOHhXVDBpTTJZNE1EQXdNREFp
+SUNCUU5GOURjM1J0WHpCZlUxWXdQU0l6WkdNeU9HWTFPQ0lnSUZBMFgwTnoKCWRHMWZNRjlUVmpF
+OUlqTmtPVGs1T1RrMklpQWdVRFJmUTNOMGJWOHdYMU5XTWowaU0yUTVPVGs1T1RZaUlDQlFORjlE
+CgljM1J0WHpCZlUxWXpQU0l6WkRNNE5URmxOQ0lnSUZBMFgwTnpkRzFmTUY5VFZqUTlJak5sTkRJ
+NFpqVmhJaUFnVURSZgoJUTNOMGJWOHdYMU5XTlQwaU0yUTVPVGs1T1RZaUlDQlFORjlEYzNSdFh6
+QmZVMVkyUFNJelpEazVPVGs1TmlJZ0lGQTAKCVgwTnpkRzFmTUY5VFZqYzlJak5rT1RrNU9UazJJ
+aUFnVURVOUlqTm1PREF3TURBd0lpQWdVRFZmUTNOMGJWOHdYejBpCglNVGdpSUNCUU5WOURjM1J0
+WHpCZk1GZzlJakFpSUNCUU5WOURjM1J0WHpCZk1GazlJakFpSUNCUU5WOURjM1J0WHpCZgoJTVZn
+OUlqTm1PREF3TURBd0lpQWdVRFZmUTNOMGJWOHdYekZaUFNJelpqZ3dNREF3TUNJZ0lGQTFYME56
+ZEcxZk1GOVQKCVZqQTlJak5tT0RBd01EQXdJaUFnVURWZlEzTjBiVjh3WDFOV01UMGlNMlkyTVRR
+M1lXUWlJQ0JRTlY5RGMzUnRYekJmCglVMVl5UFNJelpqYzBOMkZsTVNJZ0lGQTFYME56ZEcxZk1G
+OVRWak05SWpObU5XUTNNR0V6SWlBZ1VEVmZRM04wYlY4dwoJWDFOV05EMGlNMll5WVROa056RWlJ
+Q0JRTlY5RGMzUnRYekJmVTFZMVBTSXpaalEzWVdVeE5DSWdJRkExWDBOemRHMWYKCU1GOVRWalk5
+SWpObU5UTXpNek16SWlBZ1VEVmZRM04wYlY4d1gxTldOejBpTTJZeU0yUTNNR0VpSUNCUU5qMGlN
+Q0lnCglJRkEzUFNJd0lpQWdVRGRmUTNOMGJWOHdYejBpTVRnaUlDQlFOMTlEYzNSdFh6QmZNRmc5
+SWpBaUlDQlFOMTlEYzNSdAoJWHpCZk1GazlJakFpSUNCUU4xOURjM1J0WHpCZk1WZzlJak5tT0RB
+d01EQXdJaUFnVURkZlEzTjBiVjh3WHpGWlBTSXoKCVpqZ3dNREF3TUNJZ0lGQTNYME56ZEcxZk1G
+OVRWakE5SWpBaUlDQlFOMTlEYzNSdFh6QmZVMVl4UFNJelpqZ3dNREF3CglNQ0lnSUZBM1gwTnpk
+RzFmTUY5VFZqSTlJak5tT0RBd01EQXdJaUFnVURkZlEzTjBiVjh3WDFOV016MGlNMlk0TURBdwoJ
+TURBaUlDQlFOMTlEYzNSdFh6QmZVMVkwUFNJelpqZ3dNREF3TUNJZ0lGQTNYME56ZEcxZk1GOVRW
+alU5SWpObU9EQXcKCU1EQXdJaUFnVURkZlEzTjBiVjh3WDFOV05qMGlNMlk0TURBd01EQWlJQ0JR
+TjE5RGMzUnRYekJmVTFZM1BTSXdJaUFnCglVRGc5SWpNek9EQXdNREF3SWlBZ1VEaGZRM04wYlY4
+d1h6MGlNVGdpSUNCUU9GOURjM1J0WHpCZk1GZzlJakFpSUNCUQoJT0Y5RGMzUnRYekJmTUZrOUlq
+QWlJQ0JRT0Y5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lpQWdVRGhmUTNOMGJWOHcKCVh6RlpQ
+U0l6Wmpnd01EQXdNQ0lnSUZBNFgwTnpkRzFmTUY5VFZqQTlJak16T0RBd01EQXdJaUFnVURoZlEz
+TjBiVjh3CglYMU5XTVQwaU1DSWdJRkE0WDBOemRHMWZNRjlUVmpJOUlqQWlJQ0JRT0Y5RGMzUnRY
+ekJmVTFZelBTSXdJaUFnVURoZgoJUTNOMGJWOHdYMU5XTkQwaU1DSWdJRkE0WDBOemRHMWZNRjlU
+VmpVOUlqQWlJQ0JRT0Y5RGMzUnRYekJmVTFZMlBTSXcKCUlpQWdVRGhmUTNOMGJWOHdYMU5XTnow
+aU0yWTRNREF3TURBaUlDQlFPVDBpTUNJZ0lGQTVYME56ZEcxZk1GODlJakU0CglJaUFnVURsZlEz
+TjBiVjh3WHpCWVBTSXdJaUFnVURsZlEzTjBiVjh3WHpCWlBTSXdJaUFnVURsZlEzTjBiVjh3WHpG
+WQoJUFNJelpqZ3dNREF3TUNJZ0lGQTVYME56ZEcxZk1GOHhXVDBpTTJZNE1EQXdNREFpSUNCUU9W
+OURjM1J0WHpCZlUxWXcKCVBTSXdJaUFnVURsZlEzTjBiVjh3WDFOV01UMGlNQ0lnSUZBNVgwTnpk
+RzFmTUY5VFZqSTlJakFpSUNCUU9WOURjM1J0CglYekJmVTFZelBTSXdJaUFnVURsZlEzTjBiVjh3
+WDFOV05EMGlNQ0lnSUZBNVgwTnpkRzFmTUY5VFZqVTlJak5tT0RBdwoJTURBd0lpQWdVRGxmUTNO
+MGJWOHdYMU5XTmowaU0yWTRNREF3TURBaUlDQlFPVjlEYzNSdFh6QmZVMVkzUFNJd0lpQWcKCVVE
+RXdQU0l6Wmpnd01EQXdNQ0lnSUZBeE1GOURjM1J0WHpCZlBTSXhPQ0lnSUZBeE1GOURjM1J0WHpC
+Zk1GZzlJakFpCglJQ0JRTVRCZlEzTjBiVjh3WHpCWlBTSXdJaUFnVURFd1gwTnpkRzFmTUY4eFdE
+MGlNMlk0TURBd01EQWlJQ0JRTVRCZgoJUTNOMGJWOHdYekZaUFNJelpqZ3dNREF3TUNJZ0lGQXhN
+RjlEYzNSdFh6QmZVMVl3UFNJelpqZ3dNREF3TUNJZ0lGQXgKCU1GOURjM1J0WHpCZlUxWXhQU0l6
+Wmpnd01EQXdNQ0lnSUZBeE1GOURjM1J0WHpCZlUxWXlQU0l6Wmpnd01EQXdNQ0lnCglJRkF4TUY5
+RGMzUnRYekJmVTFZelBTSXpaamd3TURBd01DSWdJRkF4TUY5RGMzUnRYekJmVTFZMFBTSXpaamd3
+TURBdwoJTUNJZ0lGQXhNRjlEYzNSdFh6QmZVMVkxUFNJelpqZ3dNREF3TUNJZ0lGQXhNRjlEYzNS
+dFh6QmZVMVkyUFNJelpqZ3cKCU1EQXdNQ0lnSUZBeE1GOURjM1J0WHpCZlUxWTNQU0l6Wmpnd01E
+QXdNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnCglJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdJ
+RUZqZEdsMlpUMGlNMlk0TURBd01EQWlJQ0JCWTNScGRtVmZRM04wYlY4dwoJWHowaU1UVWlJQ0JC
+WTNScGRtVmZRM04wYlY4d1h6QllQU0l3SWlBZ1FXTjBhWFpsWDBOemRHMWZNRjh3V1QwaU1DSWcK
+CUlFRmpkR2wyWlY5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lpQWdRV04wYVhabFgwTnpkRzFm
+TUY4eFdUMGlNMlk0CglNREF3TURBaUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4
+RklDQlVlWEJsUFNKQmJtRnNiMmNnUTJodgoJY25WeklpQWdVREE5SWpObFptUTNNR0UwSWlBZ1VE
+QmZRM04wYlY4d1h6MGlNekVpSUNCUU1GOURjM1J0WHpCZk1GZzkKCUlqQWlJQ0JRTUY5RGMzUnRY
+ekJmTUZrOUlqQWlJQ0JRTUY5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lpQWdVREJmCglRM04w
+YlY4d1h6RlpQU0l6Wmpnd01EQXdNQ0lnSUZBeFBTSXpaV1EzTUdFelpTSWdJRkF4WDBOemRHMWZN
+Rjg5SWpNeQoJSWlBZ1VERmZRM04wYlY4d1h6QllQU0l3SWlBZ1VERmZRM04wYlY4d1h6QlpQU0l3
+SWlBZ1VERmZRM04wYlY4d1h6RlkKCVBTSXpaamd3TURBd01DSWdJRkF4WDBOemRHMWZNRjh4V1Qw
+aU0yWTRNREF3TURBaUlDQlFNajBpTTJZNE1EQXdNREFpCglJQ0JRTWw5RGMzUnRYekJmUFNJeU5D
+SWdJRkF5WDBOemRHMWZNRjh3V0QwaU1DSWdJRkF5WDBOemRHMWZNRjh3V1QwaQoJTUNJZ0lGQXlY
+ME56ZEcxZk1GOHhXRDBpTTJZNE1EQXdNREFpSUNCUU1sOURjM1J0WHpCZk1WazlJak5tT0RBd01E
+QXcKCUlpQWdVREpmUTNOMGJWOHdYMU5XTUQwaU0yWTRNREF3TURBaUlDQlFNbDlEYzNSdFh6QmZV
+MVl4UFNJelpqZ3dNREF3CglNQ0lnSUZBeVgwTnpkRzFmTUY5VFZqSTlJak5tTVdGbE1UUTRJaUFn
+VURKZlEzTjBiVjh3WDFOV016MGlNMll5TlRGbAoJWWpnaUlDQlFNbDlEYzNSdFh6QmZVMVkwUFNJ
+d0lpQWdVREpmUTNOMGJWOHdYMU5XTlQwaU1DSWdJRkF5WDBOemRHMWYKCU1GOVRWalk5SWpObU9E
+QXdNREF3SWlBZ1VESmZRM04wYlY4d1gxTldOejBpTTJZNE1EQXdNREFpSUNCUU16MGlNMlk0CglN
+REF3TURBaUlDQlFNMTlEYzNSdFh6QmZQU0l5TkNJZ0lGQXpYME56ZEcxZk1GOHdXRDBpTUNJZ0lG
+QXpYME56ZEcxZgoJTUY4d1dUMGlNQ0lnSUZBelgwTnpkRzFmTUY4eFdEMGlNMlk0TURBd01EQWlJ
+Q0JRTTE5RGMzUnRYekJmTVZrOUlqTm0KCU9EQXdNREF3SWlBZ1VETmZRM04wYlY4d1gxTldNRDBp
+TTJZNE1EQXdNREFpSUNCUU0xOURjM1J0WHpCZlUxWXhQU0l6Cglaamd3TURBd01DSWdJRkF6WDBO
+emRHMWZNRjlUVmpJOUlqQWlJQ0JRTTE5RGMzUnRYekJmVTFZelBTSXpaamd3TURBdwoJTUNJZ0lG
+QXpYME56ZEcxZk1GOVRWalE5SWpBaUlDQlFNMTlEYzNSdFh6QmZVMVkxUFNJd0lpQWdVRE5mUTNO
+MGJWOHcKCVgxTldOajBpTUNJZ0lGQXpYME56ZEcxZk1GOVRWamM5SWpBaUlDQlFORDBpTUNJZ0lG
+QTBYME56ZEcxZk1GODlJakkwCglJaUFnVURSZlEzTjBiVjh3WHpCWVBTSXdJaUFnVURSZlEzTjBi
+Vjh3WHpCWlBTSXdJaUFnVURSZlEzTjBiVjh3WHpGWQoJUFNJelpqZ3dNREF3TUNJZ0lGQTBYME56
+ZEcxZk1GOHhXVDBpTTJZNE1EQXdNREFpSUNCUU5GOURjM1J0WHpCZlUxWXcKCVBTSXdJaUFnVURS
+ZlEzTjBiVjh3WDFOV01UMGlNQ0lnSUZBMFgwTnpkRzFmTUY5VFZqSTlJakFpSUNCUU5GOURjM1J0
+CglYekJmVTFZelBTSXpaREl6WkRjd1lTSWdJRkEwWDBOemRHMWZNRjlUVmpROUlqQWlJQ0JRTkY5
+RGMzUnRYekJmVTFZMQoJUFNJd0lpQWdVRFJmUTNOMGJWOHdYMU5XTmowaU1DSWdJRkEwWDBOemRH
+MWZNRjlUVmpjOUlqQWlJQ0JRTlQwaU0yWTQKCU1EQXdNREFpSUNCUU5qMGlNMlk0TURBd01EQWlJ
+Q0JRTmw5RGMzUnRYekJmUFNJek1DSWdJRkEyWDBOemRHMWZNRjh3CglXRDBpTUNJZ0lGQTJYME56
+ZEcxZk1GOHdXVDBpTUNJZ0lGQTJYME56ZEcxZk1GOHhXRDBpTTJZNE1EQXdNREFpSUNCUQoJTmw5
+RGMzUnRYekJmTVZrOUlqTm1PREF3TURBd0lpQWdVRGM5SWpOa09UazVPVGs1SWlBZ1VEZzlJakFp
+SUNCUU9UMGkKCU0yTmhNMlEzTUdFaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpO
+bFpqQmhNMlEzSWlBZ1VERXpQU0l6CglaREl6WkRjd1lTSWdJRkF4TkQwaU0yWTFORGRoWlRFaUlD
+QkJZM1JwZG1VOUlqQWlJQ0JCWTNScGRtVmZRM04wYlY4dwoJWHowaU1qUWlJQ0JCWTNScGRtVmZR
+M04wYlY4d1h6QllQU0l3SWlBZ1FXTjBhWFpsWDBOemRHMWZNRjh3V1QwaU1DSWcKCUlFRmpkR2wy
+WlY5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lpQWdRV04wYVhabFgwTnpkRzFmTUY4eFdUMGlN
+Mlk0CglNREF3TURBaUlDQkJZM1JwZG1WZlEzTjBiVjh3WDFOV01EMGlNQ0lnSUVGamRHbDJaVjlE
+YzNSdFh6QmZVMVl4UFNJegoJWmpnd01EQXdNQ0lnSUVGamRHbDJaVjlEYzNSdFh6QmZVMVl5UFNJ
+elpqZ3dNREF3TUNJZ0lFRmpkR2wyWlY5RGMzUnQKCVh6QmZVMVl6UFNJelpqZ3dNREF3TUNJZ0lF
+RmpkR2wyWlY5RGMzUnRYekJmVTFZMFBTSXdJaUFnUVdOMGFYWmxYME56CglkRzFmTUY5VFZqVTlJ
+akFpSUNCQlkzUnBkbVZmUTNOMGJWOHdYMU5XTmowaU1DSWdJRUZqZEdsMlpWOURjM1J0WHpCZgoJ
+VTFZM1BTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlR
+VzVoYkc5bklGQm8KCVlYTmxjaUlnSUZBd1BTSXpaV1prTnpCaE5DSWdJRkF3WDBOemRHMWZNRjg5
+SWpNeElpQWdVREJmUTNOMGJWOHdYekJZCglQU0l3SWlBZ1VEQmZRM04wYlY4d1h6QlpQU0l3SWlB
+Z1VEQmZRM04wYlY4d1h6RllQU0l6Wmpnd01EQXdNQ0lnSUZBdwoJWDBOemRHMWZNRjh4V1QwaU0y
+WTRNREF3TURBaUlDQlFNVDBpTTJWallUSXpNMkVpSUNCUU1WOURjM1J0WHpCZlBTSXoKCU1pSWdJ
+RkF4WDBOemRHMWZNRjh3V0QwaU1DSWdJRkF4WDBOemRHMWZNRjh3V1QwaU1DSWdJRkF4WDBOemRH
+MWZNRjh4CglXRDBpTTJZNE1EQXdNREFpSUNCUU1WOURjM1J0WHpCZk1WazlJak5tTnpCaE0yUTNJ
+aUFnVURJOUlqQWlJQ0JRTWw5RAoJYzNSdFh6QmZQU0l5TkNJZ0lGQXlYME56ZEcxZk1GOHdXRDBp
+TUNJZ0lGQXlYME56ZEcxZk1GOHdXVDBpTUNJZ0lGQXkKCVgwTnpkRzFmTUY4eFdEMGlNMlk0TURB
+d01EQWlJQ0JRTWw5RGMzUnRYekJmTVZrOUlqTm1PREF3TURBd0lpQWdVREpmCglRM04wYlY4d1gx
+TldNRDBpTUNJZ0lGQXlYME56ZEcxZk1GOVRWakU5SWpBaUlDQlFNbDlEYzNSdFh6QmZVMVl5UFNJ
+dwoJSWlBZ1VESmZRM04wYlY4d1gxTldNejBpTUNJZ0lGQXlYME56ZEcxZk1GOVRWalE5SWpBaUlD
+QlFNbDlEYzNSdFh6QmYKCVUxWTFQU0l6Wmpnd01EQXdNQ0lnSUZBeVgwTnpkRzFmTUY5VFZqWTlJ
+ak5tT0RBd01EQXdJaUFnVURKZlEzTjBiVjh3CglYMU5XTnowaU0yWTRNREF3TURBaUlDQlFNejBp
+TUNJZ0lGQTBQU0l3SWlBZ1VEUmZRM04wYlY4d1h6MGlNalFpSUNCUQoJTkY5RGMzUnRYekJmTUZn
+OUlqQWlJQ0JRTkY5RGMzUnRYekJmTUZrOUlqQWlJQ0JRTkY5RGMzUnRYekJmTVZnOUlqTm0KCU9E
+QXdNREF3SWlBZ1VEUmZRM04wYlY4d1h6RlpQU0l6Wmpnd01EQXdNQ0lnSUZBMFgwTnpkRzFmTUY5
+VFZqQTlJakFpCglJQ0JRTkY5RGMzUnRYekJmVTFZeFBTSXdJaUFnVURSZlEzTjBiVjh3WDFOV01q
+MGlNQ0lnSUZBMFgwTnpkRzFmTUY5VAoJVmpNOUlqQWlJQ0JRTkY5RGMzUnRYekJmVTFZMFBTSXpa
+REl6WkRjd1lTSWdJRkEwWDBOemRHMWZNRjlUVmpVOUlqQWkKCUlDQlFORjlEYzNSdFh6QmZVMVky
+UFNJd0lpQWdVRFJmUTNOMGJWOHdYMU5XTnowaU1DSWdJRkExUFNJelpqZ3dNREF3CglNQ0lnSUZB
+MlBTSXpaamd3TURBd01DSWdJRkEyWDBOemRHMWZNRjg5SWpNd0lpQWdVRFpmUTNOMGJWOHdYekJZ
+UFNJdwoJSWlBZ1VEWmZRM04wYlY4d1h6QlpQU0l3SWlBZ1VEWmZRM04wYlY4d1h6RllQU0l6Wmpn
+d01EQXdNQ0lnSUZBMlgwTnoKCWRHMWZNRjh4V1QwaU0yWTRNREF3TURBaUlDQlFOejBpTTJRNU9U
+azVPVGtpSUNCUU9EMGlNQ0lnSUZBNVBTSXpZMkV6CglaRGN3WVNJZ0lGQXhNRDBpTUNJZ0lGQXhN
+VDBpTUNJZ0lGQXhNajBpTTJWbU1HRXpaRGNpSUNCUU1UTTlJak5rTWpOawoJTnpCaElpQWdVREUw
+UFNJelpqVTBOMkZsTVNJZ0lFRmpkR2wyWlQwaU1DSWdJRUZqZEdsMlpWOURjM1J0WHpCZlBTSXkK
+CU5DSWdJRUZqZEdsMlpWOURjM1J0WHpCZk1GZzlJakFpSUNCQlkzUnBkbVZmUTNOMGJWOHdYekJa
+UFNJd0lpQWdRV04wCglhWFpsWDBOemRHMWZNRjh4V0QwaU0yWTRNREF3TURBaUlDQkJZM1JwZG1W
+ZlEzTjBiVjh3WHpGWlBTSXpaamd3TURBdwoJTUNJZ0lFRmpkR2wyWlY5RGMzUnRYekJmVTFZd1BT
+SXdJaUFnUVdOMGFYWmxYME56ZEcxZk1GOVRWakU5SWpBaUlDQkIKCVkzUnBkbVZmUTNOMGJWOHdY
+MU5XTWowaU1DSWdJRUZqZEdsMlpWOURjM1J0WHpCZlUxWXpQU0l3SWlBZ1FXTjBhWFpsCglYME56
+ZEcxZk1GOVRWalE5SWpObU9EQXdNREF3SWlBZ1FXTjBhWFpsWDBOemRHMWZNRjlUVmpVOUlqTm1P
+REF3TURBdwoJSWlBZ1FXTjBhWFpsWDBOemRHMWZNRjlUVmpZOUlqQWlJQ0JCWTNScGRtVmZRM04w
+YlY4d1gxTldOejBpTUNJZ1BnbzgKCUwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZS
+NWNHVTlJa0Z1WVd4dlp5QldhV0p5WVhSdklpQWdVREE5CglJak5tTVdVM1l6QTNJaUFnVURCZlEz
+TjBiVjh3WHowaU16SWlJQ0JRTUY5RGMzUnRYekJmTUZnOUlqQWlJQ0JRTUY5RAoJYzNSdFh6QmZN
+Rms5SWpBaUlDQlFNRjlEYzNSdFh6QmZNVmc5SWpObU1EQXdNREF3SWlBZ1VEQmZRM04wYlY4d1h6
+RloKCVBTSXpaak5qWVdNd09DSWdJRkF3WDBOemRHMWZNRjh5V0QwaU0yWTRNREF3TURBaUlDQlFN
+RjlEYzNSdFh6QmZNbGs5CglJak5tTm1Wa09URTNJaUFnVURFOUlqTmxabVEzTUdFMElpQWdVREZm
+UTNOMGJWOHdYejBpTXpFaUlDQlFNVjlEYzNSdAoJWHpCZk1GZzlJakFpSUNCUU1WOURjM1J0WHpC
+Zk1GazlJakFpSUNCUU1WOURjM1J0WHpCZk1WZzlJak5tT0RBd01EQXcKCUlpQWdVREZmUTNOMGJW
+OHdYekZaUFNJelpqZ3dNREF3TUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU0xOURjM1J0CglY
+ekJmUFNJeU5DSWdJRkF6WDBOemRHMWZNRjh3V0QwaU1DSWdJRkF6WDBOemRHMWZNRjh3V1QwaU1D
+SWdJRkF6WDBOegoJZEcxZk1GOHhXRDBpTTJZNE1EQXdNREFpSUNCUU0xOURjM1J0WHpCZk1WazlJ
+ak5tT0RBd01EQXdJaUFnVUROZlEzTjAKCWJWOHdYMU5XTUQwaU1DSWdJRkF6WDBOemRHMWZNRjlU
+VmpFOUlqQWlJQ0JRTTE5RGMzUnRYekJmVTFZeVBTSXdJaUFnCglVRE5mUTNOMGJWOHdYMU5XTXow
+aU1DSWdJRkF6WDBOemRHMWZNRjlUVmpROUlqQWlJQ0JRTTE5RGMzUnRYekJmVTFZMQoJUFNJd0lp
+QWdVRE5mUTNOMGJWOHdYMU5XTmowaU0yTmhNMlEzTUdFaUlDQlFNMTlEYzNSdFh6QmZVMVkzUFNJ
+d0lpQWcKCVVEUTlJak5tT0RBd01EQXdJaUFnVURSZlEzTjBiVjh3WHowaU16QWlJQ0JRTkY5RGMz
+UnRYekJmTUZnOUlqQWlJQ0JRCglORjlEYzNSdFh6QmZNRms5SWpBaUlDQlFORjlEYzNSdFh6QmZN
+Vmc5SWpObU9EQXdNREF3SWlBZ1VEUmZRM04wYlY4dwoJWHpGWlBTSXpaamd3TURBd01DSWdJRkEx
+UFNJelpqZ3dNREF3TUNJZ0lGQTJQU0l6Wmpnd01EQXdNQ0lnSUZBM1BTSXoKCVpEazVPVGs1T1NJ
+Z0lGQTRQU0l3SWlBZ1VEazlJak5qWVROa056QmhJaUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFn
+CglVREV5UFNJelpXWXdZVE5rTnlJZ0lGQXhNejBpTTJReU0yUTNNR0VpSUNCUU1UUTlJak5tTlRR
+M1lXVXhJaUFnUVdOMAoJYVhabFBTSXdJaUFnUVdOMGFYWmxYME56ZEcxZk1GODlJakkwSWlBZ1FX
+TjBhWFpsWDBOemRHMWZNRjh3V0QwaU1DSWcKCUlFRmpkR2wyWlY5RGMzUnRYekJmTUZrOUlqQWlJ
+Q0JCWTNScGRtVmZRM04wYlY4d1h6RllQU0l6Wmpnd01EQXdNQ0lnCglJRUZqZEdsMlpWOURjM1J0
+WHpCZk1WazlJak5tT0RBd01EQXdJaUFnUVdOMGFYWmxYME56ZEcxZk1GOVRWakE5SWpBaQoJSUNC
+QlkzUnBkbVZmUTNOMGJWOHdYMU5XTVQwaU1DSWdJRUZqZEdsMlpWOURjM1J0WHpCZlUxWXlQU0l3
+SWlBZ1FXTjAKCWFYWmxYME56ZEcxZk1GOVRWak05SWpBaUlDQkJZM1JwZG1WZlEzTjBiVjh3WDFO
+V05EMGlNQ0lnSUVGamRHbDJaVjlECgljM1J0WHpCZlUxWTFQU0l3SWlBZ1FXTjBhWFpsWDBOemRH
+MWZNRjlUVmpZOUlqTm1PREF3TURBd0lpQWdRV04wYVhabAoJWDBOemRHMWZNRjlUVmpjOUlqTm1P
+REF3TURBd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BDOUZSa1pTUVVOTFBnb2cKCVBDOVdUMGxE
+UlQ0S0lEeFdUMGxEUlNBZ2NHRjFlR3c5SWpBaUlDQndZWFY0YVhCdlpqMGlNQ0lnUGdvOFJrbE1W
+RVZTCglJQ0JoWTNROUlqQWlJQ0J3WVhKaFBTSXdJaUFnWW1Gc1BTSXpaakF3TURBd01DSWdJR1p5
+WlhFOUlqTmtaV0k0TlRGbQoJSWlBZ2MzQnlaRDBpTTJZd01EQXdNREFpSUNCeVpYTTlJakFpSUNC
+clpYazlJak5tTURBd01EQXdJaUFnYTJWNWFXNTIKCVBTSXdJaUFnYTJWNWJYQTlJak5rTWpOa056
+QmhJaUFnWlc1MlpIQjBhRDBpTTJZNE1EQXdNREFpSUNCbGJuWmtjSFJvCglhVzUyUFNJd0lpQWdi
+bUZ0WlQwaU1DSWdJR0ZqZERFOUlqTm1PREF3TURBd0lpQWdkSGx3WlRFOUlqTmxOakUwTjJGbAoJ
+SWlBZ1puSmxjVEU5SWpObU1EQXdNREF3SWlBZ2NtVnpNVDBpTTJZd01EQXdNREFpSUNCd1lXNHhQ
+U0l6WmpBd01EQXcKCU1DSWdJR0ZqZERJOUlqQWlJQ0IwZVhCbE1qMGlNQ0lnSUdaeVpYRXlQU0l6
+WmpBd01EQXdNQ0lnSUhKbGN6STlJak5tCglNREF3TURBd0lpQWdjR0Z1TWowaU0yWXdNREF3TURB
+aUlDQmthWE4wVUc5emREMGlNQ0lnSUdWeFVHOXpkRDBpTUNJZwoJSUU1aGJXVlRkSEk5SWtKaGMy
+bGpJREV5WkdJZ1RHOTNjR0Z6Y3lJZ1BnbzhSVkV4TWlBZ1FXTjBhWFpsUFNJd0lpQWcKCVVEQTlJ
+ak5tTURBd01EQXdJaUFnVURFOUlqTm1NREF3TURBd0lpQWdVREk5SWpObU1EQXdNREF3SWlBZ1VE
+TTlJak5tCglNREF3TURBd0lpQWdVRFE5SWpObU1EQXdNREF3SWlBZ1VEVTlJak5tTURBd01EQXdJ
+aUFnVURZOUlqTm1NREF3TURBdwoJSWlBZ1VEYzlJak5tTURBd01EQXdJaUFnVURnOUlqTm1NREF3
+TURBd0lpQWdVRGs5SWpObU1EQXdNREF3SWlBZ1VERXcKCVBTSXpaakF3TURBd01DSWdJRkF4TVQw
+aU0yWXdNREF3TURBaUlDQlFNVEk5SWpObU1EQXdNREF3SWlBZ1VERXpQU0l6CglaVGd4WTJRNE5T
+SWdJRkF4TkQwaU1DSWdQZ284TDBWUk1USStDaUE4UlZFeUlDQkJZM1JwZG1VOUlqQWlJQ0JRTUQw
+aQoJTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlq
+QWlJQ0JRTmowaU1DSWcKCUlGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlN
+Q0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnCglJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdQZ284
+TDBWUk1qNEtJRHhFU1ZOVUlDQkJZM1JwZG1VOUlqQWlJQ0JRTUQwaQoJTTJZNE1EQXdNREFpSUNC
+UU1UMGlNMll6TVdWaU9EVWlJQ0JRTWowaU1DSWdJRkF6UFNJelpqZ3dNREF3TUNJZ0lGQTAKCVBT
+SXpaR05qWTJOalpDSWdJRkExUFNJelpqUTFaamt5WXlJZ0lGQTJQU0l3SWlBZ1VEYzlJak5tT0RB
+d01EQXdJaUFnCglVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpTTJVd1lUTmtOekVpSUNCUU1U
+RTlJak5tTlRCaE0yUTNJaUFnVURFeQoJUFNJd0lpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lpQStD
+and2UkVsVFZENEtJRHd2UmtsTVZFVlNQZ29nUEZkQlZrVlQKCVNFRlFSVklnSUdGamREMGlNQ0ln
+SUhSNWNHVTlJakFpSUNCd2IzTTlJak5rTWpOa056QmhJaUFnWkhCMGFEMGlNMlE1CglNRE01WWpF
+aUlDQm5ZV2x1UFNJelpqQXdNREF3TUNJZ0lHMXBlRDBpTTJZNE1EQXdNREFpSUNCMGIyNWxQU0l3
+SWlBZwoJWW1NOUlqQWlJQ0J6Y25Ka1l6MGlNQ0lnSUcxbmNtWjVNVDBpTUNJZ0lHMW5jbVo1TWow
+aU1DSWdJRzVoYldVOUlqQWkKCUlDQk9ZVzFsVTNSeVBTSjFiblJwZEd4bFpDSWdQZ284TDFkQlZr
+VlRTRUZRUlZJK0NpQThUMU5ESUNCMGVYQmxQU0l6CglaamRrWWpGa09TSWdJR3RwYm1ROUlqUWlJ
+Q0J4YkQwaU1DSWdJSEZzY2owaU1DSWdJSEZ5Y2owaU0yWTRNREF3TURBaQoJSUNCeGNqMGlNMlk0
+TURBd01EQWlJQ0IwZFc1bFBTSXpaakF3TURBd01DSWdJSFIxYm1WR2FXNWxQU0l6WmpBd01EQXcK
+CU1DSWdJR1pwYm1WVFkydzlJakVpSUNCd1pHVndkR2c5SWpBaUlDQndkMmxrZEdnOUlqQWlJQ0J2
+WTNROUlqTmtNak5rCglOekJoSWlBZ2MyVnRhVDBpTTJWbU5XTXlPR1lpSUNCc1pYWmxiRDBpTTJV
+MVl6STRaalVpSUNCc1pYWmxiRjlEYzNSdAoJWHpCZlBTSXhJaUFnYkdWMlpXeGZRM04wYlY4d1h6
+QllQU0l3SWlBZ2JHVjJaV3hmUTNOMGJWOHdYekJaUFNJd0lpQWcKCWJHVjJaV3hmUTNOMGJWOHdY
+ekZZUFNJelpqZ3dNREF3TUNJZ0lHeGxkbVZzWDBOemRHMWZNRjh4V1QwaU0yWTRNREF3CglNREFp
+SUNCd1lXNDlJak5tTURBd01EQXdJaUFnY0c5eWREMGlNQ0lnSUhCdmNuUkJZM1E5SWpBaUlDQjBj
+SE05SWpBaQoJSUNCbWJGUmxiWEJzUFNJd0lpQWdabXhUY0dROUlqTm1NREF3TURBd0lpQWdabXhN
+YjI5d1BTSXpaamd3TURBd01DSWcKCUlHMXZaR2x1ZEQwaU0yWXdNREF3TURBaUlDQnRiMlJrWlhC
+MGFEMGlNMll3TURBd01EQWlJQ0JtYlQwaU1DSWdJR1p0CglhM1E5SWpObU9EQXdNREF3SWlBZ1pt
+MTNaajBpTUNJZ0lHWnRjMk5zUFNJd0lpQWdabTF3WkQwaU1DSWdJR1p0Y0hjOQoJSWpBaUlDQm1i
+V2h6UFNJd0lpQWdRVTF0YjJScGJuUTlJak5tTURBd01EQXdJaUFnUVUxdGIyUmtaWEIwYUQwaU0y
+WXcKCU1EQXdNREFpSUNCaGJUMGlNQ0lnSUdGdGEzUTlJak5tT0RBd01EQXdJaUFnWVcxM1pqMGlN
+Q0lnSUdGdGMyTnNQU0l3CglJaUFnWVcxd1pEMGlNQ0lnSUdGdGNIYzlJakFpSUNCaGJXaHpQU0l3
+SWlBZ1ozSmhiajBpTTJZME1EQXdNREFpSUNCdQoJWjNKaGFXNXpQU0l3SWlBZ1ozSmhhVzR6UFNJ
+elpURTVPVGs1WVNJZ0lHZHlZV2x1TkQwaU1DSWdJR2R5WVdsdU5UMGkKCU0yWTRNREF3TURBaUlD
+Qm5jbUZwYmpZOUlqTm1NREF3TURBd0lpQWdaM0poYmxOd2NtUTlJak5tT0RBd01EQXdJaUFnCgla
+M0poYmxCRWFYSTlJakFpSUNCbmNtRnVVRUZqWTNWdFBTSXdJaUFnWjNKaGJrMXBlRDBpTTJZNE1E
+QXdNREFpSUNCbgoJY21GdVJYaHdQU0l6WlRnd01EQXdNQ0lnSUdkeVlXNVVjbWM5SWpBaUlDQmxh
+VVp5VEc5alBTSXdJaUFnWjNKaGJsQnYKCWN6MGlNQ0lnSUdkeVlXNVdNVDBpTUNJZ0lIVmpiblE5
+SWpBaUlDQjFaSEIwYUQwaU0yVXhOR1l5TURraUlDQjFkMlIwCglhRDBpTTJZNE1EQXdNREFpSUNC
+MVpIQnlaejBpTUNJZ0lIVnZZM1E5SWpOa01qTmtOekJoSWlBZ2RXUnlablE5SWpBaQoJSUNCMWRu
+QnpQU0l3SWlBZ2FISmtjMjVqUFNJd0lpQWdjbVZ3ZEdOb1BTSXpaamd3TURBd01DSWdJSE53YUdF
+OUlqQWkKCUlDQnpZVzVoUFNJelpqQTJabUkxT0NJZ0lHRjBjbTA5SWpObU9EQXdNREF3SWlBZ2Mz
+TmxjejBpTTJReU0yUTNNR0VpCglJQ0J6YzJWemVUMGlNQ0lnSUhadGREMGlNQ0lnSUhadFlUMGlN
+Q0lnSUdOemMyaGtZVzF3UFNJd0lpQStDanhJUVZKTgoJSUNCQlkzUXhQU0l6Wmpnd01EQXdNQ0ln
+SUd4MmJERTlJak5tTkRBd01EQXdJaUFnY0dGdU1UMGlNMll3TURBd01EQWkKCUlDQjBkVzR4UFNJ
+elpqQXdNREF3TUNJZ0lITnRhVEU5SWpObU1XVmlPRFV5SWlBZ2MyaHdNVDBpTTJZd01EQXdNREFp
+CglJQ0J6ZVcxdE1UMGlNMll3TURBd01EQWlJQ0J6ZVc0eFBTSXpaakF3TURBd01DSWdJSGRtYlRF
+OUlqQWlJQ0JCWTNReQoJUFNJelpqZ3dNREF3TUNJZ0lHeDJiREk5SWpObU5EQXdNREF3SWlBZ2NH
+RnVNajBpTTJZd01EQXdNREFpSUNCMGRXNHkKCVBTSXpaakV4WldJNE5TSWdJSE50YVRJOUlqTmxa
+alZqTWpobUlpQWdjMmh3TWowaU0yWXdNREF3TURBaUlDQnplVzF0CglNajBpTTJZd01EQXdNREFp
+SUNCemVXNHlQU0l6WmpBd01EQXdNQ0lnSUhkbWJUSTlJakFpSUNCQlkzUXpQU0l3SWlBZwoJYkha
+c016MGlNMlkwTURBd01EQWlJQ0J3WVc0elBTSXpaakF3TURBd01DSWdJSFIxYmpNOUlqTm1NREF3
+TURBd0lpQWcKCWMyMXBNejBpTTJVM05XTXlPR1lpSUNCemFIQXpQU0l6WmpBd01EQXdNQ0lnSUhO
+NWJXMHpQU0l6WmpBd01EQXdNQ0lnCglJSE41YmpNOUlqTm1NREF3TURBd0lpQWdkMlp0TXowaU1D
+SWdJRUZqZERROUlqQWlJQ0JzZG13MFBTSXpaalF3TURBdwoJTUNJZ0lIQmhialE5SWpObU1EQXdN
+REF3SWlBZ2RIVnVORDBpTTJZd01EQXdNREFpSUNCemJXazBQU0l6WldZMVl6STQKCVppSWdJSE5v
+Y0RROUlqTm1NREF3TURBd0lpQWdjM2x0YlRROUlqTm1NREF3TURBd0lpQWdjM2x1TkQwaU0yWXdN
+REF3CglNREFpSUNCM1ptMDBQU0l3SWlBZ2JXOWtQU0l3SWlBZ2JXbDRQU0l6WmpBd01EQXdNQ0ln
+UGdvOEwwaEJVazArQ2lBOAoJVkU5T1JWZElSVVZNSUNCa2NuY3hQU0l6WmpBd01EQXdNQ0lnSUdS
+eWR6STlJak5tTURBd01EQXdJaUFnWkhKM016MGkKCU0yWXdNREF3TURBaUlDQmtjbmMwUFNJelpq
+QXdNREF3TUNJZ0lHUnlkelU5SWpBaUlDQmtjbmMyUFNJd0lpQWdaSEozCglOejBpTUNJZ0lHUnlk
+emc5SWpBaUlDQmtjbmM1UFNJd0lpQWdjR1ZrTVQwaU0yWXdNREF3TURBaUlDQndaV1F5UFNJegoJ
+WmpBd01EQXdNQ0lnSUZOd1QyNDlJakFpSUNCV1QyNDlJakFpSUNCV2JXOWtaVDBpTUNJZ0lGQnZi
+ajBpTUNJZ0lGQnoKCWIyWjBQU0l3SWlBZ1VHWmhjM1E5SWpBaUlDQlFhR0Z5YlQwaU1DSWdJRk53
+YTNJOUlqQWlJQ0JEYkdsamF6MGlNQ0lnCglJRWgxYlQwaU1DSWdJRUZuWlQwaU1DSWdJRmgwWVd4
+clBTSXdJaUFnVEc5M1ptOXNaRDBpTTJZNE1EQXdNREFpSUNCUQoJT1dROUlqTm1PREF3TURBd0lp
+QWdVR3hsWnowaU0yWTRNREF3TURBaUlDQlFaR2x0UFNJelpqZ3dNREF3TUNJZ1BnbzgKCUwxUlBU
+a1ZYU0VWRlRENEtJRHhYUVZaRlV5QStDand2VjBGV1JWTStDaUE4UmsxWFFWWkZVeUErQ2p3dlJr
+MVhRVlpGCglVejRLSUR4QlRWZEJWa1ZUSUQ0S1BDOUJUVmRCVmtWVFBnb2dQQzlQVTBNK0NpQThS
+a1ZPVmlBZ1l6MGlNeUlnSUhCaAoJYmowaU1DSWdJSHB2YjIwOUlqTmxaV1E1TWpObElpQStDanh3
+SUNCc1BTSXdJaUFnZEQwaU1DSWdJSE05SWpFMElpQWcKCVl6MGlNMlZsTkRSbE9USWlJRDRLUEM5
+d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTUNJZ0lITTlJakUwCglJaUFnWXowaU0y
+UmxOVEV4T1dVaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpOa1pUY3pPV1F3SWlBZ2REMGlNMk5tTlRn
+eAoJTWpBaUlDQnpQU0l4TkNJZ0lHTTlJak5sWWpBeU5ERXdJaUErQ2p3dmNENEtJRHh3SUNCc1BT
+SXdJaUFnZEQwaU0yUXoKCVptTmpaVEFpSUNCelBTSXhPQ0lnSUdNOUlqTmxOemt6WTJSa0lpQStD
+and2Y0Q0S0lEd3ZSa1ZPVmo0S0lEeEdSVTVXCglVRUZTUVUxVElDQmhQU0l3SWlBZ2FEMGlNQ0ln
+SUdROUlqQWlJQ0J5UFNJd0lpQWdZWFIwYXowaU1DSWdJR2h2YkdROQoJSWpObFl6WXpNVGt3SWlB
+Z1pHVmplVDBpTTJWak5qTXhPVEFpSUNCemRYTjBQU0l6WkdVM016bGtNQ0lnSUhKbGJITTkKCUlq
+TmxPVFJoTlRKaUlpQWdjMjF3UFNJd0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJd0lpQWdjM0JrUFNJ
+elpqQXdNREF3CglNQ0lnSUhSeVowMWtQU0l6Wmpnd01EQXdNQ0lnSUhabGJITmxibk05SWpObU9E
+QXdNREF3SWlBZ2JXZHNkbXh6UFNJegoJWmpBd01EQXdNQ0lnSUcxblkzSjJjejBpTTJZd01EQXdN
+REFpSUNCa2NIUTlJakFpSUNCamFITlVjbWM5SWpBaUlDQmgKCWRHTm9jejBpTUNJZ1BnbzhMMFpG
+VGxaUVFWSkJUVk0rQ2lBOFFVVk9WaUFnWXowaU15SWdJSEJoYmowaU1DSWdJSHB2CgliMjA5SWpO
+bFpEUm1aV00ySWlBK0NqeHdJQ0JzUFNJd0lpQWdkRDBpTUNJZ0lITTlJakUwSWlBZ1l6MGlNMlZt
+TVRKbQoJWm1FaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNQ0lnSUhN
+OUlqRTBJaUFnWXowaU0yVmwKCU1URTJNemdpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01E
+QXdJaUFnZEQwaU0yTTRNVEU0TmpBaUlDQnpQU0l4CglOQ0lnSUdNOUlqTmxZek0zTmpKbElpQStD
+and2Y0Q0S0lEeHdJQ0JzUFNJd0lpQWdkRDBpTTJObVpHTTNNREFpSUNCegoJUFNJeE9DSWdJR005
+SWpObE56a3pZMlJrSWlBK0Nqd3ZjRDRLSUR3dlFVVk9WajRLSUR4QlJVNVdVRUZTUVUxVElDQnYK
+CWJrOW1aajBpTTJZNE1EQXdNREFpSUNCdmJrOW1abDlEYzNSdFh6QmZQU0l4TUNJZ0lHOXVUMlpt
+WDBOemRHMWZNRjh3CglXRDBpTUNJZ0lHOXVUMlptWDBOemRHMWZNRjh3V1QwaU1DSWdJRzl1VDJa
+bVgwTnpkRzFmTUY4eFdEMGlNMlk0TURBdwoJTURBaUlDQnZiazltWmw5RGMzUnRYekJmTVZrOUlq
+Tm1PREF3TURBd0lpQWdZVDBpTUNJZ0lHZzlJakFpSUNCa1BTSXcKCUlpQWdjajBpTUNJZ0lHRjBk
+R3M5SWpBaUlDQm9iMnhrUFNJelpUaG1Zamd5TXlJZ0lHUmxZM2s5SWpObE9HWmlPREl6CglJaUFn
+YzNWemREMGlNMlk0TURBd01EQWlJQ0J5Wld4elBTSXpaVGhrTTJSalpTSWdJSE50Y0QwaU1DSWdJ
+R3h3UFNJdwoJSWlBZ2MzbHVZejBpTUNJZ0lITndaRDBpTTJZd01EQXdNREFpSUNCMGNtZE5aRDBp
+TTJZNE1EQXdNREFpSUNCMlpXeHoKCVpXNXpQU0l6WmpKak5UWmtOU0lnSUhabGJITmxibk5mUTNO
+MGJWOHdYejBpTnlJZ0lIWmxiSE5sYm5OZlEzTjBiVjh3CglYekJZUFNJd0lpQWdkbVZzYzJWdWMx
+OURjM1J0WHpCZk1GazlJakFpSUNCMlpXeHpaVzV6WDBOemRHMWZNRjh4V0QwaQoJTTJZd01EQXdN
+REFpSUNCMlpXeHpaVzV6WDBOemRHMWZNRjh4V1QwaU0yWTNaRGN3WVRRaUlDQjJaV3h6Wlc1elgw
+TnoKCWRHMWZNRjh5V0QwaU0yWTRNREF3TURBaUlDQjJaV3h6Wlc1elgwTnpkRzFmTUY4eVdUMGlN
+Mlk0TURBd01EQWlJQ0J0CglaMngyYkhNOUlqTm1NREF3TURBd0lpQWdiV2RqY25aelBTSXpaakF3
+TURBd01DSWdJR1J3ZEQwaU1DSWdJR05vYzFSeQoJWnowaU1DSWdJR0YwWTJoelBTSXdJaUErQ2p3
+dlFVVk9WbEJCVWtGTlV6NEtJRHhGUmtaU1FVTkxJRDRLUEVWR1JrMVAKCVJGVk1SU0FnVkhsd1pU
+MGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05CglJ
+akFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lp
+QWdVRGs5SWpBaQoJSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1USTlJakFpSUNCUU1UTTlJ
+akFpSUNCUU1UUTlJakFpSUNCQlkzUnAKCWRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4
+UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPYnlCRlptWmxZM1FpCglJQ0JRTUQwaU1DSWdJRkF4UFNJ
+d0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VEVTlJakFpSUNCUQoJTmowaU1D
+SWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpTUNJZ0lGQXhNVDBpTUNJ
+Z0lGQXgKCU1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGamRHbDJaVDBpTTJOaE0y
+UTNNR0VpSUQ0S1BDOUZSa1pOCglUMFJWVEVVK0NpQThSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9i
+eUJGWm1abFkzUWlJQ0JRTUQwaU1DSWdJRkF4UFNJdwoJSWlBZ1VESTlJakFpSUNCUU16MGlNQ0ln
+SUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWcKCVVEZzlJakFpSUNC
+UU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0ln
+CglJRkF4TkQwaU1DSWdJRUZqZEdsMlpUMGlNQ0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmta
+TlQwUlZURVVnSUZSNQoJY0dVOUlrNXZJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlD
+QlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VEUTkKCUlqQWlJQ0JRTlQwaU1DSWdJRkEyUFNJd0lpQWdV
+RGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3CglJaUFnVURFeFBTSXdJaUFn
+VURFeVBTSXdJaUFnVURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l6WlRsawoJT0Rs
+alpTSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEd3ZSVVpHVWtGRFN6NEtJRHd2Vms5SlEwVStDaUE4
+VFZWTVZFbFQKCVFVMVFURVVnSUV4aGVXVnlNRlp2YkQwaU0yWTBNREF3TURBaUlDQk1ZWGxsY2pC
+V2IyeGZRM04wYlY4d1h6MGlNamtpCglJQ0JNWVhsbGNqQldiMnhmUTNOMGJWOHdYekJZUFNJd0lp
+QWdUR0Y1WlhJd1ZtOXNYME56ZEcxZk1GOHdXVDBpTTJZMAoJTURBd01EQWlJQ0JNWVhsbGNqQldi
+MnhmUTNOMGJWOHdYekZZUFNJelpqZ3dNREF3TUNJZ0lFeGhlV1Z5TUZadmJGOUQKCWMzUnRYekJm
+TVZrOUlqTm1NRGRsWmpsbElpQWdUR0Y1WlhJd1FXTjBQU0l6Wmpnd01EQXdNQ0lnSUV4aGVXVnlN
+RTEwCglQU0l3SWlBZ1RHRjVaWEl3Um13OUlqQWlJQ0JNWVhsbGNqRldiMnc5SWpObU5EQXdNREF3
+SWlBZ1RHRjVaWEl4UVdOMAoJUFNJelpqZ3dNREF3TUNJZ0lFeGhlV1Z5TVUxMFBTSXdJaUFnVEdG
+NVpYSXhSbXc5SWpBaUlDQk1ZWGxsY2pKV2IydzkKCUlqTm1OREF3TURBd0lpQWdUR0Y1WlhJeVFX
+TjBQU0l6Wmpnd01EQXdNQ0lnSUV4aGVXVnlNazEwUFNJd0lpQWdUR0Y1CglaWEl5Um13OUlqQWlJ
+Q0JNWVhsbGNqTldiMnc5SWpObU5EQXdNREF3SWlBZ1RHRjVaWEl6UVdOMFBTSXpaamd3TURBdwoJ
+TUNJZ0lFeGhlV1Z5TTAxMFBTSXdJaUFnVEdGNVpYSXpSbXc5SWpBaUlDQnlaV3hXYjJ3OUlqTm1O
+VE5pWWpZNElpQWcKCWNtVnNWbTlzWDBOemRHMWZNRjg5SWpVaUlDQnlaV3hXYjJ4ZlEzTjBiVjh3
+WHpCWVBTSXdJaUFnY21Wc1ZtOXNYME56CglkRzFmTUY4d1dUMGlNQ0lnSUhKbGJGWnZiRjlEYzNS
+dFh6QmZNVmc5SWpObU1EQXdNREF3SWlBZ2NtVnNWbTlzWDBOegoJZEcxZk1GOHhXVDBpTTJZeE5E
+TTVOVGdpSUNCeVpXeFdiMnhmUTNOMGJWOHdYekpZUFNJelpqZ3dNREF3TUNJZ0lISmwKCWJGWnZi
+RjlEYzNSdFh6QmZNbGs5SWpObU9EQXdNREF3SWlBZ2NHVmtUSFpzUFNJelpXTmhNMlEzTUNJZ0lI
+QmxaRXgyCgliRjlEYzNSdFh6QmZQU0kySWlBZ2NHVmtUSFpzWDBOemRHMWZNRjh3V0QwaU1DSWdJ
+SEJsWkV4MmJGOURjM1J0WHpCZgoJTUZrOUlqQWlJQ0J3WldSTWRteGZRM04wYlY4d1h6RllQU0l6
+Wmpnd01EQXdNQ0lnSUhCbFpFeDJiRjlEYzNSdFh6QmYKCU1WazlJak5tT0RBd01EQXdJaUFnY0dW
+a1JsZzlJak5tT0RBd01EQXdJaUFnYzNKNFptRmtaVDBpTUNJZ0lITnllR1poCglaR1ZmUTNOMGJW
+OHdYejBpTVRraUlDQnpjbmhtWVdSbFgwTnpkRzFmTUY4d1dEMGlNQ0lnSUhOeWVHWmhaR1ZmUTNO
+MAoJYlY4d1h6QlpQU0l3SWlBZ2MzSjRabUZrWlY5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lp
+QWdjM0o0Wm1Ga1pWOUQKCWMzUnRYekJmTVZrOUlqTmxNek16TXpNeklpQWdjbVZzVW5Wc1pUMGlN
+MlF5TTJRM01HRWlJQ0IwYVcxaWNtVTlJak5tCglNREF3TURBd0lpQWdkR2x0WW5KbFgwTnpkRzFm
+TUY4OUlqRTNJaUFnZEdsdFluSmxYME56ZEcxZk1GOHdXRDBpTUNJZwoJSUhScGJXSnlaVjlEYzNS
+dFh6QmZNRms5SWpObE56QmhNMlEzSWlBZ2RHbHRZbkpsWDBOemRHMWZNRjh4V0QwaU0yWXcKCU1E
+QXdNREFpSUNCMGFXMWljbVZmUTNOMGJWOHdYekZaUFNJelpqQXdNREF3TUNJZ0lIUnBiV0p5WlY5
+RGMzUnRYekJmCglNbGc5SWpObU9EQXdNREF3SWlBZ2RHbHRZbkpsWDBOemRHMWZNRjh5V1QwaU0y
+WTFNV1ZpT0RVaUlDQjBZbTFrUFNJegoJWTJFelpEY3dZU0lnSUdWdWMzTnVjbXc5SWpBaUlDQnla
+WEIwWTJoeVpXdzlJak5tT0RBd01EQXdJaUFnYzNOeVpYWncKCVlqMGlNQ0lnSUcxdlozSnBabms5
+SWpBaUlDQnpjM1JvYVc1RmJqMGlNQ0lnUGdvOFZHaHBibEoxYkdVZ0lGUm9hVzVRCglQU0l3SWlB
+Z1ZHaHBibFk5SWpBaUlDQlVhR2x1VWxJOUlqRXdNU0lnSUZSb2FXNVNaV3hTVWowaU1TSWdJRlJv
+YVc1TQoJUFNJd0lpQWdWR2hwYmxabGJGSmhibWRsUFNJd0lpQStDand2VkdocGJsSjFiR1UrQ2lB
+OFRWTmZTVTFmTUNBZ2JtRnQKCVpUMGlRMnhoYzNOcFl5QlNhRzlrWlhNZ1hpSWdJR3hwWW5KaGNu
+azlJa3RsZVhOallYQmxJRXhwWW5KaGNua2lJRDRLCglQQzlOVTE5SlRWOHdQZ29nUEUxVFgwbE5Y
+ekVnSUc1aGJXVTlJa05zWVhOemFXTWdVbWh2WkdWeklGSmxiR1ZoYzJVaQoJSUNCc2FXSnlZWEo1
+UFNKTFpYbHpZMkZ3WlNCTWFXSnlZWEo1SWlBK0Nqd3ZUVk5mU1UxZk1UNEtJRHd2VFZWTVZFbFQK
+CVFVMVFURVUrQ2lBOFRWVk1WRWxUUVUxUVRFVWdJRXhoZVdWeU1GWnZiRDBpTTJZME0yUmtZVE1p
+SUNCTVlYbGxjakJXCgliMnhmUTNOMGJWOHdYejBpTWpraUlDQk1ZWGxsY2pCV2IyeGZRM04wYlY4
+d1h6QllQU0l3SWlBZ1RHRjVaWEl3Vm05cwoJWDBOemRHMWZNRjh3V1QwaU0yWTBNMlEzTUdFaUlD
+Qk1ZWGxsY2pCV2IyeGZRM04wYlY4d1h6RllQU0l6Wmpnd01EQXcKCU1DSWdJRXhoZVdWeU1GWnZi
+RjlEYzNSdFh6QmZNVms5SWpObU1HRXpaRGN4SWlBZ1RHRjVaWEl3UVdOMFBTSXpaamd3CglNREF3
+TUNJZ0lFeGhlV1Z5TUUxMFBTSXdJaUFnVEdGNVpYSXdSbXc5SWpBaUlDQk1ZWGxsY2pGV2IydzlJ
+ak5tTkRBdwoJTURBd0lpQWdUR0Y1WlhJeFFXTjBQU0l6Wmpnd01EQXdNQ0lnSUV4aGVXVnlNVTEw
+UFNJd0lpQWdUR0Y1WlhJeFJtdzkKCUlqQWlJQ0JNWVhsbGNqSldiMnc5SWpObU5EQXdNREF3SWlB
+Z1RHRjVaWEl5UVdOMFBTSXpaamd3TURBd01DSWdJRXhoCgllV1Z5TWsxMFBTSXdJaUFnVEdGNVpY
+SXlSbXc5SWpBaUlDQk1ZWGxsY2pOV2IydzlJak5tTkRBd01EQXdJaUFnVEdGNQoJWlhJelFXTjBQ
+U0l6Wmpnd01EQXdNQ0lnSUV4aGVXVnlNMDEwUFNJd0lpQWdUR0Y1WlhJelJtdzlJakFpSUNCeVpX
+eFcKCWIydzlJak5tTm1GbU9EVTRJaUFnY21Wc1ZtOXNYME56ZEcxZk1GODlJalVpSUNCeVpXeFdi
+MnhmUTNOMGJWOHdYekJZCglQU0l3SWlBZ2NtVnNWbTlzWDBOemRHMWZNRjh3V1QwaU1DSWdJSEps
+YkZadmJGOURjM1J0WHpCZk1WZzlJak5tTURBdwoJTURBd0lpQWdjbVZzVm05c1gwTnpkRzFmTUY4
+eFdUMGlNMlkwWTJOalkyUWlJQ0J5Wld4V2IyeGZRM04wYlY4d1h6SlkKCVBTSXpaamd3TURBd01D
+SWdJSEpsYkZadmJGOURjM1J0WHpCZk1sazlJak5tT0RBd01EQXdJaUFnY0dWa1RIWnNQU0l6Cgla
+V05oTTJRM01DSWdJSEJsWkV4MmJGOURjM1J0WHpCZlBTSTJJaUFnY0dWa1RIWnNYME56ZEcxZk1G
+OHdXRDBpTUNJZwoJSUhCbFpFeDJiRjlEYzNSdFh6QmZNRms5SWpBaUlDQndaV1JNZG14ZlEzTjBi
+Vjh3WHpGWVBTSXpaamd3TURBd01DSWcKCUlIQmxaRXgyYkY5RGMzUnRYekJmTVZrOUlqTm1PREF3
+TURBd0lpQWdjR1ZrUmxnOUlqTm1PREF3TURBd0lpQWdjM0o0CglabUZrWlQwaU1DSWdJSE55ZUda
+aFpHVmZRM04wYlY4d1h6MGlNVGtpSUNCemNuaG1ZV1JsWDBOemRHMWZNRjh3V0QwaQoJTUNJZ0lI
+TnllR1poWkdWZlEzTjBiVjh3WHpCWlBTSXdJaUFnYzNKNFptRmtaVjlEYzNSdFh6QmZNVmc5SWpO
+bU9EQXcKCU1EQXdJaUFnYzNKNFptRmtaVjlEYzNSdFh6QmZNVms5SWpObE16TXpNek16SWlBZ2Nt
+VnNVblZzWlQwaU0yUXlNMlEzCglNR0VpSUNCMGFXMWljbVU5SWpObU1EQXdNREF3SWlBZ2RHSnRa
+RDBpTTJOaE0yUTNNR0VpSUNCbGJuTnpibkpzUFNJdwoJSWlBZ2NtVndkR05vY21Wc1BTSXpaamd3
+TURBd01DSWdJSE56Y21WMmNHSTlJakFpSUNCdGIyZHlhV1o1UFNJd0lpQWcKCWMzTjBhR2x1Ulc0
+OUlqQWlJRDRLUEZSb2FXNVNkV3hsSUNCVWFHbHVVRDBpTUNJZ0lGUm9hVzVXUFNJd0lpQWdWR2hw
+CglibEpTUFNJeE1ERWlJQ0JVYUdsdVVtVnNVbEk5SWpFaUlDQlVhR2x1VEQwaU1DSWdJRlJvYVc1
+V1pXeFNZVzVuWlQwaQoJTUNJZ1BnbzhMMVJvYVc1U2RXeGxQZ29nUEUxVFgwbE5YekFnSUc1aGJX
+VTlJa05zWVhOemFXTWdVbWh2WkdWeklFMWwKCVkyaGhibWxqWVd3Z1hpQlNVaUlnSUd4cFluSmhj
+bms5SWt0bGVYTmpZWEJsSUV4cFluSmhjbmtpSUQ0S1BDOU5VMTlKCglUVjh3UGdvZ1BFMVRYMGxO
+WHpFZ0lHNWhiV1U5SWtOc1lYTnphV01nVW1odlpHVnpJRTFsWTJoaGJtbGpZV3dnVW1WcwoJWldG
+elpTSWdJR3hwWW5KaGNuazlJa3RsZVhOallYQmxJRXhwWW5KaGNua2lJRDRLUEM5TlUxOUpUVjh4
+UGdvZ1BDOU4KCVZVeFVTVk5CVFZCTVJUNEtJRHhGUmtaU1FVTkxJRDRLUEVWR1JrMVBSRlZNUlNB
+Z1ZIbHdaVDBpVG04Z1JXWm1aV04wCglJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJRkF5UFNJd0lp
+QWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3SWlBZwoJVURZOUlqQWlJQ0JRTnowaU1DSWdJ
+RkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaUlDQlEKCU1USTlJakFp
+SUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUNCQlkzUnBkbVU5SWpObU9EQXdNREF3SWlBK0Nqd3ZS
+VVpHCglUVTlFVlV4RlBnb2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFn
+VURBOUlqQWlJQ0JRTVQwaQoJTUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZB
+MVBTSXdJaUFnVURZOUlqQWlJQ0JRTnowaU1DSWcKCUlGQTRQU0l3SWlBZ1VEazlJakFpSUNCUU1U
+QTlJakFpSUNCUU1URTlJakFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFpCglJQ0JRTVRROUlqQWlJ
+Q0JCWTNScGRtVTlJak5tT0RBd01EQXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHUmsxUAoJ
+UkZWTVJTQWdWSGx3WlQwaVRtOGdSV1ptWldOMElpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQ
+U0l3SWlBZ1VETTkKCUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBp
+TUNJZ0lGQTRQU0l3SWlBZ1VEazlJakFpCglJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJ
+OUlqQWlJQ0JRTVRNOUlqQWlJQ0JRTVRROUlqQWlJQ0JCWTNScAoJZG1VOUlqTm1PREF3TURBd0lp
+QStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJTQWdWSGx3WlQwaVZHRncKCVpTQlRi
+R0Z0YldWeUlpQWdVREE5SWpBaUlDQlFNVDBpTTJZd01EQXdNREFpSUNCUU1qMGlNMlE0TXpFeU56
+QWlJQ0JRCglNbDlEYzNSdFh6QmZQU0l5TWlJZ0lGQXlYME56ZEcxZk1GOHdXRDBpTUNJZ0lGQXlY
+ME56ZEcxZk1GOHdXVDBpTUNJZwoJSUZBeVgwTnpkRzFmTUY4eFdEMGlNMlk0TURBd01EQWlJQ0JR
+TWw5RGMzUnRYekJmTVZrOUlqTm1OR05qWTJOa0lpQWcKCVVETTlJak5tTkdFelpEY3hJaUFnVURR
+OUlqTmxNV1UyT1dGa0lpQWdVRFU5SWpObE1ERXdOakkxSWlBZ1VEVmZRM04wCgliVjh3WHowaU1q
+QWlJQ0JRTlY5RGMzUnRYekJmTUZnOUlqQWlJQ0JRTlY5RGMzUnRYekJmTUZrOUlqQWlJQ0JRTlY5
+RAoJYzNSdFh6QmZNVmc5SWpObU9EQXdNREF3SWlBZ1VEVmZRM04wYlY4d1h6RlpQU0l6WlRrNU9U
+azVZU0lnSUZBMlBTSXcKCUlpQWdVRGM5SWpObU9EQXdNREF3SWlBZ1VEZzlJakFpSUNCUU9UMGlN
+Q0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnCglJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4
+TkQwaU1DSWdJRUZqZEdsMlpUMGlNMlk0TURBd01EQWlJQ0JCWTNScAoJZG1WZlEzTjBiVjh3WHow
+aU1qTWlJQ0JCWTNScGRtVmZRM04wYlY4d1h6QllQU0l3SWlBZ1FXTjBhWFpsWDBOemRHMWYKCU1G
+OHdXVDBpTUNJZ0lFRmpkR2wyWlY5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lpQWdRV04wYVha
+bFgwTnpkRzFmCglNRjh4V1QwaU0yWTRNREF3TURBaUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOEww
+VkdSbEpCUTBzK0NpQThRVlZZUlVaRwoJVWtGRFN5QStDanhGUmtaTlQwUlZURVVnSUZSNWNHVTlJ
+bEpsZEhKdmNHeGxlQ0lnSUZBd1BTSXpaamd3TURBd01DSWcKCUlGQXhQU0l6WmpJd05HVmhOQ0ln
+SUZBeFgwTnpkRzFmTUY4OUlqSTJJaUFnVURGZlEzTjBiVjh3WHpCWVBTSXdJaUFnCglVREZmUTNO
+MGJWOHdYekJaUFNJd0lpQWdVREZmUTNOMGJWOHdYekZZUFNJelpqQXdNREF3TUNJZ0lGQXhYME56
+ZEcxZgoJTUY4eFdUMGlNMll4TkRkaFpURWlJQ0JRTVY5RGMzUnRYekJmTWxnOUlqTm1PREF3TURB
+d0lpQWdVREZmUTNOMGJWOHcKCVh6SlpQU0l6Wmpnd01EQXdNQ0lnSUZBeVBTSXpaalJoTTJRM01T
+SWdJRkF6UFNJelpESXpaRGN3WVNJZ0lGQTBQU0l6CglaVFl3TURBd01DSWdJRkExUFNJelpEVTVP
+VGs1T1NJZ0lGQTJQU0l3SWlBZ1VEYzlJak5tT0RBd01EQXdJaUFnVURkZgoJUTNOMGJWOHdYejBp
+TWpnaUlDQlFOMTlEYzNSdFh6QmZNRmc5SWpBaUlDQlFOMTlEYzNSdFh6QmZNRms5SWpObU9EQXcK
+CU1EQXdJaUFnVURkZlEzTjBiVjh3WHpGWVBTSXpaamd3TURBd01DSWdJRkEzWDBOemRHMWZNRjh4
+V1QwaU1DSWdJRkE0CglQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJak5sWVRo
+bU5XTXpJaUFnVURFeVBTSXdJaUFnVURFegoJUFNJd0lpQWdVREUwUFNJd0lpQWdRV04wYVhabFBT
+SXdJaUFnUVdOMGFYWmxYME56ZEcxZk1GODlJak16SWlBZ1FXTjAKCWFYWmxYME56ZEcxZk1GOHdX
+RDBpTUNJZ0lFRmpkR2wyWlY5RGMzUnRYekJmTUZrOUlqQWlJQ0JCWTNScGRtVmZRM04wCgliVjh3
+WHpGWVBTSXpaamd3TURBd01DSWdJRUZqZEdsMlpWOURjM1J0WHpCZk1WazlJak5tT0RBd01EQXdJ
+aUFnUVdOMAoJYVhabFgwTnpkRzFmTUY5VFZqQTlJakFpSUNCQlkzUnBkbVZmUTNOMGJWOHdYMU5X
+TVQwaU1DSWdJRUZqZEdsMlpWOUQKCWMzUnRYekJmVTFZeVBTSXdJaUFnUVdOMGFYWmxYME56ZEcx
+Zk1GOVRWak05SWpObU9EQXdNREF3SWlBK0Nqd3ZSVVpHCglUVTlFVlV4RlBnb2dQRVZHUmsxUFJG
+Vk1SU0FnVkhsd1pUMGlRVzVoYkc5bklFTm9iM0oxY3lJZ0lGQXdQU0l6WmpndwoJTURBd01DSWdJ
+RkF4UFNJelpUVmpNamhtT0NJZ0lGQXlQU0l6Wmpnd01EQXdNQ0lnSUZBelBTSXdJaUFnVURROUlq
+QWkKCUlDQlFOVDBpTTJZNE1EQXdNREFpSUNCUU5qMGlNQ0lnSUZBM1BTSXpaRGs1T1RrNU9TSWdJ
+RkE0UFNJd0lpQWdVRGs5CglJak5qWVROa056QmhJaUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFn
+VURFeVBTSXpaV1l3WVROa055SWdJRkF4TXowaQoJTTJReU0yUTNNR0VpSUNCUU1UUTlJak5tTlRR
+M1lXVXhJaUFnUVdOMGFYWmxQU0l6Wmpnd01EQXdNQ0lnSUVGamRHbDIKCVpWOURjM1J0WHpCZlBT
+SXpNeUlnSUVGamRHbDJaVjlEYzNSdFh6QmZNRmc5SWpBaUlDQkJZM1JwZG1WZlEzTjBiVjh3CglY
+ekJaUFNJd0lpQWdRV04wYVhabFgwTnpkRzFmTUY4eFdEMGlNMlk0TURBd01EQWlJQ0JCWTNScGRt
+VmZRM04wYlY4dwoJWHpGWlBTSXpaamd3TURBd01DSWdJRUZqZEdsMlpWOURjM1J0WHpCZlUxWXdQ
+U0l3SWlBZ1FXTjBhWFpsWDBOemRHMWYKCU1GOVRWakU5SWpObU9EQXdNREF3SWlBZ1FXTjBhWFps
+WDBOemRHMWZNRjlUVmpJOUlqTm1PREF3TURBd0lpQWdRV04wCglhWFpsWDBOemRHMWZNRjlUVmpN
+OUlqQWlJRDRLUEM5RlJrWk5UMFJWVEVVK0NpQThSVVpHVFU5RVZVeEZJQ0JVZVhCbAoJUFNKUVVr
+OHRWbVZ5WWlJZ0lGQXdQU0l6Wmpnd01EQXdNQ0lnSUZBeFBTSXpaakZqTWpobU5pSWdJRkF5UFNJ
+elpqRmgKCU9XTTNOeUlnSUZBeVgwTnpkRzFmTUY4OUlqSTJJaUFnVURKZlEzTjBiVjh3WHpCWVBT
+SXdJaUFnVURKZlEzTjBiVjh3CglYekJaUFNJelpURTVPVGs1WVNJZ0lGQXlYME56ZEcxZk1GOHhX
+RDBpTTJZd01EQXdNREFpSUNCUU1sOURjM1J0WHpCZgoJTVZrOUlqTm1NR1V4TkRkaUlpQWdVREpm
+UTNOMGJWOHdYekpZUFNJelpqZ3dNREF3TUNJZ0lGQXlYME56ZEcxZk1GOHkKCVdUMGlNMlk0TURB
+d01EQWlJQ0JRTXowaU1DSWdJRkEwUFNJelpqZ3dNREF3TUNJZ0lGQTFQU0l6Wmpnd01EQXdNQ0ln
+CglJRkEyUFNJelpHRXpaRGN3T1NJZ0lGQTNQU0l6WldWaU9EVXhaaUlnSUZBNFBTSXpaalJsTVRR
+M1lpSWdJRkE1UFNJegoJWmpRNFpqVmpNaUlnSUZBeE1EMGlNMll4WVdVeE5EZ2lJQ0JRTVRFOUlq
+TmxZV0k0TlRGbUlpQWdVREV5UFNJelpqZ3cKCU1EQXdNQ0lnSUZBeE1sOURjM1J0WHpCZlBTSXlP
+Q0lnSUZBeE1sOURjM1J0WHpCZk1GZzlJakFpSUNCUU1USmZRM04wCgliVjh3WHpCWlBTSXpaamd3
+TURBd01DSWdJRkF4TWw5RGMzUnRYekJmTVZnOUlqTm1PREF3TURBd0lpQWdVREV5WDBOegoJZEcx
+Zk1GOHhXVDBpTUNJZ0lGQXhNejBpTTJZNE1EQXdNREFpSUNCUU1UUTlJakFpSUNCQlkzUnBkbVU5
+SWpBaUlDQkIKCVkzUnBkbVZmUTNOMGJWOHdYejBpTXpNaUlDQkJZM1JwZG1WZlEzTjBiVjh3WHpC
+WVBTSXdJaUFnUVdOMGFYWmxYME56CglkRzFmTUY4d1dUMGlNQ0lnSUVGamRHbDJaVjlEYzNSdFh6
+QmZNVmc5SWpObU9EQXdNREF3SWlBZ1FXTjBhWFpsWDBOegoJZEcxZk1GOHhXVDBpTTJZNE1EQXdN
+REFpSUNCQlkzUnBkbVZmUTNOMGJWOHdYMU5XTUQwaU1DSWdJRUZqZEdsMlpWOUQKCWMzUnRYekJm
+VTFZeFBTSXpaamd3TURBd01DSWdJRUZqZEdsMlpWOURjM1J0WHpCZlUxWXlQU0l3SWlBZ1FXTjBh
+WFpsCglYME56ZEcxZk1GOVRWak05SWpBaUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlF
+VlV4RklDQlVlWEJsUFNKVAoJY0hKcGJtY2dWbVZ5WWlJZ0lGQXdQU0l6Wmpnd01EQXdNQ0lnSUZB
+eFBTSXpaalUxTmpSa09DSWdJRkF4WDBOemRHMWYKCU1GODlJakkySWlBZ1VERmZRM04wYlY4d1h6
+QllQU0l3SWlBZ1VERmZRM04wYlY4d1h6QlpQU0l6WldOaVl6WmhPQ0lnCglJRkF4WDBOemRHMWZN
+Rjh4V0QwaU0yWXdNREF3TURBaUlDQlFNVjlEYzNSdFh6QmZNVms5SWpObU5UQXlNR00xSWlBZwoJ
+VURGZlEzTjBiVjh3WHpKWVBTSXpaamd3TURBd01DSWdJRkF4WDBOemRHMWZNRjh5V1QwaU0yWTRN
+REF3TURBaUlDQlEKCU1qMGlNMll3TURBd01EQWlJQ0JRTXowaU0yWXdNREF3TURBaUlDQlFNMTlE
+YzNSdFh6QmZQU0l5T0NJZ0lGQXpYME56CglkRzFmTUY4d1dEMGlNQ0lnSUZBelgwTnpkRzFmTUY4
+d1dUMGlNMll3TURBd01EQWlJQ0JRTTE5RGMzUnRYekJmTVZnOQoJSWpObU9EQXdNREF3SWlBZ1VE
+TmZRM04wYlY4d1h6RlpQU0l3SWlBZ1VEUTlJak5rWTJOalkyTmtJaUFnVURVOUlqTm0KCU5ERTBO
+MkZrSWlBZ1VEWTlJakFpSUNCUU56MGlNMll5WWpnMU1XUWlJQ0JRT0QwaU0yWTRNREF3TURBaUlD
+QlFPVDBpCglNMlZoTTJRM01HRWlJQ0JRTVRBOUlqTmxNV1ZpT0RVeUlpQWdVREV4UFNJd0lpQWdV
+REV5UFNJelpXUXhaV0k0TmlJZwoJSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGamRHbDJaVDBp
+TTJZNE1EQXdNREFpSUNCQlkzUnBkbVZmUTNOMGJWOHcKCVh6MGlNek1pSUNCQlkzUnBkbVZmUTNO
+MGJWOHdYekJZUFNJd0lpQWdRV04wYVhabFgwTnpkRzFmTUY4d1dUMGlNQ0lnCglJRUZqZEdsMlpW
+OURjM1J0WHpCZk1WZzlJak5tT0RBd01EQXdJaUFnUVdOMGFYWmxYME56ZEcxZk1GOHhXVDBpTTJZ
+NAoJTURBd01EQWlJQ0JCWTNScGRtVmZRM04wYlY4d1gxTldNRDBpTUNJZ0lFRmpkR2wyWlY5RGMz
+UnRYekJmVTFZeFBTSXcKCUlpQWdRV04wYVhabFgwTnpkRzFmTUY5VFZqSTlJak5tT0RBd01EQXdJ
+aUFnUVdOMGFYWmxYME56ZEcxZk1GOVRWak05CglJakFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4
+TDBGVldFVkdSbEpCUTBzK0NpQThURVpQWDFORlZDQStDanhNUms4ZwoJSUhSNWNHVTlJak5sTUdZ
+MVl6STVJaUFnWTJWdWRHVnlQU0l6WmpBd01EQXdNQ0lnSUhOM2FXNW5QU0l6WmpNNU9UazUKCVlT
+SWdJSE4zYVc1blgwTnpkRzFmTUY4OUlqSWlJQ0J6ZDJsdVoxOURjM1J0WHpCZk1GZzlJakFpSUNC
+emQybHVaMTlECgljM1J0WHpCZk1GazlJakFpSUNCemQybHVaMTlEYzNSdFh6QmZNVmc5SWpObU9E
+QXdNREF3SWlBZ2MzZHBibWRmUTNOMAoJYlY4d1h6RlpQU0l6Wmpnd01EQXdNQ0lnSUhKaGRHVTlJ
+ak5sT1dZMU5UbGpJaUFnY21GMFpWOURjM1J0WHpCZlBTSXoKCU55SWdJSEpoZEdWZlEzTjBiVjh3
+WHpCWVBTSXdJaUFnY21GMFpWOURjM1J0WHpCZk1GazlJak5sTkdOalkyTmtJaUFnCgljbUYwWlY5
+RGMzUnRYekJmTVZnOUlqTm1NREF3TURBd0lpQWdjbUYwWlY5RGMzUnRYekJmTVZrOUlqTmxZV1E1
+TVRZNAoJSWlBZ2NtRjBaVjlEYzNSdFh6QmZNbGc5SWpObU9EQXdNREF3SWlBZ2NtRjBaVjlEYzNS
+dFh6QmZNbGs5SWpObU1XTXkKCU9HWTJJaUFnY201a2RISTlJak5tT0RBd01EQXdJaUFnY21GdVpI
+Sm5QU0l3SWlBZ2NtRnVaSEpsZGowaU0yWTRNREF3CglNREFpSUNCd2RXeHpaVzFwZUQwaU1DSWdJ
+SEIxYkhObGNtRjBaVDBpTUNJZ0lITmpZV3hsUFNJd0lpQWdjM2x1WXowaQoJTUNJZ0lISmxjMlYw
+ZEhJOUlqQWlJQ0JsYm5aa2NIUm9QU0l3SWlBZ1luQnZiR0Z5UFNJelpqZ3dNREF3TUNJZ0lIQm8K
+CVlYTmxQU0l3SWlBZ2RXNXBaR2x5UFNJelpqZ3dNREF3TUNJZ1BnbzhMMHhHVHo0S0lEeE1Sazhn
+SUhSNWNHVTlJak5rCglOelZqTWpobUlpQWdZMlZ1ZEdWeVBTSXpaakF3TURBd01DSWdJSE4zYVc1
+blBTSXpaak01T1RrNVlTSWdJSE4zYVc1bgoJWDBOemRHMWZNRjg5SWpJaUlDQnpkMmx1WjE5RGMz
+UnRYekJmTUZnOUlqQWlJQ0J6ZDJsdVoxOURjM1J0WHpCZk1GazkKCUlqQWlJQ0J6ZDJsdVoxOURj
+M1J0WHpCZk1WZzlJak5tT0RBd01EQXdJaUFnYzNkcGJtZGZRM04wYlY4d1h6RlpQU0l6Cglaamd3
+TURBd01DSWdJSEpoZEdVOUlqTmxPV1kxTlRsaklpQWdjbUYwWlY5RGMzUnRYekJmUFNJek55SWdJ
+SEpoZEdWZgoJUTNOMGJWOHdYekJZUFNJd0lpQWdjbUYwWlY5RGMzUnRYekJmTUZrOUlqTmxOR05q
+WTJOa0lpQWdjbUYwWlY5RGMzUnQKCVh6QmZNVmc5SWpObU1EQXdNREF3SWlBZ2NtRjBaVjlEYzNS
+dFh6QmZNVms5SWpObFlXUTVNVFk0SWlBZ2NtRjBaVjlECgljM1J0WHpCZk1sZzlJak5tT0RBd01E
+QXdJaUFnY21GMFpWOURjM1J0WHpCZk1sazlJak5tTVdNeU9HWTJJaUFnY201awoJZEhJOUlqTm1P
+REF3TURBd0lpQWdjbUZ1WkhKblBTSXdJaUFnY21GdVpISmxkajBpTTJZNE1EQXdNREFpSUNCd2RX
+eHoKCVpXMXBlRDBpTUNJZ0lIQjFiSE5sY21GMFpUMGlNQ0lnSUhOallXeGxQU0l3SWlBZ2MzbHVZ
+ejBpTUNJZ0lISmxjMlYwCglkSEk5SWpBaUlDQmxiblprY0hSb1BTSXdJaUFnWW5CdmJHRnlQU0l6
+Wmpnd01EQXdNQ0lnSUhCb1lYTmxQU0l3SWlBZwoJZFc1cFpHbHlQU0l3SWlBK0Nqd3ZURVpQUGdv
+Z1BFeEdUeUFnZEhsd1pUMGlNQ0lnSUdObGJuUmxjajBpTTJZd01EQXcKCU1EQWlJQ0J6ZDJsdVp6
+MGlNMlk0TURBd01EQWlJQ0J5WVhSbFBTSXpaVE16TXpNek15SWdJSEp1WkhSeVBTSXpaamd3CglN
+REF3TUNJZ0lISmhibVJ5WnowaU1DSWdJSEpoYm1SeVpYWTlJak5tT0RBd01EQXdJaUFnY0hWc2My
+VnRhWGc5SWpBaQoJSUNCd2RXeHpaWEpoZEdVOUlqQWlJQ0J6WTJGc1pUMGlNQ0lnSUhONWJtTTlJ
+akFpSUNCeVpYTmxkSFJ5UFNJd0lpQWcKCVpXNTJaSEIwYUQwaU1DSWdJR0p3YjJ4aGNqMGlNMlk0
+TURBd01EQWlJQ0J3YUdGelpUMGlNQ0lnSUhWdWFXUnBjajBpCglNQ0lnUGdvOEwweEdUejRLSUR4
+TVJrOGdJSFI1Y0dVOUlqQWlJQ0JqWlc1MFpYSTlJak5tTURBd01EQXdJaUFnYzNkcAoJYm1jOUlq
+Tm1PREF3TURBd0lpQWdjbUYwWlQwaU0yVXlNMlEzTUdFaUlDQnlibVIwY2owaU0yWTRNREF3TURB
+aUlDQnkKCVlXNWtjbWM5SWpBaUlDQnlZVzVrY21WMlBTSXpaamd3TURBd01DSWdJSEIxYkhObGJX
+bDRQU0l3SWlBZ2NIVnNjMlZ5CglZWFJsUFNJd0lpQWdjMk5oYkdVOUlqQWlJQ0J6ZVc1alBTSXdJ
+aUFnY21WelpYUjBjajBpTUNJZ0lHVnVkbVJ3ZEdnOQoJSWpBaUlDQmljRzlzWVhJOUlqTm1PREF3
+TURBd0lpQWdjR2hoYzJVOUlqQWlJQ0IxYm1sa2FYSTlJakFpSUQ0S1BDOU0KCVJrOCtDaUE4VEVa
+UElDQjBlWEJsUFNJd0lpQWdZMlZ1ZEdWeVBTSXpaakF3TURBd01DSWdJSE4zYVc1blBTSXpaamd3
+CglNREF3TUNJZ0lISmhkR1U5SWpObE1qTmtOekJoSWlBZ2NtNWtkSEk5SWpObU9EQXdNREF3SWlB
+Z2NtRnVaSEpuUFNJdwoJSWlBZ2NtRnVaSEpsZGowaU0yWTRNREF3TURBaUlDQndkV3h6WlcxcGVE
+MGlNQ0lnSUhCMWJITmxjbUYwWlQwaU1DSWcKCUlITmpZV3hsUFNJd0lpQWdjM2x1WXowaU1DSWdJ
+SEpsYzJWMGRISTlJakFpSUNCbGJuWmtjSFJvUFNJd0lpQWdZbkJ2CgliR0Z5UFNJelpqZ3dNREF3
+TUNJZ0lIQm9ZWE5sUFNJd0lpQWdkVzVwWkdseVBTSXdJaUErQ2p3dlRFWlBQZ29nUEV4RwoJVHlB
+Z2RIbHdaVDBpTUNJZ0lHTmxiblJsY2owaU0yWXdNREF3TURBaUlDQnpkMmx1WnowaU0yWTRNREF3
+TURBaUlDQnkKCVlYUmxQU0l6WlRJelpEY3dZU0lnSUhKdVpIUnlQU0l6Wmpnd01EQXdNQ0lnSUhK
+aGJtUnlaejBpTUNJZ0lISmhibVJ5CglaWFk5SWpObU9EQXdNREF3SWlBZ2NIVnNjMlZ0YVhnOUlq
+QWlJQ0J3ZFd4elpYSmhkR1U5SWpBaUlDQnpZMkZzWlQwaQoJTUNJZ0lITjVibU05SWpBaUlDQnla
+WE5sZEhSeVBTSXdJaUFnWlc1MlpIQjBhRDBpTUNJZ0lHSndiMnhoY2owaU0yWTQKCU1EQXdNREFp
+SUNCd2FHRnpaVDBpTUNJZ0lIVnVhV1JwY2owaU1DSWdQZ284TDB4R1R6NEtJRHhNUms4Z0lIUjVj
+R1U5CglJakFpSUNCalpXNTBaWEk5SWpObU1EQXdNREF3SWlBZ2MzZHBibWM5SWpObU9EQXdNREF3
+SWlBZ2NtRjBaVDBpTTJVeQoJTTJRM01HRWlJQ0J5Ym1SMGNqMGlNMlk0TURBd01EQWlJQ0J5WVc1
+a2NtYzlJakFpSUNCeVlXNWtjbVYyUFNJelpqZ3cKCU1EQXdNQ0lnSUhCMWJITmxiV2w0UFNJd0lp
+QWdjSFZzYzJWeVlYUmxQU0l3SWlBZ2MyTmhiR1U5SWpBaUlDQnplVzVqCglQU0l3SWlBZ2NtVnpa
+WFIwY2owaU1DSWdJR1Z1ZG1Sd2RHZzlJakFpSUNCaWNHOXNZWEk5SWpObU9EQXdNREF3SWlBZwoJ
+Y0doaGMyVTlJakFpSUNCMWJtbGthWEk5SWpBaUlENEtQQzlNUms4K0NpQThURVpQSUNCMGVYQmxQ
+U0l3SWlBZ1kyVnUKCWRHVnlQU0l6WmpBd01EQXdNQ0lnSUhOM2FXNW5QU0l6Wmpnd01EQXdNQ0ln
+SUhKaGRHVTlJak5sTWpOa056QmhJaUFnCgljbTVrZEhJOUlqTm1PREF3TURBd0lpQWdjbUZ1WkhK
+blBTSXdJaUFnY21GdVpISmxkajBpTTJZNE1EQXdNREFpSUNCdwoJZFd4elpXMXBlRDBpTUNJZ0lI
+QjFiSE5sY21GMFpUMGlNQ0lnSUhOallXeGxQU0l3SWlBZ2MzbHVZejBpTUNJZ0lISmwKCWMyVjBk
+SEk5SWpBaUlDQmxiblprY0hSb1BTSXdJaUFnWW5CdmJHRnlQU0l6Wmpnd01EQXdNQ0lnSUhCb1lY
+TmxQU0l3CglJaUFnZFc1cFpHbHlQU0l3SWlBK0Nqd3ZURVpQUGdvZ1BDOU1SazlmVTBWVVBnb2dQ
+RTFQUkVWT1ZpQWdZejBpT1NJZwoJSUhCaGJqMGlNQ0lnSUhwdmIyMDlJak5sWW1ZM1pHSmtJaUEr
+Q2p4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqQWkKCUlDQnpQU0l4TVNJZ0lHTTlJak5tT0RB
+d01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaakkzTnpJMU1DSWdJSFE5CglJak5pTWpOa056
+QXdJaUFnY3owaU1URWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJW
+aAoJTVRBeE9UZ2lJQ0IwUFNJelltRXpaRGN3TUNJZ0lITTlJakV4SWlBZ1l6MGlNMll4T0dZMFlt
+SWlJRDRLUEM5d1Bnb2cKCVBIQWdJR3c5SWpBaUlDQjBQU0l6WW1ZMVl6STROQ0lnSUhNOUlqRXhJ
+aUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3CglQZ29nUEhBZ0lHdzlJak5sTWpFd01UbGpJaUFn
+ZEQwaU0yTXlNMlEzTURRaUlDQnpQU0l4TVNJZ0lHTTlJak5tT0RBdwoJTURBd0lpQStDand2Y0Q0
+S0lEeHdJQ0JzUFNJelpXTTBObVEzWXlJZ0lIUTlJak5qTkdOalkyTTJJaUFnY3owaU1URWkKCUlD
+QmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMll5TWpsa1l6Y2lJQ0IwUFNJ
+ell6YzFZekk0CglPQ0lnSUhNOUlqRXhJaUFnWXowaU0yWXhPR1kwWW1JaUlENEtQQzl3UGdvZ1BI
+QWdJR3c5SWpObU5UWXlNelpqSWlBZwoJZEQwaU0yTTRaalZqTWpZaUlDQnpQU0l4TVNJZ0lHTTlJ
+ak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXoKCVpqZ3dNREF3TUNJZ0lIUTlJak5q
+WVROa056QTJJaUFnY3owaU1UUWlJQ0JqUFNJelpXSXhNV0kxWlNJZ1BnbzhMM0ErCglDaUE4Y0NB
+Z2JEMGlNQ0lnSUhROUlqTmpZVGt4Tm1FMklpQWdjejBpTVRRaUlDQmpQU0l6WldJeE1XSTFaU0ln
+UGdvOAoJTDNBK0NpQThMMDFQUkVWT1ZqNEtJRHhOVDBSRlRsWWdJR005SWpraUlDQndZVzQ5SWpB
+aUlDQjZiMjl0UFNJelpXSm0KCU4yUmlaQ0lnUGdvOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBT
+SXdJaUFnY3owaU1URWlJQ0JqUFNJelpqZ3dNREF3CglNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlN
+Mll5TnpjeU5UQWlJQ0IwUFNJellqSXpaRGN3TUNJZ0lITTlJakV4SWlBZwoJWXowaU0yWTRNREF3
+TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObFlURXdNVGs0SWlBZ2REMGlNMkpoTTJRM01EQWkK
+CUlDQnpQU0l4TVNJZ0lHTTlJak5tTVRobU5HSmlJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXdJaUFn
+ZEQwaU0ySm1OV015CglPRFFpSUNCelBTSXhNU0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0
+S0lEeHdJQ0JzUFNJelpUSXhNREU1WXlJZwoJSUhROUlqTmpNak5rTnpBMElpQWdjejBpTVRFaUlD
+QmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGkKCU0yVmpORFprTjJNaUlDQjBQ
+U0l6WXpSalkyTmpOaUlnSUhNOUlqRXhJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3CglQZ29n
+UEhBZ0lHdzlJak5tTWpJNVpHTTNJaUFnZEQwaU0yTTNOV015T0RnaUlDQnpQU0l4TVNJZ0lHTTlJ
+ak5tTVRobQoJTkdKaUlpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqVTJNak0yWXlJZ0lIUTlJak5q
+T0dZMVl6STJJaUFnY3owaU1URWkKCUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NB
+Z2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelkyRXpaRGN3CglOaUlnSUhNOUlqRTBJaUFnWXowaU0y
+VmlNVEZpTldVaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpBaUlDQjBQU0l6WTJFNQoJTVRaaE5pSWdJ
+SE05SWpnNU9URXdOREU1TWlJZ0lHTTlJakFpSUQ0S1BDOXdQZ29nUEM5TlQwUkZUbFkrQ2lBOFRV
+OUUKCVJVNVdJQ0JqUFNJNUlpQWdjR0Z1UFNJd0lpQWdlbTl2YlQwaU0yVmlaamRrWW1RaUlENEtQ
+SEFnSUd3OUlqTm1PREF3CglNREF3SWlBZ2REMGlNQ0lnSUhNOUlqRXhJaUFnWXowaU0yWTRNREF3
+TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObQoJTWpjM01qVXdJaUFnZEQwaU0ySXlNMlEzTURB
+aUlDQnpQU0l4TVNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEsKCUlEeHdJQ0JzUFNJelpX
+RXhNREU1T0NJZ0lIUTlJak5pWVROa056QXdJaUFnY3owaU1URWlJQ0JqUFNJelpqRTRaalJpCglZ
+aUlnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNQ0lnSUhROUlqTmlaalZqTWpnMElpQWdjejBpTVRFaUlD
+QmpQU0l6WmpndwoJTURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yVXlNVEF4T1dNaUlDQjBQ
+U0l6WXpJelpEY3dOQ0lnSUhNOUlqRXgKCUlpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29n
+UEhBZ0lHdzlJak5sWXpRMlpEZGpJaUFnZEQwaU0yTTBZMk5qCglZellpSUNCelBTSXhNU0lnSUdN
+OUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqSXlPV1JqTnlJZwoJSUhROUlq
+TmpOelZqTWpnNElpQWdjejBpTVRFaUlDQmpQU0l6WmpFNFpqUmlZaUlnUGdvOEwzQStDaUE4Y0NB
+Z2JEMGkKCU0yWTFOakl6Tm1NaUlDQjBQU0l6WXpobU5XTXlOaUlnSUhNOUlqRXhJaUFnWXowaU0y
+WTRNREF3TURBaUlENEtQQzl3CglQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yTmhN
+MlEzTURZaUlDQnpQU0l4TkNJZ0lHTTlJak5sWWpFeAoJWWpWbElpQStDand2Y0Q0S0lEeHdJQ0Jz
+UFNJd0lpQWdkRDBpTTJOaE9URTJZVFlpSUNCelBTSTRPVGczTmpNM09USWkKCUlDQmpQU0l6TlRs
+aE1qSTNNQ0lnUGdvOEwzQStDaUE4TDAxUFJFVk9WajRLSUR4TlQwUkZUbFlnSUdNOUlqa2lJQ0J3
+CglZVzQ5SWpBaUlDQjZiMjl0UFNJelpXSm1OMlJpWkNJZ1BnbzhjQ0FnYkQwaU0yWTRNREF3TURB
+aUlDQjBQU0l3SWlBZwoJY3owaU1URWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGND
+QWdiRDBpTTJZeU56Y3lOVEFpSUNCMFBTSXoKCVlqSXpaRGN3TUNJZ0lITTlJakV4SWlBZ1l6MGlN
+Mlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTmxZVEV3CglNVGs0SWlBZ2REMGlNMkpo
+TTJRM01EQWlJQ0J6UFNJeE1TSWdJR005SWpObU1UaG1OR0ppSWlBK0Nqd3ZjRDRLSUR4dwoJSUNC
+c1BTSXdJaUFnZEQwaU0ySm1OV015T0RRaUlDQnpQU0l4TVNJZ0lHTTlJak5tT0RBd01EQXdJaUEr
+Q2p3dmNENEsKCUlEeHdJQ0JzUFNJelpUSXhNREU1WXlJZ0lIUTlJak5qTWpOa056QTBJaUFnY3ow
+aU1URWlJQ0JqUFNJelpqZ3dNREF3CglNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlZqTkRaa04y
+TWlJQ0IwUFNJell6UmpZMk5qTmlJZ0lITTlJakV4SWlBZwoJWXowaU0yWTRNREF3TURBaUlENEtQ
+Qzl3UGdvZ1BIQWdJR3c5SWpObU1qSTVaR00zSWlBZ2REMGlNMk0zTldNeU9EZ2kKCUlDQnpQU0l4
+TVNJZ0lHTTlJak5tTVRobU5HSmlJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaalUyTWpNMll5SWdJ
+SFE5CglJak5qT0dZMVl6STJJaUFnY3owaU1URWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0Er
+Q2lBOGNDQWdiRDBpTTJZNAoJTURBd01EQWlJQ0IwUFNJelkyRXpaRGN3TmlJZ0lITTlJakUwSWlB
+Z1l6MGlNMlZpTVRGaU5XVWlJRDRLUEM5d1Bnb2cKCVBIQWdJR3c5SWpBaUlDQjBQU0l6WTJFNU1U
+WmhOaUlnSUhNOUlqUTVPQ0lnSUdNOUlqQWlJRDRLUEM5d1Bnb2dQQzlOCglUMFJGVGxZK0NpQThU
+VTlFUlU1V0lDQmpQU0k0SWlBZ2NHRnVQU0l3SWlBZ2VtOXZiVDBpTUNJZ1BnbzhjQ0FnYkQwaQoJ
+TTJZNE1EQXdNREFpSUNCMFBTSXdJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3Zj
+RDRLSUR4d0lDQnMKCVBTSXpaamd3TURBd01DSWdJSFE5SWpOak1qTmtOekJoSWlBZ2N6MGlNQ0ln
+SUdNOUlqTm1PREF3TURBd0lpQStDand2CgljRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhR
+OUlqTmpZVE5rTnpCaElpQWdjejBpTUNJZ0lHTTlJak5tT0RBdwoJTURBd0lpQStDand2Y0Q0S0lE
+eHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5qWmpWak1qaG1JaUFnY3owaU1DSWcKCUlHTTlJ
+ak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpOa01q
+TmtOekJoCglJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQ
+U0l6Wmpnd01EQXdNQ0lnSUhROQoJSWpOa05HTmpZMk5qSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3
+TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3cKCU1EQXdNQ0lnSUhROUlqTmtOelZqTWpo
+bUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3CglJQ0JzUFNJelpq
+Z3dNREF3TUNJZ0lIUTlJak5rT0dZMVl6STVJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlB
+KwoJQ2p3dmNENEtJRHh3SUNCc1BTSXdJaUFnZEQwaU0yUmhNMlEzTUdFaUlDQnpQU0l3SWlBZ1l6
+MGlNMlk0TURBd01EQWkKCUlENEtQQzl3UGdvZ1BDOU5UMFJGVGxZK0NpQThUVTlFUlU1V0lDQmpQ
+U0k0SWlBZ2NHRnVQU0l3SWlBZ2VtOXZiVDBpCglNQ0lnUGdvOGNDQWdiRDBpTTJZNE1EQXdNREFp
+SUNCMFBTSXdJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBKwoJQ2p3dmNENEtJRHh3SUNC
+c1BTSXpaamd3TURBd01DSWdJSFE5SWpOak1qTmtOekJoSWlBZ2N6MGlNQ0lnSUdNOUlqTm0KCU9E
+QXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmpZVE5rTnpC
+aElpQWdjejBpCglNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpq
+Z3dNREF3TUNJZ0lIUTlJak5qWmpWagoJTWpobUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJ
+aUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWcKCUlIUTlJak5rTWpOa056QmhJaUFn
+Y3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Cglaamd3TURB
+d01DSWdJSFE5SWpOa05HTmpZMk5qSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2
+Y0Q0SwoJSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmtOelZqTWpobUlpQWdjejBpTUNJ
+Z0lHTTlJak5tT0RBd01EQXcKCUlpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lI
+UTlJak5rT0dZMVl6STVJaUFnY3owaU1DSWdJR005CglJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJ
+RHh3SUNCc1BTSXdJaUFnZEQwaU0yUmhNMlEzTUdFaUlDQnpQU0l3SWlBZwoJWXowaU0yWTRNREF3
+TURBaUlENEtQQzl3UGdvZ1BDOU5UMFJGVGxZK0NpQThUVTlFUlU1V1VFRlNRVTFUSUNCaFBTSXcK
+CUlpQWdhRDBpTUNJZ0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlJsTkdZNU1qY2lJQ0Jv
+YjJ4a1BTSXpaR1UwCglaamt5TnlJZ0lHUmxZM2s5SWpOa1pUUm1PVEkzSWlBZ2MzVnpkRDBpTTJZ
+NE1EQXdNREFpSUNCeVpXeHpQU0l6WkRZMwoJWkRRMk5pSWdJSE50Y0QwaU1DSWdJR3h3UFNJelpq
+Z3dNREF3TUNJZ0lITjVibU05SWpObU9EQXdNREF3SWlBZ2MzQmsKCVBTSXpaakF3TURBd01DSWdJ
+SFJ5WjAxa1BTSXpZMkV6WkRjd1lTSWdJSFpsYkhObGJuTTlJak5tT0RBd01EQXdJaUFnCgliV2Rz
+ZG14elBTSXpaakF3TURBd01DSWdJRzFuWTNKMmN6MGlNMll3TURBd01EQWlJQ0JrY0hROUlqTm1P
+REF3TURBdwoJSWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5TlQwUkZUbFpR
+UVZKQlRWTStDaUE4VFU5RVgwVk8KCVZqSmZNaUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlB
+Z2NqMGlNQ0lnSUdGMGRHczlJak5rWlRSbU9USTNJaUFnCglhRzlzWkQwaU0yUmxOR1k1TWpjaUlD
+QmtaV041UFNJelpHVTBaamt5TnlJZ0lITjFjM1E5SWpObU9EQXdNREF3SWlBZwoJY21Wc2N6MGlN
+MlEyTjJRME5qWWlJQ0J6YlhBOUlqQWlJQ0JzY0QwaU0yWTRNREF3TURBaUlDQnplVzVqUFNJelpq
+Z3cKCU1EQXdNQ0lnSUhOd1pEMGlNMll3TURBd01EQWlJQ0IwY21kTlpEMGlNMk5oTTJRM01HRWlJ
+Q0IyWld4elpXNXpQU0l6Cglaamd3TURBd01DSWdJRzFuYkhac2N6MGlNMll3TURBd01EQWlJQ0J0
+WjJOeWRuTTlJak5tTURBd01EQXdJaUFnWkhCMAoJUFNJelpqZ3dNREF3TUNJZ0lHTm9jMVJ5Wnow
+aU1DSWdJR0YwWTJoelBTSXdJaUErQ2p3dlRVOUVYMFZPVmpKZk1qNEsKCUlEeE5UMFJmUlU1V01s
+OHlJQ0JoUFNJd0lpQWdhRDBpTUNJZ0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlJsCglO
+R1k1TWpjaUlDQm9iMnhrUFNJelpHVTBaamt5TnlJZ0lHUmxZM2s5SWpOa1pUUm1PVEkzSWlBZ2Mz
+VnpkRDBpTTJZNAoJTURBd01EQWlJQ0J5Wld4elBTSXpaRFkzWkRRMk5pSWdJSE50Y0QwaU1DSWdJ
+R3h3UFNJelpqZ3dNREF3TUNJZ0lITjUKCWJtTTlJak5tT0RBd01EQXdJaUFnYzNCa1BTSXpaakF3
+TURBd01DSWdJSFJ5WjAxa1BTSXpZMkV6WkRjd1lTSWdJSFpsCgliSE5sYm5NOUlqTm1PREF3TURB
+d0lpQWdiV2RzZG14elBTSXpaakF3TURBd01DSWdJRzFuWTNKMmN6MGlNMll3TURBdwoJTURBaUlD
+QmtjSFE5SWpObU9EQXdNREF3SWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5
+TlQwUmYKCVJVNVdNbDh5UGdvZ1BFMVBSRjlGVGxZeVh6SWdJR0U5SWpBaUlDQm9QU0l3SWlBZ1pE
+MGlNQ0lnSUhJOUlqQWlJQ0JoCglkSFJyUFNJelpHVTBaamt5TnlJZ0lHaHZiR1E5SWpOa1pUUm1P
+VEkzSWlBZ1pHVmplVDBpTTJSbE5HWTVNamNpSUNCegoJZFhOMFBTSXpaamd3TURBd01DSWdJSEps
+YkhNOUlqTmtOamRrTkRZMklpQWdjMjF3UFNJd0lpQWdiSEE5SWpObU9EQXcKCU1EQXdJaUFnYzNs
+dVl6MGlNMlk0TURBd01EQWlJQ0J6Y0dROUlqTm1NREF3TURBd0lpQWdkSEpuVFdROUlqTmpZVE5r
+CglOekJoSWlBZ2RtVnNjMlZ1Y3owaU0yWTRNREF3TURBaUlDQnRaMngyYkhNOUlqTm1NREF3TURB
+d0lpQWdiV2RqY25aegoJUFNJelpqQXdNREF3TUNJZ0lHUndkRDBpTTJZNE1EQXdNREFpSUNCamFI
+TlVjbWM5SWpBaUlDQmhkR05vY3owaU1DSWcKCVBnbzhMMDFQUkY5RlRsWXlYekkrQ2lBOFRVOUVY
+MFZPVmpKZk1pQWdZVDBpTUNJZ0lHZzlJakFpSUNCa1BTSXdJaUFnCgljajBpTUNJZ0lHRjBkR3M5
+SWpObE5qUm1PVEpsSWlBZ2FHOXNaRDBpTTJVMk5HWTVNbVVpSUNCa1pXTjVQU0l6WlRZMAoJWmpr
+eVppSWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TW1RaUlDQnpiWEE5
+SWpBaUlDQnMKCWNEMGlNQ0lnSUhONWJtTTlJbUk0WWpoaU9XSTVJaUFnYzNCa1BTSXpaakF3TURB
+d01DSWdJSFJ5WjAxa1BTSmlPR0k0CglZamhpT0NJZ0lIWmxiSE5sYm5NOUltSTRZamhpT1dJNUlp
+QWdiV2RzZG14elBTSXdJaUFnYldkamNuWnpQU0l3SWlBZwoJWkhCMFBTSXdJaUFnWTJoelZISm5Q
+U0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOVDBSZlJVNVdNbDh5UGdvZ1BFMVAKCVJGOUZUbFl5
+WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJelpUWTBa
+amt5CglaU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6
+ZFhOMFBTSXpaamd3TURBdwoJTUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlB
+Z2JIQTlJbUkyWWpaaU4ySTNJaUFnYzNsdVl6MGkKCVlqTmlNMkl6WWpNaUlDQnpjR1E5SWpObU1E
+QXdNREF3SWlBZ2RISm5UV1E5SW1JMFlqVmlOV0kxSWlBZ2RtVnNjMlZ1CgljejBpWWpOaU0ySXpZ
+ak1pSUNCdFoyeDJiSE05SWpBaUlDQnRaMk55ZG5NOUlqQWlJQ0JrY0hROUltSTBZalJpTkdJMAoJ
+SWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5TlQwUmZSVTVXTWw4eVBnb2dQ
+RU4xYzNSdmJVUmgKCWRHRXlJRDRLUEVOMWMzUnZiVEFnSUV4aFltVnNQU0pFYVhKbFkzUWlJQ0JM
+YVc1a1BTSTNJaUFnVUdGblpUMGlNQ0lnCglJRVJNZVhJOUlqRWlJQ0JRYjJ4aGNtbDBlVDBpTUNJ
+Z0lGQnlabFJoY2owaU1DSWdJRkJ2YzFnOUlqTTJJaUFnVUc5egoJV1QwaU5EUTJJaUFnYkdGaVQy
+Wm1QU0l0TWlJZ0lHUnBjMDQ5SWpFaUlDQjNhV1IwYUQwaU1UTXdJaUFnYzNSNWJHVTkKCUlqQWlJ
+Q0JzYzNvOUlqSWlJRDRLUEM5RGRYTjBiMjB3UGdvZ1BFTjFjM1J2YlRFZ0lFeGhZbVZzUFNKTlpX
+Tm9ZVzVwCglZMkZzSWlBZ1MybHVaRDBpTnlJZ0lGQmhaMlU5SWpBaUlDQkVUSGx5UFNJeElpQWdV
+RzlzWVhKcGRIazlJakFpSUNCUQoJY21aVVlYSTlJakFpSUNCUWIzTllQU0l4TkRNaUlDQlFiM05a
+UFNJME5EWWlJQ0JzWVdKUFptWTlJaTB5SWlBZ1pHbHoKCVRqMGlNU0lnSUhkcFpIUm9QU0l4TXpB
+aUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVEUrCglDaUE4UTNWemRH
+OXRNaUFnVEdGaVpXdzlJa1JsY0hSb0lpQWdTMmx1WkQwaU55SWdJRkJoWjJVOUlqQWlJQ0JFVEhs
+eQoJUFNJeElpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJeU5U
+QWlJQ0JRYjNOWlBTSTAKCU5EWWlJQ0JzWVdKUFptWTlJaTB5SWlBZ1pHbHpUajBpTVNJZ0lIZHBa
+SFJvUFNJeE16QWlJQ0J6ZEhsc1pUMGlNQ0lnCglJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVEkr
+Q2lBOFEzVnpkRzl0TXlBZ1RHRmlaV3c5SWtGMWRHOHRVR0Z1SWlBZwoJUzJsdVpEMGlOQ0lnSUZC
+aFoyVTlJakFpSUNCRVRIbHlQU0l4SWlBZ1VHOXNZWEpwZEhrOUlqQWlJQ0JRY21aVVlYSTkKCUlq
+QWlJQ0JRYjNOWVBTSXpOelFpSUNCUWIzTlpQU0kwTmpBaUlDQnNZV0pQWm1ZOUlqRXdJaUFnWkds
+elRqMGlNU0lnCglJSGRwWkhSb1BTSXhNekFpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJZ1Bn
+bzhMME4xYzNSdmJUTStDaUE4UTNWegoJZEc5dE5DQWdUR0ZpWld3OUlsWkZURThpSUNCTGFXNWtQ
+U0kySWlBZ1VHRm5aVDBpTVNJZ0lFUk1lWEk5SWpRaUlDQlEKCWIyeGhjbWwwZVQwaU1DSWdJRkJ5
+WmxSaGNqMGlNQ0lnSUZCdmMxZzlJall3TnlJZ0lGQnZjMWs5SWpVME1DSWdJR3hoCglZazltWmow
+aU1DSWdJR1JwYzA0OUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l3
+SWlBKwoJQ2p3dlEzVnpkRzl0TkQ0S0lEeERkWE4wYjIwMUlDQk1ZV0psYkQwaVVtVnNJRTV2YVhO
+bElpQWdTMmx1WkQwaU55SWcKCUlGQmhaMlU5SWpBaUlDQkVUSGx5UFNJeElpQWdVRzlzWVhKcGRI
+azlJakVpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZCglQU0kxTnpFaUlDQlFiM05aUFNJME5EWWlJ
+Q0JzWVdKUFptWTlJaTB5SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJeAoJTXpBaUlDQnpkSGxz
+WlQwaU1DSWdJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVFUrQ2lBOFEzVnpkRzl0TmlBZ1RHRmkK
+CVpXdzlJbEJsWkdGc0lFNXZhWE5sSWlBZ1MybHVaRDBpTnlJZ0lGQmhaMlU5SWpBaUlDQkVUSGx5
+UFNJeElpQWdVRzlzCglZWEpwZEhrOUlqRWlJQ0JRY21aVVlYSTlJakFpSUNCUWIzTllQU0kyTnpn
+aUlDQlFiM05aUFNJME5EWWlJQ0JzWVdKUAoJWm1ZOUlpMHlJaUFnWkdselRqMGlNU0lnSUhkcFpI
+Um9QU0l4TXpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWcKCVBnbzhMME4xYzNSdmJUWStD
+aUE4UTNWemRHOXROeUFnVEdGaVpXdzlJa1I1Ym1GdGFXTnpJaUFnUzJsdVpEMGlOeUlnCglJRkJo
+WjJVOUlqQWlJQ0JFVEhseVBTSXhJaUFnVUc5c1lYSnBkSGs5SWpFaUlDQlFjbVpVWVhJOUlqQWlJ
+Q0JRYjNOWQoJUFNJM09EVWlJQ0JRYjNOWlBTSTBORFlpSUNCc1lXSlBabVk5SWkweUlpQWdaR2x6
+VGowaU1TSWdJSGRwWkhSb1BTSXgKCU16QWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNaUlnUGdv
+OEwwTjFjM1J2YlRjK0NpQThRM1Z6ZEc5dE9DQWdUR0ZpCglaV3c5SWxCRlVrWlBVazFCVGtORklp
+QWdTMmx1WkQwaU5TSWdJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXlJaUFnVUc5cwoJWVhKcGRIazlJ
+akFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJMk1EWWlJQ0JRYjNOWlBTSTBNVFlpSUNCc1lX
+SlAKCVptWTlJakFpSUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpJeE5TSWdJSE4wZVd4bFBTSXdJ
+aUFnYkhONlBTSXpJaUErCglDand2UTNWemRHOXRPRDRLSUR4RGRYTjBiMjA1SUNCTVlXSmxiRDBp
+SWlBZ1MybHVaRDBpTkNJZ0lGQmhaMlU5SWpBaQoJSUNCRVRIbHlQU0l6SWlBZ1VHOXNZWEpwZEhr
+OUlqQWlJQ0JRY21aVVlYSTlJakFpSUNCUWIzTllQU0kyTUNJZ0lGQnYKCWMxazlJalV6T0NJZ0lH
+eGhZazltWmowaUxUUXdJaUFnWkdselRqMGlNU0lnSUhkcFpIUm9QU0kyT1NJZ0lITjBlV3hsCglQ
+U0l4SWlBZ2JITjZQU0l5SWlBK0Nqd3ZRM1Z6ZEc5dE9UNEtJRHhEZFhOMGIyMHhNQ0FnVEdGaVpX
+dzlJaUlnSUV0cAoJYm1ROUlqUWlJQ0JRWVdkbFBTSXdJaUFnUkV4NWNqMGlNeUlnSUZCdmJHRnlh
+WFI1UFNJd0lpQWdVSEptVkdGeVBTSXcKCUlpQWdVRzl6V0QwaU1UWTNJaUFnVUc5eldUMGlOVE00
+SWlBZ2JHRmlUMlptUFNJdE5EQWlJQ0JrYVhOT1BTSXhJaUFnCglkMmxrZEdnOUlqWTVJaUFnYzNS
+NWJHVTlJakVpSUNCc2MzbzlJaklpSUQ0S1BDOURkWE4wYjIweE1ENEtJRHhEZFhOMAoJYjIweE1T
+QWdUR0ZpWld3OUlrMUpXQ0lnSUV0cGJtUTlJalVpSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTWlJ
+Z0lGQnYKCWJHRnlhWFI1UFNJd0lpQWdVSEptVkdGeVBTSXdJaUFnVUc5eldEMGlOekVpSUNCUWIz
+TlpQU0kwTVRZaUlDQnNZV0pQCglabVk5SWpBaUlDQmthWE5PUFNJeElpQWdkMmxrZEdnOUlqRXdP
+Q0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l6SWlBKwoJQ2p3dlEzVnpkRzl0TVRFK0NpQThRM1Z6
+ZEc5dE1USWdJRXhoWW1Wc1BTSlVVa1ZOVDB4UElpQWdTMmx1WkQwaU5pSWcKCUlGQmhaMlU5SWpB
+aUlDQkVUSGx5UFNJeUlpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05Z
+CglQU0l5T0RVaUlDQlFiM05aUFNJME1UWWlJQ0JzWVdKUFptWTlJakFpSUNCa2FYTk9QU0l4SWlB
+Z2QybGtkR2c5SWpJeAoJTlNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeklpQStDand2UTNWemRH
+OXRNVEkrQ2lBOFEzVnpkRzl0TVRNZ0lFeGgKCVltVnNQU0lpSUNCTGFXNWtQU0l4TVNJZ0lGQmha
+MlU5SWpFaUlDQkVUSGx5UFNJeElpQWdVRzlzWVhKcGRIazlJakFpCglJQ0JRY21aVVlYSTlJakFp
+SUNCUWIzTllQU0kwTmpVaUlDQlFiM05aUFNJME5EUWlJQ0JzWVdKUFptWTlJaTB5SWlBZwoJWkds
+elRqMGlNU0lnSUhkcFpIUm9QU0kzTXlJZ0lITjBlV3hsUFNJeElpQWdiSE42UFNJd0lpQStDanhG
+VGxWTlEwaFAKCVNVTkZWRVZZVkNBZ1ZFVllWRDBpVDBaR0lpQStDand2UlU1VlRVTklUMGxEUlZS
+RldGUStDaUE4UlU1VlRVTklUMGxECglSVlJGV0ZRZ0lGUkZXRlE5SWsxSlRFUWlJRDRLUEM5RlRs
+Vk5RMGhQU1VORlZFVllWRDRLSUR4RlRsVk5RMGhQU1VORgoJVkVWWVZDQWdWRVZZVkQwaVRVVkVT
+VlZOSWlBK0Nqd3ZSVTVWVFVOSVQwbERSVlJGV0ZRK0NpQThSVTVWVFVOSVQwbEQKCVJWUkZXRlFn
+SUZSRldGUTlJbE5VVWs5T1J5SWdQZ284TDBWT1ZVMURTRTlKUTBWVVJWaFVQZ29nUEVWT1ZVMURT
+RTlKCglRMFZVUlZoVUlDQlVSVmhVUFNJaUlENEtQQzlGVGxWTlEwaFBTVU5GVkVWWVZENEtJRHhG
+VGxWTlEwaFBTVU5GVkVWWQoJVkNBZ1ZFVllWRDBpSWlBK0Nqd3ZSVTVWVFVOSVQwbERSVlJGV0ZR
+K0NpQThSVTVWVFVOSVQwbERSVlJGV0ZRZ0lGUkYKCVdGUTlJaUlnUGdvOEwwVk9WVTFEU0U5SlEw
+VlVSVmhVUGdvZ1BFVk9WVTFEU0U5SlEwVlVSVmhVSUNCVVJWaFVQU0lpCglJRDRLUEM5RlRsVk5R
+MGhQU1VORlZFVllWRDRLSUR3dlEzVnpkRzl0TVRNK0NpQThRM1Z6ZEc5dE1UUWdJRXhoWW1WcwoJ
+UFNKQ1lYTnpJaUFnUzJsdVpEMGlOeUlnSUZCaFoyVTlJakVpSUNCRVRIbHlQU0l4SWlBZ1VHOXNZ
+WEpwZEhrOUlqRWkKCUlDQlFjbVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXhORE1pSUNCUWIzTlpQU0kw
+TkRZaUlDQnNZV0pQWm1ZOUlpMHlJaUFnCglaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXhNekFpSUNC
+emRIbHNaVDBpTVNJZ0lHeHplajBpTWlJZ1BnbzhMME4xYzNSdgoJYlRFMFBnb2dQRU4xYzNSdmJU
+RTFJQ0JNWVdKbGJEMGlVRkpGUVUxUUlpQWdTMmx1WkQwaU5pSWdJRkJoWjJVOUlqRWkKCUlDQkVU
+SGx5UFNJeUlpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJM01T
+SWdJRkJ2CgljMWs5SWpReE5pSWdJR3hoWWs5bVpqMGlNQ0lnSUdScGMwNDlJakVpSUNCM2FXUjBh
+RDBpTXpJeUlpQWdjM1I1YkdVOQoJSWpBaUlDQnNjM285SWpNaUlENEtQQzlEZFhOMGIyMHhOVDRL
+SUR4RGRYTjBiMjB4TmlBZ1RHRmlaV3c5SWxSSlRVSlMKCVJTSWdJRXRwYm1ROUlqVWlJQ0JRWVdk
+bFBTSXhJaUFnUkV4NWNqMGlNaUlnSUZCdmJHRnlhWFI1UFNJd0lpQWdVSEptCglWR0Z5UFNJd0lp
+QWdVRzl6V0QwaU5qQTJJaUFnVUc5eldUMGlOREUySWlBZ2JHRmlUMlptUFNJd0lpQWdaR2x6VGow
+aQoJTVNJZ0lIZHBaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqTWlJRDRLUEM5RGRY
+TjBiMjB4Tmo0S0lEeEQKCWRYTjBiMjB4TnlBZ1RHRmlaV3c5SWtOdmJHOXlJRk5vYVdaMElpQWdT
+Mmx1WkQwaU55SWdJRkJoWjJVOUlqRWlJQ0JFCglUSGx5UFNJeElpQWdVRzlzWVhKcGRIazlJakVp
+SUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJMU56RWlJQ0JRYjNOWgoJUFNJME5EWWlJQ0JzWVdK
+UFptWTlJaTB5SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJeE16QWlJQ0J6ZEhsc1pUMGkKCU1T
+SWdJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVEUzUGdvZ1BFTjFjM1J2YlRFNElDQk1ZV0psYkQw
+aUlpQWdTMmx1CglaRDBpTVRFaUlDQlFZV2RsUFNJeElpQWdSRXg1Y2owaU1TSWdJRkJ2YkdGeWFY
+UjVQU0l3SWlBZ1VISm1WR0Z5UFNJdwoJSWlBZ1VHOXpXRDBpTkRFaUlDQlFiM05aUFNJME16Z2lJ
+Q0JzWVdKUFptWTlJaTB5SWlBZ1pHbHpUajBpTVNJZ0lIZHAKCVpIUm9QU0l4TURVaUlDQnpkSGxz
+WlQwaU15SWdJR3h6ZWowaU1DSWdQZ284UlU1VlRVTklUMGxEUlZSRldGUWdJRlJGCglXRlE5SWtO
+TVJVRk9JaUErQ2p3dlJVNVZUVU5JVDBsRFJWUkZXRlErQ2lBOFJVNVZUVU5JVDBsRFJWUkZXRlFn
+SUZSRgoJV0ZROUlsZEJVazBpSUQ0S1BDOUZUbFZOUTBoUFNVTkZWRVZZVkQ0S0lEeEZUbFZOUTBo
+UFNVTkZWRVZZVkNBZ1ZFVlkKCVZEMGlVME5QVDFBaUlENEtQQzlGVGxWTlEwaFBTVU5GVkVWWVZE
+NEtJRHhGVGxWTlEwaFBTVU5GVkVWWVZDQWdWRVZZCglWRDBpVFVsRVVrRk9SMFVpSUQ0S1BDOUZU
+bFZOUTBoUFNVTkZWRVZZVkQ0S0lEeEZUbFZOUTBoUFNVTkZWRVZZVkNBZwoJVkVWWVZEMGlRMUpW
+VGtOSUlpQStDand2UlU1VlRVTklUMGxEUlZSRldGUStDaUE4UlU1VlRVTklUMGxEUlZSRldGUWcK
+CUlGUkZXRlE5SWtKU1NWUkZJREVpSUQ0S1BDOUZUbFZOUTBoUFNVTkZWRVZZVkQ0S0lEeEZUbFZO
+UTBoUFNVTkZWRVZZCglWQ0FnVkVWWVZEMGlRbEpKVkVVZ01pSWdQZ284TDBWT1ZVMURTRTlKUTBW
+VVJWaFVQZ29nUEVWT1ZVMURTRTlKUTBWVQoJUlZoVUlDQlVSVmhVUFNKQ1VrbFVSU0F6SWlBK0Nq
+d3ZSVTVWVFVOSVQwbERSVlJGV0ZRK0NpQThMME4xYzNSdmJURTQKCVBnb2dQRU4xYzNSdmJURTVJ
+Q0JNWVdKbGJEMGlWQ0lnSUV0cGJtUTlJallpSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpCglNeUln
+SUZCdmJHRnlhWFI1UFNJd0lpQWdVSEptVkdGeVBTSXdJaUFnVUc5eldEMGlOakEySWlBZ1VHOXpX
+VDBpTlRReAoJSWlBZ2JHRmlUMlptUFNJdE5EQWlJQ0JrYVhOT1BTSXhJaUFnZDJsa2RHZzlJakFp
+SUNCemRIbHNaVDBpTVNJZ0lHeHoKCWVqMGlNQ0lnUGdvOEwwTjFjM1J2YlRFNVBnb2dQRU4xYzNS
+dmJUSXdJQ0JNWVdKbGJEMGlSMkZwYmlJZ0lFdHBibVE5CglJamNpSUNCUVlXZGxQU0l4SWlBZ1JF
+eDVjajBpTVNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhKbVZHRnlQU0l3SWlBZwoJVUc5eldEMGlO
+emcxSWlBZ1VHOXpXVDBpTkRRMklpQWdiR0ZpVDJabVBTSXRNaUlnSUdScGMwNDlJakVpSUNCM2FX
+UjAKCWFEMGlNVE13SWlBZ2MzUjViR1U5SWpBaUlDQnNjM285SWpJaUlENEtQQzlEZFhOMGIyMHlN
+RDRLSUR4RGRYTjBiMjB5CglNU0FnVEdGaVpXdzlJa1JGTFU1UFNWTkZJaUFnUzJsdVpEMGlOU0ln
+SUZCaFoyVTlJakVpSUNCRVRIbHlQU0l5SWlBZwoJVUc5c1lYSnBkSGs5SWpBaUlDQlFjbVpVWVhJ
+OUlqQWlJQ0JRYjNOWVBTSTBPVGtpSUNCUWIzTlpQU0kwTVRZaUlDQnMKCVlXSlBabVk5SWpBaUlD
+QmthWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNeUlnCglQ
+Z284TDBOMWMzUnZiVEl4UGdvZ1BFTjFjM1J2YlRJeUlDQk1ZV0psYkQwaVZHaHlaWE5vYjJ4a0lp
+QWdTMmx1WkQwaQoJTnlJZ0lGQmhaMlU5SWpFaUlDQkVUSGx5UFNJeElpQWdVRzlzWVhKcGRIazlJ
+akFpSUNCUWNtWlVZWEk5SWpBaUlDQlEKCWIzTllQU0kyTnpnaUlDQlFiM05aUFNJME5EWWlJQ0Jz
+WVdKUFptWTlJaTB5SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvCglQU0l4TXpBaUlDQnpkSGxzWlQw
+aU1DSWdJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVEl5UGdvZ1BFTjFjM1J2YlRJegoJSUNCTVlX
+SmxiRDBpVkVGUVJTSWdJRXRwYm1ROUlqWWlJQ0JRWVdkbFBTSXhJaUFnUkV4NWNqMGlNaUlnSUZC
+dmJHRnkKCWFYUjVQU0l3SWlBZ1VISm1WR0Z5UFNJd0lpQWdVRzl6V0QwaU56RXpJaUFnVUc5eldU
+MGlOREUySWlBZ2JHRmlUMlptCglQU0l3SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJeE1EZ2lJ
+Q0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNeUlnUGdvOAoJTDBOMWMzUnZiVEl6UGdvZ1BFTjFjM1J2
+YlRJMElDQk1ZV0psYkQwaUlpQWdTMmx1WkQwaU1URWlJQ0JRWVdkbFBTSXkKCUlpQWdSRXg1Y2ow
+aU1TSWdJRkJ2YkdGeWFYUjVQU0l3SWlBZ1VISm1WR0Z5UFNJd0lpQWdVRzl6V0QwaU5EWTRJaUFn
+CglVRzl6V1QwaU5ETTRJaUFnYkdGaVQyWm1QU0l0TWlJZ0lHUnBjMDQ5SWpFaUlDQjNhV1IwYUQw
+aU1UQTFJaUFnYzNSNQoJYkdVOUlqTWlJQ0JzYzNvOUlqQWlJRDRLUEVWT1ZVMURTRTlKUTBWVVJW
+aFVJQ0JVUlZoVVBTSlBSa1lpSUQ0S1BDOUYKCVRsVk5RMGhQU1VORlZFVllWRDRLSUR4RlRsVk5R
+MGhQU1VORlZFVllWQ0FnVkVWWVZEMGlRMGhQVWxWVElERWlJRDRLCglQQzlGVGxWTlEwaFBTVU5G
+VkVWWVZENEtJRHhGVGxWTlEwaFBTVU5GVkVWWVZDQWdWRVZZVkQwaVEwaFBVbFZUSURJaQoJSUQ0
+S1BDOUZUbFZOUTBoUFNVTkZWRVZZVkQ0S0lEeEZUbFZOUTBoUFNVTkZWRVZZVkNBZ1ZFVllWRDBp
+UTBoUFVsVlQKCUlETWlJRDRLUEM5RlRsVk5RMGhQU1VORlZFVllWRDRLSUR4RlRsVk5RMGhQU1VO
+RlZFVllWQ0FnVkVWWVZEMGlVRWhCCglVMFZTSURFaUlENEtQQzlGVGxWTlEwaFBTVU5GVkVWWVZE
+NEtJRHhGVGxWTlEwaFBTVU5GVkVWWVZDQWdWRVZZVkQwaQoJVUVoQlUwVlNJRElpSUQ0S1BDOUZU
+bFZOUTBoUFNVTkZWRVZZVkQ0S0lEeEZUbFZOUTBoUFNVTkZWRVZZVkNBZ1ZFVlkKCVZEMGlWVTVK
+VmtsQ1JTSWdQZ284TDBWT1ZVMURTRTlKUTBWVVJWaFVQZ29nUEVWT1ZVMURTRTlKUTBWVVJWaFVJ
+Q0JVCglSVmhVUFNKV1NVSlNRVlJQSWlBK0Nqd3ZSVTVWVFVOSVQwbERSVlJGV0ZRK0NpQThMME4x
+YzNSdmJUSTBQZ29nUEVOMQoJYzNSdmJUSTFJQ0JNWVdKbGJEMGlRVzF2ZFc1MElpQWdTMmx1WkQw
+aU55SWdJRkJoWjJVOUlqSWlJQ0JFVEhseVBTSXgKCUlpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNt
+WlVZWEk5SWpBaUlDQlFiM05ZUFNJeE5ETWlJQ0JRYjNOWlBTSTBORFlpCglJQ0JzWVdKUFptWTlJ
+aTB5SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJeE16QWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4egoJ
+ZWowaU1pSWdQZ284TDBOMWMzUnZiVEkxUGdvZ1BFTjFjM1J2YlRJMklDQk1ZV0psYkQwaVZHbHRa
+U0lnSUV0cGJtUTkKCUlqY2lJQ0JRWVdkbFBTSXlJaUFnUkV4NWNqMGlNU0lnSUZCdmJHRnlhWFI1
+UFNJeElpQWdVSEptVkdGeVBTSXhJaUFnCglVRzl6V0QwaU1qVXdJaUFnVUc5eldUMGlORFEySWlB
+Z2JHRmlUMlptUFNJdE1pSWdJR1JwYzA0OUlqRWlJQ0IzYVdSMAoJYUQwaU1UTXdJaUFnYzNSNWJH
+VTlJakFpSUNCc2MzbzlJaklpSUQ0S1BDOURkWE4wYjIweU5qNEtJRHhEZFhOMGIyMHkKCU55QWdU
+R0ZpWld3OUlsSkZWa1ZTUWlJZ0lFdHBibVE5SWpVaUlDQlFZV2RsUFNJeUlpQWdSRXg1Y2owaU1p
+SWdJRkJ2CgliR0Z5YVhSNVBTSXdJaUFnVUhKbVZHRnlQU0l3SWlBZ1VHOXpXRDBpTnpFaUlDQlFi
+M05aUFNJME1UWWlJQ0JzWVdKUAoJWm1ZOUlqQWlJQ0JrYVhOT1BTSXhJaUFnZDJsa2RHZzlJak15
+TWlJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeklpQSsKCUNqd3ZRM1Z6ZEc5dE1qYytDaUE4UTNW
+emRHOXRNamdnSUV4aFltVnNQU0pOYjI1dklpQWdTMmx1WkQwaU5DSWdJRkJoCglaMlU5SWpJaUlD
+QkVUSGx5UFNJeElpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJ
+egoJTnpRaUlDQlFiM05aUFNJME5qQWlJQ0JzWVdKUFptWTlJakV3SWlBZ1pHbHpUajBpTVNJZ0lI
+ZHBaSFJvUFNJeE16QWkKCUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZi
+VEk0UGdvZ1BFTjFjM1J2YlRJNUlDQk1ZV0psCgliRDBpVUVGRUlpQWdTMmx1WkQwaU5pSWdJRkJo
+WjJVOUlqRWlJQ0JFVEhseVBTSXpJaUFnVUc5c1lYSnBkSGs5SWpBaQoJSUNCUWNtWlVZWEk5SWpB
+aUlDQlFiM05ZUFNJNE1qRWlJQ0JRYjNOWlBTSTFOREVpSUNCc1lXSlBabVk5SWpBaUlDQmsKCWFY
+Tk9QU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1DSWdQZ284TDBO
+MWMzUnZiVEk1CglQZ29nUEVOMWMzUnZiVE13SUNCTVlXSmxiRDBpVFc5dWJ5SWdJRXRwYm1ROUlq
+UWlJQ0JRWVdkbFBTSXlJaUFnUkV4NQoJY2owaU1TSWdJRkJ2YkdGeWFYUjVQU0l3SWlBZ1VISm1W
+R0Z5UFNJd0lpQWdVRzl6V0QwaU9EQXlJaUFnVUc5eldUMGkKCU5EWXdJaUFnYkdGaVQyWm1QU0l4
+TUNJZ0lHUnBjMDQ5SWpFaUlDQjNhV1IwYUQwaU1UTXdJaUFnYzNSNWJHVTlJakFpCglJQ0JzYzNv
+OUlqSWlJRDRLUEM5RGRYTjBiMjB6TUQ0S0lEeERkWE4wYjIwek1TQWdUR0ZpWld3OUlrRnRiM1Z1
+ZENJZwoJSUV0cGJtUTlJamNpSUNCUVlXZGxQU0l5SWlBZ1JFeDVjajBpTVNJZ0lGQnZiR0Z5YVhS
+NVBTSXdJaUFnVUhKbVZHRnkKCVBTSXlJaUFnVUc5eldEMGlOVGN4SWlBZ1VHOXpXVDBpTkRRMklp
+QWdiR0ZpVDJabVBTSXRNaUlnSUdScGMwNDlJakVpCglJQ0IzYVdSMGFEMGlNVE13SWlBZ2MzUjVi
+R1U5SWpBaUlDQnNjM285SWpJaUlENEtQQzlEZFhOMGIyMHpNVDRLSUR4RAoJZFhOMGIyMHpNaUFn
+VEdGaVpXdzlJbEpoZEdVaUlDQkxhVzVrUFNJM0lpQWdVR0ZuWlQwaU1pSWdJRVJNZVhJOUlqRWkK
+CUlDQlFiMnhoY21sMGVUMGlNU0lnSUZCeVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpZM09DSWdJRkJ2
+YzFrOUlqUTBOaUlnCglJR3hoWWs5bVpqMGlMVElpSUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpF
+ek1DSWdJSE4wZVd4bFBTSXdJaUFnYkhONgoJUFNJeUlpQStDand2UTNWemRHOXRNekkrQ2lBOFEz
+VnpkRzl0TXpNZ0lFeGhZbVZzUFNJaUlDQkxhVzVrUFNJeE1TSWcKCUlGQmhaMlU5SWpJaUlDQkVU
+SGx5UFNJd0lpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZCglQU0l6
+TnlJZ0lGQnZjMWs5SWpRME5DSWdJR3hoWWs5bVpqMGlMVElpSUNCa2FYTk9QU0l4SWlBZ2QybGtk
+R2c5SWpjegoJSWlBZ2MzUjViR1U5SWpFaUlDQnNjM285SWpBaUlENEtQRVZPVlUxRFNFOUpRMFZV
+UlZoVUlDQlVSVmhVUFNKUFJrWWkKCUlENEtQQzlGVGxWTlEwaFBTVU5GVkVWWVZENEtJRHhGVGxW
+TlEwaFBTVU5GVkVWWVZDQWdWRVZZVkQwaVUxUlZSRWxQCglJaUErQ2p3dlJVNVZUVU5JVDBsRFJW
+UkZXRlErQ2lBOFJVNVZUVU5JVDBsRFJWUkZXRlFnSUZSRldGUTlJbE5RVWtsTwoJUnlJZ1BnbzhM
+MFZPVlUxRFNFOUpRMFZVUlZoVVBnb2dQRVZPVlUxRFNFOUpRMFZVUlZoVUlDQlVSVmhVUFNKRlEw
+aFAKCUlpQStDand2UlU1VlRVTklUMGxEUlZSRldGUStDaUE4UlU1VlRVTklUMGxEUlZSRldGUWdJ
+RlJGV0ZROUlpSWdQZ284CglMMFZPVlUxRFNFOUpRMFZVUlZoVVBnb2dQRVZPVlUxRFNFOUpRMFZV
+UlZoVUlDQlVSVmhVUFNJaUlENEtQQzlGVGxWTgoJUTBoUFNVTkZWRVZZVkQ0S0lEeEZUbFZOUTBo
+UFNVTkZWRVZZVkNBZ1ZFVllWRDBpSWlBK0Nqd3ZSVTVWVFVOSVQwbEQKCVJWUkZXRlErQ2lBOFJV
+NVZUVU5JVDBsRFJWUkZXRlFnSUZSRldGUTlJaUlnUGdvOEwwVk9WVTFEU0U5SlEwVlVSVmhVCglQ
+Z29nUEM5RGRYTjBiMjB6TXo0S0lEeERkWE4wYjIwek5DQWdUR0ZpWld3OUlsUnlaV0pzWlNJZ0lF
+dHBibVE5SWpjaQoJSUNCUVlXZGxQU0l4SWlBZ1JFeDVjajBpTVNJZ0lGQnZiR0Z5YVhSNVBTSXhJ
+aUFnVUhKbVZHRnlQU0l3SWlBZ1VHOXoKCVdEMGlNalV3SWlBZ1VHOXpXVDBpTkRRMklpQWdiR0Zp
+VDJabVBTSXRNaUlnSUdScGMwNDlJakVpSUNCM2FXUjBhRDBpCglNVE13SWlBZ2MzUjViR1U5SWpF
+aUlDQnNjM285SWpJaUlENEtQQzlEZFhOMGIyMHpORDRLSUR4RGRYTjBiMjB6TlNBZwoJVEdGaVpX
+dzlJbEJ5WlhObGJtTmxJaUFnUzJsdVpEMGlOeUlnSUZCaFoyVTlJakVpSUNCRVRIbHlQU0l4SWlB
+Z1VHOXMKCVlYSnBkSGs5SWpFaUlDQlFjbVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXpOVGNpSUNCUWIz
+TlpQU0kwTkRZaUlDQnNZV0pQCglabVk5SWkweUlpQWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXhN
+ekFpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJZwoJUGdvOEwwTjFjM1J2YlRNMVBnb2dQRU4x
+YzNSdmJUTTJJQ0JNWVdKbGJEMGlUVTlFVlV4QlZFbFBUaUJHV0NJZ0lFdHAKCWJtUTlJalVpSUNC
+UVlXZGxQU0l5SWlBZ1JFeDVjajBpTWlJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhKbVZHRnlQU0l3
+CglJaUFnVUc5eldEMGlORGs1SWlBZ1VHOXpXVDBpTkRFMklpQWdiR0ZpVDJabVBTSXdJaUFnWkds
+elRqMGlNU0lnSUhkcAoJWkhSb1BTSXpNaklpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTXlJZ1Bn
+bzhMME4xYzNSdmJUTTJQZ29nUEVOMWMzUnYKCWJUTTNJQ0JNWVdKbGJEMGlVM0JsWldRaUlDQkxh
+VzVrUFNJM0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqRWlJQ0JRCgliMnhoY21sMGVUMGlNQ0ln
+SUZCeVpsUmhjajBpTWlJZ0lGQnZjMWc5SWpRMk5DSWdJRkJ2YzFrOUlqUTBOaUlnSUd4aAoJWWs5
+bVpqMGlMVElpSUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpFek1DSWdJSE4wZVd4bFBTSXdJaUFn
+YkhONlBTSXkKCUlpQStDand2UTNWemRHOXRNemMrQ2lBOFEzVnpkRzl0TXpnZ0lFeGhZbVZzUFNJ
+aUlDQkxhVzVrUFNJd0lpQWdVR0ZuCglaVDBpTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVU
+MGlNQ0lnSUZCeVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaQoJSUNCUWIzTlpQU0l3SWlBZ2JHRmlU
+MlptUFNJd0lpQWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTkKCUlqQWlJQ0Jz
+YzNvOUlqSWlJRDRLUEM5RGRYTjBiMjB6T0Q0S0lEeERkWE4wYjIwek9TQWdUR0ZpWld3OUlpSWdJ
+RXRwCglibVE5SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2YkdGeWFYUjVQU0l3
+SWlBZ1VISm1WR0Z5UFNJdwoJSWlBZ1VHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1Z
+OUlqQWlJQ0JrYVhOT1BTSXhJaUFnZDJsa2RHZzkKCUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVq
+MGlNaUlnUGdvOEwwTjFjM1J2YlRNNVBnb2dQRU4xYzNSdmJUUXdJQ0JNCglZV0psYkQwaUlpQWdT
+Mmx1WkQwaU1DSWdJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaQoJ
+SUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJd0lpQWdVRzl6V1QwaU1DSWdJR3hoWWs5bVpqMGlN
+Q0lnSUdScGMwNDkKCUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l5
+SWlBK0Nqd3ZRM1Z6ZEc5dE5EQStDaUE4CglRM1Z6ZEc5dE5ERWdJRXhoWW1Wc1BTSWlJQ0JMYVc1
+a1BTSXdJaUFnVUdGblpUMGlNQ0lnSUVSTWVYSTlJakFpSUNCUQoJYjJ4aGNtbDBlVDBpTUNJZ0lG
+QnlabFJoY2owaU1DSWdJRkJ2YzFnOUlqQWlJQ0JRYjNOWlBTSXdJaUFnYkdGaVQyWm0KCVBTSXdJ
+aUFnWkdselRqMGlNU0lnSUhkcFpIUm9QU0l3SWlBZ2MzUjViR1U5SWpBaUlDQnNjM285SWpJaUlE
+NEtQQzlECglkWE4wYjIwME1UNEtJRHhEZFhOMGIyMDBNaUFnVEdGaVpXdzlJaUlnSUV0cGJtUTlJ
+akFpSUNCUVlXZGxQU0l3SWlBZwoJUkV4NWNqMGlNQ0lnSUZCdmJHRnlhWFI1UFNJd0lpQWdVSEpt
+VkdGeVBTSXdJaUFnVUc5eldEMGlNQ0lnSUZCdmMxazkKCUlqQWlJQ0JzWVdKUFptWTlJakFpSUNC
+a2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6CgllajBpTWlJZ1Bn
+bzhMME4xYzNSdmJUUXlQZ29nUEVOMWMzUnZiVFF6SUNCTVlXSmxiRDBpSWlBZ1MybHVaRDBpTUNJ
+ZwoJSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZ1VHOXNZWEpwZEhrOUlqQWlJQ0JRY21aVVlY
+STlJakFpSUNCUWIzTlkKCVBTSXdJaUFnVUc5eldUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lHUnBj
+MDQ5SWpFaUlDQjNhV1IwYUQwaU1DSWdJSE4wCgllV3hsUFNJd0lpQWdiSE42UFNJeUlpQStDand2
+UTNWemRHOXRORE0rQ2lBOFEzVnpkRzl0TkRRZ0lFeGhZbVZzUFNJaQoJSUNCTGFXNWtQU0l3SWlB
+Z1VHRm5aVDBpTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVUMGlNQ0lnSUZCeVpsUmgKCWNq
+MGlNQ0lnSUZCdmMxZzlJakFpSUNCUWIzTlpQU0l3SWlBZ2JHRmlUMlptUFNJd0lpQWdaR2x6VGow
+aU1TSWdJSGRwCglaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJRDRLUEM5RGRY
+TjBiMjAwTkQ0S0lEeERkWE4wYjIwMAoJTlNBZ1RHRmlaV3c5SWlJZ0lFdHBibVE5SWpBaUlDQlFZ
+V2RsUFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2YkdGeWFYUjUKCVBTSXdJaUFnVUhKbVZHRnlQU0l3
+SWlBZ1VHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1ZOUlqQWlJQ0JrCglhWE5PUFNJ
+eElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNaUlnUGdvOEwwTjFjM1J2
+YlRRMQoJUGdvZ1BFTjFjM1J2YlRRMklDQk1ZV0psYkQwaUlpQWdTMmx1WkQwaU1DSWdJRkJoWjJV
+OUlqQWlJQ0JFVEhseVBTSXcKCUlpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlD
+QlFiM05ZUFNJd0lpQWdVRzl6V1QwaU1DSWdJR3hoCglZazltWmowaU1DSWdJR1JwYzA0OUlqRWlJ
+Q0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l5SWlBKwoJQ2p3dlEzVnpkRzl0
+TkRZK0NpQThRM1Z6ZEc5dE5EY2dJRXhoWW1Wc1BTSWlJQ0JMYVc1a1BTSXdJaUFnVUdGblpUMGkK
+CU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDBlVDBpTUNJZ0lGQnlabFJoY2owaU1DSWdJRkJ2
+YzFnOUlqQWlJQ0JRCgliM05aUFNJd0lpQWdiR0ZpVDJabVBTSXdJaUFnWkdselRqMGlNU0lnSUhk
+cFpIUm9QU0l3SWlBZ2MzUjViR1U5SWpBaQoJSUNCc2MzbzlJaklpSUQ0S1BDOURkWE4wYjIwME56
+NEtJRHhEZFhOMGIyMDBPQ0FnVEdGaVpXdzlJaUlnSUV0cGJtUTkKCUlqQWlJQ0JRWVdkbFBTSXdJ
+aUFnUkV4NWNqMGlNQ0lnSUZCdmJHRnlhWFI1UFNJd0lpQWdVSEptVkdGeVBTSXdJaUFnCglVRzl6
+V0QwaU1DSWdJRkJ2YzFrOUlqQWlJQ0JzWVdKUFptWTlJakFpSUNCa2FYTk9QU0l4SWlBZ2QybGtk
+R2c5SWpBaQoJSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJZ1BnbzhMME4xYzNSdmJUUTRQZ29n
+UEVOMWMzUnZiVFE1SUNCTVlXSmwKCWJEMGlJaUFnUzJsdVpEMGlNQ0lnSUZCaFoyVTlJakFpSUNC
+RVRIbHlQU0l3SWlBZ1VHOXNZWEpwZEhrOUlqQWlJQ0JRCgljbVpVWVhJOUlqQWlJQ0JRYjNOWVBT
+SXdJaUFnVUc5eldUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lHUnBjMDQ5SWpFaQoJSUNCM2FXUjBh
+RDBpTUNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeUlpQStDand2UTNWemRHOXRORGsrQ2lBOFEz
+VnoKCWRHOXROVEFnSUV4aFltVnNQU0lpSUNCTGFXNWtQU0l3SWlBZ1VHRm5aVDBpTUNJZ0lFUk1l
+WEk5SWpBaUlDQlFiMnhoCgljbWwwZVQwaU1DSWdJRkJ5WmxSaGNqMGlNQ0lnSUZCdmMxZzlJakFp
+SUNCUWIzTlpQU0l3SWlBZ2JHRmlUMlptUFNJdwoJSWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJ
+d0lpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJRDRLUEM5RGRYTjAKCWIyMDFNRDRLSUR4RGRY
+TjBiMjAxTVNBZ1RHRmlaV3c5SWlJZ0lFdHBibVE5SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Cglj
+ajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhKbVZHRnlQU0l3SWlBZ1VHOXpXRDBpTUNJZ0lG
+QnZjMWs5SWpBaQoJSUNCc1lXSlBabVk5SWpBaUlDQmthWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJ
+Q0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGkKCU1pSWdQZ284TDBOMWMzUnZiVFV4UGdvZ1BFTjFjM1J2
+YlRVeUlDQk1ZV0psYkQwaUlpQWdTMmx1WkQwaU1DSWdJRkJoCglaMlU5SWpBaUlDQkVUSGx5UFNJ
+d0lpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJdwoJSWlBZ1VH
+OXpXVDBpTUNJZ0lHeGhZazltWmowaU1DSWdJR1JwYzA0OUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhO
+MGVXeGwKCVBTSXdJaUFnYkhONlBTSXlJaUErQ2p3dlEzVnpkRzl0TlRJK0NpQThRM1Z6ZEc5dE5U
+TWdJRXhoWW1Wc1BTSWlJQ0JMCglhVzVrUFNJd0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWlJ
+Q0JRYjJ4aGNtbDBlVDBpTUNJZ0lGQnlabFJoY2owaQoJTUNJZ0lGQnZjMWc5SWpBaUlDQlFiM05a
+UFNJd0lpQWdiR0ZpVDJabVBTSXdJaUFnWkdselRqMGlNU0lnSUhkcFpIUm8KCVBTSXdJaUFnYzNS
+NWJHVTlJakFpSUNCc2MzbzlJaklpSUQ0S1BDOURkWE4wYjIwMU16NEtJRHhEZFhOMGIyMDFOQ0Fn
+CglUR0ZpWld3OUlpSWdJRXRwYm1ROUlqQWlJQ0JRWVdkbFBTSXdJaUFnUkV4NWNqMGlNQ0lnSUZC
+dmJHRnlhWFI1UFNJdwoJSWlBZ1VISm1WR0Z5UFNJd0lpQWdVRzl6V0QwaU1DSWdJRkJ2YzFrOUlq
+QWlJQ0JzWVdKUFptWTlJakFpSUNCa2FYTk8KCVBTSXhJaUFnZDJsa2RHZzlJakFpSUNCemRIbHNa
+VDBpTUNJZ0lHeHplajBpTWlJZ1BnbzhMME4xYzNSdmJUVTBQZ29nCglQRU4xYzNSdmJUVTFJQ0JN
+WVdKbGJEMGlJaUFnUzJsdVpEMGlNQ0lnSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZwoJVUc5
+c1lYSnBkSGs5SWpBaUlDQlFjbVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXdJaUFnVUc5eldUMGlNQ0ln
+SUd4aFlrOW0KCVpqMGlNQ0lnSUdScGMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjBlV3hsUFNJ
+d0lpQWdiSE42UFNJeUlpQStDand2CglRM1Z6ZEc5dE5UVStDaUE4UTNWemRHOXROVFlnSUV4aFlt
+VnNQU0lpSUNCTGFXNWtQU0l3SWlBZ1VHRm5aVDBpTUNJZwoJSUVSTWVYSTlJakFpSUNCUWIyeGhj
+bWwwZVQwaU1DSWdJRkJ5WmxSaGNqMGlNQ0lnSUZCdmMxZzlJakFpSUNCUWIzTloKCVBTSXdJaUFn
+YkdGaVQyWm1QU0l3SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJ
+Q0JzCgljM285SWpJaUlENEtQQzlEZFhOMGIyMDFOajRLSUR4RGRYTjBiMjAxTnlBZ1RHRmlaV3c5
+SWlJZ0lFdHBibVE5SWpBaQoJSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhS
+NVBTSXdJaUFnVUhKbVZHRnlQU0l3SWlBZ1VHOXoKCVdEMGlNQ0lnSUZCdmMxazlJakFpSUNCc1lX
+SlBabVk5SWpBaUlDQmthWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJQ0J6CglkSGxzWlQwaU1DSWdJ
+R3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVFUzUGdvZ1BFTjFjM1J2YlRVNElDQk1ZV0psYkQwaQoJ
+SWlBZ1MybHVaRDBpTUNJZ0lGQmhaMlU5SWpBaUlDQkVUSGx5UFNJd0lpQWdVRzlzWVhKcGRIazlJ
+akFpSUNCUWNtWlUKCVlYSTlJakFpSUNCUWIzTllQU0l3SWlBZ1VHOXpXVDBpTUNJZ0lHeGhZazlt
+WmowaU1DSWdJR1JwYzA0OUlqRWlJQ0IzCglhV1IwYUQwaU1DSWdJSE4wZVd4bFBTSXdJaUFnYkhO
+NlBTSXlJaUErQ2p3dlEzVnpkRzl0TlRnK0NpQThRM1Z6ZEc5dAoJTlRrZ0lFeGhZbVZzUFNJaUlD
+QkxhVzVrUFNJd0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDAKCWVUMGlN
+Q0lnSUZCeVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaUlDQlFiM05aUFNJd0lpQWdiR0ZpVDJabVBT
+SXdJaUFnCglaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpSUNCc2MzbzlJ
+aklpSUQ0S1BDOURkWE4wYjIwMQoJT1Q0S0lEeERkWE4wYjIwMk1DQWdUR0ZpWld3OUlpSWdJRXRw
+Ym1ROUlqQWlJQ0JRWVdkbFBTSXdJaUFnUkV4NWNqMGkKCU1DSWdJRkJ2YkdGeWFYUjVQU0l3SWlB
+Z1VISm1WR0Z5UFNJd0lpQWdVRzl6V0QwaU1DSWdJRkJ2YzFrOUlqQWlJQ0JzCglZV0pQWm1ZOUlq
+QWlJQ0JrYVhOT1BTSXhJaUFnZDJsa2RHZzlJakFpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJ
+ZwoJUGdvOEwwTjFjM1J2YlRZd1Bnb2dQRU4xYzNSdmJUWXhJQ0JNWVdKbGJEMGlJaUFnUzJsdVpE
+MGlNQ0lnSUZCaFoyVTkKCUlqQWlJQ0JFVEhseVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaUlDQlFj
+bVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXdJaUFnCglVRzl6V1QwaU1DSWdJR3hoWWs5bVpqMGlNQ0ln
+SUdScGMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjBlV3hsUFNJdwoJSWlBZ2JITjZQU0l5SWlB
+K0Nqd3ZRM1Z6ZEc5dE5qRStDaUE4UTNWemRHOXROaklnSUV4aFltVnNQU0lpSUNCTGFXNWsKCVBT
+SXdJaUFnVUdGblpUMGlNQ0lnSUVSTWVYSTlJakFpSUNCUWIyeGhjbWwwZVQwaU1DSWdJRkJ5WmxS
+aGNqMGlNQ0lnCglJRkJ2YzFnOUlqQWlJQ0JRYjNOWlBTSXdJaUFnYkdGaVQyWm1QU0l3SWlBZ1pH
+bHpUajBpTVNJZ0lIZHBaSFJvUFNJdwoJSWlBZ2MzUjViR1U5SWpBaUlDQnNjM285SWpJaUlENEtQ
+QzlEZFhOMGIyMDJNajRLSUR4RGRYTjBiMjAyTXlBZ1RHRmkKCVpXdzlJaUlnSUV0cGJtUTlJakFp
+SUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnCglVSEptVkdG
+eVBTSXdJaUFnVUc5eldEMGlNQ0lnSUZCdmMxazlJakFpSUNCc1lXSlBabVk5SWpBaUlDQmthWE5P
+UFNJeAoJSWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQZ284TDBO
+MWMzUnZiVFl6UGdvZ1BFTjEKCWMzUnZiVFkwSUNCTVlXSmxiRDBpSWlBZ1MybHVaRDBpTUNJZ0lG
+QmhaMlU5SWpBaUlDQkVUSGx5UFNJd0lpQWdVRzlzCglZWEpwZEhrOUlqQWlJQ0JRY21aVVlYSTlJ
+akFpSUNCUWIzTllQU0l3SWlBZ1VHOXpXVDBpTUNJZ0lHeGhZazltWmowaQoJTUNJZ0lHUnBjMDQ5
+SWpFaUlDQjNhV1IwYUQwaU1DSWdJSE4wZVd4bFBTSXdJaUFnYkhONlBTSXlJaUErQ2p3dlEzVnoK
+CWRHOXROalErQ2lBOFEzVnpkRzl0TmpVZ0lFeGhZbVZzUFNJaUlDQkxhVzVrUFNJd0lpQWdVR0Zu
+WlQwaU1DSWdJRVJNCgllWEk5SWpBaUlDQlFiMnhoY21sMGVUMGlNQ0lnSUZCeVpsUmhjajBpTUNJ
+Z0lGQnZjMWc5SWpBaUlDQlFiM05aUFNJdwoJSWlBZ2JHRmlUMlptUFNJd0lpQWdaR2x6VGowaU1T
+SWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpSUNCc2MzbzkKCUlqSWlJRDRLUEM5RGRYTjBi
+MjAyTlQ0S0lEeERkWE4wYjIwMk5pQWdUR0ZpWld3OUlpSWdJRXRwYm1ROUlqQWlJQ0JRCglZV2Rs
+UFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2YkdGeWFYUjVQU0l3SWlBZ1VISm1WR0Z5UFNJd0lpQWdV
+Rzl6V0QwaQoJTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1ZOUlqQWlJQ0JrYVhOT1BTSXhJaUFn
+ZDJsa2RHZzlJakFpSUNCemRIbHMKCVpUMGlNQ0lnSUd4emVqMGlNaUlnUGdvOEwwTjFjM1J2YlRZ
+MlBnb2dQRU4xYzNSdmJUWTNJQ0JNWVdKbGJEMGlJaUFnCglTMmx1WkQwaU1DSWdJRkJoWjJVOUlq
+QWlJQ0JFVEhseVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaUlDQlFjbVpVWVhJOQoJSWpBaUlDQlFi
+M05ZUFNJd0lpQWdVRzl6V1QwaU1DSWdJR3hoWWs5bVpqMGlNQ0lnSUdScGMwNDlJakVpSUNCM2FX
+UjAKCWFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l5SWlBK0Nqd3ZRM1Z6ZEc5dE5qYytD
+aUE4UTNWemRHOXROamdnCglJRXhoWW1Wc1BTSWlJQ0JMYVc1a1BTSXdJaUFnVUdGblpUMGlNQ0ln
+SUVSTWVYSTlJakFpSUNCUWIyeGhjbWwwZVQwaQoJTUNJZ0lGQnlabFJoY2owaU1DSWdJRkJ2YzFn
+OUlqQWlJQ0JRYjNOWlBTSXdJaUFnYkdGaVQyWm1QU0l3SWlBZ1pHbHoKCVRqMGlNU0lnSUhkcFpI
+Um9QU0l3SWlBZ2MzUjViR1U5SWpBaUlDQnNjM285SWpJaUlENEtQQzlEZFhOMGIyMDJPRDRLCglJ
+RHhEZFhOMGIyMDJPU0FnVEdGaVpXdzlJaUlnSUV0cGJtUTlJakFpSUNCUVlXZGxQU0l3SWlBZ1JF
+eDVjajBpTUNJZwoJSUZCdmJHRnlhWFI1UFNJd0lpQWdVSEptVkdGeVBTSXdJaUFnVUc5eldEMGlN
+Q0lnSUZCdmMxazlJakFpSUNCc1lXSlAKCVptWTlJakFpSUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5
+SWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQZ284CglMME4xYzNSdmJUWTVQZ29nUEVO
+MWMzUnZiVGN3SUNCTVlXSmxiRDBpSWlBZ1MybHVaRDBpTUNJZ0lGQmhaMlU5SWpBaQoJSUNCRVRI
+bHlQU0l3SWlBZ1VHOXNZWEpwZEhrOUlqQWlJQ0JRY21aVVlYSTlJakFpSUNCUWIzTllQU0l3SWlB
+Z1VHOXoKCVdUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lHUnBjMDQ5SWpFaUlDQjNhV1IwYUQwaU1D
+SWdJSE4wZVd4bFBTSXdJaUFnCgliSE42UFNJeUlpQStDand2UTNWemRHOXROekErQ2lBOFEzVnpk
+Rzl0TnpFZ0lFeGhZbVZzUFNJaUlDQkxhVzVrUFNJdwoJSWlBZ1VHRm5aVDBpTUNJZ0lFUk1lWEk5
+SWpBaUlDQlFiMnhoY21sMGVUMGlNQ0lnSUZCeVpsUmhjajBpTUNJZ0lGQnYKCWMxZzlJakFpSUNC
+UWIzTlpQU0l3SWlBZ2JHRmlUMlptUFNJd0lpQWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFn
+CgljM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJRDRLUEM5RGRYTjBiMjAzTVQ0S0lEeERkWE4wYjIw
+M01pQWdUR0ZpWld3OQoJSWlJZ0lFdHBibVE5SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaU1D
+SWdJRkJ2YkdGeWFYUjVQU0l3SWlBZ1VISm0KCVZHRnlQU0l3SWlBZ1VHOXpXRDBpTUNJZ0lGQnZj
+MWs5SWpBaUlDQnNZV0pQWm1ZOUlqQWlJQ0JrYVhOT1BTSXhJaUFnCglkMmxrZEdnOUlqQWlJQ0J6
+ZEhsc1pUMGlNQ0lnSUd4emVqMGlNaUlnUGdvOEwwTjFjM1J2YlRjeVBnb2dQRU4xYzNSdgoJYlRj
+eklDQk1ZV0psYkQwaUlpQWdTMmx1WkQwaU1DSWdJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXdJaUFn
+VUc5c1lYSnAKCWRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJd0lpQWdVRzl6V1Qw
+aU1DSWdJR3hoWWs5bVpqMGlNQ0lnCglJR1JwYzA0OUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVX
+eGxQU0l3SWlBZ2JITjZQU0l5SWlBK0Nqd3ZRM1Z6ZEc5dAoJTnpNK0NpQThRM1Z6ZEc5dE56UWdJ
+RXhoWW1Wc1BTSWlJQ0JMYVc1a1BTSXdJaUFnVUdGblpUMGlNQ0lnSUVSTWVYSTkKCUlqQWlJQ0JR
+YjJ4aGNtbDBlVDBpTUNJZ0lGQnlabFJoY2owaU1DSWdJRkJ2YzFnOUlqQWlJQ0JRYjNOWlBTSXdJ
+aUFnCgliR0ZpVDJabVBTSXdJaUFnWkdselRqMGlNU0lnSUhkcFpIUm9QU0l3SWlBZ2MzUjViR1U5
+SWpBaUlDQnNjM285SWpJaQoJSUQ0S1BDOURkWE4wYjIwM05ENEtJRHhEZFhOMGIyMDNOU0FnVEdG
+aVpXdzlJaUlnSUV0cGJtUTlJakFpSUNCUVlXZGwKCVBTSXdJaUFnUkV4NWNqMGlNQ0lnSUZCdmJH
+RnlhWFI1UFNJd0lpQWdVSEptVkdGeVBTSXdJaUFnVUc5eldEMGlNQ0lnCglJRkJ2YzFrOUlqQWlJ
+Q0JzWVdKUFptWTlJakFpSUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaQoJ
+TUNJZ0lHeHplajBpTWlJZ1BnbzhMME4xYzNSdmJUYzFQZ29nUEVOMWMzUnZiVGMySUNCTVlXSmxi
+RDBpSWlBZ1MybHUKCVpEMGlNQ0lnSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZ1VHOXNZWEpw
+ZEhrOUlqQWlJQ0JRY21aVVlYSTlJakFpCglJQ0JRYjNOWVBTSXdJaUFnVUc5eldUMGlNQ0lnSUd4
+aFlrOW1aajBpTUNJZ0lHUnBjMDQ5SWpFaUlDQjNhV1IwYUQwaQoJTUNJZ0lITjBlV3hsUFNJd0lp
+QWdiSE42UFNJeUlpQStDand2UTNWemRHOXROelkrQ2lBOFEzVnpkRzl0TnpjZ0lFeGgKCVltVnNQ
+U0lpSUNCTGFXNWtQU0l3SWlBZ1VHRm5aVDBpTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVU
+MGlNQ0lnCglJRkJ5WmxSaGNqMGlNQ0lnSUZCdmMxZzlJakFpSUNCUWIzTlpQU0l3SWlBZ2JHRmlU
+MlptUFNJd0lpQWdaR2x6VGowaQoJTVNJZ0lIZHBaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJQ0Jz
+YzNvOUlqSWlJRDRLUEM5RGRYTjBiMjAzTno0S0lEeEQKCWRYTjBiMjAzT0NBZ1RHRmlaV3c5SWlJ
+Z0lFdHBibVE5SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2CgliR0Z5YVhSNVBT
+SXdJaUFnVUhKbVZHRnlQU0l3SWlBZ1VHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1Z
+OQoJSWpBaUlDQmthWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVq
+MGlNaUlnUGdvOEwwTjEKCWMzUnZiVGM0UGdvZ1BFTjFjM1J2YlRjNUlDQk1ZV0psYkQwaUlpQWdT
+Mmx1WkQwaU1DSWdJRkJoWjJVOUlqQWlJQ0JFCglUSGx5UFNJd0lpQWdVRzlzWVhKcGRIazlJakFp
+SUNCUWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJd0lpQWdVRzl6V1QwaQoJTUNJZ0lHeGhZazltWmow
+aU1DSWdJR1JwYzA0OUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjYKCVBT
+SXlJaUErQ2p3dlEzVnpkRzl0TnprK0NpQThRM1Z6ZEc5dE9EQWdJRXhoWW1Wc1BTSWlJQ0JMYVc1
+a1BTSXdJaUFnCglVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDBlVDBpTUNJZ0lG
+QnlabFJoY2owaU1DSWdJRkJ2YzFnOQoJSWpBaUlDQlFiM05aUFNJd0lpQWdiR0ZpVDJabVBTSXdJ
+aUFnWkdselRqMGlNU0lnSUhkcFpIUm9QU0l3SWlBZ2MzUjUKCWJHVTlJakFpSUNCc2MzbzlJaklp
+SUQ0S1BDOURkWE4wYjIwNE1ENEtJRHhEZFhOMGIyMDRNU0FnVEdGaVpXdzlJaUlnCglJRXRwYm1R
+OUlqQWlJQ0JRWVdkbFBTSXdJaUFnUkV4NWNqMGlNQ0lnSUZCdmJHRnlhWFI1UFNJd0lpQWdVSEpt
+VkdGeQoJUFNJd0lpQWdVRzl6V0QwaU1DSWdJRkJ2YzFrOUlqQWlJQ0JzWVdKUFptWTlJakFpSUNC
+a2FYTk9QU0l4SWlBZ2QybGsKCWRHZzlJakFpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJZ1Bn
+bzhMME4xYzNSdmJUZ3hQZ29nUEVOMWMzUnZiVGd5CglJQ0JNWVdKbGJEMGlJaUFnUzJsdVpEMGlN
+Q0lnSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZ1VHOXNZWEpwZEhrOQoJSWpBaUlDQlFjbVpV
+WVhJOUlqQWlJQ0JRYjNOWVBTSXdJaUFnVUc5eldUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lHUnAK
+CWMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeUlpQStDand2
+UTNWemRHOXRPREkrCglDaUE4UTNWemRHOXRPRE1nSUV4aFltVnNQU0lpSUNCTGFXNWtQU0l3SWlB
+Z1VHRm5aVDBpTUNJZ0lFUk1lWEk5SWpBaQoJSUNCUWIyeGhjbWwwZVQwaU1DSWdJRkJ5WmxSaGNq
+MGlNQ0lnSUZCdmMxZzlJakFpSUNCUWIzTlpQU0l3SWlBZ2JHRmkKCVQyWm1QU0l3SWlBZ1pHbHpU
+ajBpTVNJZ0lIZHBaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJRDRLCglQQzlE
+ZFhOMGIyMDRNejRLSUR4RGRYTjBiMjA0TkNBZ1RHRmlaV3c5SWlJZ0lFdHBibVE5SWpBaUlDQlFZ
+V2RsUFNJdwoJSWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhKbVZHRnlQU0l3
+SWlBZ1VHOXpXRDBpTUNJZ0lGQnYKCWMxazlJakFpSUNCc1lXSlBabVk5SWpBaUlDQmthWE5PUFNJ
+eElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnCglJR3h6ZWowaU1pSWdQZ284TDBOMWMz
+UnZiVGcwUGdvZ1BFTjFjM1J2YlRnMUlDQk1ZV0psYkQwaUlpQWdTMmx1WkQwaQoJTUNJZ0lGQmha
+MlU5SWpBaUlDQkVUSGx5UFNJd0lpQWdVRzlzWVhKcGRIazlJakFpSUNCUWNtWlVZWEk5SWpBaUlD
+QlEKCWIzTllQU0l3SWlBZ1VHOXpXVDBpTUNJZ0lHeGhZazltWmowaU1DSWdJR1JwYzA0OUlqRWlJ
+Q0IzYVdSMGFEMGlNQ0lnCglJSE4wZVd4bFBTSXdJaUFnYkhONlBTSXlJaUErQ2p3dlEzVnpkRzl0
+T0RVK0NpQThRM1Z6ZEc5dE9EWWdJRXhoWW1WcwoJUFNJaUlDQkxhVzVrUFNJd0lpQWdVR0ZuWlQw
+aU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDBlVDBpTUNJZ0lGQnkKCVpsUmhjajBpTUNJZ0lG
+QnZjMWc5SWpBaUlDQlFiM05aUFNJd0lpQWdiR0ZpVDJabVBTSXdJaUFnWkdselRqMGlNU0lnCglJ
+SGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpSUNCc2MzbzlJaklpSUQ0S1BDOURkWE4wYjIwNE5q
+NEtJRHhEZFhOMAoJYjIwNE55QWdUR0ZpWld3OUlpSWdJRXRwYm1ROUlqQWlJQ0JRWVdkbFBTSXdJ
+aUFnUkV4NWNqMGlNQ0lnSUZCdmJHRnkKCWFYUjVQU0l3SWlBZ1VISm1WR0Z5UFNJd0lpQWdVRzl6
+V0QwaU1DSWdJRkJ2YzFrOUlqQWlJQ0JzWVdKUFptWTlJakFpCglJQ0JrYVhOT1BTSXhJaUFnZDJs
+a2RHZzlJakFpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJZ1BnbzhMME4xYzNSdgoJYlRnM1Bn
+b2dQRU4xYzNSdmJUZzRJQ0JNWVdKbGJEMGlJaUFnUzJsdVpEMGlNQ0lnSUZCaFoyVTlJakFpSUNC
+RVRIbHkKCVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaUlDQlFjbVpVWVhJOUlqQWlJQ0JRYjNOWVBT
+SXdJaUFnVUc5eldUMGlNQ0lnCglJR3hoWWs5bVpqMGlNQ0lnSUdScGMwNDlJakVpSUNCM2FXUjBh
+RDBpTUNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeQoJSWlBK0Nqd3ZRM1Z6ZEc5dE9EZytDaUE4
+UTNWemRHOXRPRGtnSUV4aFltVnNQU0lpSUNCTGFXNWtQU0l3SWlBZ1VHRm4KCVpUMGlNQ0lnSUVS
+TWVYSTlJakFpSUNCUWIyeGhjbWwwZVQwaU1DSWdJRkJ5WmxSaGNqMGlNQ0lnSUZCdmMxZzlJakFp
+CglJQ0JRYjNOWlBTSXdJaUFnYkdGaVQyWm1QU0l3SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJ
+d0lpQWdjM1I1YkdVOQoJSWpBaUlDQnNjM285SWpJaUlENEtQQzlEZFhOMGIyMDRPVDRLSUR4RGRY
+TjBiMjA1TUNBZ1RHRmlaV3c5SWlJZ0lFdHAKCWJtUTlJakFpSUNCUVlXZGxQU0l3SWlBZ1JFeDVj
+ajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhKbVZHRnlQU0l3CglJaUFnVUc5eldEMGlNQ0ln
+SUZCdmMxazlJakFpSUNCc1lXSlBabVk5SWpBaUlDQmthWE5PUFNJeElpQWdkMmxrZEdnOQoJSWpB
+aUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVGt3UGdvZ1BFTjFjM1J2
+YlRreElDQk0KCVlXSmxiRDBpSWlBZ1MybHVaRDBpTUNJZ0lGQmhaMlU5SWpBaUlDQkVUSGx5UFNJ
+d0lpQWdVRzlzWVhKcGRIazlJakFpCglJQ0JRY21aVVlYSTlJakFpSUNCUWIzTllQU0l3SWlBZ1VH
+OXpXVDBpTUNJZ0lHeGhZazltWmowaU1DSWdJR1JwYzA0OQoJSWpFaUlDQjNhV1IwYUQwaU1DSWdJ
+SE4wZVd4bFBTSXdJaUFnYkhONlBTSXlJaUErQ2p3dlEzVnpkRzl0T1RFK0NpQTgKCVEzVnpkRzl0
+T1RJZ0lFeGhZbVZzUFNJaUlDQkxhVzVrUFNJd0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWlJ
+Q0JRCgliMnhoY21sMGVUMGlNQ0lnSUZCeVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaUlDQlFiM05a
+UFNJd0lpQWdiR0ZpVDJabQoJUFNJd0lpQWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNS
+NWJHVTlJakFpSUNCc2MzbzlJaklpSUQ0S1BDOUQKCWRYTjBiMjA1TWo0S0lEeERkWE4wYjIwNU15
+QWdUR0ZpWld3OUlpSWdJRXRwYm1ROUlqQWlJQ0JRWVdkbFBTSXdJaUFnCglSRXg1Y2owaU1DSWdJ
+RkJ2YkdGeWFYUjVQU0l3SWlBZ1VISm1WR0Z5UFNJd0lpQWdVRzl6V0QwaU1DSWdJRkJ2YzFrOQoJ
+SWpBaUlDQnNZV0pQWm1ZOUlqQWlJQ0JrYVhOT1BTSXhJaUFnZDJsa2RHZzlJakFpSUNCemRIbHNa
+VDBpTUNJZ0lHeHoKCWVqMGlNaUlnUGdvOEwwTjFjM1J2YlRrelBnb2dQRU4xYzNSdmJUazBJQ0JN
+WVdKbGJEMGlJaUFnUzJsdVpEMGlNQ0lnCglJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXdJaUFnVUc5
+c1lYSnBkSGs5SWpBaUlDQlFjbVpVWVhJOUlqQWlJQ0JRYjNOWQoJUFNJd0lpQWdVRzl6V1QwaU1D
+SWdJR3hoWWs5bVpqMGlNQ0lnSUdScGMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjAKCWVXeGxQ
+U0l3SWlBZ2JITjZQU0l5SWlBK0Nqd3ZRM1Z6ZEc5dE9UUStDaUE4UTNWemRHOXRPVFVnSUV4aFlt
+VnNQU0lpCglJQ0JMYVc1a1BTSXdJaUFnVUdGblpUMGlNQ0lnSUVSTWVYSTlJakFpSUNCUWIyeGhj
+bWwwZVQwaU1DSWdJRkJ5WmxSaAoJY2owaU1DSWdJRkJ2YzFnOUlqQWlJQ0JRYjNOWlBTSXdJaUFn
+YkdGaVQyWm1QU0l3SWlBZ1pHbHpUajBpTVNJZ0lIZHAKCVpIUm9QU0l3SWlBZ2MzUjViR1U5SWpB
+aUlDQnNjM285SWpJaUlENEtQQzlEZFhOMGIyMDVOVDRLSUR4RGRYTjBiMjA1CglOaUFnVEdGaVpX
+dzlJaUlnSUV0cGJtUTlJakFpSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhS
+NQoJUFNJd0lpQWdVSEptVkdGeVBTSXdJaUFnVUc5eldEMGlNQ0lnSUZCdmMxazlJakFpSUNCc1lX
+SlBabVk5SWpBaUlDQmsKCWFYTk9QU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWdJ
+R3h6ZWowaU1pSWdQZ284TDBOMWMzUnZiVGsyCglQZ29nUEVOMWMzUnZiVGszSUNCTVlXSmxiRDBp
+SWlBZ1MybHVaRDBpTUNJZ0lGQmhaMlU5SWpBaUlDQkVUSGx5UFNJdwoJSWlBZ1VHOXNZWEpwZEhr
+OUlqQWlJQ0JRY21aVVlYSTlJakFpSUNCUWIzTllQU0l3SWlBZ1VHOXpXVDBpTUNJZ0lHeGgKCVlr
+OW1aajBpTUNJZ0lHUnBjMDQ5SWpFaUlDQjNhV1IwYUQwaU1DSWdJSE4wZVd4bFBTSXdJaUFnYkhO
+NlBTSXlJaUErCglDand2UTNWemRHOXRPVGMrQ2lBOFEzVnpkRzl0T1RnZ0lFeGhZbVZzUFNJaUlD
+QkxhVzVrUFNJd0lpQWdVR0ZuWlQwaQoJTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVUMGlN
+Q0lnSUZCeVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaUlDQlEKCWIzTlpQU0l3SWlBZ2JHRmlUMlpt
+UFNJd0lpQWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpCglJQ0JzYzNv
+OUlqSWlJRDRLUEM5RGRYTjBiMjA1T0Q0S0lEeERkWE4wYjIwNU9TQWdUR0ZpWld3OUlpSWdJRXRw
+Ym1ROQoJSWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2YkdGeWFYUjVQU0l3SWlB
+Z1VISm1WR0Z5UFNJd0lpQWcKCVVHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1ZOUlq
+QWlJQ0JrYVhOT1BTSXhJaUFnZDJsa2RHZzlJakFpCglJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlN
+aUlnUGdvOEwwTjFjM1J2YlRrNVBnb2dQRU4xYzNSdmJURXdNQ0FnVEdGaQoJWld3OUlpSWdJRXRw
+Ym1ROUlqQWlJQ0JRWVdkbFBTSXdJaUFnUkV4NWNqMGlNQ0lnSUZCdmJHRnlhWFI1UFNJd0lpQWcK
+CVVISm1WR0Z5UFNJd0lpQWdVRzl6V0QwaU1DSWdJRkJ2YzFrOUlqQWlJQ0JzWVdKUFptWTlJakFp
+SUNCa2FYTk9QU0l4CglJaUFnZDJsa2RHZzlJakFpSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJ
+Z1BnbzhMME4xYzNSdmJURXdNRDRLSUR4RAoJZFhOMGIyMHhNREVnSUV4aFltVnNQU0lpSUNCTGFX
+NWtQU0l3SWlBZ1VHRm5aVDBpTUNJZ0lFUk1lWEk5SWpBaUlDQlEKCWIyeGhjbWwwZVQwaU1DSWdJ
+RkJ5WmxSaGNqMGlNQ0lnSUZCdmMxZzlJakFpSUNCUWIzTlpQU0l3SWlBZ2JHRmlUMlptCglQU0l3
+SWlBZ1pHbHpUajBpTVNJZ0lIZHBaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJ
+RDRLUEM5RAoJZFhOMGIyMHhNREUrQ2lBOFEzVnpkRzl0TVRBeUlDQk1ZV0psYkQwaUlpQWdTMmx1
+WkQwaU1DSWdJRkJoWjJVOUlqQWkKCUlDQkVUSGx5UFNJd0lpQWdVRzlzWVhKcGRIazlJakFpSUNC
+UWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJd0lpQWdVRzl6CglXVDBpTUNJZ0lHeGhZazltWmowaU1D
+SWdJR1JwYzA0OUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZwoJYkhONlBTSXlJ
+aUErQ2p3dlEzVnpkRzl0TVRBeVBnb2dQRU4xYzNSdmJURXdNeUFnVEdGaVpXdzlJaUlnSUV0cGJt
+UTkKCUlqQWlJQ0JRWVdkbFBTSXdJaUFnUkV4NWNqMGlNQ0lnSUZCdmJHRnlhWFI1UFNJd0lpQWdV
+SEptVkdGeVBTSXdJaUFnCglVRzl6V0QwaU1DSWdJRkJ2YzFrOUlqQWlJQ0JzWVdKUFptWTlJakFp
+SUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpBaQoJSUNCemRIbHNaVDBpTUNJZ0lHeHplajBpTWlJ
+Z1BnbzhMME4xYzNSdmJURXdNejRLSUR4RGRYTjBiMjB4TURRZ0lFeGgKCVltVnNQU0lpSUNCTGFX
+NWtQU0l3SWlBZ1VHRm5aVDBpTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVUMGlNQ0lnCglJ
+RkJ5WmxSaGNqMGlNQ0lnSUZCdmMxZzlJakFpSUNCUWIzTlpQU0l3SWlBZ2JHRmlUMlptUFNJd0lp
+QWdaR2x6VGowaQoJTVNJZ0lIZHBaSFJvUFNJd0lpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJ
+RDRLUEM5RGRYTjBiMjB4TURRK0NpQTgKCVEzVnpkRzl0TVRBMUlDQk1ZV0psYkQwaUlpQWdTMmx1
+WkQwaU1DSWdJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXdJaUFnCglVRzlzWVhKcGRIazlJakFpSUNC
+UWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJd0lpQWdVRzl6V1QwaU1DSWdJR3hoWWs5bQoJWmowaU1D
+SWdJR1JwYzA0OUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l5SWlB
+K0Nqd3YKCVEzVnpkRzl0TVRBMVBnb2dQRU4xYzNSdmJURXdOaUFnVEdGaVpXdzlJaUlnSUV0cGJt
+UTlJakFpSUNCUVlXZGxQU0l3CglJaUFnUkV4NWNqMGlNQ0lnSUZCdmJHRnlhWFI1UFNJd0lpQWdV
+SEptVkdGeVBTSXdJaUFnVUc5eldEMGlNQ0lnSUZCdgoJYzFrOUlqQWlJQ0JzWVdKUFptWTlJakFp
+SUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWcKCUlHeHplajBpTWlJ
+Z1BnbzhMME4xYzNSdmJURXdOajRLSUR4RGRYTjBiMjB4TURjZ0lFeGhZbVZzUFNJaUlDQkxhVzVr
+CglQU0l3SWlBZ1VHRm5aVDBpTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVUMGlNQ0lnSUZC
+eVpsUmhjajBpTUNJZwoJSUZCdmMxZzlJakFpSUNCUWIzTlpQU0l3SWlBZ2JHRmlUMlptUFNJd0lp
+QWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXcKCUlpQWdjM1I1YkdVOUlqQWlJQ0JzYzNvOUlqSWlJ
+RDRLUEM5RGRYTjBiMjB4TURjK0NpQThRM1Z6ZEc5dE1UQTRJQ0JNCglZV0psYkQwaUlpQWdTMmx1
+WkQwaU1DSWdJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaQoJSUNC
+UWNtWlVZWEk5SWpBaUlDQlFiM05ZUFNJd0lpQWdVRzl6V1QwaU1DSWdJR3hoWWs5bVpqMGlNQ0ln
+SUdScGMwNDkKCUlqRWlJQ0IzYVdSMGFEMGlNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l5SWlB
+K0Nqd3ZRM1Z6ZEc5dE1UQTRQZ29nCglQRU4xYzNSdmJURXdPU0FnVEdGaVpXdzlJaUlnSUV0cGJt
+UTlJakFpSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTUNJZwoJSUZCdmJHRnlhWFI1UFNJd0lpQWdV
+SEptVkdGeVBTSXdJaUFnVUc5eldEMGlNQ0lnSUZCdmMxazlJakFpSUNCc1lXSlAKCVptWTlJakFp
+SUNCa2FYTk9QU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQ
+Z284CglMME4xYzNSdmJURXdPVDRLSUR4RGRYTjBiMjB4TVRBZ0lFeGhZbVZzUFNJaUlDQkxhVzVr
+UFNJd0lpQWdVR0ZuWlQwaQoJTUNJZ0lFUk1lWEk5SWpBaUlDQlFiMnhoY21sMGVUMGlNQ0lnSUZC
+eVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaUlDQlEKCWIzTlpQU0l3SWlBZ2JHRmlUMlptUFNJd0lp
+QWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpCglJQ0JzYzNvOUlqSWlJ
+RDRLUEM5RGRYTjBiMjB4TVRBK0NpQThRM1Z6ZEc5dE1URXhJQ0JNWVdKbGJEMGlJaUFnUzJsdQoJ
+WkQwaU1DSWdJRkJoWjJVOUlqQWlJQ0JFVEhseVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaUlDQlFj
+bVpVWVhJOUlqQWkKCUlDQlFiM05ZUFNJd0lpQWdVRzl6V1QwaU1DSWdJR3hoWWs5bVpqMGlNQ0ln
+SUdScGMwNDlJakVpSUNCM2FXUjBhRDBpCglNQ0lnSUhOMGVXeGxQU0l3SWlBZ2JITjZQU0l5SWlB
+K0Nqd3ZRM1Z6ZEc5dE1URXhQZ29nUEVOMWMzUnZiVEV4TWlBZwoJVEdGaVpXdzlJaUlnSUV0cGJt
+UTlJakFpSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXcKCUlpQWdV
+SEptVkdGeVBTSXdJaUFnVUc5eldEMGlNQ0lnSUZCdmMxazlJakFpSUNCc1lXSlBabVk5SWpBaUlD
+QmthWE5PCglQU0l4SWlBZ2QybGtkR2c5SWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQ
+Z284TDBOMWMzUnZiVEV4TWo0SwoJSUR4RGRYTjBiMjB4TVRNZ0lFeGhZbVZzUFNJaUlDQkxhVzVr
+UFNJd0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWkKCUlDQlFiMnhoY21sMGVUMGlNQ0lnSUZC
+eVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaUlDQlFiM05aUFNJd0lpQWdiR0ZpCglUMlptUFNJd0lp
+QWdaR2x6VGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpSUNCc2MzbzlJaklpSUQ0
+SwoJUEM5RGRYTjBiMjB4TVRNK0NpQThRM1Z6ZEc5dE1URTBJQ0JNWVdKbGJEMGlJaUFnUzJsdVpE
+MGlNQ0lnSUZCaFoyVTkKCUlqQWlJQ0JFVEhseVBTSXdJaUFnVUc5c1lYSnBkSGs5SWpBaUlDQlFj
+bVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXdJaUFnCglVRzl6V1QwaU1DSWdJR3hoWWs5bVpqMGlNQ0ln
+SUdScGMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjBlV3hsUFNJdwoJSWlBZ2JITjZQU0l5SWlB
+K0Nqd3ZRM1Z6ZEc5dE1URTBQZ29nUEVOMWMzUnZiVEV4TlNBZ1RHRmlaV3c5SWlJZ0lFdHAKCWJt
+UTlJakFpSUNCUVlXZGxQU0l3SWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhK
+bVZHRnlQU0l3CglJaUFnVUc5eldEMGlNQ0lnSUZCdmMxazlJakFpSUNCc1lXSlBabVk5SWpBaUlD
+QmthWE5PUFNJeElpQWdkMmxrZEdnOQoJSWpBaUlDQnpkSGxzWlQwaU1DSWdJR3h6ZWowaU1pSWdQ
+Z284TDBOMWMzUnZiVEV4TlQ0S0lEeERkWE4wYjIweE1UWWcKCUlFeGhZbVZzUFNJaUlDQkxhVzVr
+UFNJd0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDBlVDBpCglNQ0lnSUZC
+eVpsUmhjajBpTUNJZ0lGQnZjMWc5SWpBaUlDQlFiM05aUFNJd0lpQWdiR0ZpVDJabVBTSXdJaUFn
+WkdsegoJVGowaU1TSWdJSGRwWkhSb1BTSXdJaUFnYzNSNWJHVTlJakFpSUNCc2MzbzlJaklpSUQ0
+S1BDOURkWE4wYjIweE1UWSsKCUNpQThRM1Z6ZEc5dE1URTNJQ0JNWVdKbGJEMGlJaUFnUzJsdVpE
+MGlNQ0lnSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3CglJaUFnVUc5c1lYSnBkSGs5SWpBaUlDQlFj
+bVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXdJaUFnVUc5eldUMGlNQ0lnSUd4aAoJWWs5bVpqMGlNQ0ln
+SUdScGMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeUlpQSsK
+CUNqd3ZRM1Z6ZEc5dE1URTNQZ29nUEVOMWMzUnZiVEV4T0NBZ1RHRmlaV3c5SWlJZ0lFdHBibVE5
+SWpBaUlDQlFZV2RsCglQU0l3SWlBZ1JFeDVjajBpTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhK
+bVZHRnlQU0l3SWlBZ1VHOXpXRDBpTUNJZwoJSUZCdmMxazlJakFpSUNCc1lXSlBabVk5SWpBaUlD
+QmthWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGkKCU1DSWdJR3h6ZWowaU1pSWdQ
+Z284TDBOMWMzUnZiVEV4T0Q0S0lEeERkWE4wYjIweE1Ua2dJRXhoWW1Wc1BTSWlJQ0JMCglhVzVr
+UFNJd0lpQWdVR0ZuWlQwaU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDBlVDBpTUNJZ0lGQnla
+bFJoY2owaQoJTUNJZ0lGQnZjMWc5SWpBaUlDQlFiM05aUFNJd0lpQWdiR0ZpVDJabVBTSXdJaUFn
+WkdselRqMGlNU0lnSUhkcFpIUm8KCVBTSXdJaUFnYzNSNWJHVTlJakFpSUNCc2MzbzlJaklpSUQ0
+S1BDOURkWE4wYjIweE1UaytDaUE4UTNWemRHOXRNVEl3CglJQ0JNWVdKbGJEMGlJaUFnUzJsdVpE
+MGlNQ0lnSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZ1VHOXNZWEpwZEhrOQoJSWpBaUlDQlFj
+bVpVWVhJOUlqQWlJQ0JRYjNOWVBTSXdJaUFnVUc5eldUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lH
+UnAKCWMwNDlJakVpSUNCM2FXUjBhRDBpTUNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeUlpQStD
+and2UTNWemRHOXRNVEl3CglQZ29nUEVOMWMzUnZiVEV5TVNBZ1RHRmlaV3c5SWlJZ0lFdHBibVE5
+SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaQoJTUNJZ0lGQnZiR0Z5YVhSNVBTSXdJaUFnVUhK
+bVZHRnlQU0l3SWlBZ1VHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnMKCVlXSlBabVk5SWpBaUlD
+QmthWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNaUlnCglQ
+Z284TDBOMWMzUnZiVEV5TVQ0S0lEeERkWE4wYjIweE1qSWdJRXhoWW1Wc1BTSWlJQ0JMYVc1a1BT
+SXdJaUFnVUdGbgoJWlQwaU1DSWdJRVJNZVhJOUlqQWlJQ0JRYjJ4aGNtbDBlVDBpTUNJZ0lGQnla
+bFJoY2owaU1DSWdJRkJ2YzFnOUlqQWkKCUlDQlFiM05aUFNJd0lpQWdiR0ZpVDJabVBTSXdJaUFn
+WkdselRqMGlNU0lnSUhkcFpIUm9QU0l3SWlBZ2MzUjViR1U5CglJakFpSUNCc2MzbzlJaklpSUQ0
+S1BDOURkWE4wYjIweE1qSStDaUE4UTNWemRHOXRNVEl6SUNCTVlXSmxiRDBpSWlBZwoJUzJsdVpE
+MGlNQ0lnSUZCaFoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZ1VHOXNZWEpwZEhrOUlqQWlJQ0JRY21a
+VVlYSTkKCUlqQWlJQ0JRYjNOWVBTSXdJaUFnVUc5eldUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lH
+UnBjMDQ5SWpFaUlDQjNhV1IwCglhRDBpTUNJZ0lITjBlV3hsUFNJd0lpQWdiSE42UFNJeUlpQStD
+and2UTNWemRHOXRNVEl6UGdvZ1BFTjFjM1J2YlRFeQoJTkNBZ1RHRmlaV3c5SWlJZ0lFdHBibVE5
+SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2YkdGeWFYUjUKCVBTSXdJaUFnVUhK
+bVZHRnlQU0l3SWlBZ1VHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1ZOUlqQWlJQ0Jr
+CglhWE5PUFNJeElpQWdkMmxrZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNaUlnUGdv
+OEwwTjFjM1J2YlRFeQoJTkQ0S0lEeERkWE4wYjIweE1qVWdJRXhoWW1Wc1BTSWlJQ0JMYVc1a1BT
+SXdJaUFnVUdGblpUMGlNQ0lnSUVSTWVYSTkKCUlqQWlJQ0JRYjJ4aGNtbDBlVDBpTUNJZ0lGQnla
+bFJoY2owaU1DSWdJRkJ2YzFnOUlqQWlJQ0JRYjNOWlBTSXdJaUFnCgliR0ZpVDJabVBTSXdJaUFn
+WkdselRqMGlNU0lnSUhkcFpIUm9QU0l3SWlBZ2MzUjViR1U5SWpBaUlDQnNjM285SWpJaQoJSUQ0
+S1BDOURkWE4wYjIweE1qVStDaUE4UTNWemRHOXRNVEkySUNCTVlXSmxiRDBpSWlBZ1MybHVaRDBp
+TUNJZ0lGQmgKCVoyVTlJakFpSUNCRVRIbHlQU0l3SWlBZ1VHOXNZWEpwZEhrOUlqQWlJQ0JRY21a
+VVlYSTlJakFpSUNCUWIzTllQU0l3CglJaUFnVUc5eldUMGlNQ0lnSUd4aFlrOW1aajBpTUNJZ0lH
+UnBjMDQ5SWpFaUlDQjNhV1IwYUQwaU1DSWdJSE4wZVd4bAoJUFNJd0lpQWdiSE42UFNJeUlpQStD
+and2UTNWemRHOXRNVEkyUGdvZ1BFTjFjM1J2YlRFeU55QWdUR0ZpWld3OUlpSWcKCUlFdHBibVE5
+SWpBaUlDQlFZV2RsUFNJd0lpQWdSRXg1Y2owaU1DSWdJRkJ2YkdGeWFYUjVQU0l3SWlBZ1VISm1W
+R0Z5CglQU0l3SWlBZ1VHOXpXRDBpTUNJZ0lGQnZjMWs5SWpBaUlDQnNZV0pQWm1ZOUlqQWlJQ0Jr
+YVhOT1BTSXhJaUFnZDJsawoJZEdnOUlqQWlJQ0J6ZEhsc1pUMGlNQ0lnSUd4emVqMGlNaUlnUGdv
+OEwwTjFjM1J2YlRFeU56NEtJRHhRWVdkbE1DQWcKCVZHbDBiR1U5SWsxQlNVNGlJRDRLUEM5UVlX
+ZGxNRDRLSUR4UVlXZGxNU0FnVkdsMGJHVTlJbFJQVGtVaUlENEtQQzlRCglZV2RsTVQ0S0lEeFFZ
+V2RsTWlBZ1ZHbDBiR1U5SWtWR1JrVkRWRk1pSUQ0S1BDOVFZV2RsTWo0S0lEeFFZV2RsTVRBZwoJ
+SUZScGRHeGxQU0pUUlZSVVNVNUhVeUlnUGdvOEwxQmhaMlV4TUQ0S0lEeFFZV2RsTVRFZ0lGUnBk
+R3hsUFNKSlRrWlAKCUlpQStDand2VUdGblpURXhQZ29nUEM5RGRYTjBiMjFFWVhSaE1qNEtJRHd2
+VTFsT1ZFaEZUa2MrQ2lBOEwxTjViblJvCglSVzVuYVc1bFBnb2dQQzlUZVc1MGFGTjFZa1Z1WjJs
+dVpUNEtJRHhUZVc1MGFGTjFZa1Z1WjJsdVpTQStDanhUZVc1MAoJYUVWdVoybHVaU0ErQ2p4QlVs
+QWdJRUZ5Y0UxdlpHVTlJakFpSUNCQmNuQkRiRzlqYXowaU1DSWdJRUZ5Y0V4bGJqMGkKCU1DSWdJ
+RUZ5Y0ZOM2FXNW5QU0l3SWlBZ1FYSndWbVZzVFdsNFBTSXdJaUFnUVhKd1NIVnRQU0l3SWlBZ1FY
+SndTSFZ0CglWbVZzUFNJd0lpQWdRWEp3U0hWdFZHbG5hSFJFYjNkdVBTSXpaamd3TURBd01DSWdJ
+RUZ5Y0U5amREMGlNQ0lnSUVGeQoJY0U5dVQyWm1QU0l3SWlBZ1FYSndVR2hoYzJVOUlqQWlJQ0JC
+Y25CR1pXVnNSM0p2YjNabFQyNVBabVk5SWpBaUlDQkIKCWNuQlRibUZ3Vkc5SGNtbGtUMjVQWm1Z
+OUlqQWlJQ0JCY25CVGNHUTlJakFpSUNCQmNuQlFiSGs5SWpBaUlDQkJjbkJTCglaWE5sZEQwaU1D
+SWdJRUZ5Y0ZOd1lXNDlJak5qWVROa056QmhJaUFnUVhKd1UyNXdSM0oyZEhrOUlqQWlJQ0JCY25C
+SAoJY205dmRtVk9ZVzFsUFNJaUlENEtQRUZTVUZORlVUSWdJRlJGVFZCUFBTSTBNbVl3TURBd01D
+SWdJRlJKUTB0VFVFVlMKCVVWVkJVbFJGVWowaU1DSWdJRlJKVFVWVFNVZE9WVTA5SWpRaUlDQlVT
+VTFGVTBsSFJFVk9UMDA5SWpRaUlENEtQRk5NCglTVU5GVTBWUlUxUkZVQ0FnUWtWSFNVNDlJakFp
+SUNCRlRrUTlJakFpSUNCRFNEMGlMVEVpSUNCVFRFbERSVWxPUkVWWQoJUFNJeU5Ua2lJQ0JXUlV3
+OUlqRXlOeUlnSUZOUVBTSXdJaUFnVTFSU1UxQTlJak5sT0RBd01EQXdJaUErQ2p3dlUweEoKCVEw
+VlRSVkZUVkVWUVBnb2dQQzlCVWxCVFJWRXlQZ29nUEVGU1VFWkZSVXhUUlZFZ0lGUkZUVkJQUFNJ
+ME1tWXdNREF3CglNQ0lnSUZSSlEwdFRVRVZTVVZWQlVsUkZVajBpTkRFNU1pSWdJRlJKVFVWVFNV
+ZE9WVTA5SWpRaUlDQlVTVTFGVTBsSAoJUkVWT1QwMDlJalFpSUQ0S1BGTk1TVU5GVTBWUlUxUkZV
+Q0FnUWtWSFNVNDlJakUyTnpZNElpQWdSVTVFUFNJeE5qYzIKCU9DSWdJRU5JUFNJdE1TSWdJRk5N
+U1VORlNVNUVSVmc5SWkweElpQWdWa1ZNUFNJeE1qY2lJQ0JUVkZKVFVEMGlNMlU0CglNREF3TURB
+aUlENEtQQzlUVEVsRFJWTkZVVk5VUlZBK0NpQThMMEZTVUVaRlJVeFRSVkUrQ2lBOEwwRlNVRDRL
+SUR4VAoJV1U1VVNFVk9SeUFnVm1WeWN6MGlNamtpSUNCaWNqQTlJak5tTkRBd01EQXdJaUFnWWpR
+d1BTSXdJaUFnWW5JeFBTSXoKCVpqUXdNREF3TUNJZ0lHSTBNVDBpTUNJZ0lHSnlNajBpTTJZME1E
+QXdNREFpSUNCaU5ESTlJakFpSUNCaWNqTTlJak5tCglOREF3TURBd0lpQWdZalF6UFNJd0lpQWdZ
+bkkwUFNJelpqUXdNREF3TUNJZ0lHSTBORDBpTUNJZ0lHSnlOVDBpTTJZMAoJTURBd01EQWlJQ0Jp
+TkRVOUlqQWlJQ0JpY2pZOUlqTm1OREF3TURBd0lpQWdZalEyUFNJd0lpQWdZbkkzUFNJelpqUXcK
+CU1EQXdNQ0lnSUdJME56MGlNQ0lnSUhGdmJqMGlNQ0lnSUhGdGIyUmxQU0l3SWlBZ2NXWmhaR1U5
+SWpBaUlDQnpkWE50CglaRDBpTUNJZ0lISmxjR3RwYkd3OUlqQWlJQ0JrYlhCc2REMGlNQ0lnSUhS
+elkydzlJakFpSUNCc1RFWlBVRDBpT1RrNQoJSWlBZ2JFMUZiblpRUFNJM056Y2lJQ0J6YUdGeVpU
+MGlNQ0lnSUhCd2RuTTlJak5tTURBd01EQXdJaUFnY0hCamNEMGkKCU0yWXdNREF3TURBaUlDQndi
+Mng1UFNJd0lpQWdjR0pqZFhROUlqUXhaamd3TURBd0lpQWdjR0oxY0QwaU1DSWdJSEJpCglaRzQ5
+SWpBaUlDQjJZM2c5SWpBaUlDQjJZM2s5SWpBaUlDQjJZMmM5SWpBaUlDQjJZMkk5SWpBaUlDQnNa
+V2R0UFNJdwoJSWlBZ2RYTmxUR1ZuUFNJd0lpQWdiR1ZuU1c1MFBTSXdJaUFnYzI1eWRISm5QU0l3
+SWlBZ2NHeGxaejBpTUNJZ0lHZGgKCWFXNDlJakFpSUNCdFptWnljVDBpTUNJZ0lHMW1iV1E5SWpB
+aUlDQnRabkU5SWpBaUlDQmtjMmxoUFNJd0lpQWdaSE5wCglZajBpTUNJZ0lHUnpZV0o0WmowaU1D
+SWdJSFpwY3pFOUlqQWlJQ0IyYVhNeVBTSXdJaUFnZG1sek16MGlNQ0lnSUhacAoJY3pROUlqQWlJ
+Q0IyYVhNMVBTSXdJaUFnZG1sek5qMGlNQ0lnSUhOamJrUndkR2c5SWpBaUlDQnpZMjVOYVhnOUlq
+QWkKCUlDQnpZMjVUWld3OUlqQWlJQ0J3YjNKMFZqSTlJakFpSUNCelkyNU5RVDBpTUNJZ0lITmpi
+azFEUFNJd0lpQWdiM0ppCglVM1E5SWpBaUlDQnZjbUpKYmtGdGJuUTlJakFpSUNCdmNtSkpibE4w
+UFNJd0lpQWdVMk5sYm1WRGIyMXdiMjVsYm5RdwoJUFNJd0lpQWdVMk5sYm1WRGIyMXdiMjVsYm5R
+eFBTSXdJaUFnVTJObGJtVkRiMjF3YjI1bGJuUXlQU0l3SWlBZ1UyTmwKCWJtVkRiMjF3YjI1bGJu
+UXpQU0l3SWlBZ2FYSnpaVzVrWVhWNFBTSXdJaUFnY0dGMWVISnNQU0l3SWlBZ1lubHdZWE56CglQ
+U0l3SWlBZ2RIVnVjR0YwYUQwaUlpQWdiM0pwWjB4cFlrNWhiV1U5SWlJZ0lHOXlhV2RRWVhSamFF
+NWhiV1U5SWlJZwoJSUVOMWMzUnZiVjh3UFNJd0lpQWdRM1Z6ZEc5dFh6RTlJakFpSUNCRGRYTjBi
+MjFmTWowaU1DSWdJRU4xYzNSdmJWOHoKCVBTSXdJaUFnUTNWemRHOXRYelE5SWpBaUlDQkRkWE4w
+YjIxZk5UMGlNQ0lnSUVOMWMzUnZiVjgyUFNJd0lpQWdRM1Z6CglkRzl0WHpjOUlqQWlJQ0JEZFhO
+MGIyMWZPRDBpTUNJZ0lFTjFjM1J2YlY4NVBTSXdJaUFnUTNWemRHOXRYekV3UFNJdwoJSWlBZ1Ez
+VnpkRzl0WHpFeFBTSXdJaUFnUTNWemRHOXRYekV5UFNJd0lpQWdRM1Z6ZEc5dFh6RXpQU0l3SWlB
+Z1EzVnoKCWRHOXRYekUwUFNJd0lpQWdRM1Z6ZEc5dFh6RTFQU0l3SWlBZ1EzVnpkRzl0WHpFMlBT
+SXdJaUFnUTNWemRHOXRYekUzCglQU0l3SWlBZ1EzVnpkRzl0WHpFNFBTSXdJaUFnUTNWemRHOXRY
+ekU1UFNJd0lpQWdRM1Z6ZEc5dFh6SXdQU0l3SWlBZwoJUTNWemRHOXRYekl4UFNJd0lpQWdRM1Z6
+ZEc5dFh6SXlQU0l3SWlBZ1EzVnpkRzl0WHpJelBTSXdJaUFnUTNWemRHOXQKCVh6STBQU0l3SWlB
+Z1EzVnpkRzl0WHpJMVBTSXdJaUFnUTNWemRHOXRYekkyUFNJd0lpQWdRM1Z6ZEc5dFh6STNQU0l3
+CglJaUFnUTNWemRHOXRYekk0UFNJd0lpQWdRM1Z6ZEc5dFh6STVQU0l3SWlBZ1EzVnpkRzl0WHpN
+d1BTSXdJaUFnUTNWegoJZEc5dFh6TXhQU0l3SWlBZ1EzVnpkRzl0WHpNeVBTSXdJaUFnUTNWemRH
+OXRYek16UFNJd0lpQWdRM1Z6ZEc5dFh6TTAKCVBTSXdJaUFnUTNWemRHOXRYek0xUFNJd0lpQWdR
+M1Z6ZEc5dFh6TTJQU0l3SWlBZ1EzVnpkRzl0WHpNM1BTSXdJaUFnCglRM1Z6ZEc5dFh6TTRQU0l3
+SWlBZ1EzVnpkRzl0WHpNNVBTSXdJaUFnUTNWemRHOXRYelF3UFNJd0lpQWdRM1Z6ZEc5dAoJWHpR
+eFBTSXdJaUFnUTNWemRHOXRYelF5UFNJd0lpQWdRM1Z6ZEc5dFh6UXpQU0l3SWlBZ1EzVnpkRzl0
+WHpRMFBTSXcKCUlpQWdRM1Z6ZEc5dFh6UTFQU0l3SWlBZ1EzVnpkRzl0WHpRMlBTSXdJaUFnUTNW
+emRHOXRYelEzUFNJd0lpQWdRM1Z6CglkRzl0WHpRNFBTSXdJaUFnUTNWemRHOXRYelE1UFNJd0lp
+QWdRM1Z6ZEc5dFh6VXdQU0l3SWlBZ1EzVnpkRzl0WHpVeAoJUFNJd0lpQWdRM1Z6ZEc5dFh6VXlQ
+U0l3SWlBZ1EzVnpkRzl0WHpVelBTSXdJaUFnUTNWemRHOXRYelUwUFNJd0lpQWcKCVEzVnpkRzl0
+WHpVMVBTSXdJaUFnUTNWemRHOXRYelUyUFNJd0lpQWdRM1Z6ZEc5dFh6VTNQU0l3SWlBZ1EzVnpk
+Rzl0CglYelU0UFNJd0lpQWdRM1Z6ZEc5dFh6VTVQU0l3SWlBZ1EzVnpkRzl0WHpZd1BTSXdJaUFn
+UTNWemRHOXRYell4UFNJdwoJSWlBZ1EzVnpkRzl0WHpZeVBTSXdJaUFnUTNWemRHOXRYell6UFNJ
+d0lpQWdRM1Z6ZEc5dFh6WTBQU0l3SWlBZ1EzVnoKCWRHOXRYelkxUFNJd0lpQWdRM1Z6ZEc5dFh6
+WTJQU0l3SWlBZ1EzVnpkRzl0WHpZM1BTSXdJaUFnUTNWemRHOXRYelk0CglQU0l3SWlBZ1EzVnpk
+Rzl0WHpZNVBTSXdJaUFnUTNWemRHOXRYemN3UFNJd0lpQWdRM1Z6ZEc5dFh6Y3hQU0l3SWlBZwoJ
+UTNWemRHOXRYemN5UFNJd0lpQWdRM1Z6ZEc5dFh6Y3pQU0l3SWlBZ1EzVnpkRzl0WHpjMFBTSXdJ
+aUFnUTNWemRHOXQKCVh6YzFQU0l3SWlBZ1EzVnpkRzl0WHpjMlBTSXdJaUFnUTNWemRHOXRYemMz
+UFNJd0lpQWdRM1Z6ZEc5dFh6YzRQU0l3CglJaUFnUTNWemRHOXRYemM1UFNJd0lpQWdRM1Z6ZEc5
+dFh6Z3dQU0l3SWlBZ1EzVnpkRzl0WHpneFBTSXdJaUFnUTNWegoJZEc5dFh6Z3lQU0l3SWlBZ1Ez
+VnpkRzl0WHpnelBTSXdJaUFnUTNWemRHOXRYemcwUFNJd0lpQWdRM1Z6ZEc5dFh6ZzEKCVBTSXdJ
+aUFnUTNWemRHOXRYemcyUFNJd0lpQWdRM1Z6ZEc5dFh6ZzNQU0l3SWlBZ1EzVnpkRzl0WHpnNFBT
+SXdJaUFnCglRM1Z6ZEc5dFh6ZzVQU0l3SWlBZ1EzVnpkRzl0WHprd1BTSXdJaUFnUTNWemRHOXRY
+emt4UFNJd0lpQWdRM1Z6ZEc5dAoJWHpreVBTSXdJaUFnUTNWemRHOXRYemt6UFNJd0lpQWdRM1Z6
+ZEc5dFh6azBQU0l3SWlBZ1EzVnpkRzl0WHprMVBTSXcKCUlpQWdRM1Z6ZEc5dFh6azJQU0l3SWlB
+Z1EzVnpkRzl0WHprM1BTSXdJaUFnUTNWemRHOXRYems0UFNJd0lpQWdRM1Z6CglkRzl0WHprNVBT
+SXdJaUFnUTNWemRHOXRYekV3TUQwaU1DSWdJRU4xYzNSdmJWOHhNREU5SWpBaUlDQkRkWE4wYjIx
+ZgoJTVRBeVBTSXdJaUFnUTNWemRHOXRYekV3TXowaU1DSWdJRU4xYzNSdmJWOHhNRFE5SWpBaUlD
+QkRkWE4wYjIxZk1UQTEKCVBTSXdJaUFnUTNWemRHOXRYekV3TmowaU1DSWdJRU4xYzNSdmJWOHhN
+RGM5SWpBaUlDQkRkWE4wYjIxZk1UQTRQU0l3CglJaUFnUTNWemRHOXRYekV3T1QwaU1DSWdJRU4x
+YzNSdmJWOHhNVEE5SWpBaUlDQkRkWE4wYjIxZk1URXhQU0l3SWlBZwoJUTNWemRHOXRYekV4TWow
+aU1DSWdJRU4xYzNSdmJWOHhNVE05SWpBaUlDQkRkWE4wYjIxZk1URTBQU0l3SWlBZ1EzVnoKCWRH
+OXRYekV4TlQwaU1DSWdJRU4xYzNSdmJWOHhNVFk5SWpBaUlDQkRkWE4wYjIxZk1URTNQU0l3SWlB
+Z1EzVnpkRzl0CglYekV4T0QwaU1DSWdJRU4xYzNSdmJWOHhNVGs5SWpBaUlDQkRkWE4wYjIxZk1U
+SXdQU0l3SWlBZ1EzVnpkRzl0WHpFeQoJTVQwaU1DSWdJRU4xYzNSdmJWOHhNakk5SWpBaUlDQkRk
+WE4wYjIxZk1USXpQU0l3SWlBZ1EzVnpkRzl0WHpFeU5EMGkKCU1DSWdJRU4xYzNSdmJWOHhNalU5
+SWpBaUlDQkRkWE4wYjIxZk1USTJQU0l3SWlBZ1EzVnpkRzl0WHpFeU56MGlNQ0lnCglJR056WTJn
+OUlqQWlJQ0JEVUZOalh6QTlJakFpSUNCRFVGTmpYekU5SWpBaUlDQkRVRk5qWHpJOUlqQWlJQ0JE
+VUZOagoJWHpNOUlqQWlJQ0JEVUZOalh6UTlJakFpSUNCRFVGTmpYelU5SWpBaUlDQkRVRk5qWHpZ
+OUlqQWlJQ0JEVUZOalh6YzkKCUlqQWlJRDRLUEVWT1ZGSlpSRVZUUTFJZ0lHNWhiV1U5SWlJZ0lH
+eHBZbkpoY25rOUlpSWdJRUZVVkZKSlFsOVdRVXhWCglSVjlFUVZSQlBTSnphWHBsUFRBN0lpQStD
+and2UlU1VVVsbEVSVk5EVWo0S0lEeE5UMFJmVFVGVVVrbFlJQ0J6YjNWeQoJWTJVd1BTSnZabVlp
+SUNCMFlYSm5aWFF3UFNKdlptWWlJQ0JrWldaV01EMGlNMlk0TURBd01EQWlJQ0JzYnpBOUlqQWkK
+CUlDQm9hVEE5SWpBaUlDQnRkWFJsTUQwaU1DSWdJR1JoYlhBd1BTSXdJaUFnWVd4c01EMGlNQ0ln
+SUhOdmRYSmpaVEU5CglJbTltWmlJZ0lIUmhjbWRsZERFOUltOW1aaUlnSUdSbFpsWXhQU0l6Wmpn
+d01EQXdNQ0lnSUd4dk1UMGlNQ0lnSUdocAoJTVQwaU1DSWdJRzExZEdVeFBTSXdJaUFnWkdGdGNE
+RTlJakFpSUNCaGJHd3hQU0l3SWlBZ2MyOTFjbU5sTWowaWIyWm0KCUlpQWdkR0Z5WjJWME1qMGli
+MlptSWlBZ1pHVm1Wakk5SWpObU9EQXdNREF3SWlBZ2JHOHlQU0l3SWlBZ2FHa3lQU0l3CglJaUFn
+YlhWMFpUSTlJakFpSUNCa1lXMXdNajBpTUNJZ0lHRnNiREk5SWpBaUlDQnpiM1Z5WTJVelBTSnZa
+bVlpSUNCMAoJWVhKblpYUXpQU0p2Wm1ZaUlDQmtaV1pXTXowaU0yWTRNREF3TURBaUlDQnNiek05
+SWpBaUlDQm9hVE05SWpBaUlDQnQKCWRYUmxNejBpTUNJZ0lHUmhiWEF6UFNJd0lpQWdZV3hzTXow
+aU1DSWdJSE52ZFhKalpUUTlJbTltWmlJZ0lIUmhjbWRsCglkRFE5SW05bVppSWdJR1JsWmxZMFBT
+SXpaamd3TURBd01DSWdJR3h2TkQwaU1DSWdJR2hwTkQwaU1DSWdJRzExZEdVMAoJUFNJd0lpQWda
+R0Z0Y0RROUlqQWlJQ0JoYkd3MFBTSXdJaUFnYzI5MWNtTmxOVDBpYjJabUlpQWdkR0Z5WjJWME5U
+MGkKCWIyWm1JaUFnWkdWbVZqVTlJak5tT0RBd01EQXdJaUFnYkc4MVBTSXdJaUFnYUdrMVBTSXdJ
+aUFnYlhWMFpUVTlJakFpCglJQ0JrWVcxd05UMGlNQ0lnSUdGc2JEVTlJakFpSUNCemIzVnlZMlUy
+UFNKdlptWWlJQ0IwWVhKblpYUTJQU0p2Wm1ZaQoJSUNCa1pXWldOajBpTTJZNE1EQXdNREFpSUNC
+c2J6WTlJakFpSUNCb2FUWTlJakFpSUNCdGRYUmxOajBpTUNJZ0lHUmgKCWJYQTJQU0l3SWlBZ1lX
+eHNOajBpTUNJZ0lITnZkWEpqWlRjOUltOW1aaUlnSUhSaGNtZGxkRGM5SW05bVppSWdJR1JsCgla
+bFkzUFNJelpqZ3dNREF3TUNJZ0lHeHZOejBpTUNJZ0lHaHBOejBpTUNJZ0lHMTFkR1UzUFNJd0lp
+QWdaR0Z0Y0RjOQoJSWpBaUlDQmhiR3czUFNJd0lpQWdjMjkxY21ObE9EMGliMlptSWlBZ2RHRnla
+MlYwT0QwaWIyWm1JaUFnWkdWbVZqZzkKCUlqTm1PREF3TURBd0lpQWdiRzg0UFNJd0lpQWdhR2s0
+UFNJd0lpQWdiWFYwWlRnOUlqQWlJQ0JrWVcxd09EMGlNQ0lnCglJR0ZzYkRnOUlqQWlJQ0J6YjNW
+eVkyVTVQU0p2Wm1ZaUlDQjBZWEpuWlhRNVBTSnZabVlpSUNCa1pXWldPVDBpTTJZNAoJTURBd01E
+QWlJQ0JzYnprOUlqQWlJQ0JvYVRrOUlqQWlJQ0J0ZFhSbE9UMGlNQ0lnSUdSaGJYQTVQU0l3SWlB
+Z1lXeHMKCU9UMGlNQ0lnSUhOdmRYSmpaVEV3UFNKdlptWWlJQ0IwWVhKblpYUXhNRDBpYjJabUlp
+QWdaR1ZtVmpFd1BTSXpaamd3CglNREF3TUNJZ0lHeHZNVEE5SWpBaUlDQm9hVEV3UFNJd0lpQWdi
+WFYwWlRFd1BTSXdJaUFnWkdGdGNERXdQU0l3SWlBZwoJWVd4c01UQTlJakFpSUNCemIzVnlZMlV4
+TVQwaWIyWm1JaUFnZEdGeVoyVjBNVEU5SW05bVppSWdJR1JsWmxZeE1UMGkKCU0yWTRNREF3TURB
+aUlDQnNiekV4UFNJd0lpQWdhR2t4TVQwaU1DSWdJRzExZEdVeE1UMGlNQ0lnSUdSaGJYQXhNVDBp
+CglNQ0lnSUdGc2JERXhQU0l3SWlBZ2MyOTFjbU5sTVRJOUltOW1aaUlnSUhSaGNtZGxkREV5UFNK
+dlptWWlJQ0JrWldaVwoJTVRJOUlqTm1PREF3TURBd0lpQWdiRzh4TWowaU1DSWdJR2hwTVRJOUlq
+QWlJQ0J0ZFhSbE1USTlJakFpSUNCa1lXMXcKCU1USTlJakFpSUNCaGJHd3hNajBpTUNJZ0lITnZk
+WEpqWlRFelBTSnZabVlpSUNCMFlYSm5aWFF4TXowaWIyWm1JaUFnCglaR1ZtVmpFelBTSXpaamd3
+TURBd01DSWdJR3h2TVRNOUlqQWlJQ0JvYVRFelBTSXdJaUFnYlhWMFpURXpQU0l3SWlBZwoJWkdG
+dGNERXpQU0l3SWlBZ1lXeHNNVE05SWpBaUlDQnpiM1Z5WTJVeE5EMGliMlptSWlBZ2RHRnlaMlYw
+TVRROUltOW0KCVppSWdJR1JsWmxZeE5EMGlNMlk0TURBd01EQWlJQ0JzYnpFMFBTSXdJaUFnYUdr
+eE5EMGlNQ0lnSUcxMWRHVXhORDBpCglNQ0lnSUdSaGJYQXhORDBpTUNJZ0lHRnNiREUwUFNJd0lp
+QWdjMjkxY21ObE1UVTlJbTltWmlJZ0lIUmhjbWRsZERFMQoJUFNKdlptWWlJQ0JrWldaV01UVTlJ
+ak5tT0RBd01EQXdJaUFnYkc4eE5UMGlNQ0lnSUdocE1UVTlJakFpSUNCdGRYUmwKCU1UVTlJakFp
+SUNCa1lXMXdNVFU5SWpBaUlDQmhiR3d4TlQwaU1DSWdJSE52ZFhKalpURTJQU0p2Wm1ZaUlDQjBZ
+WEpuCglaWFF4TmowaWIyWm1JaUFnWkdWbVZqRTJQU0l6Wmpnd01EQXdNQ0lnSUd4dk1UWTlJakFp
+SUNCb2FURTJQU0l3SWlBZwoJYlhWMFpURTJQU0l3SWlBZ1pHRnRjREUyUFNJd0lpQWdZV3hzTVRZ
+OUlqQWlJQ0J6YjNWeVkyVXhOejBpYjJabUlpQWcKCWRHRnlaMlYwTVRjOUltOW1aaUlnSUdSbFps
+WXhOejBpTTJZNE1EQXdNREFpSUNCc2J6RTNQU0l3SWlBZ2FHa3hOejBpCglNQ0lnSUcxMWRHVXhO
+ejBpTUNJZ0lHUmhiWEF4TnowaU1DSWdJR0ZzYkRFM1BTSXdJaUFnYzI5MWNtTmxNVGc5SW05bQoJ
+WmlJZ0lIUmhjbWRsZERFNFBTSnZabVlpSUNCa1pXWldNVGc5SWpObU9EQXdNREF3SWlBZ2JHOHhP
+RDBpTUNJZ0lHaHAKCU1UZzlJakFpSUNCdGRYUmxNVGc5SWpBaUlDQmtZVzF3TVRnOUlqQWlJQ0Jo
+Ykd3eE9EMGlNQ0lnSUhOdmRYSmpaVEU1CglQU0p2Wm1ZaUlDQjBZWEpuWlhReE9UMGliMlptSWlB
+Z1pHVm1WakU1UFNJelpqZ3dNREF3TUNJZ0lHeHZNVGs5SWpBaQoJSUNCb2FURTVQU0l3SWlBZ2JY
+VjBaVEU1UFNJd0lpQWdaR0Z0Y0RFNVBTSXdJaUFnWVd4c01UazlJakFpSUNCemIzVnkKCVkyVXlN
+RDBpYjJabUlpQWdkR0Z5WjJWME1qQTlJbTltWmlJZ0lHUmxabFl5TUQwaU0yWTRNREF3TURBaUlD
+QnNiekl3CglQU0l3SWlBZ2FHa3lNRDBpTUNJZ0lHMTFkR1V5TUQwaU1DSWdJR1JoYlhBeU1EMGlN
+Q0lnSUdGc2JESXdQU0l3SWlBZwoJYzI5MWNtTmxNakU5SW05bVppSWdJSFJoY21kbGRESXhQU0p2
+Wm1ZaUlDQmtaV1pXTWpFOUlqTm1PREF3TURBd0lpQWcKCWJHOHlNVDBpTUNJZ0lHaHBNakU5SWpB
+aUlDQnRkWFJsTWpFOUlqQWlJQ0JrWVcxd01qRTlJakFpSUNCaGJHd3lNVDBpCglNQ0lnSUhOdmRY
+SmpaVEl5UFNKdlptWWlJQ0IwWVhKblpYUXlNajBpYjJabUlpQWdaR1ZtVmpJeVBTSXpaamd3TURB
+dwoJTUNJZ0lHeHZNakk5SWpBaUlDQm9hVEl5UFNJd0lpQWdiWFYwWlRJeVBTSXdJaUFnWkdGdGNE
+SXlQU0l3SWlBZ1lXeHMKCU1qSTlJakFpSUNCemIzVnlZMlV5TXowaWIyWm1JaUFnZEdGeVoyVjBN
+ak05SW05bVppSWdJR1JsWmxZeU16MGlNMlk0CglNREF3TURBaUlDQnNiekl6UFNJd0lpQWdhR2t5
+TXowaU1DSWdJRzExZEdVeU16MGlNQ0lnSUdSaGJYQXlNejBpTUNJZwoJSUdGc2JESXpQU0l3SWlB
+Z2MyOTFjbU5sTWpROUltOW1aaUlnSUhSaGNtZGxkREkwUFNKdlptWWlJQ0JrWldaV01qUTkKCUlq
+Tm1PREF3TURBd0lpQWdiRzh5TkQwaU1DSWdJR2hwTWpROUlqTm1NREF3TURBd0lpQWdiWFYwWlRJ
+MFBTSXdJaUFnCglaR0Z0Y0RJMFBTSXdJaUFnWVd4c01qUTlJakFpSUNCemIzVnlZMlV5TlQwaWIy
+Wm1JaUFnZEdGeVoyVjBNalU5SW05bQoJWmlJZ0lHUmxabFl5TlQwaU0yWTRNREF3TURBaUlDQnNi
+ekkxUFNJd0lpQWdhR2t5TlQwaU0yWXdNREF3TURBaUlDQnQKCWRYUmxNalU5SWpBaUlDQmtZVzF3
+TWpVOUlqQWlJQ0JoYkd3eU5UMGlNQ0lnSUhOdmRYSmpaVEkyUFNKdlptWWlJQ0IwCglZWEpuWlhR
+eU5qMGliMlptSWlBZ1pHVm1WakkyUFNJelpqZ3dNREF3TUNJZ0lHeHZNalk5SWpBaUlDQm9hVEky
+UFNJegoJWmpBd01EQXdNQ0lnSUcxMWRHVXlOajBpTUNJZ0lHUmhiWEF5TmowaU1DSWdJR0ZzYkRJ
+MlBTSXdJaUFnYzI5MWNtTmwKCU1qYzlJbTltWmlJZ0lIUmhjbWRsZERJM1BTSnZabVlpSUNCa1pX
+WldNamM5SWpObU9EQXdNREF3SWlBZ2JHOHlOejBpCglNQ0lnSUdocE1qYzlJak5tTURBd01EQXdJ
+aUFnYlhWMFpUSTNQU0l3SWlBZ1pHRnRjREkzUFNJd0lpQWdZV3hzTWpjOQoJSWpBaUlDQnpiM1Z5
+WTJVeU9EMGliMlptSWlBZ2RHRnlaMlYwTWpnOUltOW1aaUlnSUdSbFpsWXlPRDBpTTJZNE1EQXcK
+CU1EQWlJQ0JzYnpJNFBTSXdJaUFnYUdreU9EMGlNMll3TURBd01EQWlJQ0J0ZFhSbE1qZzlJakFp
+SUNCa1lXMXdNamc5CglJakFpSUNCaGJHd3lPRDBpTUNJZ0lITnZkWEpqWlRJNVBTSnZabVlpSUNC
+MFlYSm5aWFF5T1QwaWIyWm1JaUFnWkdWbQoJVmpJNVBTSXpaamd3TURBd01DSWdJR3h2TWprOUlq
+QWlJQ0JvYVRJNVBTSXpaakF3TURBd01DSWdJRzExZEdVeU9UMGkKCU1DSWdJR1JoYlhBeU9UMGlN
+Q0lnSUdGc2JESTVQU0l3SWlBZ2MyOTFjbU5sTXpBOUltOW1aaUlnSUhSaGNtZGxkRE13CglQU0p2
+Wm1ZaUlDQmtaV1pXTXpBOUlqTm1PREF3TURBd0lpQWdiRzh6TUQwaU1DSWdJR2hwTXpBOUlqTm1N
+REF3TURBdwoJSWlBZ2JYVjBaVE13UFNJd0lpQWdaR0Z0Y0RNd1BTSXdJaUFnWVd4c016QTlJakFp
+SUNCemIzVnlZMlV6TVQwaWIyWm0KCUlpQWdkR0Z5WjJWME16RTlJbTltWmlJZ0lHUmxabFl6TVQw
+aU0yWTRNREF3TURBaUlDQnNiek14UFNJd0lpQWdhR2t6CglNVDBpTTJZd01EQXdNREFpSUNCdGRY
+UmxNekU5SWpBaUlDQmtZVzF3TXpFOUlqQWlJQ0JoYkd3ek1UMGlNQ0lnSUhOdgoJZFhKalpUTXlQ
+U0p2Wm1ZaUlDQjBZWEpuWlhRek1qMGliMlptSWlBZ1pHVm1Wak15UFNJelpqZ3dNREF3TUNJZ0lH
+eHYKCU16STlJakFpSUNCb2FUTXlQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXpNajBpTUNJZ0lHUmhi
+WEF6TWowaU1DSWdJR0ZzCgliRE15UFNJd0lpQWdjMjkxY21ObE16TTlJbTltWmlJZ0lIUmhjbWRs
+ZERNelBTSnZabVlpSUNCa1pXWldNek05SWpObQoJT0RBd01EQXdJaUFnYkc4ek16MGlNQ0lnSUdo
+cE16TTlJak5tTURBd01EQXdJaUFnYlhWMFpUTXpQU0l3SWlBZ1pHRnQKCWNETXpQU0l3SWlBZ1lX
+eHNNek05SWpBaUlDQnpiM1Z5WTJVek5EMGliMlptSWlBZ2RHRnlaMlYwTXpROUltOW1aaUlnCglJ
+R1JsWmxZek5EMGlNMlk0TURBd01EQWlJQ0JzYnpNMFBTSXdJaUFnYUdrek5EMGlNMll3TURBd01E
+QWlJQ0J0ZFhSbAoJTXpROUlqQWlJQ0JrWVcxd016UTlJakFpSUNCaGJHd3pORDBpTUNJZ0lITnZk
+WEpqWlRNMVBTSnZabVlpSUNCMFlYSm4KCVpYUXpOVDBpYjJabUlpQWdaR1ZtVmpNMVBTSXpaamd3
+TURBd01DSWdJR3h2TXpVOUlqQWlJQ0JvYVRNMVBTSXpaakF3CglNREF3TUNJZ0lHMTFkR1V6TlQw
+aU1DSWdJR1JoYlhBek5UMGlNQ0lnSUdGc2JETTFQU0l3SWlBZ2MyOTFjbU5sTXpZOQoJSW05bVpp
+SWdJSFJoY21kbGRETTJQU0p2Wm1ZaUlDQmtaV1pXTXpZOUlqTm1PREF3TURBd0lpQWdiRzh6Tmow
+aU1DSWcKCUlHaHBNelk5SWpObU1EQXdNREF3SWlBZ2JYVjBaVE0yUFNJd0lpQWdaR0Z0Y0RNMlBT
+SXdJaUFnWVd4c016WTlJakFpCglJQ0J6YjNWeVkyVXpOejBpYjJabUlpQWdkR0Z5WjJWME16YzlJ
+bTltWmlJZ0lHUmxabFl6TnowaU0yWTRNREF3TURBaQoJSUNCc2J6TTNQU0l3SWlBZ2FHa3pOejBp
+TTJZd01EQXdNREFpSUNCdGRYUmxNemM5SWpBaUlDQmtZVzF3TXpjOUlqQWkKCUlDQmhiR3d6Tnow
+aU1DSWdJSE52ZFhKalpUTTRQU0p2Wm1ZaUlDQjBZWEpuWlhRek9EMGliMlptSWlBZ1pHVm1Wak00
+CglQU0l6Wmpnd01EQXdNQ0lnSUd4dk16ZzlJakFpSUNCb2FUTTRQU0l6WmpBd01EQXdNQ0lnSUcx
+MWRHVXpPRDBpTUNJZwoJSUdSaGJYQXpPRDBpTUNJZ0lHRnNiRE00UFNJd0lpQWdjMjkxY21ObE16
+azlJbTltWmlJZ0lIUmhjbWRsZERNNVBTSnYKCVptWWlJQ0JrWldaV016azlJak5tT0RBd01EQXdJ
+aUFnYkc4ek9UMGlNQ0lnSUdocE16azlJak5tTURBd01EQXdJaUFnCgliWFYwWlRNNVBTSXdJaUFn
+WkdGdGNETTVQU0l3SWlBZ1lXeHNNems5SWpBaUlDQnpiM1Z5WTJVME1EMGliMlptSWlBZwoJZEdG
+eVoyVjBOREE5SW05bVppSWdJR1JsWmxZME1EMGlNMlk0TURBd01EQWlJQ0JzYnpRd1BTSXdJaUFn
+YUdrME1EMGkKCU0yWXdNREF3TURBaUlDQnRkWFJsTkRBOUlqQWlJQ0JrWVcxd05EQTlJakFpSUNC
+aGJHdzBNRDBpTUNJZ0lITnZkWEpqCglaVFF4UFNKdlptWWlJQ0IwWVhKblpYUTBNVDBpYjJabUlp
+QWdaR1ZtVmpReFBTSXpaamd3TURBd01DSWdJR3h2TkRFOQoJSWpBaUlDQm9hVFF4UFNJelpqQXdN
+REF3TUNJZ0lHMTFkR1UwTVQwaU1DSWdJR1JoYlhBME1UMGlNQ0lnSUdGc2JEUXgKCVBTSXdJaUFn
+YzI5MWNtTmxOREk5SW05bVppSWdJSFJoY21kbGREUXlQU0p2Wm1ZaUlDQmtaV1pXTkRJOUlqTm1P
+REF3CglNREF3SWlBZ2JHODBNajBpTUNJZ0lHaHBOREk5SWpObU1EQXdNREF3SWlBZ2JYVjBaVFF5
+UFNJd0lpQWdaR0Z0Y0RReQoJUFNJd0lpQWdZV3hzTkRJOUlqQWlJQ0J6YjNWeVkyVTBNejBpYjJa
+bUlpQWdkR0Z5WjJWME5ETTlJbTltWmlJZ0lHUmwKCVpsWTBNejBpTTJZNE1EQXdNREFpSUNCc2J6
+UXpQU0l3SWlBZ2FHazBNejBpTTJZd01EQXdNREFpSUNCdGRYUmxORE05CglJakFpSUNCa1lXMXdO
+RE05SWpBaUlDQmhiR3cwTXowaU1DSWdJSE52ZFhKalpUUTBQU0p2Wm1ZaUlDQjBZWEpuWlhRMAoJ
+TkQwaWIyWm1JaUFnWkdWbVZqUTBQU0l6Wmpnd01EQXdNQ0lnSUd4dk5EUTlJakFpSUNCb2FUUTBQ
+U0l6WmpBd01EQXcKCU1DSWdJRzExZEdVME5EMGlNQ0lnSUdSaGJYQTBORDBpTUNJZ0lHRnNiRFEw
+UFNJd0lpQWdjMjkxY21ObE5EVTlJbTltCglaaUlnSUhSaGNtZGxkRFExUFNKdlptWWlJQ0JrWlda
+V05EVTlJak5tT0RBd01EQXdJaUFnYkc4ME5UMGlNQ0lnSUdocAoJTkRVOUlqTm1NREF3TURBd0lp
+QWdiWFYwWlRRMVBTSXdJaUFnWkdGdGNEUTFQU0l3SWlBZ1lXeHNORFU5SWpBaUlDQnoKCWIzVnlZ
+MlUwTmowaWIyWm1JaUFnZEdGeVoyVjBORFk5SW05bVppSWdJR1JsWmxZME5qMGlNMlk0TURBd01E
+QWlJQ0JzCglielEyUFNJd0lpQWdhR2swTmowaU0yWXdNREF3TURBaUlDQnRkWFJsTkRZOUlqQWlJ
+Q0JrWVcxd05EWTlJakFpSUNCaAoJYkd3ME5qMGlNQ0lnSUhOdmRYSmpaVFEzUFNKdlptWWlJQ0Iw
+WVhKblpYUTBOejBpYjJabUlpQWdaR1ZtVmpRM1BTSXoKCVpqZ3dNREF3TUNJZ0lHeHZORGM5SWpB
+aUlDQm9hVFEzUFNJelpqQXdNREF3TUNJZ0lHMTFkR1UwTnowaU1DSWdJR1JoCgliWEEwTnowaU1D
+SWdJR0ZzYkRRM1BTSXdJaUErQ2p3dlRVOUVYMDFCVkZKSldENEtJRHhXVDBsRFJTQWdjR0YxZUd3
+OQoJSWpBaUlDQndZWFY0YVhCdlpqMGlNQ0lnUGdvOFJrbE1WRVZTSUNCaFkzUTlJakFpSUNCd1lY
+SmhQU0l3SWlBZ1ltRnMKCVBTSXdJaUFnWm5KbGNUMGlNQ0lnSUhOd2NtUTlJakFpSUNCeVpYTTlJ
+akFpSUNCclpYazlJakFpSUNCclpYbHBiblk5CglJakFpSUNCclpYbHRjRDBpTUNJZ0lHVnVkbVJ3
+ZEdnOUlqQWlJQ0JsYm5aa2NIUm9hVzUyUFNJd0lpQWdibUZ0WlQwaQoJTUNJZ0lHRmpkREU5SWpB
+aUlDQjBlWEJsTVQwaU1DSWdJR1p5WlhFeFBTSXdJaUFnY21Wek1UMGlNQ0lnSUhCaGJqRTkKCUlq
+QWlJQ0JoWTNReVBTSXdJaUFnZEhsd1pUSTlJakFpSUNCbWNtVnhNajBpTUNJZ0lISmxjekk5SWpB
+aUlDQndZVzR5CglQU0l3SWlBZ1pHbHpkRkJ2YzNROUlqQWlJQ0JsY1ZCdmMzUTlJakFpSUNCT1lX
+MWxVM1J5UFNJaUlENEtQRVZSTVRJZwoJSUVGamRHbDJaVDBpTUNJZ0lGQXdQU0l3SWlBZ1VERTlJ
+akFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROUlqQWkKCUlDQlFOVDBpTUNJZ0lGQTJQU0l3
+SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnCglVREV4UFNJ
+d0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lpQStDand2UlZFeE1qNEtJRHhG
+VVRJZwoJSUVGamRHbDJaVDBpTUNJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZB
+elBTSXdJaUFnVURROUlqQWkKCUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9E
+MGlNQ0lnSUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnCglVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdV
+REV6UFNJd0lpQWdVREUwUFNJd0lpQStDand2UlZFeVBnb2dQRVJKVTFRZwoJSUVGamRHbDJaVDBp
+TUNJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROUlqQWkK
+CUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFn
+VURFd1BTSXdJaUFnCglVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUwUFNJ
+d0lpQStDand2UkVsVFZENEtJRHd2UmtsTQoJVkVWU1Bnb2dQRmRCVmtWVFNFRlFSVklnSUdGamRE
+MGlNQ0lnSUhSNWNHVTlJakFpSUNCd2IzTTlJakFpSUNCa2NIUm8KCVBTSXdJaUFnWjJGcGJqMGlN
+Q0lnSUcxcGVEMGlNQ0lnSUhSdmJtVTlJakFpSUNCaVl6MGlNQ0lnSUhOeWNtUmpQU0l3CglJaUFn
+YldkeVpua3hQU0l3SWlBZ2JXZHlabmt5UFNJd0lpQWdibUZ0WlQwaU1DSWdJRTVoYldWVGRISTlJ
+aUlnUGdvOAoJTDFkQlZrVlRTRUZRUlZJK0NpQThUMU5ESUNCMGVYQmxQU0l3SWlBZ2EybHVaRDBp
+TUNJZ0lIRnNQU0l3SWlBZ2NXeHkKCVBTSXdJaUFnY1hKeVBTSXpaamd3TURBd01DSWdJSEZ5UFNJ
+elpqZ3dNREF3TUNJZ0lIUjFibVU5SWpBaUlDQjBkVzVsCglSbWx1WlQwaU1DSWdJR1pwYm1WVFky
+dzlJakVpSUNCd1pHVndkR2c5SWpBaUlDQndkMmxrZEdnOUlqQWlJQ0J2WTNROQoJSWpBaUlDQnpa
+VzFwUFNJd0lpQWdiR1YyWld3OUlqQWlJQ0J3WVc0OUlqQWlJQ0J3YjNKMFBTSXdJaUFnY0c5eWRF
+RmoKCWREMGlNQ0lnSUhSd2N6MGlNQ0lnSUdac1ZHVnRjR3c5SWpBaUlDQm1iRk53WkQwaU0yWXdN
+REF3TURBaUlDQm1iRXh2CgliM0E5SWpObU9EQXdNREF3SWlBZ2JXOWthVzUwUFNJd0lpQWdiVzlr
+WkdWd2RHZzlJakFpSUNCbWJUMGlNQ0lnSUdadAoJYTNROUlqQWlJQ0JtYlhkbVBTSXdJaUFnWm0x
+elkydzlJakFpSUNCbWJYQmtQU0l3SWlBZ1ptMXdkejBpTUNJZ0lHWnQKCWFITTlJakFpSUNCQlRX
+MXZaR2x1ZEQwaU1DSWdJRUZOYlc5a1pHVndkR2c5SWpBaUlDQmhiVDBpTUNJZ0lHRnRhM1E5CglJ
+akFpSUNCaGJYZG1QU0l3SWlBZ1lXMXpZMnc5SWpBaUlDQmhiWEJrUFNJd0lpQWdZVzF3ZHowaU1D
+SWdJR0Z0YUhNOQoJSWpBaUlDQm5jbUZ1UFNJd0lpQWdibWR5WVdsdWN6MGlNQ0lnSUdkeVlXbHVN
+ejBpTUNJZ0lHZHlZV2x1TkQwaU1DSWcKCUlHZHlZV2x1TlQwaU1DSWdJR2R5WVdsdU5qMGlNQ0ln
+SUdkeVlXNVRjSEprUFNJd0lpQWdaM0poYmxCRWFYSTlJakFpCglJQ0JuY21GdVVFRmpZM1Z0UFNJ
+d0lpQWdaM0poYmsxcGVEMGlNQ0lnSUdkeVlXNUZlSEE5SWpBaUlDQm5jbUZ1VkhKbgoJUFNJd0lp
+QWdaV2xHY2t4dll6MGlNQ0lnSUdkeVlXNVFiM005SWpBaUlDQm5jbUZ1VmpFOUlqQWlJQ0IxWTI1
+MFBTSXcKCUlpQWdkV1J3ZEdnOUlqQWlJQ0IxZDJSMGFEMGlNQ0lnSUhWa2NISm5QU0l3SWlBZ2RX
+OWpkRDBpTUNJZ0lIVmtjbVowCglQU0l3SWlBZ2RYWndjejBpTUNJZ0lHaHlaSE51WXowaU1DSWdJ
+SEpsY0hSamFEMGlNQ0lnSUhOd2FHRTlJakFpSUNCegoJWVc1aFBTSXdJaUFnWVhSeWJUMGlNQ0ln
+SUhOelpYTTlJakFpSUNCemMyVnplVDBpTUNJZ0lIWnRkRDBpTUNJZ0lIWnQKCVlUMGlNQ0lnSUdO
+emMyaGtZVzF3UFNJd0lpQStDanhJUVZKTklDQkJZM1F4UFNJd0lpQWdiSFpzTVQwaU1DSWdJSEJo
+CgliakU5SWpBaUlDQjBkVzR4UFNJd0lpQWdjMjFwTVQwaU1DSWdJSE5vY0RFOUlqQWlJQ0J6ZVcx
+dE1UMGlNQ0lnSUhONQoJYmpFOUlqQWlJQ0IzWm0weFBTSXdJaUFnUVdOME1qMGlNQ0lnSUd4MmJE
+STlJakFpSUNCd1lXNHlQU0l3SWlBZ2RIVnUKCU1qMGlNQ0lnSUhOdGFUSTlJakFpSUNCemFIQXlQ
+U0l3SWlBZ2MzbHRiVEk5SWpBaUlDQnplVzR5UFNJd0lpQWdkMlp0CglNajBpTUNJZ0lFRmpkRE05
+SWpBaUlDQnNkbXd6UFNJd0lpQWdjR0Z1TXowaU1DSWdJSFIxYmpNOUlqQWlJQ0J6YldregoJUFNJ
+d0lpQWdjMmh3TXowaU1DSWdJSE41YlcwelBTSXdJaUFnYzNsdU16MGlNQ0lnSUhkbWJUTTlJakFp
+SUNCQlkzUTAKCVBTSXdJaUFnYkhac05EMGlNQ0lnSUhCaGJqUTlJakFpSUNCMGRXNDBQU0l3SWlB
+Z2MyMXBORDBpTUNJZ0lITm9jRFE5CglJakFpSUNCemVXMXRORDBpTUNJZ0lITjVialE5SWpBaUlD
+QjNabTAwUFNJd0lpQWdiVzlrUFNJd0lpQWdiV2w0UFNJdwoJSWlBK0Nqd3ZTRUZTVFQ0S0lEeFVU
+MDVGVjBoRlJVd2dJR1J5ZHpFOUlqTm1NREF3TURBd0lpQWdaSEozTWowaU0yWXcKCU1EQXdNREFp
+SUNCa2NuY3pQU0l6WmpBd01EQXdNQ0lnSUdSeWR6UTlJak5tTURBd01EQXdJaUFnWkhKM05UMGlN
+Q0lnCglJR1J5ZHpZOUlqQWlJQ0JrY25jM1BTSXdJaUFnWkhKM09EMGlNQ0lnSUdSeWR6azlJakFp
+SUNCd1pXUXhQU0l6WmpBdwoJTURBd01DSWdJSEJsWkRJOUlqTm1NREF3TURBd0lpQWdVM0JQYmow
+aU1DSWdJRlpQYmowaU1DSWdJRlp0YjJSbFBTSXcKCUlpQWdVRzl1UFNJd0lpQWdVSE52Wm5ROUlq
+QWlJQ0JRWm1GemREMGlNQ0lnSUZCb1lYSnRQU0l3SWlBZ1UzQnJjajBpCglNQ0lnSUVOc2FXTnJQ
+U0l3SWlBZ1NIVnRQU0l3SWlBZ1FXZGxQU0l3SWlBZ1dIUmhiR3M5SWpBaUlDQk1iM2RtYjJ4awoJ
+UFNJelpqZ3dNREF3TUNJZ0lGQTVaRDBpTTJZNE1EQXdNREFpSUNCUWJHVm5QU0l6Wmpnd01EQXdN
+Q0lnSUZCa2FXMDkKCUlqTm1PREF3TURBd0lpQStDand2VkU5T1JWZElSVVZNUGdvZ1BGZEJWa1ZU
+SUQ0S1BDOVhRVlpGVXo0S0lEeEdUVmRCCglWa1ZUSUQ0S1BDOUdUVmRCVmtWVFBnb2dQRUZOVjBG
+V1JWTWdQZ284TDBGTlYwRldSVk0rQ2lBOEwwOVRRejRLSUR4RwoJUlU1V0lDQmpQU0k0SWlBZ2NH
+RnVQU0l3SWlBZ2VtOXZiVDBpTTJZd09ETXhPR01pSUQ0S1BIQWdJR3c5SWpObU9EQXcKCU1EQXdJ
+aUFnZEQwaU1DSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JE
+MGlNMlk0CglNREF3TURBaUlDQjBQU0l6WXpJelpEY3dNQ0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dN
+REF3TUNJZ1BnbzhMM0ErQ2lBOAoJY0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelkyRXpaRGN3
+TUNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWcKCVBnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZ
+NE1EQXdNREFpSUNCMFBTSXpZMlkxWXpJNE5TSWdJSE05SWpBaUlDQmpQU0l6Cglaamd3TURBd01D
+SWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WkRJelpEY3dOU0lnSUhN
+OQoJSWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01E
+QWlJQ0IwUFNJelpEUmoKCVkyTmpOeUlnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhM
+M0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpCglJQ0IwUFNJelpEYzFZekk0WVNJZ0lITTlJakFp
+SUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaQoJTTJZNE1EQXdNREFpSUNC
+MFBTSXpaRGhtTldNeU5TSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQSsKCUNp
+QThjQ0FnYkQwaU1DSWdJSFE5SWpOa1lUTmtOekExSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURB
+d0lpQStDand2CgljRDRLSUR3dlJrVk9WajRLSUR4R1JVNVdVRUZTUVUxVElDQmhQU0l3SWlBZ2FE
+MGlNQ0lnSUdROUlqQWlJQ0J5UFNJdwoJSWlBZ1lYUjBhejBpTTJVMk5HWTVNamNpSUNCb2IyeGtQ
+U0l6WlRZMFpqa3lOeUlnSUdSbFkzazlJak5sTmpSbU9USTMKCUlpQWdjM1Z6ZEQwaU0yWTRNREF3
+TURBaUlDQnlaV3h6UFNJelpUWTBaamt5TnlJZ0lITnRjRDBpTUNJZ0lHeHdQU0l3CglJaUFnYzNs
+dVl6MGlNQ0lnSUhOd1pEMGlNQ0lnSUhSeVowMWtQU0l3SWlBZ2RtVnNjMlZ1Y3owaU1DSWdJRzFu
+YkhacwoJY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSd2REMGlNQ0lnSUdOb2MxUnlaejBpTUNJ
+Z0lHRjBZMmh6UFNJd0lpQSsKCUNqd3ZSa1ZPVmxCQlVrRk5VejRLSUR4QlJVNVdJQ0JqUFNJNElp
+QWdjR0Z1UFNJd0lpQWdlbTl2YlQwaU0yWXdPRE14CglPR01pSUQ0S1BIQWdJR3c5SWpObU9EQXdN
+REF3SWlBZ2REMGlNQ0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZwoJUGdvOEwzQStDaUE4
+Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJell6SXpaRGN3TUNJZ0lITTlJakFpSUNCalBTSXoK
+CVpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpZMkV6
+WkRjd01DSWdJSE05CglJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQw
+aU0yWTRNREF3TURBaUlDQjBQU0l6WTJZMQoJWXpJNE5TSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01E
+QXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWkKCUlDQjBQU0l6WkRJelpEY3dO
+U0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpCglNMlk0
+TURBd01EQWlJQ0IwUFNJelpEUmpZMk5qTnlJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQ
+Z284TDNBKwoJQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpaRGMxWXpJNFlTSWdJSE05
+SWpBaUlDQmpQU0l6Wmpnd01EQXcKCU1DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURB
+aUlDQjBQU0l6WkRobU5XTXlOU0lnSUhNOUlqQWlJQ0JqCglQU0l6Wmpnd01EQXdNQ0lnUGdvOEwz
+QStDaUE4Y0NBZ2JEMGlNQ0lnSUhROUlqTmtZVE5rTnpBMUlpQWdjejBpTUNJZwoJSUdNOUlqTm1P
+REF3TURBd0lpQStDand2Y0Q0S0lEd3ZRVVZPVmo0S0lEeEJSVTVXVUVGU1FVMVRJQ0J2Yms5bVpq
+MGkKCU1DSWdJR0U5SWpBaUlDQm9QU0l3SWlBZ1pEMGlNQ0lnSUhJOUlqQWlJQ0JoZEhSclBTSXpa
+VFkwWmpreU55SWdJR2h2CgliR1E5SWpObE5qUm1PVEkzSWlBZ1pHVmplVDBpTTJVMk5HWTVNamNp
+SUNCemRYTjBQU0l6Wmpnd01EQXdNQ0lnSUhKbAoJYkhNOUlqTmxOalJtT1RJM0lpQWdjMjF3UFNJ
+d0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJd0lpQWdjM0JrUFNJd0lpQWcKCWRISm5UV1E5SWpBaUlD
+QjJaV3h6Wlc1elBTSXdJaUFnYldkc2RteHpQU0l3SWlBZ2JXZGpjblp6UFNJd0lpQWdaSEIwCglQ
+U0l3SWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5QlJVNVdVRUZTUVUxVFBn
+b2dQRVZHUmxKQgoJUTBzZ1BnbzhSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJ
+Q0JRTUQwaU1DSWdJRkF4UFNJd0lpQWcKCVVESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFn
+VURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5CglJakFpSUNCUU9UMGlNQ0lnSUZB
+eE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeAoJTkQwaU1D
+SWdJRUZqZEdsMlpUMGlNQ0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZS
+NWNHVTkKCUlrNXZJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lG
+QXpQU0l3SWlBZ1VEUTlJakFpCglJQ0JRTlQwaU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFP
+RDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZwoJVURFeFBTSXdJaUFnVURFeVBTSXdJaUFn
+VURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3YKCVJVWkdUVTlFVlV4
+RlBnb2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JR
+CglNVDBpTUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZ
+OUlqQWlJQ0JRTnowaQoJTUNJZ0lGQTRQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1U
+RTlJakFpSUNCUU1USTlJakFpSUNCUU1UTTkKCUlqQWlJQ0JRTVRROUlqQWlJQ0JCWTNScGRtVTlJ
+akFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaR1RVOUVWVXhGCglJQ0JVZVhCbFBTSk9ieUJG
+Wm1abFkzUWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZwoJSUZB
+MFBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBp
+TUNJZ0lGQXgKCU1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZB
+eE5EMGlNQ0lnSUVGamRHbDJaVDBpCglNQ0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHd2UlVaR1Vr
+RkRTejRLSUR3dlZrOUpRMFUrQ2lBOFZrOUpRMFVnSUhCaAoJZFhoc1BTSXdJaUFnY0dGMWVHbHdi
+Mlk5SWpBaUlENEtQRVpKVEZSRlVpQWdZV04wUFNJd0lpQWdjR0Z5WVQwaU1DSWcKCUlHSmhiRDBp
+TUNJZ0lHWnlaWEU5SWpBaUlDQnpjSEprUFNJd0lpQWdjbVZ6UFNJd0lpQWdhMlY1UFNJd0lpQWdh
+MlY1CglhVzUyUFNJd0lpQWdhMlY1YlhBOUlqQWlJQ0JsYm5aa2NIUm9QU0l3SWlBZ1pXNTJaSEIw
+YUdsdWRqMGlNQ0lnSUc1aAoJYldVOUlqQWlJQ0JoWTNReFBTSXdJaUFnZEhsd1pURTlJakFpSUNC
+bWNtVnhNVDBpTUNJZ0lISmxjekU5SWpBaUlDQncKCVlXNHhQU0l3SWlBZ1lXTjBNajBpTUNJZ0lI
+UjVjR1V5UFNJd0lpQWdabkpsY1RJOUlqQWlJQ0J5WlhNeVBTSXdJaUFnCgljR0Z1TWowaU1DSWdJ
+R1JwYzNSUWIzTjBQU0l3SWlBZ1pYRlFiM04wUFNJd0lpQWdUbUZ0WlZOMGNqMGlJaUErQ2p4RgoJ
+VVRFeUlDQkJZM1JwZG1VOUlqQWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFN
+ejBpTUNJZ0lGQTAKCVBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5
+SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpCglNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZB
+eE16MGlNQ0lnSUZBeE5EMGlNQ0lnUGdvOEwwVlJNVEkrQ2lBOAoJUlZFeUlDQkJZM1JwZG1VOUlq
+QWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTAKCVBTSXdJ
+aUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lG
+QXhNRDBpCglNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlN
+Q0lnUGdvOEwwVlJNajRLSUR4RQoJU1ZOVUlDQkJZM1JwZG1VOUlqQWlJQ0JRTUQwaU1DSWdJRkF4
+UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTAKCVBTSXdJaUFnVURVOUlqQWlJQ0JRTmow
+aU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpCglNQ0lnSUZBeE1U
+MGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnUGdvOEwwUkpVMVErQ2lB
+OAoJTDBaSlRGUkZVajRLSUR4WFFWWkZVMGhCVUVWU0lDQmhZM1E5SWpBaUlDQjBlWEJsUFNJd0lp
+QWdjRzl6UFNJd0lpQWcKCVpIQjBhRDBpTUNJZ0lHZGhhVzQ5SWpBaUlDQnRhWGc5SWpBaUlDQjBi
+MjVsUFNJd0lpQWdZbU05SWpBaUlDQnpjbkprCglZejBpTUNJZ0lHMW5jbVo1TVQwaU1DSWdJRzFu
+Y21aNU1qMGlNQ0lnSUc1aGJXVTlJakFpSUNCT1lXMWxVM1J5UFNJaQoJSUQ0S1BDOVhRVlpGVTBo
+QlVFVlNQZ29nUEU5VFF5QWdkSGx3WlQwaU1DSWdJR3RwYm1ROUlqQWlJQ0J4YkQwaU1DSWcKCUlI
+RnNjajBpTUNJZ0lIRnljajBpTTJZNE1EQXdNREFpSUNCeGNqMGlNMlk0TURBd01EQWlJQ0IwZFc1
+bFBTSXdJaUFnCglkSFZ1WlVacGJtVTlJakFpSUNCbWFXNWxVMk5zUFNJeElpQWdjR1JsY0hSb1BT
+SXdJaUFnY0hkcFpIUm9QU0l3SWlBZwoJYjJOMFBTSXdJaUFnYzJWdGFUMGlNQ0lnSUd4bGRtVnNQ
+U0l3SWlBZ2NHRnVQU0l3SWlBZ2NHOXlkRDBpTUNJZ0lIQnYKCWNuUkJZM1E5SWpBaUlDQjBjSE05
+SWpBaUlDQm1iRlJsYlhCc1BTSXdJaUFnWm14VGNHUTlJak5tTURBd01EQXdJaUFnCglabXhNYjI5
+d1BTSXpaamd3TURBd01DSWdJRzF2WkdsdWREMGlNQ0lnSUcxdlpHUmxjSFJvUFNJd0lpQWdabTA5
+SWpBaQoJSUNCbWJXdDBQU0l3SWlBZ1ptMTNaajBpTUNJZ0lHWnRjMk5zUFNJd0lpQWdabTF3WkQw
+aU1DSWdJR1p0Y0hjOUlqQWkKCUlDQm1iV2h6UFNJd0lpQWdRVTF0YjJScGJuUTlJakFpSUNCQlRX
+MXZaR1JsY0hSb1BTSXdJaUFnWVcwOUlqQWlJQ0JoCgliV3QwUFNJd0lpQWdZVzEzWmowaU1DSWdJ
+R0Z0YzJOc1BTSXdJaUFnWVcxd1pEMGlNQ0lnSUdGdGNIYzlJakFpSUNCaAoJYldoelBTSXdJaUFn
+WjNKaGJqMGlNQ0lnSUc1bmNtRnBibk05SWpBaUlDQm5jbUZwYmpNOUlqQWlJQ0JuY21GcGJqUTkK
+CUlqQWlJQ0JuY21GcGJqVTlJakFpSUNCbmNtRnBialk5SWpBaUlDQm5jbUZ1VTNCeVpEMGlNQ0ln
+SUdkeVlXNVFSR2x5CglQU0l3SWlBZ1ozSmhibEJCWTJOMWJUMGlNQ0lnSUdkeVlXNU5hWGc5SWpB
+aUlDQm5jbUZ1Ulhod1BTSXdJaUFnWjNKaAoJYmxSeVp6MGlNQ0lnSUdWcFJuSk1iMk05SWpBaUlD
+Qm5jbUZ1VUc5elBTSXdJaUFnWjNKaGJsWXhQU0l3SWlBZ2RXTnUKCWREMGlNQ0lnSUhWa2NIUm9Q
+U0l3SWlBZ2RYZGtkR2c5SWpBaUlDQjFaSEJ5WnowaU1DSWdJSFZ2WTNROUlqQWlJQ0IxCglaSEpt
+ZEQwaU1DSWdJSFYyY0hNOUlqQWlJQ0JvY21SemJtTTlJakFpSUNCeVpYQjBZMmc5SWpBaUlDQnpj
+R2hoUFNJdwoJSWlBZ2MyRnVZVDBpTUNJZ0lHRjBjbTA5SWpBaUlDQnpjMlZ6UFNJd0lpQWdjM05s
+YzNrOUlqQWlJQ0IyYlhROUlqQWkKCUlDQjJiV0U5SWpBaUlDQmpjM05vWkdGdGNEMGlNQ0lnUGdv
+OFNFRlNUU0FnUVdOME1UMGlNQ0lnSUd4MmJERTlJakFpCglJQ0J3WVc0eFBTSXdJaUFnZEhWdU1U
+MGlNQ0lnSUhOdGFURTlJakFpSUNCemFIQXhQU0l3SWlBZ2MzbHRiVEU5SWpBaQoJSUNCemVXNHhQ
+U0l3SWlBZ2QyWnRNVDBpTUNJZ0lFRmpkREk5SWpBaUlDQnNkbXd5UFNJd0lpQWdjR0Z1TWowaU1D
+SWcKCUlIUjFiakk5SWpBaUlDQnpiV2t5UFNJd0lpQWdjMmh3TWowaU1DSWdJSE41YlcweVBTSXdJ
+aUFnYzNsdU1qMGlNQ0lnCglJSGRtYlRJOUlqQWlJQ0JCWTNRelBTSXdJaUFnYkhac016MGlNQ0ln
+SUhCaGJqTTlJakFpSUNCMGRXNHpQU0l3SWlBZwoJYzIxcE16MGlNQ0lnSUhOb2NETTlJakFpSUNC
+emVXMXRNejBpTUNJZ0lITjViak05SWpBaUlDQjNabTB6UFNJd0lpQWcKCVFXTjBORDBpTUNJZ0lH
+eDJiRFE5SWpBaUlDQndZVzQwUFNJd0lpQWdkSFZ1TkQwaU1DSWdJSE50YVRROUlqQWlJQ0J6Cglh
+SEEwUFNJd0lpQWdjM2x0YlRROUlqQWlJQ0J6ZVc0MFBTSXdJaUFnZDJadE5EMGlNQ0lnSUcxdlpE
+MGlNQ0lnSUcxcAoJZUQwaU1DSWdQZ284TDBoQlVrMCtDaUE4VkU5T1JWZElSVVZNSUNCa2NuY3hQ
+U0l6WmpBd01EQXdNQ0lnSUdSeWR6STkKCUlqTm1NREF3TURBd0lpQWdaSEozTXowaU0yWXdNREF3
+TURBaUlDQmtjbmMwUFNJelpqQXdNREF3TUNJZ0lHUnlkelU5CglJakFpSUNCa2NuYzJQU0l3SWlB
+Z1pISjNOejBpTUNJZ0lHUnlkemc5SWpBaUlDQmtjbmM1UFNJd0lpQWdjR1ZrTVQwaQoJTTJZd01E
+QXdNREFpSUNCd1pXUXlQU0l6WmpBd01EQXdNQ0lnSUZOd1QyNDlJakFpSUNCV1QyNDlJakFpSUNC
+V2JXOWsKCVpUMGlNQ0lnSUZCdmJqMGlNQ0lnSUZCemIyWjBQU0l3SWlBZ1VHWmhjM1E5SWpBaUlD
+QlFhR0Z5YlQwaU1DSWdJRk53CglhM0k5SWpBaUlDQkRiR2xqYXowaU1DSWdJRWgxYlQwaU1DSWdJ
+RUZuWlQwaU1DSWdJRmgwWVd4clBTSXdJaUFnVEc5MwoJWm05c1pEMGlNMlk0TURBd01EQWlJQ0JR
+T1dROUlqTm1PREF3TURBd0lpQWdVR3hsWnowaU0yWTRNREF3TURBaUlDQlEKCVpHbHRQU0l6Wmpn
+d01EQXdNQ0lnUGdvOEwxUlBUa1ZYU0VWRlRENEtJRHhYUVZaRlV5QStDand2VjBGV1JWTStDaUE4
+CglSazFYUVZaRlV5QStDand2UmsxWFFWWkZVejRLSUR4QlRWZEJWa1ZUSUQ0S1BDOUJUVmRCVmtW
+VFBnb2dQQzlQVTBNKwoJQ2lBOFJrVk9WaUFnWXowaU9DSWdJSEJoYmowaU1DSWdJSHB2YjIwOUlq
+Tm1NRGd6TVRoaklpQStDanh3SUNCc1BTSXoKCVpqZ3dNREF3TUNJZ0lIUTlJakFpSUNCelBTSXdJ
+aUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5CglJak5tT0RBd01EQXdJaUFn
+ZEQwaU0yTXlNMlEzTURBaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5dwoJUGdv
+Z1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMk5oTTJRM01EQWlJQ0J6UFNJd0lpQWdZejBp
+TTJZNE1EQXcKCU1EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJO
+bU5XTXlPRFVpSUNCelBTSXdJaUFnCglZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lH
+dzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUXlNMlEzTURVaQoJSUNCelBTSXdJaUFnWXowaU0yWTRN
+REF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGkKCU0yUTBZMk5q
+WXpjaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1P
+REF3CglNREF3SWlBZ2REMGlNMlEzTldNeU9HRWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFp
+SUQ0S1BDOXdQZ29nUEhBZwoJSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJRNFpqVmpNalVpSUNC
+elBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEsKCVBDOXdQZ29nUEhBZ0lHdzlJakFpSUNCMFBT
+SXpaR0V6WkRjd05TSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnCglQZ284TDNBK0NpQThM
+MFpGVGxZK0NpQThSa1ZPVmxCQlVrRk5VeUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlBZwoJ
+Y2owaU1DSWdJR0YwZEdzOUlqTmxOalJtT1RJM0lpQWdhRzlzWkQwaU0yVTJOR1k1TWpjaUlDQmta
+V041UFNJelpUWTAKCVpqa3lOeUlnSUhOMWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMlUy
+TkdZNU1qY2lJQ0J6YlhBOUlqQWlJQ0JzCgljRDBpTUNJZ0lITjVibU05SWpBaUlDQnpjR1E5SWpB
+aUlDQjBjbWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpSUNCdAoJWjJ4MmJITTlJakFpSUNCdFoy
+Tnlkbk05SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGkKCU1DSWdQ
+Z284TDBaRlRsWlFRVkpCVFZNK0NpQThRVVZPVmlBZ1l6MGlPQ0lnSUhCaGJqMGlNQ0lnSUhwdmIy
+MDlJak5tCglNRGd6TVRoaklpQStDanh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpBaUlDQnpQ
+U0l3SWlBZ1l6MGlNMlk0TURBdwoJTURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3
+SWlBZ2REMGlNMk15TTJRM01EQWlJQ0J6UFNJd0lpQWcKCVl6MGlNMlk0TURBd01EQWlJRDRLUEM5
+d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJOaE0yUTNNREFpCglJQ0J6UFNJd0lp
+QWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQw
+aQoJTTJObU5XTXlPRFVpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BI
+QWdJR3c5SWpObU9EQXcKCU1EQXdJaUFnZEQwaU0yUXlNMlEzTURVaUlDQnpQU0l3SWlBZ1l6MGlN
+Mlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnCglJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMlEw
+WTJOall6Y2lJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0SwoJUEM5d1Bnb2dQSEFnSUd3
+OUlqTm1PREF3TURBd0lpQWdkRDBpTTJRM05XTXlPR0VpSUNCelBTSXdJaUFnWXowaU0yWTQKCU1E
+QXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUTRaalZqTWpV
+aUlDQnpQU0l3CglJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpBaUlD
+QjBQU0l6WkdFelpEY3dOU0lnSUhNOQoJSWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStD
+aUE4TDBGRlRsWStDaUE4UVVWT1ZsQkJVa0ZOVXlBZ2IyNVAKCVptWTlJakFpSUNCaFBTSXdJaUFn
+YUQwaU1DSWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNamNpCglJQ0JvYjJ4
+a1BTSXpaVFkwWmpreU55SWdJR1JsWTNrOUlqTmxOalJtT1RJM0lpQWdjM1Z6ZEQwaU0yWTRNREF3
+TURBaQoJSUNCeVpXeHpQU0l6WlRZMFpqa3lOeUlnSUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFnYzNs
+dVl6MGlNQ0lnSUhOd1pEMGkKCU1DSWdJSFJ5WjAxa1BTSXdJaUFnZG1Wc2MyVnVjejBpTUNJZ0lH
+MW5iSFpzY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnCglJR1J3ZEQwaU1DSWdJR05vYzFSeVp6MGlN
+Q0lnSUdGMFkyaHpQU0l3SWlBK0Nqd3ZRVVZPVmxCQlVrRk5VejRLSUR4RgoJUmtaU1FVTkxJRDRL
+UEVWR1JrMVBSRlZNUlNBZ1ZIbHdaVDBpVG04Z1JXWm1aV04wSWlBZ1VEQTlJakFpSUNCUU1UMGkK
+CU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3SWlBZ1VEWTlJakFp
+SUNCUU56MGlNQ0lnCglJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpB
+aUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaQoJSUNCUU1UUTlJakFpSUNCQlkzUnBkbVU5SWpBaUlE
+NEtQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlUKCWVYQmxQU0pPYnlCRlptWmxZ
+M1FpSUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwCglQU0l3
+SWlBZ1VEVTlJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJ
+RkF4TUQwaQoJTUNJZ0lGQXhNVDBpTUNJZ0lGQXhNajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXhORDBp
+TUNJZ0lFRmpkR2wyWlQwaU1DSWcKCVBnbzhMMFZHUmsxUFJGVk1SVDRLSUR4RlJrWk5UMFJWVEVV
+Z0lGUjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3CglJaUFnVURFOUlqQWlJQ0JRTWowaU1D
+SWdJRkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZwoJVURjOUlqQWlJ
+Q0JRT0QwaU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lp
+QWcKCVVERXpQU0l3SWlBZ1VERTBQU0l3SWlBZ1FXTjBhWFpsUFNJd0lpQStDand2UlVaR1RVOUVW
+VXhGUGdvZ1BFVkdSazFQCglSRlZNUlNBZ1ZIbHdaVDBpVG04Z1JXWm1aV04wSWlBZ1VEQTlJakFp
+SUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOQoJSWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3SWlB
+Z1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWkKCUlDQlFNVEE5SWpBaUlD
+QlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwCglk
+bVU5SWpBaUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOEwwVkdSbEpCUTBzK0NpQThMMVpQU1VORlBn
+b2dQRTFWVEZSSgoJVTBGTlVFeEZJQ0JNWVhsbGNqQldiMnc5SWpBaUlDQk1ZWGxsY2pCQlkzUTlJ
+akFpSUNCTVlYbGxjakJOZEQwaU1DSWcKCUlFeGhlV1Z5TUVac1BTSXdJaUFnVEdGNVpYSXhWbTlz
+UFNJd0lpQWdUR0Y1WlhJeFFXTjBQU0l3SWlBZ1RHRjVaWEl4CglUWFE5SWpBaUlDQk1ZWGxsY2pG
+R2JEMGlNQ0lnSUV4aGVXVnlNbFp2YkQwaU1DSWdJRXhoZVdWeU1rRmpkRDBpTUNJZwoJSUV4aGVX
+VnlNazEwUFNJd0lpQWdUR0Y1WlhJeVJtdzlJakFpSUNCTVlYbGxjak5XYjJ3OUlqQWlJQ0JNWVhs
+bGNqTkIKCVkzUTlJakFpSUNCTVlYbGxjak5OZEQwaU1DSWdJRXhoZVdWeU0wWnNQU0l3SWlBZ2Nt
+VnNWbTlzUFNJd0lpQWdjR1ZrCglUSFpzUFNJd0lpQWdjR1ZrUmxnOUlqTm1PREF3TURBd0lpQWdj
+M0o0Wm1Ga1pUMGlNQ0lnSUhKbGJGSjFiR1U5SWpBaQoJSUNCMGFXMWljbVU5SWpBaUlDQjBZbTFr
+UFNJd0lpQWdaVzV6YzI1eWJEMGlNQ0lnSUhKbGNIUmphSEpsYkQwaU1DSWcKCUlITnpjbVYyY0dJ
+OUlqQWlJQ0J0YjJkeWFXWjVQU0l3SWlBZ2MzTjBhR2x1Ulc0OUlqQWlJRDRLUEM5TlZVeFVTVk5C
+CglUVkJNUlQ0S0lEeE5WVXhVU1ZOQlRWQk1SU0FnVEdGNVpYSXdWbTlzUFNJd0lpQWdUR0Y1WlhJ
+d1FXTjBQU0l3SWlBZwoJVEdGNVpYSXdUWFE5SWpBaUlDQk1ZWGxsY2pCR2JEMGlNQ0lnSUV4aGVX
+VnlNVlp2YkQwaU1DSWdJRXhoZVdWeU1VRmoKCWREMGlNQ0lnSUV4aGVXVnlNVTEwUFNJd0lpQWdU
+R0Y1WlhJeFJtdzlJakFpSUNCTVlYbGxjakpXYjJ3OUlqQWlJQ0JNCglZWGxsY2pKQlkzUTlJakFp
+SUNCTVlYbGxjakpOZEQwaU1DSWdJRXhoZVdWeU1rWnNQU0l3SWlBZ1RHRjVaWEl6Vm05cwoJUFNJ
+d0lpQWdUR0Y1WlhJelFXTjBQU0l3SWlBZ1RHRjVaWEl6VFhROUlqQWlJQ0JNWVhsbGNqTkdiRDBp
+TUNJZ0lISmwKCWJGWnZiRDBpTUNJZ0lIQmxaRXgyYkQwaU1DSWdJSEJsWkVaWVBTSXpaamd3TURB
+d01DSWdJSE55ZUdaaFpHVTlJakFpCglJQ0J5Wld4U2RXeGxQU0l3SWlBZ2RHbHRZbkpsUFNJd0lp
+QWdkR0p0WkQwaU1DSWdJR1Z1YzNOdWNtdzlJakFpSUNCeQoJWlhCMFkyaHlaV3c5SWpBaUlDQnpj
+M0psZG5CaVBTSXdJaUFnYlc5bmNtbG1lVDBpTUNJZ0lITnpkR2hwYmtWdVBTSXcKCUlpQStDand2
+VFZWTVZFbFRRVTFRVEVVK0NpQThSVVpHVWtGRFN5QStDanhGUmtaTlQwUlZURVVnSUZSNWNHVTlJ
+azV2CglJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQU0l3
+SWlBZ1VEUTlJakFpSUNCUQoJTlQwaU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJ
+Z0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXgKCVBTSXdJaUFnVURFeVBTSXdJaUFnVURFelBT
+SXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHCglUVTlFVlV4RlBnb2dQ
+RVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaQoJ
+TUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJ
+Q0JRTnowaU1DSWcKCUlGQTRQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFp
+SUNCUU1USTlJakFpSUNCUU1UTTlJakFpCglJQ0JRTVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0
+S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaR1RVOUVWVXhGSUNCVQoJZVhCbFBTSk9ieUJGWm1abFkz
+UWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTAKCVBTSXdJ
+aUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lG
+QXhNRDBpCglNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlN
+Q0lnSUVGamRHbDJaVDBpTUNJZwoJUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVn
+SUZSNWNHVTlJazV2SUVWbVptVmpkQ0lnSUZBd1BTSXcKCUlpQWdVREU5SWpBaUlDQlFNajBpTUNJ
+Z0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnCglVRGM5SWpBaUlD
+QlFPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlB
+ZwoJVURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZV
+eEZQZ29nUEM5RlJrWlMKCVFVTkxQZ29nUEVGVldFVkdSbEpCUTBzZ1BnbzhSVVpHVFU5RVZVeEZJ
+Q0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRCglNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFp
+SUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaQoJTUNJZ0lGQTNQU0l3SWlB
+Z1VEZzlJakFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGkKCU1D
+SWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdJRUZqZEdsMlpUMGlNQ0lnUGdvOEwwVkdSazFQUkZW
+TVJUNEtJRHhGCglSa1pOVDBSVlRFVWdJRlI1Y0dVOUlrNXZJRVZtWm1WamRDSWdJRkF3UFNJd0lp
+QWdVREU5SWpBaUlDQlFNajBpTUNJZwoJSUZBelBTSXdJaUFnVURROUlqQWlJQ0JRTlQwaU1DSWdJ
+RkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTUKCVBTSXdJaUFnVURFd1BTSXdJaUFn
+VURFeFBTSXdJaUFnVURFeVBTSXdJaUFnVURFelBTSXdJaUFnVURFMFBTSXdJaUFnCglRV04wYVha
+bFBTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThn
+UldabQoJWldOMElpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNC
+UU5EMGlNQ0lnSUZBMVBTSXcKCUlpQWdVRFk5SWpBaUlDQlFOejBpTUNJZ0lGQTRQU0l3SWlBZ1VE
+azlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpCglJQ0JRTVRJOUlqQWlJQ0JRTVRNOUlqQWlJ
+Q0JRTVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVgoJVEVVK0NpQThSVVpH
+VFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWcK
+CVVESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEz
+UFNJd0lpQWdVRGc5CglJakFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZB
+eE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeAoJTkQwaU1DSWdJRUZqZEdsMlpUMGlNQ0lnUGdvOEww
+VkdSazFQUkZWTVJUNEtJRHd2UVZWWVJVWkdVa0ZEU3o0S0lEeE0KCVJrOWZVMFZVSUQ0S1BFeEdU
+eUFnZEhsd1pUMGlNQ0lnSUdObGJuUmxjajBpTUNJZ0lITjNhVzVuUFNJd0lpQWdjbUYwCglaVDBp
+TUNJZ0lISnVaSFJ5UFNJd0lpQWdjbUZ1WkhKblBTSXdJaUFnY21GdVpISmxkajBpTUNJZ0lIQjFi
+SE5sYldsNAoJUFNJd0lpQWdjSFZzYzJWeVlYUmxQU0l3SWlBZ2MyTmhiR1U5SWpBaUlDQnplVzVq
+UFNJd0lpQWdjbVZ6WlhSMGNqMGkKCU1DSWdJR1Z1ZG1Sd2RHZzlJakFpSUNCaWNHOXNZWEk5SWpB
+aUlDQndhR0Z6WlQwaU1DSWdJSFZ1YVdScGNqMGlNQ0lnCglQZ284TDB4R1R6NEtJRHhNUms4Z0lI
+UjVjR1U5SWpBaUlDQmpaVzUwWlhJOUlqQWlJQ0J6ZDJsdVp6MGlNQ0lnSUhKaAoJZEdVOUlqQWlJ
+Q0J5Ym1SMGNqMGlNQ0lnSUhKaGJtUnlaejBpTUNJZ0lISmhibVJ5WlhZOUlqQWlJQ0J3ZFd4elpX
+MXAKCWVEMGlNQ0lnSUhCMWJITmxjbUYwWlQwaU1DSWdJSE5qWVd4bFBTSXdJaUFnYzNsdVl6MGlN
+Q0lnSUhKbGMyVjBkSEk5CglJakFpSUNCbGJuWmtjSFJvUFNJd0lpQWdZbkJ2YkdGeVBTSXdJaUFn
+Y0doaGMyVTlJakFpSUNCMWJtbGthWEk5SWpBaQoJSUQ0S1BDOU1SazgrQ2lBOFRFWlBJQ0IwZVhC
+bFBTSXdJaUFnWTJWdWRHVnlQU0l3SWlBZ2MzZHBibWM5SWpBaUlDQnkKCVlYUmxQU0l3SWlBZ2Nt
+NWtkSEk5SWpBaUlDQnlZVzVrY21jOUlqQWlJQ0J5WVc1a2NtVjJQU0l3SWlBZ2NIVnNjMlZ0Cglh
+WGc5SWpBaUlDQndkV3h6WlhKaGRHVTlJakFpSUNCelkyRnNaVDBpTUNJZ0lITjVibU05SWpBaUlD
+QnlaWE5sZEhSeQoJUFNJd0lpQWdaVzUyWkhCMGFEMGlNQ0lnSUdKd2IyeGhjajBpTUNJZ0lIQm9Z
+WE5sUFNJd0lpQWdkVzVwWkdseVBTSXcKCUlpQStDand2VEVaUFBnb2dQRXhHVHlBZ2RIbHdaVDBp
+TUNJZ0lHTmxiblJsY2owaU1DSWdJSE4zYVc1blBTSXdJaUFnCgljbUYwWlQwaU1DSWdJSEp1WkhS
+eVBTSXdJaUFnY21GdVpISm5QU0l3SWlBZ2NtRnVaSEpsZGowaU1DSWdJSEIxYkhObAoJYldsNFBT
+SXdJaUFnY0hWc2MyVnlZWFJsUFNJd0lpQWdjMk5oYkdVOUlqQWlJQ0J6ZVc1alBTSXdJaUFnY21W
+elpYUjAKCWNqMGlNQ0lnSUdWdWRtUndkR2c5SWpBaUlDQmljRzlzWVhJOUlqQWlJQ0J3YUdGelpU
+MGlNQ0lnSUhWdWFXUnBjajBpCglNQ0lnUGdvOEwweEdUejRLSUR4TVJrOGdJSFI1Y0dVOUlqQWlJ
+Q0JqWlc1MFpYSTlJakFpSUNCemQybHVaejBpTUNJZwoJSUhKaGRHVTlJakFpSUNCeWJtUjBjajBp
+TUNJZ0lISmhibVJ5WnowaU1DSWdJSEpoYm1SeVpYWTlJakFpSUNCd2RXeHoKCVpXMXBlRDBpTUNJ
+Z0lIQjFiSE5sY21GMFpUMGlNQ0lnSUhOallXeGxQU0l3SWlBZ2MzbHVZejBpTUNJZ0lISmxjMlYw
+CglkSEk5SWpBaUlDQmxiblprY0hSb1BTSXdJaUFnWW5CdmJHRnlQU0l3SWlBZ2NHaGhjMlU5SWpB
+aUlDQjFibWxrYVhJOQoJSWpBaUlENEtQQzlNUms4K0NpQThURVpQSUNCMGVYQmxQU0l3SWlBZ1ky
+VnVkR1Z5UFNJd0lpQWdjM2RwYm1jOUlqQWkKCUlDQnlZWFJsUFNJd0lpQWdjbTVrZEhJOUlqQWlJ
+Q0J5WVc1a2NtYzlJakFpSUNCeVlXNWtjbVYyUFNJd0lpQWdjSFZzCgljMlZ0YVhnOUlqQWlJQ0J3
+ZFd4elpYSmhkR1U5SWpBaUlDQnpZMkZzWlQwaU1DSWdJSE41Ym1NOUlqQWlJQ0J5WlhObAoJZEhS
+eVBTSXdJaUFnWlc1MlpIQjBhRDBpTUNJZ0lHSndiMnhoY2owaU1DSWdJSEJvWVhObFBTSXdJaUFn
+ZFc1cFpHbHkKCVBTSXdJaUErQ2p3dlRFWlBQZ29nUEV4R1R5QWdkSGx3WlQwaU1DSWdJR05sYm5S
+bGNqMGlNQ0lnSUhOM2FXNW5QU0l3CglJaUFnY21GMFpUMGlNQ0lnSUhKdVpIUnlQU0l3SWlBZ2Nt
+RnVaSEpuUFNJd0lpQWdjbUZ1WkhKbGRqMGlNQ0lnSUhCMQoJYkhObGJXbDRQU0l3SWlBZ2NIVnNj
+MlZ5WVhSbFBTSXdJaUFnYzJOaGJHVTlJakFpSUNCemVXNWpQU0l3SWlBZ2NtVnoKCVpYUjBjajBp
+TUNJZ0lHVnVkbVJ3ZEdnOUlqQWlJQ0JpY0c5c1lYSTlJakFpSUNCd2FHRnpaVDBpTUNJZ0lIVnVh
+V1JwCgljajBpTUNJZ1BnbzhMMHhHVHo0S0lEeE1SazhnSUhSNWNHVTlJakFpSUNCalpXNTBaWEk5
+SWpBaUlDQnpkMmx1WnowaQoJTUNJZ0lISmhkR1U5SWpBaUlDQnlibVIwY2owaU1DSWdJSEpoYm1S
+eVp6MGlNQ0lnSUhKaGJtUnlaWFk5SWpBaUlDQncKCWRXeHpaVzFwZUQwaU1DSWdJSEIxYkhObGNt
+RjBaVDBpTUNJZ0lITmpZV3hsUFNJd0lpQWdjM2x1WXowaU1DSWdJSEpsCgljMlYwZEhJOUlqQWlJ
+Q0JsYm5aa2NIUm9QU0l3SWlBZ1luQnZiR0Z5UFNJd0lpQWdjR2hoYzJVOUlqQWlJQ0IxYm1sawoJ
+YVhJOUlqQWlJRDRLUEM5TVJrOCtDaUE4TDB4R1QxOVRSVlErQ2lBOFRVOUVSVTVXVUVGU1FVMVRJ
+Q0JoUFNJd0lpQWcKCWFEMGlNQ0lnSUdROUlqQWlJQ0J5UFNJd0lpQWdZWFIwYXowaU0yVTJOR1k1
+TW1VaUlDQm9iMnhrUFNJelpUWTBaamt5CglaU0lnSUdSbFkzazlJak5sTmpSbU9USm1JaUFnYzNW
+emREMGlNMlk0TURBd01EQWlJQ0J5Wld4elBTSXpaVFkwWmpreQoJWkNJZ0lITnRjRDBpTUNJZ0lH
+eHdQU0l3SWlBZ2MzbHVZejBpTUNJZ0lITndaRDBpTUNJZ0lIUnlaMDFrUFNJd0lpQWcKCWRtVnNj
+MlZ1Y3owaU1DSWdJRzFuYkhac2N6MGlNQ0lnSUcxblkzSjJjejBpTUNJZ0lHUndkRDBpTUNJZ0lH
+Tm9jMVJ5CglaejBpTUNJZ0lHRjBZMmh6UFNJd0lpQStDand2VFU5RVJVNVdVRUZTUVUxVFBnb2dQ
+RTFQUkY5RlRsWXlYeklnSUdFOQoJSWpBaUlDQm9QU0l3SWlBZ1pEMGlNQ0lnSUhJOUlqQWlJQ0Jo
+ZEhSclBTSXpaVFkwWmpreVpTSWdJR2h2YkdROUlqTmwKCU5qUm1PVEpsSWlBZ1pHVmplVDBpTTJV
+Mk5HWTVNbVlpSUNCemRYTjBQU0l6Wmpnd01EQXdNQ0lnSUhKbGJITTlJak5sCglOalJtT1RKa0lp
+QWdjMjF3UFNJd0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJd0lpQWdjM0JrUFNJd0lpQWdkSEpuVFdR
+OQoJSWpBaUlDQjJaV3h6Wlc1elBTSXdJaUFnYldkc2RteHpQU0l3SWlBZ2JXZGpjblp6UFNJd0lp
+QWdaSEIwUFNJd0lpQWcKCVkyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5TlQwUmZS
+VTVXTWw4eVBnb2dQRTFQUkY5RlRsWXlYeklnCglJR0U5SWpBaUlDQm9QU0l3SWlBZ1pEMGlNQ0ln
+SUhJOUlqQWlJQ0JoZEhSclBTSXpaVFkwWmpreVpTSWdJR2h2YkdROQoJSWpObE5qUm1PVEpsSWlB
+Z1pHVmplVDBpTTJVMk5HWTVNbVlpSUNCemRYTjBQU0l6Wmpnd01EQXdNQ0lnSUhKbGJITTkKCUlq
+TmxOalJtT1RKa0lpQWdjMjF3UFNJd0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJd0lpQWdjM0JrUFNJ
+d0lpQWdkSEpuCglUV1E5SWpBaUlDQjJaV3h6Wlc1elBTSXdJaUFnYldkc2RteHpQU0l3SWlBZ2JX
+ZGpjblp6UFNJd0lpQWdaSEIwUFNJdwoJSWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJ
+RDRLUEM5TlQwUmZSVTVXTWw4eVBnb2dQRTFQUkY5RlRsWXkKCVh6SWdJR0U5SWpBaUlDQm9QU0l3
+SWlBZ1pEMGlNQ0lnSUhJOUlqQWlJQ0JoZEhSclBTSXpaVFkwWmpreVpTSWdJR2h2CgliR1E5SWpO
+bE5qUm1PVEpsSWlBZ1pHVmplVDBpTTJVMk5HWTVNbVlpSUNCemRYTjBQU0l6Wmpnd01EQXdNQ0ln
+SUhKbAoJYkhNOUlqTmxOalJtT1RKa0lpQWdjMjF3UFNJd0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJ
+d0lpQWdjM0JrUFNJd0lpQWcKCWRISm5UV1E5SWpBaUlDQjJaV3h6Wlc1elBTSXdJaUFnYldkc2Rt
+eHpQU0l3SWlBZ2JXZGpjblp6UFNJd0lpQWdaSEIwCglQU0l3SWlBZ1kyaHpWSEpuUFNJd0lpQWdZ
+WFJqYUhNOUlqQWlJRDRLUEM5TlQwUmZSVTVXTWw4eVBnb2dQRTFQUkY5RgoJVGxZeVh6SWdJR0U5
+SWpBaUlDQm9QU0l3SWlBZ1pEMGlNQ0lnSUhJOUlqQWlJQ0JoZEhSclBTSXpaVFkwWmpreVpTSWcK
+CUlHaHZiR1E5SWpObE5qUm1PVEpsSWlBZ1pHVmplVDBpTTJVMk5HWTVNbVlpSUNCemRYTjBQU0l6
+Wmpnd01EQXdNQ0lnCglJSEpsYkhNOUlqTmxOalJtT1RKa0lpQWdjMjF3UFNJd0lpQWdiSEE5SWpB
+aUlDQnplVzVqUFNJd0lpQWdjM0JrUFNJdwoJSWlBZ2RISm5UV1E5SWpBaUlDQjJaV3h6Wlc1elBT
+SXdJaUFnYldkc2RteHpQU0l3SWlBZ2JXZGpjblp6UFNJd0lpQWcKCVpIQjBQU0l3SWlBZ1kyaHpW
+SEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5TlQwUmZSVTVXTWw4eVBnb2dQRTFQCglSRjlG
+VGxZeVh6SWdJR0U5SWpBaUlDQm9QU0l3SWlBZ1pEMGlNQ0lnSUhJOUlqQWlJQ0JoZEhSclBTSXpa
+VFkwWmpreQoJWlNJZ0lHaHZiR1E5SWpObE5qUm1PVEpsSWlBZ1pHVmplVDBpTTJVMk5HWTVNbVlp
+SUNCemRYTjBQU0l6Wmpnd01EQXcKCU1DSWdJSEpsYkhNOUlqTmxOalJtT1RKa0lpQWdjMjF3UFNJ
+d0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJd0lpQWdjM0JrCglQU0l3SWlBZ2RISm5UV1E5SWpBaUlD
+QjJaV3h6Wlc1elBTSXdJaUFnYldkc2RteHpQU0l3SWlBZ2JXZGpjblp6UFNJdwoJSWlBZ1pIQjBQ
+U0l3SWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5TlQwUmZSVTVXTWw4eVBn
+b2cKCVBFTjFjM1J2YlVSaGRHRXlJRDRLUEM5RGRYTjBiMjFFWVhSaE1qNEtJRHd2VTFsT1ZFaEZU
+a2MrQ2lBOEwxTjViblJvCglSVzVuYVc1bFBnb2dQQzlUZVc1MGFGTjFZa1Z1WjJsdVpUNEtJRHhU
+ZVc1MGFGTjFZa1Z1WjJsdVpTQStDanhUZVc1MAoJYUVWdVoybHVaU0ErQ2p4QlVsQWdJRUZ5Y0Ux
+dlpHVTlJakFpSUNCQmNuQkRiRzlqYXowaU1DSWdJRUZ5Y0V4bGJqMGkKCU1DSWdJRUZ5Y0ZOM2FX
+NW5QU0l3SWlBZ1FYSndWbVZzVFdsNFBTSXdJaUFnUVhKd1NIVnRQU0l3SWlBZ1FYSndTSFZ0CglW
+bVZzUFNJd0lpQWdRWEp3U0hWdFZHbG5hSFJFYjNkdVBTSXpaamd3TURBd01DSWdJRUZ5Y0U5amRE
+MGlNQ0lnSUVGeQoJY0U5dVQyWm1QU0l3SWlBZ1FYSndVR2hoYzJVOUlqQWlJQ0JCY25CR1pXVnNS
+M0p2YjNabFQyNVBabVk5SWpBaUlDQkIKCWNuQlRibUZ3Vkc5SGNtbGtUMjVQWm1ZOUlqQWlJQ0JC
+Y25CVGNHUTlJakFpSUNCQmNuQlFiSGs5SWpBaUlDQkJjbkJTCglaWE5sZEQwaU1DSWdJRUZ5Y0ZO
+d1lXNDlJak5qWVROa056QmhJaUFnUVhKd1UyNXdSM0oyZEhrOUlqQWlJQ0JCY25CSAoJY205dmRt
+Vk9ZVzFsUFNJaUlENEtQRUZTVUZORlVUSWdJRlJGVFZCUFBTSTBNbVl3TURBd01DSWdJRlJKUTB0
+VFVFVlMKCVVWVkJVbFJGVWowaUxUSXhORGMwT0RNMk5EZ2lJQ0JVU1UxRlUwbEhUbFZOUFNJMElp
+QWdWRWxOUlZOSlIwUkZUazlOCglQU0kwSWlBK0NqeFRURWxEUlZORlVWTlVSVkFnSUVKRlIwbE9Q
+U0l0TWpFME56UTRNelkwT0NJZ0lFVk9SRDBpTUNJZwoJSUVOSVBTSXRNU0lnSUZOTVNVTkZTVTVF
+UlZnOUlqSTFPU0lnSUZaRlREMGlNVEkzSWlBZ1UxQTlJakFpSUNCVFZGSlQKCVVEMGlNMlU0TURB
+d01EQWlJRDRLUEM5VFRFbERSVk5GVVZOVVJWQStDaUE4TDBGU1VGTkZVVEkrQ2lBOFFWSlFSa1ZG
+CglURk5GVVNBZ1ZFVk5VRTg5SWpReVpqQXdNREF3SWlBZ1ZFbERTMU5RUlZKUlZVRlNWRVZTUFNJ
+ME1Ua3lJaUFnVkVsTgoJUlZOSlIwNVZUVDBpTkNJZ0lGUkpUVVZUU1VkRVJVNVBUVDBpTkNJZ1Bn
+bzhVMHhKUTBWVFJWRlRWRVZRSUNCQ1JVZEoKCVRqMGlNVFkzTmpnaUlDQkZUa1E5SWpFMk56WTRJ
+aUFnUTBnOUlpMHhJaUFnVTB4SlEwVkpUa1JGV0QwaUxURWlJQ0JXCglSVXc5SWpFeU55SWdJRk5V
+VWxOUVBTSXpaVGd3TURBd01DSWdQZ284TDFOTVNVTkZVMFZSVTFSRlVENEtJRHd2UVZKUQoJUmtW
+RlRGTkZVVDRLSUR3dlFWSlFQZ29nUEZOWlRsUklSVTVISUNCV1pYSnpQU0l5T1NJZ0lHSnlNRDBp
+TTJZME1EQXcKCU1EQWlJQ0JpTkRBOUlqQWlJQ0JpY2pFOUlqTm1OREF3TURBd0lpQWdZalF4UFNJ
+d0lpQWdZbkl5UFNJelpqUXdNREF3CglNQ0lnSUdJME1qMGlNQ0lnSUdKeU16MGlNMlkwTURBd01E
+QWlJQ0JpTkRNOUlqQWlJQ0JpY2pROUlqTm1OREF3TURBdwoJSWlBZ1lqUTBQU0l3SWlBZ1luSTFQ
+U0l6WmpRd01EQXdNQ0lnSUdJME5UMGlNQ0lnSUdKeU5qMGlNMlkwTURBd01EQWkKCUlDQmlORFk5
+SWpBaUlDQmljamM5SWpObU5EQXdNREF3SWlBZ1lqUTNQU0l3SWlBZ2NXOXVQU0l3SWlBZ2NXMXZa
+R1U5CglJakFpSUNCeFptRmtaVDBpTUNJZ0lITjFjMjFrUFNJd0lpQWdjbVZ3YTJsc2JEMGlNQ0ln
+SUdSdGNHeDBQU0l3SWlBZwoJZEhOamJEMGlNQ0lnSUd4TVJrOVFQU0k1T1RraUlDQnNUVVZ1ZGxB
+OUlqYzNOeUlnSUhOb1lYSmxQU0l3SWlBZ2NIQjIKCWN6MGlNMll3TURBd01EQWlJQ0J3Y0dOd1BT
+SXpaakF3TURBd01DSWdJSEJ2YkhrOUlqQWlJQ0J3WW1OMWREMGlOREZtCglPREF3TURBaUlDQndZ
+blZ3UFNJd0lpQWdjR0prYmowaU1DSWdJSFpqZUQwaU1DSWdJSFpqZVQwaU1DSWdJSFpqWnowaQoJ
+TUNJZ0lIWmpZajBpTUNJZ0lHeGxaMjA5SWpBaUlDQjFjMlZNWldjOUlqQWlJQ0JzWldkSmJuUTlJ
+akFpSUNCemJuSjAKCWNtYzlJakFpSUNCd2JHVm5QU0l3SWlBZ1oyRnBiajBpTUNJZ0lHMW1abkp4
+UFNJd0lpQWdiV1p0WkQwaU1DSWdJRzFtCgljVDBpTUNJZ0lHUnphV0U5SWpBaUlDQmtjMmxpUFNJ
+d0lpQWdaSE5oWW5obVBTSXdJaUFnZG1sek1UMGlNQ0lnSUhacAoJY3pJOUlqQWlJQ0IyYVhNelBT
+SXdJaUFnZG1sek5EMGlNQ0lnSUhacGN6VTlJakFpSUNCMmFYTTJQU0l3SWlBZ2MyTnUKCVJIQjBh
+RDBpTUNJZ0lITmpiazFwZUQwaU1DSWdJSE5qYmxObGJEMGlNQ0lnSUhCdmNuUldNajBpTUNJZ0lI
+TmpiazFCCglQU0l3SWlBZ2MyTnVUVU05SWpBaUlDQnZjbUpUZEQwaU1DSWdJRzl5WWtsdVFXMXVk
+RDBpTUNJZ0lHOXlZa2x1VTNROQoJSWpBaUlDQlRZMlZ1WlVOdmJYQnZibVZ1ZERBOUlqQWlJQ0JU
+WTJWdVpVTnZiWEJ2Ym1WdWRERTlJakFpSUNCVFkyVnUKCVpVTnZiWEJ2Ym1WdWRESTlJakFpSUNC
+VFkyVnVaVU52YlhCdmJtVnVkRE05SWpBaUlDQnBjbk5sYm1SaGRYZzlJakFpCglJQ0J3WVhWNGNt
+dzlJakFpSUNCaWVYQmhjM005SWpBaUlDQjBkVzV3WVhSb1BTSWlJQ0J2Y21sblRHbGlUbUZ0WlQw
+aQoJSWlBZ2IzSnBaMUJoZEdOb1RtRnRaVDBpSWlBZ1EzVnpkRzl0WHpBOUlqQWlJQ0JEZFhOMGIy
+MWZNVDBpTUNJZ0lFTjEKCWMzUnZiVjh5UFNJd0lpQWdRM1Z6ZEc5dFh6TTlJakFpSUNCRGRYTjBi
+MjFmTkQwaU1DSWdJRU4xYzNSdmJWODFQU0l3CglJaUFnUTNWemRHOXRYelk5SWpBaUlDQkRkWE4w
+YjIxZk56MGlNQ0lnSUVOMWMzUnZiVjg0UFNJd0lpQWdRM1Z6ZEc5dAoJWHprOUlqQWlJQ0JEZFhO
+MGIyMWZNVEE5SWpBaUlDQkRkWE4wYjIxZk1URTlJakFpSUNCRGRYTjBiMjFmTVRJOUlqQWkKCUlD
+QkRkWE4wYjIxZk1UTTlJakFpSUNCRGRYTjBiMjFmTVRROUlqQWlJQ0JEZFhOMGIyMWZNVFU5SWpB
+aUlDQkRkWE4wCgliMjFmTVRZOUlqQWlJQ0JEZFhOMGIyMWZNVGM5SWpBaUlDQkRkWE4wYjIxZk1U
+ZzlJakFpSUNCRGRYTjBiMjFmTVRrOQoJSWpBaUlDQkRkWE4wYjIxZk1qQTlJakFpSUNCRGRYTjBi
+MjFmTWpFOUlqQWlJQ0JEZFhOMGIyMWZNakk5SWpBaUlDQkQKCWRYTjBiMjFmTWpNOUlqQWlJQ0JE
+ZFhOMGIyMWZNalE5SWpBaUlDQkRkWE4wYjIxZk1qVTlJakFpSUNCRGRYTjBiMjFmCglNalk5SWpB
+aUlDQkRkWE4wYjIxZk1qYzlJakFpSUNCRGRYTjBiMjFmTWpnOUlqQWlJQ0JEZFhOMGIyMWZNams5
+SWpBaQoJSUNCRGRYTjBiMjFmTXpBOUlqQWlJQ0JEZFhOMGIyMWZNekU5SWpBaUlDQkRkWE4wYjIx
+Zk16STlJakFpSUNCRGRYTjAKCWIyMWZNek05SWpBaUlDQkRkWE4wYjIxZk16UTlJakFpSUNCRGRY
+TjBiMjFmTXpVOUlqQWlJQ0JEZFhOMGIyMWZNelk5CglJakFpSUNCRGRYTjBiMjFmTXpjOUlqQWlJ
+Q0JEZFhOMGIyMWZNemc5SWpBaUlDQkRkWE4wYjIxZk16azlJakFpSUNCRAoJZFhOMGIyMWZOREE5
+SWpBaUlDQkRkWE4wYjIxZk5ERTlJakFpSUNCRGRYTjBiMjFmTkRJOUlqQWlJQ0JEZFhOMGIyMWYK
+CU5ETTlJakFpSUNCRGRYTjBiMjFmTkRROUlqQWlJQ0JEZFhOMGIyMWZORFU5SWpBaUlDQkRkWE4w
+YjIxZk5EWTlJakFpCglJQ0JEZFhOMGIyMWZORGM5SWpBaUlDQkRkWE4wYjIxZk5EZzlJakFpSUNC
+RGRYTjBiMjFmTkRrOUlqQWlJQ0JEZFhOMAoJYjIxZk5UQTlJakFpSUNCRGRYTjBiMjFmTlRFOUlq
+QWlJQ0JEZFhOMGIyMWZOVEk5SWpBaUlDQkRkWE4wYjIxZk5UTTkKCUlqQWlJQ0JEZFhOMGIyMWZO
+VFE5SWpBaUlDQkRkWE4wYjIxZk5UVTlJakFpSUNCRGRYTjBiMjFmTlRZOUlqQWlJQ0JECglkWE4w
+YjIxZk5UYzlJakFpSUNCRGRYTjBiMjFmTlRnOUlqQWlJQ0JEZFhOMGIyMWZOVGs5SWpBaUlDQkRk
+WE4wYjIxZgoJTmpBOUlqQWlJQ0JEZFhOMGIyMWZOakU5SWpBaUlDQkRkWE4wYjIxZk5qSTlJakFp
+SUNCRGRYTjBiMjFmTmpNOUlqQWkKCUlDQkRkWE4wYjIxZk5qUTlJakFpSUNCRGRYTjBiMjFmTmpV
+OUlqQWlJQ0JEZFhOMGIyMWZOalk5SWpBaUlDQkRkWE4wCgliMjFmTmpjOUlqQWlJQ0JEZFhOMGIy
+MWZOamc5SWpBaUlDQkRkWE4wYjIxZk5qazlJakFpSUNCRGRYTjBiMjFmTnpBOQoJSWpBaUlDQkRk
+WE4wYjIxZk56RTlJakFpSUNCRGRYTjBiMjFmTnpJOUlqQWlJQ0JEZFhOMGIyMWZOek05SWpBaUlD
+QkQKCWRYTjBiMjFmTnpROUlqQWlJQ0JEZFhOMGIyMWZOelU5SWpBaUlDQkRkWE4wYjIxZk56WTlJ
+akFpSUNCRGRYTjBiMjFmCglOemM5SWpBaUlDQkRkWE4wYjIxZk56ZzlJakFpSUNCRGRYTjBiMjFm
+TnprOUlqQWlJQ0JEZFhOMGIyMWZPREE5SWpBaQoJSUNCRGRYTjBiMjFmT0RFOUlqQWlJQ0JEZFhO
+MGIyMWZPREk5SWpBaUlDQkRkWE4wYjIxZk9ETTlJakFpSUNCRGRYTjAKCWIyMWZPRFE5SWpBaUlD
+QkRkWE4wYjIxZk9EVTlJakFpSUNCRGRYTjBiMjFmT0RZOUlqQWlJQ0JEZFhOMGIyMWZPRGM5CglJ
+akFpSUNCRGRYTjBiMjFmT0RnOUlqQWlJQ0JEZFhOMGIyMWZPRGs5SWpBaUlDQkRkWE4wYjIxZk9U
+QTlJakFpSUNCRAoJZFhOMGIyMWZPVEU5SWpBaUlDQkRkWE4wYjIxZk9USTlJakFpSUNCRGRYTjBi
+MjFmT1RNOUlqQWlJQ0JEZFhOMGIyMWYKCU9UUTlJakFpSUNCRGRYTjBiMjFmT1RVOUlqQWlJQ0JE
+ZFhOMGIyMWZPVFk5SWpBaUlDQkRkWE4wYjIxZk9UYzlJakFpCglJQ0JEZFhOMGIyMWZPVGc5SWpB
+aUlDQkRkWE4wYjIxZk9UazlJakFpSUNCRGRYTjBiMjFmTVRBd1BTSXdJaUFnUTNWegoJZEc5dFh6
+RXdNVDBpTUNJZ0lFTjFjM1J2YlY4eE1ESTlJakFpSUNCRGRYTjBiMjFmTVRBelBTSXdJaUFnUTNW
+emRHOXQKCVh6RXdORDBpTUNJZ0lFTjFjM1J2YlY4eE1EVTlJakFpSUNCRGRYTjBiMjFmTVRBMlBT
+SXdJaUFnUTNWemRHOXRYekV3CglOejBpTUNJZ0lFTjFjM1J2YlY4eE1EZzlJakFpSUNCRGRYTjBi
+MjFmTVRBNVBTSXdJaUFnUTNWemRHOXRYekV4TUQwaQoJTUNJZ0lFTjFjM1J2YlY4eE1URTlJakFp
+SUNCRGRYTjBiMjFmTVRFeVBTSXdJaUFnUTNWemRHOXRYekV4TXowaU1DSWcKCUlFTjFjM1J2YlY4
+eE1UUTlJakFpSUNCRGRYTjBiMjFmTVRFMVBTSXdJaUFnUTNWemRHOXRYekV4TmowaU1DSWdJRU4x
+CgljM1J2YlY4eE1UYzlJakFpSUNCRGRYTjBiMjFmTVRFNFBTSXdJaUFnUTNWemRHOXRYekV4T1Qw
+aU1DSWdJRU4xYzNSdgoJYlY4eE1qQTlJakFpSUNCRGRYTjBiMjFmTVRJeFBTSXdJaUFnUTNWemRH
+OXRYekV5TWowaU1DSWdJRU4xYzNSdmJWOHgKCU1qTTlJakFpSUNCRGRYTjBiMjFmTVRJMFBTSXdJ
+aUFnUTNWemRHOXRYekV5TlQwaU1DSWdJRU4xYzNSdmJWOHhNalk5CglJakFpSUNCRGRYTjBiMjFm
+TVRJM1BTSXdJaUFnWTNOamFEMGlNQ0lnSUVOUVUyTmZNRDBpTUNJZ0lFTlFVMk5mTVQwaQoJTUNJ
+Z0lFTlFVMk5mTWowaU1DSWdJRU5RVTJOZk16MGlNQ0lnSUVOUVUyTmZORDBpTUNJZ0lFTlFVMk5m
+TlQwaU1DSWcKCUlFTlFVMk5mTmowaU1DSWdJRU5RVTJOZk56MGlNQ0lnUGdvOFJVNVVVbGxFUlZO
+RFVpQWdibUZ0WlQwaUlpQWdiR2xpCgljbUZ5ZVQwaUlpQWdRVlJVVWtsQ1gxWkJURlZGWDBSQlZF
+RTlJbk5wZW1VOU1Ec2lJRDRLUEM5RlRsUlNXVVJGVTBOUwoJUGdvZ1BFMVBSRjlOUVZSU1NWZ2dJ
+SE52ZFhKalpUQTlJbTltWmlJZ0lIUmhjbWRsZERBOUltOW1aaUlnSUdSbFpsWXcKCVBTSXpaamd3
+TURBd01DSWdJR3h2TUQwaU1DSWdJR2hwTUQwaU1DSWdJRzExZEdVd1BTSXdJaUFnWkdGdGNEQTlJ
+akFpCglJQ0JoYkd3d1BTSXdJaUFnYzI5MWNtTmxNVDBpYjJabUlpQWdkR0Z5WjJWME1UMGliMlpt
+SWlBZ1pHVm1WakU5SWpObQoJT0RBd01EQXdJaUFnYkc4eFBTSXdJaUFnYUdreFBTSXdJaUFnYlhW
+MFpURTlJakFpSUNCa1lXMXdNVDBpTUNJZ0lHRnMKCWJERTlJakFpSUNCemIzVnlZMlV5UFNKdlpt
+WWlJQ0IwWVhKblpYUXlQU0p2Wm1ZaUlDQmtaV1pXTWowaU0yWTRNREF3CglNREFpSUNCc2J6STlJ
+akFpSUNCb2FUSTlJakFpSUNCdGRYUmxNajBpTUNJZ0lHUmhiWEF5UFNJd0lpQWdZV3hzTWowaQoJ
+TUNJZ0lITnZkWEpqWlRNOUltOW1aaUlnSUhSaGNtZGxkRE05SW05bVppSWdJR1JsWmxZelBTSXpa
+amd3TURBd01DSWcKCUlHeHZNejBpTUNJZ0lHaHBNejBpTUNJZ0lHMTFkR1V6UFNJd0lpQWdaR0Z0
+Y0RNOUlqQWlJQ0JoYkd3elBTSXdJaUFnCgljMjkxY21ObE5EMGliMlptSWlBZ2RHRnlaMlYwTkQw
+aWIyWm1JaUFnWkdWbVZqUTlJak5tT0RBd01EQXdJaUFnYkc4MAoJUFNJd0lpQWdhR2swUFNJd0lp
+QWdiWFYwWlRROUlqQWlJQ0JrWVcxd05EMGlNQ0lnSUdGc2JEUTlJakFpSUNCemIzVnkKCVkyVTFQ
+U0p2Wm1ZaUlDQjBZWEpuWlhRMVBTSnZabVlpSUNCa1pXWldOVDBpTTJZNE1EQXdNREFpSUNCc2J6
+VTlJakFpCglJQ0JvYVRVOUlqQWlJQ0J0ZFhSbE5UMGlNQ0lnSUdSaGJYQTFQU0l3SWlBZ1lXeHNO
+VDBpTUNJZ0lITnZkWEpqWlRZOQoJSW05bVppSWdJSFJoY21kbGREWTlJbTltWmlJZ0lHUmxabFky
+UFNJelpqZ3dNREF3TUNJZ0lHeHZOajBpTUNJZ0lHaHAKCU5qMGlNQ0lnSUcxMWRHVTJQU0l3SWlB
+Z1pHRnRjRFk5SWpBaUlDQmhiR3cyUFNJd0lpQWdjMjkxY21ObE56MGliMlptCglJaUFnZEdGeVoy
+VjBOejBpYjJabUlpQWdaR1ZtVmpjOUlqTm1PREF3TURBd0lpQWdiRzgzUFNJd0lpQWdhR2szUFNJ
+dwoJSWlBZ2JYVjBaVGM5SWpBaUlDQmtZVzF3TnowaU1DSWdJR0ZzYkRjOUlqQWlJQ0J6YjNWeVky
+VTRQU0p2Wm1ZaUlDQjAKCVlYSm5aWFE0UFNKdlptWWlJQ0JrWldaV09EMGlNMlk0TURBd01EQWlJ
+Q0JzYnpnOUlqQWlJQ0JvYVRnOUlqQWlJQ0J0CglkWFJsT0QwaU1DSWdJR1JoYlhBNFBTSXdJaUFn
+WVd4c09EMGlNQ0lnSUhOdmRYSmpaVGs5SW05bVppSWdJSFJoY21kbAoJZERrOUltOW1aaUlnSUdS
+bFpsWTVQU0l6Wmpnd01EQXdNQ0lnSUd4dk9UMGlNQ0lnSUdocE9UMGlNQ0lnSUcxMWRHVTUKCVBT
+SXdJaUFnWkdGdGNEazlJakFpSUNCaGJHdzVQU0l3SWlBZ2MyOTFjbU5sTVRBOUltOW1aaUlnSUhS
+aGNtZGxkREV3CglQU0p2Wm1ZaUlDQmtaV1pXTVRBOUlqTm1PREF3TURBd0lpQWdiRzh4TUQwaU1D
+SWdJR2hwTVRBOUlqQWlJQ0J0ZFhSbAoJTVRBOUlqQWlJQ0JrWVcxd01UQTlJakFpSUNCaGJHd3hN
+RDBpTUNJZ0lITnZkWEpqWlRFeFBTSnZabVlpSUNCMFlYSm4KCVpYUXhNVDBpYjJabUlpQWdaR1Zt
+VmpFeFBTSXpaamd3TURBd01DSWdJR3h2TVRFOUlqQWlJQ0JvYVRFeFBTSXdJaUFnCgliWFYwWlRF
+eFBTSXdJaUFnWkdGdGNERXhQU0l3SWlBZ1lXeHNNVEU5SWpBaUlDQnpiM1Z5WTJVeE1qMGliMlpt
+SWlBZwoJZEdGeVoyVjBNVEk5SW05bVppSWdJR1JsWmxZeE1qMGlNMlk0TURBd01EQWlJQ0JzYnpF
+eVBTSXdJaUFnYUdreE1qMGkKCU1DSWdJRzExZEdVeE1qMGlNQ0lnSUdSaGJYQXhNajBpTUNJZ0lH
+RnNiREV5UFNJd0lpQWdjMjkxY21ObE1UTTlJbTltCglaaUlnSUhSaGNtZGxkREV6UFNKdlptWWlJ
+Q0JrWldaV01UTTlJak5tT0RBd01EQXdJaUFnYkc4eE16MGlNQ0lnSUdocAoJTVRNOUlqQWlJQ0J0
+ZFhSbE1UTTlJakFpSUNCa1lXMXdNVE05SWpBaUlDQmhiR3d4TXowaU1DSWdJSE52ZFhKalpURTAK
+CVBTSnZabVlpSUNCMFlYSm5aWFF4TkQwaWIyWm1JaUFnWkdWbVZqRTBQU0l6Wmpnd01EQXdNQ0ln
+SUd4dk1UUTlJakFpCglJQ0JvYVRFMFBTSXdJaUFnYlhWMFpURTBQU0l3SWlBZ1pHRnRjREUwUFNJ
+d0lpQWdZV3hzTVRROUlqQWlJQ0J6YjNWeQoJWTJVeE5UMGliMlptSWlBZ2RHRnlaMlYwTVRVOUlt
+OW1aaUlnSUdSbFpsWXhOVDBpTTJZNE1EQXdNREFpSUNCc2J6RTEKCVBTSXdJaUFnYUdreE5UMGlN
+Q0lnSUcxMWRHVXhOVDBpTUNJZ0lHUmhiWEF4TlQwaU1DSWdJR0ZzYkRFMVBTSXdJaUFnCgljMjkx
+Y21ObE1UWTlJbTltWmlJZ0lIUmhjbWRsZERFMlBTSnZabVlpSUNCa1pXWldNVFk5SWpObU9EQXdN
+REF3SWlBZwoJYkc4eE5qMGlNQ0lnSUdocE1UWTlJakFpSUNCdGRYUmxNVFk5SWpBaUlDQmtZVzF3
+TVRZOUlqQWlJQ0JoYkd3eE5qMGkKCU1DSWdJSE52ZFhKalpURTNQU0p2Wm1ZaUlDQjBZWEpuWlhR
+eE56MGliMlptSWlBZ1pHVm1WakUzUFNJelpqZ3dNREF3CglNQ0lnSUd4dk1UYzlJakFpSUNCb2FU
+RTNQU0l3SWlBZ2JYVjBaVEUzUFNJd0lpQWdaR0Z0Y0RFM1BTSXdJaUFnWVd4cwoJTVRjOUlqQWlJ
+Q0J6YjNWeVkyVXhPRDBpYjJabUlpQWdkR0Z5WjJWME1UZzlJbTltWmlJZ0lHUmxabFl4T0QwaU0y
+WTQKCU1EQXdNREFpSUNCc2J6RTRQU0l3SWlBZ2FHa3hPRDBpTUNJZ0lHMTFkR1V4T0QwaU1DSWdJ
+R1JoYlhBeE9EMGlNQ0lnCglJR0ZzYkRFNFBTSXdJaUFnYzI5MWNtTmxNVGs5SW05bVppSWdJSFJo
+Y21kbGRERTVQU0p2Wm1ZaUlDQmtaV1pXTVRrOQoJSWpObU9EQXdNREF3SWlBZ2JHOHhPVDBpTUNJ
+Z0lHaHBNVGs5SWpBaUlDQnRkWFJsTVRrOUlqQWlJQ0JrWVcxd01UazkKCUlqQWlJQ0JoYkd3eE9U
+MGlNQ0lnSUhOdmRYSmpaVEl3UFNKdlptWWlJQ0IwWVhKblpYUXlNRDBpYjJabUlpQWdaR1ZtCglW
+akl3UFNJelpqZ3dNREF3TUNJZ0lHeHZNakE5SWpBaUlDQm9hVEl3UFNJd0lpQWdiWFYwWlRJd1BT
+SXdJaUFnWkdGdAoJY0RJd1BTSXdJaUFnWVd4c01qQTlJakFpSUNCemIzVnlZMlV5TVQwaWIyWm1J
+aUFnZEdGeVoyVjBNakU5SW05bVppSWcKCUlHUmxabFl5TVQwaU0yWTRNREF3TURBaUlDQnNiekl4
+UFNJd0lpQWdhR2t5TVQwaU1DSWdJRzExZEdVeU1UMGlNQ0lnCglJR1JoYlhBeU1UMGlNQ0lnSUdG
+c2JESXhQU0l3SWlBZ2MyOTFjbU5sTWpJOUltOW1aaUlnSUhSaGNtZGxkREl5UFNKdgoJWm1ZaUlD
+QmtaV1pXTWpJOUlqTm1PREF3TURBd0lpQWdiRzh5TWowaU1DSWdJR2hwTWpJOUlqQWlJQ0J0ZFhS
+bE1qSTkKCUlqQWlJQ0JrWVcxd01qSTlJakFpSUNCaGJHd3lNajBpTUNJZ0lITnZkWEpqWlRJelBT
+SnZabVlpSUNCMFlYSm5aWFF5CglNejBpYjJabUlpQWdaR1ZtVmpJelBTSXpaamd3TURBd01DSWdJ
+R3h2TWpNOUlqQWlJQ0JvYVRJelBTSXdJaUFnYlhWMAoJWlRJelBTSXdJaUFnWkdGdGNESXpQU0l3
+SWlBZ1lXeHNNak05SWpBaUlDQnpiM1Z5WTJVeU5EMGliMlptSWlBZ2RHRnkKCVoyVjBNalE5SW05
+bVppSWdJR1JsWmxZeU5EMGlNMlk0TURBd01EQWlJQ0JzYnpJMFBTSXdJaUFnYUdreU5EMGlNMll3
+CglNREF3TURBaUlDQnRkWFJsTWpROUlqQWlJQ0JrWVcxd01qUTlJakFpSUNCaGJHd3lORDBpTUNJ
+Z0lITnZkWEpqWlRJMQoJUFNKdlptWWlJQ0IwWVhKblpYUXlOVDBpYjJabUlpQWdaR1ZtVmpJMVBT
+SXpaamd3TURBd01DSWdJR3h2TWpVOUlqQWkKCUlDQm9hVEkxUFNJelpqQXdNREF3TUNJZ0lHMTFk
+R1V5TlQwaU1DSWdJR1JoYlhBeU5UMGlNQ0lnSUdGc2JESTFQU0l3CglJaUFnYzI5MWNtTmxNalk5
+SW05bVppSWdJSFJoY21kbGRESTJQU0p2Wm1ZaUlDQmtaV1pXTWpZOUlqTm1PREF3TURBdwoJSWlB
+Z2JHOHlOajBpTUNJZ0lHaHBNalk5SWpObU1EQXdNREF3SWlBZ2JYVjBaVEkyUFNJd0lpQWdaR0Z0
+Y0RJMlBTSXcKCUlpQWdZV3hzTWpZOUlqQWlJQ0J6YjNWeVkyVXlOejBpYjJabUlpQWdkR0Z5WjJW
+ME1qYzlJbTltWmlJZ0lHUmxabFl5CglOejBpTTJZNE1EQXdNREFpSUNCc2J6STNQU0l3SWlBZ2FH
+a3lOejBpTTJZd01EQXdNREFpSUNCdGRYUmxNamM5SWpBaQoJSUNCa1lXMXdNamM5SWpBaUlDQmhi
+R3d5TnowaU1DSWdJSE52ZFhKalpUSTRQU0p2Wm1ZaUlDQjBZWEpuWlhReU9EMGkKCWIyWm1JaUFn
+WkdWbVZqSTRQU0l6Wmpnd01EQXdNQ0lnSUd4dk1qZzlJakFpSUNCb2FUSTRQU0l6WmpBd01EQXdN
+Q0lnCglJRzExZEdVeU9EMGlNQ0lnSUdSaGJYQXlPRDBpTUNJZ0lHRnNiREk0UFNJd0lpQWdjMjkx
+Y21ObE1qazlJbTltWmlJZwoJSUhSaGNtZGxkREk1UFNKdlptWWlJQ0JrWldaV01qazlJak5tT0RB
+d01EQXdJaUFnYkc4eU9UMGlNQ0lnSUdocE1qazkKCUlqTm1NREF3TURBd0lpQWdiWFYwWlRJNVBT
+SXdJaUFnWkdGdGNESTVQU0l3SWlBZ1lXeHNNams5SWpBaUlDQnpiM1Z5CglZMlV6TUQwaWIyWm1J
+aUFnZEdGeVoyVjBNekE5SW05bVppSWdJR1JsWmxZek1EMGlNMlk0TURBd01EQWlJQ0JzYnpNdwoJ
+UFNJd0lpQWdhR2t6TUQwaU0yWXdNREF3TURBaUlDQnRkWFJsTXpBOUlqQWlJQ0JrWVcxd016QTlJ
+akFpSUNCaGJHd3oKCU1EMGlNQ0lnSUhOdmRYSmpaVE14UFNKdlptWWlJQ0IwWVhKblpYUXpNVDBp
+YjJabUlpQWdaR1ZtVmpNeFBTSXpaamd3CglNREF3TUNJZ0lHeHZNekU5SWpBaUlDQm9hVE14UFNJ
+elpqQXdNREF3TUNJZ0lHMTFkR1V6TVQwaU1DSWdJR1JoYlhBegoJTVQwaU1DSWdJR0ZzYkRNeFBT
+SXdJaUFnYzI5MWNtTmxNekk5SW05bVppSWdJSFJoY21kbGRETXlQU0p2Wm1ZaUlDQmsKCVpXWldN
+ekk5SWpObU9EQXdNREF3SWlBZ2JHOHpNajBpTUNJZ0lHaHBNekk5SWpObU1EQXdNREF3SWlBZ2JY
+VjBaVE15CglQU0l3SWlBZ1pHRnRjRE15UFNJd0lpQWdZV3hzTXpJOUlqQWlJQ0J6YjNWeVkyVXpN
+ejBpYjJabUlpQWdkR0Z5WjJWMAoJTXpNOUltOW1aaUlnSUdSbFpsWXpNejBpTTJZNE1EQXdNREFp
+SUNCc2J6TXpQU0l3SWlBZ2FHa3pNejBpTTJZd01EQXcKCU1EQWlJQ0J0ZFhSbE16TTlJakFpSUNC
+a1lXMXdNek05SWpBaUlDQmhiR3d6TXowaU1DSWdJSE52ZFhKalpUTTBQU0p2CglabVlpSUNCMFlY
+Sm5aWFF6TkQwaWIyWm1JaUFnWkdWbVZqTTBQU0l6Wmpnd01EQXdNQ0lnSUd4dk16UTlJakFpSUNC
+bwoJYVRNMFBTSXpaakF3TURBd01DSWdJRzExZEdVek5EMGlNQ0lnSUdSaGJYQXpORDBpTUNJZ0lH
+RnNiRE0wUFNJd0lpQWcKCWMyOTFjbU5sTXpVOUltOW1aaUlnSUhSaGNtZGxkRE0xUFNKdlptWWlJ
+Q0JrWldaV016VTlJak5tT0RBd01EQXdJaUFnCgliRzh6TlQwaU1DSWdJR2hwTXpVOUlqTm1NREF3
+TURBd0lpQWdiWFYwWlRNMVBTSXdJaUFnWkdGdGNETTFQU0l3SWlBZwoJWVd4c016VTlJakFpSUNC
+emIzVnlZMlV6TmowaWIyWm1JaUFnZEdGeVoyVjBNelk5SW05bVppSWdJR1JsWmxZek5qMGkKCU0y
+WTRNREF3TURBaUlDQnNiek0yUFNJd0lpQWdhR2t6TmowaU0yWXdNREF3TURBaUlDQnRkWFJsTXpZ
+OUlqQWlJQ0JrCglZVzF3TXpZOUlqQWlJQ0JoYkd3ek5qMGlNQ0lnSUhOdmRYSmpaVE0zUFNKdlpt
+WWlJQ0IwWVhKblpYUXpOejBpYjJabQoJSWlBZ1pHVm1Wak0zUFNJelpqZ3dNREF3TUNJZ0lHeHZN
+emM5SWpBaUlDQm9hVE0zUFNJelpqQXdNREF3TUNJZ0lHMTEKCWRHVXpOejBpTUNJZ0lHUmhiWEF6
+TnowaU1DSWdJR0ZzYkRNM1BTSXdJaUFnYzI5MWNtTmxNemc5SW05bVppSWdJSFJoCgljbWRsZERN
+NFBTSnZabVlpSUNCa1pXWldNemc5SWpObU9EQXdNREF3SWlBZ2JHOHpPRDBpTUNJZ0lHaHBNemc5
+SWpObQoJTURBd01EQXdJaUFnYlhWMFpUTTRQU0l3SWlBZ1pHRnRjRE00UFNJd0lpQWdZV3hzTXpn
+OUlqQWlJQ0J6YjNWeVkyVXoKCU9UMGliMlptSWlBZ2RHRnlaMlYwTXprOUltOW1aaUlnSUdSbFps
+WXpPVDBpTTJZNE1EQXdNREFpSUNCc2J6TTVQU0l3CglJaUFnYUdrek9UMGlNMll3TURBd01EQWlJ
+Q0J0ZFhSbE16azlJakFpSUNCa1lXMXdNems5SWpBaUlDQmhiR3d6T1QwaQoJTUNJZ0lITnZkWEpq
+WlRRd1BTSnZabVlpSUNCMFlYSm5aWFEwTUQwaWIyWm1JaUFnWkdWbVZqUXdQU0l6Wmpnd01EQXcK
+CU1DSWdJR3h2TkRBOUlqQWlJQ0JvYVRRd1BTSXpaakF3TURBd01DSWdJRzExZEdVME1EMGlNQ0ln
+SUdSaGJYQTBNRDBpCglNQ0lnSUdGc2JEUXdQU0l3SWlBZ2MyOTFjbU5sTkRFOUltOW1aaUlnSUhS
+aGNtZGxkRFF4UFNKdlptWWlJQ0JrWldaVwoJTkRFOUlqTm1PREF3TURBd0lpQWdiRzgwTVQwaU1D
+SWdJR2hwTkRFOUlqTm1NREF3TURBd0lpQWdiWFYwWlRReFBTSXcKCUlpQWdaR0Z0Y0RReFBTSXdJ
+aUFnWVd4c05ERTlJakFpSUNCemIzVnlZMlUwTWowaWIyWm1JaUFnZEdGeVoyVjBOREk5CglJbTlt
+WmlJZ0lHUmxabFkwTWowaU0yWTRNREF3TURBaUlDQnNielF5UFNJd0lpQWdhR2swTWowaU0yWXdN
+REF3TURBaQoJSUNCdGRYUmxOREk5SWpBaUlDQmtZVzF3TkRJOUlqQWlJQ0JoYkd3ME1qMGlNQ0ln
+SUhOdmRYSmpaVFF6UFNKdlptWWkKCUlDQjBZWEpuWlhRME16MGliMlptSWlBZ1pHVm1WalF6UFNJ
+elpqZ3dNREF3TUNJZ0lHeHZORE05SWpBaUlDQm9hVFF6CglQU0l6WmpBd01EQXdNQ0lnSUcxMWRH
+VTBNejBpTUNJZ0lHUmhiWEEwTXowaU1DSWdJR0ZzYkRRelBTSXdJaUFnYzI5MQoJY21ObE5EUTlJ
+bTltWmlJZ0lIUmhjbWRsZERRMFBTSnZabVlpSUNCa1pXWldORFE5SWpObU9EQXdNREF3SWlBZ2JH
+ODAKCU5EMGlNQ0lnSUdocE5EUTlJak5tTURBd01EQXdJaUFnYlhWMFpUUTBQU0l3SWlBZ1pHRnRj
+RFEwUFNJd0lpQWdZV3hzCglORFE5SWpBaUlDQnpiM1Z5WTJVME5UMGliMlptSWlBZ2RHRnlaMlYw
+TkRVOUltOW1aaUlnSUdSbFpsWTBOVDBpTTJZNAoJTURBd01EQWlJQ0JzYnpRMVBTSXdJaUFnYUdr
+ME5UMGlNMll3TURBd01EQWlJQ0J0ZFhSbE5EVTlJakFpSUNCa1lXMXcKCU5EVTlJakFpSUNCaGJH
+dzBOVDBpTUNJZ0lITnZkWEpqWlRRMlBTSnZabVlpSUNCMFlYSm5aWFEwTmowaWIyWm1JaUFnCgla
+R1ZtVmpRMlBTSXpaamd3TURBd01DSWdJR3h2TkRZOUlqQWlJQ0JvYVRRMlBTSXpaakF3TURBd01D
+SWdJRzExZEdVMAoJTmowaU1DSWdJR1JoYlhBME5qMGlNQ0lnSUdGc2JEUTJQU0l3SWlBZ2MyOTFj
+bU5sTkRjOUltOW1aaUlnSUhSaGNtZGwKCWREUTNQU0p2Wm1ZaUlDQmtaV1pXTkRjOUlqTm1PREF3
+TURBd0lpQWdiRzgwTnowaU1DSWdJR2hwTkRjOUlqTm1NREF3CglNREF3SWlBZ2JYVjBaVFEzUFNJ
+d0lpQWdaR0Z0Y0RRM1BTSXdJaUFnWVd4c05EYzlJakFpSUQ0S1BDOU5UMFJmVFVGVQoJVWtsWVBn
+b2dQRlpQU1VORklDQndZWFY0YkQwaU1DSWdJSEJoZFhocGNHOW1QU0l3SWlBK0NqeEdTVXhVUlZJ
+Z0lHRmoKCWREMGlNQ0lnSUhCaGNtRTlJakFpSUNCaVlXdzlJakFpSUNCbWNtVnhQU0l3SWlBZ2Mz
+QnlaRDBpTUNJZ0lISmxjejBpCglNQ0lnSUd0bGVUMGlNQ0lnSUd0bGVXbHVkajBpTUNJZ0lHdGxl
+VzF3UFNJd0lpQWdaVzUyWkhCMGFEMGlNQ0lnSUdWdQoJZG1Sd2RHaHBiblk5SWpBaUlDQnVZVzFs
+UFNJd0lpQWdZV04wTVQwaU1DSWdJSFI1Y0dVeFBTSXdJaUFnWm5KbGNURTkKCUlqQWlJQ0J5WlhN
+eFBTSXdJaUFnY0dGdU1UMGlNQ0lnSUdGamRESTlJakFpSUNCMGVYQmxNajBpTUNJZ0lHWnlaWEV5
+CglQU0l3SWlBZ2NtVnpNajBpTUNJZ0lIQmhiakk5SWpBaUlDQmthWE4wVUc5emREMGlNQ0lnSUdW
+eFVHOXpkRDBpTUNJZwoJSUU1aGJXVlRkSEk5SWlJZ1BnbzhSVkV4TWlBZ1FXTjBhWFpsUFNJd0lp
+QWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXkKCVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJ
+RkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBpTUNJZ0lGQTRQU0l3CglJaUFnVURrOUlqQWlJQ0JR
+TVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlqQWlJQ0JRTVRNOUlqQWlJQ0JRTVRROQoJSWpB
+aUlENEtQQzlGVVRFeVBnb2dQRVZSTWlBZ1FXTjBhWFpsUFNJd0lpQWdVREE5SWpBaUlDQlFNVDBp
+TUNJZ0lGQXkKCVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpB
+aUlDQlFOejBpTUNJZ0lGQTRQU0l3CglJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlq
+QWlJQ0JRTVRJOUlqQWlJQ0JRTVRNOUlqQWlJQ0JRTVRROQoJSWpBaUlENEtQQzlGVVRJK0NpQThS
+RWxUVkNBZ1FXTjBhWFpsUFNJd0lpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXkKCVBTSXdJaUFn
+VURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBpTUNJZ0lGQTRQ
+U0l3CglJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlqQWlJQ0JR
+TVRNOUlqQWlJQ0JRTVRROQoJSWpBaUlENEtQQzlFU1ZOVVBnb2dQQzlHU1V4VVJWSStDaUE4VjBG
+V1JWTklRVkJGVWlBZ1lXTjBQU0l3SWlBZ2RIbHcKCVpUMGlNQ0lnSUhCdmN6MGlNQ0lnSUdSd2RH
+ZzlJakFpSUNCbllXbHVQU0l3SWlBZ2JXbDRQU0l3SWlBZ2RHOXVaVDBpCglNQ0lnSUdKalBTSXdJ
+aUFnYzNKeVpHTTlJakFpSUNCdFozSm1lVEU5SWpBaUlDQnRaM0ptZVRJOUlqQWlJQ0J1WVcxbAoJ
+UFNJd0lpQWdUbUZ0WlZOMGNqMGlJaUErQ2p3dlYwRldSVk5JUVZCRlVqNEtJRHhQVTBNZ0lIUjVj
+R1U5SWpBaUlDQnIKCWFXNWtQU0l3SWlBZ2NXdzlJakFpSUNCeGJISTlJakFpSUNCeGNuSTlJak5t
+T0RBd01EQXdJaUFnY1hJOUlqTm1PREF3CglNREF3SWlBZ2RIVnVaVDBpTUNJZ0lIUjFibVZHYVc1
+bFBTSXdJaUFnWm1sdVpWTmpiRDBpTVNJZ0lIQmtaWEIwYUQwaQoJTUNJZ0lIQjNhV1IwYUQwaU1D
+SWdJRzlqZEQwaU1DSWdJSE5sYldrOUlqQWlJQ0JzWlhabGJEMGlNQ0lnSUhCaGJqMGkKCU1DSWdJ
+SEJ2Y25ROUlqQWlJQ0J3YjNKMFFXTjBQU0l3SWlBZ2RIQnpQU0l3SWlBZ1pteFVaVzF3YkQwaU1D
+SWdJR1pzCglVM0JrUFNJelpqQXdNREF3TUNJZ0lHWnNURzl2Y0QwaU0yWTRNREF3TURBaUlDQnRi
+MlJwYm5ROUlqQWlJQ0J0YjJSawoJWlhCMGFEMGlNQ0lnSUdadFBTSXdJaUFnWm0xcmREMGlNQ0ln
+SUdadGQyWTlJakFpSUNCbWJYTmpiRDBpTUNJZ0lHWnQKCWNHUTlJakFpSUNCbWJYQjNQU0l3SWlB
+Z1ptMW9jejBpTUNJZ0lFRk5iVzlrYVc1MFBTSXdJaUFnUVUxdGIyUmtaWEIwCglhRDBpTUNJZ0lH
+RnRQU0l3SWlBZ1lXMXJkRDBpTUNJZ0lHRnRkMlk5SWpBaUlDQmhiWE5qYkQwaU1DSWdJR0Z0Y0dR
+OQoJSWpBaUlDQmhiWEIzUFNJd0lpQWdZVzFvY3owaU1DSWdJR2R5WVc0OUlqQWlJQ0J1WjNKaGFX
+NXpQU0l3SWlBZ1ozSmgKCWFXNHpQU0l3SWlBZ1ozSmhhVzQwUFNJd0lpQWdaM0poYVc0MVBTSXdJ
+aUFnWjNKaGFXNDJQU0l3SWlBZ1ozSmhibE53CgljbVE5SWpBaUlDQm5jbUZ1VUVScGNqMGlNQ0ln
+SUdkeVlXNVFRV05qZFcwOUlqQWlJQ0JuY21GdVRXbDRQU0l3SWlBZwoJWjNKaGJrVjRjRDBpTUNJ
+Z0lHZHlZVzVVY21jOUlqQWlJQ0JsYVVaeVRHOWpQU0l3SWlBZ1ozSmhibEJ2Y3owaU1DSWcKCUlH
+ZHlZVzVXTVQwaU1DSWdJSFZqYm5ROUlqQWlJQ0IxWkhCMGFEMGlNQ0lnSUhWM1pIUm9QU0l3SWlB
+Z2RXUndjbWM5CglJakFpSUNCMWIyTjBQU0l3SWlBZ2RXUnlablE5SWpBaUlDQjFkbkJ6UFNJd0lp
+QWdhSEprYzI1alBTSXdJaUFnY21WdwoJZEdOb1BTSXdJaUFnYzNCb1lUMGlNQ0lnSUhOaGJtRTlJ
+akFpSUNCaGRISnRQU0l3SWlBZ2MzTmxjejBpTUNJZ0lITnoKCVpYTjVQU0l3SWlBZ2RtMTBQU0l3
+SWlBZ2RtMWhQU0l3SWlBZ1kzTnphR1JoYlhBOUlqQWlJRDRLUEVoQlVrMGdJRUZqCglkREU5SWpB
+aUlDQnNkbXd4UFNJd0lpQWdjR0Z1TVQwaU1DSWdJSFIxYmpFOUlqQWlJQ0J6YldreFBTSXdJaUFn
+YzJodwoJTVQwaU1DSWdJSE41YlcweFBTSXdJaUFnYzNsdU1UMGlNQ0lnSUhkbWJURTlJakFpSUNC
+QlkzUXlQU0l3SWlBZ2JIWnMKCU1qMGlNQ0lnSUhCaGJqSTlJakFpSUNCMGRXNHlQU0l3SWlBZ2My
+MXBNajBpTUNJZ0lITm9jREk5SWpBaUlDQnplVzF0CglNajBpTUNJZ0lITjViakk5SWpBaUlDQjNa
+bTB5UFNJd0lpQWdRV04wTXowaU1DSWdJR3gyYkRNOUlqQWlJQ0J3WVc0egoJUFNJd0lpQWdkSFZ1
+TXowaU1DSWdJSE50YVRNOUlqQWlJQ0J6YUhBelBTSXdJaUFnYzNsdGJUTTlJakFpSUNCemVXNHoK
+CVBTSXdJaUFnZDJadE16MGlNQ0lnSUVGamREUTlJakFpSUNCc2RtdzBQU0l3SWlBZ2NHRnVORDBp
+TUNJZ0lIUjFialE5CglJakFpSUNCemJXazBQU0l3SWlBZ2MyaHdORDBpTUNJZ0lITjViVzAwUFNJ
+d0lpQWdjM2x1TkQwaU1DSWdJSGRtYlRROQoJSWpBaUlDQnRiMlE5SWpBaUlDQnRhWGc5SWpBaUlE
+NEtQQzlJUVZKTlBnb2dQRlJQVGtWWFNFVkZUQ0FnWkhKM01UMGkKCU0yWXdNREF3TURBaUlDQmtj
+bmN5UFNJelpqQXdNREF3TUNJZ0lHUnlkek05SWpObU1EQXdNREF3SWlBZ1pISjNORDBpCglNMll3
+TURBd01EQWlJQ0JrY25jMVBTSXdJaUFnWkhKM05qMGlNQ0lnSUdSeWR6YzlJakFpSUNCa2NuYzRQ
+U0l3SWlBZwoJWkhKM09UMGlNQ0lnSUhCbFpERTlJak5tTURBd01EQXdJaUFnY0dWa01qMGlNMll3
+TURBd01EQWlJQ0JUY0U5dVBTSXcKCUlpQWdWazl1UFNJd0lpQWdWbTF2WkdVOUlqQWlJQ0JRYjI0
+OUlqQWlJQ0JRYzI5bWREMGlNQ0lnSUZCbVlYTjBQU0l3CglJaUFnVUdoaGNtMDlJakFpSUNCVGNH
+dHlQU0l3SWlBZ1EyeHBZMnM5SWpBaUlDQklkVzA5SWpBaUlDQkJaMlU5SWpBaQoJSUNCWWRHRnNh
+ejBpTUNJZ0lFeHZkMlp2YkdROUlqTm1PREF3TURBd0lpQWdVRGxrUFNJelpqZ3dNREF3TUNJZ0lG
+QnMKCVpXYzlJak5tT0RBd01EQXdJaUFnVUdScGJUMGlNMlk0TURBd01EQWlJRDRLUEM5VVQwNUZW
+MGhGUlV3K0NpQThWMEZXCglSVk1nUGdvOEwxZEJWa1ZUUGdvZ1BFWk5WMEZXUlZNZ1BnbzhMMFpO
+VjBGV1JWTStDaUE4UVUxWFFWWkZVeUErQ2p3dgoJUVUxWFFWWkZVejRLSUR3dlQxTkRQZ29nUEVa
+RlRsWWdJR005SWpnaUlDQndZVzQ5SWpBaUlDQjZiMjl0UFNJelpqQTQKCU16RTRZeUlnUGdvOGND
+QWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXdJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3CglJ
+aUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpOak1qTmtOekF3SWlBZ2N6
+MGlNQ0lnSUdNOQoJSWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdN
+Q0lnSUhROUlqTmpZVE5rTnpBd0lpQWcKCWN6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2
+Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5qCglaalZqTWpnMUlpQWdjejBpTUNJ
+Z0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBdwoJTUNJZ0lI
+UTlJak5rTWpOa056QTFJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4
+d0lDQnMKCVBTSXpaamd3TURBd01DSWdJSFE5SWpOa05HTmpZMk0zSWlBZ2N6MGlNQ0lnSUdNOUlq
+Tm1PREF3TURBd0lpQStDand2CgljRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmtO
+elZqTWpoaElpQWdjejBpTUNJZ0lHTTlJak5tT0RBdwoJTURBd0lpQStDand2Y0Q0S0lEeHdJQ0Jz
+UFNJelpqZ3dNREF3TUNJZ0lIUTlJak5rT0dZMVl6STFJaUFnY3owaU1DSWcKCUlHTTlJak5tT0RB
+d01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXdJaUFnZEQwaU0yUmhNMlEzTURVaUlDQnpQU0l3
+CglJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BDOUdSVTVXUGdvZ1BFWkZUbFpRUVZK
+QlRWTWdJR0U5SWpBaQoJSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJelpU
+WTBaamt5TnlJZ0lHaHZiR1E5SWpObE5qUm0KCU9USTNJaUFnWkdWamVUMGlNMlUyTkdZNU1qY2lJ
+Q0J6ZFhOMFBTSXpaamd3TURBd01DSWdJSEpsYkhNOUlqTmxOalJtCglPVEkzSWlBZ2MyMXdQU0l3
+SWlBZ2JIQTlJakFpSUNCemVXNWpQU0l3SWlBZ2MzQmtQU0l3SWlBZ2RISm5UV1E5SWpBaQoJSUNC
+MlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkamNuWnpQU0l3SWlBZ1pIQjBQU0l3
+SWlBZ1kyaHoKCVZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlHUlU1V1VFRlNRVTFUUGdv
+Z1BFRkZUbFlnSUdNOUlqZ2lJQ0J3CglZVzQ5SWpBaUlDQjZiMjl0UFNJelpqQTRNekU0WXlJZ1Bn
+bzhjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l3SWlBZwoJY3owaU1DSWdJR005SWpObU9EQXdN
+REF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmoKCU1qTmtOekF3
+SWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dN
+REF3CglNQ0lnSUhROUlqTmpZVE5rTnpBd0lpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUEr
+Q2p3dmNENEtJRHh3SUNCcwoJUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5qWmpWak1qZzFJaUFnY3ow
+aU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3YKCWNENEtJRHh3SUNCc1BTSXpaamd3TURBd01D
+SWdJSFE5SWpOa01qTmtOekExSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3CglNREF3SWlBK0Nqd3Zj
+RDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmtOR05qWTJNM0lpQWdjejBpTUNJZwoJ
+SUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJ
+ak5rTnpWak1qaGgKCUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3
+SUNCc1BTSXpaamd3TURBd01DSWdJSFE5CglJak5rT0dZMVl6STFJaUFnY3owaU1DSWdJR005SWpO
+bU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l3SWlBZwoJZEQwaU0yUmhNMlEzTURVaUlD
+QnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQQzlCUlU1V1Bnb2cKCVBFRkZU
+bFpRUVZKQlRWTWdJRzl1VDJabVBTSXdJaUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlBZ2Nq
+MGlNQ0lnCglJR0YwZEdzOUlqTmxOalJtT1RJM0lpQWdhRzlzWkQwaU0yVTJOR1k1TWpjaUlDQmta
+V041UFNJelpUWTBaamt5TnlJZwoJSUhOMWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMlUy
+TkdZNU1qY2lJQ0J6YlhBOUlqQWlJQ0JzY0QwaU1DSWcKCUlITjVibU05SWpBaUlDQnpjR1E5SWpB
+aUlDQjBjbWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpSUNCdFoyeDJiSE05CglJakFpSUNCdFoy
+Tnlkbk05SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGlNQ0lnUGdv
+OAoJTDBGRlRsWlFRVkpCVFZNK0NpQThSVVpHVWtGRFN5QStDanhGUmtaTlQwUlZURVVnSUZSNWNH
+VTlJazV2SUVWbVptVmoKCWRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQ
+U0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnCglJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBp
+TUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZwoJVURFeVBTSXdJaUFnVURF
+elBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEYKCVBn
+b2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQw
+aU1DSWdJRkF5CglQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlq
+QWlJQ0JRTnowaU1DSWdJRkE0UFNJdwoJSWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJ
+akFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTkKCUlqQWlJQ0JCWTNScGRtVTlJakFp
+SUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPCglieUJGWm1a
+bFkzUWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3
+SWlBZwoJVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJ
+Z0lGQXhNRDBpTUNJZ0lGQXgKCU1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5E
+MGlNQ0lnSUVGamRHbDJaVDBpTUNJZ1BnbzhMMFZHCglSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZU
+RVVnSUZSNWNHVTlJazV2SUVWbVptVmpkQ0lnSUZBd1BTSXdJaUFnVURFOQoJSWpBaUlDQlFNajBp
+TUNJZ0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWkK
+CUlDQlFPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3
+SWlBZ1VERXpQU0l3CglJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5
+RVZVeEZQZ29nUEM5RlJrWlNRVU5MUGdvZwoJUEM5V1QwbERSVDRLSUR4V1QwbERSU0FnY0dGMWVH
+dzlJakFpSUNCd1lYVjRhWEJ2WmowaU1DSWdQZ284UmtsTVZFVlMKCUlDQmhZM1E5SWpBaUlDQndZ
+WEpoUFNJd0lpQWdZbUZzUFNJd0lpQWdabkpsY1QwaU1DSWdJSE53Y21ROUlqQWlJQ0J5CglaWE05
+SWpBaUlDQnJaWGs5SWpBaUlDQnJaWGxwYm5ZOUlqQWlJQ0JyWlhsdGNEMGlNQ0lnSUdWdWRtUndk
+R2c5SWpBaQoJSUNCbGJuWmtjSFJvYVc1MlBTSXdJaUFnYm1GdFpUMGlNQ0lnSUdGamRERTlJakFp
+SUNCMGVYQmxNVDBpTUNJZ0lHWnkKCVpYRXhQU0l3SWlBZ2NtVnpNVDBpTUNJZ0lIQmhiakU5SWpB
+aUlDQmhZM1F5UFNJd0lpQWdkSGx3WlRJOUlqQWlJQ0JtCgljbVZ4TWowaU1DSWdJSEpsY3pJOUlq
+QWlJQ0J3WVc0eVBTSXdJaUFnWkdsemRGQnZjM1E5SWpBaUlDQmxjVkJ2YzNROQoJSWpBaUlDQk9Z
+VzFsVTNSeVBTSWlJRDRLUEVWUk1USWdJRUZqZEdsMlpUMGlNQ0lnSUZBd1BTSXdJaUFnVURFOUlq
+QWkKCUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJ
+aUFnVURjOUlqQWlJQ0JRCglPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3
+SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3SWlBZwoJVURFMFBTSXdJaUErQ2p3dlJWRXhNajRLSUR4
+RlVUSWdJRUZqZEdsMlpUMGlNQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWkKCUlDQlFNajBpTUNJZ0lG
+QXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRCglP
+RDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VE
+RXpQU0l3SWlBZwoJVURFMFBTSXdJaUErQ2p3dlJWRXlQZ29nUEVSSlUxUWdJRUZqZEdsMlpUMGlN
+Q0lnSUZBd1BTSXdJaUFnVURFOUlqQWkKCUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VEUTlJakFp
+SUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRCglPRDBpTUNJZ0lGQTVQU0l3SWlB
+Z1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3SWlBZwoJVURFMFBT
+SXdJaUErQ2p3dlJFbFRWRDRLSUR3dlJrbE1WRVZTUGdvZ1BGZEJWa1ZUU0VGUVJWSWdJR0ZqZEQw
+aU1DSWcKCUlIUjVjR1U5SWpBaUlDQndiM005SWpBaUlDQmtjSFJvUFNJd0lpQWdaMkZwYmowaU1D
+SWdJRzFwZUQwaU1DSWdJSFJ2CglibVU5SWpBaUlDQmlZejBpTUNJZ0lITnljbVJqUFNJd0lpQWdi
+V2R5Wm5reFBTSXdJaUFnYldkeVpua3lQU0l3SWlBZwoJYm1GdFpUMGlNQ0lnSUU1aGJXVlRkSEk5
+SWlJZ1BnbzhMMWRCVmtWVFNFRlFSVkkrQ2lBOFQxTkRJQ0IwZVhCbFBTSXcKCUlpQWdhMmx1WkQw
+aU1DSWdJSEZzUFNJd0lpQWdjV3h5UFNJd0lpQWdjWEp5UFNJelpqZ3dNREF3TUNJZ0lIRnlQU0l6
+Cglaamd3TURBd01DSWdJSFIxYm1VOUlqQWlJQ0IwZFc1bFJtbHVaVDBpTUNJZ0lHWnBibVZUWTJ3
+OUlqRWlJQ0J3WkdWdwoJZEdnOUlqQWlJQ0J3ZDJsa2RHZzlJakFpSUNCdlkzUTlJakFpSUNCelpX
+MXBQU0l3SWlBZ2JHVjJaV3c5SWpBaUlDQncKCVlXNDlJakFpSUNCd2IzSjBQU0l3SWlBZ2NHOXlk
+RUZqZEQwaU1DSWdJSFJ3Y3owaU1DSWdJR1pzVkdWdGNHdzlJakFpCglJQ0JtYkZOd1pEMGlNMll3
+TURBd01EQWlJQ0JtYkV4dmIzQTlJak5tT0RBd01EQXdJaUFnYlc5a2FXNTBQU0l3SWlBZwoJYlc5
+a1pHVndkR2c5SWpBaUlDQm1iVDBpTUNJZ0lHWnRhM1E5SWpBaUlDQm1iWGRtUFNJd0lpQWdabTF6
+WTJ3OUlqQWkKCUlDQm1iWEJrUFNJd0lpQWdabTF3ZHowaU1DSWdJR1p0YUhNOUlqQWlJQ0JCVFcx
+dlpHbHVkRDBpTUNJZ0lFRk5iVzlrCglaR1Z3ZEdnOUlqQWlJQ0JoYlQwaU1DSWdJR0Z0YTNROUlq
+QWlJQ0JoYlhkbVBTSXdJaUFnWVcxelkydzlJakFpSUNCaAoJYlhCa1BTSXdJaUFnWVcxd2R6MGlN
+Q0lnSUdGdGFITTlJakFpSUNCbmNtRnVQU0l3SWlBZ2JtZHlZV2x1Y3owaU1DSWcKCUlHZHlZV2x1
+TXowaU1DSWdJR2R5WVdsdU5EMGlNQ0lnSUdkeVlXbHVOVDBpTUNJZ0lHZHlZV2x1TmowaU1DSWdJ
+R2R5CglZVzVUY0hKa1BTSXdJaUFnWjNKaGJsQkVhWEk5SWpBaUlDQm5jbUZ1VUVGalkzVnRQU0l3
+SWlBZ1ozSmhiazFwZUQwaQoJTUNJZ0lHZHlZVzVGZUhBOUlqQWlJQ0JuY21GdVZISm5QU0l3SWlB
+Z1pXbEdja3h2WXowaU1DSWdJR2R5WVc1UWIzTTkKCUlqQWlJQ0JuY21GdVZqRTlJakFpSUNCMVky
+NTBQU0l3SWlBZ2RXUndkR2c5SWpBaUlDQjFkMlIwYUQwaU1DSWdJSFZrCgljSEpuUFNJd0lpQWdk
+VzlqZEQwaU1DSWdJSFZrY21aMFBTSXdJaUFnZFhad2N6MGlNQ0lnSUdoeVpITnVZejBpTUNJZwoJ
+SUhKbGNIUmphRDBpTUNJZ0lITndhR0U5SWpBaUlDQnpZVzVoUFNJd0lpQWdZWFJ5YlQwaU1DSWdJ
+SE56WlhNOUlqQWkKCUlDQnpjMlZ6ZVQwaU1DSWdJSFp0ZEQwaU1DSWdJSFp0WVQwaU1DSWdJR056
+YzJoa1lXMXdQU0l3SWlBK0NqeElRVkpOCglJQ0JCWTNReFBTSXdJaUFnYkhac01UMGlNQ0lnSUhC
+aGJqRTlJakFpSUNCMGRXNHhQU0l3SWlBZ2MyMXBNVDBpTUNJZwoJSUhOb2NERTlJakFpSUNCemVX
+MXRNVDBpTUNJZ0lITjViakU5SWpBaUlDQjNabTB4UFNJd0lpQWdRV04wTWowaU1DSWcKCUlHeDJi
+REk5SWpBaUlDQndZVzR5UFNJd0lpQWdkSFZ1TWowaU1DSWdJSE50YVRJOUlqQWlJQ0J6YUhBeVBT
+SXdJaUFnCgljM2x0YlRJOUlqQWlJQ0J6ZVc0eVBTSXdJaUFnZDJadE1qMGlNQ0lnSUVGamRETTlJ
+akFpSUNCc2Rtd3pQU0l3SWlBZwoJY0dGdU16MGlNQ0lnSUhSMWJqTTlJakFpSUNCemJXa3pQU0l3
+SWlBZ2MyaHdNejBpTUNJZ0lITjViVzB6UFNJd0lpQWcKCWMzbHVNejBpTUNJZ0lIZG1iVE05SWpB
+aUlDQkJZM1EwUFNJd0lpQWdiSFpzTkQwaU1DSWdJSEJoYmpROUlqQWlJQ0IwCglkVzQwUFNJd0lp
+QWdjMjFwTkQwaU1DSWdJSE5vY0RROUlqQWlJQ0J6ZVcxdE5EMGlNQ0lnSUhONWJqUTlJakFpSUNC
+MwoJWm0wMFBTSXdJaUFnYlc5a1BTSXdJaUFnYldsNFBTSXdJaUErQ2p3dlNFRlNUVDRLSUR4VVQw
+NUZWMGhGUlV3Z0lHUnkKCWR6RTlJak5tTURBd01EQXdJaUFnWkhKM01qMGlNMll3TURBd01EQWlJ
+Q0JrY25jelBTSXpaakF3TURBd01DSWdJR1J5CglkelE5SWpObU1EQXdNREF3SWlBZ1pISjNOVDBp
+TUNJZ0lHUnlkelk5SWpBaUlDQmtjbmMzUFNJd0lpQWdaSEozT0QwaQoJTUNJZ0lHUnlkems5SWpB
+aUlDQndaV1F4UFNJelpqQXdNREF3TUNJZ0lIQmxaREk5SWpObU1EQXdNREF3SWlBZ1UzQlAKCWJq
+MGlNQ0lnSUZaUGJqMGlNQ0lnSUZadGIyUmxQU0l3SWlBZ1VHOXVQU0l3SWlBZ1VITnZablE5SWpB
+aUlDQlFabUZ6CglkRDBpTUNJZ0lGQm9ZWEp0UFNJd0lpQWdVM0JyY2owaU1DSWdJRU5zYVdOclBT
+SXdJaUFnU0hWdFBTSXdJaUFnUVdkbAoJUFNJd0lpQWdXSFJoYkdzOUlqQWlJQ0JNYjNkbWIyeGtQ
+U0l6Wmpnd01EQXdNQ0lnSUZBNVpEMGlNMlk0TURBd01EQWkKCUlDQlFiR1ZuUFNJelpqZ3dNREF3
+TUNJZ0lGQmthVzA5SWpObU9EQXdNREF3SWlBK0Nqd3ZWRTlPUlZkSVJVVk1QZ29nCglQRmRCVmtW
+VElENEtQQzlYUVZaRlV6NEtJRHhHVFZkQlZrVlRJRDRLUEM5R1RWZEJWa1ZUUGdvZ1BFRk5WMEZX
+UlZNZwoJUGdvOEwwRk5WMEZXUlZNK0NpQThMMDlUUXo0S0lEeEdSVTVXSUNCalBTSTRJaUFnY0dG
+dVBTSXdJaUFnZW05dmJUMGkKCU0yWXdPRE14T0dNaUlENEtQSEFnSUd3OUlqTm1PREF3TURBd0lp
+QWdkRDBpTUNJZ0lITTlJakFpSUNCalBTSXpaamd3CglNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdi
+RDBpTTJZNE1EQXdNREFpSUNCMFBTSXpZekl6WkRjd01DSWdJSE05SWpBaQoJSUNCalBTSXpaamd3
+TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WTJFelpEY3cK
+CU1DSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0
+TURBd01EQWlJQ0IwCglQU0l6WTJZMVl6STROU0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJ
+Z1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNAoJTURBd01EQWlJQ0IwUFNJelpESXpaRGN3TlNJZ0lI
+TTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQTgKCWNDQWdiRDBpTTJZNE1EQXdN
+REFpSUNCMFBTSXpaRFJqWTJOak55SWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnCglQZ284
+TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WkRjMVl6STRZU0lnSUhNOUlqQWlJ
+Q0JqUFNJegoJWmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0Iw
+UFNJelpEaG1OV015TlNJZ0lITTkKCUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lB
+OGNDQWdiRDBpTUNJZ0lIUTlJak5rWVROa056QTFJaUFnCgljejBpTUNJZ0lHTTlJak5tT0RBd01E
+QXdJaUErQ2p3dmNENEtJRHd2UmtWT1ZqNEtJRHhHUlU1V1VFRlNRVTFUSUNCaAoJUFNJd0lpQWdh
+RDBpTUNJZ0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1qY2lJQ0JvYjJ4a1BT
+SXoKCVpUWTBaamt5TnlJZ0lHUmxZM2s5SWpObE5qUm1PVEkzSWlBZ2MzVnpkRDBpTTJZNE1EQXdN
+REFpSUNCeVpXeHpQU0l6CglaVFkwWmpreU55SWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1
+WXowaU1DSWdJSE53WkQwaU1DSWdJSFJ5WjAxawoJUFNJd0lpQWdkbVZzYzJWdWN6MGlNQ0lnSUcx
+bmJIWnNjejBpTUNJZ0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWcKCUlHTm9jMVJ5WnowaU1D
+SWdJR0YwWTJoelBTSXdJaUErQ2p3dlJrVk9WbEJCVWtGTlV6NEtJRHhCUlU1V0lDQmpQU0k0CglJ
+aUFnY0dGdVBTSXdJaUFnZW05dmJUMGlNMll3T0RNeE9HTWlJRDRLUEhBZ0lHdzlJak5tT0RBd01E
+QXdJaUFnZEQwaQoJTUNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThj
+Q0FnYkQwaU0yWTRNREF3TURBaUlDQjAKCVBTSXpZekl6WkRjd01DSWdJSE05SWpBaUlDQmpQU0l6
+Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0CglNREF3TURBaUlDQjBQU0l6WTJF
+elpEY3dNQ0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOAoJY0NBZ2JE
+MGlNMlk0TURBd01EQWlJQ0IwUFNJelkyWTFZekk0TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURB
+d01DSWcKCVBnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpaREl6WkRjd05T
+SWdJSE05SWpBaUlDQmpQU0l6Cglaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRN
+REF3TURBaUlDQjBQU0l6WkRSalkyTmpOeUlnSUhNOQoJSWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0ln
+UGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpEYzEKCVl6STRZU0lnSUhN
+OUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFp
+CglJQ0IwUFNJelpEaG1OV015TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNB
+K0NpQThjQ0FnYkQwaQoJTUNJZ0lIUTlJak5rWVROa056QTFJaUFnY3owaU1DSWdJR005SWpObU9E
+QXdNREF3SWlBK0Nqd3ZjRDRLSUR3dlFVVk8KCVZqNEtJRHhCUlU1V1VFRlNRVTFUSUNCdmJrOW1a
+ajBpTUNJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5CglJakFpSUNCaGRIUnJQU0l6
+WlRZMFpqa3lOeUlnSUdodmJHUTlJak5sTmpSbU9USTNJaUFnWkdWamVUMGlNMlUyTkdZNQoJTWpj
+aUlDQnpkWE4wUFNJelpqZ3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEkzSWlBZ2MyMXdQU0l3
+SWlBZ2JIQTkKCUlqQWlJQ0J6ZVc1alBTSXdJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNC
+MlpXeHpaVzV6UFNJd0lpQWdiV2RzCglkbXh6UFNJd0lpQWdiV2RqY25aelBTSXdJaUFnWkhCMFBT
+SXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaQoJSUQ0S1BDOUJSVTVXVUVGU1FVMVRQ
+Z29nUEVWR1JsSkJRMHNnUGdvOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkYKCVptWmxZM1Fp
+SUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdV
+RFU5CglJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4
+TUQwaU1DSWdJRkF4TVQwaQoJTUNJZ0lGQXhNajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXhORDBpTUNJ
+Z0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVAKCVJGVk1SVDRLSUR4RlJrWk5UMFJWVEVVZ0lG
+UjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpCglJQ0JRTWowaU1DSWdJ
+RkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUQoJ
+T0QwaU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdV
+REV6UFNJd0lpQWcKCVVERTBQU0l3SWlBZ1FXTjBhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhG
+UGdvZ1BFVkdSazFQUkZWTVJTQWdWSGx3CglaVDBpVG04Z1JXWm1aV04wSWlBZ1VEQTlJakFpSUNC
+UU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaQoJTUNJZ0lGQTFQU0l3SWlBZ1VE
+WTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWkKCUlDQlFN
+VEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlq
+QWlJRDRLCglQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZa
+bVpsWTNRaUlDQlFNRDBpTUNJZwoJSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEw
+UFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTMKCVBTSXdJaUFnVURnOUlqQWlJQ0JRT1Qw
+aU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4CglNejBpTUNJZ0lG
+QXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEd3ZSVVpHVWtG
+RAoJU3o0S0lEd3ZWazlKUTBVK0NpQThUVlZNVkVsVFFVMVFURVVnSUV4aGVXVnlNRlp2YkQwaU1D
+SWdJRXhoZVdWeU1FRmoKCWREMGlNQ0lnSUV4aGVXVnlNRTEwUFNJd0lpQWdUR0Y1WlhJd1JtdzlJ
+akFpSUNCTVlYbGxjakZXYjJ3OUlqQWlJQ0JNCglZWGxsY2pGQlkzUTlJakFpSUNCTVlYbGxjakZO
+ZEQwaU1DSWdJRXhoZVdWeU1VWnNQU0l3SWlBZ1RHRjVaWEl5Vm05cwoJUFNJd0lpQWdUR0Y1WlhJ
+eVFXTjBQU0l3SWlBZ1RHRjVaWEl5VFhROUlqQWlJQ0JNWVhsbGNqSkdiRDBpTUNJZ0lFeGgKCWVX
+VnlNMVp2YkQwaU1DSWdJRXhoZVdWeU0wRmpkRDBpTUNJZ0lFeGhlV1Z5TTAxMFBTSXdJaUFnVEdG
+NVpYSXpSbXc5CglJakFpSUNCeVpXeFdiMnc5SWpBaUlDQndaV1JNZG13OUlqQWlJQ0J3WldSR1dE
+MGlNMlk0TURBd01EQWlJQ0J6Y25obQoJWVdSbFBTSXdJaUFnY21Wc1VuVnNaVDBpTUNJZ0lIUnBi
+V0p5WlQwaU1DSWdJSFJpYldROUlqQWlJQ0JsYm5OemJuSnMKCVBTSXdJaUFnY21Wd2RHTm9jbVZz
+UFNJd0lpQWdjM055Wlhad1lqMGlNQ0lnSUcxdlozSnBabms5SWpBaUlDQnpjM1JvCglhVzVGYmow
+aU1DSWdQZ284TDAxVlRGUkpVMEZOVUV4RlBnb2dQRTFWVEZSSlUwRk5VRXhGSUNCTVlYbGxjakJX
+YjJ3OQoJSWpBaUlDQk1ZWGxsY2pCQlkzUTlJakFpSUNCTVlYbGxjakJOZEQwaU1DSWdJRXhoZVdW
+eU1FWnNQU0l3SWlBZ1RHRjUKCVpYSXhWbTlzUFNJd0lpQWdUR0Y1WlhJeFFXTjBQU0l3SWlBZ1RH
+RjVaWEl4VFhROUlqQWlJQ0JNWVhsbGNqRkdiRDBpCglNQ0lnSUV4aGVXVnlNbFp2YkQwaU1DSWdJ
+RXhoZVdWeU1rRmpkRDBpTUNJZ0lFeGhlV1Z5TWsxMFBTSXdJaUFnVEdGNQoJWlhJeVJtdzlJakFp
+SUNCTVlYbGxjak5XYjJ3OUlqQWlJQ0JNWVhsbGNqTkJZM1E5SWpBaUlDQk1ZWGxsY2pOTmREMGkK
+CU1DSWdJRXhoZVdWeU0wWnNQU0l3SWlBZ2NtVnNWbTlzUFNJd0lpQWdjR1ZrVEhac1BTSXdJaUFn
+Y0dWa1JsZzlJak5tCglPREF3TURBd0lpQWdjM0o0Wm1Ga1pUMGlNQ0lnSUhKbGJGSjFiR1U5SWpB
+aUlDQjBhVzFpY21VOUlqQWlJQ0IwWW0xawoJUFNJd0lpQWdaVzV6YzI1eWJEMGlNQ0lnSUhKbGNI
+UmphSEpsYkQwaU1DSWdJSE56Y21WMmNHSTlJakFpSUNCdGIyZHkKCWFXWjVQU0l3SWlBZ2MzTjBh
+R2x1Ulc0OUlqQWlJRDRLUEM5TlZVeFVTVk5CVFZCTVJUNEtJRHhGUmtaU1FVTkxJRDRLCglQRVZH
+UmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJ
+RkF5UFNJdwoJSWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJQ0JR
+TnowaU1DSWdJRkE0UFNJd0lpQWcKCVVEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNC
+UU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpCglJQ0JCWTNScGRtVTlJakFpSUQ0S1BD
+OUZSa1pOVDBSVlRFVStDaUE4UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPYnlCRgoJWm1abFkzUWlJ
+Q0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VE
+VTkKCUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhN
+RDBpTUNJZ0lGQXhNVDBpCglNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0ln
+SUVGamRHbDJaVDBpTUNJZ1BnbzhMMFZHUmsxUAoJUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZS
+NWNHVTlJazV2SUVWbVptVmpkQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWkKCUlDQlFNajBpTUNJZ0lG
+QXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRCglP
+RDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VE
+RXpQU0l3SWlBZwoJVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEZQ
+Z29nUEVWR1JrMVBSRlZNUlNBZ1ZIbHcKCVpUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JR
+TVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpCglNQ0lnSUZBMVBTSXdJaUFnVURZ
+OUlqQWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaQoJSUNCUU1U
+RTlJakFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUNCQlkzUnBkbVU5SWpB
+aUlENEsKCVBDOUZSa1pOVDBSVlRFVStDaUE4TDBWR1JsSkJRMHMrQ2lBOFFWVllSVVpHVWtGRFN5
+QStDanhGUmtaTlQwUlZURVVnCglJRlI1Y0dVOUlrNXZJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdV
+REU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZwoJVURROUlqQWlJQ0JRTlQwaU1DSWdJRkEy
+UFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXcKCVBTSXdJaUFnVURF
+eFBTSXdJaUFnVURFeVBTSXdJaUFnVURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3
+CglJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUlda
+bVpXTjBJaUFnVURBOQoJSWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5E
+MGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWkKCUlDQlFOejBpTUNJZ0lGQTRQU0l3SWlBZ1VEazlJ
+akFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1USTlJakFpCglJQ0JRTVRNOUlqQWlJQ0JR
+TVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaRwoJVFU5
+RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5
+SWpBaUlDQlEKCU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJ
+d0lpQWdVRGc5SWpBaUlDQlFPVDBpCglNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1q
+MGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGagoJZEdsMlpUMGlNQ0lnUGdvOEwwVkdS
+azFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZSNWNHVTlJazV2SUVWbVptVmoKCWRDSWdJRkF3
+UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlN
+Q0lnCglJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3
+SWlBZ1VERXhQU0l3SWlBZwoJVURFeVBTSXdJaUFnVURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdO
+MGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEYKCVBnb2dQQzlCVlZoRlJrWlNRVU5MUGdvZ1BF
+eEdUMTlUUlZRZ1BnbzhURVpQSUNCMGVYQmxQU0l3SWlBZ1kyVnVkR1Z5CglQU0l3SWlBZ2MzZHBi
+bWM5SWpBaUlDQnlZWFJsUFNJd0lpQWdjbTVrZEhJOUlqQWlJQ0J5WVc1a2NtYzlJakFpSUNCeQoJ
+WVc1a2NtVjJQU0l3SWlBZ2NIVnNjMlZ0YVhnOUlqQWlJQ0J3ZFd4elpYSmhkR1U5SWpBaUlDQnpZ
+MkZzWlQwaU1DSWcKCUlITjVibU05SWpBaUlDQnlaWE5sZEhSeVBTSXdJaUFnWlc1MlpIQjBhRDBp
+TUNJZ0lHSndiMnhoY2owaU1DSWdJSEJvCglZWE5sUFNJd0lpQWdkVzVwWkdseVBTSXdJaUErQ2p3
+dlRFWlBQZ29nUEV4R1R5QWdkSGx3WlQwaU1DSWdJR05sYm5SbAoJY2owaU1DSWdJSE4zYVc1blBT
+SXdJaUFnY21GMFpUMGlNQ0lnSUhKdVpIUnlQU0l3SWlBZ2NtRnVaSEpuUFNJd0lpQWcKCWNtRnVa
+SEpsZGowaU1DSWdJSEIxYkhObGJXbDRQU0l3SWlBZ2NIVnNjMlZ5WVhSbFBTSXdJaUFnYzJOaGJH
+VTlJakFpCglJQ0J6ZVc1alBTSXdJaUFnY21WelpYUjBjajBpTUNJZ0lHVnVkbVJ3ZEdnOUlqQWlJ
+Q0JpY0c5c1lYSTlJakFpSUNCdwoJYUdGelpUMGlNQ0lnSUhWdWFXUnBjajBpTUNJZ1BnbzhMMHhH
+VHo0S0lEeE1SazhnSUhSNWNHVTlJakFpSUNCalpXNTAKCVpYSTlJakFpSUNCemQybHVaejBpTUNJ
+Z0lISmhkR1U5SWpBaUlDQnlibVIwY2owaU1DSWdJSEpoYm1SeVp6MGlNQ0lnCglJSEpoYm1SeVpY
+WTlJakFpSUNCd2RXeHpaVzFwZUQwaU1DSWdJSEIxYkhObGNtRjBaVDBpTUNJZ0lITmpZV3hsUFNJ
+dwoJSWlBZ2MzbHVZejBpTUNJZ0lISmxjMlYwZEhJOUlqQWlJQ0JsYm5aa2NIUm9QU0l3SWlBZ1lu
+QnZiR0Z5UFNJd0lpQWcKCWNHaGhjMlU5SWpBaUlDQjFibWxrYVhJOUlqQWlJRDRLUEM5TVJrOCtD
+aUE4VEVaUElDQjBlWEJsUFNJd0lpQWdZMlZ1CglkR1Z5UFNJd0lpQWdjM2RwYm1jOUlqQWlJQ0J5
+WVhSbFBTSXdJaUFnY201a2RISTlJakFpSUNCeVlXNWtjbWM5SWpBaQoJSUNCeVlXNWtjbVYyUFNJ
+d0lpQWdjSFZzYzJWdGFYZzlJakFpSUNCd2RXeHpaWEpoZEdVOUlqQWlJQ0J6WTJGc1pUMGkKCU1D
+SWdJSE41Ym1NOUlqQWlJQ0J5WlhObGRIUnlQU0l3SWlBZ1pXNTJaSEIwYUQwaU1DSWdJR0p3YjJ4
+aGNqMGlNQ0lnCglJSEJvWVhObFBTSXdJaUFnZFc1cFpHbHlQU0l3SWlBK0Nqd3ZURVpQUGdvZ1BF
+eEdUeUFnZEhsd1pUMGlNQ0lnSUdObAoJYm5SbGNqMGlNQ0lnSUhOM2FXNW5QU0l3SWlBZ2NtRjBa
+VDBpTUNJZ0lISnVaSFJ5UFNJd0lpQWdjbUZ1WkhKblBTSXcKCUlpQWdjbUZ1WkhKbGRqMGlNQ0ln
+SUhCMWJITmxiV2w0UFNJd0lpQWdjSFZzYzJWeVlYUmxQU0l3SWlBZ2MyTmhiR1U5CglJakFpSUNC
+emVXNWpQU0l3SWlBZ2NtVnpaWFIwY2owaU1DSWdJR1Z1ZG1Sd2RHZzlJakFpSUNCaWNHOXNZWEk5
+SWpBaQoJSUNCd2FHRnpaVDBpTUNJZ0lIVnVhV1JwY2owaU1DSWdQZ284TDB4R1R6NEtJRHhNUms4
+Z0lIUjVjR1U5SWpBaUlDQmoKCVpXNTBaWEk5SWpBaUlDQnpkMmx1WnowaU1DSWdJSEpoZEdVOUlq
+QWlJQ0J5Ym1SMGNqMGlNQ0lnSUhKaGJtUnlaejBpCglNQ0lnSUhKaGJtUnlaWFk5SWpBaUlDQndk
+V3h6WlcxcGVEMGlNQ0lnSUhCMWJITmxjbUYwWlQwaU1DSWdJSE5qWVd4bAoJUFNJd0lpQWdjM2x1
+WXowaU1DSWdJSEpsYzJWMGRISTlJakFpSUNCbGJuWmtjSFJvUFNJd0lpQWdZbkJ2YkdGeVBTSXcK
+CUlpQWdjR2hoYzJVOUlqQWlJQ0IxYm1sa2FYSTlJakFpSUQ0S1BDOU1SazgrQ2lBOFRFWlBJQ0Iw
+ZVhCbFBTSXdJaUFnCglZMlZ1ZEdWeVBTSXdJaUFnYzNkcGJtYzlJakFpSUNCeVlYUmxQU0l3SWlB
+Z2NtNWtkSEk5SWpBaUlDQnlZVzVrY21jOQoJSWpBaUlDQnlZVzVrY21WMlBTSXdJaUFnY0hWc2My
+VnRhWGc5SWpBaUlDQndkV3h6WlhKaGRHVTlJakFpSUNCelkyRnMKCVpUMGlNQ0lnSUhONWJtTTlJ
+akFpSUNCeVpYTmxkSFJ5UFNJd0lpQWdaVzUyWkhCMGFEMGlNQ0lnSUdKd2IyeGhjajBpCglNQ0ln
+SUhCb1lYTmxQU0l3SWlBZ2RXNXBaR2x5UFNJd0lpQStDand2VEVaUFBnb2dQRXhHVHlBZ2RIbHda
+VDBpTUNJZwoJSUdObGJuUmxjajBpTUNJZ0lITjNhVzVuUFNJd0lpQWdjbUYwWlQwaU1DSWdJSEp1
+WkhSeVBTSXdJaUFnY21GdVpISm4KCVBTSXdJaUFnY21GdVpISmxkajBpTUNJZ0lIQjFiSE5sYlds
+NFBTSXdJaUFnY0hWc2MyVnlZWFJsUFNJd0lpQWdjMk5oCgliR1U5SWpBaUlDQnplVzVqUFNJd0lp
+QWdjbVZ6WlhSMGNqMGlNQ0lnSUdWdWRtUndkR2c5SWpBaUlDQmljRzlzWVhJOQoJSWpBaUlDQndh
+R0Z6WlQwaU1DSWdJSFZ1YVdScGNqMGlNQ0lnUGdvOEwweEdUejRLSUR3dlRFWlBYMU5GVkQ0S0lE
+eE4KCVQwUkZUbFpRUVZKQlRWTWdJR0U5SWpBaUlDQm9QU0l3SWlBZ1pEMGlNQ0lnSUhJOUlqQWlJ
+Q0JoZEhSclBTSXpaVFkwCglaamt5WlNJZ0lHaHZiR1E5SWpObE5qUm1PVEpsSWlBZ1pHVmplVDBp
+TTJVMk5HWTVNbVlpSUNCemRYTjBQU0l6WmpndwoJTURBd01DSWdJSEpsYkhNOUlqTmxOalJtT1RK
+a0lpQWdjMjF3UFNJd0lpQWdiSEE5SWpBaUlDQnplVzVqUFNJd0lpQWcKCWMzQmtQU0l3SWlBZ2RI
+Sm5UV1E5SWpBaUlDQjJaV3h6Wlc1elBTSXdJaUFnYldkc2RteHpQU0l3SWlBZ2JXZGpjblp6CglQ
+U0l3SWlBZ1pIQjBQU0l3SWlBZ1kyaHpWSEpuUFNJd0lpQWdZWFJqYUhNOUlqQWlJRDRLUEM5TlQw
+UkZUbFpRUVZKQgoJVFZNK0NpQThUVTlFWDBWT1ZqSmZNaUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQ
+U0l3SWlBZ2NqMGlNQ0lnSUdGMGRHczkKCUlqTmxOalJtT1RKbElpQWdhRzlzWkQwaU0yVTJOR1k1
+TW1VaUlDQmtaV041UFNJelpUWTBaamt5WmlJZ0lITjFjM1E5CglJak5tT0RBd01EQXdJaUFnY21W
+c2N6MGlNMlUyTkdZNU1tUWlJQ0J6YlhBOUlqQWlJQ0JzY0QwaU1DSWdJSE41Ym1NOQoJSWpBaUlD
+QnpjR1E5SWpBaUlDQjBjbWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpSUNCdFoyeDJiSE05SWpB
+aUlDQnQKCVoyTnlkbk05SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6
+MGlNQ0lnUGdvOEwwMVBSRjlGCglUbFl5WHpJK0NpQThUVTlFWDBWT1ZqSmZNaUFnWVQwaU1DSWdJ
+R2c5SWpBaUlDQmtQU0l3SWlBZ2NqMGlNQ0lnSUdGMAoJZEdzOUlqTmxOalJtT1RKbElpQWdhRzlz
+WkQwaU0yVTJOR1k1TW1VaUlDQmtaV041UFNJelpUWTBaamt5WmlJZ0lITjEKCWMzUTlJak5tT0RB
+d01EQXdJaUFnY21Wc2N6MGlNMlUyTkdZNU1tUWlJQ0J6YlhBOUlqQWlJQ0JzY0QwaU1DSWdJSE41
+CglibU05SWpBaUlDQnpjR1E5SWpBaUlDQjBjbWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpSUNC
+dFoyeDJiSE05SWpBaQoJSUNCdFoyTnlkbk05SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlq
+QWlJQ0JoZEdOb2N6MGlNQ0lnUGdvOEwwMVAKCVJGOUZUbFl5WHpJK0NpQThUVTlFWDBWT1ZqSmZN
+aUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlBZ2NqMGlNQ0lnCglJR0YwZEdzOUlqTmxOalJt
+T1RKbElpQWdhRzlzWkQwaU0yVTJOR1k1TW1VaUlDQmtaV041UFNJelpUWTBaamt5WmlJZwoJSUhO
+MWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMlUyTkdZNU1tUWlJQ0J6YlhBOUlqQWlJQ0Jz
+Y0QwaU1DSWcKCUlITjVibU05SWpBaUlDQnpjR1E5SWpBaUlDQjBjbWROWkQwaU1DSWdJSFpsYkhO
+bGJuTTlJakFpSUNCdFoyeDJiSE05CglJakFpSUNCdFoyTnlkbk05SWpBaUlDQmtjSFE5SWpBaUlD
+QmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGlNQ0lnUGdvOAoJTDAxUFJGOUZUbFl5WHpJK0NpQThU
+VTlFWDBWT1ZqSmZNaUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlBZ2NqMGkKCU1DSWdJR0Yw
+ZEdzOUlqTmxOalJtT1RKbElpQWdhRzlzWkQwaU0yVTJOR1k1TW1VaUlDQmtaV041UFNJelpUWTBa
+amt5CglaaUlnSUhOMWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMlUyTkdZNU1tUWlJQ0J6
+YlhBOUlqQWlJQ0JzY0QwaQoJTUNJZ0lITjVibU05SWpBaUlDQnpjR1E5SWpBaUlDQjBjbWROWkQw
+aU1DSWdJSFpsYkhObGJuTTlJakFpSUNCdFoyeDIKCWJITTlJakFpSUNCdFoyTnlkbk05SWpBaUlD
+QmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGlNQ0lnCglQZ284TDAxUFJGOUZU
+bFl5WHpJK0NpQThUVTlFWDBWT1ZqSmZNaUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlBZwoJ
+Y2owaU1DSWdJR0YwZEdzOUlqTmxOalJtT1RKbElpQWdhRzlzWkQwaU0yVTJOR1k1TW1VaUlDQmta
+V041UFNJelpUWTAKCVpqa3laaUlnSUhOMWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMlUy
+TkdZNU1tUWlJQ0J6YlhBOUlqQWlJQ0JzCgljRDBpTUNJZ0lITjVibU05SWpBaUlDQnpjR1E5SWpB
+aUlDQjBjbWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpSUNCdAoJWjJ4MmJITTlJakFpSUNCdFoy
+Tnlkbk05SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGkKCU1DSWdQ
+Z284TDAxUFJGOUZUbFl5WHpJK0NpQThRM1Z6ZEc5dFJHRjBZVElnUGdvOEwwTjFjM1J2YlVSaGRH
+RXlQZ29nCglQQzlUV1U1VVNFVk9SejRLSUR3dlUzbHVkR2hGYm1kcGJtVStDaUE4TDFONWJuUm9V
+M1ZpUlc1bmFXNWxQZ29nUEZONQoJYm5Sb1UzVmlSVzVuYVc1bElENEtQRk41Ym5Sb1JXNW5hVzVs
+SUQ0S1BFRlNVQ0FnUVhKd1RXOWtaVDBpTUNJZ0lFRnkKCWNFTnNiMk5yUFNJd0lpQWdRWEp3VEdW
+dVBTSXdJaUFnUVhKd1UzZHBibWM5SWpBaUlDQkJjbkJXWld4TmFYZzlJakFpCglJQ0JCY25CSWRX
+MDlJakFpSUNCQmNuQklkVzFXWld3OUlqQWlJQ0JCY25CSWRXMVVhV2RvZEVSdmQyNDlJak5tT0RB
+dwoJTURBd0lpQWdRWEp3VDJOMFBTSXdJaUFnUVhKd1QyNVBabVk5SWpBaUlDQkJjbkJRYUdGelpU
+MGlNQ0lnSUVGeWNFWmwKCVpXeEhjbTl2ZG1WUGJrOW1aajBpTUNJZ0lFRnljRk51WVhCVWIwZHlh
+V1JQYms5bVpqMGlNQ0lnSUVGeWNGTndaRDBpCglNQ0lnSUVGeWNGQnNlVDBpTUNJZ0lFRnljRkps
+YzJWMFBTSXdJaUFnUVhKd1UzQmhiajBpTTJOaE0yUTNNR0VpSUNCQgoJY25CVGJuQkhjblowZVQw
+aU1DSWdJRUZ5Y0VkeWIyOTJaVTVoYldVOUlpSWdQZ284UVZKUVUwVlJNaUFnVkVWTlVFODkKCUlq
+UXlaakF3TURBd0lpQWdWRWxEUzFOUVJWSlJWVUZTVkVWU1BTSXRNakUwTnpRNE16WTBPQ0lnSUZS
+SlRVVlRTVWRPCglWVTA5SWpRaUlDQlVTVTFGVTBsSFJFVk9UMDA5SWpRaUlENEtQRk5NU1VORlUw
+VlJVMVJGVUNBZ1FrVkhTVTQ5SWkweQoJTVRRM05EZ3pOalE0SWlBZ1JVNUVQU0l3SWlBZ1EwZzlJ
+aTB4SWlBZ1UweEpRMFZKVGtSRldEMGlNalU1SWlBZ1ZrVk0KCVBTSXhNamNpSUNCVFVEMGlNQ0ln
+SUZOVVVsTlFQU0l6WlRnd01EQXdNQ0lnUGdvOEwxTk1TVU5GVTBWUlUxUkZVRDRLCglJRHd2UVZK
+UVUwVlJNajRLSUR4QlVsQkdSVVZNVTBWUklDQlVSVTFRVHowaU5ESm1NREF3TURBaUlDQlVTVU5M
+VTFCRgoJVWxGVlFWSlVSVkk5SWpReE9USWlJQ0JVU1UxRlUwbEhUbFZOUFNJMElpQWdWRWxOUlZO
+SlIwUkZUazlOUFNJMElpQSsKCUNqeFRURWxEUlZORlVWTlVSVkFnSUVKRlIwbE9QU0l4TmpjMk9D
+SWdJRVZPUkQwaU1UWTNOamdpSUNCRFNEMGlMVEVpCglJQ0JUVEVsRFJVbE9SRVZZUFNJdE1TSWdJ
+RlpGVEQwaU1USTNJaUFnVTFSU1UxQTlJak5sT0RBd01EQXdJaUErQ2p3dgoJVTB4SlEwVlRSVkZU
+VkVWUVBnb2dQQzlCVWxCR1JVVk1VMFZSUGdvZ1BDOUJVbEErQ2lBOFUxbE9WRWhGVGtjZ0lGWmwK
+CWNuTTlJakk1SWlBZ1luSXdQU0l6WmpRd01EQXdNQ0lnSUdJME1EMGlNQ0lnSUdKeU1UMGlNMlkw
+TURBd01EQWlJQ0JpCglOREU5SWpBaUlDQmljakk5SWpObU5EQXdNREF3SWlBZ1lqUXlQU0l3SWlB
+Z1luSXpQU0l6WmpRd01EQXdNQ0lnSUdJMAoJTXowaU1DSWdJR0p5TkQwaU0yWTBNREF3TURBaUlD
+QmlORFE5SWpBaUlDQmljalU5SWpObU5EQXdNREF3SWlBZ1lqUTEKCVBTSXdJaUFnWW5JMlBTSXpa
+alF3TURBd01DSWdJR0kwTmowaU1DSWdJR0p5TnowaU0yWTBNREF3TURBaUlDQmlORGM5CglJakFp
+SUNCeGIyNDlJakFpSUNCeGJXOWtaVDBpTUNJZ0lIRm1ZV1JsUFNJd0lpQWdjM1Z6YldROUlqQWlJ
+Q0J5WlhCcgoJYVd4c1BTSXdJaUFnWkcxd2JIUTlJakFpSUNCMGMyTnNQU0l3SWlBZ2JFeEdUMUE5
+SWprNU9TSWdJR3hOUlc1MlVEMGkKCU56YzNJaUFnYzJoaGNtVTlJakFpSUNCd2NIWnpQU0l6WmpB
+d01EQXdNQ0lnSUhCd1kzQTlJak5tTURBd01EQXdJaUFnCgljRzlzZVQwaU1DSWdJSEJpWTNWMFBT
+STBNV1k0TURBd01DSWdJSEJpZFhBOUlqQWlJQ0J3WW1SdVBTSXdJaUFnZG1ONAoJUFNJd0lpQWdk
+bU41UFNJd0lpQWdkbU5uUFNJd0lpQWdkbU5pUFNJd0lpQWdiR1ZuYlQwaU1DSWdJSFZ6WlV4bFp6
+MGkKCU1DSWdJR3hsWjBsdWREMGlNQ0lnSUhOdWNuUnlaejBpTUNJZ0lIQnNaV2M5SWpBaUlDQm5Z
+V2x1UFNJd0lpQWdiV1ptCgljbkU5SWpBaUlDQnRabTFrUFNJd0lpQWdiV1p4UFNJd0lpQWdaSE5w
+WVQwaU1DSWdJR1J6YVdJOUlqQWlJQ0JrYzJGaQoJZUdZOUlqQWlJQ0IyYVhNeFBTSXdJaUFnZG1s
+ek1qMGlNQ0lnSUhacGN6TTlJakFpSUNCMmFYTTBQU0l3SWlBZ2RtbHoKCU5UMGlNQ0lnSUhacGN6
+WTlJakFpSUNCelkyNUVjSFJvUFNJd0lpQWdjMk51VFdsNFBTSXdJaUFnYzJOdVUyVnNQU0l3CglJ
+aUFnY0c5eWRGWXlQU0l3SWlBZ2MyTnVUVUU5SWpBaUlDQnpZMjVOUXowaU1DSWdJRzl5WWxOMFBT
+SXdJaUFnYjNKaQoJU1c1QmJXNTBQU0l3SWlBZ2IzSmlTVzVUZEQwaU1DSWdJRk5qWlc1bFEyOXRj
+Rzl1Wlc1ME1EMGlNQ0lnSUZOalpXNWwKCVEyOXRjRzl1Wlc1ME1UMGlNQ0lnSUZOalpXNWxRMjl0
+Y0c5dVpXNTBNajBpTUNJZ0lGTmpaVzVsUTI5dGNHOXVaVzUwCglNejBpTUNJZ0lHbHljMlZ1WkdG
+MWVEMGlNQ0lnSUhCaGRYaHliRDBpTUNJZ0lHSjVjR0Z6Y3owaU1DSWdJSFIxYm5CaAoJZEdnOUlp
+SWdJRzl5YVdkTWFXSk9ZVzFsUFNJaUlDQnZjbWxuVUdGMFkyaE9ZVzFsUFNJaUlDQkRkWE4wYjIx
+Zk1EMGkKCU1DSWdJRU4xYzNSdmJWOHhQU0l3SWlBZ1EzVnpkRzl0WHpJOUlqQWlJQ0JEZFhOMGIy
+MWZNejBpTUNJZ0lFTjFjM1J2CgliVjgwUFNJd0lpQWdRM1Z6ZEc5dFh6VTlJakFpSUNCRGRYTjBi
+MjFmTmowaU1DSWdJRU4xYzNSdmJWODNQU0l3SWlBZwoJUTNWemRHOXRYemc5SWpBaUlDQkRkWE4w
+YjIxZk9UMGlNQ0lnSUVOMWMzUnZiVjh4TUQwaU1DSWdJRU4xYzNSdmJWOHgKCU1UMGlNQ0lnSUVO
+MWMzUnZiVjh4TWowaU1DSWdJRU4xYzNSdmJWOHhNejBpTUNJZ0lFTjFjM1J2YlY4eE5EMGlNQ0ln
+CglJRU4xYzNSdmJWOHhOVDBpTUNJZ0lFTjFjM1J2YlY4eE5qMGlNQ0lnSUVOMWMzUnZiVjh4Tnow
+aU1DSWdJRU4xYzNSdgoJYlY4eE9EMGlNQ0lnSUVOMWMzUnZiVjh4T1QwaU1DSWdJRU4xYzNSdmJW
+OHlNRDBpTUNJZ0lFTjFjM1J2YlY4eU1UMGkKCU1DSWdJRU4xYzNSdmJWOHlNajBpTUNJZ0lFTjFj
+M1J2YlY4eU16MGlNQ0lnSUVOMWMzUnZiVjh5TkQwaU1DSWdJRU4xCgljM1J2YlY4eU5UMGlNQ0ln
+SUVOMWMzUnZiVjh5TmowaU1DSWdJRU4xYzNSdmJWOHlOejBpTUNJZ0lFTjFjM1J2YlY4eQoJT0Qw
+aU1DSWdJRU4xYzNSdmJWOHlPVDBpTUNJZ0lFTjFjM1J2YlY4ek1EMGlNQ0lnSUVOMWMzUnZiVjh6
+TVQwaU1DSWcKCUlFTjFjM1J2YlY4ek1qMGlNQ0lnSUVOMWMzUnZiVjh6TXowaU1DSWdJRU4xYzNS
+dmJWOHpORDBpTUNJZ0lFTjFjM1J2CgliVjh6TlQwaU1DSWdJRU4xYzNSdmJWOHpOajBpTUNJZ0lF
+TjFjM1J2YlY4ek56MGlNQ0lnSUVOMWMzUnZiVjh6T0QwaQoJTUNJZ0lFTjFjM1J2YlY4ek9UMGlN
+Q0lnSUVOMWMzUnZiVjgwTUQwaU1DSWdJRU4xYzNSdmJWODBNVDBpTUNJZ0lFTjEKCWMzUnZiVjgw
+TWowaU1DSWdJRU4xYzNSdmJWODBNejBpTUNJZ0lFTjFjM1J2YlY4ME5EMGlNQ0lnSUVOMWMzUnZi
+VjgwCglOVDBpTUNJZ0lFTjFjM1J2YlY4ME5qMGlNQ0lnSUVOMWMzUnZiVjgwTnowaU1DSWdJRU4x
+YzNSdmJWODBPRDBpTUNJZwoJSUVOMWMzUnZiVjgwT1QwaU1DSWdJRU4xYzNSdmJWODFNRDBpTUNJ
+Z0lFTjFjM1J2YlY4MU1UMGlNQ0lnSUVOMWMzUnYKCWJWODFNajBpTUNJZ0lFTjFjM1J2YlY4MU16
+MGlNQ0lnSUVOMWMzUnZiVjgxTkQwaU1DSWdJRU4xYzNSdmJWODFOVDBpCglNQ0lnSUVOMWMzUnZi
+VjgxTmowaU1DSWdJRU4xYzNSdmJWODFOejBpTUNJZ0lFTjFjM1J2YlY4MU9EMGlNQ0lnSUVOMQoJ
+YzNSdmJWODFPVDBpTUNJZ0lFTjFjM1J2YlY4Mk1EMGlNQ0lnSUVOMWMzUnZiVjgyTVQwaU1DSWdJ
+RU4xYzNSdmJWODIKCU1qMGlNQ0lnSUVOMWMzUnZiVjgyTXowaU1DSWdJRU4xYzNSdmJWODJORDBp
+TUNJZ0lFTjFjM1J2YlY4Mk5UMGlNQ0lnCglJRU4xYzNSdmJWODJOajBpTUNJZ0lFTjFjM1J2YlY4
+Mk56MGlNQ0lnSUVOMWMzUnZiVjgyT0QwaU1DSWdJRU4xYzNSdgoJYlY4Mk9UMGlNQ0lnSUVOMWMz
+UnZiVjgzTUQwaU1DSWdJRU4xYzNSdmJWODNNVDBpTUNJZ0lFTjFjM1J2YlY4M01qMGkKCU1DSWdJ
+RU4xYzNSdmJWODNNejBpTUNJZ0lFTjFjM1J2YlY4M05EMGlNQ0lnSUVOMWMzUnZiVjgzTlQwaU1D
+SWdJRU4xCgljM1J2YlY4M05qMGlNQ0lnSUVOMWMzUnZiVjgzTnowaU1DSWdJRU4xYzNSdmJWODNP
+RDBpTUNJZ0lFTjFjM1J2YlY4MwoJT1QwaU1DSWdJRU4xYzNSdmJWODRNRDBpTUNJZ0lFTjFjM1J2
+YlY4NE1UMGlNQ0lnSUVOMWMzUnZiVjg0TWowaU1DSWcKCUlFTjFjM1J2YlY4NE16MGlNQ0lnSUVO
+MWMzUnZiVjg0TkQwaU1DSWdJRU4xYzNSdmJWODROVDBpTUNJZ0lFTjFjM1J2CgliVjg0TmowaU1D
+SWdJRU4xYzNSdmJWODROejBpTUNJZ0lFTjFjM1J2YlY4NE9EMGlNQ0lnSUVOMWMzUnZiVjg0T1Qw
+aQoJTUNJZ0lFTjFjM1J2YlY4NU1EMGlNQ0lnSUVOMWMzUnZiVjg1TVQwaU1DSWdJRU4xYzNSdmJW
+ODVNajBpTUNJZ0lFTjEKCWMzUnZiVjg1TXowaU1DSWdJRU4xYzNSdmJWODVORDBpTUNJZ0lFTjFj
+M1J2YlY4NU5UMGlNQ0lnSUVOMWMzUnZiVjg1CglOajBpTUNJZ0lFTjFjM1J2YlY4NU56MGlNQ0ln
+SUVOMWMzUnZiVjg1T0QwaU1DSWdJRU4xYzNSdmJWODVPVDBpTUNJZwoJSUVOMWMzUnZiVjh4TURB
+OUlqQWlJQ0JEZFhOMGIyMWZNVEF4UFNJd0lpQWdRM1Z6ZEc5dFh6RXdNajBpTUNJZ0lFTjEKCWMz
+UnZiVjh4TURNOUlqQWlJQ0JEZFhOMGIyMWZNVEEwUFNJd0lpQWdRM1Z6ZEc5dFh6RXdOVDBpTUNJ
+Z0lFTjFjM1J2CgliVjh4TURZOUlqQWlJQ0JEZFhOMGIyMWZNVEEzUFNJd0lpQWdRM1Z6ZEc5dFh6
+RXdPRDBpTUNJZ0lFTjFjM1J2YlY4eAoJTURrOUlqQWlJQ0JEZFhOMGIyMWZNVEV3UFNJd0lpQWdR
+M1Z6ZEc5dFh6RXhNVDBpTUNJZ0lFTjFjM1J2YlY4eE1USTkKCUlqQWlJQ0JEZFhOMGIyMWZNVEV6
+UFNJd0lpQWdRM1Z6ZEc5dFh6RXhORDBpTUNJZ0lFTjFjM1J2YlY4eE1UVTlJakFpCglJQ0JEZFhO
+MGIyMWZNVEUyUFNJd0lpQWdRM1Z6ZEc5dFh6RXhOejBpTUNJZ0lFTjFjM1J2YlY4eE1UZzlJakFp
+SUNCRAoJZFhOMGIyMWZNVEU1UFNJd0lpQWdRM1Z6ZEc5dFh6RXlNRDBpTUNJZ0lFTjFjM1J2YlY4
+eE1qRTlJakFpSUNCRGRYTjAKCWIyMWZNVEl5UFNJd0lpQWdRM1Z6ZEc5dFh6RXlNejBpTUNJZ0lF
+TjFjM1J2YlY4eE1qUTlJakFpSUNCRGRYTjBiMjFmCglNVEkxUFNJd0lpQWdRM1Z6ZEc5dFh6RXlO
+ajBpTUNJZ0lFTjFjM1J2YlY4eE1qYzlJakFpSUNCamMyTm9QU0l3SWlBZwoJUTFCVFkxOHdQU0l3
+SWlBZ1ExQlRZMTh4UFNJd0lpQWdRMUJUWTE4eVBTSXdJaUFnUTFCVFkxOHpQU0l3SWlBZ1ExQlQK
+CVkxODBQU0l3SWlBZ1ExQlRZMTgxUFNJd0lpQWdRMUJUWTE4MlBTSXdJaUFnUTFCVFkxODNQU0l3
+SWlBK0NqeEZUbFJTCglXVVJGVTBOU0lDQnVZVzFsUFNJaUlDQnNhV0p5WVhKNVBTSWlJQ0JCVkZS
+U1NVSmZWa0ZNVlVWZlJFRlVRVDBpYzJsNgoJWlQwd095SWdQZ284TDBWT1ZGSlpSRVZUUTFJK0Np
+QThUVTlFWDAxQlZGSkpXQ0FnYzI5MWNtTmxNRDBpYjJabUlpQWcKCWRHRnlaMlYwTUQwaWIyWm1J
+aUFnWkdWbVZqQTlJak5tT0RBd01EQXdJaUFnYkc4d1BTSXdJaUFnYUdrd1BTSXdJaUFnCgliWFYw
+WlRBOUlqQWlJQ0JrWVcxd01EMGlNQ0lnSUdGc2JEQTlJakFpSUNCemIzVnlZMlV4UFNKdlptWWlJ
+Q0IwWVhKbgoJWlhReFBTSnZabVlpSUNCa1pXWldNVDBpTTJZNE1EQXdNREFpSUNCc2J6RTlJakFp
+SUNCb2FURTlJakFpSUNCdGRYUmwKCU1UMGlNQ0lnSUdSaGJYQXhQU0l3SWlBZ1lXeHNNVDBpTUNJ
+Z0lITnZkWEpqWlRJOUltOW1aaUlnSUhSaGNtZGxkREk5CglJbTltWmlJZ0lHUmxabFl5UFNJelpq
+Z3dNREF3TUNJZ0lHeHZNajBpTUNJZ0lHaHBNajBpTUNJZ0lHMTFkR1V5UFNJdwoJSWlBZ1pHRnRj
+REk5SWpBaUlDQmhiR3d5UFNJd0lpQWdjMjkxY21ObE16MGliMlptSWlBZ2RHRnlaMlYwTXowaWIy
+Wm0KCUlpQWdaR1ZtVmpNOUlqTm1PREF3TURBd0lpQWdiRzh6UFNJd0lpQWdhR2t6UFNJd0lpQWdi
+WFYwWlRNOUlqQWlJQ0JrCglZVzF3TXowaU1DSWdJR0ZzYkRNOUlqQWlJQ0J6YjNWeVkyVTBQU0p2
+Wm1ZaUlDQjBZWEpuWlhRMFBTSnZabVlpSUNCawoJWldaV05EMGlNMlk0TURBd01EQWlJQ0JzYnpR
+OUlqQWlJQ0JvYVRROUlqQWlJQ0J0ZFhSbE5EMGlNQ0lnSUdSaGJYQTAKCVBTSXdJaUFnWVd4c05E
+MGlNQ0lnSUhOdmRYSmpaVFU5SW05bVppSWdJSFJoY21kbGREVTlJbTltWmlJZ0lHUmxabFkxCglQ
+U0l6Wmpnd01EQXdNQ0lnSUd4dk5UMGlNQ0lnSUdocE5UMGlNQ0lnSUcxMWRHVTFQU0l3SWlBZ1pH
+RnRjRFU5SWpBaQoJSUNCaGJHdzFQU0l3SWlBZ2MyOTFjbU5sTmowaWIyWm1JaUFnZEdGeVoyVjBO
+ajBpYjJabUlpQWdaR1ZtVmpZOUlqTm0KCU9EQXdNREF3SWlBZ2JHODJQU0l3SWlBZ2FHazJQU0l3
+SWlBZ2JYVjBaVFk5SWpBaUlDQmtZVzF3TmowaU1DSWdJR0ZzCgliRFk5SWpBaUlDQnpiM1Z5WTJV
+M1BTSnZabVlpSUNCMFlYSm5aWFEzUFNKdlptWWlJQ0JrWldaV056MGlNMlk0TURBdwoJTURBaUlD
+QnNiemM5SWpBaUlDQm9hVGM5SWpBaUlDQnRkWFJsTnowaU1DSWdJR1JoYlhBM1BTSXdJaUFnWVd4
+c056MGkKCU1DSWdJSE52ZFhKalpUZzlJbTltWmlJZ0lIUmhjbWRsZERnOUltOW1aaUlnSUdSbFps
+WTRQU0l6Wmpnd01EQXdNQ0lnCglJR3h2T0QwaU1DSWdJR2hwT0QwaU1DSWdJRzExZEdVNFBTSXdJ
+aUFnWkdGdGNEZzlJakFpSUNCaGJHdzRQU0l3SWlBZwoJYzI5MWNtTmxPVDBpYjJabUlpQWdkR0Z5
+WjJWME9UMGliMlptSWlBZ1pHVm1Wams5SWpObU9EQXdNREF3SWlBZ2JHODUKCVBTSXdJaUFnYUdr
+NVBTSXdJaUFnYlhWMFpUazlJakFpSUNCa1lXMXdPVDBpTUNJZ0lHRnNiRGs5SWpBaUlDQnpiM1Z5
+CglZMlV4TUQwaWIyWm1JaUFnZEdGeVoyVjBNVEE5SW05bVppSWdJR1JsWmxZeE1EMGlNMlk0TURB
+d01EQWlJQ0JzYnpFdwoJUFNJd0lpQWdhR2t4TUQwaU1DSWdJRzExZEdVeE1EMGlNQ0lnSUdSaGJY
+QXhNRDBpTUNJZ0lHRnNiREV3UFNJd0lpQWcKCWMyOTFjbU5sTVRFOUltOW1aaUlnSUhSaGNtZGxk
+REV4UFNKdlptWWlJQ0JrWldaV01URTlJak5tT0RBd01EQXdJaUFnCgliRzh4TVQwaU1DSWdJR2hw
+TVRFOUlqQWlJQ0J0ZFhSbE1URTlJakFpSUNCa1lXMXdNVEU5SWpBaUlDQmhiR3d4TVQwaQoJTUNJ
+Z0lITnZkWEpqWlRFeVBTSnZabVlpSUNCMFlYSm5aWFF4TWowaWIyWm1JaUFnWkdWbVZqRXlQU0l6
+Wmpnd01EQXcKCU1DSWdJR3h2TVRJOUlqQWlJQ0JvYVRFeVBTSXdJaUFnYlhWMFpURXlQU0l3SWlB
+Z1pHRnRjREV5UFNJd0lpQWdZV3hzCglNVEk5SWpBaUlDQnpiM1Z5WTJVeE16MGliMlptSWlBZ2RH
+RnlaMlYwTVRNOUltOW1aaUlnSUdSbFpsWXhNejBpTTJZNAoJTURBd01EQWlJQ0JzYnpFelBTSXdJ
+aUFnYUdreE16MGlNQ0lnSUcxMWRHVXhNejBpTUNJZ0lHUmhiWEF4TXowaU1DSWcKCUlHRnNiREV6
+UFNJd0lpQWdjMjkxY21ObE1UUTlJbTltWmlJZ0lIUmhjbWRsZERFMFBTSnZabVlpSUNCa1pXWldN
+VFE5CglJak5tT0RBd01EQXdJaUFnYkc4eE5EMGlNQ0lnSUdocE1UUTlJakFpSUNCdGRYUmxNVFE5
+SWpBaUlDQmtZVzF3TVRROQoJSWpBaUlDQmhiR3d4TkQwaU1DSWdJSE52ZFhKalpURTFQU0p2Wm1Z
+aUlDQjBZWEpuWlhReE5UMGliMlptSWlBZ1pHVm0KCVZqRTFQU0l6Wmpnd01EQXdNQ0lnSUd4dk1U
+VTlJakFpSUNCb2FURTFQU0l3SWlBZ2JYVjBaVEUxUFNJd0lpQWdaR0Z0CgljREUxUFNJd0lpQWdZ
+V3hzTVRVOUlqQWlJQ0J6YjNWeVkyVXhOajBpYjJabUlpQWdkR0Z5WjJWME1UWTlJbTltWmlJZwoJ
+SUdSbFpsWXhOajBpTTJZNE1EQXdNREFpSUNCc2J6RTJQU0l3SWlBZ2FHa3hOajBpTUNJZ0lHMTFk
+R1V4TmowaU1DSWcKCUlHUmhiWEF4TmowaU1DSWdJR0ZzYkRFMlBTSXdJaUFnYzI5MWNtTmxNVGM5
+SW05bVppSWdJSFJoY21kbGRERTNQU0p2CglabVlpSUNCa1pXWldNVGM5SWpObU9EQXdNREF3SWlB
+Z2JHOHhOejBpTUNJZ0lHaHBNVGM5SWpBaUlDQnRkWFJsTVRjOQoJSWpBaUlDQmtZVzF3TVRjOUlq
+QWlJQ0JoYkd3eE56MGlNQ0lnSUhOdmRYSmpaVEU0UFNKdlptWWlJQ0IwWVhKblpYUXgKCU9EMGli
+MlptSWlBZ1pHVm1WakU0UFNJelpqZ3dNREF3TUNJZ0lHeHZNVGc5SWpBaUlDQm9hVEU0UFNJd0lp
+QWdiWFYwCglaVEU0UFNJd0lpQWdaR0Z0Y0RFNFBTSXdJaUFnWVd4c01UZzlJakFpSUNCemIzVnlZ
+MlV4T1QwaWIyWm1JaUFnZEdGeQoJWjJWME1UazlJbTltWmlJZ0lHUmxabFl4T1QwaU0yWTRNREF3
+TURBaUlDQnNiekU1UFNJd0lpQWdhR2t4T1QwaU1DSWcKCUlHMTFkR1V4T1QwaU1DSWdJR1JoYlhB
+eE9UMGlNQ0lnSUdGc2JERTVQU0l3SWlBZ2MyOTFjbU5sTWpBOUltOW1aaUlnCglJSFJoY21kbGRE
+SXdQU0p2Wm1ZaUlDQmtaV1pXTWpBOUlqTm1PREF3TURBd0lpQWdiRzh5TUQwaU1DSWdJR2hwTWpB
+OQoJSWpBaUlDQnRkWFJsTWpBOUlqQWlJQ0JrWVcxd01qQTlJakFpSUNCaGJHd3lNRDBpTUNJZ0lI
+TnZkWEpqWlRJeFBTSnYKCVptWWlJQ0IwWVhKblpYUXlNVDBpYjJabUlpQWdaR1ZtVmpJeFBTSXpa
+amd3TURBd01DSWdJR3h2TWpFOUlqQWlJQ0JvCglhVEl4UFNJd0lpQWdiWFYwWlRJeFBTSXdJaUFn
+WkdGdGNESXhQU0l3SWlBZ1lXeHNNakU5SWpBaUlDQnpiM1Z5WTJVeQoJTWowaWIyWm1JaUFnZEdG
+eVoyVjBNakk5SW05bVppSWdJR1JsWmxZeU1qMGlNMlk0TURBd01EQWlJQ0JzYnpJeVBTSXcKCUlp
+QWdhR2t5TWowaU1DSWdJRzExZEdVeU1qMGlNQ0lnSUdSaGJYQXlNajBpTUNJZ0lHRnNiREl5UFNJ
+d0lpQWdjMjkxCgljbU5sTWpNOUltOW1aaUlnSUhSaGNtZGxkREl6UFNKdlptWWlJQ0JrWldaV01q
+TTlJak5tT0RBd01EQXdJaUFnYkc4eQoJTXowaU1DSWdJR2hwTWpNOUlqQWlJQ0J0ZFhSbE1qTTlJ
+akFpSUNCa1lXMXdNak05SWpBaUlDQmhiR3d5TXowaU1DSWcKCUlITnZkWEpqWlRJMFBTSnZabVlp
+SUNCMFlYSm5aWFF5TkQwaWIyWm1JaUFnWkdWbVZqSTBQU0l6Wmpnd01EQXdNQ0lnCglJR3h2TWpR
+OUlqQWlJQ0JvYVRJMFBTSXpaakF3TURBd01DSWdJRzExZEdVeU5EMGlNQ0lnSUdSaGJYQXlORDBp
+TUNJZwoJSUdGc2JESTBQU0l3SWlBZ2MyOTFjbU5sTWpVOUltOW1aaUlnSUhSaGNtZGxkREkxUFNK
+dlptWWlJQ0JrWldaV01qVTkKCUlqTm1PREF3TURBd0lpQWdiRzh5TlQwaU1DSWdJR2hwTWpVOUlq
+Tm1NREF3TURBd0lpQWdiWFYwWlRJMVBTSXdJaUFnCglaR0Z0Y0RJMVBTSXdJaUFnWVd4c01qVTlJ
+akFpSUNCemIzVnlZMlV5TmowaWIyWm1JaUFnZEdGeVoyVjBNalk5SW05bQoJWmlJZ0lHUmxabFl5
+TmowaU0yWTRNREF3TURBaUlDQnNiekkyUFNJd0lpQWdhR2t5TmowaU0yWXdNREF3TURBaUlDQnQK
+CWRYUmxNalk5SWpBaUlDQmtZVzF3TWpZOUlqQWlJQ0JoYkd3eU5qMGlNQ0lnSUhOdmRYSmpaVEkz
+UFNKdlptWWlJQ0IwCglZWEpuWlhReU56MGliMlptSWlBZ1pHVm1WakkzUFNJelpqZ3dNREF3TUNJ
+Z0lHeHZNamM5SWpBaUlDQm9hVEkzUFNJegoJWmpBd01EQXdNQ0lnSUcxMWRHVXlOejBpTUNJZ0lH
+UmhiWEF5TnowaU1DSWdJR0ZzYkRJM1BTSXdJaUFnYzI5MWNtTmwKCU1qZzlJbTltWmlJZ0lIUmhj
+bWRsZERJNFBTSnZabVlpSUNCa1pXWldNamc5SWpObU9EQXdNREF3SWlBZ2JHOHlPRDBpCglNQ0ln
+SUdocE1qZzlJak5tTURBd01EQXdJaUFnYlhWMFpUSTRQU0l3SWlBZ1pHRnRjREk0UFNJd0lpQWdZ
+V3hzTWpnOQoJSWpBaUlDQnpiM1Z5WTJVeU9UMGliMlptSWlBZ2RHRnlaMlYwTWprOUltOW1aaUln
+SUdSbFpsWXlPVDBpTTJZNE1EQXcKCU1EQWlJQ0JzYnpJNVBTSXdJaUFnYUdreU9UMGlNMll3TURB
+d01EQWlJQ0J0ZFhSbE1qazlJakFpSUNCa1lXMXdNams5CglJakFpSUNCaGJHd3lPVDBpTUNJZ0lI
+TnZkWEpqWlRNd1BTSnZabVlpSUNCMFlYSm5aWFF6TUQwaWIyWm1JaUFnWkdWbQoJVmpNd1BTSXpa
+amd3TURBd01DSWdJR3h2TXpBOUlqQWlJQ0JvYVRNd1BTSXpaakF3TURBd01DSWdJRzExZEdVek1E
+MGkKCU1DSWdJR1JoYlhBek1EMGlNQ0lnSUdGc2JETXdQU0l3SWlBZ2MyOTFjbU5sTXpFOUltOW1a
+aUlnSUhSaGNtZGxkRE14CglQU0p2Wm1ZaUlDQmtaV1pXTXpFOUlqTm1PREF3TURBd0lpQWdiRzh6
+TVQwaU1DSWdJR2hwTXpFOUlqTm1NREF3TURBdwoJSWlBZ2JYVjBaVE14UFNJd0lpQWdaR0Z0Y0RN
+eFBTSXdJaUFnWVd4c016RTlJakFpSUNCemIzVnlZMlV6TWowaWIyWm0KCUlpQWdkR0Z5WjJWME16
+STlJbTltWmlJZ0lHUmxabFl6TWowaU0yWTRNREF3TURBaUlDQnNiek15UFNJd0lpQWdhR2t6CglN
+ajBpTTJZd01EQXdNREFpSUNCdGRYUmxNekk5SWpBaUlDQmtZVzF3TXpJOUlqQWlJQ0JoYkd3ek1q
+MGlNQ0lnSUhOdgoJZFhKalpUTXpQU0p2Wm1ZaUlDQjBZWEpuWlhRek16MGliMlptSWlBZ1pHVm1W
+ak16UFNJelpqZ3dNREF3TUNJZ0lHeHYKCU16TTlJakFpSUNCb2FUTXpQU0l6WmpBd01EQXdNQ0ln
+SUcxMWRHVXpNejBpTUNJZ0lHUmhiWEF6TXowaU1DSWdJR0ZzCgliRE16UFNJd0lpQWdjMjkxY21O
+bE16UTlJbTltWmlJZ0lIUmhjbWRsZERNMFBTSnZabVlpSUNCa1pXWldNelE5SWpObQoJT0RBd01E
+QXdJaUFnYkc4ek5EMGlNQ0lnSUdocE16UTlJak5tTURBd01EQXdJaUFnYlhWMFpUTTBQU0l3SWlB
+Z1pHRnQKCWNETTBQU0l3SWlBZ1lXeHNNelE5SWpBaUlDQnpiM1Z5WTJVek5UMGliMlptSWlBZ2RH
+RnlaMlYwTXpVOUltOW1aaUlnCglJR1JsWmxZek5UMGlNMlk0TURBd01EQWlJQ0JzYnpNMVBTSXdJ
+aUFnYUdrek5UMGlNMll3TURBd01EQWlJQ0J0ZFhSbAoJTXpVOUlqQWlJQ0JrWVcxd016VTlJakFp
+SUNCaGJHd3pOVDBpTUNJZ0lITnZkWEpqWlRNMlBTSnZabVlpSUNCMFlYSm4KCVpYUXpOajBpYjJa
+bUlpQWdaR1ZtVmpNMlBTSXpaamd3TURBd01DSWdJR3h2TXpZOUlqQWlJQ0JvYVRNMlBTSXpaakF3
+CglNREF3TUNJZ0lHMTFkR1V6TmowaU1DSWdJR1JoYlhBek5qMGlNQ0lnSUdGc2JETTJQU0l3SWlB
+Z2MyOTFjbU5sTXpjOQoJSW05bVppSWdJSFJoY21kbGRETTNQU0p2Wm1ZaUlDQmtaV1pXTXpjOUlq
+Tm1PREF3TURBd0lpQWdiRzh6TnowaU1DSWcKCUlHaHBNemM5SWpObU1EQXdNREF3SWlBZ2JYVjBa
+VE0zUFNJd0lpQWdaR0Z0Y0RNM1BTSXdJaUFnWVd4c016YzlJakFpCglJQ0J6YjNWeVkyVXpPRDBp
+YjJabUlpQWdkR0Z5WjJWME16ZzlJbTltWmlJZ0lHUmxabFl6T0QwaU0yWTRNREF3TURBaQoJSUNC
+c2J6TTRQU0l3SWlBZ2FHa3pPRDBpTTJZd01EQXdNREFpSUNCdGRYUmxNemc5SWpBaUlDQmtZVzF3
+TXpnOUlqQWkKCUlDQmhiR3d6T0QwaU1DSWdJSE52ZFhKalpUTTVQU0p2Wm1ZaUlDQjBZWEpuWlhR
+ek9UMGliMlptSWlBZ1pHVm1Wak01CglQU0l6Wmpnd01EQXdNQ0lnSUd4dk16azlJakFpSUNCb2FU
+TTVQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXpPVDBpTUNJZwoJSUdSaGJYQXpPVDBpTUNJZ0lHRnNi
+RE01UFNJd0lpQWdjMjkxY21ObE5EQTlJbTltWmlJZ0lIUmhjbWRsZERRd1BTSnYKCVptWWlJQ0Jr
+WldaV05EQTlJak5tT0RBd01EQXdJaUFnYkc4ME1EMGlNQ0lnSUdocE5EQTlJak5tTURBd01EQXdJ
+aUFnCgliWFYwWlRRd1BTSXdJaUFnWkdGdGNEUXdQU0l3SWlBZ1lXeHNOREE5SWpBaUlDQnpiM1Z5
+WTJVME1UMGliMlptSWlBZwoJZEdGeVoyVjBOREU5SW05bVppSWdJR1JsWmxZME1UMGlNMlk0TURB
+d01EQWlJQ0JzYnpReFBTSXdJaUFnYUdrME1UMGkKCU0yWXdNREF3TURBaUlDQnRkWFJsTkRFOUlq
+QWlJQ0JrWVcxd05ERTlJakFpSUNCaGJHdzBNVDBpTUNJZ0lITnZkWEpqCglaVFF5UFNKdlptWWlJ
+Q0IwWVhKblpYUTBNajBpYjJabUlpQWdaR1ZtVmpReVBTSXpaamd3TURBd01DSWdJR3h2TkRJOQoJ
+SWpBaUlDQm9hVFF5UFNJelpqQXdNREF3TUNJZ0lHMTFkR1UwTWowaU1DSWdJR1JoYlhBME1qMGlN
+Q0lnSUdGc2JEUXkKCVBTSXdJaUFnYzI5MWNtTmxORE05SW05bVppSWdJSFJoY21kbGREUXpQU0p2
+Wm1ZaUlDQmtaV1pXTkRNOUlqTm1PREF3CglNREF3SWlBZ2JHODBNejBpTUNJZ0lHaHBORE05SWpO
+bU1EQXdNREF3SWlBZ2JYVjBaVFF6UFNJd0lpQWdaR0Z0Y0RRegoJUFNJd0lpQWdZV3hzTkRNOUlq
+QWlJQ0J6YjNWeVkyVTBORDBpYjJabUlpQWdkR0Z5WjJWME5EUTlJbTltWmlJZ0lHUmwKCVpsWTBO
+RDBpTTJZNE1EQXdNREFpSUNCc2J6UTBQU0l3SWlBZ2FHazBORDBpTTJZd01EQXdNREFpSUNCdGRY
+UmxORFE5CglJakFpSUNCa1lXMXdORFE5SWpBaUlDQmhiR3cwTkQwaU1DSWdJSE52ZFhKalpUUTFQ
+U0p2Wm1ZaUlDQjBZWEpuWlhRMAoJTlQwaWIyWm1JaUFnWkdWbVZqUTFQU0l6Wmpnd01EQXdNQ0ln
+SUd4dk5EVTlJakFpSUNCb2FUUTFQU0l6WmpBd01EQXcKCU1DSWdJRzExZEdVME5UMGlNQ0lnSUdS
+aGJYQTBOVDBpTUNJZ0lHRnNiRFExUFNJd0lpQWdjMjkxY21ObE5EWTlJbTltCglaaUlnSUhSaGNt
+ZGxkRFEyUFNKdlptWWlJQ0JrWldaV05EWTlJak5tT0RBd01EQXdJaUFnYkc4ME5qMGlNQ0lnSUdo
+cAoJTkRZOUlqTm1NREF3TURBd0lpQWdiWFYwWlRRMlBTSXdJaUFnWkdGdGNEUTJQU0l3SWlBZ1lX
+eHNORFk5SWpBaUlDQnoKCWIzVnlZMlUwTnowaWIyWm1JaUFnZEdGeVoyVjBORGM5SW05bVppSWdJ
+R1JsWmxZME56MGlNMlk0TURBd01EQWlJQ0JzCglielEzUFNJd0lpQWdhR2swTnowaU0yWXdNREF3
+TURBaUlDQnRkWFJsTkRjOUlqQWlJQ0JrWVcxd05EYzlJakFpSUNCaAoJYkd3ME56MGlNQ0lnUGdv
+OEwwMVBSRjlOUVZSU1NWZytDaUE4Vms5SlEwVWdJSEJoZFhoc1BTSXdJaUFnY0dGMWVHbHcKCWIy
+WTlJakFpSUQ0S1BFWkpURlJGVWlBZ1lXTjBQU0l3SWlBZ2NHRnlZVDBpTUNJZ0lHSmhiRDBpTUNJ
+Z0lHWnlaWEU5CglJakFpSUNCemNISmtQU0l3SWlBZ2NtVnpQU0l3SWlBZ2EyVjVQU0l3SWlBZ2Ey
+VjVhVzUyUFNJd0lpQWdhMlY1YlhBOQoJSWpBaUlDQmxiblprY0hSb1BTSXdJaUFnWlc1MlpIQjBh
+R2x1ZGowaU1DSWdJRzVoYldVOUlqQWlJQ0JoWTNReFBTSXcKCUlpQWdkSGx3WlRFOUlqQWlJQ0Jt
+Y21WeE1UMGlNQ0lnSUhKbGN6RTlJakFpSUNCd1lXNHhQU0l3SWlBZ1lXTjBNajBpCglNQ0lnSUhS
+NWNHVXlQU0l3SWlBZ1puSmxjVEk5SWpBaUlDQnlaWE15UFNJd0lpQWdjR0Z1TWowaU1DSWdJR1Jw
+YzNSUQoJYjNOMFBTSXdJaUFnWlhGUWIzTjBQU0l3SWlBZ1RtRnRaVk4wY2owaUlpQStDanhGVVRF
+eUlDQkJZM1JwZG1VOUlqQWkKCUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpSUNCUU16
+MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRCglOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJ
+akFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeAoJTWowaU1DSWdJRkF4
+TXowaU1DSWdJRkF4TkQwaU1DSWdQZ284TDBWUk1USStDaUE4UlZFeUlDQkJZM1JwZG1VOUlqQWkK
+CUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFn
+VURVOUlqQWlJQ0JRCglOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9UMGlNQ0lnSUZB
+eE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeAoJTWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1D
+SWdQZ284TDBWUk1qNEtJRHhFU1ZOVUlDQkJZM1JwZG1VOUlqQWkKCUlDQlFNRDBpTUNJZ0lGQXhQ
+U0l3SWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRCglOajBp
+TUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZBeE1UMGlN
+Q0lnSUZBeAoJTWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdQZ284TDBSSlUxUStDaUE4
+TDBaSlRGUkZVajRLSUR4WFFWWkYKCVUwaEJVRVZTSUNCaFkzUTlJakFpSUNCMGVYQmxQU0l3SWlB
+Z2NHOXpQU0l3SWlBZ1pIQjBhRDBpTUNJZ0lHZGhhVzQ5CglJakFpSUNCdGFYZzlJakFpSUNCMGIy
+NWxQU0l3SWlBZ1ltTTlJakFpSUNCemNuSmtZejBpTUNJZ0lHMW5jbVo1TVQwaQoJTUNJZ0lHMW5j
+bVo1TWowaU1DSWdJRzVoYldVOUlqQWlJQ0JPWVcxbFUzUnlQU0lpSUQ0S1BDOVhRVlpGVTBoQlVF
+VlMKCVBnb2dQRTlUUXlBZ2RIbHdaVDBpTUNJZ0lHdHBibVE5SWpBaUlDQnhiRDBpTUNJZ0lIRnNj
+ajBpTUNJZ0lIRnljajBpCglNMlk0TURBd01EQWlJQ0J4Y2owaU0yWTRNREF3TURBaUlDQjBkVzVs
+UFNJd0lpQWdkSFZ1WlVacGJtVTlJakFpSUNCbQoJYVc1bFUyTnNQU0l4SWlBZ2NHUmxjSFJvUFNJ
+d0lpQWdjSGRwWkhSb1BTSXdJaUFnYjJOMFBTSXdJaUFnYzJWdGFUMGkKCU1DSWdJR3hsZG1Wc1BT
+SXdJaUFnY0dGdVBTSXdJaUFnY0c5eWREMGlNQ0lnSUhCdmNuUkJZM1E5SWpBaUlDQjBjSE05CglJ
+akFpSUNCbWJGUmxiWEJzUFNJd0lpQWdabXhUY0dROUlqTm1NREF3TURBd0lpQWdabXhNYjI5d1BT
+SXpaamd3TURBdwoJTUNJZ0lHMXZaR2x1ZEQwaU1DSWdJRzF2WkdSbGNIUm9QU0l3SWlBZ1ptMDlJ
+akFpSUNCbWJXdDBQU0l3SWlBZ1ptMTMKCVpqMGlNQ0lnSUdadGMyTnNQU0l3SWlBZ1ptMXdaRDBp
+TUNJZ0lHWnRjSGM5SWpBaUlDQm1iV2h6UFNJd0lpQWdRVTF0CgliMlJwYm5ROUlqQWlJQ0JCVFcx
+dlpHUmxjSFJvUFNJd0lpQWdZVzA5SWpBaUlDQmhiV3QwUFNJd0lpQWdZVzEzWmowaQoJTUNJZ0lH
+RnRjMk5zUFNJd0lpQWdZVzF3WkQwaU1DSWdJR0Z0Y0hjOUlqQWlJQ0JoYldoelBTSXdJaUFnWjNK
+aGJqMGkKCU1DSWdJRzVuY21GcGJuTTlJakFpSUNCbmNtRnBiak05SWpBaUlDQm5jbUZwYmpROUlq
+QWlJQ0JuY21GcGJqVTlJakFpCglJQ0JuY21GcGJqWTlJakFpSUNCbmNtRnVVM0J5WkQwaU1DSWdJ
+R2R5WVc1UVJHbHlQU0l3SWlBZ1ozSmhibEJCWTJOMQoJYlQwaU1DSWdJR2R5WVc1TmFYZzlJakFp
+SUNCbmNtRnVSWGh3UFNJd0lpQWdaM0poYmxSeVp6MGlNQ0lnSUdWcFJuSk0KCWIyTTlJakFpSUNC
+bmNtRnVVRzl6UFNJd0lpQWdaM0poYmxZeFBTSXdJaUFnZFdOdWREMGlNQ0lnSUhWa2NIUm9QU0l3
+CglJaUFnZFhka2RHZzlJakFpSUNCMVpIQnlaejBpTUNJZ0lIVnZZM1E5SWpBaUlDQjFaSEptZEQw
+aU1DSWdJSFYyY0hNOQoJSWpBaUlDQm9jbVJ6Ym1NOUlqQWlJQ0J5WlhCMFkyZzlJakFpSUNCemNH
+aGhQU0l3SWlBZ2MyRnVZVDBpTUNJZ0lHRjAKCWNtMDlJakFpSUNCemMyVnpQU0l3SWlBZ2MzTmxj
+M2s5SWpBaUlDQjJiWFE5SWpBaUlDQjJiV0U5SWpBaUlDQmpjM05vCglaR0Z0Y0QwaU1DSWdQZ284
+U0VGU1RTQWdRV04wTVQwaU1DSWdJR3gyYkRFOUlqQWlJQ0J3WVc0eFBTSXdJaUFnZEhWdQoJTVQw
+aU1DSWdJSE50YVRFOUlqQWlJQ0J6YUhBeFBTSXdJaUFnYzNsdGJURTlJakFpSUNCemVXNHhQU0l3
+SWlBZ2QyWnQKCU1UMGlNQ0lnSUVGamRESTlJakFpSUNCc2Rtd3lQU0l3SWlBZ2NHRnVNajBpTUNJ
+Z0lIUjFiakk5SWpBaUlDQnpiV2t5CglQU0l3SWlBZ2MyaHdNajBpTUNJZ0lITjViVzB5UFNJd0lp
+QWdjM2x1TWowaU1DSWdJSGRtYlRJOUlqQWlJQ0JCWTNRegoJUFNJd0lpQWdiSFpzTXowaU1DSWdJ
+SEJoYmpNOUlqQWlJQ0IwZFc0elBTSXdJaUFnYzIxcE16MGlNQ0lnSUhOb2NETTkKCUlqQWlJQ0J6
+ZVcxdE16MGlNQ0lnSUhONWJqTTlJakFpSUNCM1ptMHpQU0l3SWlBZ1FXTjBORDBpTUNJZ0lHeDJi
+RFE5CglJakFpSUNCd1lXNDBQU0l3SWlBZ2RIVnVORDBpTUNJZ0lITnRhVFE5SWpBaUlDQnphSEEw
+UFNJd0lpQWdjM2x0YlRROQoJSWpBaUlDQnplVzQwUFNJd0lpQWdkMlp0TkQwaU1DSWdJRzF2WkQw
+aU1DSWdJRzFwZUQwaU1DSWdQZ284TDBoQlVrMCsKCUNpQThWRTlPUlZkSVJVVk1JQ0JrY25jeFBT
+SXpaakF3TURBd01DSWdJR1J5ZHpJOUlqTm1NREF3TURBd0lpQWdaSEozCglNejBpTTJZd01EQXdN
+REFpSUNCa2NuYzBQU0l6WmpBd01EQXdNQ0lnSUdSeWR6VTlJakFpSUNCa2NuYzJQU0l3SWlBZwoJ
+WkhKM056MGlNQ0lnSUdSeWR6ZzlJakFpSUNCa2NuYzVQU0l3SWlBZ2NHVmtNVDBpTTJZd01EQXdN
+REFpSUNCd1pXUXkKCVBTSXpaakF3TURBd01DSWdJRk53VDI0OUlqQWlJQ0JXVDI0OUlqQWlJQ0JX
+Ylc5a1pUMGlNQ0lnSUZCdmJqMGlNQ0lnCglJRkJ6YjJaMFBTSXdJaUFnVUdaaGMzUTlJakFpSUNC
+UWFHRnliVDBpTUNJZ0lGTndhM0k5SWpBaUlDQkRiR2xqYXowaQoJTUNJZ0lFaDFiVDBpTUNJZ0lF
+Rm5aVDBpTUNJZ0lGaDBZV3hyUFNJd0lpQWdURzkzWm05c1pEMGlNMlk0TURBd01EQWkKCUlDQlFP
+V1E5SWpObU9EQXdNREF3SWlBZ1VHeGxaejBpTTJZNE1EQXdNREFpSUNCUVpHbHRQU0l6Wmpnd01E
+QXdNQ0lnCglQZ284TDFSUFRrVlhTRVZGVEQ0S0lEeFhRVlpGVXlBK0Nqd3ZWMEZXUlZNK0NpQThS
+azFYUVZaRlV5QStDand2UmsxWAoJUVZaRlV6NEtJRHhCVFZkQlZrVlRJRDRLUEM5QlRWZEJWa1ZU
+UGdvZ1BDOVBVME0rQ2lBOFJrVk9WaUFnWXowaU9DSWcKCUlIQmhiajBpTUNJZ0lIcHZiMjA5SWpO
+bU1EZ3pNVGhqSWlBK0NqeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJakFpCglJQ0J6UFNJd0lp
+QWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQw
+aQoJTTJNeU0yUTNNREFpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BI
+QWdJR3c5SWpObU9EQXcKCU1EQXdJaUFnZEQwaU0yTmhNMlEzTURBaUlDQnpQU0l3SWlBZ1l6MGlN
+Mlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnCglJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMk5t
+TldNeU9EVWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0SwoJUEM5d1Bnb2dQSEFnSUd3
+OUlqTm1PREF3TURBd0lpQWdkRDBpTTJReU0yUTNNRFVpSUNCelBTSXdJaUFnWXowaU0yWTQKCU1E
+QXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUTBZMk5qWXpj
+aUlDQnpQU0l3CglJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9E
+QXdNREF3SWlBZ2REMGlNMlEzTldNeQoJT0dFaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJ
+RDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWcKCWREMGlNMlE0WmpWak1qVWlJQ0J6
+UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJakFpCglJQ0IwUFNJ
+elpHRXpaRGN3TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThMMFpG
+VGxZKwoJQ2lBOFJrVk9WbEJCVWtGTlV5QWdZVDBpTUNJZ0lHZzlJakFpSUNCa1BTSXdJaUFnY2ow
+aU1DSWdJR0YwZEdzOUlqTmwKCU5qUm1PVEkzSWlBZ2FHOXNaRDBpTTJVMk5HWTVNamNpSUNCa1pX
+TjVQU0l6WlRZMFpqa3lOeUlnSUhOMWMzUTlJak5tCglPREF3TURBd0lpQWdjbVZzY3owaU0yVTJO
+R1k1TWpjaUlDQnpiWEE5SWpBaUlDQnNjRDBpTUNJZ0lITjVibU05SWpBaQoJSUNCemNHUTlJakFp
+SUNCMGNtZE5aRDBpTUNJZ0lIWmxiSE5sYm5NOUlqQWlJQ0J0WjJ4MmJITTlJakFpSUNCdFoyTnkK
+CWRuTTlJakFpSUNCa2NIUTlJakFpSUNCamFITlVjbWM5SWpBaUlDQmhkR05vY3owaU1DSWdQZ284
+TDBaRlRsWlFRVkpCCglUVk0rQ2lBOFFVVk9WaUFnWXowaU9DSWdJSEJoYmowaU1DSWdJSHB2YjIw
+OUlqTm1NRGd6TVRoaklpQStDanh3SUNCcwoJUFNJelpqZ3dNREF3TUNJZ0lIUTlJakFpSUNCelBT
+SXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWcKCUlHdzlJak5tT0RBd01EQXdJ
+aUFnZEQwaU0yTXlNMlEzTURBaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLCglQQzl3
+UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMk5oTTJRM01EQWlJQ0J6UFNJd0lpQWdZ
+ejBpTTJZNAoJTURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBp
+TTJObU5XTXlPRFVpSUNCelBTSXcKCUlpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhB
+Z0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUXlNMlEzCglNRFVpSUNCelBTSXdJaUFnWXowaU0y
+WTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZwoJZEQwaU0yUTBZ
+Mk5qWXpjaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlq
+Tm0KCU9EQXdNREF3SWlBZ2REMGlNMlEzTldNeU9HRWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdN
+REFpSUQ0S1BDOXdQZ29nCglQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJRNFpqVmpNalVp
+SUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaQoJSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJakFpSUNC
+MFBTSXpaR0V6WkRjd05TSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXcKCU1DSWdQZ284TDNBK0Np
+QThMMEZGVGxZK0NpQThRVVZPVmxCQlVrRk5VeUFnYjI1UFptWTlJakFpSUNCaFBTSXdJaUFnCglh
+RDBpTUNJZ0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1qY2lJQ0JvYjJ4a1BT
+SXpaVFkwWmpreQoJTnlJZ0lHUmxZM2s5SWpObE5qUm1PVEkzSWlBZ2MzVnpkRDBpTTJZNE1EQXdN
+REFpSUNCeVpXeHpQU0l6WlRZMFpqa3kKCU55SWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1
+WXowaU1DSWdJSE53WkQwaU1DSWdJSFJ5WjAxa1BTSXdJaUFnCglkbVZzYzJWdWN6MGlNQ0lnSUcx
+bmJIWnNjejBpTUNJZ0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWdJR05vYzFSeQoJWnowaU1D
+SWdJR0YwWTJoelBTSXdJaUErQ2p3dlFVVk9WbEJCVWtGTlV6NEtJRHhGUmtaU1FVTkxJRDRLUEVW
+R1JrMVAKCVJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaU1D
+SWdJRkF5UFNJd0lpQWdVRE05CglJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJ
+Q0JRTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaQoJSUNCUU1UQTlJakFpSUNCUU1URTlJakFp
+SUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUNCQlkzUnAKCWRtVTlJakFpSUQ0
+S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPYnlCRlptWmxZM1Fp
+CglJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlB
+Z1VEVTlJakFpSUNCUQoJTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lG
+QXhNRDBpTUNJZ0lGQXhNVDBpTUNJZ0lGQXgKCU1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlN
+Q0lnSUVGamRHbDJaVDBpTUNJZ1BnbzhMMFZHUmsxUFJGVk1SVDRLCglJRHhGUmtaTlQwUlZURVVn
+SUZSNWNHVTlJazV2SUVWbVptVmpkQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaQoJTUNJ
+Z0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JR
+T0QwaU1DSWcKCUlGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlB
+Z1VERXpQU0l3SWlBZ1VERTBQU0l3CglJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZV
+eEZQZ29nUEVWR1JrMVBSRlZNUlNBZ1ZIbHdaVDBpVG04ZwoJUldabVpXTjBJaUFnVURBOUlqQWlJ
+Q0JRTVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTEKCVBTSXdJaUFn
+VURZOUlqQWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFN
+VEU5CglJakFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUNCQlkzUnBkbVU5
+SWpBaUlENEtQQzlGUmtaTgoJVDBSVlRFVStDaUE4TDBWR1JsSkJRMHMrQ2lBOEwxWlBTVU5GUGdv
+Z1BGWlBTVU5GSUNCd1lYVjRiRDBpTUNJZ0lIQmgKCWRYaHBjRzltUFNJd0lpQStDanhHU1V4VVJW
+SWdJR0ZqZEQwaU1DSWdJSEJoY21FOUlqQWlJQ0JpWVd3OUlqQWlJQ0JtCgljbVZ4UFNJd0lpQWdj
+M0J5WkQwaU1DSWdJSEpsY3owaU1DSWdJR3RsZVQwaU1DSWdJR3RsZVdsdWRqMGlNQ0lnSUd0bAoJ
+ZVcxd1BTSXdJaUFnWlc1MlpIQjBhRDBpTUNJZ0lHVnVkbVJ3ZEdocGJuWTlJakFpSUNCdVlXMWxQ
+U0l3SWlBZ1lXTjAKCU1UMGlNQ0lnSUhSNWNHVXhQU0l3SWlBZ1puSmxjVEU5SWpBaUlDQnlaWE14
+UFNJd0lpQWdjR0Z1TVQwaU1DSWdJR0ZqCglkREk5SWpBaUlDQjBlWEJsTWowaU1DSWdJR1p5WlhF
+eVBTSXdJaUFnY21Wek1qMGlNQ0lnSUhCaGJqSTlJakFpSUNCawoJYVhOMFVHOXpkRDBpTUNJZ0lH
+VnhVRzl6ZEQwaU1DSWdJRTVoYldWVGRISTlJaUlnUGdvOFJWRXhNaUFnUVdOMGFYWmwKCVBTSXdJ
+aUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lG
+QTFQU0l3CglJaUFnVURZOUlqQWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFN
+VEE5SWpBaUlDQlFNVEU5SWpBaQoJSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFp
+SUQ0S1BDOUZVVEV5UGdvZ1BFVlJNaUFnUVdOMGFYWmwKCVBTSXdJaUFnVURBOUlqQWlJQ0JRTVQw
+aU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3CglJaUFnVURZOUlq
+QWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpB
+aQoJSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUQ0S1BDOUZVVEkrQ2lBOFJF
+bFRWQ0FnUVdOMGFYWmwKCVBTSXdJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJRkF5UFNJd0lpQWdV
+RE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3CglJaUFnVURZOUlqQWlJQ0JRTnowaU1DSWdJRkE0
+UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaQoJSUNCUU1USTlJakFpSUNC
+UU1UTTlJakFpSUNCUU1UUTlJakFpSUQ0S1BDOUVTVk5VUGdvZ1BDOUdTVXhVUlZJK0NpQTgKCVYw
+RldSVk5JUVZCRlVpQWdZV04wUFNJd0lpQWdkSGx3WlQwaU1DSWdJSEJ2Y3owaU1DSWdJR1J3ZEdn
+OUlqQWlJQ0JuCglZV2x1UFNJd0lpQWdiV2w0UFNJd0lpQWdkRzl1WlQwaU1DSWdJR0pqUFNJd0lp
+QWdjM0p5WkdNOUlqQWlJQ0J0WjNKbQoJZVRFOUlqQWlJQ0J0WjNKbWVUSTlJakFpSUNCdVlXMWxQ
+U0l3SWlBZ1RtRnRaVk4wY2owaUlpQStDand2VjBGV1JWTkkKCVFWQkZVajRLSUR4UFUwTWdJSFI1
+Y0dVOUlqQWlJQ0JyYVc1a1BTSXdJaUFnY1d3OUlqQWlJQ0J4YkhJOUlqQWlJQ0J4Cgljbkk5SWpO
+bU9EQXdNREF3SWlBZ2NYSTlJak5tT0RBd01EQXdJaUFnZEhWdVpUMGlNQ0lnSUhSMWJtVkdhVzVs
+UFNJdwoJSWlBZ1ptbHVaVk5qYkQwaU1TSWdJSEJrWlhCMGFEMGlNQ0lnSUhCM2FXUjBhRDBpTUNJ
+Z0lHOWpkRDBpTUNJZ0lITmwKCWJXazlJakFpSUNCc1pYWmxiRDBpTUNJZ0lIQmhiajBpTUNJZ0lI
+QnZjblE5SWpBaUlDQndiM0owUVdOMFBTSXdJaUFnCglkSEJ6UFNJd0lpQWdabXhVWlcxd2JEMGlN
+Q0lnSUdac1UzQmtQU0l6WmpBd01EQXdNQ0lnSUdac1RHOXZjRDBpTTJZNAoJTURBd01EQWlJQ0J0
+YjJScGJuUTlJakFpSUNCdGIyUmtaWEIwYUQwaU1DSWdJR1p0UFNJd0lpQWdabTFyZEQwaU1DSWcK
+CUlHWnRkMlk5SWpBaUlDQm1iWE5qYkQwaU1DSWdJR1p0Y0dROUlqQWlJQ0JtYlhCM1BTSXdJaUFn
+Wm0xb2N6MGlNQ0lnCglJRUZOYlc5a2FXNTBQU0l3SWlBZ1FVMXRiMlJrWlhCMGFEMGlNQ0lnSUdG
+dFBTSXdJaUFnWVcxcmREMGlNQ0lnSUdGdAoJZDJZOUlqQWlJQ0JoYlhOamJEMGlNQ0lnSUdGdGNH
+UTlJakFpSUNCaGJYQjNQU0l3SWlBZ1lXMW9jejBpTUNJZ0lHZHkKCVlXNDlJakFpSUNCdVozSmhh
+VzV6UFNJd0lpQWdaM0poYVc0elBTSXdJaUFnWjNKaGFXNDBQU0l3SWlBZ1ozSmhhVzQxCglQU0l3
+SWlBZ1ozSmhhVzQyUFNJd0lpQWdaM0poYmxOd2NtUTlJakFpSUNCbmNtRnVVRVJwY2owaU1DSWdJ
+R2R5WVc1UQoJUVdOamRXMDlJakFpSUNCbmNtRnVUV2w0UFNJd0lpQWdaM0poYmtWNGNEMGlNQ0ln
+SUdkeVlXNVVjbWM5SWpBaUlDQmwKCWFVWnlURzlqUFNJd0lpQWdaM0poYmxCdmN6MGlNQ0lnSUdk
+eVlXNVdNVDBpTUNJZ0lIVmpiblE5SWpBaUlDQjFaSEIwCglhRDBpTUNJZ0lIVjNaSFJvUFNJd0lp
+QWdkV1J3Y21jOUlqQWlJQ0IxYjJOMFBTSXdJaUFnZFdSeVpuUTlJakFpSUNCMQoJZG5CelBTSXdJ
+aUFnYUhKa2MyNWpQU0l3SWlBZ2NtVndkR05vUFNJd0lpQWdjM0JvWVQwaU1DSWdJSE5oYm1FOUlq
+QWkKCUlDQmhkSEp0UFNJd0lpQWdjM05sY3owaU1DSWdJSE56WlhONVBTSXdJaUFnZG0xMFBTSXdJ
+aUFnZG0xaFBTSXdJaUFnCglZM056YUdSaGJYQTlJakFpSUQ0S1BFaEJVazBnSUVGamRERTlJakFp
+SUNCc2Rtd3hQU0l3SWlBZ2NHRnVNVDBpTUNJZwoJSUhSMWJqRTlJakFpSUNCemJXa3hQU0l3SWlB
+Z2MyaHdNVDBpTUNJZ0lITjViVzB4UFNJd0lpQWdjM2x1TVQwaU1DSWcKCUlIZG1iVEU5SWpBaUlD
+QkJZM1F5UFNJd0lpQWdiSFpzTWowaU1DSWdJSEJoYmpJOUlqQWlJQ0IwZFc0eVBTSXdJaUFnCglj
+MjFwTWowaU1DSWdJSE5vY0RJOUlqQWlJQ0J6ZVcxdE1qMGlNQ0lnSUhONWJqSTlJakFpSUNCM1pt
+MHlQU0l3SWlBZwoJUVdOME16MGlNQ0lnSUd4MmJETTlJakFpSUNCd1lXNHpQU0l3SWlBZ2RIVnVN
+ejBpTUNJZ0lITnRhVE05SWpBaUlDQnoKCWFIQXpQU0l3SWlBZ2MzbHRiVE05SWpBaUlDQnplVzR6
+UFNJd0lpQWdkMlp0TXowaU1DSWdJRUZqZERROUlqQWlJQ0JzCglkbXcwUFNJd0lpQWdjR0Z1TkQw
+aU1DSWdJSFIxYmpROUlqQWlJQ0J6YldrMFBTSXdJaUFnYzJod05EMGlNQ0lnSUhONQoJYlcwMFBT
+SXdJaUFnYzNsdU5EMGlNQ0lnSUhkbWJUUTlJakFpSUNCdGIyUTlJakFpSUNCdGFYZzlJakFpSUQ0
+S1BDOUkKCVFWSk5QZ29nUEZSUFRrVlhTRVZGVENBZ1pISjNNVDBpTTJZd01EQXdNREFpSUNCa2Nu
+Y3lQU0l6WmpBd01EQXdNQ0lnCglJR1J5ZHpNOUlqTm1NREF3TURBd0lpQWdaSEozTkQwaU0yWXdN
+REF3TURBaUlDQmtjbmMxUFNJd0lpQWdaSEozTmowaQoJTUNJZ0lHUnlkemM5SWpBaUlDQmtjbmM0
+UFNJd0lpQWdaSEozT1QwaU1DSWdJSEJsWkRFOUlqTm1NREF3TURBd0lpQWcKCWNHVmtNajBpTTJZ
+d01EQXdNREFpSUNCVGNFOXVQU0l3SWlBZ1ZrOXVQU0l3SWlBZ1ZtMXZaR1U5SWpBaUlDQlFiMjQ5
+CglJakFpSUNCUWMyOW1kRDBpTUNJZ0lGQm1ZWE4wUFNJd0lpQWdVR2hoY20wOUlqQWlJQ0JUY0d0
+eVBTSXdJaUFnUTJ4cAoJWTJzOUlqQWlJQ0JJZFcwOUlqQWlJQ0JCWjJVOUlqQWlJQ0JZZEdGc2F6
+MGlNQ0lnSUV4dmQyWnZiR1E5SWpObU9EQXcKCU1EQXdJaUFnVURsa1BTSXpaamd3TURBd01DSWdJ
+RkJzWldjOUlqTm1PREF3TURBd0lpQWdVR1JwYlQwaU0yWTRNREF3CglNREFpSUQ0S1BDOVVUMDVG
+VjBoRlJVdytDaUE4VjBGV1JWTWdQZ284TDFkQlZrVlRQZ29nUEVaTlYwRldSVk1nUGdvOAoJTDBa
+TlYwRldSVk0rQ2lBOFFVMVhRVlpGVXlBK0Nqd3ZRVTFYUVZaRlV6NEtJRHd2VDFORFBnb2dQRVpG
+VGxZZ0lHTTkKCUlqZ2lJQ0J3WVc0OUlqQWlJQ0I2YjI5dFBTSXpaakE0TXpFNFl5SWdQZ284Y0NB
+Z2JEMGlNMlk0TURBd01EQWlJQ0IwCglQU0l3SWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lp
+QStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZwoJSUhROUlqTmpNak5rTnpBd0lpQWdj
+ejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXoKCVpqZ3dNREF3
+TUNJZ0lIUTlJak5qWVROa056QXdJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3Zj
+RDRLCglJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpOalpqVmpNamcxSWlBZ2N6MGlNQ0ln
+SUdNOUlqTm1PREF3TURBdwoJSWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhR
+OUlqTmtNak5rTnpBMUlpQWdjejBpTUNJZ0lHTTkKCUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lE
+eHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5rTkdOalkyTTNJaUFnCgljejBpTUNJZ0lHTTlJ
+ak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpOawoJ
+TnpWak1qaGhJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQ
+U0l6Wmpnd01EQXcKCU1DSWdJSFE5SWpOa09HWTFZekkxSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3
+TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzCglQU0l3SWlBZ2REMGlNMlJoTTJRM01EVWlJQ0J6UFNJ
+d0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEM5RwoJUlU1V1Bnb2dQRVpGVGxaUVFW
+SkJUVk1nSUdFOUlqQWlJQ0JvUFNJd0lpQWdaRDBpTUNJZ0lISTlJakFpSUNCaGRIUnIKCVBTSXpa
+VFkwWmpreU55SWdJR2h2YkdROUlqTmxOalJtT1RJM0lpQWdaR1ZqZVQwaU0yVTJOR1k1TWpjaUlD
+QnpkWE4wCglQU0l6Wmpnd01EQXdNQ0lnSUhKbGJITTlJak5sTmpSbU9USTNJaUFnYzIxd1BTSXdJ
+aUFnYkhBOUlqQWlJQ0J6ZVc1agoJUFNJd0lpQWdjM0JrUFNJd0lpQWdkSEpuVFdROUlqQWlJQ0Iy
+Wld4elpXNXpQU0l3SWlBZ2JXZHNkbXh6UFNJd0lpQWcKCWJXZGpjblp6UFNJd0lpQWdaSEIwUFNJ
+d0lpQWdZMmh6VkhKblBTSXdJaUFnWVhSamFITTlJakFpSUQ0S1BDOUdSVTVXCglVRUZTUVUxVFBn
+b2dQRUZGVGxZZ0lHTTlJamdpSUNCd1lXNDlJakFpSUNCNmIyOXRQU0l6WmpBNE16RTRZeUlnUGdv
+OAoJY0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJd0lpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01E
+QXdJaUErQ2p3dmNENEsKCUlEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5qTWpOa056QXdJ
+aUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3CglJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3
+TURBd01DSWdJSFE5SWpOallUTmtOekF3SWlBZ2N6MGlNQ0lnSUdNOQoJSWpObU9EQXdNREF3SWlB
+K0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmpaalZqTWpnMUlpQWcKCWN6
+MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJ
+Z0lIUTlJak5rCglNak5rTnpBMUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNE
+NEtJRHh3SUNCc1BTSXpaamd3TURBdwoJTUNJZ0lIUTlJak5rTkdOalkyTTNJaUFnY3owaU1DSWdJ
+R005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnMKCVBTSXpaamd3TURBd01DSWdJSFE5
+SWpOa056VmpNamhoSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2CgljRDRLSUR4
+d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmtPR1kxWXpJMUlpQWdjejBpTUNJZ0lHTTlJak5t
+T0RBdwoJTURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJd0lpQWdkRDBpTTJSaE0yUTNNRFVpSUNC
+elBTSXdJaUFnWXowaU0yWTQKCU1EQXdNREFpSUQ0S1BDOXdQZ29nUEM5QlJVNVdQZ29nUEVGRlRs
+WlFRVkpCVFZNZ0lHOXVUMlptUFNJd0lpQWdZVDBpCglNQ0lnSUdnOUlqQWlJQ0JrUFNJd0lpQWdj
+ajBpTUNJZ0lHRjBkR3M5SWpObE5qUm1PVEkzSWlBZ2FHOXNaRDBpTTJVMgoJTkdZNU1qY2lJQ0Jr
+WldONVBTSXpaVFkwWmpreU55SWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTIK
+CU5HWTVNamNpSUNCemJYQTlJakFpSUNCc2NEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFp
+SUNCMGNtZE5aRDBpCglNQ0lnSUhabGJITmxibk05SWpBaUlDQnRaMngyYkhNOUlqQWlJQ0J0WjJO
+eWRuTTlJakFpSUNCa2NIUTlJakFpSUNCagoJYUhOVWNtYzlJakFpSUNCaGRHTm9jejBpTUNJZ1Bn
+bzhMMEZGVGxaUVFWSkJUVk0rQ2lBOFJVWkdVa0ZEU3lBK0NqeEYKCVJrWk5UMFJWVEVVZ0lGUjVj
+R1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnCglJRkF6
+UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlN
+Q0lnSUZBNQoJUFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6
+UFNJd0lpQWdVREUwUFNJd0lpQWcKCVFXTjBhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdv
+Z1BFVkdSazFQUkZWTVJTQWdWSGx3WlQwaVRtOGdSV1ptCglaV04wSWlBZ1VEQTlJakFpSUNCUU1U
+MGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJdwoJSWlBZ1VEWTlJ
+akFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlq
+QWkKCUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJ
+RDRLUEM5RlJrWk5UMFJWCglURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVps
+WTNRaUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZwoJVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJ
+d0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzkKCUlqQWlJQ0JRT1QwaU1D
+SWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4CglO
+RDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOVDBSVlRF
+VWdJRlI1Y0dVOQoJSWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlN
+Q0lnSUZBelBTSXdJaUFnVURROUlqQWkKCUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFp
+SUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnCglVREV4UFNJd0lpQWdVREV5UFNJ
+d0lpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lpQWdRV04wYVhabFBTSXdJaUErQ2p3dgoJUlVaR1RV
+OUVWVXhGUGdvZ1BDOUZSa1pTUVVOTFBnb2dQQzlXVDBsRFJUNEtJRHhOVlV4VVNWTkJUVkJNUlNB
+Z1RHRjUKCVpYSXdWbTlzUFNJd0lpQWdUR0Y1WlhJd1FXTjBQU0l3SWlBZ1RHRjVaWEl3VFhROUlq
+QWlJQ0JNWVhsbGNqQkdiRDBpCglNQ0lnSUV4aGVXVnlNVlp2YkQwaU1DSWdJRXhoZVdWeU1VRmpk
+RDBpTUNJZ0lFeGhlV1Z5TVUxMFBTSXdJaUFnVEdGNQoJWlhJeFJtdzlJakFpSUNCTVlYbGxjakpX
+YjJ3OUlqQWlJQ0JNWVhsbGNqSkJZM1E5SWpBaUlDQk1ZWGxsY2pKTmREMGkKCU1DSWdJRXhoZVdW
+eU1rWnNQU0l3SWlBZ1RHRjVaWEl6Vm05c1BTSXdJaUFnVEdGNVpYSXpRV04wUFNJd0lpQWdUR0Y1
+CglaWEl6VFhROUlqQWlJQ0JNWVhsbGNqTkdiRDBpTUNJZ0lISmxiRlp2YkQwaU1DSWdJSEJsWkV4
+MmJEMGlNQ0lnSUhCbAoJWkVaWVBTSXpaamd3TURBd01DSWdJSE55ZUdaaFpHVTlJakFpSUNCeVpX
+eFNkV3hsUFNJd0lpQWdkR2x0WW5KbFBTSXcKCUlpQWdkR0p0WkQwaU1DSWdJR1Z1YzNOdWNtdzlJ
+akFpSUNCeVpYQjBZMmh5Wld3OUlqQWlJQ0J6YzNKbGRuQmlQU0l3CglJaUFnYlc5bmNtbG1lVDBp
+TUNJZ0lITnpkR2hwYmtWdVBTSXdJaUErQ2p3dlRWVk1WRWxUUVUxUVRFVStDaUE4VFZWTQoJVkVs
+VFFVMVFURVVnSUV4aGVXVnlNRlp2YkQwaU1DSWdJRXhoZVdWeU1FRmpkRDBpTUNJZ0lFeGhlV1Z5
+TUUxMFBTSXcKCUlpQWdUR0Y1WlhJd1JtdzlJakFpSUNCTVlYbGxjakZXYjJ3OUlqQWlJQ0JNWVhs
+bGNqRkJZM1E5SWpBaUlDQk1ZWGxsCgljakZOZEQwaU1DSWdJRXhoZVdWeU1VWnNQU0l3SWlBZ1RH
+RjVaWEl5Vm05c1BTSXdJaUFnVEdGNVpYSXlRV04wUFNJdwoJSWlBZ1RHRjVaWEl5VFhROUlqQWlJ
+Q0JNWVhsbGNqSkdiRDBpTUNJZ0lFeGhlV1Z5TTFadmJEMGlNQ0lnSUV4aGVXVnkKCU0wRmpkRDBp
+TUNJZ0lFeGhlV1Z5TTAxMFBTSXdJaUFnVEdGNVpYSXpSbXc5SWpBaUlDQnlaV3hXYjJ3OUlqQWlJ
+Q0J3CglaV1JNZG13OUlqQWlJQ0J3WldSR1dEMGlNMlk0TURBd01EQWlJQ0J6Y25obVlXUmxQU0l3
+SWlBZ2NtVnNVblZzWlQwaQoJTUNJZ0lIUnBiV0p5WlQwaU1DSWdJSFJpYldROUlqQWlJQ0JsYm5O
+emJuSnNQU0l3SWlBZ2NtVndkR05vY21Wc1BTSXcKCUlpQWdjM055Wlhad1lqMGlNQ0lnSUcxdloz
+SnBabms5SWpBaUlDQnpjM1JvYVc1RmJqMGlNQ0lnUGdvOEwwMVZURlJKCglVMEZOVUV4RlBnb2dQ
+RVZHUmxKQlEwc2dQZ284UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPYnlCRlptWmxZM1FpSUNCUQoJ
+TUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VEVTlJ
+akFpSUNCUU5qMGkKCU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBp
+TUNJZ0lGQXhNVDBpTUNJZ0lGQXhNajBpCglNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVG
+amRHbDJaVDBpTUNJZ1BnbzhMMFZHUmsxUFJGVk1SVDRLSUR4RgoJUmtaTlQwUlZURVVnSUZSNWNH
+VTlJazV2SUVWbVptVmpkQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaU1DSWcKCUlGQXpQ
+U0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRT0QwaU1D
+SWdJRkE1CglQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQ
+U0l3SWlBZ1VERTBQU0l3SWlBZwoJUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEZQZ29n
+UEVWR1JrMVBSRlZNUlNBZ1ZIbHdaVDBpVG04Z1JXWm0KCVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQw
+aU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3CglJaUFnVURZOUlq
+QWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpB
+aQoJSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUNCQlkzUnBkbVU5SWpBaUlE
+NEtQQzlGUmtaTlQwUlYKCVRFVStDaUE4UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPYnlCRlptWmxZ
+M1FpSUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnCglVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3
+SWlBZ1VEVTlJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOQoJSWpBaUlDQlFPVDBpTUNJ
+Z0lGQXhNRDBpTUNJZ0lGQXhNVDBpTUNJZ0lGQXhNajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXgKCU5E
+MGlNQ0lnSUVGamRHbDJaVDBpTUNJZ1BnbzhMMFZHUmsxUFJGVk1SVDRLSUR3dlJVWkdVa0ZEU3o0
+S0lEeEJWVmhGCglSa1pTUVVOTElENEtQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpX
+TjBJaUFnVURBOUlqQWlJQ0JRTVQwaQoJTUNJZ0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlN
+Q0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJQ0JRTnowaU1DSWcKCUlGQTRQU0l3SWlBZ1VEazlJakFp
+SUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFpCglJQ0JRTVRR
+OUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4UlVaR1RVOUVWVXhG
+SUNCVQoJZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpB
+aUlDQlFNejBpTUNJZ0lGQTAKCVBTSXdJaUFnVURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lp
+QWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpCglNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlN
+Q0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGamRHbDJaVDBpTUNJZwoJUGdvOEwwVkdSazFQ
+UkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZSNWNHVTlJazV2SUVWbVptVmpkQ0lnSUZBd1BTSXcK
+CUlpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0ln
+SUZBMlBTSXdJaUFnCglVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlB
+Z1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZwoJVURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFY
+WmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEZQZ29nUEVWR1JrMVAKCVJGVk1SU0FnVkhsd1pUMGlU
+bThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05CglJakFp
+SUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJQ0JRTnowaU1DSWdJRkE0UFNJd0lpQWdV
+RGs5SWpBaQoJSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFp
+SUNCUU1UUTlJakFpSUNCQlkzUnAKCWRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4TDBG
+VldFVkdSbEpCUTBzK0NpQThURVpQWDFORlZDQStDanhNCglSazhnSUhSNWNHVTlJakFpSUNCalpX
+NTBaWEk5SWpBaUlDQnpkMmx1WnowaU1DSWdJSEpoZEdVOUlqQWlJQ0J5Ym1SMAoJY2owaU1DSWdJ
+SEpoYm1SeVp6MGlNQ0lnSUhKaGJtUnlaWFk5SWpBaUlDQndkV3h6WlcxcGVEMGlNQ0lnSUhCMWJI
+TmwKCWNtRjBaVDBpTUNJZ0lITmpZV3hsUFNJd0lpQWdjM2x1WXowaU1DSWdJSEpsYzJWMGRISTlJ
+akFpSUNCbGJuWmtjSFJvCglQU0l3SWlBZ1luQnZiR0Z5UFNJd0lpQWdjR2hoYzJVOUlqQWlJQ0Ix
+Ym1sa2FYSTlJakFpSUQ0S1BDOU1SazgrQ2lBOAoJVEVaUElDQjBlWEJsUFNJd0lpQWdZMlZ1ZEdW
+eVBTSXdJaUFnYzNkcGJtYzlJakFpSUNCeVlYUmxQU0l3SWlBZ2NtNWsKCWRISTlJakFpSUNCeVlX
+NWtjbWM5SWpBaUlDQnlZVzVrY21WMlBTSXdJaUFnY0hWc2MyVnRhWGc5SWpBaUlDQndkV3h6Cgla
+WEpoZEdVOUlqQWlJQ0J6WTJGc1pUMGlNQ0lnSUhONWJtTTlJakFpSUNCeVpYTmxkSFJ5UFNJd0lp
+QWdaVzUyWkhCMAoJYUQwaU1DSWdJR0p3YjJ4aGNqMGlNQ0lnSUhCb1lYTmxQU0l3SWlBZ2RXNXBa
+R2x5UFNJd0lpQStDand2VEVaUFBnb2cKCVBFeEdUeUFnZEhsd1pUMGlNQ0lnSUdObGJuUmxjajBp
+TUNJZ0lITjNhVzVuUFNJd0lpQWdjbUYwWlQwaU1DSWdJSEp1CglaSFJ5UFNJd0lpQWdjbUZ1WkhK
+blBTSXdJaUFnY21GdVpISmxkajBpTUNJZ0lIQjFiSE5sYldsNFBTSXdJaUFnY0hWcwoJYzJWeVlY
+UmxQU0l3SWlBZ2MyTmhiR1U5SWpBaUlDQnplVzVqUFNJd0lpQWdjbVZ6WlhSMGNqMGlNQ0lnSUdW
+dWRtUncKCWRHZzlJakFpSUNCaWNHOXNZWEk5SWpBaUlDQndhR0Z6WlQwaU1DSWdJSFZ1YVdScGNq
+MGlNQ0lnUGdvOEwweEdUejRLCglJRHhNUms4Z0lIUjVjR1U5SWpBaUlDQmpaVzUwWlhJOUlqQWlJ
+Q0J6ZDJsdVp6MGlNQ0lnSUhKaGRHVTlJakFpSUNCeQoJYm1SMGNqMGlNQ0lnSUhKaGJtUnlaejBp
+TUNJZ0lISmhibVJ5WlhZOUlqQWlJQ0J3ZFd4elpXMXBlRDBpTUNJZ0lIQjEKCWJITmxjbUYwWlQw
+aU1DSWdJSE5qWVd4bFBTSXdJaUFnYzNsdVl6MGlNQ0lnSUhKbGMyVjBkSEk5SWpBaUlDQmxiblpr
+CgljSFJvUFNJd0lpQWdZbkJ2YkdGeVBTSXdJaUFnY0doaGMyVTlJakFpSUNCMWJtbGthWEk5SWpB
+aUlENEtQQzlNUms4KwoJQ2lBOFRFWlBJQ0IwZVhCbFBTSXdJaUFnWTJWdWRHVnlQU0l3SWlBZ2Mz
+ZHBibWM5SWpBaUlDQnlZWFJsUFNJd0lpQWcKCWNtNWtkSEk5SWpBaUlDQnlZVzVrY21jOUlqQWlJ
+Q0J5WVc1a2NtVjJQU0l3SWlBZ2NIVnNjMlZ0YVhnOUlqQWlJQ0J3CglkV3h6WlhKaGRHVTlJakFp
+SUNCelkyRnNaVDBpTUNJZ0lITjVibU05SWpBaUlDQnlaWE5sZEhSeVBTSXdJaUFnWlc1MgoJWkhC
+MGFEMGlNQ0lnSUdKd2IyeGhjajBpTUNJZ0lIQm9ZWE5sUFNJd0lpQWdkVzVwWkdseVBTSXdJaUEr
+Q2p3dlRFWlAKCVBnb2dQRXhHVHlBZ2RIbHdaVDBpTUNJZ0lHTmxiblJsY2owaU1DSWdJSE4zYVc1
+blBTSXdJaUFnY21GMFpUMGlNQ0lnCglJSEp1WkhSeVBTSXdJaUFnY21GdVpISm5QU0l3SWlBZ2Nt
+RnVaSEpsZGowaU1DSWdJSEIxYkhObGJXbDRQU0l3SWlBZwoJY0hWc2MyVnlZWFJsUFNJd0lpQWdj
+Mk5oYkdVOUlqQWlJQ0J6ZVc1alBTSXdJaUFnY21WelpYUjBjajBpTUNJZ0lHVnUKCWRtUndkR2c5
+SWpBaUlDQmljRzlzWVhJOUlqQWlJQ0J3YUdGelpUMGlNQ0lnSUhWdWFXUnBjajBpTUNJZ1BnbzhM
+MHhHCglUejRLSUR4TVJrOGdJSFI1Y0dVOUlqQWlJQ0JqWlc1MFpYSTlJakFpSUNCemQybHVaejBp
+TUNJZ0lISmhkR1U5SWpBaQoJSUNCeWJtUjBjajBpTUNJZ0lISmhibVJ5WnowaU1DSWdJSEpoYm1S
+eVpYWTlJakFpSUNCd2RXeHpaVzFwZUQwaU1DSWcKCUlIQjFiSE5sY21GMFpUMGlNQ0lnSUhOallX
+eGxQU0l3SWlBZ2MzbHVZejBpTUNJZ0lISmxjMlYwZEhJOUlqQWlJQ0JsCgliblprY0hSb1BTSXdJ
+aUFnWW5CdmJHRnlQU0l3SWlBZ2NHaGhjMlU5SWpBaUlDQjFibWxrYVhJOUlqQWlJRDRLUEM5TQoJ
+Ums4K0NpQThURVpQSUNCMGVYQmxQU0l3SWlBZ1kyVnVkR1Z5UFNJd0lpQWdjM2RwYm1jOUlqQWlJ
+Q0J5WVhSbFBTSXcKCUlpQWdjbTVrZEhJOUlqQWlJQ0J5WVc1a2NtYzlJakFpSUNCeVlXNWtjbVYy
+UFNJd0lpQWdjSFZzYzJWdGFYZzlJakFpCglJQ0J3ZFd4elpYSmhkR1U5SWpBaUlDQnpZMkZzWlQw
+aU1DSWdJSE41Ym1NOUlqQWlJQ0J5WlhObGRIUnlQU0l3SWlBZwoJWlc1MlpIQjBhRDBpTUNJZ0lH
+SndiMnhoY2owaU1DSWdJSEJvWVhObFBTSXdJaUFnZFc1cFpHbHlQU0l3SWlBK0Nqd3YKCVRFWlBQ
+Z29nUEM5TVJrOWZVMFZVUGdvZ1BFMVBSRVZPVmxCQlVrRk5VeUFnWVQwaU1DSWdJR2c5SWpBaUlD
+QmtQU0l3CglJaUFnY2owaU1DSWdJR0YwZEdzOUlqTmxOalJtT1RKbElpQWdhRzlzWkQwaU0yVTJO
+R1k1TW1VaUlDQmtaV041UFNJegoJWlRZMFpqa3laaUlnSUhOMWMzUTlJak5tT0RBd01EQXdJaUFn
+Y21Wc2N6MGlNMlUyTkdZNU1tUWlJQ0J6YlhBOUlqQWkKCUlDQnNjRDBpTUNJZ0lITjVibU05SWpB
+aUlDQnpjR1E5SWpBaUlDQjBjbWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpCglJQ0J0WjJ4MmJI
+TTlJakFpSUNCdFoyTnlkbk05SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdO
+bwoJY3owaU1DSWdQZ284TDAxUFJFVk9WbEJCVWtGTlV6NEtJRHhOVDBSZlJVNVdNbDh5SUNCaFBT
+SXdJaUFnYUQwaU1DSWcKCUlHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1tVWlJ
+Q0JvYjJ4a1BTSXpaVFkwWmpreVpTSWdJR1JsCglZM2s5SWpObE5qUm1PVEptSWlBZ2MzVnpkRDBp
+TTJZNE1EQXdNREFpSUNCeVpXeHpQU0l6WlRZMFpqa3laQ0lnSUhOdAoJY0QwaU1DSWdJR3h3UFNJ
+d0lpQWdjM2x1WXowaU1DSWdJSE53WkQwaU1DSWdJSFJ5WjAxa1BTSXdJaUFnZG1Wc2MyVnUKCWN6
+MGlNQ0lnSUcxbmJIWnNjejBpTUNJZ0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWdJR05vYzFS
+eVp6MGlNQ0lnCglJR0YwWTJoelBTSXdJaUErQ2p3dlRVOUVYMFZPVmpKZk1qNEtJRHhOVDBSZlJV
+NVdNbDh5SUNCaFBTSXdJaUFnYUQwaQoJTUNJZ0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlN
+MlUyTkdZNU1tVWlJQ0JvYjJ4a1BTSXpaVFkwWmpreVpTSWcKCUlHUmxZM2s5SWpObE5qUm1PVEpt
+SWlBZ2MzVnpkRDBpTTJZNE1EQXdNREFpSUNCeVpXeHpQU0l6WlRZMFpqa3laQ0lnCglJSE50Y0Qw
+aU1DSWdJR3h3UFNJd0lpQWdjM2x1WXowaU1DSWdJSE53WkQwaU1DSWdJSFJ5WjAxa1BTSXdJaUFn
+ZG1WcwoJYzJWdWN6MGlNQ0lnSUcxbmJIWnNjejBpTUNJZ0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQw
+aU1DSWdJR05vYzFSeVp6MGkKCU1DSWdJR0YwWTJoelBTSXdJaUErQ2p3dlRVOUVYMFZPVmpKZk1q
+NEtJRHhOVDBSZlJVNVdNbDh5SUNCaFBTSXdJaUFnCglhRDBpTUNJZ0lHUTlJakFpSUNCeVBTSXdJ
+aUFnWVhSMGF6MGlNMlUyTkdZNU1tVWlJQ0JvYjJ4a1BTSXpaVFkwWmpreQoJWlNJZ0lHUmxZM2s5
+SWpObE5qUm1PVEptSWlBZ2MzVnpkRDBpTTJZNE1EQXdNREFpSUNCeVpXeHpQU0l6WlRZMFpqa3kK
+CVpDSWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1WXowaU1DSWdJSE53WkQwaU1DSWdJSFJ5
+WjAxa1BTSXdJaUFnCglkbVZzYzJWdWN6MGlNQ0lnSUcxbmJIWnNjejBpTUNJZ0lHMW5ZM0oyY3ow
+aU1DSWdJR1J3ZEQwaU1DSWdJR05vYzFSeQoJWnowaU1DSWdJR0YwWTJoelBTSXdJaUErQ2p3dlRV
+OUVYMFZPVmpKZk1qNEtJRHhOVDBSZlJVNVdNbDh5SUNCaFBTSXcKCUlpQWdhRDBpTUNJZ0lHUTlJ
+akFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1tVWlJQ0JvYjJ4a1BTSXpaVFkwCglaamt5
+WlNJZ0lHUmxZM2s5SWpObE5qUm1PVEptSWlBZ2MzVnpkRDBpTTJZNE1EQXdNREFpSUNCeVpXeHpQ
+U0l6WlRZMAoJWmpreVpDSWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1WXowaU1DSWdJSE53
+WkQwaU1DSWdJSFJ5WjAxa1BTSXcKCUlpQWdkbVZzYzJWdWN6MGlNQ0lnSUcxbmJIWnNjejBpTUNJ
+Z0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWdJR05vCgljMVJ5WnowaU1DSWdJR0YwWTJoelBT
+SXdJaUErQ2p3dlRVOUVYMFZPVmpKZk1qNEtJRHhOVDBSZlJVNVdNbDh5SUNCaAoJUFNJd0lpQWdh
+RDBpTUNJZ0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1tVWlJQ0JvYjJ4a1BT
+SXoKCVpUWTBaamt5WlNJZ0lHUmxZM2s5SWpObE5qUm1PVEptSWlBZ2MzVnpkRDBpTTJZNE1EQXdN
+REFpSUNCeVpXeHpQU0l6CglaVFkwWmpreVpDSWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1
+WXowaU1DSWdJSE53WkQwaU1DSWdJSFJ5WjAxawoJUFNJd0lpQWdkbVZzYzJWdWN6MGlNQ0lnSUcx
+bmJIWnNjejBpTUNJZ0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWcKCUlHTm9jMVJ5WnowaU1D
+SWdJR0YwWTJoelBTSXdJaUErQ2p3dlRVOUVYMFZPVmpKZk1qNEtJRHhEZFhOMGIyMUVZWFJoCglN
+aUErQ2p3dlEzVnpkRzl0UkdGMFlUSStDaUE4TDFOWlRsUklSVTVIUGdvZ1BDOVRlVzUwYUVWdVoy
+bHVaVDRLSUR3dgoJVTNsdWRHaFRkV0pGYm1kcGJtVStDaUE4VTNsdWRHaFRkV0pGYm1kcGJtVWdQ
+Z284VTNsdWRHaEZibWRwYm1VZ1BnbzgKCVFWSlFJQ0JCY25CTmIyUmxQU0l3SWlBZ1FYSndRMnh2
+WTJzOUlqQWlJQ0JCY25CTVpXNDlJakFpSUNCQmNuQlRkMmx1CglaejBpTUNJZ0lFRnljRlpsYkUx
+cGVEMGlNQ0lnSUVGeWNFaDFiVDBpTUNJZ0lFRnljRWgxYlZabGJEMGlNQ0lnSUVGeQoJY0VoMWJW
+UnBaMmgwUkc5M2JqMGlNMlk0TURBd01EQWlJQ0JCY25CUFkzUTlJakFpSUNCQmNuQlBiazltWmow
+aU1DSWcKCUlFRnljRkJvWVhObFBTSXdJaUFnUVhKd1JtVmxiRWR5YjI5MlpVOXVUMlptUFNJd0lp
+QWdRWEp3VTI1aGNGUnZSM0pwCglaRTl1VDJabVBTSXdJaUFnUVhKd1UzQmtQU0l3SWlBZ1FYSndV
+R3g1UFNJd0lpQWdRWEp3VW1WelpYUTlJakFpSUNCQgoJY25CVGNHRnVQU0l6WTJFelpEY3dZU0ln
+SUVGeWNGTnVjRWR5ZG5SNVBTSXdJaUFnUVhKd1IzSnZiM1psVG1GdFpUMGkKCUlpQStDanhCVWxC
+VFJWRXlJQ0JVUlUxUVR6MGlOREptTURBd01EQWlJQ0JVU1VOTFUxQkZVbEZWUVZKVVJWSTlJaTA0
+CglJaUFnVkVsTlJWTkpSMDVWVFQwaU5DSWdJRlJKVFVWVFNVZEVSVTVQVFQwaU5DSWdQZ284VTB4
+SlEwVlRSVkZUVkVWUQoJSUNCQ1JVZEpUajBpTFRNeUlpQWdSVTVFUFNJd0lpQWdRMGc5SWkweElp
+QWdVMHhKUTBWSlRrUkZXRDBpTWpVNUlpQWcKCVZrVk1QU0l4TWpjaUlDQlRVRDBpTUNJZ0lGTlVV
+bE5RUFNJelpUZ3dNREF3TUNJZ1BnbzhMMU5NU1VORlUwVlJVMVJGCglVRDRLSUR3dlFWSlFVMFZS
+TWo0S0lEeEJVbEJHUlVWTVUwVlJJQ0JVUlUxUVR6MGlOREptTURBd01EQWlJQ0JVU1VOTAoJVTFC
+RlVsRlZRVkpVUlZJOUlqUXhPVElpSUNCVVNVMUZVMGxIVGxWTlBTSTBJaUFnVkVsTlJWTkpSMFJG
+VGs5TlBTSTAKCUlpQStDanhUVEVsRFJWTkZVVk5VUlZBZ0lFSkZSMGxPUFNJeE5qYzJPQ0lnSUVW
+T1JEMGlNVFkzTmpnaUlDQkRTRDBpCglMVEVpSUNCVFRFbERSVWxPUkVWWVBTSXRNU0lnSUZaRlRE
+MGlNVEkzSWlBZ1UxUlNVMUE5SWpObE9EQXdNREF3SWlBKwoJQ2p3dlUweEpRMFZUUlZGVFZFVlFQ
+Z29nUEM5QlVsQkdSVVZNVTBWUlBnb2dQQzlCVWxBK0NpQThVMWxPVkVoRlRrY2cKCUlGWmxjbk05
+SWpJNUlpQWdZbkl3UFNJelpqUXdNREF3TUNJZ0lHSTBNRDBpTUNJZ0lHSnlNVDBpTTJZME1EQXdN
+REFpCglJQ0JpTkRFOUlqQWlJQ0JpY2pJOUlqTm1OREF3TURBd0lpQWdZalF5UFNJd0lpQWdZbkl6
+UFNJelpqUXdNREF3TUNJZwoJSUdJME16MGlNQ0lnSUdKeU5EMGlNMlkwTURBd01EQWlJQ0JpTkRR
+OUlqQWlJQ0JpY2pVOUlqTm1OREF3TURBd0lpQWcKCVlqUTFQU0l3SWlBZ1luSTJQU0l6WmpRd01E
+QXdNQ0lnSUdJME5qMGlNQ0lnSUdKeU56MGlNMlkwTURBd01EQWlJQ0JpCglORGM5SWpBaUlDQnhi
+MjQ5SWpBaUlDQnhiVzlrWlQwaU1DSWdJSEZtWVdSbFBTSXdJaUFnYzNWemJXUTlJakFpSUNCeQoJ
+WlhCcmFXeHNQU0l3SWlBZ1pHMXdiSFE5SWpBaUlDQjBjMk5zUFNJd0lpQWdiRXhHVDFBOUlqazVP
+U0lnSUd4TlJXNTIKCVVEMGlOemMzSWlBZ2MyaGhjbVU5SWpBaUlDQndjSFp6UFNJelpqQXdNREF3
+TUNJZ0lIQndZM0E5SWpObU1EQXdNREF3CglJaUFnY0c5c2VUMGlNQ0lnSUhCaVkzVjBQU0kwTVdZ
+NE1EQXdNQ0lnSUhCaWRYQTlJakFpSUNCd1ltUnVQU0l3SWlBZwoJZG1ONFBTSXdJaUFnZG1ONVBT
+SXdJaUFnZG1OblBTSXdJaUFnZG1OaVBTSXdJaUFnYkdWbmJUMGlNQ0lnSUhWelpVeGwKCVp6MGlN
+Q0lnSUd4bFowbHVkRDBpTUNJZ0lITnVjblJ5WnowaU1DSWdJSEJzWldjOUlqQWlJQ0JuWVdsdVBT
+SXdJaUFnCgliV1ptY25FOUlqQWlJQ0J0Wm0xa1BTSXdJaUFnYldaeFBTSXdJaUFnWkhOcFlUMGlN
+Q0lnSUdSemFXSTlJakFpSUNCawoJYzJGaWVHWTlJakFpSUNCMmFYTXhQU0l3SWlBZ2RtbHpNajBp
+TUNJZ0lIWnBjek05SWpBaUlDQjJhWE0wUFNJd0lpQWcKCWRtbHpOVDBpTUNJZ0lIWnBjelk5SWpB
+aUlDQnpZMjVFY0hSb1BTSXdJaUFnYzJOdVRXbDRQU0l3SWlBZ2MyTnVVMlZzCglQU0l3SWlBZ2NH
+OXlkRll5UFNJd0lpQWdjMk51VFVFOUlqQWlJQ0J6WTI1TlF6MGlNQ0lnSUc5eVlsTjBQU0l3SWlB
+ZwoJYjNKaVNXNUJiVzUwUFNJd0lpQWdiM0ppU1c1VGREMGlNQ0lnSUZOalpXNWxRMjl0Y0c5dVpX
+NTBNRDBpTUNJZ0lGTmoKCVpXNWxRMjl0Y0c5dVpXNTBNVDBpTUNJZ0lGTmpaVzVsUTI5dGNHOXVa
+VzUwTWowaU1DSWdJRk5qWlc1bFEyOXRjRzl1CglaVzUwTXowaU1DSWdJR2x5YzJWdVpHRjFlRDBp
+TUNJZ0lIQmhkWGh5YkQwaU1DSWdJR0o1Y0dGemN6MGlNQ0lnSUhSMQoJYm5CaGRHZzlJaUlnSUc5
+eWFXZE1hV0pPWVcxbFBTSWlJQ0J2Y21sblVHRjBZMmhPWVcxbFBTSWlJQ0JEZFhOMGIyMWYKCU1E
+MGlNQ0lnSUVOMWMzUnZiVjh4UFNJd0lpQWdRM1Z6ZEc5dFh6STlJakFpSUNCRGRYTjBiMjFmTXow
+aU1DSWdJRU4xCgljM1J2YlY4MFBTSXdJaUFnUTNWemRHOXRYelU5SWpBaUlDQkRkWE4wYjIxZk5q
+MGlNQ0lnSUVOMWMzUnZiVjgzUFNJdwoJSWlBZ1EzVnpkRzl0WHpnOUlqQWlJQ0JEZFhOMGIyMWZP
+VDBpTUNJZ0lFTjFjM1J2YlY4eE1EMGlNQ0lnSUVOMWMzUnYKCWJWOHhNVDBpTUNJZ0lFTjFjM1J2
+YlY4eE1qMGlNQ0lnSUVOMWMzUnZiVjh4TXowaU1DSWdJRU4xYzNSdmJWOHhORDBpCglNQ0lnSUVO
+MWMzUnZiVjh4TlQwaU1DSWdJRU4xYzNSdmJWOHhOajBpTUNJZ0lFTjFjM1J2YlY4eE56MGlNQ0ln
+SUVOMQoJYzNSdmJWOHhPRDBpTUNJZ0lFTjFjM1J2YlY4eE9UMGlNQ0lnSUVOMWMzUnZiVjh5TUQw
+aU1DSWdJRU4xYzNSdmJWOHkKCU1UMGlNQ0lnSUVOMWMzUnZiVjh5TWowaU1DSWdJRU4xYzNSdmJW
+OHlNejBpTUNJZ0lFTjFjM1J2YlY4eU5EMGlNQ0lnCglJRU4xYzNSdmJWOHlOVDBpTUNJZ0lFTjFj
+M1J2YlY4eU5qMGlNQ0lnSUVOMWMzUnZiVjh5TnowaU1DSWdJRU4xYzNSdgoJYlY4eU9EMGlNQ0ln
+SUVOMWMzUnZiVjh5T1QwaU1DSWdJRU4xYzNSdmJWOHpNRDBpTUNJZ0lFTjFjM1J2YlY4ek1UMGkK
+CU1DSWdJRU4xYzNSdmJWOHpNajBpTUNJZ0lFTjFjM1J2YlY4ek16MGlNQ0lnSUVOMWMzUnZiVjh6
+TkQwaU1DSWdJRU4xCgljM1J2YlY4ek5UMGlNQ0lnSUVOMWMzUnZiVjh6TmowaU1DSWdJRU4xYzNS
+dmJWOHpOejBpTUNJZ0lFTjFjM1J2YlY4egoJT0QwaU1DSWdJRU4xYzNSdmJWOHpPVDBpTUNJZ0lF
+TjFjM1J2YlY4ME1EMGlNQ0lnSUVOMWMzUnZiVjgwTVQwaU1DSWcKCUlFTjFjM1J2YlY4ME1qMGlN
+Q0lnSUVOMWMzUnZiVjgwTXowaU1DSWdJRU4xYzNSdmJWODBORDBpTUNJZ0lFTjFjM1J2CgliVjgw
+TlQwaU1DSWdJRU4xYzNSdmJWODBOajBpTUNJZ0lFTjFjM1J2YlY4ME56MGlNQ0lnSUVOMWMzUnZi
+VjgwT0QwaQoJTUNJZ0lFTjFjM1J2YlY4ME9UMGlNQ0lnSUVOMWMzUnZiVjgxTUQwaU1DSWdJRU4x
+YzNSdmJWODFNVDBpTUNJZ0lFTjEKCWMzUnZiVjgxTWowaU1DSWdJRU4xYzNSdmJWODFNejBpTUNJ
+Z0lFTjFjM1J2YlY4MU5EMGlNQ0lnSUVOMWMzUnZiVjgxCglOVDBpTUNJZ0lFTjFjM1J2YlY4MU5q
+MGlNQ0lnSUVOMWMzUnZiVjgxTnowaU1DSWdJRU4xYzNSdmJWODFPRDBpTUNJZwoJSUVOMWMzUnZi
+VjgxT1QwaU1DSWdJRU4xYzNSdmJWODJNRDBpTUNJZ0lFTjFjM1J2YlY4Mk1UMGlNQ0lnSUVOMWMz
+UnYKCWJWODJNajBpTUNJZ0lFTjFjM1J2YlY4Mk16MGlNQ0lnSUVOMWMzUnZiVjgyTkQwaU1DSWdJ
+RU4xYzNSdmJWODJOVDBpCglNQ0lnSUVOMWMzUnZiVjgyTmowaU1DSWdJRU4xYzNSdmJWODJOejBp
+TUNJZ0lFTjFjM1J2YlY4Mk9EMGlNQ0lnSUVOMQoJYzNSdmJWODJPVDBpTUNJZ0lFTjFjM1J2YlY4
+M01EMGlNQ0lnSUVOMWMzUnZiVjgzTVQwaU1DSWdJRU4xYzNSdmJWODMKCU1qMGlNQ0lnSUVOMWMz
+UnZiVjgzTXowaU1DSWdJRU4xYzNSdmJWODNORDBpTUNJZ0lFTjFjM1J2YlY4M05UMGlNQ0lnCglJ
+RU4xYzNSdmJWODNOajBpTUNJZ0lFTjFjM1J2YlY4M056MGlNQ0lnSUVOMWMzUnZiVjgzT0QwaU1D
+SWdJRU4xYzNSdgoJYlY4M09UMGlNQ0lnSUVOMWMzUnZiVjg0TUQwaU1DSWdJRU4xYzNSdmJWODRN
+VDBpTUNJZ0lFTjFjM1J2YlY4NE1qMGkKCU1DSWdJRU4xYzNSdmJWODRNejBpTUNJZ0lFTjFjM1J2
+YlY4NE5EMGlNQ0lnSUVOMWMzUnZiVjg0TlQwaU1DSWdJRU4xCgljM1J2YlY4NE5qMGlNQ0lnSUVO
+MWMzUnZiVjg0TnowaU1DSWdJRU4xYzNSdmJWODRPRDBpTUNJZ0lFTjFjM1J2YlY4NAoJT1QwaU1D
+SWdJRU4xYzNSdmJWODVNRDBpTUNJZ0lFTjFjM1J2YlY4NU1UMGlNQ0lnSUVOMWMzUnZiVjg1TWow
+aU1DSWcKCUlFTjFjM1J2YlY4NU16MGlNQ0lnSUVOMWMzUnZiVjg1TkQwaU1DSWdJRU4xYzNSdmJW
+ODVOVDBpTUNJZ0lFTjFjM1J2CgliVjg1TmowaU1DSWdJRU4xYzNSdmJWODVOejBpTUNJZ0lFTjFj
+M1J2YlY4NU9EMGlNQ0lnSUVOMWMzUnZiVjg1T1QwaQoJTUNJZ0lFTjFjM1J2YlY4eE1EQTlJakFp
+SUNCRGRYTjBiMjFmTVRBeFBTSXdJaUFnUTNWemRHOXRYekV3TWowaU1DSWcKCUlFTjFjM1J2YlY4
+eE1ETTlJakFpSUNCRGRYTjBiMjFmTVRBMFBTSXdJaUFnUTNWemRHOXRYekV3TlQwaU1DSWdJRU4x
+CgljM1J2YlY4eE1EWTlJakFpSUNCRGRYTjBiMjFmTVRBM1BTSXdJaUFnUTNWemRHOXRYekV3T0Qw
+aU1DSWdJRU4xYzNSdgoJYlY4eE1EazlJakFpSUNCRGRYTjBiMjFmTVRFd1BTSXdJaUFnUTNWemRH
+OXRYekV4TVQwaU1DSWdJRU4xYzNSdmJWOHgKCU1USTlJakFpSUNCRGRYTjBiMjFmTVRFelBTSXdJ
+aUFnUTNWemRHOXRYekV4TkQwaU1DSWdJRU4xYzNSdmJWOHhNVFU5CglJakFpSUNCRGRYTjBiMjFm
+TVRFMlBTSXdJaUFnUTNWemRHOXRYekV4TnowaU1DSWdJRU4xYzNSdmJWOHhNVGc5SWpBaQoJSUNC
+RGRYTjBiMjFmTVRFNVBTSXdJaUFnUTNWemRHOXRYekV5TUQwaU1DSWdJRU4xYzNSdmJWOHhNakU5
+SWpBaUlDQkQKCWRYTjBiMjFmTVRJeVBTSXdJaUFnUTNWemRHOXRYekV5TXowaU1DSWdJRU4xYzNS
+dmJWOHhNalE5SWpBaUlDQkRkWE4wCgliMjFmTVRJMVBTSXdJaUFnUTNWemRHOXRYekV5TmowaU1D
+SWdJRU4xYzNSdmJWOHhNamM5SWpBaUlDQmpjMk5vUFNJdwoJSWlBZ1ExQlRZMTh3UFNJd0lpQWdR
+MUJUWTE4eFBTSXdJaUFnUTFCVFkxOHlQU0l3SWlBZ1ExQlRZMTh6UFNJd0lpQWcKCVExQlRZMTgw
+UFNJd0lpQWdRMUJUWTE4MVBTSXdJaUFnUTFCVFkxODJQU0l3SWlBZ1ExQlRZMTgzUFNJd0lpQStD
+anhGCglUbFJTV1VSRlUwTlNJQ0J1WVcxbFBTSWlJQ0JzYVdKeVlYSjVQU0lpSUNCQlZGUlNTVUpm
+VmtGTVZVVmZSRUZVUVQwaQoJYzJsNlpUMHdPeUlnUGdvOEwwVk9WRkpaUkVWVFExSStDaUE4VFU5
+RVgwMUJWRkpKV0NBZ2MyOTFjbU5sTUQwaWIyWm0KCUlpQWdkR0Z5WjJWME1EMGliMlptSWlBZ1pH
+Vm1WakE5SWpObU9EQXdNREF3SWlBZ2JHOHdQU0l3SWlBZ2FHa3dQU0l3CglJaUFnYlhWMFpUQTlJ
+akFpSUNCa1lXMXdNRDBpTUNJZ0lHRnNiREE5SWpBaUlDQnpiM1Z5WTJVeFBTSnZabVlpSUNCMAoJ
+WVhKblpYUXhQU0p2Wm1ZaUlDQmtaV1pXTVQwaU0yWTRNREF3TURBaUlDQnNiekU5SWpBaUlDQm9h
+VEU5SWpBaUlDQnQKCWRYUmxNVDBpTUNJZ0lHUmhiWEF4UFNJd0lpQWdZV3hzTVQwaU1DSWdJSE52
+ZFhKalpUSTlJbTltWmlJZ0lIUmhjbWRsCglkREk5SW05bVppSWdJR1JsWmxZeVBTSXpaamd3TURB
+d01DSWdJR3h2TWowaU1DSWdJR2hwTWowaU1DSWdJRzExZEdVeQoJUFNJd0lpQWdaR0Z0Y0RJOUlq
+QWlJQ0JoYkd3eVBTSXdJaUFnYzI5MWNtTmxNejBpYjJabUlpQWdkR0Z5WjJWME16MGkKCWIyWm1J
+aUFnWkdWbVZqTTlJak5tT0RBd01EQXdJaUFnYkc4elBTSXdJaUFnYUdrelBTSXdJaUFnYlhWMFpU
+TTlJakFpCglJQ0JrWVcxd016MGlNQ0lnSUdGc2JETTlJakFpSUNCemIzVnlZMlUwUFNKdlptWWlJ
+Q0IwWVhKblpYUTBQU0p2Wm1ZaQoJSUNCa1pXWldORDBpTTJZNE1EQXdNREFpSUNCc2J6UTlJakFp
+SUNCb2FUUTlJakFpSUNCdGRYUmxORDBpTUNJZ0lHUmgKCWJYQTBQU0l3SWlBZ1lXeHNORDBpTUNJ
+Z0lITnZkWEpqWlRVOUltOW1aaUlnSUhSaGNtZGxkRFU5SW05bVppSWdJR1JsCglabFkxUFNJelpq
+Z3dNREF3TUNJZ0lHeHZOVDBpTUNJZ0lHaHBOVDBpTUNJZ0lHMTFkR1UxUFNJd0lpQWdaR0Z0Y0RV
+OQoJSWpBaUlDQmhiR3cxUFNJd0lpQWdjMjkxY21ObE5qMGliMlptSWlBZ2RHRnlaMlYwTmowaWIy
+Wm1JaUFnWkdWbVZqWTkKCUlqTm1PREF3TURBd0lpQWdiRzgyUFNJd0lpQWdhR2syUFNJd0lpQWdi
+WFYwWlRZOUlqQWlJQ0JrWVcxd05qMGlNQ0lnCglJR0ZzYkRZOUlqQWlJQ0J6YjNWeVkyVTNQU0p2
+Wm1ZaUlDQjBZWEpuWlhRM1BTSnZabVlpSUNCa1pXWldOejBpTTJZNAoJTURBd01EQWlJQ0JzYnpj
+OUlqQWlJQ0JvYVRjOUlqQWlJQ0J0ZFhSbE56MGlNQ0lnSUdSaGJYQTNQU0l3SWlBZ1lXeHMKCU56
+MGlNQ0lnSUhOdmRYSmpaVGc5SW05bVppSWdJSFJoY21kbGREZzlJbTltWmlJZ0lHUmxabFk0UFNJ
+elpqZ3dNREF3CglNQ0lnSUd4dk9EMGlNQ0lnSUdocE9EMGlNQ0lnSUcxMWRHVTRQU0l3SWlBZ1pH
+RnRjRGc5SWpBaUlDQmhiR3c0UFNJdwoJSWlBZ2MyOTFjbU5sT1QwaWIyWm1JaUFnZEdGeVoyVjBP
+VDBpYjJabUlpQWdaR1ZtVmprOUlqTm1PREF3TURBd0lpQWcKCWJHODVQU0l3SWlBZ2FHazVQU0l3
+SWlBZ2JYVjBaVGs5SWpBaUlDQmtZVzF3T1QwaU1DSWdJR0ZzYkRrOUlqQWlJQ0J6CgliM1Z5WTJV
+eE1EMGliMlptSWlBZ2RHRnlaMlYwTVRBOUltOW1aaUlnSUdSbFpsWXhNRDBpTTJZNE1EQXdNREFp
+SUNCcwoJYnpFd1BTSXdJaUFnYUdreE1EMGlNQ0lnSUcxMWRHVXhNRDBpTUNJZ0lHUmhiWEF4TUQw
+aU1DSWdJR0ZzYkRFd1BTSXcKCUlpQWdjMjkxY21ObE1URTlJbTltWmlJZ0lIUmhjbWRsZERFeFBT
+SnZabVlpSUNCa1pXWldNVEU5SWpObU9EQXdNREF3CglJaUFnYkc4eE1UMGlNQ0lnSUdocE1URTlJ
+akFpSUNCdGRYUmxNVEU5SWpBaUlDQmtZVzF3TVRFOUlqQWlJQ0JoYkd3eAoJTVQwaU1DSWdJSE52
+ZFhKalpURXlQU0p2Wm1ZaUlDQjBZWEpuWlhReE1qMGliMlptSWlBZ1pHVm1WakV5UFNJelpqZ3cK
+CU1EQXdNQ0lnSUd4dk1USTlJakFpSUNCb2FURXlQU0l3SWlBZ2JYVjBaVEV5UFNJd0lpQWdaR0Z0
+Y0RFeVBTSXdJaUFnCglZV3hzTVRJOUlqQWlJQ0J6YjNWeVkyVXhNejBpYjJabUlpQWdkR0Z5WjJW
+ME1UTTlJbTltWmlJZ0lHUmxabFl4TXowaQoJTTJZNE1EQXdNREFpSUNCc2J6RXpQU0l3SWlBZ2FH
+a3hNejBpTUNJZ0lHMTFkR1V4TXowaU1DSWdJR1JoYlhBeE16MGkKCU1DSWdJR0ZzYkRFelBTSXdJ
+aUFnYzI5MWNtTmxNVFE5SW05bVppSWdJSFJoY21kbGRERTBQU0p2Wm1ZaUlDQmtaV1pXCglNVFE5
+SWpObU9EQXdNREF3SWlBZ2JHOHhORDBpTUNJZ0lHaHBNVFE5SWpBaUlDQnRkWFJsTVRROUlqQWlJ
+Q0JrWVcxdwoJTVRROUlqQWlJQ0JoYkd3eE5EMGlNQ0lnSUhOdmRYSmpaVEUxUFNKdlptWWlJQ0Iw
+WVhKblpYUXhOVDBpYjJabUlpQWcKCVpHVm1WakUxUFNJelpqZ3dNREF3TUNJZ0lHeHZNVFU5SWpB
+aUlDQm9hVEUxUFNJd0lpQWdiWFYwWlRFMVBTSXdJaUFnCglaR0Z0Y0RFMVBTSXdJaUFnWVd4c01U
+VTlJakFpSUNCemIzVnlZMlV4TmowaWIyWm1JaUFnZEdGeVoyVjBNVFk5SW05bQoJWmlJZ0lHUmxa
+bFl4TmowaU0yWTRNREF3TURBaUlDQnNiekUyUFNJd0lpQWdhR2t4TmowaU1DSWdJRzExZEdVeE5q
+MGkKCU1DSWdJR1JoYlhBeE5qMGlNQ0lnSUdGc2JERTJQU0l3SWlBZ2MyOTFjbU5sTVRjOUltOW1a
+aUlnSUhSaGNtZGxkREUzCglQU0p2Wm1ZaUlDQmtaV1pXTVRjOUlqTm1PREF3TURBd0lpQWdiRzh4
+TnowaU1DSWdJR2hwTVRjOUlqQWlJQ0J0ZFhSbAoJTVRjOUlqQWlJQ0JrWVcxd01UYzlJakFpSUNC
+aGJHd3hOejBpTUNJZ0lITnZkWEpqWlRFNFBTSnZabVlpSUNCMFlYSm4KCVpYUXhPRDBpYjJabUlp
+QWdaR1ZtVmpFNFBTSXpaamd3TURBd01DSWdJR3h2TVRnOUlqQWlJQ0JvYVRFNFBTSXdJaUFnCgli
+WFYwWlRFNFBTSXdJaUFnWkdGdGNERTRQU0l3SWlBZ1lXeHNNVGc5SWpBaUlDQnpiM1Z5WTJVeE9U
+MGliMlptSWlBZwoJZEdGeVoyVjBNVGs5SW05bVppSWdJR1JsWmxZeE9UMGlNMlk0TURBd01EQWlJ
+Q0JzYnpFNVBTSXdJaUFnYUdreE9UMGkKCU1DSWdJRzExZEdVeE9UMGlNQ0lnSUdSaGJYQXhPVDBp
+TUNJZ0lHRnNiREU1UFNJd0lpQWdjMjkxY21ObE1qQTlJbTltCglaaUlnSUhSaGNtZGxkREl3UFNK
+dlptWWlJQ0JrWldaV01qQTlJak5tT0RBd01EQXdJaUFnYkc4eU1EMGlNQ0lnSUdocAoJTWpBOUlq
+QWlJQ0J0ZFhSbE1qQTlJakFpSUNCa1lXMXdNakE5SWpBaUlDQmhiR3d5TUQwaU1DSWdJSE52ZFhK
+alpUSXgKCVBTSnZabVlpSUNCMFlYSm5aWFF5TVQwaWIyWm1JaUFnWkdWbVZqSXhQU0l6Wmpnd01E
+QXdNQ0lnSUd4dk1qRTlJakFpCglJQ0JvYVRJeFBTSXdJaUFnYlhWMFpUSXhQU0l3SWlBZ1pHRnRj
+REl4UFNJd0lpQWdZV3hzTWpFOUlqQWlJQ0J6YjNWeQoJWTJVeU1qMGliMlptSWlBZ2RHRnlaMlYw
+TWpJOUltOW1aaUlnSUdSbFpsWXlNajBpTTJZNE1EQXdNREFpSUNCc2J6SXkKCVBTSXdJaUFnYUdr
+eU1qMGlNQ0lnSUcxMWRHVXlNajBpTUNJZ0lHUmhiWEF5TWowaU1DSWdJR0ZzYkRJeVBTSXdJaUFn
+CgljMjkxY21ObE1qTTlJbTltWmlJZ0lIUmhjbWRsZERJelBTSnZabVlpSUNCa1pXWldNak05SWpO
+bU9EQXdNREF3SWlBZwoJYkc4eU16MGlNQ0lnSUdocE1qTTlJakFpSUNCdGRYUmxNak05SWpBaUlD
+QmtZVzF3TWpNOUlqQWlJQ0JoYkd3eU16MGkKCU1DSWdJSE52ZFhKalpUSTBQU0p2Wm1ZaUlDQjBZ
+WEpuWlhReU5EMGliMlptSWlBZ1pHVm1WakkwUFNJelpqZ3dNREF3CglNQ0lnSUd4dk1qUTlJakFp
+SUNCb2FUSTBQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXlORDBpTUNJZ0lHUmhiWEF5TkQwaQoJTUNJ
+Z0lHRnNiREkwUFNJd0lpQWdjMjkxY21ObE1qVTlJbTltWmlJZ0lIUmhjbWRsZERJMVBTSnZabVlp
+SUNCa1pXWlcKCU1qVTlJak5tT0RBd01EQXdJaUFnYkc4eU5UMGlNQ0lnSUdocE1qVTlJak5tTURB
+d01EQXdJaUFnYlhWMFpUSTFQU0l3CglJaUFnWkdGdGNESTFQU0l3SWlBZ1lXeHNNalU5SWpBaUlD
+QnpiM1Z5WTJVeU5qMGliMlptSWlBZ2RHRnlaMlYwTWpZOQoJSW05bVppSWdJR1JsWmxZeU5qMGlN
+Mlk0TURBd01EQWlJQ0JzYnpJMlBTSXdJaUFnYUdreU5qMGlNMll3TURBd01EQWkKCUlDQnRkWFJs
+TWpZOUlqQWlJQ0JrWVcxd01qWTlJakFpSUNCaGJHd3lOajBpTUNJZ0lITnZkWEpqWlRJM1BTSnZa
+bVlpCglJQ0IwWVhKblpYUXlOejBpYjJabUlpQWdaR1ZtVmpJM1BTSXpaamd3TURBd01DSWdJR3h2
+TWpjOUlqQWlJQ0JvYVRJMwoJUFNJelpqQXdNREF3TUNJZ0lHMTFkR1V5TnowaU1DSWdJR1JoYlhB
+eU56MGlNQ0lnSUdGc2JESTNQU0l3SWlBZ2MyOTEKCWNtTmxNamc5SW05bVppSWdJSFJoY21kbGRE
+STRQU0p2Wm1ZaUlDQmtaV1pXTWpnOUlqTm1PREF3TURBd0lpQWdiRzh5CglPRDBpTUNJZ0lHaHBN
+amc5SWpObU1EQXdNREF3SWlBZ2JYVjBaVEk0UFNJd0lpQWdaR0Z0Y0RJNFBTSXdJaUFnWVd4cwoJ
+TWpnOUlqQWlJQ0J6YjNWeVkyVXlPVDBpYjJabUlpQWdkR0Z5WjJWME1qazlJbTltWmlJZ0lHUmxa
+bFl5T1QwaU0yWTQKCU1EQXdNREFpSUNCc2J6STVQU0l3SWlBZ2FHa3lPVDBpTTJZd01EQXdNREFp
+SUNCdGRYUmxNams5SWpBaUlDQmtZVzF3CglNams5SWpBaUlDQmhiR3d5T1QwaU1DSWdJSE52ZFhK
+alpUTXdQU0p2Wm1ZaUlDQjBZWEpuWlhRek1EMGliMlptSWlBZwoJWkdWbVZqTXdQU0l6Wmpnd01E
+QXdNQ0lnSUd4dk16QTlJakFpSUNCb2FUTXdQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXoKCU1EMGlN
+Q0lnSUdSaGJYQXpNRDBpTUNJZ0lHRnNiRE13UFNJd0lpQWdjMjkxY21ObE16RTlJbTltWmlJZ0lI
+UmhjbWRsCglkRE14UFNKdlptWWlJQ0JrWldaV016RTlJak5tT0RBd01EQXdJaUFnYkc4ek1UMGlN
+Q0lnSUdocE16RTlJak5tTURBdwoJTURBd0lpQWdiWFYwWlRNeFBTSXdJaUFnWkdGdGNETXhQU0l3
+SWlBZ1lXeHNNekU5SWpBaUlDQnpiM1Z5WTJVek1qMGkKCWIyWm1JaUFnZEdGeVoyVjBNekk5SW05
+bVppSWdJR1JsWmxZek1qMGlNMlk0TURBd01EQWlJQ0JzYnpNeVBTSXdJaUFnCglhR2t6TWowaU0y
+WXdNREF3TURBaUlDQnRkWFJsTXpJOUlqQWlJQ0JrWVcxd016STlJakFpSUNCaGJHd3pNajBpTUNJ
+ZwoJSUhOdmRYSmpaVE16UFNKdlptWWlJQ0IwWVhKblpYUXpNejBpYjJabUlpQWdaR1ZtVmpNelBT
+SXpaamd3TURBd01DSWcKCUlHeHZNek05SWpBaUlDQm9hVE16UFNJelpqQXdNREF3TUNJZ0lHMTFk
+R1V6TXowaU1DSWdJR1JoYlhBek16MGlNQ0lnCglJR0ZzYkRNelBTSXdJaUFnYzI5MWNtTmxNelE5
+SW05bVppSWdJSFJoY21kbGRETTBQU0p2Wm1ZaUlDQmtaV1pXTXpROQoJSWpObU9EQXdNREF3SWlB
+Z2JHOHpORDBpTUNJZ0lHaHBNelE5SWpObU1EQXdNREF3SWlBZ2JYVjBaVE0wUFNJd0lpQWcKCVpH
+RnRjRE0wUFNJd0lpQWdZV3hzTXpROUlqQWlJQ0J6YjNWeVkyVXpOVDBpYjJabUlpQWdkR0Z5WjJW
+ME16VTlJbTltCglaaUlnSUdSbFpsWXpOVDBpTTJZNE1EQXdNREFpSUNCc2J6TTFQU0l3SWlBZ2FH
+a3pOVDBpTTJZd01EQXdNREFpSUNCdAoJZFhSbE16VTlJakFpSUNCa1lXMXdNelU5SWpBaUlDQmhi
+R3d6TlQwaU1DSWdJSE52ZFhKalpUTTJQU0p2Wm1ZaUlDQjAKCVlYSm5aWFF6TmowaWIyWm1JaUFn
+WkdWbVZqTTJQU0l6Wmpnd01EQXdNQ0lnSUd4dk16WTlJakFpSUNCb2FUTTJQU0l6CglaakF3TURB
+d01DSWdJRzExZEdVek5qMGlNQ0lnSUdSaGJYQXpOajBpTUNJZ0lHRnNiRE0yUFNJd0lpQWdjMjkx
+Y21ObAoJTXpjOUltOW1aaUlnSUhSaGNtZGxkRE0zUFNKdlptWWlJQ0JrWldaV016YzlJak5tT0RB
+d01EQXdJaUFnYkc4ek56MGkKCU1DSWdJR2hwTXpjOUlqTm1NREF3TURBd0lpQWdiWFYwWlRNM1BT
+SXdJaUFnWkdGdGNETTNQU0l3SWlBZ1lXeHNNemM5CglJakFpSUNCemIzVnlZMlV6T0QwaWIyWm1J
+aUFnZEdGeVoyVjBNemc5SW05bVppSWdJR1JsWmxZek9EMGlNMlk0TURBdwoJTURBaUlDQnNiek00
+UFNJd0lpQWdhR2t6T0QwaU0yWXdNREF3TURBaUlDQnRkWFJsTXpnOUlqQWlJQ0JrWVcxd016ZzkK
+CUlqQWlJQ0JoYkd3ek9EMGlNQ0lnSUhOdmRYSmpaVE01UFNKdlptWWlJQ0IwWVhKblpYUXpPVDBp
+YjJabUlpQWdaR1ZtCglWak01UFNJelpqZ3dNREF3TUNJZ0lHeHZNems5SWpBaUlDQm9hVE01UFNJ
+elpqQXdNREF3TUNJZ0lHMTFkR1V6T1QwaQoJTUNJZ0lHUmhiWEF6T1QwaU1DSWdJR0ZzYkRNNVBT
+SXdJaUFnYzI5MWNtTmxOREE5SW05bVppSWdJSFJoY21kbGREUXcKCVBTSnZabVlpSUNCa1pXWldO
+REE5SWpObU9EQXdNREF3SWlBZ2JHODBNRDBpTUNJZ0lHaHBOREE5SWpObU1EQXdNREF3CglJaUFn
+YlhWMFpUUXdQU0l3SWlBZ1pHRnRjRFF3UFNJd0lpQWdZV3hzTkRBOUlqQWlJQ0J6YjNWeVkyVTBN
+VDBpYjJabQoJSWlBZ2RHRnlaMlYwTkRFOUltOW1aaUlnSUdSbFpsWTBNVDBpTTJZNE1EQXdNREFp
+SUNCc2J6UXhQU0l3SWlBZ2FHazAKCU1UMGlNMll3TURBd01EQWlJQ0J0ZFhSbE5ERTlJakFpSUNC
+a1lXMXdOREU5SWpBaUlDQmhiR3cwTVQwaU1DSWdJSE52CglkWEpqWlRReVBTSnZabVlpSUNCMFlY
+Sm5aWFEwTWowaWIyWm1JaUFnWkdWbVZqUXlQU0l6Wmpnd01EQXdNQ0lnSUd4dgoJTkRJOUlqQWlJ
+Q0JvYVRReVBTSXpaakF3TURBd01DSWdJRzExZEdVME1qMGlNQ0lnSUdSaGJYQTBNajBpTUNJZ0lH
+RnMKCWJEUXlQU0l3SWlBZ2MyOTFjbU5sTkRNOUltOW1aaUlnSUhSaGNtZGxkRFF6UFNKdlptWWlJ
+Q0JrWldaV05ETTlJak5tCglPREF3TURBd0lpQWdiRzgwTXowaU1DSWdJR2hwTkRNOUlqTm1NREF3
+TURBd0lpQWdiWFYwWlRRelBTSXdJaUFnWkdGdAoJY0RRelBTSXdJaUFnWVd4c05ETTlJakFpSUNC
+emIzVnlZMlUwTkQwaWIyWm1JaUFnZEdGeVoyVjBORFE5SW05bVppSWcKCUlHUmxabFkwTkQwaU0y
+WTRNREF3TURBaUlDQnNielEwUFNJd0lpQWdhR2swTkQwaU0yWXdNREF3TURBaUlDQnRkWFJsCglO
+RFE5SWpBaUlDQmtZVzF3TkRROUlqQWlJQ0JoYkd3ME5EMGlNQ0lnSUhOdmRYSmpaVFExUFNKdlpt
+WWlJQ0IwWVhKbgoJWlhRME5UMGliMlptSWlBZ1pHVm1WalExUFNJelpqZ3dNREF3TUNJZ0lHeHZO
+RFU5SWpBaUlDQm9hVFExUFNJelpqQXcKCU1EQXdNQ0lnSUcxMWRHVTBOVDBpTUNJZ0lHUmhiWEEw
+TlQwaU1DSWdJR0ZzYkRRMVBTSXdJaUFnYzI5MWNtTmxORFk5CglJbTltWmlJZ0lIUmhjbWRsZERR
+MlBTSnZabVlpSUNCa1pXWldORFk5SWpObU9EQXdNREF3SWlBZ2JHODBOajBpTUNJZwoJSUdocE5E
+WTlJak5tTURBd01EQXdJaUFnYlhWMFpUUTJQU0l3SWlBZ1pHRnRjRFEyUFNJd0lpQWdZV3hzTkRZ
+OUlqQWkKCUlDQnpiM1Z5WTJVME56MGliMlptSWlBZ2RHRnlaMlYwTkRjOUltOW1aaUlnSUdSbFps
+WTBOejBpTTJZNE1EQXdNREFpCglJQ0JzYnpRM1BTSXdJaUFnYUdrME56MGlNMll3TURBd01EQWlJ
+Q0J0ZFhSbE5EYzlJakFpSUNCa1lXMXdORGM5SWpBaQoJSUNCaGJHdzBOejBpTUNJZ1BnbzhMMDFQ
+UkY5TlFWUlNTVmcrQ2lBOFZrOUpRMFVnSUhCaGRYaHNQU0l3SWlBZ2NHRjEKCWVHbHdiMlk5SWpB
+aUlENEtQRVpKVEZSRlVpQWdZV04wUFNJd0lpQWdjR0Z5WVQwaU1DSWdJR0poYkQwaU1DSWdJR1p5
+CglaWEU5SWpBaUlDQnpjSEprUFNJd0lpQWdjbVZ6UFNJd0lpQWdhMlY1UFNJd0lpQWdhMlY1YVc1
+MlBTSXdJaUFnYTJWNQoJYlhBOUlqQWlJQ0JsYm5aa2NIUm9QU0l3SWlBZ1pXNTJaSEIwYUdsdWRq
+MGlNQ0lnSUc1aGJXVTlJakFpSUNCaFkzUXgKCVBTSXdJaUFnZEhsd1pURTlJakFpSUNCbWNtVnhN
+VDBpTUNJZ0lISmxjekU5SWpBaUlDQndZVzR4UFNJd0lpQWdZV04wCglNajBpTUNJZ0lIUjVjR1V5
+UFNJd0lpQWdabkpsY1RJOUlqQWlJQ0J5WlhNeVBTSXdJaUFnY0dGdU1qMGlNQ0lnSUdScAoJYzNS
+UWIzTjBQU0l3SWlBZ1pYRlFiM04wUFNJd0lpQWdUbUZ0WlZOMGNqMGlJaUErQ2p4RlVURXlJQ0JC
+WTNScGRtVTkKCUlqQWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJ
+Z0lGQTBQU0l3SWlBZ1VEVTlJakFpCglJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlD
+QlFPVDBpTUNJZ0lGQXhNRDBpTUNJZ0lGQXhNVDBpTUNJZwoJSUZBeE1qMGlNQ0lnSUZBeE16MGlN
+Q0lnSUZBeE5EMGlNQ0lnUGdvOEwwVlJNVEkrQ2lBOFJWRXlJQ0JCWTNScGRtVTkKCUlqQWlJQ0JR
+TUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VEVTlJ
+akFpCglJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBp
+TUNJZ0lGQXhNVDBpTUNJZwoJSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnUGdv
+OEwwVlJNajRLSUR4RVNWTlVJQ0JCWTNScGRtVTkKCUlqQWlJQ0JRTUQwaU1DSWdJRkF4UFNJd0lp
+QWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VEVTlJakFpCglJQ0JRTmowaU1DSWdJ
+RkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpTUNJZ0lGQXhNVDBpTUNJZwoJ
+SUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnUGdvOEwwUkpVMVErQ2lBOEwwWkpU
+RlJGVWo0S0lEeFgKCVFWWkZVMGhCVUVWU0lDQmhZM1E5SWpBaUlDQjBlWEJsUFNJd0lpQWdjRzl6
+UFNJd0lpQWdaSEIwYUQwaU1DSWdJR2RoCglhVzQ5SWpBaUlDQnRhWGc5SWpBaUlDQjBiMjVsUFNJ
+d0lpQWdZbU05SWpBaUlDQnpjbkprWXowaU1DSWdJRzFuY21aNQoJTVQwaU1DSWdJRzFuY21aNU1q
+MGlNQ0lnSUc1aGJXVTlJakFpSUNCT1lXMWxVM1J5UFNJaUlENEtQQzlYUVZaRlUwaEIKCVVFVlNQ
+Z29nUEU5VFF5QWdkSGx3WlQwaU1DSWdJR3RwYm1ROUlqQWlJQ0J4YkQwaU1DSWdJSEZzY2owaU1D
+SWdJSEZ5CgljajBpTTJZNE1EQXdNREFpSUNCeGNqMGlNMlk0TURBd01EQWlJQ0IwZFc1bFBTSXdJ
+aUFnZEhWdVpVWnBibVU5SWpBaQoJSUNCbWFXNWxVMk5zUFNJeElpQWdjR1JsY0hSb1BTSXdJaUFn
+Y0hkcFpIUm9QU0l3SWlBZ2IyTjBQU0l3SWlBZ2MyVnQKCWFUMGlNQ0lnSUd4bGRtVnNQU0l3SWlB
+Z2NHRnVQU0l3SWlBZ2NHOXlkRDBpTUNJZ0lIQnZjblJCWTNROUlqQWlJQ0IwCgljSE05SWpBaUlD
+Qm1iRlJsYlhCc1BTSXdJaUFnWm14VGNHUTlJak5tTURBd01EQXdJaUFnWm14TWIyOXdQU0l6Wmpn
+dwoJTURBd01DSWdJRzF2WkdsdWREMGlNQ0lnSUcxdlpHUmxjSFJvUFNJd0lpQWdabTA5SWpBaUlD
+Qm1iV3QwUFNJd0lpQWcKCVptMTNaajBpTUNJZ0lHWnRjMk5zUFNJd0lpQWdabTF3WkQwaU1DSWdJ
+R1p0Y0hjOUlqQWlJQ0JtYldoelBTSXdJaUFnCglRVTF0YjJScGJuUTlJakFpSUNCQlRXMXZaR1Js
+Y0hSb1BTSXdJaUFnWVcwOUlqQWlJQ0JoYld0MFBTSXdJaUFnWVcxMwoJWmowaU1DSWdJR0Z0YzJO
+c1BTSXdJaUFnWVcxd1pEMGlNQ0lnSUdGdGNIYzlJakFpSUNCaGJXaHpQU0l3SWlBZ1ozSmgKCWJq
+MGlNQ0lnSUc1bmNtRnBibk05SWpBaUlDQm5jbUZwYmpNOUlqQWlJQ0JuY21GcGJqUTlJakFpSUNC
+bmNtRnBialU5CglJakFpSUNCbmNtRnBialk5SWpBaUlDQm5jbUZ1VTNCeVpEMGlNQ0lnSUdkeVlX
+NVFSR2x5UFNJd0lpQWdaM0poYmxCQgoJWTJOMWJUMGlNQ0lnSUdkeVlXNU5hWGc5SWpBaUlDQm5j
+bUZ1Ulhod1BTSXdJaUFnWjNKaGJsUnlaejBpTUNJZ0lHVnAKCVJuSk1iMk05SWpBaUlDQm5jbUZ1
+VUc5elBTSXdJaUFnWjNKaGJsWXhQU0l3SWlBZ2RXTnVkRDBpTUNJZ0lIVmtjSFJvCglQU0l3SWlB
+Z2RYZGtkR2c5SWpBaUlDQjFaSEJ5WnowaU1DSWdJSFZ2WTNROUlqQWlJQ0IxWkhKbWREMGlNQ0ln
+SUhWMgoJY0hNOUlqQWlJQ0JvY21SemJtTTlJakFpSUNCeVpYQjBZMmc5SWpBaUlDQnpjR2hoUFNJ
+d0lpQWdjMkZ1WVQwaU1DSWcKCUlHRjBjbTA5SWpBaUlDQnpjMlZ6UFNJd0lpQWdjM05sYzNrOUlq
+QWlJQ0IyYlhROUlqQWlJQ0IyYldFOUlqQWlJQ0JqCgljM05vWkdGdGNEMGlNQ0lnUGdvOFNFRlNU
+U0FnUVdOME1UMGlNQ0lnSUd4MmJERTlJakFpSUNCd1lXNHhQU0l3SWlBZwoJZEhWdU1UMGlNQ0ln
+SUhOdGFURTlJakFpSUNCemFIQXhQU0l3SWlBZ2MzbHRiVEU5SWpBaUlDQnplVzR4UFNJd0lpQWcK
+CWQyWnRNVDBpTUNJZ0lFRmpkREk5SWpBaUlDQnNkbXd5UFNJd0lpQWdjR0Z1TWowaU1DSWdJSFIx
+YmpJOUlqQWlJQ0J6CgliV2t5UFNJd0lpQWdjMmh3TWowaU1DSWdJSE41YlcweVBTSXdJaUFnYzNs
+dU1qMGlNQ0lnSUhkbWJUSTlJakFpSUNCQgoJWTNRelBTSXdJaUFnYkhac016MGlNQ0lnSUhCaGJq
+TTlJakFpSUNCMGRXNHpQU0l3SWlBZ2MyMXBNejBpTUNJZ0lITm8KCWNETTlJakFpSUNCemVXMXRN
+ejBpTUNJZ0lITjViak05SWpBaUlDQjNabTB6UFNJd0lpQWdRV04wTkQwaU1DSWdJR3gyCgliRFE5
+SWpBaUlDQndZVzQwUFNJd0lpQWdkSFZ1TkQwaU1DSWdJSE50YVRROUlqQWlJQ0J6YUhBMFBTSXdJ
+aUFnYzNsdAoJYlRROUlqQWlJQ0J6ZVc0MFBTSXdJaUFnZDJadE5EMGlNQ0lnSUcxdlpEMGlNQ0ln
+SUcxcGVEMGlNQ0lnUGdvOEwwaEIKCVVrMCtDaUE4VkU5T1JWZElSVVZNSUNCa2NuY3hQU0l6WmpB
+d01EQXdNQ0lnSUdSeWR6STlJak5tTURBd01EQXdJaUFnCglaSEozTXowaU0yWXdNREF3TURBaUlD
+QmtjbmMwUFNJelpqQXdNREF3TUNJZ0lHUnlkelU5SWpBaUlDQmtjbmMyUFNJdwoJSWlBZ1pISjNO
+ejBpTUNJZ0lHUnlkemc5SWpBaUlDQmtjbmM1UFNJd0lpQWdjR1ZrTVQwaU0yWXdNREF3TURBaUlD
+QncKCVpXUXlQU0l6WmpBd01EQXdNQ0lnSUZOd1QyNDlJakFpSUNCV1QyNDlJakFpSUNCV2JXOWta
+VDBpTUNJZ0lGQnZiajBpCglNQ0lnSUZCemIyWjBQU0l3SWlBZ1VHWmhjM1E5SWpBaUlDQlFhR0Z5
+YlQwaU1DSWdJRk53YTNJOUlqQWlJQ0JEYkdsagoJYXowaU1DSWdJRWgxYlQwaU1DSWdJRUZuWlQw
+aU1DSWdJRmgwWVd4clBTSXdJaUFnVEc5M1ptOXNaRDBpTTJZNE1EQXcKCU1EQWlJQ0JRT1dROUlq
+Tm1PREF3TURBd0lpQWdVR3hsWnowaU0yWTRNREF3TURBaUlDQlFaR2x0UFNJelpqZ3dNREF3CglN
+Q0lnUGdvOEwxUlBUa1ZYU0VWRlRENEtJRHhYUVZaRlV5QStDand2VjBGV1JWTStDaUE4UmsxWFFW
+WkZVeUErQ2p3dgoJUmsxWFFWWkZVejRLSUR4QlRWZEJWa1ZUSUQ0S1BDOUJUVmRCVmtWVFBnb2dQ
+QzlQVTBNK0NpQThSa1ZPVmlBZ1l6MGkKCU9DSWdJSEJoYmowaU1DSWdJSHB2YjIwOUlqTm1NRGd6
+TVRoaklpQStDanh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5CglJakFpSUNCelBTSXdJaUFnWXow
+aU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZwoJZEQwaU0y
+TXlNMlEzTURBaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3
+OUlqTm0KCU9EQXdNREF3SWlBZ2REMGlNMk5oTTJRM01EQWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1E
+QXdNREFpSUQ0S1BDOXdQZ29nCglQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJObU5XTXlP
+RFVpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaQoJSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5t
+T0RBd01EQXdJaUFnZEQwaU0yUXlNMlEzTURVaUlDQnpQU0l3SWlBZ1l6MGkKCU0yWTRNREF3TURB
+aUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMlEwWTJOall6Y2lJQ0J6
+CglQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURB
+d0lpQWdkRDBpTTJRMwoJTldNeU9HRWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BD
+OXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXcKCUlpQWdkRDBpTTJRNFpqVmpNalVpSUNCelBTSXdJ
+aUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5CglJakFpSUNCMFBTSXpaR0V6
+WkRjd05TSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4TDBaRgoJVGxZ
+K0NpQThSa1ZPVmxCQlVrRk5VeUFnWVQwaU1DSWdJR2c5SWpBaUlDQmtQU0l3SWlBZ2NqMGlNQ0ln
+SUdGMGRHczkKCUlqTmxOalJtT1RJM0lpQWdhRzlzWkQwaU0yVTJOR1k1TWpjaUlDQmtaV041UFNJ
+elpUWTBaamt5TnlJZ0lITjFjM1E5CglJak5tT0RBd01EQXdJaUFnY21Wc2N6MGlNMlUyTkdZNU1q
+Y2lJQ0J6YlhBOUlqQWlJQ0JzY0QwaU1DSWdJSE41Ym1NOQoJSWpBaUlDQnpjR1E5SWpBaUlDQjBj
+bWROWkQwaU1DSWdJSFpsYkhObGJuTTlJakFpSUNCdFoyeDJiSE05SWpBaUlDQnQKCVoyTnlkbk05
+SWpBaUlDQmtjSFE5SWpBaUlDQmphSE5VY21jOUlqQWlJQ0JoZEdOb2N6MGlNQ0lnUGdvOEwwWkZU
+bFpRCglRVkpCVFZNK0NpQThRVVZPVmlBZ1l6MGlPQ0lnSUhCaGJqMGlNQ0lnSUhwdmIyMDlJak5t
+TURnek1UaGpJaUErQ2p4dwoJSUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpBaUlDQnpQU0l3SWlB
+Z1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2cKCVBIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2RE
+MGlNMk15TTJRM01EQWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpCglJRDRLUEM5d1Bnb2dQ
+SEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJOaE0yUTNNREFpSUNCelBTSXdJaUFnWXowaQoJ
+TTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yTm1O
+V015T0RVaUlDQnoKCVBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5
+SWpObU9EQXdNREF3SWlBZ2REMGlNMlF5CglNMlEzTURVaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURB
+d01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBdwoJSWlBZ2REMGlNMlEwWTJOall6
+Y2lJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzkKCUlqTm1P
+REF3TURBd0lpQWdkRDBpTTJRM05XTXlPR0VpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlE
+NEtQQzl3CglQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUTRaalZqTWpVaUlDQnpQ
+U0l3SWlBZ1l6MGlNMlk0TURBdwoJTURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpBaUlDQjBQU0l6
+WkdFelpEY3dOU0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3cKCU1EQXdNQ0lnUGdvOEwzQStDaUE4TDBG
+RlRsWStDaUE4UVVWT1ZsQkJVa0ZOVXlBZ2IyNVBabVk5SWpBaUlDQmhQU0l3CglJaUFnYUQwaU1D
+SWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNamNpSUNCb2IyeGtQU0l6WlRZ
+MAoJWmpreU55SWdJR1JsWTNrOUlqTmxOalJtT1RJM0lpQWdjM1Z6ZEQwaU0yWTRNREF3TURBaUlD
+QnlaV3h6UFNJelpUWTAKCVpqa3lOeUlnSUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFnYzNsdVl6MGlN
+Q0lnSUhOd1pEMGlNQ0lnSUhSeVowMWtQU0l3CglJaUFnZG1Wc2MyVnVjejBpTUNJZ0lHMW5iSFpz
+Y3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSd2REMGlNQ0lnSUdObwoJYzFSeVp6MGlNQ0lnSUdG
+MFkyaHpQU0l3SWlBK0Nqd3ZRVVZPVmxCQlVrRk5VejRLSUR4RlJrWlNRVU5MSUQ0S1BFVkcKCVJr
+MVBSRlZNUlNBZ1ZIbHdaVDBpVG04Z1JXWm1aV04wSWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0lnSUZB
+eVBTSXdJaUFnCglVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3SWlBZ1VEWTlJakFpSUNCUU56
+MGlNQ0lnSUZBNFBTSXdJaUFnVURrOQoJSWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaUlDQlFN
+VEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkIKCVkzUnBkbVU5SWpBaUlENEtQQzlG
+UmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsCglZM1FpSUNC
+UU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5
+SWpBaQoJSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQw
+aU1DSWdJRkF4TVQwaU1DSWcKCUlGQXhNajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lF
+RmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNCglSVDRLSUR4RlJrWk5UMFJWVEVVZ0lGUjVj
+R1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUQoJTWowaU1DSWdJRkF6
+UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGkK
+CU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6
+UFNJd0lpQWdVREUwCglQU0l3SWlBZ1FXTjBhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdv
+Z1BFVkdSazFQUkZWTVJTQWdWSGx3WlQwaQoJVG04Z1JXWm1aV04wSWlBZ1VEQTlJakFpSUNCUU1U
+MGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWcKCUlGQTFQU0l3SWlBZ1VEWTlJ
+akFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRCglNVEU5
+SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJ
+RDRLUEM5RgoJUmtaTlQwUlZURVUrQ2lBOEwwVkdSbEpCUTBzK0NpQThMMVpQU1VORlBnb2dQRlpQ
+U1VORklDQndZWFY0YkQwaU1DSWcKCUlIQmhkWGhwY0c5bVBTSXdJaUErQ2p4R1NVeFVSVklnSUdG
+amREMGlNQ0lnSUhCaGNtRTlJakFpSUNCaVlXdzlJakFpCglJQ0JtY21WeFBTSXdJaUFnYzNCeVpE
+MGlNQ0lnSUhKbGN6MGlNQ0lnSUd0bGVUMGlNQ0lnSUd0bGVXbHVkajBpTUNJZwoJSUd0bGVXMXdQ
+U0l3SWlBZ1pXNTJaSEIwYUQwaU1DSWdJR1Z1ZG1Sd2RHaHBiblk5SWpBaUlDQnVZVzFsUFNJd0lp
+QWcKCVlXTjBNVDBpTUNJZ0lIUjVjR1V4UFNJd0lpQWdabkpsY1RFOUlqQWlJQ0J5WlhNeFBTSXdJ
+aUFnY0dGdU1UMGlNQ0lnCglJR0ZqZERJOUlqQWlJQ0IwZVhCbE1qMGlNQ0lnSUdaeVpYRXlQU0l3
+SWlBZ2NtVnpNajBpTUNJZ0lIQmhiakk5SWpBaQoJSUNCa2FYTjBVRzl6ZEQwaU1DSWdJR1Z4VUc5
+emREMGlNQ0lnSUU1aGJXVlRkSEk5SWlJZ1BnbzhSVkV4TWlBZ1FXTjAKCWFYWmxQU0l3SWlBZ1VE
+QTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExCglQ
+U0l3SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlq
+QWlJQ0JRTVRFOQoJSWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlENEtQ
+QzlGVVRFeVBnb2dQRVZSTWlBZ1FXTjAKCWFYWmxQU0l3SWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0ln
+SUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExCglQU0l3SWlBZ1VEWTlJakFpSUNC
+UU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOQoJSWpBaUlD
+QlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlENEtQQzlGVVRJK0NpQThSRWxUVkNB
+Z1FXTjAKCWFYWmxQU0l3SWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlq
+QWlJQ0JRTkQwaU1DSWdJRkExCglQU0l3SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJ
+aUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOQoJSWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05
+SWpBaUlDQlFNVFE5SWpBaUlENEtQQzlFU1ZOVVBnb2dQQzlHU1V4VVJWSSsKCUNpQThWMEZXUlZO
+SVFWQkZVaUFnWVdOMFBTSXdJaUFnZEhsd1pUMGlNQ0lnSUhCdmN6MGlNQ0lnSUdSd2RHZzlJakFp
+CglJQ0JuWVdsdVBTSXdJaUFnYldsNFBTSXdJaUFnZEc5dVpUMGlNQ0lnSUdKalBTSXdJaUFnYzNK
+eVpHTTlJakFpSUNCdAoJWjNKbWVURTlJakFpSUNCdFozSm1lVEk5SWpBaUlDQnVZVzFsUFNJd0lp
+QWdUbUZ0WlZOMGNqMGlJaUErQ2p3dlYwRlcKCVJWTklRVkJGVWo0S0lEeFBVME1nSUhSNWNHVTlJ
+akFpSUNCcmFXNWtQU0l3SWlBZ2NXdzlJakFpSUNCeGJISTlJakFpCglJQ0J4Y25JOUlqTm1PREF3
+TURBd0lpQWdjWEk5SWpObU9EQXdNREF3SWlBZ2RIVnVaVDBpTUNJZ0lIUjFibVZHYVc1bAoJUFNJ
+d0lpQWdabWx1WlZOamJEMGlNU0lnSUhCa1pYQjBhRDBpTUNJZ0lIQjNhV1IwYUQwaU1DSWdJRzlq
+ZEQwaU1DSWcKCUlITmxiV2s5SWpBaUlDQnNaWFpsYkQwaU1DSWdJSEJoYmowaU1DSWdJSEJ2Y25R
+OUlqQWlJQ0J3YjNKMFFXTjBQU0l3CglJaUFnZEhCelBTSXdJaUFnWm14VVpXMXdiRDBpTUNJZ0lH
+WnNVM0JrUFNJelpqQXdNREF3TUNJZ0lHWnNURzl2Y0QwaQoJTTJZNE1EQXdNREFpSUNCdGIyUnBi
+blE5SWpBaUlDQnRiMlJrWlhCMGFEMGlNQ0lnSUdadFBTSXdJaUFnWm0xcmREMGkKCU1DSWdJR1p0
+ZDJZOUlqQWlJQ0JtYlhOamJEMGlNQ0lnSUdadGNHUTlJakFpSUNCbWJYQjNQU0l3SWlBZ1ptMW9j
+ejBpCglNQ0lnSUVGTmJXOWthVzUwUFNJd0lpQWdRVTF0YjJSa1pYQjBhRDBpTUNJZ0lHRnRQU0l3
+SWlBZ1lXMXJkRDBpTUNJZwoJSUdGdGQyWTlJakFpSUNCaGJYTmpiRDBpTUNJZ0lHRnRjR1E5SWpB
+aUlDQmhiWEIzUFNJd0lpQWdZVzFvY3owaU1DSWcKCUlHZHlZVzQ5SWpBaUlDQnVaM0poYVc1elBT
+SXdJaUFnWjNKaGFXNHpQU0l3SWlBZ1ozSmhhVzQwUFNJd0lpQWdaM0poCglhVzQxUFNJd0lpQWda
+M0poYVc0MlBTSXdJaUFnWjNKaGJsTndjbVE5SWpBaUlDQm5jbUZ1VUVScGNqMGlNQ0lnSUdkeQoJ
+WVc1UVFXTmpkVzA5SWpBaUlDQm5jbUZ1VFdsNFBTSXdJaUFnWjNKaGJrVjRjRDBpTUNJZ0lHZHlZ
+VzVVY21jOUlqQWkKCUlDQmxhVVp5VEc5alBTSXdJaUFnWjNKaGJsQnZjejBpTUNJZ0lHZHlZVzVX
+TVQwaU1DSWdJSFZqYm5ROUlqQWlJQ0IxCglaSEIwYUQwaU1DSWdJSFYzWkhSb1BTSXdJaUFnZFdS
+d2NtYzlJakFpSUNCMWIyTjBQU0l3SWlBZ2RXUnlablE5SWpBaQoJSUNCMWRuQnpQU0l3SWlBZ2FI
+SmtjMjVqUFNJd0lpQWdjbVZ3ZEdOb1BTSXdJaUFnYzNCb1lUMGlNQ0lnSUhOaGJtRTkKCUlqQWlJ
+Q0JoZEhKdFBTSXdJaUFnYzNObGN6MGlNQ0lnSUhOelpYTjVQU0l3SWlBZ2RtMTBQU0l3SWlBZ2Rt
+MWhQU0l3CglJaUFnWTNOemFHUmhiWEE5SWpBaUlENEtQRWhCVWswZ0lFRmpkREU5SWpBaUlDQnNk
+bXd4UFNJd0lpQWdjR0Z1TVQwaQoJTUNJZ0lIUjFiakU5SWpBaUlDQnpiV2t4UFNJd0lpQWdjMmh3
+TVQwaU1DSWdJSE41YlcweFBTSXdJaUFnYzNsdU1UMGkKCU1DSWdJSGRtYlRFOUlqQWlJQ0JCWTNR
+eVBTSXdJaUFnYkhac01qMGlNQ0lnSUhCaGJqSTlJakFpSUNCMGRXNHlQU0l3CglJaUFnYzIxcE1q
+MGlNQ0lnSUhOb2NESTlJakFpSUNCemVXMXRNajBpTUNJZ0lITjViakk5SWpBaUlDQjNabTB5UFNJ
+dwoJSWlBZ1FXTjBNejBpTUNJZ0lHeDJiRE05SWpBaUlDQndZVzR6UFNJd0lpQWdkSFZ1TXowaU1D
+SWdJSE50YVRNOUlqQWkKCUlDQnphSEF6UFNJd0lpQWdjM2x0YlRNOUlqQWlJQ0J6ZVc0elBTSXdJ
+aUFnZDJadE16MGlNQ0lnSUVGamREUTlJakFpCglJQ0JzZG13MFBTSXdJaUFnY0dGdU5EMGlNQ0ln
+SUhSMWJqUTlJakFpSUNCemJXazBQU0l3SWlBZ2MyaHdORDBpTUNJZwoJSUhONWJXMDBQU0l3SWlB
+Z2MzbHVORDBpTUNJZ0lIZG1iVFE5SWpBaUlDQnRiMlE5SWpBaUlDQnRhWGc5SWpBaUlENEsKCVBD
+OUlRVkpOUGdvZ1BGUlBUa1ZYU0VWRlRDQWdaSEozTVQwaU0yWXdNREF3TURBaUlDQmtjbmN5UFNJ
+elpqQXdNREF3CglNQ0lnSUdSeWR6TTlJak5tTURBd01EQXdJaUFnWkhKM05EMGlNMll3TURBd01E
+QWlJQ0JrY25jMVBTSXdJaUFnWkhKMwoJTmowaU1DSWdJR1J5ZHpjOUlqQWlJQ0JrY25jNFBTSXdJ
+aUFnWkhKM09UMGlNQ0lnSUhCbFpERTlJak5tTURBd01EQXcKCUlpQWdjR1ZrTWowaU0yWXdNREF3
+TURBaUlDQlRjRTl1UFNJd0lpQWdWazl1UFNJd0lpQWdWbTF2WkdVOUlqQWlJQ0JRCgliMjQ5SWpB
+aUlDQlFjMjltZEQwaU1DSWdJRkJtWVhOMFBTSXdJaUFnVUdoaGNtMDlJakFpSUNCVGNHdHlQU0l3
+SWlBZwoJUTJ4cFkyczlJakFpSUNCSWRXMDlJakFpSUNCQloyVTlJakFpSUNCWWRHRnNhejBpTUNJ
+Z0lFeHZkMlp2YkdROUlqTm0KCU9EQXdNREF3SWlBZ1VEbGtQU0l6Wmpnd01EQXdNQ0lnSUZCc1pX
+YzlJak5tT0RBd01EQXdJaUFnVUdScGJUMGlNMlk0CglNREF3TURBaUlENEtQQzlVVDA1RlYwaEZS
+VXcrQ2lBOFYwRldSVk1nUGdvOEwxZEJWa1ZUUGdvZ1BFWk5WMEZXUlZNZwoJUGdvOEwwWk5WMEZX
+UlZNK0NpQThRVTFYUVZaRlV5QStDand2UVUxWFFWWkZVejRLSUR3dlQxTkRQZ29nUEVaRlRsWWcK
+CUlHTTlJamdpSUNCd1lXNDlJakFpSUNCNmIyOXRQU0l6WmpBNE16RTRZeUlnUGdvOGNDQWdiRDBp
+TTJZNE1EQXdNREFpCglJQ0IwUFNJd0lpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3
+dmNENEtJRHh3SUNCc1BTSXpaamd3TURBdwoJTUNJZ0lIUTlJak5qTWpOa056QXdJaUFnY3owaU1D
+SWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnMKCVBTSXpaamd3TURBd01DSWdJ
+SFE5SWpOallUTmtOekF3SWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2CgljRDRL
+SUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmpaalZqTWpnMUlpQWdjejBpTUNJZ0lHTTlJ
+ak5tT0RBdwoJTURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5r
+TWpOa056QTFJaUFnY3owaU1DSWcKCUlHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNC
+c1BTSXpaamd3TURBd01DSWdJSFE5SWpOa05HTmpZMk0zCglJaUFnY3owaU1DSWdJR005SWpObU9E
+QXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROQoJSWpOa056VmpN
+amhoSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpq
+Z3cKCU1EQXdNQ0lnSUhROUlqTmtPR1kxWXpJMUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJ
+aUErQ2p3dmNENEtJRHh3CglJQ0JzUFNJd0lpQWdkRDBpTTJSaE0yUTNNRFVpSUNCelBTSXdJaUFn
+WXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZwoJUEM5R1JVNVdQZ29nUEVaRlRsWlFRVkpCVFZN
+Z0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmgKCWRIUnJQU0l6WlRZMFpq
+a3lOeUlnSUdodmJHUTlJak5sTmpSbU9USTNJaUFnWkdWamVUMGlNMlUyTkdZNU1qY2lJQ0J6Cglk
+WE4wUFNJelpqZ3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEkzSWlBZ2MyMXdQU0l3SWlBZ2JI
+QTlJakFpSUNCegoJZVc1alBTSXdJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpa
+VzV6UFNJd0lpQWdiV2RzZG14elBTSXcKCUlpQWdiV2RqY25aelBTSXdJaUFnWkhCMFBTSXdJaUFn
+WTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlHCglSVTVXVUVGU1FVMVRQZ29nUEVG
+RlRsWWdJR005SWpnaUlDQndZVzQ5SWpBaUlDQjZiMjl0UFNJelpqQTRNekU0WXlJZwoJUGdvOGND
+QWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXdJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlB
+K0Nqd3YKCWNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpOak1qTmtOekF3SWlBZ2N6
+MGlNQ0lnSUdNOUlqTm1PREF3CglNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdN
+Q0lnSUhROUlqTmpZVE5rTnpBd0lpQWdjejBpTUNJZwoJSUdNOUlqTm1PREF3TURBd0lpQStDand2
+Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5qWmpWak1qZzEKCUlpQWdjejBpTUNJ
+Z0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5
+CglJak5rTWpOa056QTFJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4
+d0lDQnNQU0l6WmpndwoJTURBd01DSWdJSFE5SWpOa05HTmpZMk0zSWlBZ2N6MGlNQ0lnSUdNOUlq
+Tm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHcKCUlDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmtO
+elZqTWpoaElpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErCglDand2Y0Q0S0lEeHdJQ0Jz
+UFNJelpqZ3dNREF3TUNJZ0lIUTlJak5rT0dZMVl6STFJaUFnY3owaU1DSWdJR005SWpObQoJT0RB
+d01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXdJaUFnZEQwaU0yUmhNMlEzTURVaUlDQnpQU0l3
+SWlBZ1l6MGkKCU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BDOUJSVTVXUGdvZ1BFRkZUbFpRUVZK
+QlRWTWdJRzl1VDJabVBTSXdJaUFnCglZVDBpTUNJZ0lHZzlJakFpSUNCa1BTSXdJaUFnY2owaU1D
+SWdJR0YwZEdzOUlqTmxOalJtT1RJM0lpQWdhRzlzWkQwaQoJTTJVMk5HWTVNamNpSUNCa1pXTjVQ
+U0l6WlRZMFpqa3lOeUlnSUhOMWMzUTlJak5tT0RBd01EQXdJaUFnY21Wc2N6MGkKCU0yVTJOR1k1
+TWpjaUlDQnpiWEE5SWpBaUlDQnNjRDBpTUNJZ0lITjVibU05SWpBaUlDQnpjR1E5SWpBaUlDQjBj
+bWROCglaRDBpTUNJZ0lIWmxiSE5sYm5NOUlqQWlJQ0J0WjJ4MmJITTlJakFpSUNCdFoyTnlkbk05
+SWpBaUlDQmtjSFE5SWpBaQoJSUNCamFITlVjbWM5SWpBaUlDQmhkR05vY3owaU1DSWdQZ284TDBG
+RlRsWlFRVkpCVFZNK0NpQThSVVpHVWtGRFN5QSsKCUNqeEZSa1pOVDBSVlRFVWdJRlI1Y0dVOUlr
+NXZJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpCglNQ0lnSUZBelBTSXdJ
+aUFnVURROUlqQWlJQ0JRTlQwaU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZwoJ
+SUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeVBTSXdJaUFnVURFelBTSXdJ
+aUFnVURFMFBTSXcKCUlpQWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZH
+UmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnCglSV1ptWldOMElpQWdVREE5SWpBaUlDQlFNVDBpTUNJ
+Z0lGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMQoJUFNJd0lpQWdVRFk5SWpBaUlD
+QlFOejBpTUNJZ0lGQTRQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTkKCUlqQWlJ
+Q0JRTVRJOUlqQWlJQ0JRTVRNOUlqQWlJQ0JRTVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BD
+OUZSa1pOCglUMFJWVEVVK0NpQThSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJ
+Q0JRTUQwaU1DSWdJRkF4UFNJdwoJSWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFn
+VURVOUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWcKCVVEZzlJakFpSUNCUU9UMGlNQ0lnSUZB
+eE1EMGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnCglJRkF4TkQwaU1D
+SWdJRUZqZEdsMlpUMGlNQ0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZS
+NQoJY0dVOUlrNXZJRVZtWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lG
+QXpQU0l3SWlBZ1VEUTkKCUlqQWlJQ0JRTlQwaU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFP
+RDBpTUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3CglJaUFnVURFeFBTSXdJaUFnVURFeVBTSXdJaUFn
+VURFelBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBKwoJQ2p3dlJVWkdUVTlFVlV4
+RlBnb2dQQzlGUmtaU1FVTkxQZ29nUEM5V1QwbERSVDRLSUR4TlZVeFVTVk5CVFZCTVJTQWcKCVRH
+RjVaWEl3Vm05c1BTSXdJaUFnVEdGNVpYSXdRV04wUFNJd0lpQWdUR0Y1WlhJd1RYUTlJakFpSUNC
+TVlYbGxjakJHCgliRDBpTUNJZ0lFeGhlV1Z5TVZadmJEMGlNQ0lnSUV4aGVXVnlNVUZqZEQwaU1D
+SWdJRXhoZVdWeU1VMTBQU0l3SWlBZwoJVEdGNVpYSXhSbXc5SWpBaUlDQk1ZWGxsY2pKV2IydzlJ
+akFpSUNCTVlYbGxjakpCWTNROUlqQWlJQ0JNWVhsbGNqSk4KCWREMGlNQ0lnSUV4aGVXVnlNa1pz
+UFNJd0lpQWdUR0Y1WlhJelZtOXNQU0l3SWlBZ1RHRjVaWEl6UVdOMFBTSXdJaUFnCglUR0Y1WlhJ
+elRYUTlJakFpSUNCTVlYbGxjak5HYkQwaU1DSWdJSEpsYkZadmJEMGlNQ0lnSUhCbFpFeDJiRDBp
+TUNJZwoJSUhCbFpFWllQU0l6Wmpnd01EQXdNQ0lnSUhOeWVHWmhaR1U5SWpBaUlDQnlaV3hTZFd4
+bFBTSXdJaUFnZEdsdFluSmwKCVBTSXdJaUFnZEdKdFpEMGlNQ0lnSUdWdWMzTnVjbXc5SWpBaUlD
+QnlaWEIwWTJoeVpXdzlJakFpSUNCemMzSmxkbkJpCglQU0l3SWlBZ2JXOW5jbWxtZVQwaU1DSWdJ
+SE56ZEdocGJrVnVQU0l3SWlBK0Nqd3ZUVlZNVkVsVFFVMVFURVUrQ2lBOAoJVFZWTVZFbFRRVTFR
+VEVVZ0lFeGhlV1Z5TUZadmJEMGlNQ0lnSUV4aGVXVnlNRUZqZEQwaU1DSWdJRXhoZVdWeU1FMTAK
+CVBTSXdJaUFnVEdGNVpYSXdSbXc5SWpBaUlDQk1ZWGxsY2pGV2IydzlJakFpSUNCTVlYbGxjakZC
+WTNROUlqQWlJQ0JNCglZWGxsY2pGTmREMGlNQ0lnSUV4aGVXVnlNVVpzUFNJd0lpQWdUR0Y1WlhJ
+eVZtOXNQU0l3SWlBZ1RHRjVaWEl5UVdOMAoJUFNJd0lpQWdUR0Y1WlhJeVRYUTlJakFpSUNCTVlY
+bGxjakpHYkQwaU1DSWdJRXhoZVdWeU0xWnZiRDBpTUNJZ0lFeGgKCWVXVnlNMEZqZEQwaU1DSWdJ
+RXhoZVdWeU0wMTBQU0l3SWlBZ1RHRjVaWEl6Um13OUlqQWlJQ0J5Wld4V2IydzlJakFpCglJQ0J3
+WldSTWRtdzlJakFpSUNCd1pXUkdXRDBpTTJZNE1EQXdNREFpSUNCemNuaG1ZV1JsUFNJd0lpQWdj
+bVZzVW5WcwoJWlQwaU1DSWdJSFJwYldKeVpUMGlNQ0lnSUhSaWJXUTlJakFpSUNCbGJuTnpibkpz
+UFNJd0lpQWdjbVZ3ZEdOb2NtVnMKCVBTSXdJaUFnYzNOeVpYWndZajBpTUNJZ0lHMXZaM0pwWm5r
+OUlqQWlJQ0J6YzNSb2FXNUZiajBpTUNJZ1BnbzhMMDFWCglURlJKVTBGTlVFeEZQZ29nUEVWR1Js
+SkJRMHNnUGdvOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaQoJSUNCUU1EMGlN
+Q0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlD
+QlEKCU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJ
+RkF4TVQwaU1DSWdJRkF4CglNajBpTUNJZ0lGQXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wy
+WlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0SwoJSUR4RlJrWk5UMFJWVEVVZ0lGUjVjR1U5SWs1
+dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGkKCU1DSWdJRkF6UFNJd0lp
+QWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnCglJ
+RkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lp
+QWdVREUwUFNJdwoJSWlBZ1FXTjBhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdS
+azFQUkZWTVJTQWdWSGx3WlQwaVRtOGcKCVJXWm1aV04wSWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0ln
+SUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExCglQU0l3SWlBZ1VEWTlJakFpSUNC
+UU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOQoJSWpBaUlD
+QlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5
+RlJrWk4KCVQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlD
+QlFNRDBpTUNJZ0lGQXhQU0l3CglJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdV
+RFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZwoJVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4
+TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWcKCUlGQXhORDBpTUNJ
+Z0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEd3ZSVVpHVWtGRFN6NEtJRHhC
+CglWVmhGUmtaU1FVTkxJRDRLUEVWR1JrMVBSRlZNUlNBZ1ZIbHdaVDBpVG04Z1JXWm1aV04wSWlB
+Z1VEQTlJakFpSUNCUQoJTVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lG
+QTFQU0l3SWlBZ1VEWTlJakFpSUNCUU56MGkKCU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFN
+VEE5SWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05CglJakFpSUNCUU1UUTlJakFp
+SUNCQlkzUnBkbVU5SWpBaUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RgoJSUNC
+VWVYQmxQU0pPYnlCRlptWmxZM1FpSUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JR
+TXowaU1DSWcKCUlGQTBQU0l3SWlBZ1VEVTlJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURn
+OUlqQWlJQ0JRT1QwaU1DSWdJRkF4CglNRDBpTUNJZ0lGQXhNVDBpTUNJZ0lGQXhNajBpTUNJZ0lG
+QXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaQoJTUNJZ1BnbzhMMFZHUmsxUFJGVk1S
+VDRLSUR4RlJrWk5UMFJWVEVVZ0lGUjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXcKCVBTSXdJaUFn
+VURFOUlqQWlJQ0JRTWowaU1DSWdJRkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQ
+U0l3CglJaUFnVURjOUlqQWlJQ0JRT0QwaU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4
+UFNJd0lpQWdVREV5UFNJdwoJSWlBZ1VERXpQU0l3SWlBZ1VERTBQU0l3SWlBZ1FXTjBhWFpsUFNJ
+d0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkcKCVJrMVBSRlZNUlNBZ1ZIbHdaVDBpVG04Z1JX
+Wm1aV04wSWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnCglVRE05SWpBaUlDQlFO
+RDBpTUNJZ0lGQTFQU0l3SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOQoJ
+SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFN
+VFE5SWpBaUlDQkIKCVkzUnBkbVU5SWpBaUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOEwwRlZXRVZH
+UmxKQlEwcytDaUE4VEVaUFgxTkZWQ0ErCglDanhNUms4Z0lIUjVjR1U5SWpBaUlDQmpaVzUwWlhJ
+OUlqQWlJQ0J6ZDJsdVp6MGlNQ0lnSUhKaGRHVTlJakFpSUNCeQoJYm1SMGNqMGlNQ0lnSUhKaGJt
+UnlaejBpTUNJZ0lISmhibVJ5WlhZOUlqQWlJQ0J3ZFd4elpXMXBlRDBpTUNJZ0lIQjEKCWJITmxj
+bUYwWlQwaU1DSWdJSE5qWVd4bFBTSXdJaUFnYzNsdVl6MGlNQ0lnSUhKbGMyVjBkSEk5SWpBaUlD
+QmxiblprCgljSFJvUFNJd0lpQWdZbkJ2YkdGeVBTSXdJaUFnY0doaGMyVTlJakFpSUNCMWJtbGth
+WEk5SWpBaUlENEtQQzlNUms4KwoJQ2lBOFRFWlBJQ0IwZVhCbFBTSXdJaUFnWTJWdWRHVnlQU0l3
+SWlBZ2MzZHBibWM5SWpBaUlDQnlZWFJsUFNJd0lpQWcKCWNtNWtkSEk5SWpBaUlDQnlZVzVrY21j
+OUlqQWlJQ0J5WVc1a2NtVjJQU0l3SWlBZ2NIVnNjMlZ0YVhnOUlqQWlJQ0J3CglkV3h6WlhKaGRH
+VTlJakFpSUNCelkyRnNaVDBpTUNJZ0lITjVibU05SWpBaUlDQnlaWE5sZEhSeVBTSXdJaUFnWlc1
+MgoJWkhCMGFEMGlNQ0lnSUdKd2IyeGhjajBpTUNJZ0lIQm9ZWE5sUFNJd0lpQWdkVzVwWkdseVBT
+SXdJaUErQ2p3dlRFWlAKCVBnb2dQRXhHVHlBZ2RIbHdaVDBpTUNJZ0lHTmxiblJsY2owaU1DSWdJ
+SE4zYVc1blBTSXdJaUFnY21GMFpUMGlNQ0lnCglJSEp1WkhSeVBTSXdJaUFnY21GdVpISm5QU0l3
+SWlBZ2NtRnVaSEpsZGowaU1DSWdJSEIxYkhObGJXbDRQU0l3SWlBZwoJY0hWc2MyVnlZWFJsUFNJ
+d0lpQWdjMk5oYkdVOUlqQWlJQ0J6ZVc1alBTSXdJaUFnY21WelpYUjBjajBpTUNJZ0lHVnUKCWRt
+UndkR2c5SWpBaUlDQmljRzlzWVhJOUlqQWlJQ0J3YUdGelpUMGlNQ0lnSUhWdWFXUnBjajBpTUNJ
+Z1BnbzhMMHhHCglUejRLSUR4TVJrOGdJSFI1Y0dVOUlqQWlJQ0JqWlc1MFpYSTlJakFpSUNCemQy
+bHVaejBpTUNJZ0lISmhkR1U5SWpBaQoJSUNCeWJtUjBjajBpTUNJZ0lISmhibVJ5WnowaU1DSWdJ
+SEpoYm1SeVpYWTlJakFpSUNCd2RXeHpaVzFwZUQwaU1DSWcKCUlIQjFiSE5sY21GMFpUMGlNQ0ln
+SUhOallXeGxQU0l3SWlBZ2MzbHVZejBpTUNJZ0lISmxjMlYwZEhJOUlqQWlJQ0JsCgliblprY0hS
+b1BTSXdJaUFnWW5CdmJHRnlQU0l3SWlBZ2NHaGhjMlU5SWpBaUlDQjFibWxrYVhJOUlqQWlJRDRL
+UEM5TQoJUms4K0NpQThURVpQSUNCMGVYQmxQU0l3SWlBZ1kyVnVkR1Z5UFNJd0lpQWdjM2RwYm1j
+OUlqQWlJQ0J5WVhSbFBTSXcKCUlpQWdjbTVrZEhJOUlqQWlJQ0J5WVc1a2NtYzlJakFpSUNCeVlX
+NWtjbVYyUFNJd0lpQWdjSFZzYzJWdGFYZzlJakFpCglJQ0J3ZFd4elpYSmhkR1U5SWpBaUlDQnpZ
+MkZzWlQwaU1DSWdJSE41Ym1NOUlqQWlJQ0J5WlhObGRIUnlQU0l3SWlBZwoJWlc1MlpIQjBhRDBp
+TUNJZ0lHSndiMnhoY2owaU1DSWdJSEJvWVhObFBTSXdJaUFnZFc1cFpHbHlQU0l3SWlBK0Nqd3YK
+CVRFWlBQZ29nUEV4R1R5QWdkSGx3WlQwaU1DSWdJR05sYm5SbGNqMGlNQ0lnSUhOM2FXNW5QU0l3
+SWlBZ2NtRjBaVDBpCglNQ0lnSUhKdVpIUnlQU0l3SWlBZ2NtRnVaSEpuUFNJd0lpQWdjbUZ1WkhK
+bGRqMGlNQ0lnSUhCMWJITmxiV2w0UFNJdwoJSWlBZ2NIVnNjMlZ5WVhSbFBTSXdJaUFnYzJOaGJH
+VTlJakFpSUNCemVXNWpQU0l3SWlBZ2NtVnpaWFIwY2owaU1DSWcKCUlHVnVkbVJ3ZEdnOUlqQWlJ
+Q0JpY0c5c1lYSTlJakFpSUNCd2FHRnpaVDBpTUNJZ0lIVnVhV1JwY2owaU1DSWdQZ284CglMMHhH
+VHo0S0lEeE1SazhnSUhSNWNHVTlJakFpSUNCalpXNTBaWEk5SWpBaUlDQnpkMmx1WnowaU1DSWdJ
+SEpoZEdVOQoJSWpBaUlDQnlibVIwY2owaU1DSWdJSEpoYm1SeVp6MGlNQ0lnSUhKaGJtUnlaWFk5
+SWpBaUlDQndkV3h6WlcxcGVEMGkKCU1DSWdJSEIxYkhObGNtRjBaVDBpTUNJZ0lITmpZV3hsUFNJ
+d0lpQWdjM2x1WXowaU1DSWdJSEpsYzJWMGRISTlJakFpCglJQ0JsYm5aa2NIUm9QU0l3SWlBZ1lu
+QnZiR0Z5UFNJd0lpQWdjR2hoYzJVOUlqQWlJQ0IxYm1sa2FYSTlJakFpSUQ0SwoJUEM5TVJrOCtD
+aUE4VEVaUElDQjBlWEJsUFNJd0lpQWdZMlZ1ZEdWeVBTSXdJaUFnYzNkcGJtYzlJakFpSUNCeVlY
+UmwKCVBTSXdJaUFnY201a2RISTlJakFpSUNCeVlXNWtjbWM5SWpBaUlDQnlZVzVrY21WMlBTSXdJ
+aUFnY0hWc2MyVnRhWGc5CglJakFpSUNCd2RXeHpaWEpoZEdVOUlqQWlJQ0J6WTJGc1pUMGlNQ0ln
+SUhONWJtTTlJakFpSUNCeVpYTmxkSFJ5UFNJdwoJSWlBZ1pXNTJaSEIwYUQwaU1DSWdJR0p3YjJ4
+aGNqMGlNQ0lnSUhCb1lYTmxQU0l3SWlBZ2RXNXBaR2x5UFNJd0lpQSsKCUNqd3ZURVpQUGdvZ1BD
+OU1SazlmVTBWVVBnb2dQRTFQUkVWT1ZsQkJVa0ZOVXlBZ1lUMGlNQ0lnSUdnOUlqQWlJQ0JrCglQ
+U0l3SWlBZ2NqMGlNQ0lnSUdGMGRHczlJak5sTmpSbU9USmxJaUFnYUc5c1pEMGlNMlUyTkdZNU1t
+VWlJQ0JrWldONQoJUFNJelpUWTBaamt5WmlJZ0lITjFjM1E5SWpObU9EQXdNREF3SWlBZ2NtVnNj
+ejBpTTJVMk5HWTVNbVFpSUNCemJYQTkKCUlqQWlJQ0JzY0QwaU1DSWdJSE41Ym1NOUlqQWlJQ0J6
+Y0dROUlqQWlJQ0IwY21kTlpEMGlNQ0lnSUhabGJITmxibk05CglJakFpSUNCdFoyeDJiSE05SWpB
+aUlDQnRaMk55ZG5NOUlqQWlJQ0JrY0hROUlqQWlJQ0JqYUhOVWNtYzlJakFpSUNCaAoJZEdOb2N6
+MGlNQ0lnUGdvOEwwMVBSRVZPVmxCQlVrRk5VejRLSUR4TlQwUmZSVTVXTWw4eUlDQmhQU0l3SWlB
+Z2FEMGkKCU1DSWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNbVVpSUNCb2Iy
+eGtQU0l6WlRZMFpqa3laU0lnCglJR1JsWTNrOUlqTmxOalJtT1RKbUlpQWdjM1Z6ZEQwaU0yWTRN
+REF3TURBaUlDQnlaV3h6UFNJelpUWTBaamt5WkNJZwoJSUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFn
+YzNsdVl6MGlNQ0lnSUhOd1pEMGlNQ0lnSUhSeVowMWtQU0l3SWlBZ2RtVnMKCWMyVnVjejBpTUNJ
+Z0lHMW5iSFpzY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSd2REMGlNQ0lnSUdOb2MxUnlaejBp
+CglNQ0lnSUdGMFkyaHpQU0l3SWlBK0Nqd3ZUVTlFWDBWT1ZqSmZNajRLSUR4TlQwUmZSVTVXTWw4
+eUlDQmhQU0l3SWlBZwoJYUQwaU1DSWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5H
+WTVNbVVpSUNCb2IyeGtQU0l6WlRZMFpqa3kKCVpTSWdJR1JsWTNrOUlqTmxOalJtT1RKbUlpQWdj
+M1Z6ZEQwaU0yWTRNREF3TURBaUlDQnlaV3h6UFNJelpUWTBaamt5CglaQ0lnSUhOdGNEMGlNQ0ln
+SUd4d1BTSXdJaUFnYzNsdVl6MGlNQ0lnSUhOd1pEMGlNQ0lnSUhSeVowMWtQU0l3SWlBZwoJZG1W
+c2MyVnVjejBpTUNJZ0lHMW5iSFpzY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSd2REMGlNQ0ln
+SUdOb2MxUnkKCVp6MGlNQ0lnSUdGMFkyaHpQU0l3SWlBK0Nqd3ZUVTlFWDBWT1ZqSmZNajRLSUR4
+TlQwUmZSVTVXTWw4eUlDQmhQU0l3CglJaUFnYUQwaU1DSWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lY
+UjBhejBpTTJVMk5HWTVNbVVpSUNCb2IyeGtQU0l6WlRZMAoJWmpreVpTSWdJR1JsWTNrOUlqTmxO
+alJtT1RKbUlpQWdjM1Z6ZEQwaU0yWTRNREF3TURBaUlDQnlaV3h6UFNJelpUWTAKCVpqa3laQ0ln
+SUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFnYzNsdVl6MGlNQ0lnSUhOd1pEMGlNQ0lnSUhSeVowMWtQ
+U0l3CglJaUFnZG1Wc2MyVnVjejBpTUNJZ0lHMW5iSFpzY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0ln
+SUdSd2REMGlNQ0lnSUdObwoJYzFSeVp6MGlNQ0lnSUdGMFkyaHpQU0l3SWlBK0Nqd3ZUVTlFWDBW
+T1ZqSmZNajRLSUR4TlQwUmZSVTVXTWw4eUlDQmgKCVBTSXdJaUFnYUQwaU1DSWdJR1E5SWpBaUlD
+QnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNbVVpSUNCb2IyeGtQU0l6CglaVFkwWmpreVpTSWdJ
+R1JsWTNrOUlqTmxOalJtT1RKbUlpQWdjM1Z6ZEQwaU0yWTRNREF3TURBaUlDQnlaV3h6UFNJegoJ
+WlRZMFpqa3laQ0lnSUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFnYzNsdVl6MGlNQ0lnSUhOd1pEMGlN
+Q0lnSUhSeVowMWsKCVBTSXdJaUFnZG1Wc2MyVnVjejBpTUNJZ0lHMW5iSFpzY3owaU1DSWdJRzFu
+WTNKMmN6MGlNQ0lnSUdSd2REMGlNQ0lnCglJR05vYzFSeVp6MGlNQ0lnSUdGMFkyaHpQU0l3SWlB
+K0Nqd3ZUVTlFWDBWT1ZqSmZNajRLSUR4TlQwUmZSVTVXTWw4eQoJSUNCaFBTSXdJaUFnYUQwaU1D
+SWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNbVVpSUNCb2IyeGsKCVBTSXpa
+VFkwWmpreVpTSWdJR1JsWTNrOUlqTmxOalJtT1RKbUlpQWdjM1Z6ZEQwaU0yWTRNREF3TURBaUlD
+QnlaV3h6CglQU0l6WlRZMFpqa3laQ0lnSUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFnYzNsdVl6MGlN
+Q0lnSUhOd1pEMGlNQ0lnSUhSeQoJWjAxa1BTSXdJaUFnZG1Wc2MyVnVjejBpTUNJZ0lHMW5iSFpz
+Y3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSd2REMGkKCU1DSWdJR05vYzFSeVp6MGlNQ0lnSUdG
+MFkyaHpQU0l3SWlBK0Nqd3ZUVTlFWDBWT1ZqSmZNajRLSUR4RGRYTjBiMjFFCglZWFJoTWlBK0Nq
+d3ZRM1Z6ZEc5dFJHRjBZVEkrQ2lBOEwxTlpUbFJJUlU1SFBnb2dQQzlUZVc1MGFFVnVaMmx1WlQ0
+SwoJSUR3dlUzbHVkR2hUZFdKRmJtZHBibVUrQ2lBOFUzbHVkR2hUZFdKRmJtZHBibVVnUGdvOFUz
+bHVkR2hGYm1kcGJtVWcKCVBnbzhRVkpRSUNCQmNuQk5iMlJsUFNJd0lpQWdRWEp3UTJ4dlkyczlJ
+akFpSUNCQmNuQk1aVzQ5SWpBaUlDQkJjbkJUCglkMmx1WnowaU1DSWdJRUZ5Y0ZabGJFMXBlRDBp
+TUNJZ0lFRnljRWgxYlQwaU1DSWdJRUZ5Y0VoMWJWWmxiRDBpTUNJZwoJSUVGeWNFaDFiVlJwWjJo
+MFJHOTNiajBpTTJZNE1EQXdNREFpSUNCQmNuQlBZM1E5SWpBaUlDQkJjbkJQYms5bVpqMGkKCU1D
+SWdJRUZ5Y0ZCb1lYTmxQU0l3SWlBZ1FYSndSbVZsYkVkeWIyOTJaVTl1VDJabVBTSXdJaUFnUVhK
+d1UyNWhjRlJ2CglSM0pwWkU5dVQyWm1QU0l3SWlBZ1FYSndVM0JrUFNJd0lpQWdRWEp3VUd4NVBT
+SXdJaUFnUVhKd1VtVnpaWFE5SWpBaQoJSUNCQmNuQlRjR0Z1UFNJelkyRXpaRGN3WVNJZ0lFRnlj
+Rk51Y0VkeWRuUjVQU0l3SWlBZ1FYSndSM0p2YjNabFRtRnQKCVpUMGlJaUErQ2p4QlVsQlRSVkV5
+SUNCVVJVMVFUejBpTkRKbU1EQXdNREFpSUNCVVNVTkxVMUJGVWxGVlFWSlVSVkk5CglJaTB5TVRR
+M05EZ3pOalE0SWlBZ1ZFbE5SVk5KUjA1VlRUMGlOQ0lnSUZSSlRVVlRTVWRFUlU1UFRUMGlOQ0ln
+UGdvOAoJVTB4SlEwVlRSVkZUVkVWUUlDQkNSVWRKVGowaUxUSXhORGMwT0RNMk5EZ2lJQ0JGVGtR
+OUlqQWlJQ0JEU0QwaUxURWkKCUlDQlRURWxEUlVsT1JFVllQU0l5TlRraUlDQldSVXc5SWpFeU55
+SWdJRk5RUFNJd0lpQWdVMVJTVTFBOUlqTmxPREF3CglNREF3SWlBK0Nqd3ZVMHhKUTBWVFJWRlRW
+RVZRUGdvZ1BDOUJVbEJUUlZFeVBnb2dQRUZTVUVaRlJVeFRSVkVnSUZSRgoJVFZCUFBTSTBNbVl3
+TURBd01DSWdJRlJKUTB0VFVFVlNVVlZCVWxSRlVqMGlOREU1TWlJZ0lGUkpUVVZUU1VkT1ZVMDkK
+CUlqUWlJQ0JVU1UxRlUwbEhSRVZPVDAwOUlqUWlJRDRLUEZOTVNVTkZVMFZSVTFSRlVDQWdRa1ZI
+U1U0OUlqRTJOelk0CglJaUFnUlU1RVBTSXhOamMyT0NJZ0lFTklQU0l0TVNJZ0lGTk1TVU5GU1U1
+RVJWZzlJaTB4SWlBZ1ZrVk1QU0l4TWpjaQoJSUNCVFZGSlRVRDBpTTJVNE1EQXdNREFpSUQ0S1BD
+OVRURWxEUlZORlVWTlVSVkErQ2lBOEwwRlNVRVpGUlV4VFJWRSsKCUNpQThMMEZTVUQ0S0lEeFRX
+VTVVU0VWT1J5QWdWbVZ5Y3owaU1qa2lJQ0JpY2pBOUlqTm1OREF3TURBd0lpQWdZalF3CglQU0l3
+SWlBZ1luSXhQU0l6WmpRd01EQXdNQ0lnSUdJME1UMGlNQ0lnSUdKeU1qMGlNMlkwTURBd01EQWlJ
+Q0JpTkRJOQoJSWpBaUlDQmljak05SWpObU5EQXdNREF3SWlBZ1lqUXpQU0l3SWlBZ1luSTBQU0l6
+WmpRd01EQXdNQ0lnSUdJME5EMGkKCU1DSWdJR0p5TlQwaU0yWTBNREF3TURBaUlDQmlORFU5SWpB
+aUlDQmljalk5SWpObU5EQXdNREF3SWlBZ1lqUTJQU0l3CglJaUFnWW5JM1BTSXpaalF3TURBd01D
+SWdJR0kwTnowaU1DSWdJSEZ2YmowaU1DSWdJSEZ0YjJSbFBTSXdJaUFnY1daaAoJWkdVOUlqQWlJ
+Q0J6ZFhOdFpEMGlNQ0lnSUhKbGNHdHBiR3c5SWpBaUlDQmtiWEJzZEQwaU1DSWdJSFJ6WTJ3OUlq
+QWkKCUlDQnNURVpQVUQwaU9UazVJaUFnYkUxRmJuWlFQU0kzTnpjaUlDQnphR0Z5WlQwaU1DSWdJ
+SEJ3ZG5NOUlqTm1NREF3CglNREF3SWlBZ2NIQmpjRDBpTTJZd01EQXdNREFpSUNCd2IyeDVQU0l3
+SWlBZ2NHSmpkWFE5SWpReFpqZ3dNREF3SWlBZwoJY0dKMWNEMGlNQ0lnSUhCaVpHNDlJakFpSUNC
+MlkzZzlJakFpSUNCMlkzazlJakFpSUNCMlkyYzlJakFpSUNCMlkySTkKCUlqQWlJQ0JzWldkdFBT
+SXdJaUFnZFhObFRHVm5QU0l3SWlBZ2JHVm5TVzUwUFNJd0lpQWdjMjV5ZEhKblBTSXdJaUFnCglj
+R3hsWnowaU1DSWdJR2RoYVc0OUlqQWlJQ0J0Wm1aeWNUMGlNQ0lnSUcxbWJXUTlJakFpSUNCdFpu
+RTlJakFpSUNCawoJYzJsaFBTSXdJaUFnWkhOcFlqMGlNQ0lnSUdSellXSjRaajBpTUNJZ0lIWnBj
+ekU5SWpBaUlDQjJhWE15UFNJd0lpQWcKCWRtbHpNejBpTUNJZ0lIWnBjelE5SWpBaUlDQjJhWE0x
+UFNJd0lpQWdkbWx6TmowaU1DSWdJSE5qYmtSd2RHZzlJakFpCglJQ0J6WTI1TmFYZzlJakFpSUNC
+elkyNVRaV3c5SWpBaUlDQndiM0owVmpJOUlqQWlJQ0J6WTI1TlFUMGlNQ0lnSUhOagoJYmsxRFBT
+SXdJaUFnYjNKaVUzUTlJakFpSUNCdmNtSkpia0Z0Ym5ROUlqQWlJQ0J2Y21KSmJsTjBQU0l3SWlB
+Z1UyTmwKCWJtVkRiMjF3YjI1bGJuUXdQU0l3SWlBZ1UyTmxibVZEYjIxd2IyNWxiblF4UFNJd0lp
+QWdVMk5sYm1WRGIyMXdiMjVsCgliblF5UFNJd0lpQWdVMk5sYm1WRGIyMXdiMjVsYm5RelBTSXdJ
+aUFnYVhKelpXNWtZWFY0UFNJd0lpQWdjR0YxZUhKcwoJUFNJd0lpQWdZbmx3WVhOelBTSXdJaUFn
+ZEhWdWNHRjBhRDBpSWlBZ2IzSnBaMHhwWWs1aGJXVTlJaUlnSUc5eWFXZFEKCVlYUmphRTVoYldV
+OUlpSWdJRU4xYzNSdmJWOHdQU0l3SWlBZ1EzVnpkRzl0WHpFOUlqQWlJQ0JEZFhOMGIyMWZNajBp
+CglNQ0lnSUVOMWMzUnZiVjh6UFNJd0lpQWdRM1Z6ZEc5dFh6UTlJakFpSUNCRGRYTjBiMjFmTlQw
+aU1DSWdJRU4xYzNSdgoJYlY4MlBTSXdJaUFnUTNWemRHOXRYemM5SWpBaUlDQkRkWE4wYjIxZk9E
+MGlNQ0lnSUVOMWMzUnZiVjg1UFNJd0lpQWcKCVEzVnpkRzl0WHpFd1BTSXdJaUFnUTNWemRHOXRY
+ekV4UFNJd0lpQWdRM1Z6ZEc5dFh6RXlQU0l3SWlBZ1EzVnpkRzl0CglYekV6UFNJd0lpQWdRM1Z6
+ZEc5dFh6RTBQU0l3SWlBZ1EzVnpkRzl0WHpFMVBTSXdJaUFnUTNWemRHOXRYekUyUFNJdwoJSWlB
+Z1EzVnpkRzl0WHpFM1BTSXdJaUFnUTNWemRHOXRYekU0UFNJd0lpQWdRM1Z6ZEc5dFh6RTVQU0l3
+SWlBZ1EzVnoKCWRHOXRYekl3UFNJd0lpQWdRM1Z6ZEc5dFh6SXhQU0l3SWlBZ1EzVnpkRzl0WHpJ
+eVBTSXdJaUFnUTNWemRHOXRYekl6CglQU0l3SWlBZ1EzVnpkRzl0WHpJMFBTSXdJaUFnUTNWemRH
+OXRYekkxUFNJd0lpQWdRM1Z6ZEc5dFh6STJQU0l3SWlBZwoJUTNWemRHOXRYekkzUFNJd0lpQWdR
+M1Z6ZEc5dFh6STRQU0l3SWlBZ1EzVnpkRzl0WHpJNVBTSXdJaUFnUTNWemRHOXQKCVh6TXdQU0l3
+SWlBZ1EzVnpkRzl0WHpNeFBTSXdJaUFnUTNWemRHOXRYek15UFNJd0lpQWdRM1Z6ZEc5dFh6TXpQ
+U0l3CglJaUFnUTNWemRHOXRYek0wUFNJd0lpQWdRM1Z6ZEc5dFh6TTFQU0l3SWlBZ1EzVnpkRzl0
+WHpNMlBTSXdJaUFnUTNWegoJZEc5dFh6TTNQU0l3SWlBZ1EzVnpkRzl0WHpNNFBTSXdJaUFnUTNW
+emRHOXRYek01UFNJd0lpQWdRM1Z6ZEc5dFh6UXcKCVBTSXdJaUFnUTNWemRHOXRYelF4UFNJd0lp
+QWdRM1Z6ZEc5dFh6UXlQU0l3SWlBZ1EzVnpkRzl0WHpRelBTSXdJaUFnCglRM1Z6ZEc5dFh6UTBQ
+U0l3SWlBZ1EzVnpkRzl0WHpRMVBTSXdJaUFnUTNWemRHOXRYelEyUFNJd0lpQWdRM1Z6ZEc5dAoJ
+WHpRM1BTSXdJaUFnUTNWemRHOXRYelE0UFNJd0lpQWdRM1Z6ZEc5dFh6UTVQU0l3SWlBZ1EzVnpk
+Rzl0WHpVd1BTSXcKCUlpQWdRM1Z6ZEc5dFh6VXhQU0l3SWlBZ1EzVnpkRzl0WHpVeVBTSXdJaUFn
+UTNWemRHOXRYelV6UFNJd0lpQWdRM1Z6CglkRzl0WHpVMFBTSXdJaUFnUTNWemRHOXRYelUxUFNJ
+d0lpQWdRM1Z6ZEc5dFh6VTJQU0l3SWlBZ1EzVnpkRzl0WHpVMwoJUFNJd0lpQWdRM1Z6ZEc5dFh6
+VTRQU0l3SWlBZ1EzVnpkRzl0WHpVNVBTSXdJaUFnUTNWemRHOXRYell3UFNJd0lpQWcKCVEzVnpk
+Rzl0WHpZeFBTSXdJaUFnUTNWemRHOXRYell5UFNJd0lpQWdRM1Z6ZEc5dFh6WXpQU0l3SWlBZ1Ez
+VnpkRzl0CglYelkwUFNJd0lpQWdRM1Z6ZEc5dFh6WTFQU0l3SWlBZ1EzVnpkRzl0WHpZMlBTSXdJ
+aUFnUTNWemRHOXRYelkzUFNJdwoJSWlBZ1EzVnpkRzl0WHpZNFBTSXdJaUFnUTNWemRHOXRYelk1
+UFNJd0lpQWdRM1Z6ZEc5dFh6Y3dQU0l3SWlBZ1EzVnoKCWRHOXRYemN4UFNJd0lpQWdRM1Z6ZEc5
+dFh6Y3lQU0l3SWlBZ1EzVnpkRzl0WHpjelBTSXdJaUFnUTNWemRHOXRYemMwCglQU0l3SWlBZ1Ez
+VnpkRzl0WHpjMVBTSXdJaUFnUTNWemRHOXRYemMyUFNJd0lpQWdRM1Z6ZEc5dFh6YzNQU0l3SWlB
+ZwoJUTNWemRHOXRYemM0UFNJd0lpQWdRM1Z6ZEc5dFh6YzVQU0l3SWlBZ1EzVnpkRzl0WHpnd1BT
+SXdJaUFnUTNWemRHOXQKCVh6Z3hQU0l3SWlBZ1EzVnpkRzl0WHpneVBTSXdJaUFnUTNWemRHOXRY
+emd6UFNJd0lpQWdRM1Z6ZEc5dFh6ZzBQU0l3CglJaUFnUTNWemRHOXRYemcxUFNJd0lpQWdRM1Z6
+ZEc5dFh6ZzJQU0l3SWlBZ1EzVnpkRzl0WHpnM1BTSXdJaUFnUTNWegoJZEc5dFh6ZzRQU0l3SWlB
+Z1EzVnpkRzl0WHpnNVBTSXdJaUFnUTNWemRHOXRYemt3UFNJd0lpQWdRM1Z6ZEc5dFh6a3gKCVBT
+SXdJaUFnUTNWemRHOXRYemt5UFNJd0lpQWdRM1Z6ZEc5dFh6a3pQU0l3SWlBZ1EzVnpkRzl0WHpr
+MFBTSXdJaUFnCglRM1Z6ZEc5dFh6azFQU0l3SWlBZ1EzVnpkRzl0WHprMlBTSXdJaUFnUTNWemRH
+OXRYemszUFNJd0lpQWdRM1Z6ZEc5dAoJWHprNFBTSXdJaUFnUTNWemRHOXRYems1UFNJd0lpQWdR
+M1Z6ZEc5dFh6RXdNRDBpTUNJZ0lFTjFjM1J2YlY4eE1ERTkKCUlqQWlJQ0JEZFhOMGIyMWZNVEF5
+UFNJd0lpQWdRM1Z6ZEc5dFh6RXdNejBpTUNJZ0lFTjFjM1J2YlY4eE1EUTlJakFpCglJQ0JEZFhO
+MGIyMWZNVEExUFNJd0lpQWdRM1Z6ZEc5dFh6RXdOajBpTUNJZ0lFTjFjM1J2YlY4eE1EYzlJakFp
+SUNCRAoJZFhOMGIyMWZNVEE0UFNJd0lpQWdRM1Z6ZEc5dFh6RXdPVDBpTUNJZ0lFTjFjM1J2YlY4
+eE1UQTlJakFpSUNCRGRYTjAKCWIyMWZNVEV4UFNJd0lpQWdRM1Z6ZEc5dFh6RXhNajBpTUNJZ0lF
+TjFjM1J2YlY4eE1UTTlJakFpSUNCRGRYTjBiMjFmCglNVEUwUFNJd0lpQWdRM1Z6ZEc5dFh6RXhO
+VDBpTUNJZ0lFTjFjM1J2YlY4eE1UWTlJakFpSUNCRGRYTjBiMjFmTVRFMwoJUFNJd0lpQWdRM1Z6
+ZEc5dFh6RXhPRDBpTUNJZ0lFTjFjM1J2YlY4eE1UazlJakFpSUNCRGRYTjBiMjFmTVRJd1BTSXcK
+CUlpQWdRM1Z6ZEc5dFh6RXlNVDBpTUNJZ0lFTjFjM1J2YlY4eE1qSTlJakFpSUNCRGRYTjBiMjFm
+TVRJelBTSXdJaUFnCglRM1Z6ZEc5dFh6RXlORDBpTUNJZ0lFTjFjM1J2YlY4eE1qVTlJakFpSUNC
+RGRYTjBiMjFmTVRJMlBTSXdJaUFnUTNWegoJZEc5dFh6RXlOejBpTUNJZ0lHTnpZMmc5SWpBaUlD
+QkRVRk5qWHpBOUlqQWlJQ0JEVUZOalh6RTlJakFpSUNCRFVGTmoKCVh6STlJakFpSUNCRFVGTmpY
+ek05SWpBaUlDQkRVRk5qWHpROUlqQWlJQ0JEVUZOalh6VTlJakFpSUNCRFVGTmpYelk5CglJakFp
+SUNCRFVGTmpYemM5SWpBaUlENEtQRVZPVkZKWlJFVlRRMUlnSUc1aGJXVTlJaUlnSUd4cFluSmhj
+bms5SWlJZwoJSUVGVVZGSkpRbDlXUVV4VlJWOUVRVlJCUFNKemFYcGxQVEE3SWlBK0Nqd3ZSVTVV
+VWxsRVJWTkRVajRLSUR4TlQwUmYKCVRVRlVVa2xZSUNCemIzVnlZMlV3UFNKdlptWWlJQ0IwWVhK
+blpYUXdQU0p2Wm1ZaUlDQmtaV1pXTUQwaU0yWTRNREF3CglNREFpSUNCc2J6QTlJakFpSUNCb2FU
+QTlJakFpSUNCdGRYUmxNRDBpTUNJZ0lHUmhiWEF3UFNJd0lpQWdZV3hzTUQwaQoJTUNJZ0lITnZk
+WEpqWlRFOUltOW1aaUlnSUhSaGNtZGxkREU5SW05bVppSWdJR1JsWmxZeFBTSXpaamd3TURBd01D
+SWcKCUlHeHZNVDBpTUNJZ0lHaHBNVDBpTUNJZ0lHMTFkR1V4UFNJd0lpQWdaR0Z0Y0RFOUlqQWlJ
+Q0JoYkd3eFBTSXdJaUFnCgljMjkxY21ObE1qMGliMlptSWlBZ2RHRnlaMlYwTWowaWIyWm1JaUFn
+WkdWbVZqSTlJak5tT0RBd01EQXdJaUFnYkc4eQoJUFNJd0lpQWdhR2t5UFNJd0lpQWdiWFYwWlRJ
+OUlqQWlJQ0JrWVcxd01qMGlNQ0lnSUdGc2JESTlJakFpSUNCemIzVnkKCVkyVXpQU0p2Wm1ZaUlD
+QjBZWEpuWlhRelBTSnZabVlpSUNCa1pXWldNejBpTTJZNE1EQXdNREFpSUNCc2J6TTlJakFpCglJ
+Q0JvYVRNOUlqQWlJQ0J0ZFhSbE16MGlNQ0lnSUdSaGJYQXpQU0l3SWlBZ1lXeHNNejBpTUNJZ0lI
+TnZkWEpqWlRROQoJSW05bVppSWdJSFJoY21kbGREUTlJbTltWmlJZ0lHUmxabFkwUFNJelpqZ3dN
+REF3TUNJZ0lHeHZORDBpTUNJZ0lHaHAKCU5EMGlNQ0lnSUcxMWRHVTBQU0l3SWlBZ1pHRnRjRFE5
+SWpBaUlDQmhiR3cwUFNJd0lpQWdjMjkxY21ObE5UMGliMlptCglJaUFnZEdGeVoyVjBOVDBpYjJa
+bUlpQWdaR1ZtVmpVOUlqTm1PREF3TURBd0lpQWdiRzgxUFNJd0lpQWdhR2sxUFNJdwoJSWlBZ2JY
+VjBaVFU5SWpBaUlDQmtZVzF3TlQwaU1DSWdJR0ZzYkRVOUlqQWlJQ0J6YjNWeVkyVTJQU0p2Wm1Z
+aUlDQjAKCVlYSm5aWFEyUFNKdlptWWlJQ0JrWldaV05qMGlNMlk0TURBd01EQWlJQ0JzYnpZOUlq
+QWlJQ0JvYVRZOUlqQWlJQ0J0CglkWFJsTmowaU1DSWdJR1JoYlhBMlBTSXdJaUFnWVd4c05qMGlN
+Q0lnSUhOdmRYSmpaVGM5SW05bVppSWdJSFJoY21kbAoJZERjOUltOW1aaUlnSUdSbFpsWTNQU0l6
+Wmpnd01EQXdNQ0lnSUd4dk56MGlNQ0lnSUdocE56MGlNQ0lnSUcxMWRHVTMKCVBTSXdJaUFnWkdG
+dGNEYzlJakFpSUNCaGJHdzNQU0l3SWlBZ2MyOTFjbU5sT0QwaWIyWm1JaUFnZEdGeVoyVjBPRDBp
+CgliMlptSWlBZ1pHVm1Wamc5SWpObU9EQXdNREF3SWlBZ2JHODRQU0l3SWlBZ2FHazRQU0l3SWlB
+Z2JYVjBaVGc5SWpBaQoJSUNCa1lXMXdPRDBpTUNJZ0lHRnNiRGc5SWpBaUlDQnpiM1Z5WTJVNVBT
+SnZabVlpSUNCMFlYSm5aWFE1UFNKdlptWWkKCUlDQmtaV1pXT1QwaU0yWTRNREF3TURBaUlDQnNi
+ems5SWpBaUlDQm9hVGs5SWpBaUlDQnRkWFJsT1QwaU1DSWdJR1JoCgliWEE1UFNJd0lpQWdZV3hz
+T1QwaU1DSWdJSE52ZFhKalpURXdQU0p2Wm1ZaUlDQjBZWEpuWlhReE1EMGliMlptSWlBZwoJWkdW
+bVZqRXdQU0l6Wmpnd01EQXdNQ0lnSUd4dk1UQTlJakFpSUNCb2FURXdQU0l3SWlBZ2JYVjBaVEV3
+UFNJd0lpQWcKCVpHRnRjREV3UFNJd0lpQWdZV3hzTVRBOUlqQWlJQ0J6YjNWeVkyVXhNVDBpYjJa
+bUlpQWdkR0Z5WjJWME1URTlJbTltCglaaUlnSUdSbFpsWXhNVDBpTTJZNE1EQXdNREFpSUNCc2J6
+RXhQU0l3SWlBZ2FHa3hNVDBpTUNJZ0lHMTFkR1V4TVQwaQoJTUNJZ0lHUmhiWEF4TVQwaU1DSWdJ
+R0ZzYkRFeFBTSXdJaUFnYzI5MWNtTmxNVEk5SW05bVppSWdJSFJoY21kbGRERXkKCVBTSnZabVlp
+SUNCa1pXWldNVEk5SWpObU9EQXdNREF3SWlBZ2JHOHhNajBpTUNJZ0lHaHBNVEk5SWpBaUlDQnRk
+WFJsCglNVEk5SWpBaUlDQmtZVzF3TVRJOUlqQWlJQ0JoYkd3eE1qMGlNQ0lnSUhOdmRYSmpaVEV6
+UFNKdlptWWlJQ0IwWVhKbgoJWlhReE16MGliMlptSWlBZ1pHVm1WakV6UFNJelpqZ3dNREF3TUNJ
+Z0lHeHZNVE05SWpBaUlDQm9hVEV6UFNJd0lpQWcKCWJYVjBaVEV6UFNJd0lpQWdaR0Z0Y0RFelBT
+SXdJaUFnWVd4c01UTTlJakFpSUNCemIzVnlZMlV4TkQwaWIyWm1JaUFnCglkR0Z5WjJWME1UUTlJ
+bTltWmlJZ0lHUmxabFl4TkQwaU0yWTRNREF3TURBaUlDQnNiekUwUFNJd0lpQWdhR2t4TkQwaQoJ
+TUNJZ0lHMTFkR1V4TkQwaU1DSWdJR1JoYlhBeE5EMGlNQ0lnSUdGc2JERTBQU0l3SWlBZ2MyOTFj
+bU5sTVRVOUltOW0KCVppSWdJSFJoY21kbGRERTFQU0p2Wm1ZaUlDQmtaV1pXTVRVOUlqTm1PREF3
+TURBd0lpQWdiRzh4TlQwaU1DSWdJR2hwCglNVFU5SWpBaUlDQnRkWFJsTVRVOUlqQWlJQ0JrWVcx
+d01UVTlJakFpSUNCaGJHd3hOVDBpTUNJZ0lITnZkWEpqWlRFMgoJUFNKdlptWWlJQ0IwWVhKblpY
+UXhOajBpYjJabUlpQWdaR1ZtVmpFMlBTSXpaamd3TURBd01DSWdJR3h2TVRZOUlqQWkKCUlDQm9h
+VEUyUFNJd0lpQWdiWFYwWlRFMlBTSXdJaUFnWkdGdGNERTJQU0l3SWlBZ1lXeHNNVFk5SWpBaUlD
+QnpiM1Z5CglZMlV4TnowaWIyWm1JaUFnZEdGeVoyVjBNVGM5SW05bVppSWdJR1JsWmxZeE56MGlN
+Mlk0TURBd01EQWlJQ0JzYnpFMwoJUFNJd0lpQWdhR2t4TnowaU1DSWdJRzExZEdVeE56MGlNQ0ln
+SUdSaGJYQXhOejBpTUNJZ0lHRnNiREUzUFNJd0lpQWcKCWMyOTFjbU5sTVRnOUltOW1aaUlnSUhS
+aGNtZGxkREU0UFNKdlptWWlJQ0JrWldaV01UZzlJak5tT0RBd01EQXdJaUFnCgliRzh4T0QwaU1D
+SWdJR2hwTVRnOUlqQWlJQ0J0ZFhSbE1UZzlJakFpSUNCa1lXMXdNVGc5SWpBaUlDQmhiR3d4T0Qw
+aQoJTUNJZ0lITnZkWEpqWlRFNVBTSnZabVlpSUNCMFlYSm5aWFF4T1QwaWIyWm1JaUFnWkdWbVZq
+RTVQU0l6Wmpnd01EQXcKCU1DSWdJR3h2TVRrOUlqQWlJQ0JvYVRFNVBTSXdJaUFnYlhWMFpURTVQ
+U0l3SWlBZ1pHRnRjREU1UFNJd0lpQWdZV3hzCglNVGs5SWpBaUlDQnpiM1Z5WTJVeU1EMGliMlpt
+SWlBZ2RHRnlaMlYwTWpBOUltOW1aaUlnSUdSbFpsWXlNRDBpTTJZNAoJTURBd01EQWlJQ0JzYnpJ
+d1BTSXdJaUFnYUdreU1EMGlNQ0lnSUcxMWRHVXlNRDBpTUNJZ0lHUmhiWEF5TUQwaU1DSWcKCUlH
+RnNiREl3UFNJd0lpQWdjMjkxY21ObE1qRTlJbTltWmlJZ0lIUmhjbWRsZERJeFBTSnZabVlpSUNC
+a1pXWldNakU5CglJak5tT0RBd01EQXdJaUFnYkc4eU1UMGlNQ0lnSUdocE1qRTlJakFpSUNCdGRY
+UmxNakU5SWpBaUlDQmtZVzF3TWpFOQoJSWpBaUlDQmhiR3d5TVQwaU1DSWdJSE52ZFhKalpUSXlQ
+U0p2Wm1ZaUlDQjBZWEpuWlhReU1qMGliMlptSWlBZ1pHVm0KCVZqSXlQU0l6Wmpnd01EQXdNQ0ln
+SUd4dk1qSTlJakFpSUNCb2FUSXlQU0l3SWlBZ2JYVjBaVEl5UFNJd0lpQWdaR0Z0CgljREl5UFNJ
+d0lpQWdZV3hzTWpJOUlqQWlJQ0J6YjNWeVkyVXlNejBpYjJabUlpQWdkR0Z5WjJWME1qTTlJbTlt
+WmlJZwoJSUdSbFpsWXlNejBpTTJZNE1EQXdNREFpSUNCc2J6SXpQU0l3SWlBZ2FHa3lNejBpTUNJ
+Z0lHMTFkR1V5TXowaU1DSWcKCUlHUmhiWEF5TXowaU1DSWdJR0ZzYkRJelBTSXdJaUFnYzI5MWNt
+TmxNalE5SW05bVppSWdJSFJoY21kbGRESTBQU0p2CglabVlpSUNCa1pXWldNalE5SWpObU9EQXdN
+REF3SWlBZ2JHOHlORDBpTUNJZ0lHaHBNalE5SWpObU1EQXdNREF3SWlBZwoJYlhWMFpUSTBQU0l3
+SWlBZ1pHRnRjREkwUFNJd0lpQWdZV3hzTWpROUlqQWlJQ0J6YjNWeVkyVXlOVDBpYjJabUlpQWcK
+CWRHRnlaMlYwTWpVOUltOW1aaUlnSUdSbFpsWXlOVDBpTTJZNE1EQXdNREFpSUNCc2J6STFQU0l3
+SWlBZ2FHa3lOVDBpCglNMll3TURBd01EQWlJQ0J0ZFhSbE1qVTlJakFpSUNCa1lXMXdNalU5SWpB
+aUlDQmhiR3d5TlQwaU1DSWdJSE52ZFhKagoJWlRJMlBTSnZabVlpSUNCMFlYSm5aWFF5TmowaWIy
+Wm1JaUFnWkdWbVZqSTJQU0l6Wmpnd01EQXdNQ0lnSUd4dk1qWTkKCUlqQWlJQ0JvYVRJMlBTSXpa
+akF3TURBd01DSWdJRzExZEdVeU5qMGlNQ0lnSUdSaGJYQXlOajBpTUNJZ0lHRnNiREkyCglQU0l3
+SWlBZ2MyOTFjbU5sTWpjOUltOW1aaUlnSUhSaGNtZGxkREkzUFNKdlptWWlJQ0JrWldaV01qYzlJ
+ak5tT0RBdwoJTURBd0lpQWdiRzh5TnowaU1DSWdJR2hwTWpjOUlqTm1NREF3TURBd0lpQWdiWFYw
+WlRJM1BTSXdJaUFnWkdGdGNESTMKCVBTSXdJaUFnWVd4c01qYzlJakFpSUNCemIzVnlZMlV5T0Qw
+aWIyWm1JaUFnZEdGeVoyVjBNamc5SW05bVppSWdJR1JsCglabFl5T0QwaU0yWTRNREF3TURBaUlD
+QnNiekk0UFNJd0lpQWdhR2t5T0QwaU0yWXdNREF3TURBaUlDQnRkWFJsTWpnOQoJSWpBaUlDQmtZ
+VzF3TWpnOUlqQWlJQ0JoYkd3eU9EMGlNQ0lnSUhOdmRYSmpaVEk1UFNKdlptWWlJQ0IwWVhKblpY
+UXkKCU9UMGliMlptSWlBZ1pHVm1Wakk1UFNJelpqZ3dNREF3TUNJZ0lHeHZNams5SWpBaUlDQm9h
+VEk1UFNJelpqQXdNREF3CglNQ0lnSUcxMWRHVXlPVDBpTUNJZ0lHUmhiWEF5T1QwaU1DSWdJR0Zz
+YkRJNVBTSXdJaUFnYzI5MWNtTmxNekE5SW05bQoJWmlJZ0lIUmhjbWRsZERNd1BTSnZabVlpSUNC
+a1pXWldNekE5SWpObU9EQXdNREF3SWlBZ2JHOHpNRDBpTUNJZ0lHaHAKCU16QTlJak5tTURBd01E
+QXdJaUFnYlhWMFpUTXdQU0l3SWlBZ1pHRnRjRE13UFNJd0lpQWdZV3hzTXpBOUlqQWlJQ0J6Cgli
+M1Z5WTJVek1UMGliMlptSWlBZ2RHRnlaMlYwTXpFOUltOW1aaUlnSUdSbFpsWXpNVDBpTTJZNE1E
+QXdNREFpSUNCcwoJYnpNeFBTSXdJaUFnYUdrek1UMGlNMll3TURBd01EQWlJQ0J0ZFhSbE16RTlJ
+akFpSUNCa1lXMXdNekU5SWpBaUlDQmgKCWJHd3pNVDBpTUNJZ0lITnZkWEpqWlRNeVBTSnZabVlp
+SUNCMFlYSm5aWFF6TWowaWIyWm1JaUFnWkdWbVZqTXlQU0l6Cglaamd3TURBd01DSWdJR3h2TXpJ
+OUlqQWlJQ0JvYVRNeVBTSXpaakF3TURBd01DSWdJRzExZEdVek1qMGlNQ0lnSUdSaAoJYlhBek1q
+MGlNQ0lnSUdGc2JETXlQU0l3SWlBZ2MyOTFjbU5sTXpNOUltOW1aaUlnSUhSaGNtZGxkRE16UFNK
+dlptWWkKCUlDQmtaV1pXTXpNOUlqTm1PREF3TURBd0lpQWdiRzh6TXowaU1DSWdJR2hwTXpNOUlq
+Tm1NREF3TURBd0lpQWdiWFYwCglaVE16UFNJd0lpQWdaR0Z0Y0RNelBTSXdJaUFnWVd4c016TTlJ
+akFpSUNCemIzVnlZMlV6TkQwaWIyWm1JaUFnZEdGeQoJWjJWME16UTlJbTltWmlJZ0lHUmxabFl6
+TkQwaU0yWTRNREF3TURBaUlDQnNiek0wUFNJd0lpQWdhR2t6TkQwaU0yWXcKCU1EQXdNREFpSUNC
+dGRYUmxNelE5SWpBaUlDQmtZVzF3TXpROUlqQWlJQ0JoYkd3ek5EMGlNQ0lnSUhOdmRYSmpaVE0x
+CglQU0p2Wm1ZaUlDQjBZWEpuWlhRek5UMGliMlptSWlBZ1pHVm1Wak0xUFNJelpqZ3dNREF3TUNJ
+Z0lHeHZNelU5SWpBaQoJSUNCb2FUTTFQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXpOVDBpTUNJZ0lH
+UmhiWEF6TlQwaU1DSWdJR0ZzYkRNMVBTSXcKCUlpQWdjMjkxY21ObE16WTlJbTltWmlJZ0lIUmhj
+bWRsZERNMlBTSnZabVlpSUNCa1pXWldNelk5SWpObU9EQXdNREF3CglJaUFnYkc4ek5qMGlNQ0ln
+SUdocE16WTlJak5tTURBd01EQXdJaUFnYlhWMFpUTTJQU0l3SWlBZ1pHRnRjRE0yUFNJdwoJSWlB
+Z1lXeHNNelk5SWpBaUlDQnpiM1Z5WTJVek56MGliMlptSWlBZ2RHRnlaMlYwTXpjOUltOW1aaUln
+SUdSbFpsWXoKCU56MGlNMlk0TURBd01EQWlJQ0JzYnpNM1BTSXdJaUFnYUdrek56MGlNMll3TURB
+d01EQWlJQ0J0ZFhSbE16YzlJakFpCglJQ0JrWVcxd016YzlJakFpSUNCaGJHd3pOejBpTUNJZ0lI
+TnZkWEpqWlRNNFBTSnZabVlpSUNCMFlYSm5aWFF6T0QwaQoJYjJabUlpQWdaR1ZtVmpNNFBTSXpa
+amd3TURBd01DSWdJR3h2TXpnOUlqQWlJQ0JvYVRNNFBTSXpaakF3TURBd01DSWcKCUlHMTFkR1V6
+T0QwaU1DSWdJR1JoYlhBek9EMGlNQ0lnSUdGc2JETTRQU0l3SWlBZ2MyOTFjbU5sTXprOUltOW1a
+aUlnCglJSFJoY21kbGRETTVQU0p2Wm1ZaUlDQmtaV1pXTXprOUlqTm1PREF3TURBd0lpQWdiRzh6
+T1QwaU1DSWdJR2hwTXprOQoJSWpObU1EQXdNREF3SWlBZ2JYVjBaVE01UFNJd0lpQWdaR0Z0Y0RN
+NVBTSXdJaUFnWVd4c016azlJakFpSUNCemIzVnkKCVkyVTBNRDBpYjJabUlpQWdkR0Z5WjJWME5E
+QTlJbTltWmlJZ0lHUmxabFkwTUQwaU0yWTRNREF3TURBaUlDQnNielF3CglQU0l3SWlBZ2FHazBN
+RDBpTTJZd01EQXdNREFpSUNCdGRYUmxOREE5SWpBaUlDQmtZVzF3TkRBOUlqQWlJQ0JoYkd3MAoJ
+TUQwaU1DSWdJSE52ZFhKalpUUXhQU0p2Wm1ZaUlDQjBZWEpuWlhRME1UMGliMlptSWlBZ1pHVm1W
+alF4UFNJelpqZ3cKCU1EQXdNQ0lnSUd4dk5ERTlJakFpSUNCb2FUUXhQU0l6WmpBd01EQXdNQ0ln
+SUcxMWRHVTBNVDBpTUNJZ0lHUmhiWEEwCglNVDBpTUNJZ0lHRnNiRFF4UFNJd0lpQWdjMjkxY21O
+bE5ESTlJbTltWmlJZ0lIUmhjbWRsZERReVBTSnZabVlpSUNCawoJWldaV05ESTlJak5tT0RBd01E
+QXdJaUFnYkc4ME1qMGlNQ0lnSUdocE5ESTlJak5tTURBd01EQXdJaUFnYlhWMFpUUXkKCVBTSXdJ
+aUFnWkdGdGNEUXlQU0l3SWlBZ1lXeHNOREk5SWpBaUlDQnpiM1Z5WTJVME16MGliMlptSWlBZ2RH
+RnlaMlYwCglORE05SW05bVppSWdJR1JsWmxZME16MGlNMlk0TURBd01EQWlJQ0JzYnpRelBTSXdJ
+aUFnYUdrME16MGlNMll3TURBdwoJTURBaUlDQnRkWFJsTkRNOUlqQWlJQ0JrWVcxd05ETTlJakFp
+SUNCaGJHdzBNejBpTUNJZ0lITnZkWEpqWlRRMFBTSnYKCVptWWlJQ0IwWVhKblpYUTBORDBpYjJa
+bUlpQWdaR1ZtVmpRMFBTSXpaamd3TURBd01DSWdJR3h2TkRROUlqQWlJQ0JvCglhVFEwUFNJelpq
+QXdNREF3TUNJZ0lHMTFkR1UwTkQwaU1DSWdJR1JoYlhBME5EMGlNQ0lnSUdGc2JEUTBQU0l3SWlB
+ZwoJYzI5MWNtTmxORFU5SW05bVppSWdJSFJoY21kbGREUTFQU0p2Wm1ZaUlDQmtaV1pXTkRVOUlq
+Tm1PREF3TURBd0lpQWcKCWJHODBOVDBpTUNJZ0lHaHBORFU5SWpObU1EQXdNREF3SWlBZ2JYVjBa
+VFExUFNJd0lpQWdaR0Z0Y0RRMVBTSXdJaUFnCglZV3hzTkRVOUlqQWlJQ0J6YjNWeVkyVTBOajBp
+YjJabUlpQWdkR0Z5WjJWME5EWTlJbTltWmlJZ0lHUmxabFkwTmowaQoJTTJZNE1EQXdNREFpSUNC
+c2J6UTJQU0l3SWlBZ2FHazBOajBpTTJZd01EQXdNREFpSUNCdGRYUmxORFk5SWpBaUlDQmsKCVlX
+MXdORFk5SWpBaUlDQmhiR3cwTmowaU1DSWdJSE52ZFhKalpUUTNQU0p2Wm1ZaUlDQjBZWEpuWlhR
+ME56MGliMlptCglJaUFnWkdWbVZqUTNQU0l6Wmpnd01EQXdNQ0lnSUd4dk5EYzlJakFpSUNCb2FU
+UTNQU0l6WmpBd01EQXdNQ0lnSUcxMQoJZEdVME56MGlNQ0lnSUdSaGJYQTBOejBpTUNJZ0lHRnNi
+RFEzUFNJd0lpQStDand2VFU5RVgwMUJWRkpKV0Q0S0lEeFcKCVQwbERSU0FnY0dGMWVHdzlJakFp
+SUNCd1lYVjRhWEJ2WmowaU1DSWdQZ284UmtsTVZFVlNJQ0JoWTNROUlqQWlJQ0J3CglZWEpoUFNJ
+d0lpQWdZbUZzUFNJd0lpQWdabkpsY1QwaU1DSWdJSE53Y21ROUlqQWlJQ0J5WlhNOUlqQWlJQ0Jy
+WlhrOQoJSWpBaUlDQnJaWGxwYm5ZOUlqQWlJQ0JyWlhsdGNEMGlNQ0lnSUdWdWRtUndkR2c5SWpB
+aUlDQmxiblprY0hSb2FXNTIKCVBTSXdJaUFnYm1GdFpUMGlNQ0lnSUdGamRERTlJakFpSUNCMGVY
+QmxNVDBpTUNJZ0lHWnlaWEV4UFNJd0lpQWdjbVZ6CglNVDBpTUNJZ0lIQmhiakU5SWpBaUlDQmhZ
+M1F5UFNJd0lpQWdkSGx3WlRJOUlqQWlJQ0JtY21WeE1qMGlNQ0lnSUhKbAoJY3pJOUlqQWlJQ0J3
+WVc0eVBTSXdJaUFnWkdsemRGQnZjM1E5SWpBaUlDQmxjVkJ2YzNROUlqQWlJQ0JPWVcxbFUzUnkK
+CVBTSWlJRDRLUEVWUk1USWdJRUZqZEdsMlpUMGlNQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWlJQ0JR
+TWowaU1DSWdJRkF6CglQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURj
+OUlqQWlJQ0JRT0QwaU1DSWdJRkE1UFNJdwoJSWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VE
+RXlQU0l3SWlBZ1VERXpQU0l3SWlBZ1VERTBQU0l3SWlBK0Nqd3YKCVJWRXhNajRLSUR4RlVUSWdJ
+RUZqZEdsMlpUMGlNQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaU1DSWdJRkF6CglQU0l3
+SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRT0QwaU1DSWdJ
+RkE1UFNJdwoJSWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3
+SWlBZ1VERTBQU0l3SWlBK0Nqd3YKCVJWRXlQZ29nUEVSSlUxUWdJRUZqZEdsMlpUMGlNQ0lnSUZB
+d1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaU1DSWdJRkF6CglQU0l3SWlBZ1VEUTlJakFpSUNCUU5U
+MGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRT0QwaU1DSWdJRkE1UFNJdwoJSWlBZ1VERXdQ
+U0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3SWlBZ1VERTBQU0l3SWlBK0Nq
+d3YKCVJFbFRWRDRLSUR3dlJrbE1WRVZTUGdvZ1BGZEJWa1ZUU0VGUVJWSWdJR0ZqZEQwaU1DSWdJ
+SFI1Y0dVOUlqQWlJQ0J3CgliM005SWpBaUlDQmtjSFJvUFNJd0lpQWdaMkZwYmowaU1DSWdJRzFw
+ZUQwaU1DSWdJSFJ2Ym1VOUlqQWlJQ0JpWXowaQoJTUNJZ0lITnljbVJqUFNJd0lpQWdiV2R5Wm5r
+eFBTSXdJaUFnYldkeVpua3lQU0l3SWlBZ2JtRnRaVDBpTUNJZ0lFNWgKCWJXVlRkSEk5SWlJZ1Bn
+bzhMMWRCVmtWVFNFRlFSVkkrQ2lBOFQxTkRJQ0IwZVhCbFBTSXdJaUFnYTJsdVpEMGlNQ0lnCglJ
+SEZzUFNJd0lpQWdjV3h5UFNJd0lpQWdjWEp5UFNJelpqZ3dNREF3TUNJZ0lIRnlQU0l6Wmpnd01E
+QXdNQ0lnSUhSMQoJYm1VOUlqQWlJQ0IwZFc1bFJtbHVaVDBpTUNJZ0lHWnBibVZUWTJ3OUlqRWlJ
+Q0J3WkdWd2RHZzlJakFpSUNCd2QybGsKCWRHZzlJakFpSUNCdlkzUTlJakFpSUNCelpXMXBQU0l3
+SWlBZ2JHVjJaV3c5SWpBaUlDQndZVzQ5SWpBaUlDQndiM0owCglQU0l3SWlBZ2NHOXlkRUZqZEQw
+aU1DSWdJSFJ3Y3owaU1DSWdJR1pzVkdWdGNHdzlJakFpSUNCbWJGTndaRDBpTTJZdwoJTURBd01E
+QWlJQ0JtYkV4dmIzQTlJak5tT0RBd01EQXdJaUFnYlc5a2FXNTBQU0l3SWlBZ2JXOWtaR1Z3ZEdn
+OUlqQWkKCUlDQm1iVDBpTUNJZ0lHWnRhM1E5SWpBaUlDQm1iWGRtUFNJd0lpQWdabTF6WTJ3OUlq
+QWlJQ0JtYlhCa1BTSXdJaUFnCglabTF3ZHowaU1DSWdJR1p0YUhNOUlqQWlJQ0JCVFcxdlpHbHVk
+RDBpTUNJZ0lFRk5iVzlrWkdWd2RHZzlJakFpSUNCaAoJYlQwaU1DSWdJR0Z0YTNROUlqQWlJQ0Jo
+YlhkbVBTSXdJaUFnWVcxelkydzlJakFpSUNCaGJYQmtQU0l3SWlBZ1lXMXcKCWR6MGlNQ0lnSUdG
+dGFITTlJakFpSUNCbmNtRnVQU0l3SWlBZ2JtZHlZV2x1Y3owaU1DSWdJR2R5WVdsdU16MGlNQ0ln
+CglJR2R5WVdsdU5EMGlNQ0lnSUdkeVlXbHVOVDBpTUNJZ0lHZHlZV2x1TmowaU1DSWdJR2R5WVc1
+VGNISmtQU0l3SWlBZwoJWjNKaGJsQkVhWEk5SWpBaUlDQm5jbUZ1VUVGalkzVnRQU0l3SWlBZ1oz
+SmhiazFwZUQwaU1DSWdJR2R5WVc1RmVIQTkKCUlqQWlJQ0JuY21GdVZISm5QU0l3SWlBZ1pXbEdj
+a3h2WXowaU1DSWdJR2R5WVc1UWIzTTlJakFpSUNCbmNtRnVWakU5CglJakFpSUNCMVkyNTBQU0l3
+SWlBZ2RXUndkR2c5SWpBaUlDQjFkMlIwYUQwaU1DSWdJSFZrY0hKblBTSXdJaUFnZFc5agoJZEQw
+aU1DSWdJSFZrY21aMFBTSXdJaUFnZFhad2N6MGlNQ0lnSUdoeVpITnVZejBpTUNJZ0lISmxjSFJq
+YUQwaU1DSWcKCUlITndhR0U5SWpBaUlDQnpZVzVoUFNJd0lpQWdZWFJ5YlQwaU1DSWdJSE56WlhN
+OUlqQWlJQ0J6YzJWemVUMGlNQ0lnCglJSFp0ZEQwaU1DSWdJSFp0WVQwaU1DSWdJR056YzJoa1lX
+MXdQU0l3SWlBK0NqeElRVkpOSUNCQlkzUXhQU0l3SWlBZwoJYkhac01UMGlNQ0lnSUhCaGJqRTlJ
+akFpSUNCMGRXNHhQU0l3SWlBZ2MyMXBNVDBpTUNJZ0lITm9jREU5SWpBaUlDQnoKCWVXMXRNVDBp
+TUNJZ0lITjViakU5SWpBaUlDQjNabTB4UFNJd0lpQWdRV04wTWowaU1DSWdJR3gyYkRJOUlqQWlJ
+Q0J3CglZVzR5UFNJd0lpQWdkSFZ1TWowaU1DSWdJSE50YVRJOUlqQWlJQ0J6YUhBeVBTSXdJaUFn
+YzNsdGJUSTlJakFpSUNCegoJZVc0eVBTSXdJaUFnZDJadE1qMGlNQ0lnSUVGamRETTlJakFpSUNC
+c2Rtd3pQU0l3SWlBZ2NHRnVNejBpTUNJZ0lIUjEKCWJqTTlJakFpSUNCemJXa3pQU0l3SWlBZ2My
+aHdNejBpTUNJZ0lITjViVzB6UFNJd0lpQWdjM2x1TXowaU1DSWdJSGRtCgliVE05SWpBaUlDQkJZ
+M1EwUFNJd0lpQWdiSFpzTkQwaU1DSWdJSEJoYmpROUlqQWlJQ0IwZFc0MFBTSXdJaUFnYzIxcAoJ
+TkQwaU1DSWdJSE5vY0RROUlqQWlJQ0J6ZVcxdE5EMGlNQ0lnSUhONWJqUTlJakFpSUNCM1ptMDBQ
+U0l3SWlBZ2JXOWsKCVBTSXdJaUFnYldsNFBTSXdJaUErQ2p3dlNFRlNUVDRLSUR4VVQwNUZWMGhG
+UlV3Z0lHUnlkekU5SWpObU1EQXdNREF3CglJaUFnWkhKM01qMGlNMll3TURBd01EQWlJQ0JrY25j
+elBTSXpaakF3TURBd01DSWdJR1J5ZHpROUlqTm1NREF3TURBdwoJSWlBZ1pISjNOVDBpTUNJZ0lH
+Unlkelk5SWpBaUlDQmtjbmMzUFNJd0lpQWdaSEozT0QwaU1DSWdJR1J5ZHprOUlqQWkKCUlDQnda
+V1F4UFNJelpqQXdNREF3TUNJZ0lIQmxaREk5SWpObU1EQXdNREF3SWlBZ1UzQlBiajBpTUNJZ0lG
+WlBiajBpCglNQ0lnSUZadGIyUmxQU0l3SWlBZ1VHOXVQU0l3SWlBZ1VITnZablE5SWpBaUlDQlFa
+bUZ6ZEQwaU1DSWdJRkJvWVhKdAoJUFNJd0lpQWdVM0JyY2owaU1DSWdJRU5zYVdOclBTSXdJaUFn
+U0hWdFBTSXdJaUFnUVdkbFBTSXdJaUFnV0hSaGJHczkKCUlqQWlJQ0JNYjNkbWIyeGtQU0l6Wmpn
+d01EQXdNQ0lnSUZBNVpEMGlNMlk0TURBd01EQWlJQ0JRYkdWblBTSXpaamd3CglNREF3TUNJZ0lG
+QmthVzA5SWpObU9EQXdNREF3SWlBK0Nqd3ZWRTlPUlZkSVJVVk1QZ29nUEZkQlZrVlRJRDRLUEM5
+WAoJUVZaRlV6NEtJRHhHVFZkQlZrVlRJRDRLUEM5R1RWZEJWa1ZUUGdvZ1BFRk5WMEZXUlZNZ1Bn
+bzhMMEZOVjBGV1JWTSsKCUNpQThMMDlUUXo0S0lEeEdSVTVXSUNCalBTSTRJaUFnY0dGdVBTSXdJ
+aUFnZW05dmJUMGlNMll3T0RNeE9HTWlJRDRLCglQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBp
+TUNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBKwoJQ2lBOGNDQWdiRDBpTTJZ
+NE1EQXdNREFpSUNCMFBTSXpZekl6WkRjd01DSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXcKCU1D
+SWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WTJFelpEY3dNQ0lnSUhN
+OUlqQWlJQ0JqCglQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01E
+QWlJQ0IwUFNJelkyWTFZekk0TlNJZwoJSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhM
+M0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXoKCVpESXpaRGN3TlNJZ0lITTlJakFp
+SUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3CglNREFpSUNC
+MFBTSXpaRFJqWTJOak55SWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4
+Y0NBZwoJYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WkRjMVl6STRZU0lnSUhNOUlqQWlJQ0JqUFNJ
+elpqZ3dNREF3TUNJZ1BnbzgKCUwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpE
+aG1OV015TlNJZ0lITTlJakFpSUNCalBTSXpaamd3CglNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdi
+RDBpTUNJZ0lIUTlJak5rWVROa056QTFJaUFnY3owaU1DSWdJR005SWpObQoJT0RBd01EQXdJaUEr
+Q2p3dmNENEtJRHd2UmtWT1ZqNEtJRHhHUlU1V1VFRlNRVTFUSUNCaFBTSXdJaUFnYUQwaU1DSWcK
+CUlHUTlJakFpSUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1qY2lJQ0JvYjJ4a1BTSXpaVFkw
+WmpreU55SWdJR1JsCglZM2s5SWpObE5qUm1PVEkzSWlBZ2MzVnpkRDBpTTJZNE1EQXdNREFpSUNC
+eVpXeHpQU0l6WlRZMFpqa3lOeUlnSUhOdAoJY0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1WXowaU1D
+SWdJSE53WkQwaU1DSWdJSFJ5WjAxa1BTSXdJaUFnZG1Wc2MyVnUKCWN6MGlNQ0lnSUcxbmJIWnNj
+ejBpTUNJZ0lHMW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWdJR05vYzFSeVp6MGlNQ0lnCglJR0Yw
+WTJoelBTSXdJaUErQ2p3dlJrVk9WbEJCVWtGTlV6NEtJRHhCUlU1V0lDQmpQU0k0SWlBZ2NHRnVQ
+U0l3SWlBZwoJZW05dmJUMGlNMll3T0RNeE9HTWlJRDRLUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFn
+ZEQwaU1DSWdJSE05SWpBaUlDQmoKCVBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQw
+aU0yWTRNREF3TURBaUlDQjBQU0l6WXpJelpEY3dNQ0lnCglJSE05SWpBaUlDQmpQU0l6Wmpnd01E
+QXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJegoJWTJFelpEY3dN
+Q0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1E
+QXcKCU1EQWlJQ0IwUFNJelkyWTFZekk0TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQ
+Z284TDNBK0NpQThjQ0FnCgliRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpaREl6WkRjd05TSWdJSE05
+SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOAoJTDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURB
+aUlDQjBQU0l6WkRSalkyTmpOeUlnSUhNOUlqQWlJQ0JqUFNJelpqZ3cKCU1EQXdNQ0lnUGdvOEwz
+QStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpEYzFZekk0WVNJZ0lITTlJakFpCglJ
+Q0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBT
+SXpaRGhtTldNeQoJTlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThj
+Q0FnYkQwaU1DSWdJSFE5SWpOa1lUTmsKCU56QTFJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3
+SWlBK0Nqd3ZjRDRLSUR3dlFVVk9WajRLSUR4QlJVNVdVRUZTCglRVTFUSUNCdmJrOW1aajBpTUNJ
+Z0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJegoJWlRZMFpq
+a3lOeUlnSUdodmJHUTlJak5sTmpSbU9USTNJaUFnWkdWamVUMGlNMlUyTkdZNU1qY2lJQ0J6ZFhO
+MFBTSXoKCVpqZ3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEkzSWlBZ2MyMXdQU0l3SWlBZ2JI
+QTlJakFpSUNCemVXNWpQU0l3CglJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpa
+VzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkagoJY25aelBTSXdJaUFnWkhCMFBTSXdJaUFn
+WTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlCUlU1V1VFRlMKCVFVMVRQZ29nUEVW
+R1JsSkJRMHNnUGdvOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBp
+CglNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpB
+aUlDQlFOajBpTUNJZwoJSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1D
+SWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWcKCUlGQXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpk
+R2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOCglUMFJWVEVVZ0lGUjVjR1U5
+SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBegoJUFNJ
+d0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0ln
+SUZBNVBTSXcKCUlpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJ
+d0lpQWdVREUwUFNJd0lpQWdRV04wCglhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BF
+VkdSazFQUkZWTVJTQWdWSGx3WlQwaVRtOGdSV1ptWldOMAoJSWlBZ1VEQTlJakFpSUNCUU1UMGlN
+Q0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWcKCVVEWTlJakFp
+SUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJ
+Q0JRCglNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRL
+UEM5RlJrWk5UMFJWVEVVKwoJQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNR
+aUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTkKCUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lp
+QWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpCglJQ0JRT1QwaU1DSWdJ
+RkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaQoJ
+TUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEd3ZSVVpHVWtGRFN6NEtJ
+RHd2Vms5SlEwVSsKCUNpQThWazlKUTBVZ0lIQmhkWGhzUFNJd0lpQWdjR0YxZUdsd2IyWTlJakFp
+SUQ0S1BFWkpURlJGVWlBZ1lXTjBQU0l3CglJaUFnY0dGeVlUMGlNQ0lnSUdKaGJEMGlNQ0lnSUda
+eVpYRTlJakFpSUNCemNISmtQU0l3SWlBZ2NtVnpQU0l3SWlBZwoJYTJWNVBTSXdJaUFnYTJWNWFX
+NTJQU0l3SWlBZ2EyVjViWEE5SWpBaUlDQmxiblprY0hSb1BTSXdJaUFnWlc1MlpIQjAKCWFHbHVk
+ajBpTUNJZ0lHNWhiV1U5SWpBaUlDQmhZM1F4UFNJd0lpQWdkSGx3WlRFOUlqQWlJQ0JtY21WeE1U
+MGlNQ0lnCglJSEpsY3pFOUlqQWlJQ0J3WVc0eFBTSXdJaUFnWVdOME1qMGlNQ0lnSUhSNWNHVXlQ
+U0l3SWlBZ1puSmxjVEk5SWpBaQoJSUNCeVpYTXlQU0l3SWlBZ2NHRnVNajBpTUNJZ0lHUnBjM1JR
+YjNOMFBTSXdJaUFnWlhGUWIzTjBQU0l3SWlBZ1RtRnQKCVpWTjBjajBpSWlBK0NqeEZVVEV5SUNC
+QlkzUnBkbVU5SWpBaUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpCglJQ0JRTXowaU1D
+SWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNC
+UQoJT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1D
+SWdJRkF4TkQwaU1DSWcKCVBnbzhMMFZSTVRJK0NpQThSVkV5SUNCQlkzUnBkbVU5SWpBaUlDQlFN
+RDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpCglJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5
+SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUQoJT1QwaU1DSWdJRkF4TUQw
+aU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWcKCVBn
+bzhMMFZSTWo0S0lEeEVTVk5VSUNCQlkzUnBkbVU5SWpBaUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlB
+Z1VESTlJakFpCglJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lG
+QTNQU0l3SWlBZ1VEZzlJakFpSUNCUQoJT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJ
+RkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWcKCVBnbzhMMFJKVTFRK0NpQThMMFpK
+VEZSRlVqNEtJRHhYUVZaRlUwaEJVRVZTSUNCaFkzUTlJakFpSUNCMGVYQmxQU0l3CglJaUFnY0c5
+elBTSXdJaUFnWkhCMGFEMGlNQ0lnSUdkaGFXNDlJakFpSUNCdGFYZzlJakFpSUNCMGIyNWxQU0l3
+SWlBZwoJWW1NOUlqQWlJQ0J6Y25Ka1l6MGlNQ0lnSUcxbmNtWjVNVDBpTUNJZ0lHMW5jbVo1TWow
+aU1DSWdJRzVoYldVOUlqQWkKCUlDQk9ZVzFsVTNSeVBTSWlJRDRLUEM5WFFWWkZVMGhCVUVWU1Bn
+b2dQRTlUUXlBZ2RIbHdaVDBpTUNJZ0lHdHBibVE5CglJakFpSUNCeGJEMGlNQ0lnSUhGc2NqMGlN
+Q0lnSUhGeWNqMGlNMlk0TURBd01EQWlJQ0J4Y2owaU0yWTRNREF3TURBaQoJSUNCMGRXNWxQU0l3
+SWlBZ2RIVnVaVVpwYm1VOUlqQWlJQ0JtYVc1bFUyTnNQU0l4SWlBZ2NHUmxjSFJvUFNJd0lpQWcK
+CWNIZHBaSFJvUFNJd0lpQWdiMk4wUFNJd0lpQWdjMlZ0YVQwaU1DSWdJR3hsZG1Wc1BTSXdJaUFn
+Y0dGdVBTSXdJaUFnCgljRzl5ZEQwaU1DSWdJSEJ2Y25SQlkzUTlJakFpSUNCMGNITTlJakFpSUNC
+bWJGUmxiWEJzUFNJd0lpQWdabXhUY0dROQoJSWpObU1EQXdNREF3SWlBZ1pteE1iMjl3UFNJelpq
+Z3dNREF3TUNJZ0lHMXZaR2x1ZEQwaU1DSWdJRzF2WkdSbGNIUm8KCVBTSXdJaUFnWm0wOUlqQWlJ
+Q0JtYld0MFBTSXdJaUFnWm0xM1pqMGlNQ0lnSUdadGMyTnNQU0l3SWlBZ1ptMXdaRDBpCglNQ0ln
+SUdadGNIYzlJakFpSUNCbWJXaHpQU0l3SWlBZ1FVMXRiMlJwYm5ROUlqQWlJQ0JCVFcxdlpHUmxj
+SFJvUFNJdwoJSWlBZ1lXMDlJakFpSUNCaGJXdDBQU0l3SWlBZ1lXMTNaajBpTUNJZ0lHRnRjMk5z
+UFNJd0lpQWdZVzF3WkQwaU1DSWcKCUlHRnRjSGM5SWpBaUlDQmhiV2h6UFNJd0lpQWdaM0poYmow
+aU1DSWdJRzVuY21GcGJuTTlJakFpSUNCbmNtRnBiak05CglJakFpSUNCbmNtRnBialE5SWpBaUlD
+Qm5jbUZwYmpVOUlqQWlJQ0JuY21GcGJqWTlJakFpSUNCbmNtRnVVM0J5WkQwaQoJTUNJZ0lHZHlZ
+VzVRUkdseVBTSXdJaUFnWjNKaGJsQkJZMk4xYlQwaU1DSWdJR2R5WVc1TmFYZzlJakFpSUNCbmNt
+RnUKCVJYaHdQU0l3SWlBZ1ozSmhibFJ5WnowaU1DSWdJR1ZwUm5KTWIyTTlJakFpSUNCbmNtRnVV
+Rzl6UFNJd0lpQWdaM0poCglibFl4UFNJd0lpQWdkV051ZEQwaU1DSWdJSFZrY0hSb1BTSXdJaUFn
+ZFhka2RHZzlJakFpSUNCMVpIQnlaejBpTUNJZwoJSUhWdlkzUTlJakFpSUNCMVpISm1kRDBpTUNJ
+Z0lIVjJjSE05SWpBaUlDQm9jbVJ6Ym1NOUlqQWlJQ0J5WlhCMFkyZzkKCUlqQWlJQ0J6Y0doaFBT
+SXdJaUFnYzJGdVlUMGlNQ0lnSUdGMGNtMDlJakFpSUNCemMyVnpQU0l3SWlBZ2MzTmxjM2s5CglJ
+akFpSUNCMmJYUTlJakFpSUNCMmJXRTlJakFpSUNCamMzTm9aR0Z0Y0QwaU1DSWdQZ284U0VGU1RT
+QWdRV04wTVQwaQoJTUNJZ0lHeDJiREU5SWpBaUlDQndZVzR4UFNJd0lpQWdkSFZ1TVQwaU1DSWdJ
+SE50YVRFOUlqQWlJQ0J6YUhBeFBTSXcKCUlpQWdjM2x0YlRFOUlqQWlJQ0J6ZVc0eFBTSXdJaUFn
+ZDJadE1UMGlNQ0lnSUVGamRESTlJakFpSUNCc2Rtd3lQU0l3CglJaUFnY0dGdU1qMGlNQ0lnSUhS
+MWJqSTlJakFpSUNCemJXa3lQU0l3SWlBZ2MyaHdNajBpTUNJZ0lITjViVzB5UFNJdwoJSWlBZ2Mz
+bHVNajBpTUNJZ0lIZG1iVEk5SWpBaUlDQkJZM1F6UFNJd0lpQWdiSFpzTXowaU1DSWdJSEJoYmpN
+OUlqQWkKCUlDQjBkVzR6UFNJd0lpQWdjMjFwTXowaU1DSWdJSE5vY0RNOUlqQWlJQ0J6ZVcxdE16
+MGlNQ0lnSUhONWJqTTlJakFpCglJQ0IzWm0welBTSXdJaUFnUVdOME5EMGlNQ0lnSUd4MmJEUTlJ
+akFpSUNCd1lXNDBQU0l3SWlBZ2RIVnVORDBpTUNJZwoJSUhOdGFUUTlJakFpSUNCemFIQTBQU0l3
+SWlBZ2MzbHRiVFE5SWpBaUlDQnplVzQwUFNJd0lpQWdkMlp0TkQwaU1DSWcKCUlHMXZaRDBpTUNJ
+Z0lHMXBlRDBpTUNJZ1BnbzhMMGhCVWswK0NpQThWRTlPUlZkSVJVVk1JQ0JrY25jeFBTSXpaakF3
+CglNREF3TUNJZ0lHUnlkekk5SWpObU1EQXdNREF3SWlBZ1pISjNNejBpTTJZd01EQXdNREFpSUNC
+a2NuYzBQU0l6WmpBdwoJTURBd01DSWdJR1J5ZHpVOUlqQWlJQ0JrY25jMlBTSXdJaUFnWkhKM056
+MGlNQ0lnSUdSeWR6ZzlJakFpSUNCa2NuYzUKCVBTSXdJaUFnY0dWa01UMGlNMll3TURBd01EQWlJ
+Q0J3WldReVBTSXpaakF3TURBd01DSWdJRk53VDI0OUlqQWlJQ0JXCglUMjQ5SWpBaUlDQldiVzlr
+WlQwaU1DSWdJRkJ2YmowaU1DSWdJRkJ6YjJaMFBTSXdJaUFnVUdaaGMzUTlJakFpSUNCUQoJYUdG
+eWJUMGlNQ0lnSUZOd2EzSTlJakFpSUNCRGJHbGphejBpTUNJZ0lFaDFiVDBpTUNJZ0lFRm5aVDBp
+TUNJZ0lGaDAKCVlXeHJQU0l3SWlBZ1RHOTNabTlzWkQwaU0yWTRNREF3TURBaUlDQlFPV1E5SWpO
+bU9EQXdNREF3SWlBZ1VHeGxaejBpCglNMlk0TURBd01EQWlJQ0JRWkdsdFBTSXpaamd3TURBd01D
+SWdQZ284TDFSUFRrVlhTRVZGVEQ0S0lEeFhRVlpGVXlBKwoJQ2p3dlYwRldSVk0rQ2lBOFJrMVhR
+VlpGVXlBK0Nqd3ZSazFYUVZaRlV6NEtJRHhCVFZkQlZrVlRJRDRLUEM5QlRWZEIKCVZrVlRQZ29n
+UEM5UFUwTStDaUE4UmtWT1ZpQWdZejBpT0NJZ0lIQmhiajBpTUNJZ0lIcHZiMjA5SWpObU1EZ3pN
+VGhqCglJaUErQ2p4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqQWlJQ0J6UFNJd0lpQWdZejBp
+TTJZNE1EQXdNREFpSUQ0SwoJUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJN
+eU0yUTNNREFpSUNCelBTSXdJaUFnWXowaU0yWTQKCU1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lH
+dzlJak5tT0RBd01EQXdJaUFnZEQwaU0yTmhNMlEzTURBaUlDQnpQU0l3CglJaUFnWXowaU0yWTRN
+REF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMk5tTldNeQoJ
+T0RVaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1P
+REF3TURBd0lpQWcKCWREMGlNMlF5TTJRM01EVWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFp
+SUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tCglPREF3TURBd0lpQWdkRDBpTTJRMFkyTmpZemNpSUNC
+elBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZwoJUEhBZ0lHdzlJak5tT0RBd01E
+QXdJaUFnZEQwaU0yUTNOV015T0dFaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWkKCUlENEtQ
+Qzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMlE0WmpWak1qVWlJQ0J6UFNJd0lp
+QWdZejBpCglNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqQWlJQ0IwUFNJelpHRXpa
+RGN3TlNJZ0lITTlJakFpSUNCagoJUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOEwwWkZUbFkr
+Q2lBOFJrVk9WbEJCVWtGTlV5QWdZVDBpTUNJZ0lHZzkKCUlqQWlJQ0JrUFNJd0lpQWdjajBpTUNJ
+Z0lHRjBkR3M5SWpObE5qUm1PVEkzSWlBZ2FHOXNaRDBpTTJVMk5HWTVNamNpCglJQ0JrWldONVBT
+SXpaVFkwWmpreU55SWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TWpj
+aQoJSUNCemJYQTlJakFpSUNCc2NEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFpSUNCMGNt
+ZE5aRDBpTUNJZ0lIWmwKCWJITmxibk05SWpBaUlDQnRaMngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJ
+akFpSUNCa2NIUTlJakFpSUNCamFITlVjbWM5CglJakFpSUNCaGRHTm9jejBpTUNJZ1BnbzhMMFpG
+VGxaUVFWSkJUVk0rQ2lBOFFVVk9WaUFnWXowaU9DSWdJSEJoYmowaQoJTUNJZ0lIcHZiMjA5SWpO
+bU1EZ3pNVGhqSWlBK0NqeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJakFpSUNCelBTSXcKCUlp
+QWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQw
+aU0yTXlNMlEzCglNREFpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BI
+QWdJR3c5SWpObU9EQXdNREF3SWlBZwoJZEQwaU0yTmhNMlEzTURBaUlDQnpQU0l3SWlBZ1l6MGlN
+Mlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm0KCU9EQXdNREF3SWlBZ2REMGlNMk5t
+TldNeU9EVWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nCglQSEFnSUd3
+OUlqTm1PREF3TURBd0lpQWdkRDBpTTJReU0yUTNNRFVpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3
+TURBaQoJSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUTBZMk5qWXpj
+aUlDQnpQU0l3SWlBZ1l6MGkKCU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9E
+QXdNREF3SWlBZ2REMGlNMlEzTldNeU9HRWlJQ0J6CglQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJ
+RDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJRNAoJWmpWak1qVWlJQ0J6
+UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJakFpSUNCMFBTSXoK
+CVpHRXpaRGN3TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThMMEZG
+VGxZK0NpQThRVVZPCglWbEJCVWtGTlV5QWdiMjVQWm1ZOUlqQWlJQ0JoUFNJd0lpQWdhRDBpTUNJ
+Z0lHUTlJakFpSUNCeVBTSXdJaUFnWVhSMAoJYXowaU0yVTJOR1k1TWpjaUlDQm9iMnhrUFNJelpU
+WTBaamt5TnlJZ0lHUmxZM2s5SWpObE5qUm1PVEkzSWlBZ2MzVnoKCWREMGlNMlk0TURBd01EQWlJ
+Q0J5Wld4elBTSXpaVFkwWmpreU55SWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1CglZejBp
+TUNJZ0lITndaRDBpTUNJZ0lIUnlaMDFrUFNJd0lpQWdkbVZzYzJWdWN6MGlNQ0lnSUcxbmJIWnNj
+ejBpTUNJZwoJSUcxblkzSjJjejBpTUNJZ0lHUndkRDBpTUNJZ0lHTm9jMVJ5WnowaU1DSWdJR0Yw
+WTJoelBTSXdJaUErQ2p3dlFVVk8KCVZsQkJVa0ZOVXo0S0lEeEZSa1pTUVVOTElENEtQRVZHUmsx
+UFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnCglVREE5SWpBaUlDQlFNVDBpTUNJZ0lG
+QXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOQoJSWpBaUlDQlFO
+ejBpTUNJZ0lGQTRQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1U
+STkKCUlqQWlJQ0JRTVRNOUlqQWlJQ0JRTVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZS
+a1pOVDBSVlRFVStDaUE4CglSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JR
+TUQwaU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaQoJSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURV
+OUlqQWlJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlEKCU9UMGlNQ0lnSUZBeE1E
+MGlNQ0lnSUZBeE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnCglJ
+RUZqZEdsMlpUMGlNQ0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZSNWNH
+VTlJazV2SUVWbQoJWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQ
+U0l3SWlBZ1VEUTlJakFpSUNCUU5UMGkKCU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBp
+TUNJZ0lGQTVQU0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3CglJaUFnVURFeVBTSXdJaUFnVURF
+elBTSXdJaUFnVURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RQoJVlV4RlBn
+b2dQRVZHUmsxUFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQw
+aU1DSWcKCUlGQXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlq
+QWlJQ0JRTnowaU1DSWdJRkE0CglQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJ
+akFpSUNCUU1USTlJakFpSUNCUU1UTTlJakFpSUNCUQoJTVRROUlqQWlJQ0JCWTNScGRtVTlJakFp
+SUQ0S1BDOUZSa1pOVDBSVlRFVStDaUE4TDBWR1JsSkJRMHMrQ2lBOEwxWlAKCVNVTkZQZ29nUEUx
+VlRGUkpVMEZOVUV4RklDQk1ZWGxsY2pCV2IydzlJakFpSUNCTVlYbGxjakJCWTNROUlqQWlJQ0JN
+CglZWGxsY2pCTmREMGlNQ0lnSUV4aGVXVnlNRVpzUFNJd0lpQWdUR0Y1WlhJeFZtOXNQU0l3SWlB
+Z1RHRjVaWEl4UVdOMAoJUFNJd0lpQWdUR0Y1WlhJeFRYUTlJakFpSUNCTVlYbGxjakZHYkQwaU1D
+SWdJRXhoZVdWeU1sWnZiRDBpTUNJZ0lFeGgKCWVXVnlNa0ZqZEQwaU1DSWdJRXhoZVdWeU1rMTBQ
+U0l3SWlBZ1RHRjVaWEl5Um13OUlqQWlJQ0JNWVhsbGNqTldiMnc5CglJakFpSUNCTVlYbGxjak5C
+WTNROUlqQWlJQ0JNWVhsbGNqTk5kRDBpTUNJZ0lFeGhlV1Z5TTBac1BTSXdJaUFnY21WcwoJVm05
+c1BTSXdJaUFnY0dWa1RIWnNQU0l3SWlBZ2NHVmtSbGc5SWpObU9EQXdNREF3SWlBZ2MzSjRabUZr
+WlQwaU1DSWcKCUlISmxiRkoxYkdVOUlqQWlJQ0IwYVcxaWNtVTlJakFpSUNCMFltMWtQU0l3SWlB
+Z1pXNXpjMjV5YkQwaU1DSWdJSEpsCgljSFJqYUhKbGJEMGlNQ0lnSUhOemNtVjJjR0k5SWpBaUlD
+QnRiMmR5YVdaNVBTSXdJaUFnYzNOMGFHbHVSVzQ5SWpBaQoJSUQ0S1BDOU5WVXhVU1ZOQlRWQk1S
+VDRLSUR4TlZVeFVTVk5CVFZCTVJTQWdUR0Y1WlhJd1ZtOXNQU0l3SWlBZ1RHRjUKCVpYSXdRV04w
+UFNJd0lpQWdUR0Y1WlhJd1RYUTlJakFpSUNCTVlYbGxjakJHYkQwaU1DSWdJRXhoZVdWeU1WWnZi
+RDBpCglNQ0lnSUV4aGVXVnlNVUZqZEQwaU1DSWdJRXhoZVdWeU1VMTBQU0l3SWlBZ1RHRjVaWEl4
+Um13OUlqQWlJQ0JNWVhsbAoJY2pKV2IydzlJakFpSUNCTVlYbGxjakpCWTNROUlqQWlJQ0JNWVhs
+bGNqSk5kRDBpTUNJZ0lFeGhlV1Z5TWtac1BTSXcKCUlpQWdUR0Y1WlhJelZtOXNQU0l3SWlBZ1RH
+RjVaWEl6UVdOMFBTSXdJaUFnVEdGNVpYSXpUWFE5SWpBaUlDQk1ZWGxsCgljak5HYkQwaU1DSWdJ
+SEpsYkZadmJEMGlNQ0lnSUhCbFpFeDJiRDBpTUNJZ0lIQmxaRVpZUFNJelpqZ3dNREF3TUNJZwoJ
+SUhOeWVHWmhaR1U5SWpBaUlDQnlaV3hTZFd4bFBTSXdJaUFnZEdsdFluSmxQU0l3SWlBZ2RHSnRa
+RDBpTUNJZ0lHVnUKCWMzTnVjbXc5SWpBaUlDQnlaWEIwWTJoeVpXdzlJakFpSUNCemMzSmxkbkJp
+UFNJd0lpQWdiVzluY21sbWVUMGlNQ0lnCglJSE56ZEdocGJrVnVQU0l3SWlBK0Nqd3ZUVlZNVkVs
+VFFVMVFURVUrQ2lBOFJVWkdVa0ZEU3lBK0NqeEZSa1pOVDBSVgoJVEVVZ0lGUjVjR1U5SWs1dklF
+Vm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXcKCUlpQWdV
+RFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBT
+SXdJaUFnCglVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdV
+REUwUFNJd0lpQWdRV04wYVhabAoJUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQ
+UkZWTVJTQWdWSGx3WlQwaVRtOGdSV1ptWldOMElpQWcKCVVEQTlJakFpSUNCUU1UMGlNQ0lnSUZB
+eVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5CglJakFpSUNCUU56
+MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJ
+OQoJSWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RlJr
+Wk5UMFJWVEVVK0NpQTgKCVJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFN
+RDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpCglJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5
+SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUQoJT1QwaU1DSWdJRkF4TUQw
+aU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWcKCUlF
+RmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOVDBSVlRFVWdJRlI1Y0dV
+OUlrNXZJRVZtCglabVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBT
+SXdJaUFnVURROUlqQWlJQ0JRTlQwaQoJTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlN
+Q0lnSUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnVURFeFBTSXcKCUlpQWdVREV5UFNJd0lpQWdVREV6
+UFNJd0lpQWdVREUwUFNJd0lpQWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFCglWVXhGUGdv
+Z1BDOUZSa1pTUVVOTFBnb2dQRUZWV0VWR1JsSkJRMHNnUGdvOFJVWkdUVTlFVlV4RklDQlVlWEJs
+UFNKTwoJYnlCRlptWmxZM1FpSUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXow
+aU1DSWdJRkEwUFNJd0lpQWcKCVVEVTlJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlq
+QWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4CglNVDBpTUNJZ0lGQXhNajBpTUNJZ0lGQXhN
+ejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWRwoJUmsxUFJGVk1SVDRL
+SUR4RlJrWk5UMFJWVEVVZ0lGUjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTkK
+CUlqQWlJQ0JRTWowaU1DSWdJRkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3
+SWlBZ1VEYzlJakFpCglJQ0JRT0QwaU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJ
+d0lpQWdVREV5UFNJd0lpQWdVREV6UFNJdwoJSWlBZ1VERTBQU0l3SWlBZ1FXTjBhWFpsUFNJd0lp
+QStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJTQWcKCVZIbHdaVDBpVG04Z1JXWm1a
+V04wSWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRCglORDBp
+TUNJZ0lGQTFQU0l3SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJ
+Q0JRTVRBOQoJSWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5
+SWpBaUlDQkJZM1JwZG1VOUlqQWkKCUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4
+RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpCglNQ0lnSUZBeFBTSXdJaUFnVURJOUlq
+QWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZwoJSUZBM1BTSXdJ
+aUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1D
+SWcKCUlGQXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBS
+RlZNUlQ0S0lEd3ZRVlZZCglSVVpHVWtGRFN6NEtJRHhNUms5ZlUwVlVJRDRLUEV4R1R5QWdkSGx3
+WlQwaU1DSWdJR05sYm5SbGNqMGlNQ0lnSUhOMwoJYVc1blBTSXdJaUFnY21GMFpUMGlNQ0lnSUhK
+dVpIUnlQU0l3SWlBZ2NtRnVaSEpuUFNJd0lpQWdjbUZ1WkhKbGRqMGkKCU1DSWdJSEIxYkhObGJX
+bDRQU0l3SWlBZ2NIVnNjMlZ5WVhSbFBTSXdJaUFnYzJOaGJHVTlJakFpSUNCemVXNWpQU0l3CglJ
+aUFnY21WelpYUjBjajBpTUNJZ0lHVnVkbVJ3ZEdnOUlqQWlJQ0JpY0c5c1lYSTlJakFpSUNCd2FH
+RnpaVDBpTUNJZwoJSUhWdWFXUnBjajBpTUNJZ1BnbzhMMHhHVHo0S0lEeE1SazhnSUhSNWNHVTlJ
+akFpSUNCalpXNTBaWEk5SWpBaUlDQnoKCWQybHVaejBpTUNJZ0lISmhkR1U5SWpBaUlDQnlibVIw
+Y2owaU1DSWdJSEpoYm1SeVp6MGlNQ0lnSUhKaGJtUnlaWFk5CglJakFpSUNCd2RXeHpaVzFwZUQw
+aU1DSWdJSEIxYkhObGNtRjBaVDBpTUNJZ0lITmpZV3hsUFNJd0lpQWdjM2x1WXowaQoJTUNJZ0lI
+SmxjMlYwZEhJOUlqQWlJQ0JsYm5aa2NIUm9QU0l3SWlBZ1luQnZiR0Z5UFNJd0lpQWdjR2hoYzJV
+OUlqQWkKCUlDQjFibWxrYVhJOUlqQWlJRDRLUEM5TVJrOCtDaUE4VEVaUElDQjBlWEJsUFNJd0lp
+QWdZMlZ1ZEdWeVBTSXdJaUFnCgljM2RwYm1jOUlqQWlJQ0J5WVhSbFBTSXdJaUFnY201a2RISTlJ
+akFpSUNCeVlXNWtjbWM5SWpBaUlDQnlZVzVrY21WMgoJUFNJd0lpQWdjSFZzYzJWdGFYZzlJakFp
+SUNCd2RXeHpaWEpoZEdVOUlqQWlJQ0J6WTJGc1pUMGlNQ0lnSUhONWJtTTkKCUlqQWlJQ0J5WlhO
+bGRIUnlQU0l3SWlBZ1pXNTJaSEIwYUQwaU1DSWdJR0p3YjJ4aGNqMGlNQ0lnSUhCb1lYTmxQU0l3
+CglJaUFnZFc1cFpHbHlQU0l3SWlBK0Nqd3ZURVpQUGdvZ1BFeEdUeUFnZEhsd1pUMGlNQ0lnSUdO
+bGJuUmxjajBpTUNJZwoJSUhOM2FXNW5QU0l3SWlBZ2NtRjBaVDBpTUNJZ0lISnVaSFJ5UFNJd0lp
+QWdjbUZ1WkhKblBTSXdJaUFnY21GdVpISmwKCWRqMGlNQ0lnSUhCMWJITmxiV2w0UFNJd0lpQWdj
+SFZzYzJWeVlYUmxQU0l3SWlBZ2MyTmhiR1U5SWpBaUlDQnplVzVqCglQU0l3SWlBZ2NtVnpaWFIw
+Y2owaU1DSWdJR1Z1ZG1Sd2RHZzlJakFpSUNCaWNHOXNZWEk5SWpBaUlDQndhR0Z6WlQwaQoJTUNJ
+Z0lIVnVhV1JwY2owaU1DSWdQZ284TDB4R1R6NEtJRHhNUms4Z0lIUjVjR1U5SWpBaUlDQmpaVzUw
+WlhJOUlqQWkKCUlDQnpkMmx1WnowaU1DSWdJSEpoZEdVOUlqQWlJQ0J5Ym1SMGNqMGlNQ0lnSUhK
+aGJtUnlaejBpTUNJZ0lISmhibVJ5CglaWFk5SWpBaUlDQndkV3h6WlcxcGVEMGlNQ0lnSUhCMWJI
+TmxjbUYwWlQwaU1DSWdJSE5qWVd4bFBTSXdJaUFnYzNsdQoJWXowaU1DSWdJSEpsYzJWMGRISTlJ
+akFpSUNCbGJuWmtjSFJvUFNJd0lpQWdZbkJ2YkdGeVBTSXdJaUFnY0doaGMyVTkKCUlqQWlJQ0Ix
+Ym1sa2FYSTlJakFpSUQ0S1BDOU1SazgrQ2lBOFRFWlBJQ0IwZVhCbFBTSXdJaUFnWTJWdWRHVnlQ
+U0l3CglJaUFnYzNkcGJtYzlJakFpSUNCeVlYUmxQU0l3SWlBZ2NtNWtkSEk5SWpBaUlDQnlZVzVr
+Y21jOUlqQWlJQ0J5WVc1awoJY21WMlBTSXdJaUFnY0hWc2MyVnRhWGc5SWpBaUlDQndkV3h6WlhK
+aGRHVTlJakFpSUNCelkyRnNaVDBpTUNJZ0lITjUKCWJtTTlJakFpSUNCeVpYTmxkSFJ5UFNJd0lp
+QWdaVzUyWkhCMGFEMGlNQ0lnSUdKd2IyeGhjajBpTUNJZ0lIQm9ZWE5sCglQU0l3SWlBZ2RXNXBa
+R2x5UFNJd0lpQStDand2VEVaUFBnb2dQRXhHVHlBZ2RIbHdaVDBpTUNJZ0lHTmxiblJsY2owaQoJ
+TUNJZ0lITjNhVzVuUFNJd0lpQWdjbUYwWlQwaU1DSWdJSEp1WkhSeVBTSXdJaUFnY21GdVpISm5Q
+U0l3SWlBZ2NtRnUKCVpISmxkajBpTUNJZ0lIQjFiSE5sYldsNFBTSXdJaUFnY0hWc2MyVnlZWFJs
+UFNJd0lpQWdjMk5oYkdVOUlqQWlJQ0J6CgllVzVqUFNJd0lpQWdjbVZ6WlhSMGNqMGlNQ0lnSUdW
+dWRtUndkR2c5SWpBaUlDQmljRzlzWVhJOUlqQWlJQ0J3YUdGegoJWlQwaU1DSWdJSFZ1YVdScGNq
+MGlNQ0lnUGdvOEwweEdUejRLSUR4TVJrOGdJSFI1Y0dVOUlqQWlJQ0JqWlc1MFpYSTkKCUlqQWlJ
+Q0J6ZDJsdVp6MGlNQ0lnSUhKaGRHVTlJakFpSUNCeWJtUjBjajBpTUNJZ0lISmhibVJ5WnowaU1D
+SWdJSEpoCglibVJ5WlhZOUlqQWlJQ0J3ZFd4elpXMXBlRDBpTUNJZ0lIQjFiSE5sY21GMFpUMGlN
+Q0lnSUhOallXeGxQU0l3SWlBZwoJYzNsdVl6MGlNQ0lnSUhKbGMyVjBkSEk5SWpBaUlDQmxiblpr
+Y0hSb1BTSXdJaUFnWW5CdmJHRnlQU0l3SWlBZ2NHaGgKCWMyVTlJakFpSUNCMWJtbGthWEk5SWpB
+aUlENEtQQzlNUms4K0NpQThMMHhHVDE5VFJWUStDaUE4VFU5RVJVNVdVRUZTCglRVTFUSUNCaFBT
+SXdJaUFnYUQwaU1DSWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNbVVpSUNC
+bwoJYjJ4a1BTSXpaVFkwWmpreVpTSWdJR1JsWTNrOUlqTmxOalJtT1RKbUlpQWdjM1Z6ZEQwaU0y
+WTRNREF3TURBaUlDQnkKCVpXeHpQU0l6WlRZMFpqa3laQ0lnSUhOdGNEMGlNQ0lnSUd4d1BTSXdJ
+aUFnYzNsdVl6MGlNQ0lnSUhOd1pEMGlNQ0lnCglJSFJ5WjAxa1BTSXdJaUFnZG1Wc2MyVnVjejBp
+TUNJZ0lHMW5iSFpzY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSdwoJZEQwaU1DSWdJR05vYzFS
+eVp6MGlNQ0lnSUdGMFkyaHpQU0l3SWlBK0Nqd3ZUVTlFUlU1V1VFRlNRVTFUUGdvZ1BFMVAKCVJG
+OUZUbFl5WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJ
+elpUWTBaamt5CglaU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1t
+WWlJQ0J6ZFhOMFBTSXpaamd3TURBdwoJTUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQ
+U0l3SWlBZ2JIQTlJakFpSUNCemVXNWpQU0l3SWlBZ2MzQmsKCVBTSXdJaUFnZEhKblRXUTlJakFp
+SUNCMlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkamNuWnpQU0l3CglJaUFnWkhC
+MFBTSXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOVDBSZlJVNVdNbDh5
+UGdvZwoJUEUxUFJGOUZUbFl5WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpB
+aUlDQmhkSFJyUFNJelpUWTAKCVpqa3laU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVU
+MGlNMlUyTkdZNU1tWWlJQ0J6ZFhOMFBTSXpaamd3CglNREF3TUNJZ0lISmxiSE05SWpObE5qUm1P
+VEprSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNCemVXNWpQU0l3SWlBZwoJYzNCa1BTSXdJaUFn
+ZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkamNuWnoK
+CVBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlO
+VDBSZlJVNVdNbDh5CglQZ29nUEUxUFJGOUZUbFl5WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQw
+aU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJegoJWlRZMFpqa3laU0lnSUdodmJHUTlJak5sTmpSbU9U
+SmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6ZFhOMFBTSXoKCVpqZ3dNREF3TUNJZ0lISmxi
+SE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNCemVXNWpQU0l3CglJaUFn
+YzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBTSXdJ
+aUFnYldkagoJY25aelBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05
+SWpBaUlENEtQQzlOVDBSZlJVNVcKCU1sOHlQZ29nUEUxUFJGOUZUbFl5WHpJZ0lHRTlJakFpSUNC
+b1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyCglQU0l6WlRZMFpqa3laU0lnSUdodmJH
+UTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6ZFhOMAoJUFNJelpqZ3dN
+REF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNCemVX
+NWoKCVBTSXdJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lpQWdi
+V2RzZG14elBTSXdJaUFnCgliV2RqY25aelBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5QU0l3
+SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOVDBSZgoJUlU1V01sOHlQZ29nUEUxUFJGOUZUbFl5WHpJ
+Z0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmgKCWRIUnJQU0l6WlRZMFpq
+a3laU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6Cglk
+WE4wUFNJelpqZ3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JI
+QTlJakFpSUNCegoJZVc1alBTSXdJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpa
+VzV6UFNJd0lpQWdiV2RzZG14elBTSXcKCUlpQWdiV2RqY25aelBTSXdJaUFnWkhCMFBTSXdJaUFn
+WTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOCglUMFJmUlU1V01sOHlQZ29nUEVO
+MWMzUnZiVVJoZEdFeUlENEtQQzlEZFhOMGIyMUVZWFJoTWo0S0lEd3ZVMWxPVkVoRgoJVGtjK0Np
+QThMMU41Ym5Sb1JXNW5hVzVsUGdvZ1BDOVRlVzUwYUZOMVlrVnVaMmx1WlQ0S0lEeFRlVzUwYUZO
+MVlrVnUKCVoybHVaU0ErQ2p4VGVXNTBhRVZ1WjJsdVpTQStDanhCVWxBZ0lFRnljRTF2WkdVOUlq
+QWlJQ0JCY25CRGJHOWphejBpCglNQ0lnSUVGeWNFeGxiajBpTUNJZ0lFRnljRk4zYVc1blBTSXdJ
+aUFnUVhKd1ZtVnNUV2w0UFNJd0lpQWdRWEp3U0hWdAoJUFNJd0lpQWdRWEp3U0hWdFZtVnNQU0l3
+SWlBZ1FYSndTSFZ0VkdsbmFIUkViM2R1UFNJelpqZ3dNREF3TUNJZ0lFRnkKCWNFOWpkRDBpTUNJ
+Z0lFRnljRTl1VDJabVBTSXdJaUFnUVhKd1VHaGhjMlU5SWpBaUlDQkJjbkJHWldWc1IzSnZiM1ps
+CglUMjVQWm1ZOUlqQWlJQ0JCY25CVGJtRndWRzlIY21sa1QyNVBabVk5SWpBaUlDQkJjbkJUY0dR
+OUlqQWlJQ0JCY25CUQoJYkhrOUlqQWlJQ0JCY25CU1pYTmxkRDBpTUNJZ0lFRnljRk53WVc0OUlq
+TmpZVE5rTnpCaElpQWdRWEp3VTI1d1IzSjIKCWRIazlJakFpSUNCQmNuQkhjbTl2ZG1WT1lXMWxQ
+U0lpSUQ0S1BFRlNVRk5GVVRJZ0lGUkZUVkJQUFNJME1tWXdNREF3CglNQ0lnSUZSSlEwdFRVRVZT
+VVZWQlVsUkZVajBpTUNJZ0lGUkpUVVZUU1VkT1ZVMDlJalFpSUNCVVNVMUZVMGxIUkVWTwoJVDAw
+OUlqUWlJRDRLUEZOTVNVTkZVMFZSVTFSRlVDQWdRa1ZIU1U0OUlqQWlJQ0JGVGtROUlqQWlJQ0JE
+U0QwaUxURWkKCUlDQlRURWxEUlVsT1JFVllQU0l5TlRraUlDQldSVXc5SWpFeU55SWdJRk5RUFNJ
+d0lpQWdVMVJTVTFBOUlqTmxPREF3CglNREF3SWlBK0Nqd3ZVMHhKUTBWVFJWRlRWRVZRUGdvZ1BD
+OUJVbEJUUlZFeVBnb2dQRUZTVUVaRlJVeFRSVkVnSUZSRgoJVFZCUFBTSTBNbVl3TURBd01DSWdJ
+RlJKUTB0VFVFVlNVVlZCVWxSRlVqMGlOREU1TWlJZ0lGUkpUVVZUU1VkT1ZVMDkKCUlqUWlJQ0JV
+U1UxRlUwbEhSRVZPVDAwOUlqUWlJRDRLUEZOTVNVTkZVMFZSVTFSRlVDQWdRa1ZIU1U0OUlqRTJO
+elk0CglJaUFnUlU1RVBTSXhOamMyT0NJZ0lFTklQU0l0TVNJZ0lGTk1TVU5GU1U1RVJWZzlJaTB4
+SWlBZ1ZrVk1QU0l4TWpjaQoJSUNCVFZGSlRVRDBpTTJVNE1EQXdNREFpSUQ0S1BDOVRURWxEUlZO
+RlVWTlVSVkErQ2lBOEwwRlNVRVpGUlV4VFJWRSsKCUNpQThMMEZTVUQ0S0lEeFRXVTVVU0VWT1J5
+QWdWbVZ5Y3owaU1qa2lJQ0JpY2pBOUlqTm1OREF3TURBd0lpQWdZalF3CglQU0l3SWlBZ1luSXhQ
+U0l6WmpRd01EQXdNQ0lnSUdJME1UMGlNQ0lnSUdKeU1qMGlNMlkwTURBd01EQWlJQ0JpTkRJOQoJ
+SWpBaUlDQmljak05SWpObU5EQXdNREF3SWlBZ1lqUXpQU0l3SWlBZ1luSTBQU0l6WmpRd01EQXdN
+Q0lnSUdJME5EMGkKCU1DSWdJR0p5TlQwaU0yWTBNREF3TURBaUlDQmlORFU5SWpBaUlDQmljalk5
+SWpObU5EQXdNREF3SWlBZ1lqUTJQU0l3CglJaUFnWW5JM1BTSXpaalF3TURBd01DSWdJR0kwTnow
+aU1DSWdJSEZ2YmowaU1DSWdJSEZ0YjJSbFBTSXdJaUFnY1daaAoJWkdVOUlqQWlJQ0J6ZFhOdFpE
+MGlNQ0lnSUhKbGNHdHBiR3c5SWpBaUlDQmtiWEJzZEQwaU1DSWdJSFJ6WTJ3OUlqQWkKCUlDQnNU
+RVpQVUQwaU9UazVJaUFnYkUxRmJuWlFQU0kzTnpjaUlDQnphR0Z5WlQwaU1DSWdJSEJ3ZG5NOUlq
+Tm1NREF3CglNREF3SWlBZ2NIQmpjRDBpTTJZd01EQXdNREFpSUNCd2IyeDVQU0l3SWlBZ2NHSmpk
+WFE5SWpReFpqZ3dNREF3SWlBZwoJY0dKMWNEMGlNQ0lnSUhCaVpHNDlJakFpSUNCMlkzZzlJakFp
+SUNCMlkzazlJakFpSUNCMlkyYzlJakFpSUNCMlkySTkKCUlqQWlJQ0JzWldkdFBTSXdJaUFnZFhO
+bFRHVm5QU0l3SWlBZ2JHVm5TVzUwUFNJd0lpQWdjMjV5ZEhKblBTSXdJaUFnCgljR3hsWnowaU1D
+SWdJR2RoYVc0OUlqQWlJQ0J0Wm1aeWNUMGlNQ0lnSUcxbWJXUTlJakFpSUNCdFpuRTlJakFpSUNC
+awoJYzJsaFBTSXdJaUFnWkhOcFlqMGlNQ0lnSUdSellXSjRaajBpTUNJZ0lIWnBjekU5SWpBaUlD
+QjJhWE15UFNJd0lpQWcKCWRtbHpNejBpTUNJZ0lIWnBjelE5SWpBaUlDQjJhWE0xUFNJd0lpQWdk
+bWx6TmowaU1DSWdJSE5qYmtSd2RHZzlJakFpCglJQ0J6WTI1TmFYZzlJakFpSUNCelkyNVRaV3c5
+SWpBaUlDQndiM0owVmpJOUlqQWlJQ0J6WTI1TlFUMGlNQ0lnSUhOagoJYmsxRFBTSXdJaUFnYjNK
+aVUzUTlJakFpSUNCdmNtSkpia0Z0Ym5ROUlqQWlJQ0J2Y21KSmJsTjBQU0l3SWlBZ1UyTmwKCWJt
+VkRiMjF3YjI1bGJuUXdQU0l3SWlBZ1UyTmxibVZEYjIxd2IyNWxiblF4UFNJd0lpQWdVMk5sYm1W
+RGIyMXdiMjVsCgliblF5UFNJd0lpQWdVMk5sYm1WRGIyMXdiMjVsYm5RelBTSXdJaUFnYVhKelpX
+NWtZWFY0UFNJd0lpQWdjR0YxZUhKcwoJUFNJd0lpQWdZbmx3WVhOelBTSXdJaUFnZEhWdWNHRjBh
+RDBpSWlBZ2IzSnBaMHhwWWs1aGJXVTlJaUlnSUc5eWFXZFEKCVlYUmphRTVoYldVOUlpSWdJRU4x
+YzNSdmJWOHdQU0l3SWlBZ1EzVnpkRzl0WHpFOUlqQWlJQ0JEZFhOMGIyMWZNajBpCglNQ0lnSUVO
+MWMzUnZiVjh6UFNJd0lpQWdRM1Z6ZEc5dFh6UTlJakFpSUNCRGRYTjBiMjFmTlQwaU1DSWdJRU4x
+YzNSdgoJYlY4MlBTSXdJaUFnUTNWemRHOXRYemM5SWpBaUlDQkRkWE4wYjIxZk9EMGlNQ0lnSUVO
+MWMzUnZiVjg1UFNJd0lpQWcKCVEzVnpkRzl0WHpFd1BTSXdJaUFnUTNWemRHOXRYekV4UFNJd0lp
+QWdRM1Z6ZEc5dFh6RXlQU0l3SWlBZ1EzVnpkRzl0CglYekV6UFNJd0lpQWdRM1Z6ZEc5dFh6RTBQ
+U0l3SWlBZ1EzVnpkRzl0WHpFMVBTSXdJaUFnUTNWemRHOXRYekUyUFNJdwoJSWlBZ1EzVnpkRzl0
+WHpFM1BTSXdJaUFnUTNWemRHOXRYekU0UFNJd0lpQWdRM1Z6ZEc5dFh6RTVQU0l3SWlBZ1EzVnoK
+CWRHOXRYekl3UFNJd0lpQWdRM1Z6ZEc5dFh6SXhQU0l3SWlBZ1EzVnpkRzl0WHpJeVBTSXdJaUFn
+UTNWemRHOXRYekl6CglQU0l3SWlBZ1EzVnpkRzl0WHpJMFBTSXdJaUFnUTNWemRHOXRYekkxUFNJ
+d0lpQWdRM1Z6ZEc5dFh6STJQU0l3SWlBZwoJUTNWemRHOXRYekkzUFNJd0lpQWdRM1Z6ZEc5dFh6
+STRQU0l3SWlBZ1EzVnpkRzl0WHpJNVBTSXdJaUFnUTNWemRHOXQKCVh6TXdQU0l3SWlBZ1EzVnpk
+Rzl0WHpNeFBTSXdJaUFnUTNWemRHOXRYek15UFNJd0lpQWdRM1Z6ZEc5dFh6TXpQU0l3CglJaUFn
+UTNWemRHOXRYek0wUFNJd0lpQWdRM1Z6ZEc5dFh6TTFQU0l3SWlBZ1EzVnpkRzl0WHpNMlBTSXdJ
+aUFnUTNWegoJZEc5dFh6TTNQU0l3SWlBZ1EzVnpkRzl0WHpNNFBTSXdJaUFnUTNWemRHOXRYek01
+UFNJd0lpQWdRM1Z6ZEc5dFh6UXcKCVBTSXdJaUFnUTNWemRHOXRYelF4UFNJd0lpQWdRM1Z6ZEc5
+dFh6UXlQU0l3SWlBZ1EzVnpkRzl0WHpRelBTSXdJaUFnCglRM1Z6ZEc5dFh6UTBQU0l3SWlBZ1Ez
+VnpkRzl0WHpRMVBTSXdJaUFnUTNWemRHOXRYelEyUFNJd0lpQWdRM1Z6ZEc5dAoJWHpRM1BTSXdJ
+aUFnUTNWemRHOXRYelE0UFNJd0lpQWdRM1Z6ZEc5dFh6UTVQU0l3SWlBZ1EzVnpkRzl0WHpVd1BT
+SXcKCUlpQWdRM1Z6ZEc5dFh6VXhQU0l3SWlBZ1EzVnpkRzl0WHpVeVBTSXdJaUFnUTNWemRHOXRY
+elV6UFNJd0lpQWdRM1Z6CglkRzl0WHpVMFBTSXdJaUFnUTNWemRHOXRYelUxUFNJd0lpQWdRM1Z6
+ZEc5dFh6VTJQU0l3SWlBZ1EzVnpkRzl0WHpVMwoJUFNJd0lpQWdRM1Z6ZEc5dFh6VTRQU0l3SWlB
+Z1EzVnpkRzl0WHpVNVBTSXdJaUFnUTNWemRHOXRYell3UFNJd0lpQWcKCVEzVnpkRzl0WHpZeFBT
+SXdJaUFnUTNWemRHOXRYell5UFNJd0lpQWdRM1Z6ZEc5dFh6WXpQU0l3SWlBZ1EzVnpkRzl0CglY
+elkwUFNJd0lpQWdRM1Z6ZEc5dFh6WTFQU0l3SWlBZ1EzVnpkRzl0WHpZMlBTSXdJaUFnUTNWemRH
+OXRYelkzUFNJdwoJSWlBZ1EzVnpkRzl0WHpZNFBTSXdJaUFnUTNWemRHOXRYelk1UFNJd0lpQWdR
+M1Z6ZEc5dFh6Y3dQU0l3SWlBZ1EzVnoKCWRHOXRYemN4UFNJd0lpQWdRM1Z6ZEc5dFh6Y3lQU0l3
+SWlBZ1EzVnpkRzl0WHpjelBTSXdJaUFnUTNWemRHOXRYemMwCglQU0l3SWlBZ1EzVnpkRzl0WHpj
+MVBTSXdJaUFnUTNWemRHOXRYemMyUFNJd0lpQWdRM1Z6ZEc5dFh6YzNQU0l3SWlBZwoJUTNWemRH
+OXRYemM0UFNJd0lpQWdRM1Z6ZEc5dFh6YzVQU0l3SWlBZ1EzVnpkRzl0WHpnd1BTSXdJaUFnUTNW
+emRHOXQKCVh6Z3hQU0l3SWlBZ1EzVnpkRzl0WHpneVBTSXdJaUFnUTNWemRHOXRYemd6UFNJd0lp
+QWdRM1Z6ZEc5dFh6ZzBQU0l3CglJaUFnUTNWemRHOXRYemcxUFNJd0lpQWdRM1Z6ZEc5dFh6ZzJQ
+U0l3SWlBZ1EzVnpkRzl0WHpnM1BTSXdJaUFnUTNWegoJZEc5dFh6ZzRQU0l3SWlBZ1EzVnpkRzl0
+WHpnNVBTSXdJaUFnUTNWemRHOXRYemt3UFNJd0lpQWdRM1Z6ZEc5dFh6a3gKCVBTSXdJaUFnUTNW
+emRHOXRYemt5UFNJd0lpQWdRM1Z6ZEc5dFh6a3pQU0l3SWlBZ1EzVnpkRzl0WHprMFBTSXdJaUFn
+CglRM1Z6ZEc5dFh6azFQU0l3SWlBZ1EzVnpkRzl0WHprMlBTSXdJaUFnUTNWemRHOXRYemszUFNJ
+d0lpQWdRM1Z6ZEc5dAoJWHprNFBTSXdJaUFnUTNWemRHOXRYems1UFNJd0lpQWdRM1Z6ZEc5dFh6
+RXdNRDBpTUNJZ0lFTjFjM1J2YlY4eE1ERTkKCUlqQWlJQ0JEZFhOMGIyMWZNVEF5UFNJd0lpQWdR
+M1Z6ZEc5dFh6RXdNejBpTUNJZ0lFTjFjM1J2YlY4eE1EUTlJakFpCglJQ0JEZFhOMGIyMWZNVEEx
+UFNJd0lpQWdRM1Z6ZEc5dFh6RXdOajBpTUNJZ0lFTjFjM1J2YlY4eE1EYzlJakFpSUNCRAoJZFhO
+MGIyMWZNVEE0UFNJd0lpQWdRM1Z6ZEc5dFh6RXdPVDBpTUNJZ0lFTjFjM1J2YlY4eE1UQTlJakFp
+SUNCRGRYTjAKCWIyMWZNVEV4UFNJd0lpQWdRM1Z6ZEc5dFh6RXhNajBpTUNJZ0lFTjFjM1J2YlY4
+eE1UTTlJakFpSUNCRGRYTjBiMjFmCglNVEUwUFNJd0lpQWdRM1Z6ZEc5dFh6RXhOVDBpTUNJZ0lF
+TjFjM1J2YlY4eE1UWTlJakFpSUNCRGRYTjBiMjFmTVRFMwoJUFNJd0lpQWdRM1Z6ZEc5dFh6RXhP
+RDBpTUNJZ0lFTjFjM1J2YlY4eE1UazlJakFpSUNCRGRYTjBiMjFmTVRJd1BTSXcKCUlpQWdRM1Z6
+ZEc5dFh6RXlNVDBpTUNJZ0lFTjFjM1J2YlY4eE1qSTlJakFpSUNCRGRYTjBiMjFmTVRJelBTSXdJ
+aUFnCglRM1Z6ZEc5dFh6RXlORDBpTUNJZ0lFTjFjM1J2YlY4eE1qVTlJakFpSUNCRGRYTjBiMjFm
+TVRJMlBTSXdJaUFnUTNWegoJZEc5dFh6RXlOejBpTUNJZ0lHTnpZMmc5SWpBaUlDQkRVRk5qWHpB
+OUlqQWlJQ0JEVUZOalh6RTlJakFpSUNCRFVGTmoKCVh6STlJakFpSUNCRFVGTmpYek05SWpBaUlD
+QkRVRk5qWHpROUlqQWlJQ0JEVUZOalh6VTlJakFpSUNCRFVGTmpYelk5CglJakFpSUNCRFVGTmpY
+emM5SWpBaUlENEtQRVZPVkZKWlJFVlRRMUlnSUc1aGJXVTlJaUlnSUd4cFluSmhjbms5SWlJZwoJ
+SUVGVVZGSkpRbDlXUVV4VlJWOUVRVlJCUFNKemFYcGxQVEE3SWlBK0Nqd3ZSVTVVVWxsRVJWTkRV
+ajRLSUR4TlQwUmYKCVRVRlVVa2xZSUNCemIzVnlZMlV3UFNKdlptWWlJQ0IwWVhKblpYUXdQU0p2
+Wm1ZaUlDQmtaV1pXTUQwaU0yWTRNREF3CglNREFpSUNCc2J6QTlJakFpSUNCb2FUQTlJakFpSUNC
+dGRYUmxNRDBpTUNJZ0lHUmhiWEF3UFNJd0lpQWdZV3hzTUQwaQoJTUNJZ0lITnZkWEpqWlRFOUlt
+OW1aaUlnSUhSaGNtZGxkREU5SW05bVppSWdJR1JsWmxZeFBTSXpaamd3TURBd01DSWcKCUlHeHZN
+VDBpTUNJZ0lHaHBNVDBpTUNJZ0lHMTFkR1V4UFNJd0lpQWdaR0Z0Y0RFOUlqQWlJQ0JoYkd3eFBT
+SXdJaUFnCgljMjkxY21ObE1qMGliMlptSWlBZ2RHRnlaMlYwTWowaWIyWm1JaUFnWkdWbVZqSTlJ
+ak5tT0RBd01EQXdJaUFnYkc4eQoJUFNJd0lpQWdhR2t5UFNJd0lpQWdiWFYwWlRJOUlqQWlJQ0Jr
+WVcxd01qMGlNQ0lnSUdGc2JESTlJakFpSUNCemIzVnkKCVkyVXpQU0p2Wm1ZaUlDQjBZWEpuWlhR
+elBTSnZabVlpSUNCa1pXWldNejBpTTJZNE1EQXdNREFpSUNCc2J6TTlJakFpCglJQ0JvYVRNOUlq
+QWlJQ0J0ZFhSbE16MGlNQ0lnSUdSaGJYQXpQU0l3SWlBZ1lXeHNNejBpTUNJZ0lITnZkWEpqWlRR
+OQoJSW05bVppSWdJSFJoY21kbGREUTlJbTltWmlJZ0lHUmxabFkwUFNJelpqZ3dNREF3TUNJZ0lH
+eHZORDBpTUNJZ0lHaHAKCU5EMGlNQ0lnSUcxMWRHVTBQU0l3SWlBZ1pHRnRjRFE5SWpBaUlDQmhi
+R3cwUFNJd0lpQWdjMjkxY21ObE5UMGliMlptCglJaUFnZEdGeVoyVjBOVDBpYjJabUlpQWdaR1Zt
+VmpVOUlqTm1PREF3TURBd0lpQWdiRzgxUFNJd0lpQWdhR2sxUFNJdwoJSWlBZ2JYVjBaVFU5SWpB
+aUlDQmtZVzF3TlQwaU1DSWdJR0ZzYkRVOUlqQWlJQ0J6YjNWeVkyVTJQU0p2Wm1ZaUlDQjAKCVlY
+Sm5aWFEyUFNKdlptWWlJQ0JrWldaV05qMGlNMlk0TURBd01EQWlJQ0JzYnpZOUlqQWlJQ0JvYVRZ
+OUlqQWlJQ0J0CglkWFJsTmowaU1DSWdJR1JoYlhBMlBTSXdJaUFnWVd4c05qMGlNQ0lnSUhOdmRY
+SmpaVGM5SW05bVppSWdJSFJoY21kbAoJZERjOUltOW1aaUlnSUdSbFpsWTNQU0l6Wmpnd01EQXdN
+Q0lnSUd4dk56MGlNQ0lnSUdocE56MGlNQ0lnSUcxMWRHVTMKCVBTSXdJaUFnWkdGdGNEYzlJakFp
+SUNCaGJHdzNQU0l3SWlBZ2MyOTFjbU5sT0QwaWIyWm1JaUFnZEdGeVoyVjBPRDBpCgliMlptSWlB
+Z1pHVm1Wamc5SWpObU9EQXdNREF3SWlBZ2JHODRQU0l3SWlBZ2FHazRQU0l3SWlBZ2JYVjBaVGc5
+SWpBaQoJSUNCa1lXMXdPRDBpTUNJZ0lHRnNiRGc5SWpBaUlDQnpiM1Z5WTJVNVBTSnZabVlpSUNC
+MFlYSm5aWFE1UFNKdlptWWkKCUlDQmtaV1pXT1QwaU0yWTRNREF3TURBaUlDQnNiems5SWpBaUlD
+Qm9hVGs5SWpBaUlDQnRkWFJsT1QwaU1DSWdJR1JoCgliWEE1UFNJd0lpQWdZV3hzT1QwaU1DSWdJ
+SE52ZFhKalpURXdQU0p2Wm1ZaUlDQjBZWEpuWlhReE1EMGliMlptSWlBZwoJWkdWbVZqRXdQU0l6
+Wmpnd01EQXdNQ0lnSUd4dk1UQTlJakFpSUNCb2FURXdQU0l3SWlBZ2JYVjBaVEV3UFNJd0lpQWcK
+CVpHRnRjREV3UFNJd0lpQWdZV3hzTVRBOUlqQWlJQ0J6YjNWeVkyVXhNVDBpYjJabUlpQWdkR0Z5
+WjJWME1URTlJbTltCglaaUlnSUdSbFpsWXhNVDBpTTJZNE1EQXdNREFpSUNCc2J6RXhQU0l3SWlB
+Z2FHa3hNVDBpTUNJZ0lHMTFkR1V4TVQwaQoJTUNJZ0lHUmhiWEF4TVQwaU1DSWdJR0ZzYkRFeFBT
+SXdJaUFnYzI5MWNtTmxNVEk5SW05bVppSWdJSFJoY21kbGRERXkKCVBTSnZabVlpSUNCa1pXWldN
+VEk5SWpObU9EQXdNREF3SWlBZ2JHOHhNajBpTUNJZ0lHaHBNVEk5SWpBaUlDQnRkWFJsCglNVEk5
+SWpBaUlDQmtZVzF3TVRJOUlqQWlJQ0JoYkd3eE1qMGlNQ0lnSUhOdmRYSmpaVEV6UFNKdlptWWlJ
+Q0IwWVhKbgoJWlhReE16MGliMlptSWlBZ1pHVm1WakV6UFNJelpqZ3dNREF3TUNJZ0lHeHZNVE05
+SWpBaUlDQm9hVEV6UFNJd0lpQWcKCWJYVjBaVEV6UFNJd0lpQWdaR0Z0Y0RFelBTSXdJaUFnWVd4
+c01UTTlJakFpSUNCemIzVnlZMlV4TkQwaWIyWm1JaUFnCglkR0Z5WjJWME1UUTlJbTltWmlJZ0lH
+UmxabFl4TkQwaU0yWTRNREF3TURBaUlDQnNiekUwUFNJd0lpQWdhR2t4TkQwaQoJTUNJZ0lHMTFk
+R1V4TkQwaU1DSWdJR1JoYlhBeE5EMGlNQ0lnSUdGc2JERTBQU0l3SWlBZ2MyOTFjbU5sTVRVOUlt
+OW0KCVppSWdJSFJoY21kbGRERTFQU0p2Wm1ZaUlDQmtaV1pXTVRVOUlqTm1PREF3TURBd0lpQWdi
+Rzh4TlQwaU1DSWdJR2hwCglNVFU5SWpBaUlDQnRkWFJsTVRVOUlqQWlJQ0JrWVcxd01UVTlJakFp
+SUNCaGJHd3hOVDBpTUNJZ0lITnZkWEpqWlRFMgoJUFNKdlptWWlJQ0IwWVhKblpYUXhOajBpYjJa
+bUlpQWdaR1ZtVmpFMlBTSXpaamd3TURBd01DSWdJR3h2TVRZOUlqQWkKCUlDQm9hVEUyUFNJd0lp
+QWdiWFYwWlRFMlBTSXdJaUFnWkdGdGNERTJQU0l3SWlBZ1lXeHNNVFk5SWpBaUlDQnpiM1Z5CglZ
+MlV4TnowaWIyWm1JaUFnZEdGeVoyVjBNVGM5SW05bVppSWdJR1JsWmxZeE56MGlNMlk0TURBd01E
+QWlJQ0JzYnpFMwoJUFNJd0lpQWdhR2t4TnowaU1DSWdJRzExZEdVeE56MGlNQ0lnSUdSaGJYQXhO
+ejBpTUNJZ0lHRnNiREUzUFNJd0lpQWcKCWMyOTFjbU5sTVRnOUltOW1aaUlnSUhSaGNtZGxkREU0
+UFNKdlptWWlJQ0JrWldaV01UZzlJak5tT0RBd01EQXdJaUFnCgliRzh4T0QwaU1DSWdJR2hwTVRn
+OUlqQWlJQ0J0ZFhSbE1UZzlJakFpSUNCa1lXMXdNVGc5SWpBaUlDQmhiR3d4T0QwaQoJTUNJZ0lI
+TnZkWEpqWlRFNVBTSnZabVlpSUNCMFlYSm5aWFF4T1QwaWIyWm1JaUFnWkdWbVZqRTVQU0l6Wmpn
+d01EQXcKCU1DSWdJR3h2TVRrOUlqQWlJQ0JvYVRFNVBTSXdJaUFnYlhWMFpURTVQU0l3SWlBZ1pH
+RnRjREU1UFNJd0lpQWdZV3hzCglNVGs5SWpBaUlDQnpiM1Z5WTJVeU1EMGliMlptSWlBZ2RHRnla
+MlYwTWpBOUltOW1aaUlnSUdSbFpsWXlNRDBpTTJZNAoJTURBd01EQWlJQ0JzYnpJd1BTSXdJaUFn
+YUdreU1EMGlNQ0lnSUcxMWRHVXlNRDBpTUNJZ0lHUmhiWEF5TUQwaU1DSWcKCUlHRnNiREl3UFNJ
+d0lpQWdjMjkxY21ObE1qRTlJbTltWmlJZ0lIUmhjbWRsZERJeFBTSnZabVlpSUNCa1pXWldNakU5
+CglJak5tT0RBd01EQXdJaUFnYkc4eU1UMGlNQ0lnSUdocE1qRTlJakFpSUNCdGRYUmxNakU5SWpB
+aUlDQmtZVzF3TWpFOQoJSWpBaUlDQmhiR3d5TVQwaU1DSWdJSE52ZFhKalpUSXlQU0p2Wm1ZaUlD
+QjBZWEpuWlhReU1qMGliMlptSWlBZ1pHVm0KCVZqSXlQU0l6Wmpnd01EQXdNQ0lnSUd4dk1qSTlJ
+akFpSUNCb2FUSXlQU0l3SWlBZ2JYVjBaVEl5UFNJd0lpQWdaR0Z0CgljREl5UFNJd0lpQWdZV3hz
+TWpJOUlqQWlJQ0J6YjNWeVkyVXlNejBpYjJabUlpQWdkR0Z5WjJWME1qTTlJbTltWmlJZwoJSUdS
+bFpsWXlNejBpTTJZNE1EQXdNREFpSUNCc2J6SXpQU0l3SWlBZ2FHa3lNejBpTUNJZ0lHMTFkR1V5
+TXowaU1DSWcKCUlHUmhiWEF5TXowaU1DSWdJR0ZzYkRJelBTSXdJaUFnYzI5MWNtTmxNalE5SW05
+bVppSWdJSFJoY21kbGRESTBQU0p2CglabVlpSUNCa1pXWldNalE5SWpObU9EQXdNREF3SWlBZ2JH
+OHlORDBpTUNJZ0lHaHBNalE5SWpObU1EQXdNREF3SWlBZwoJYlhWMFpUSTBQU0l3SWlBZ1pHRnRj
+REkwUFNJd0lpQWdZV3hzTWpROUlqQWlJQ0J6YjNWeVkyVXlOVDBpYjJabUlpQWcKCWRHRnlaMlYw
+TWpVOUltOW1aaUlnSUdSbFpsWXlOVDBpTTJZNE1EQXdNREFpSUNCc2J6STFQU0l3SWlBZ2FHa3lO
+VDBpCglNMll3TURBd01EQWlJQ0J0ZFhSbE1qVTlJakFpSUNCa1lXMXdNalU5SWpBaUlDQmhiR3d5
+TlQwaU1DSWdJSE52ZFhKagoJWlRJMlBTSnZabVlpSUNCMFlYSm5aWFF5TmowaWIyWm1JaUFnWkdW
+bVZqSTJQU0l6Wmpnd01EQXdNQ0lnSUd4dk1qWTkKCUlqQWlJQ0JvYVRJMlBTSXpaakF3TURBd01D
+SWdJRzExZEdVeU5qMGlNQ0lnSUdSaGJYQXlOajBpTUNJZ0lHRnNiREkyCglQU0l3SWlBZ2MyOTFj
+bU5sTWpjOUltOW1aaUlnSUhSaGNtZGxkREkzUFNKdlptWWlJQ0JrWldaV01qYzlJak5tT0RBdwoJ
+TURBd0lpQWdiRzh5TnowaU1DSWdJR2hwTWpjOUlqTm1NREF3TURBd0lpQWdiWFYwWlRJM1BTSXdJ
+aUFnWkdGdGNESTMKCVBTSXdJaUFnWVd4c01qYzlJakFpSUNCemIzVnlZMlV5T0QwaWIyWm1JaUFn
+ZEdGeVoyVjBNamc5SW05bVppSWdJR1JsCglabFl5T0QwaU0yWTRNREF3TURBaUlDQnNiekk0UFNJ
+d0lpQWdhR2t5T0QwaU0yWXdNREF3TURBaUlDQnRkWFJsTWpnOQoJSWpBaUlDQmtZVzF3TWpnOUlq
+QWlJQ0JoYkd3eU9EMGlNQ0lnSUhOdmRYSmpaVEk1UFNKdlptWWlJQ0IwWVhKblpYUXkKCU9UMGli
+MlptSWlBZ1pHVm1Wakk1UFNJelpqZ3dNREF3TUNJZ0lHeHZNams5SWpBaUlDQm9hVEk1UFNJelpq
+QXdNREF3CglNQ0lnSUcxMWRHVXlPVDBpTUNJZ0lHUmhiWEF5T1QwaU1DSWdJR0ZzYkRJNVBTSXdJ
+aUFnYzI5MWNtTmxNekE5SW05bQoJWmlJZ0lIUmhjbWRsZERNd1BTSnZabVlpSUNCa1pXWldNekE5
+SWpObU9EQXdNREF3SWlBZ2JHOHpNRDBpTUNJZ0lHaHAKCU16QTlJak5tTURBd01EQXdJaUFnYlhW
+MFpUTXdQU0l3SWlBZ1pHRnRjRE13UFNJd0lpQWdZV3hzTXpBOUlqQWlJQ0J6CgliM1Z5WTJVek1U
+MGliMlptSWlBZ2RHRnlaMlYwTXpFOUltOW1aaUlnSUdSbFpsWXpNVDBpTTJZNE1EQXdNREFpSUNC
+cwoJYnpNeFBTSXdJaUFnYUdrek1UMGlNMll3TURBd01EQWlJQ0J0ZFhSbE16RTlJakFpSUNCa1lX
+MXdNekU5SWpBaUlDQmgKCWJHd3pNVDBpTUNJZ0lITnZkWEpqWlRNeVBTSnZabVlpSUNCMFlYSm5a
+WFF6TWowaWIyWm1JaUFnWkdWbVZqTXlQU0l6Cglaamd3TURBd01DSWdJR3h2TXpJOUlqQWlJQ0Jv
+YVRNeVBTSXpaakF3TURBd01DSWdJRzExZEdVek1qMGlNQ0lnSUdSaAoJYlhBek1qMGlNQ0lnSUdG
+c2JETXlQU0l3SWlBZ2MyOTFjbU5sTXpNOUltOW1aaUlnSUhSaGNtZGxkRE16UFNKdlptWWkKCUlD
+QmtaV1pXTXpNOUlqTm1PREF3TURBd0lpQWdiRzh6TXowaU1DSWdJR2hwTXpNOUlqTm1NREF3TURB
+d0lpQWdiWFYwCglaVE16UFNJd0lpQWdaR0Z0Y0RNelBTSXdJaUFnWVd4c016TTlJakFpSUNCemIz
+VnlZMlV6TkQwaWIyWm1JaUFnZEdGeQoJWjJWME16UTlJbTltWmlJZ0lHUmxabFl6TkQwaU0yWTRN
+REF3TURBaUlDQnNiek0wUFNJd0lpQWdhR2t6TkQwaU0yWXcKCU1EQXdNREFpSUNCdGRYUmxNelE5
+SWpBaUlDQmtZVzF3TXpROUlqQWlJQ0JoYkd3ek5EMGlNQ0lnSUhOdmRYSmpaVE0xCglQU0p2Wm1Z
+aUlDQjBZWEpuWlhRek5UMGliMlptSWlBZ1pHVm1Wak0xUFNJelpqZ3dNREF3TUNJZ0lHeHZNelU5
+SWpBaQoJSUNCb2FUTTFQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXpOVDBpTUNJZ0lHUmhiWEF6TlQw
+aU1DSWdJR0ZzYkRNMVBTSXcKCUlpQWdjMjkxY21ObE16WTlJbTltWmlJZ0lIUmhjbWRsZERNMlBT
+SnZabVlpSUNCa1pXWldNelk5SWpObU9EQXdNREF3CglJaUFnYkc4ek5qMGlNQ0lnSUdocE16WTlJ
+ak5tTURBd01EQXdJaUFnYlhWMFpUTTJQU0l3SWlBZ1pHRnRjRE0yUFNJdwoJSWlBZ1lXeHNNelk5
+SWpBaUlDQnpiM1Z5WTJVek56MGliMlptSWlBZ2RHRnlaMlYwTXpjOUltOW1aaUlnSUdSbFpsWXoK
+CU56MGlNMlk0TURBd01EQWlJQ0JzYnpNM1BTSXdJaUFnYUdrek56MGlNMll3TURBd01EQWlJQ0J0
+ZFhSbE16YzlJakFpCglJQ0JrWVcxd016YzlJakFpSUNCaGJHd3pOejBpTUNJZ0lITnZkWEpqWlRN
+NFBTSnZabVlpSUNCMFlYSm5aWFF6T0QwaQoJYjJabUlpQWdaR1ZtVmpNNFBTSXpaamd3TURBd01D
+SWdJR3h2TXpnOUlqQWlJQ0JvYVRNNFBTSXpaakF3TURBd01DSWcKCUlHMTFkR1V6T0QwaU1DSWdJ
+R1JoYlhBek9EMGlNQ0lnSUdGc2JETTRQU0l3SWlBZ2MyOTFjbU5sTXprOUltOW1aaUlnCglJSFJo
+Y21kbGRETTVQU0p2Wm1ZaUlDQmtaV1pXTXprOUlqTm1PREF3TURBd0lpQWdiRzh6T1QwaU1DSWdJ
+R2hwTXprOQoJSWpObU1EQXdNREF3SWlBZ2JYVjBaVE01UFNJd0lpQWdaR0Z0Y0RNNVBTSXdJaUFn
+WVd4c016azlJakFpSUNCemIzVnkKCVkyVTBNRDBpYjJabUlpQWdkR0Z5WjJWME5EQTlJbTltWmlJ
+Z0lHUmxabFkwTUQwaU0yWTRNREF3TURBaUlDQnNielF3CglQU0l3SWlBZ2FHazBNRDBpTTJZd01E
+QXdNREFpSUNCdGRYUmxOREE5SWpBaUlDQmtZVzF3TkRBOUlqQWlJQ0JoYkd3MAoJTUQwaU1DSWdJ
+SE52ZFhKalpUUXhQU0p2Wm1ZaUlDQjBZWEpuWlhRME1UMGliMlptSWlBZ1pHVm1WalF4UFNJelpq
+Z3cKCU1EQXdNQ0lnSUd4dk5ERTlJakFpSUNCb2FUUXhQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVTBN
+VDBpTUNJZ0lHUmhiWEEwCglNVDBpTUNJZ0lHRnNiRFF4UFNJd0lpQWdjMjkxY21ObE5ESTlJbTlt
+WmlJZ0lIUmhjbWRsZERReVBTSnZabVlpSUNCawoJWldaV05ESTlJak5tT0RBd01EQXdJaUFnYkc4
+ME1qMGlNQ0lnSUdocE5ESTlJak5tTURBd01EQXdJaUFnYlhWMFpUUXkKCVBTSXdJaUFnWkdGdGNE
+UXlQU0l3SWlBZ1lXeHNOREk5SWpBaUlDQnpiM1Z5WTJVME16MGliMlptSWlBZ2RHRnlaMlYwCglO
+RE05SW05bVppSWdJR1JsWmxZME16MGlNMlk0TURBd01EQWlJQ0JzYnpRelBTSXdJaUFnYUdrME16
+MGlNMll3TURBdwoJTURBaUlDQnRkWFJsTkRNOUlqQWlJQ0JrWVcxd05ETTlJakFpSUNCaGJHdzBN
+ejBpTUNJZ0lITnZkWEpqWlRRMFBTSnYKCVptWWlJQ0IwWVhKblpYUTBORDBpYjJabUlpQWdaR1Zt
+VmpRMFBTSXpaamd3TURBd01DSWdJR3h2TkRROUlqQWlJQ0JvCglhVFEwUFNJelpqQXdNREF3TUNJ
+Z0lHMTFkR1UwTkQwaU1DSWdJR1JoYlhBME5EMGlNQ0lnSUdGc2JEUTBQU0l3SWlBZwoJYzI5MWNt
+TmxORFU5SW05bVppSWdJSFJoY21kbGREUTFQU0p2Wm1ZaUlDQmtaV1pXTkRVOUlqTm1PREF3TURB
+d0lpQWcKCWJHODBOVDBpTUNJZ0lHaHBORFU5SWpObU1EQXdNREF3SWlBZ2JYVjBaVFExUFNJd0lp
+QWdaR0Z0Y0RRMVBTSXdJaUFnCglZV3hzTkRVOUlqQWlJQ0J6YjNWeVkyVTBOajBpYjJabUlpQWdk
+R0Z5WjJWME5EWTlJbTltWmlJZ0lHUmxabFkwTmowaQoJTTJZNE1EQXdNREFpSUNCc2J6UTJQU0l3
+SWlBZ2FHazBOajBpTTJZd01EQXdNREFpSUNCdGRYUmxORFk5SWpBaUlDQmsKCVlXMXdORFk5SWpB
+aUlDQmhiR3cwTmowaU1DSWdJSE52ZFhKalpUUTNQU0p2Wm1ZaUlDQjBZWEpuWlhRME56MGliMlpt
+CglJaUFnWkdWbVZqUTNQU0l6Wmpnd01EQXdNQ0lnSUd4dk5EYzlJakFpSUNCb2FUUTNQU0l6WmpB
+d01EQXdNQ0lnSUcxMQoJZEdVME56MGlNQ0lnSUdSaGJYQTBOejBpTUNJZ0lHRnNiRFEzUFNJd0lp
+QStDand2VFU5RVgwMUJWRkpKV0Q0S0lEeFcKCVQwbERSU0FnY0dGMWVHdzlJakFpSUNCd1lYVjRh
+WEJ2WmowaU1DSWdQZ284UmtsTVZFVlNJQ0JoWTNROUlqQWlJQ0J3CglZWEpoUFNJd0lpQWdZbUZz
+UFNJd0lpQWdabkpsY1QwaU1DSWdJSE53Y21ROUlqQWlJQ0J5WlhNOUlqQWlJQ0JyWlhrOQoJSWpB
+aUlDQnJaWGxwYm5ZOUlqQWlJQ0JyWlhsdGNEMGlNQ0lnSUdWdWRtUndkR2c5SWpBaUlDQmxiblpr
+Y0hSb2FXNTIKCVBTSXdJaUFnYm1GdFpUMGlNQ0lnSUdGamRERTlJakFpSUNCMGVYQmxNVDBpTUNJ
+Z0lHWnlaWEV4UFNJd0lpQWdjbVZ6CglNVDBpTUNJZ0lIQmhiakU5SWpBaUlDQmhZM1F5UFNJd0lp
+QWdkSGx3WlRJOUlqQWlJQ0JtY21WeE1qMGlNQ0lnSUhKbAoJY3pJOUlqQWlJQ0J3WVc0eVBTSXdJ
+aUFnWkdsemRGQnZjM1E5SWpBaUlDQmxjVkJ2YzNROUlqQWlJQ0JPWVcxbFUzUnkKCVBTSWlJRDRL
+UEVWUk1USWdJRUZqZEdsMlpUMGlNQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaU1DSWdJ
+RkF6CglQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JR
+T0QwaU1DSWdJRkE1UFNJdwoJSWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlB
+Z1VERXpQU0l3SWlBZ1VERTBQU0l3SWlBK0Nqd3YKCVJWRXhNajRLSUR4RlVUSWdJRUZqZEdsMlpU
+MGlNQ0lnSUZBd1BTSXdJaUFnVURFOUlqQWlJQ0JRTWowaU1DSWdJRkF6CglQU0l3SWlBZ1VEUTlJ
+akFpSUNCUU5UMGlNQ0lnSUZBMlBTSXdJaUFnVURjOUlqQWlJQ0JRT0QwaU1DSWdJRkE1UFNJdwoJ
+SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3SWlBZ1VERTBQ
+U0l3SWlBK0Nqd3YKCVJWRXlQZ29nUEVSSlUxUWdJRUZqZEdsMlpUMGlNQ0lnSUZBd1BTSXdJaUFn
+VURFOUlqQWlJQ0JRTWowaU1DSWdJRkF6CglQU0l3SWlBZ1VEUTlJakFpSUNCUU5UMGlNQ0lnSUZB
+MlBTSXdJaUFnVURjOUlqQWlJQ0JRT0QwaU1DSWdJRkE1UFNJdwoJSWlBZ1VERXdQU0l3SWlBZ1VE
+RXhQU0l3SWlBZ1VERXlQU0l3SWlBZ1VERXpQU0l3SWlBZ1VERTBQU0l3SWlBK0Nqd3YKCVJFbFRW
+RDRLSUR3dlJrbE1WRVZTUGdvZ1BGZEJWa1ZUU0VGUVJWSWdJR0ZqZEQwaU1DSWdJSFI1Y0dVOUlq
+QWlJQ0J3CgliM005SWpBaUlDQmtjSFJvUFNJd0lpQWdaMkZwYmowaU1DSWdJRzFwZUQwaU1DSWdJ
+SFJ2Ym1VOUlqQWlJQ0JpWXowaQoJTUNJZ0lITnljbVJqUFNJd0lpQWdiV2R5Wm5reFBTSXdJaUFn
+YldkeVpua3lQU0l3SWlBZ2JtRnRaVDBpTUNJZ0lFNWgKCWJXVlRkSEk5SWlJZ1BnbzhMMWRCVmtW
+VFNFRlFSVkkrQ2lBOFQxTkRJQ0IwZVhCbFBTSXdJaUFnYTJsdVpEMGlNQ0lnCglJSEZzUFNJd0lp
+QWdjV3h5UFNJd0lpQWdjWEp5UFNJelpqZ3dNREF3TUNJZ0lIRnlQU0l6Wmpnd01EQXdNQ0lnSUhS
+MQoJYm1VOUlqQWlJQ0IwZFc1bFJtbHVaVDBpTUNJZ0lHWnBibVZUWTJ3OUlqRWlJQ0J3WkdWd2RH
+ZzlJakFpSUNCd2QybGsKCWRHZzlJakFpSUNCdlkzUTlJakFpSUNCelpXMXBQU0l3SWlBZ2JHVjJa
+V3c5SWpBaUlDQndZVzQ5SWpBaUlDQndiM0owCglQU0l3SWlBZ2NHOXlkRUZqZEQwaU1DSWdJSFJ3
+Y3owaU1DSWdJR1pzVkdWdGNHdzlJakFpSUNCbWJGTndaRDBpTTJZdwoJTURBd01EQWlJQ0JtYkV4
+dmIzQTlJak5tT0RBd01EQXdJaUFnYlc5a2FXNTBQU0l3SWlBZ2JXOWtaR1Z3ZEdnOUlqQWkKCUlD
+Qm1iVDBpTUNJZ0lHWnRhM1E5SWpBaUlDQm1iWGRtUFNJd0lpQWdabTF6WTJ3OUlqQWlJQ0JtYlhC
+a1BTSXdJaUFnCglabTF3ZHowaU1DSWdJR1p0YUhNOUlqQWlJQ0JCVFcxdlpHbHVkRDBpTUNJZ0lF
+Rk5iVzlrWkdWd2RHZzlJakFpSUNCaAoJYlQwaU1DSWdJR0Z0YTNROUlqQWlJQ0JoYlhkbVBTSXdJ
+aUFnWVcxelkydzlJakFpSUNCaGJYQmtQU0l3SWlBZ1lXMXcKCWR6MGlNQ0lnSUdGdGFITTlJakFp
+SUNCbmNtRnVQU0l3SWlBZ2JtZHlZV2x1Y3owaU1DSWdJR2R5WVdsdU16MGlNQ0lnCglJR2R5WVds
+dU5EMGlNQ0lnSUdkeVlXbHVOVDBpTUNJZ0lHZHlZV2x1TmowaU1DSWdJR2R5WVc1VGNISmtQU0l3
+SWlBZwoJWjNKaGJsQkVhWEk5SWpBaUlDQm5jbUZ1VUVGalkzVnRQU0l3SWlBZ1ozSmhiazFwZUQw
+aU1DSWdJR2R5WVc1RmVIQTkKCUlqQWlJQ0JuY21GdVZISm5QU0l3SWlBZ1pXbEdja3h2WXowaU1D
+SWdJR2R5WVc1UWIzTTlJakFpSUNCbmNtRnVWakU5CglJakFpSUNCMVkyNTBQU0l3SWlBZ2RXUndk
+R2c5SWpBaUlDQjFkMlIwYUQwaU1DSWdJSFZrY0hKblBTSXdJaUFnZFc5agoJZEQwaU1DSWdJSFZr
+Y21aMFBTSXdJaUFnZFhad2N6MGlNQ0lnSUdoeVpITnVZejBpTUNJZ0lISmxjSFJqYUQwaU1DSWcK
+CUlITndhR0U5SWpBaUlDQnpZVzVoUFNJd0lpQWdZWFJ5YlQwaU1DSWdJSE56WlhNOUlqQWlJQ0J6
+YzJWemVUMGlNQ0lnCglJSFp0ZEQwaU1DSWdJSFp0WVQwaU1DSWdJR056YzJoa1lXMXdQU0l3SWlB
+K0NqeElRVkpOSUNCQlkzUXhQU0l3SWlBZwoJYkhac01UMGlNQ0lnSUhCaGJqRTlJakFpSUNCMGRX
+NHhQU0l3SWlBZ2MyMXBNVDBpTUNJZ0lITm9jREU5SWpBaUlDQnoKCWVXMXRNVDBpTUNJZ0lITjVi
+akU5SWpBaUlDQjNabTB4UFNJd0lpQWdRV04wTWowaU1DSWdJR3gyYkRJOUlqQWlJQ0J3CglZVzR5
+UFNJd0lpQWdkSFZ1TWowaU1DSWdJSE50YVRJOUlqQWlJQ0J6YUhBeVBTSXdJaUFnYzNsdGJUSTlJ
+akFpSUNCegoJZVc0eVBTSXdJaUFnZDJadE1qMGlNQ0lnSUVGamRETTlJakFpSUNCc2Rtd3pQU0l3
+SWlBZ2NHRnVNejBpTUNJZ0lIUjEKCWJqTTlJakFpSUNCemJXa3pQU0l3SWlBZ2MyaHdNejBpTUNJ
+Z0lITjViVzB6UFNJd0lpQWdjM2x1TXowaU1DSWdJSGRtCgliVE05SWpBaUlDQkJZM1EwUFNJd0lp
+QWdiSFpzTkQwaU1DSWdJSEJoYmpROUlqQWlJQ0IwZFc0MFBTSXdJaUFnYzIxcAoJTkQwaU1DSWdJ
+SE5vY0RROUlqQWlJQ0J6ZVcxdE5EMGlNQ0lnSUhONWJqUTlJakFpSUNCM1ptMDBQU0l3SWlBZ2JX
+OWsKCVBTSXdJaUFnYldsNFBTSXdJaUErQ2p3dlNFRlNUVDRLSUR4VVQwNUZWMGhGUlV3Z0lHUnlk
+ekU5SWpObU1EQXdNREF3CglJaUFnWkhKM01qMGlNMll3TURBd01EQWlJQ0JrY25jelBTSXpaakF3
+TURBd01DSWdJR1J5ZHpROUlqTm1NREF3TURBdwoJSWlBZ1pISjNOVDBpTUNJZ0lHUnlkelk5SWpB
+aUlDQmtjbmMzUFNJd0lpQWdaSEozT0QwaU1DSWdJR1J5ZHprOUlqQWkKCUlDQndaV1F4UFNJelpq
+QXdNREF3TUNJZ0lIQmxaREk5SWpObU1EQXdNREF3SWlBZ1UzQlBiajBpTUNJZ0lGWlBiajBpCglN
+Q0lnSUZadGIyUmxQU0l3SWlBZ1VHOXVQU0l3SWlBZ1VITnZablE5SWpBaUlDQlFabUZ6ZEQwaU1D
+SWdJRkJvWVhKdAoJUFNJd0lpQWdVM0JyY2owaU1DSWdJRU5zYVdOclBTSXdJaUFnU0hWdFBTSXdJ
+aUFnUVdkbFBTSXdJaUFnV0hSaGJHczkKCUlqQWlJQ0JNYjNkbWIyeGtQU0l6Wmpnd01EQXdNQ0ln
+SUZBNVpEMGlNMlk0TURBd01EQWlJQ0JRYkdWblBTSXpaamd3CglNREF3TUNJZ0lGQmthVzA5SWpO
+bU9EQXdNREF3SWlBK0Nqd3ZWRTlPUlZkSVJVVk1QZ29nUEZkQlZrVlRJRDRLUEM5WAoJUVZaRlV6
+NEtJRHhHVFZkQlZrVlRJRDRLUEM5R1RWZEJWa1ZUUGdvZ1BFRk5WMEZXUlZNZ1BnbzhMMEZOVjBG
+V1JWTSsKCUNpQThMMDlUUXo0S0lEeEdSVTVXSUNCalBTSTRJaUFnY0dGdVBTSXdJaUFnZW05dmJU
+MGlNMll3T0RNeE9HTWlJRDRLCglQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTUNJZ0lITTlJ
+akFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBKwoJQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFp
+SUNCMFBTSXpZekl6WkRjd01DSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXcKCU1DSWdQZ284TDNB
+K0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WTJFelpEY3dNQ0lnSUhNOUlqQWlJQ0Jq
+CglQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJ
+elkyWTFZekk0TlNJZwoJSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGND
+QWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXoKCVpESXpaRGN3TlNJZ0lITTlJakFpSUNCalBTSXpa
+amd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3CglNREFpSUNCMFBTSXpaRFJq
+WTJOak55SWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZwoJYkQw
+aU0yWTRNREF3TURBaUlDQjBQU0l6WkRjMVl6STRZU0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3
+TUNJZ1BnbzgKCUwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpEaG1OV015TlNJ
+Z0lITTlJakFpSUNCalBTSXpaamd3CglNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTUNJZ0lI
+UTlJak5rWVROa056QTFJaUFnY3owaU1DSWdJR005SWpObQoJT0RBd01EQXdJaUErQ2p3dmNENEtJ
+RHd2UmtWT1ZqNEtJRHhHUlU1V1VFRlNRVTFUSUNCaFBTSXdJaUFnYUQwaU1DSWcKCUlHUTlJakFp
+SUNCeVBTSXdJaUFnWVhSMGF6MGlNMlUyTkdZNU1qY2lJQ0JvYjJ4a1BTSXpaVFkwWmpreU55SWdJ
+R1JsCglZM2s5SWpObE5qUm1PVEkzSWlBZ2MzVnpkRDBpTTJZNE1EQXdNREFpSUNCeVpXeHpQU0l6
+WlRZMFpqa3lOeUlnSUhOdAoJY0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1WXowaU1DSWdJSE53WkQw
+aU1DSWdJSFJ5WjAxa1BTSXdJaUFnZG1Wc2MyVnUKCWN6MGlNQ0lnSUcxbmJIWnNjejBpTUNJZ0lH
+MW5ZM0oyY3owaU1DSWdJR1J3ZEQwaU1DSWdJR05vYzFSeVp6MGlNQ0lnCglJR0YwWTJoelBTSXdJ
+aUErQ2p3dlJrVk9WbEJCVWtGTlV6NEtJRHhCUlU1V0lDQmpQU0k0SWlBZ2NHRnVQU0l3SWlBZwoJ
+ZW05dmJUMGlNMll3T0RNeE9HTWlJRDRLUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU1DSWdJ
+SE05SWpBaUlDQmoKCVBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3
+TURBaUlDQjBQU0l6WXpJelpEY3dNQ0lnCglJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdv
+OEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJegoJWTJFelpEY3dNQ0lnSUhNOUlq
+QWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXcKCU1EQWlJ
+Q0IwUFNJelkyWTFZekk0TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0Np
+QThjQ0FnCgliRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpaREl6WkRjd05TSWdJSE05SWpBaUlDQmpQ
+U0l6Wmpnd01EQXdNQ0lnUGdvOAoJTDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6
+WkRSalkyTmpOeUlnSUhNOUlqQWlJQ0JqUFNJelpqZ3cKCU1EQXdNQ0lnUGdvOEwzQStDaUE4Y0NB
+Z2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpEYzFZekk0WVNJZ0lITTlJakFpCglJQ0JqUFNJelpq
+Z3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpaRGhtTldN
+eQoJTlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU1D
+SWdJSFE5SWpOa1lUTmsKCU56QTFJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3Zj
+RDRLSUR3dlFVVk9WajRLSUR4QlJVNVdVRUZTCglRVTFUSUNCdmJrOW1aajBpTUNJZ0lHRTlJakFp
+SUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJegoJWlRZMFpqa3lOeUlnSUdo
+dmJHUTlJak5sTmpSbU9USTNJaUFnWkdWamVUMGlNMlUyTkdZNU1qY2lJQ0J6ZFhOMFBTSXoKCVpq
+Z3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEkzSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNC
+emVXNWpQU0l3CglJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lp
+QWdiV2RzZG14elBTSXdJaUFnYldkagoJY25aelBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5Q
+U0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlCUlU1V1VFRlMKCVFVMVRQZ29nUEVWR1JsSkJRMHNn
+UGdvOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpCglNQ0lnSUZB
+eFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBp
+TUNJZwoJSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQw
+aU1DSWdJRkF4TWowaU1DSWcKCUlGQXhNejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1D
+SWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOCglUMFJWVEVVZ0lGUjVjR1U5SWs1dklFVm1a
+bVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBegoJUFNJd0lpQWdVRFE5
+SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXcK
+CUlpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUw
+UFNJd0lpQWdRV04wCglhWFpsUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZW
+TVJTQWdWSGx3WlQwaVRtOGdSV1ptWldOMAoJSWlBZ1VEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBT
+SXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWcKCVVEWTlJakFpSUNCUU56MGlN
+Q0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRCglNVEk5
+SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5U
+MFJWVEVVKwoJQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBp
+TUNJZ0lGQXhQU0l3SWlBZ1VESTkKCUlqQWlJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpB
+aUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpCglJQ0JRT1QwaU1DSWdJRkF4TUQwaU1D
+SWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaQoJTUNJZ0lFRmpk
+R2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEd3ZSVVpHVWtGRFN6NEtJRHd2Vms5SlEw
+VSsKCUNpQThWazlKUTBVZ0lIQmhkWGhzUFNJd0lpQWdjR0YxZUdsd2IyWTlJakFpSUQ0S1BFWkpU
+RlJGVWlBZ1lXTjBQU0l3CglJaUFnY0dGeVlUMGlNQ0lnSUdKaGJEMGlNQ0lnSUdaeVpYRTlJakFp
+SUNCemNISmtQU0l3SWlBZ2NtVnpQU0l3SWlBZwoJYTJWNVBTSXdJaUFnYTJWNWFXNTJQU0l3SWlB
+Z2EyVjViWEE5SWpBaUlDQmxiblprY0hSb1BTSXdJaUFnWlc1MlpIQjAKCWFHbHVkajBpTUNJZ0lH
+NWhiV1U5SWpBaUlDQmhZM1F4UFNJd0lpQWdkSGx3WlRFOUlqQWlJQ0JtY21WeE1UMGlNQ0lnCglJ
+SEpsY3pFOUlqQWlJQ0J3WVc0eFBTSXdJaUFnWVdOME1qMGlNQ0lnSUhSNWNHVXlQU0l3SWlBZ1pu
+SmxjVEk5SWpBaQoJSUNCeVpYTXlQU0l3SWlBZ2NHRnVNajBpTUNJZ0lHUnBjM1JRYjNOMFBTSXdJ
+aUFnWlhGUWIzTjBQU0l3SWlBZ1RtRnQKCVpWTjBjajBpSWlBK0NqeEZVVEV5SUNCQlkzUnBkbVU5
+SWpBaUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFpCglJQ0JRTXowaU1DSWdJRkEwUFNJ
+d0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUQoJT1QwaU1D
+SWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQw
+aU1DSWcKCVBnbzhMMFZSTVRJK0NpQThSVkV5SUNCQlkzUnBkbVU5SWpBaUlDQlFNRDBpTUNJZ0lG
+QXhQU0l3SWlBZ1VESTlJakFpCglJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFO
+ajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUQoJT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4
+TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWcKCVBnbzhMMFZSTWo0
+S0lEeEVTVk5VSUNCQlkzUnBkbVU5SWpBaUlDQlFNRDBpTUNJZ0lGQXhQU0l3SWlBZ1VESTlJakFp
+CglJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlB
+Z1VEZzlJakFpSUNCUQoJT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1D
+SWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWcKCVBnbzhMMFJKVTFRK0NpQThMMFpKVEZSRlVqNEtJ
+RHhYUVZaRlUwaEJVRVZTSUNCaFkzUTlJakFpSUNCMGVYQmxQU0l3CglJaUFnY0c5elBTSXdJaUFn
+WkhCMGFEMGlNQ0lnSUdkaGFXNDlJakFpSUNCdGFYZzlJakFpSUNCMGIyNWxQU0l3SWlBZwoJWW1N
+OUlqQWlJQ0J6Y25Ka1l6MGlNQ0lnSUcxbmNtWjVNVDBpTUNJZ0lHMW5jbVo1TWowaU1DSWdJRzVo
+YldVOUlqQWkKCUlDQk9ZVzFsVTNSeVBTSWlJRDRLUEM5WFFWWkZVMGhCVUVWU1Bnb2dQRTlUUXlB
+Z2RIbHdaVDBpTUNJZ0lHdHBibVE5CglJakFpSUNCeGJEMGlNQ0lnSUhGc2NqMGlNQ0lnSUhGeWNq
+MGlNMlk0TURBd01EQWlJQ0J4Y2owaU0yWTRNREF3TURBaQoJSUNCMGRXNWxQU0l3SWlBZ2RIVnVa
+VVpwYm1VOUlqQWlJQ0JtYVc1bFUyTnNQU0l4SWlBZ2NHUmxjSFJvUFNJd0lpQWcKCWNIZHBaSFJv
+UFNJd0lpQWdiMk4wUFNJd0lpQWdjMlZ0YVQwaU1DSWdJR3hsZG1Wc1BTSXdJaUFnY0dGdVBTSXdJ
+aUFnCgljRzl5ZEQwaU1DSWdJSEJ2Y25SQlkzUTlJakFpSUNCMGNITTlJakFpSUNCbWJGUmxiWEJz
+UFNJd0lpQWdabXhUY0dROQoJSWpObU1EQXdNREF3SWlBZ1pteE1iMjl3UFNJelpqZ3dNREF3TUNJ
+Z0lHMXZaR2x1ZEQwaU1DSWdJRzF2WkdSbGNIUm8KCVBTSXdJaUFnWm0wOUlqQWlJQ0JtYld0MFBT
+SXdJaUFnWm0xM1pqMGlNQ0lnSUdadGMyTnNQU0l3SWlBZ1ptMXdaRDBpCglNQ0lnSUdadGNIYzlJ
+akFpSUNCbWJXaHpQU0l3SWlBZ1FVMXRiMlJwYm5ROUlqQWlJQ0JCVFcxdlpHUmxjSFJvUFNJdwoJ
+SWlBZ1lXMDlJakFpSUNCaGJXdDBQU0l3SWlBZ1lXMTNaajBpTUNJZ0lHRnRjMk5zUFNJd0lpQWdZ
+VzF3WkQwaU1DSWcKCUlHRnRjSGM5SWpBaUlDQmhiV2h6UFNJd0lpQWdaM0poYmowaU1DSWdJRzVu
+Y21GcGJuTTlJakFpSUNCbmNtRnBiak05CglJakFpSUNCbmNtRnBialE5SWpBaUlDQm5jbUZwYmpV
+OUlqQWlJQ0JuY21GcGJqWTlJakFpSUNCbmNtRnVVM0J5WkQwaQoJTUNJZ0lHZHlZVzVRUkdseVBT
+SXdJaUFnWjNKaGJsQkJZMk4xYlQwaU1DSWdJR2R5WVc1TmFYZzlJakFpSUNCbmNtRnUKCVJYaHdQ
+U0l3SWlBZ1ozSmhibFJ5WnowaU1DSWdJR1ZwUm5KTWIyTTlJakFpSUNCbmNtRnVVRzl6UFNJd0lp
+QWdaM0poCglibFl4UFNJd0lpQWdkV051ZEQwaU1DSWdJSFZrY0hSb1BTSXdJaUFnZFhka2RHZzlJ
+akFpSUNCMVpIQnlaejBpTUNJZwoJSUhWdlkzUTlJakFpSUNCMVpISm1kRDBpTUNJZ0lIVjJjSE05
+SWpBaUlDQm9jbVJ6Ym1NOUlqQWlJQ0J5WlhCMFkyZzkKCUlqQWlJQ0J6Y0doaFBTSXdJaUFnYzJG
+dVlUMGlNQ0lnSUdGMGNtMDlJakFpSUNCemMyVnpQU0l3SWlBZ2MzTmxjM2s5CglJakFpSUNCMmJY
+UTlJakFpSUNCMmJXRTlJakFpSUNCamMzTm9aR0Z0Y0QwaU1DSWdQZ284U0VGU1RTQWdRV04wTVQw
+aQoJTUNJZ0lHeDJiREU5SWpBaUlDQndZVzR4UFNJd0lpQWdkSFZ1TVQwaU1DSWdJSE50YVRFOUlq
+QWlJQ0J6YUhBeFBTSXcKCUlpQWdjM2x0YlRFOUlqQWlJQ0J6ZVc0eFBTSXdJaUFnZDJadE1UMGlN
+Q0lnSUVGamRESTlJakFpSUNCc2Rtd3lQU0l3CglJaUFnY0dGdU1qMGlNQ0lnSUhSMWJqSTlJakFp
+SUNCemJXa3lQU0l3SWlBZ2MyaHdNajBpTUNJZ0lITjViVzB5UFNJdwoJSWlBZ2MzbHVNajBpTUNJ
+Z0lIZG1iVEk5SWpBaUlDQkJZM1F6UFNJd0lpQWdiSFpzTXowaU1DSWdJSEJoYmpNOUlqQWkKCUlD
+QjBkVzR6UFNJd0lpQWdjMjFwTXowaU1DSWdJSE5vY0RNOUlqQWlJQ0J6ZVcxdE16MGlNQ0lnSUhO
+NWJqTTlJakFpCglJQ0IzWm0welBTSXdJaUFnUVdOME5EMGlNQ0lnSUd4MmJEUTlJakFpSUNCd1lX
+NDBQU0l3SWlBZ2RIVnVORDBpTUNJZwoJSUhOdGFUUTlJakFpSUNCemFIQTBQU0l3SWlBZ2MzbHRi
+VFE5SWpBaUlDQnplVzQwUFNJd0lpQWdkMlp0TkQwaU1DSWcKCUlHMXZaRDBpTUNJZ0lHMXBlRDBp
+TUNJZ1BnbzhMMGhCVWswK0NpQThWRTlPUlZkSVJVVk1JQ0JrY25jeFBTSXpaakF3CglNREF3TUNJ
+Z0lHUnlkekk5SWpObU1EQXdNREF3SWlBZ1pISjNNejBpTTJZd01EQXdNREFpSUNCa2NuYzBQU0l6
+WmpBdwoJTURBd01DSWdJR1J5ZHpVOUlqQWlJQ0JrY25jMlBTSXdJaUFnWkhKM056MGlNQ0lnSUdS
+eWR6ZzlJakFpSUNCa2NuYzUKCVBTSXdJaUFnY0dWa01UMGlNMll3TURBd01EQWlJQ0J3WldReVBT
+SXpaakF3TURBd01DSWdJRk53VDI0OUlqQWlJQ0JXCglUMjQ5SWpBaUlDQldiVzlrWlQwaU1DSWdJ
+RkJ2YmowaU1DSWdJRkJ6YjJaMFBTSXdJaUFnVUdaaGMzUTlJakFpSUNCUQoJYUdGeWJUMGlNQ0ln
+SUZOd2EzSTlJakFpSUNCRGJHbGphejBpTUNJZ0lFaDFiVDBpTUNJZ0lFRm5aVDBpTUNJZ0lGaDAK
+CVlXeHJQU0l3SWlBZ1RHOTNabTlzWkQwaU0yWTRNREF3TURBaUlDQlFPV1E5SWpObU9EQXdNREF3
+SWlBZ1VHeGxaejBpCglNMlk0TURBd01EQWlJQ0JRWkdsdFBTSXpaamd3TURBd01DSWdQZ284TDFS
+UFRrVlhTRVZGVEQ0S0lEeFhRVlpGVXlBKwoJQ2p3dlYwRldSVk0rQ2lBOFJrMVhRVlpGVXlBK0Nq
+d3ZSazFYUVZaRlV6NEtJRHhCVFZkQlZrVlRJRDRLUEM5QlRWZEIKCVZrVlRQZ29nUEM5UFUwTStD
+aUE4UmtWT1ZpQWdZejBpT0NJZ0lIQmhiajBpTUNJZ0lIcHZiMjA5SWpObU1EZ3pNVGhqCglJaUEr
+Q2p4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqQWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdN
+REFpSUQ0SwoJUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJNeU0yUTNNREFp
+SUNCelBTSXdJaUFnWXowaU0yWTQKCU1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RB
+d01EQXdJaUFnZEQwaU0yTmhNMlEzTURBaUlDQnpQU0l3CglJaUFnWXowaU0yWTRNREF3TURBaUlE
+NEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMk5tTldNeQoJT0RVaUlDQnpQ
+U0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm1PREF3TURBd0lp
+QWcKCWREMGlNMlF5TTJRM01EVWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQ
+Z29nUEhBZ0lHdzlJak5tCglPREF3TURBd0lpQWdkRDBpTTJRMFkyTmpZemNpSUNCelBTSXdJaUFn
+WXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZwoJUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQw
+aU0yUTNOV015T0dFaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWkKCUlENEtQQzl3UGdvZ1BI
+QWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNMlE0WmpWak1qVWlJQ0J6UFNJd0lpQWdZejBpCglN
+Mlk0TURBd01EQWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqQWlJQ0IwUFNJelpHRXpaRGN3TlNJZ0lI
+TTlJakFpSUNCagoJUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOEwwWkZUbFkrQ2lBOFJrVk9W
+bEJCVWtGTlV5QWdZVDBpTUNJZ0lHZzkKCUlqQWlJQ0JrUFNJd0lpQWdjajBpTUNJZ0lHRjBkR3M5
+SWpObE5qUm1PVEkzSWlBZ2FHOXNaRDBpTTJVMk5HWTVNamNpCglJQ0JrWldONVBTSXpaVFkwWmpr
+eU55SWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TWpjaQoJSUNCemJY
+QTlJakFpSUNCc2NEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFpSUNCMGNtZE5aRDBpTUNJ
+Z0lIWmwKCWJITmxibk05SWpBaUlDQnRaMngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJakFpSUNCa2NI
+UTlJakFpSUNCamFITlVjbWM5CglJakFpSUNCaGRHTm9jejBpTUNJZ1BnbzhMMFpGVGxaUVFWSkJU
+Vk0rQ2lBOFFVVk9WaUFnWXowaU9DSWdJSEJoYmowaQoJTUNJZ0lIcHZiMjA5SWpObU1EZ3pNVGhq
+SWlBK0NqeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJakFpSUNCelBTSXcKCUlpQWdZejBpTTJZ
+NE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yTXlNMlEz
+CglNREFpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpO
+bU9EQXdNREF3SWlBZwoJZEQwaU0yTmhNMlEzTURBaUlDQnpQU0l3SWlBZ1l6MGlNMlk0TURBd01E
+QWlJRDRLUEM5d1Bnb2dQSEFnSUd3OUlqTm0KCU9EQXdNREF3SWlBZ2REMGlNMk5tTldNeU9EVWlJ
+Q0J6UFNJd0lpQWdZejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nCglQSEFnSUd3OUlqTm1PREF3
+TURBd0lpQWdkRDBpTTJReU0yUTNNRFVpSUNCelBTSXdJaUFnWXowaU0yWTRNREF3TURBaQoJSUQ0
+S1BDOXdQZ29nUEhBZ0lHdzlJak5tT0RBd01EQXdJaUFnZEQwaU0yUTBZMk5qWXpjaUlDQnpQU0l3
+SWlBZ1l6MGkKCU0yWTRNREF3TURBaUlENEtQQzl3UGdvZ1BIQWdJR3c5SWpObU9EQXdNREF3SWlB
+Z2REMGlNMlEzTldNeU9HRWlJQ0J6CglQU0l3SWlBZ1l6MGlNMlk0TURBd01EQWlJRDRLUEM5d1Bn
+b2dQSEFnSUd3OUlqTm1PREF3TURBd0lpQWdkRDBpTTJRNAoJWmpWak1qVWlJQ0J6UFNJd0lpQWdZ
+ejBpTTJZNE1EQXdNREFpSUQ0S1BDOXdQZ29nUEhBZ0lHdzlJakFpSUNCMFBTSXoKCVpHRXpaRGN3
+TlNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThMMEZGVGxZK0NpQThR
+VVZPCglWbEJCVWtGTlV5QWdiMjVQWm1ZOUlqQWlJQ0JoUFNJd0lpQWdhRDBpTUNJZ0lHUTlJakFp
+SUNCeVBTSXdJaUFnWVhSMAoJYXowaU0yVTJOR1k1TWpjaUlDQm9iMnhrUFNJelpUWTBaamt5TnlJ
+Z0lHUmxZM2s5SWpObE5qUm1PVEkzSWlBZ2MzVnoKCWREMGlNMlk0TURBd01EQWlJQ0J5Wld4elBT
+SXpaVFkwWmpreU55SWdJSE50Y0QwaU1DSWdJR3h3UFNJd0lpQWdjM2x1CglZejBpTUNJZ0lITnda
+RDBpTUNJZ0lIUnlaMDFrUFNJd0lpQWdkbVZzYzJWdWN6MGlNQ0lnSUcxbmJIWnNjejBpTUNJZwoJ
+SUcxblkzSjJjejBpTUNJZ0lHUndkRDBpTUNJZ0lHTm9jMVJ5WnowaU1DSWdJR0YwWTJoelBTSXdJ
+aUErQ2p3dlFVVk8KCVZsQkJVa0ZOVXo0S0lEeEZSa1pTUVVOTElENEtQRVZHUmsxUFJGVk1SU0Fn
+Vkhsd1pUMGlUbThnUldabVpXTjBJaUFnCglVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3SWlB
+Z1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOQoJSWpBaUlDQlFOejBpTUNJZ0lG
+QTRQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1USTkKCUlqQWlJ
+Q0JRTVRNOUlqQWlJQ0JRTVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZSa1pOVDBSVlRF
+VStDaUE4CglSVVpHVFU5RVZVeEZJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRTUQwaU1DSWdJ
+RkF4UFNJd0lpQWdVREk5SWpBaQoJSUNCUU16MGlNQ0lnSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JR
+TmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlEKCU9UMGlNQ0lnSUZBeE1EMGlNQ0lnSUZB
+eE1UMGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnCglJRUZqZEdsMlpU
+MGlNQ0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZSNWNHVTlJazV2SUVW
+bQoJWm1WamRDSWdJRkF3UFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VE
+UTlJakFpSUNCUU5UMGkKCU1DSWdJRkEyUFNJd0lpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQ
+U0l3SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3CglJaUFnVURFeVBTSXdJaUFnVURFelBTSXdJaUFn
+VURFMFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RQoJVlV4RlBnb2dQRVZHUmsx
+UFJGVk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWcKCUlG
+QXlQU0l3SWlBZ1VETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJQ0JRTnow
+aU1DSWdJRkE0CglQU0l3SWlBZ1VEazlJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1U
+STlJakFpSUNCUU1UTTlJakFpSUNCUQoJTVRROUlqQWlJQ0JCWTNScGRtVTlJakFpSUQ0S1BDOUZS
+a1pOVDBSVlRFVStDaUE4TDBWR1JsSkJRMHMrQ2lBOEwxWlAKCVNVTkZQZ29nUEUxVlRGUkpVMEZO
+VUV4RklDQk1ZWGxsY2pCV2IydzlJakFpSUNCTVlYbGxjakJCWTNROUlqQWlJQ0JNCglZWGxsY2pC
+TmREMGlNQ0lnSUV4aGVXVnlNRVpzUFNJd0lpQWdUR0Y1WlhJeFZtOXNQU0l3SWlBZ1RHRjVaWEl4
+UVdOMAoJUFNJd0lpQWdUR0Y1WlhJeFRYUTlJakFpSUNCTVlYbGxjakZHYkQwaU1DSWdJRXhoZVdW
+eU1sWnZiRDBpTUNJZ0lFeGgKCWVXVnlNa0ZqZEQwaU1DSWdJRXhoZVdWeU1rMTBQU0l3SWlBZ1RH
+RjVaWEl5Um13OUlqQWlJQ0JNWVhsbGNqTldiMnc5CglJakFpSUNCTVlYbGxjak5CWTNROUlqQWlJ
+Q0JNWVhsbGNqTk5kRDBpTUNJZ0lFeGhlV1Z5TTBac1BTSXdJaUFnY21WcwoJVm05c1BTSXdJaUFn
+Y0dWa1RIWnNQU0l3SWlBZ2NHVmtSbGc5SWpObU9EQXdNREF3SWlBZ2MzSjRabUZrWlQwaU1DSWcK
+CUlISmxiRkoxYkdVOUlqQWlJQ0IwYVcxaWNtVTlJakFpSUNCMFltMWtQU0l3SWlBZ1pXNXpjMjV5
+YkQwaU1DSWdJSEpsCgljSFJqYUhKbGJEMGlNQ0lnSUhOemNtVjJjR0k5SWpBaUlDQnRiMmR5YVda
+NVBTSXdJaUFnYzNOMGFHbHVSVzQ5SWpBaQoJSUQ0S1BDOU5WVXhVU1ZOQlRWQk1SVDRLSUR4TlZV
+eFVTVk5CVFZCTVJTQWdUR0Y1WlhJd1ZtOXNQU0l3SWlBZ1RHRjUKCVpYSXdRV04wUFNJd0lpQWdU
+R0Y1WlhJd1RYUTlJakFpSUNCTVlYbGxjakJHYkQwaU1DSWdJRXhoZVdWeU1WWnZiRDBpCglNQ0ln
+SUV4aGVXVnlNVUZqZEQwaU1DSWdJRXhoZVdWeU1VMTBQU0l3SWlBZ1RHRjVaWEl4Um13OUlqQWlJ
+Q0JNWVhsbAoJY2pKV2IydzlJakFpSUNCTVlYbGxjakpCWTNROUlqQWlJQ0JNWVhsbGNqSk5kRDBp
+TUNJZ0lFeGhlV1Z5TWtac1BTSXcKCUlpQWdUR0Y1WlhJelZtOXNQU0l3SWlBZ1RHRjVaWEl6UVdO
+MFBTSXdJaUFnVEdGNVpYSXpUWFE5SWpBaUlDQk1ZWGxsCgljak5HYkQwaU1DSWdJSEpsYkZadmJE
+MGlNQ0lnSUhCbFpFeDJiRDBpTUNJZ0lIQmxaRVpZUFNJelpqZ3dNREF3TUNJZwoJSUhOeWVHWmha
+R1U5SWpBaUlDQnlaV3hTZFd4bFBTSXdJaUFnZEdsdFluSmxQU0l3SWlBZ2RHSnRaRDBpTUNJZ0lH
+VnUKCWMzTnVjbXc5SWpBaUlDQnlaWEIwWTJoeVpXdzlJakFpSUNCemMzSmxkbkJpUFNJd0lpQWdi
+VzluY21sbWVUMGlNQ0lnCglJSE56ZEdocGJrVnVQU0l3SWlBK0Nqd3ZUVlZNVkVsVFFVMVFURVUr
+Q2lBOFJVWkdVa0ZEU3lBK0NqeEZSa1pOVDBSVgoJVEVVZ0lGUjVjR1U5SWs1dklFVm1abVZqZENJ
+Z0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXcKCUlpQWdVRFE5SWpBaUlD
+QlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFnCglV
+REV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lp
+QWdRV04wYVhabAoJUFNJd0lpQStDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJTQWdW
+SGx3WlQwaVRtOGdSV1ptWldOMElpQWcKCVVEQTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFn
+VURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5CglJakFpSUNCUU56MGlNQ0lnSUZB
+NFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOQoJSWpBaUlD
+QlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5UMFJWVEVV
+K0NpQTgKCVJVWkdUVTlFVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpTUNJZ0lG
+QXhQU0l3SWlBZ1VESTlJakFpCglJQ0JRTXowaU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFO
+ajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUQoJT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4
+TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWcKCUlFRmpkR2wyWlQw
+aU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOVDBSVlRFVWdJRlI1Y0dVOUlrNXZJRVZt
+CglabVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURR
+OUlqQWlJQ0JRTlQwaQoJTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBT
+SXdJaUFnVURFd1BTSXdJaUFnVURFeFBTSXcKCUlpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdV
+REUwUFNJd0lpQWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFCglWVXhGUGdvZ1BDOUZSa1pT
+UVVOTFBnb2dQRUZWV0VWR1JsSkJRMHNnUGdvOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNKTwoJYnlC
+RlptWmxZM1FpSUNCUU1EMGlNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXowaU1DSWdJRkEw
+UFNJd0lpQWcKCVVEVTlJakFpSUNCUU5qMGlNQ0lnSUZBM1BTSXdJaUFnVURnOUlqQWlJQ0JRT1Qw
+aU1DSWdJRkF4TUQwaU1DSWdJRkF4CglNVDBpTUNJZ0lGQXhNajBpTUNJZ0lGQXhNejBpTUNJZ0lG
+QXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWRwoJUmsxUFJGVk1SVDRLSUR4RlJrWk5U
+MFJWVEVVZ0lGUjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTkKCUlqQWlJQ0JR
+TWowaU1DSWdJRkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJ
+akFpCglJQ0JRT0QwaU1DSWdJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5
+UFNJd0lpQWdVREV6UFNJdwoJSWlBZ1VERTBQU0l3SWlBZ1FXTjBhWFpsUFNJd0lpQStDand2UlVa
+R1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJTQWcKCVZIbHdaVDBpVG04Z1JXWm1aV04wSWlBZ1VE
+QTlJakFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRCglORDBpTUNJZ0lGQTFQ
+U0l3SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOQoJ
+SWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZ
+M1JwZG1VOUlqQWkKCUlENEtQQzlGUmtaTlQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJs
+UFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpCglNQ0lnSUZBeFBTSXdJaUFnVURJOUlqQWlJQ0JRTXow
+aU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZwoJSUZBM1BTSXdJaUFnVURnOUlq
+QWlJQ0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWcKCUlGQXhN
+ejBpTUNJZ0lGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lE
+d3ZRVlZZCglSVVpHVWtGRFN6NEtJRHhNUms5ZlUwVlVJRDRLUEV4R1R5QWdkSGx3WlQwaU1DSWdJ
+R05sYm5SbGNqMGlNQ0lnSUhOMwoJYVc1blBTSXdJaUFnY21GMFpUMGlNQ0lnSUhKdVpIUnlQU0l3
+SWlBZ2NtRnVaSEpuUFNJd0lpQWdjbUZ1WkhKbGRqMGkKCU1DSWdJSEIxYkhObGJXbDRQU0l3SWlB
+Z2NIVnNjMlZ5WVhSbFBTSXdJaUFnYzJOaGJHVTlJakFpSUNCemVXNWpQU0l3CglJaUFnY21WelpY
+UjBjajBpTUNJZ0lHVnVkbVJ3ZEdnOUlqQWlJQ0JpY0c5c1lYSTlJakFpSUNCd2FHRnpaVDBpTUNJ
+ZwoJSUhWdWFXUnBjajBpTUNJZ1BnbzhMMHhHVHo0S0lEeE1SazhnSUhSNWNHVTlJakFpSUNCalpX
+NTBaWEk5SWpBaUlDQnoKCWQybHVaejBpTUNJZ0lISmhkR1U5SWpBaUlDQnlibVIwY2owaU1DSWdJ
+SEpoYm1SeVp6MGlNQ0lnSUhKaGJtUnlaWFk5CglJakFpSUNCd2RXeHpaVzFwZUQwaU1DSWdJSEIx
+YkhObGNtRjBaVDBpTUNJZ0lITmpZV3hsUFNJd0lpQWdjM2x1WXowaQoJTUNJZ0lISmxjMlYwZEhJ
+OUlqQWlJQ0JsYm5aa2NIUm9QU0l3SWlBZ1luQnZiR0Z5UFNJd0lpQWdjR2hoYzJVOUlqQWkKCUlD
+QjFibWxrYVhJOUlqQWlJRDRLUEM5TVJrOCtDaUE4VEVaUElDQjBlWEJsUFNJd0lpQWdZMlZ1ZEdW
+eVBTSXdJaUFnCgljM2RwYm1jOUlqQWlJQ0J5WVhSbFBTSXdJaUFnY201a2RISTlJakFpSUNCeVlX
+NWtjbWM5SWpBaUlDQnlZVzVrY21WMgoJUFNJd0lpQWdjSFZzYzJWdGFYZzlJakFpSUNCd2RXeHpa
+WEpoZEdVOUlqQWlJQ0J6WTJGc1pUMGlNQ0lnSUhONWJtTTkKCUlqQWlJQ0J5WlhObGRIUnlQU0l3
+SWlBZ1pXNTJaSEIwYUQwaU1DSWdJR0p3YjJ4aGNqMGlNQ0lnSUhCb1lYTmxQU0l3CglJaUFnZFc1
+cFpHbHlQU0l3SWlBK0Nqd3ZURVpQUGdvZ1BFeEdUeUFnZEhsd1pUMGlNQ0lnSUdObGJuUmxjajBp
+TUNJZwoJSUhOM2FXNW5QU0l3SWlBZ2NtRjBaVDBpTUNJZ0lISnVaSFJ5UFNJd0lpQWdjbUZ1WkhK
+blBTSXdJaUFnY21GdVpISmwKCWRqMGlNQ0lnSUhCMWJITmxiV2w0UFNJd0lpQWdjSFZzYzJWeVlY
+UmxQU0l3SWlBZ2MyTmhiR1U5SWpBaUlDQnplVzVqCglQU0l3SWlBZ2NtVnpaWFIwY2owaU1DSWdJ
+R1Z1ZG1Sd2RHZzlJakFpSUNCaWNHOXNZWEk5SWpBaUlDQndhR0Z6WlQwaQoJTUNJZ0lIVnVhV1Jw
+Y2owaU1DSWdQZ284TDB4R1R6NEtJRHhNUms4Z0lIUjVjR1U5SWpBaUlDQmpaVzUwWlhJOUlqQWkK
+CUlDQnpkMmx1WnowaU1DSWdJSEpoZEdVOUlqQWlJQ0J5Ym1SMGNqMGlNQ0lnSUhKaGJtUnlaejBp
+TUNJZ0lISmhibVJ5CglaWFk5SWpBaUlDQndkV3h6WlcxcGVEMGlNQ0lnSUhCMWJITmxjbUYwWlQw
+aU1DSWdJSE5qWVd4bFBTSXdJaUFnYzNsdQoJWXowaU1DSWdJSEpsYzJWMGRISTlJakFpSUNCbGJu
+WmtjSFJvUFNJd0lpQWdZbkJ2YkdGeVBTSXdJaUFnY0doaGMyVTkKCUlqQWlJQ0IxYm1sa2FYSTlJ
+akFpSUQ0S1BDOU1SazgrQ2lBOFRFWlBJQ0IwZVhCbFBTSXdJaUFnWTJWdWRHVnlQU0l3CglJaUFn
+YzNkcGJtYzlJakFpSUNCeVlYUmxQU0l3SWlBZ2NtNWtkSEk5SWpBaUlDQnlZVzVrY21jOUlqQWlJ
+Q0J5WVc1awoJY21WMlBTSXdJaUFnY0hWc2MyVnRhWGc5SWpBaUlDQndkV3h6WlhKaGRHVTlJakFp
+SUNCelkyRnNaVDBpTUNJZ0lITjUKCWJtTTlJakFpSUNCeVpYTmxkSFJ5UFNJd0lpQWdaVzUyWkhC
+MGFEMGlNQ0lnSUdKd2IyeGhjajBpTUNJZ0lIQm9ZWE5sCglQU0l3SWlBZ2RXNXBaR2x5UFNJd0lp
+QStDand2VEVaUFBnb2dQRXhHVHlBZ2RIbHdaVDBpTUNJZ0lHTmxiblJsY2owaQoJTUNJZ0lITjNh
+VzVuUFNJd0lpQWdjbUYwWlQwaU1DSWdJSEp1WkhSeVBTSXdJaUFnY21GdVpISm5QU0l3SWlBZ2Nt
+RnUKCVpISmxkajBpTUNJZ0lIQjFiSE5sYldsNFBTSXdJaUFnY0hWc2MyVnlZWFJsUFNJd0lpQWdj
+Mk5oYkdVOUlqQWlJQ0J6CgllVzVqUFNJd0lpQWdjbVZ6WlhSMGNqMGlNQ0lnSUdWdWRtUndkR2c5
+SWpBaUlDQmljRzlzWVhJOUlqQWlJQ0J3YUdGegoJWlQwaU1DSWdJSFZ1YVdScGNqMGlNQ0lnUGdv
+OEwweEdUejRLSUR4TVJrOGdJSFI1Y0dVOUlqQWlJQ0JqWlc1MFpYSTkKCUlqQWlJQ0J6ZDJsdVp6
+MGlNQ0lnSUhKaGRHVTlJakFpSUNCeWJtUjBjajBpTUNJZ0lISmhibVJ5WnowaU1DSWdJSEpoCgli
+bVJ5WlhZOUlqQWlJQ0J3ZFd4elpXMXBlRDBpTUNJZ0lIQjFiSE5sY21GMFpUMGlNQ0lnSUhOallX
+eGxQU0l3SWlBZwoJYzNsdVl6MGlNQ0lnSUhKbGMyVjBkSEk5SWpBaUlDQmxiblprY0hSb1BTSXdJ
+aUFnWW5CdmJHRnlQU0l3SWlBZ2NHaGgKCWMyVTlJakFpSUNCMWJtbGthWEk5SWpBaUlENEtQQzlN
+Ums4K0NpQThMMHhHVDE5VFJWUStDaUE4VFU5RVJVNVdVRUZTCglRVTFUSUNCaFBTSXdJaUFnYUQw
+aU1DSWdJR1E5SWpBaUlDQnlQU0l3SWlBZ1lYUjBhejBpTTJVMk5HWTVNbVVpSUNCbwoJYjJ4a1BT
+SXpaVFkwWmpreVpTSWdJR1JsWTNrOUlqTmxOalJtT1RKbUlpQWdjM1Z6ZEQwaU0yWTRNREF3TURB
+aUlDQnkKCVpXeHpQU0l6WlRZMFpqa3laQ0lnSUhOdGNEMGlNQ0lnSUd4d1BTSXdJaUFnYzNsdVl6
+MGlNQ0lnSUhOd1pEMGlNQ0lnCglJSFJ5WjAxa1BTSXdJaUFnZG1Wc2MyVnVjejBpTUNJZ0lHMW5i
+SFpzY3owaU1DSWdJRzFuWTNKMmN6MGlNQ0lnSUdSdwoJZEQwaU1DSWdJR05vYzFSeVp6MGlNQ0ln
+SUdGMFkyaHpQU0l3SWlBK0Nqd3ZUVTlFUlU1V1VFRlNRVTFUUGdvZ1BFMVAKCVJGOUZUbFl5WHpJ
+Z0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyUFNJelpUWTBaamt5
+CglaU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6ZFhO
+MFBTSXpaamd3TURBdwoJTUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JI
+QTlJakFpSUNCemVXNWpQU0l3SWlBZ2MzQmsKCVBTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpa
+VzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkamNuWnpQU0l3CglJaUFnWkhCMFBTSXdJaUFn
+WTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOVDBSZlJVNVdNbDh5UGdvZwoJUEUx
+UFJGOUZUbFl5WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJy
+UFNJelpUWTAKCVpqa3laU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZ
+NU1tWWlJQ0J6ZFhOMFBTSXpaamd3CglNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2My
+MXdQU0l3SWlBZ2JIQTlJakFpSUNCemVXNWpQU0l3SWlBZwoJYzNCa1BTSXdJaUFnZEhKblRXUTlJ
+akFpSUNCMlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkamNuWnoKCVBTSXdJaUFn
+WkhCMFBTSXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOVDBSZlJVNVdN
+bDh5CglQZ29nUEUxUFJGOUZUbFl5WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5
+SWpBaUlDQmhkSFJyUFNJegoJWlRZMFpqa3laU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdW
+amVUMGlNMlUyTkdZNU1tWWlJQ0J6ZFhOMFBTSXoKCVpqZ3dNREF3TUNJZ0lISmxiSE05SWpObE5q
+Um1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNCemVXNWpQU0l3CglJaUFnYzNCa1BTSXdJ
+aUFnZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBTSXdJaUFnYldkagoJ
+Y25aelBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEtQ
+QzlOVDBSZlJVNVcKCU1sOHlQZ29nUEUxUFJGOUZUbFl5WHpJZ0lHRTlJakFpSUNCb1BTSXdJaUFn
+WkQwaU1DSWdJSEk5SWpBaUlDQmhkSFJyCglQU0l6WlRZMFpqa3laU0lnSUdodmJHUTlJak5sTmpS
+bU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6ZFhOMAoJUFNJelpqZ3dNREF3TUNJZ0lI
+SmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNCemVXNWoKCVBTSXdJ
+aUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lpQWdiV2RzZG14elBT
+SXdJaUFnCgliV2RqY25aelBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5QU0l3SWlBZ1lYUmph
+SE05SWpBaUlENEtQQzlOVDBSZgoJUlU1V01sOHlQZ29nUEUxUFJGOUZUbFl5WHpJZ0lHRTlJakFp
+SUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaUlDQmgKCWRIUnJQU0l6WlRZMFpqa3laU0lnSUdo
+dmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWlJQ0J6CglkWE4wUFNJelpq
+Z3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlBZ2JIQTlJakFpSUNC
+egoJZVc1alBTSXdJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpXeHpaVzV6UFNJd0lp
+QWdiV2RzZG14elBTSXcKCUlpQWdiV2RqY25aelBTSXdJaUFnWkhCMFBTSXdJaUFnWTJoelZISm5Q
+U0l3SWlBZ1lYUmphSE05SWpBaUlENEtQQzlOCglUMFJmUlU1V01sOHlQZ29nUEVOMWMzUnZiVVJo
+ZEdFeUlENEtQQzlEZFhOMGIyMUVZWFJoTWo0S0lEd3ZVMWxPVkVoRgoJVGtjK0NpQThMMU41Ym5S
+b1JXNW5hVzVsUGdvZ1BDOVRlVzUwYUZOMVlrVnVaMmx1WlQ0S0lEeFRlVzUwYUZOMVlrVnUKCVoy
+bHVaU0ErQ2p4VGVXNTBhRVZ1WjJsdVpTQStDanhCVWxBZ0lFRnljRTF2WkdVOUlqQWlJQ0JCY25C
+RGJHOWphejBpCglNQ0lnSUVGeWNFeGxiajBpTUNJZ0lFRnljRk4zYVc1blBTSXdJaUFnUVhKd1Zt
+VnNUV2w0UFNJd0lpQWdRWEp3U0hWdAoJUFNJd0lpQWdRWEp3U0hWdFZtVnNQU0l3SWlBZ1FYSndT
+SFZ0VkdsbmFIUkViM2R1UFNJelpqZ3dNREF3TUNJZ0lFRnkKCWNFOWpkRDBpTUNJZ0lFRnljRTl1
+VDJabVBTSXdJaUFnUVhKd1VHaGhjMlU5SWpBaUlDQkJjbkJHWldWc1IzSnZiM1psCglUMjVQWm1Z
+OUlqQWlJQ0JCY25CVGJtRndWRzlIY21sa1QyNVBabVk5SWpBaUlDQkJjbkJUY0dROUlqQWlJQ0JC
+Y25CUQoJYkhrOUlqQWlJQ0JCY25CU1pYTmxkRDBpTUNJZ0lFRnljRk53WVc0OUlqTmpZVE5rTnpC
+aElpQWdRWEp3VTI1d1IzSjIKCWRIazlJakFpSUNCQmNuQkhjbTl2ZG1WT1lXMWxQU0lpSUQ0S1BF
+RlNVRk5GVVRJZ0lGUkZUVkJQUFNJME1tWXdNREF3CglNQ0lnSUZSSlEwdFRVRVZTVVZWQlVsUkZV
+ajBpTFRJeE5EYzBPRE0yTkRnaUlDQlVTVTFGVTBsSFRsVk5QU0kwSWlBZwoJVkVsTlJWTkpSMFJG
+VGs5TlBTSTBJaUErQ2p4VFRFbERSVk5GVVZOVVJWQWdJRUpGUjBsT1BTSXRNakUwTnpRNE16WTAK
+CU9DSWdJRVZPUkQwaU1DSWdJRU5JUFNJdE1TSWdJRk5NU1VORlNVNUVSVmc5SWpJMU9TSWdJRlpG
+VEQwaU1USTNJaUFnCglVMUE5SWpBaUlDQlRWRkpUVUQwaU0yVTRNREF3TURBaUlENEtQQzlUVEVs
+RFJWTkZVVk5VUlZBK0NpQThMMEZTVUZORgoJVVRJK0NpQThRVkpRUmtWRlRGTkZVU0FnVkVWTlVF
+ODlJalF5WmpBd01EQXdJaUFnVkVsRFMxTlFSVkpSVlVGU1ZFVlMKCVBTSTBNVGt5SWlBZ1ZFbE5S
+Vk5KUjA1VlRUMGlOQ0lnSUZSSlRVVlRTVWRFUlU1UFRUMGlOQ0lnUGdvOFUweEpRMFZUCglSVkZU
+VkVWUUlDQkNSVWRKVGowaU1UWTNOamdpSUNCRlRrUTlJakUyTnpZNElpQWdRMGc5SWkweElpQWdV
+MHhKUTBWSgoJVGtSRldEMGlMVEVpSUNCV1JVdzlJakV5TnlJZ0lGTlVVbE5RUFNJelpUZ3dNREF3
+TUNJZ1BnbzhMMU5NU1VORlUwVlIKCVUxUkZVRDRLSUR3dlFWSlFSa1ZGVEZORlVUNEtJRHd2UVZK
+UVBnb2dQRk5aVGxSSVJVNUhJQ0JXWlhKelBTSXlPU0lnCglJR0p5TUQwaU0yWTBNREF3TURBaUlD
+QmlOREE5SWpBaUlDQmljakU5SWpObU5EQXdNREF3SWlBZ1lqUXhQU0l3SWlBZwoJWW5JeVBTSXpa
+alF3TURBd01DSWdJR0kwTWowaU1DSWdJR0p5TXowaU0yWTBNREF3TURBaUlDQmlORE05SWpBaUlD
+QmkKCWNqUTlJak5tTkRBd01EQXdJaUFnWWpRMFBTSXdJaUFnWW5JMVBTSXpaalF3TURBd01DSWdJ
+R0kwTlQwaU1DSWdJR0p5CglOajBpTTJZME1EQXdNREFpSUNCaU5EWTlJakFpSUNCaWNqYzlJak5t
+TkRBd01EQXdJaUFnWWpRM1BTSXdJaUFnY1c5dQoJUFNJd0lpQWdjVzF2WkdVOUlqQWlJQ0J4Wm1G
+a1pUMGlNQ0lnSUhOMWMyMWtQU0l3SWlBZ2NtVndhMmxzYkQwaU1DSWcKCUlHUnRjR3gwUFNJd0lp
+QWdkSE5qYkQwaU1DSWdJR3hNUms5UVBTSTVPVGtpSUNCc1RVVnVkbEE5SWpjM055SWdJSE5vCglZ
+WEpsUFNJd0lpQWdjSEIyY3owaU0yWXdNREF3TURBaUlDQndjR053UFNJelpqQXdNREF3TUNJZ0lI
+QnZiSGs5SWpBaQoJSUNCd1ltTjFkRDBpTkRGbU9EQXdNREFpSUNCd1luVndQU0l3SWlBZ2NHSmti
+ajBpTUNJZ0lIWmplRDBpTUNJZ0lIWmoKCWVUMGlNQ0lnSUhaalp6MGlNQ0lnSUhaallqMGlNQ0ln
+SUd4bFoyMDlJakFpSUNCMWMyVk1aV2M5SWpBaUlDQnNaV2RKCgliblE5SWpBaUlDQnpibkowY21j
+OUlqQWlJQ0J3YkdWblBTSXdJaUFnWjJGcGJqMGlNQ0lnSUcxbVpuSnhQU0l3SWlBZwoJYldadFpE
+MGlNQ0lnSUcxbWNUMGlNQ0lnSUdSemFXRTlJakFpSUNCa2MybGlQU0l3SWlBZ1pITmhZbmhtUFNJ
+d0lpQWcKCWRtbHpNVDBpTUNJZ0lIWnBjekk5SWpBaUlDQjJhWE16UFNJd0lpQWdkbWx6TkQwaU1D
+SWdJSFpwY3pVOUlqQWlJQ0IyCglhWE0yUFNJd0lpQWdjMk51UkhCMGFEMGlNQ0lnSUhOamJrMXBl
+RDBpTUNJZ0lITmpibE5sYkQwaU1DSWdJSEJ2Y25SVwoJTWowaU1DSWdJSE5qYmsxQlBTSXdJaUFn
+YzJOdVRVTTlJakFpSUNCdmNtSlRkRDBpTUNJZ0lHOXlZa2x1UVcxdWREMGkKCU1DSWdJRzl5WWts
+dVUzUTlJakFpSUNCVFkyVnVaVU52YlhCdmJtVnVkREE5SWpBaUlDQlRZMlZ1WlVOdmJYQnZibVZ1
+CglkREU5SWpBaUlDQlRZMlZ1WlVOdmJYQnZibVZ1ZERJOUlqQWlJQ0JUWTJWdVpVTnZiWEJ2Ym1W
+dWRETTlJakFpSUNCcAoJY25ObGJtUmhkWGc5SWpBaUlDQndZWFY0Y213OUlqQWlJQ0JpZVhCaGMz
+TTlJakFpSUNCMGRXNXdZWFJvUFNJaUlDQnYKCWNtbG5UR2xpVG1GdFpUMGlJaUFnYjNKcFoxQmhk
+R05vVG1GdFpUMGlJaUFnUTNWemRHOXRYekE5SWpBaUlDQkRkWE4wCgliMjFmTVQwaU1DSWdJRU4x
+YzNSdmJWOHlQU0l3SWlBZ1EzVnpkRzl0WHpNOUlqQWlJQ0JEZFhOMGIyMWZORDBpTUNJZwoJSUVO
+MWMzUnZiVjgxUFNJd0lpQWdRM1Z6ZEc5dFh6WTlJakFpSUNCRGRYTjBiMjFmTnowaU1DSWdJRU4x
+YzNSdmJWODQKCVBTSXdJaUFnUTNWemRHOXRYems5SWpBaUlDQkRkWE4wYjIxZk1UQTlJakFpSUNC
+RGRYTjBiMjFmTVRFOUlqQWlJQ0JECglkWE4wYjIxZk1USTlJakFpSUNCRGRYTjBiMjFmTVRNOUlq
+QWlJQ0JEZFhOMGIyMWZNVFE5SWpBaUlDQkRkWE4wYjIxZgoJTVRVOUlqQWlJQ0JEZFhOMGIyMWZN
+VFk5SWpBaUlDQkRkWE4wYjIxZk1UYzlJakFpSUNCRGRYTjBiMjFmTVRnOUlqQWkKCUlDQkRkWE4w
+YjIxZk1UazlJakFpSUNCRGRYTjBiMjFmTWpBOUlqQWlJQ0JEZFhOMGIyMWZNakU5SWpBaUlDQkRk
+WE4wCgliMjFmTWpJOUlqQWlJQ0JEZFhOMGIyMWZNak05SWpBaUlDQkRkWE4wYjIxZk1qUTlJakFp
+SUNCRGRYTjBiMjFmTWpVOQoJSWpBaUlDQkRkWE4wYjIxZk1qWTlJakFpSUNCRGRYTjBiMjFmTWpj
+OUlqQWlJQ0JEZFhOMGIyMWZNamc5SWpBaUlDQkQKCWRYTjBiMjFmTWprOUlqQWlJQ0JEZFhOMGIy
+MWZNekE5SWpBaUlDQkRkWE4wYjIxZk16RTlJakFpSUNCRGRYTjBiMjFmCglNekk5SWpBaUlDQkRk
+WE4wYjIxZk16TTlJakFpSUNCRGRYTjBiMjFmTXpROUlqQWlJQ0JEZFhOMGIyMWZNelU5SWpBaQoJ
+SUNCRGRYTjBiMjFmTXpZOUlqQWlJQ0JEZFhOMGIyMWZNemM5SWpBaUlDQkRkWE4wYjIxZk16ZzlJ
+akFpSUNCRGRYTjAKCWIyMWZNems5SWpBaUlDQkRkWE4wYjIxZk5EQTlJakFpSUNCRGRYTjBiMjFm
+TkRFOUlqQWlJQ0JEZFhOMGIyMWZOREk5CglJakFpSUNCRGRYTjBiMjFmTkRNOUlqQWlJQ0JEZFhO
+MGIyMWZORFE5SWpBaUlDQkRkWE4wYjIxZk5EVTlJakFpSUNCRAoJZFhOMGIyMWZORFk5SWpBaUlD
+QkRkWE4wYjIxZk5EYzlJakFpSUNCRGRYTjBiMjFmTkRnOUlqQWlJQ0JEZFhOMGIyMWYKCU5EazlJ
+akFpSUNCRGRYTjBiMjFmTlRBOUlqQWlJQ0JEZFhOMGIyMWZOVEU5SWpBaUlDQkRkWE4wYjIxZk5U
+STlJakFpCglJQ0JEZFhOMGIyMWZOVE05SWpBaUlDQkRkWE4wYjIxZk5UUTlJakFpSUNCRGRYTjBi
+MjFmTlRVOUlqQWlJQ0JEZFhOMAoJYjIxZk5UWTlJakFpSUNCRGRYTjBiMjFmTlRjOUlqQWlJQ0JE
+ZFhOMGIyMWZOVGc5SWpBaUlDQkRkWE4wYjIxZk5UazkKCUlqQWlJQ0JEZFhOMGIyMWZOakE5SWpB
+aUlDQkRkWE4wYjIxZk5qRTlJakFpSUNCRGRYTjBiMjFmTmpJOUlqQWlJQ0JECglkWE4wYjIxZk5q
+TTlJakFpSUNCRGRYTjBiMjFmTmpROUlqQWlJQ0JEZFhOMGIyMWZOalU5SWpBaUlDQkRkWE4wYjIx
+ZgoJTmpZOUlqQWlJQ0JEZFhOMGIyMWZOamM5SWpBaUlDQkRkWE4wYjIxZk5qZzlJakFpSUNCRGRY
+TjBiMjFmTmprOUlqQWkKCUlDQkRkWE4wYjIxZk56QTlJakFpSUNCRGRYTjBiMjFmTnpFOUlqQWlJ
+Q0JEZFhOMGIyMWZOekk5SWpBaUlDQkRkWE4wCgliMjFmTnpNOUlqQWlJQ0JEZFhOMGIyMWZOelE5
+SWpBaUlDQkRkWE4wYjIxZk56VTlJakFpSUNCRGRYTjBiMjFmTnpZOQoJSWpBaUlDQkRkWE4wYjIx
+Zk56YzlJakFpSUNCRGRYTjBiMjFmTnpnOUlqQWlJQ0JEZFhOMGIyMWZOems5SWpBaUlDQkQKCWRY
+TjBiMjFmT0RBOUlqQWlJQ0JEZFhOMGIyMWZPREU5SWpBaUlDQkRkWE4wYjIxZk9ESTlJakFpSUNC
+RGRYTjBiMjFmCglPRE05SWpBaUlDQkRkWE4wYjIxZk9EUTlJakFpSUNCRGRYTjBiMjFmT0RVOUlq
+QWlJQ0JEZFhOMGIyMWZPRFk5SWpBaQoJSUNCRGRYTjBiMjFmT0RjOUlqQWlJQ0JEZFhOMGIyMWZP
+RGc5SWpBaUlDQkRkWE4wYjIxZk9EazlJakFpSUNCRGRYTjAKCWIyMWZPVEE5SWpBaUlDQkRkWE4w
+YjIxZk9URTlJakFpSUNCRGRYTjBiMjFmT1RJOUlqQWlJQ0JEZFhOMGIyMWZPVE05CglJakFpSUNC
+RGRYTjBiMjFmT1RROUlqQWlJQ0JEZFhOMGIyMWZPVFU5SWpBaUlDQkRkWE4wYjIxZk9UWTlJakFp
+SUNCRAoJZFhOMGIyMWZPVGM5SWpBaUlDQkRkWE4wYjIxZk9UZzlJakFpSUNCRGRYTjBiMjFmT1Rr
+OUlqQWlJQ0JEZFhOMGIyMWYKCU1UQXdQU0l3SWlBZ1EzVnpkRzl0WHpFd01UMGlNQ0lnSUVOMWMz
+UnZiVjh4TURJOUlqQWlJQ0JEZFhOMGIyMWZNVEF6CglQU0l3SWlBZ1EzVnpkRzl0WHpFd05EMGlN
+Q0lnSUVOMWMzUnZiVjh4TURVOUlqQWlJQ0JEZFhOMGIyMWZNVEEyUFNJdwoJSWlBZ1EzVnpkRzl0
+WHpFd056MGlNQ0lnSUVOMWMzUnZiVjh4TURnOUlqQWlJQ0JEZFhOMGIyMWZNVEE1UFNJd0lpQWcK
+CVEzVnpkRzl0WHpFeE1EMGlNQ0lnSUVOMWMzUnZiVjh4TVRFOUlqQWlJQ0JEZFhOMGIyMWZNVEV5
+UFNJd0lpQWdRM1Z6CglkRzl0WHpFeE16MGlNQ0lnSUVOMWMzUnZiVjh4TVRROUlqQWlJQ0JEZFhO
+MGIyMWZNVEUxUFNJd0lpQWdRM1Z6ZEc5dAoJWHpFeE5qMGlNQ0lnSUVOMWMzUnZiVjh4TVRjOUlq
+QWlJQ0JEZFhOMGIyMWZNVEU0UFNJd0lpQWdRM1Z6ZEc5dFh6RXgKCU9UMGlNQ0lnSUVOMWMzUnZi
+Vjh4TWpBOUlqQWlJQ0JEZFhOMGIyMWZNVEl4UFNJd0lpQWdRM1Z6ZEc5dFh6RXlNajBpCglNQ0ln
+SUVOMWMzUnZiVjh4TWpNOUlqQWlJQ0JEZFhOMGIyMWZNVEkwUFNJd0lpQWdRM1Z6ZEc5dFh6RXlO
+VDBpTUNJZwoJSUVOMWMzUnZiVjh4TWpZOUlqQWlJQ0JEZFhOMGIyMWZNVEkzUFNJd0lpQWdZM05q
+YUQwaU1DSWdJRU5RVTJOZk1EMGkKCU1DSWdJRU5RVTJOZk1UMGlNQ0lnSUVOUVUyTmZNajBpTUNJ
+Z0lFTlFVMk5mTXowaU1DSWdJRU5RVTJOZk5EMGlNQ0lnCglJRU5RVTJOZk5UMGlNQ0lnSUVOUVUy
+TmZOajBpTUNJZ0lFTlFVMk5mTnowaU1DSWdQZ284UlU1VVVsbEVSVk5EVWlBZwoJYm1GdFpUMGlJ
+aUFnYkdsaWNtRnllVDBpSWlBZ1FWUlVVa2xDWDFaQlRGVkZYMFJCVkVFOUluTnBlbVU5TURzaUlE
+NEsKCVBDOUZUbFJTV1VSRlUwTlNQZ29nUEUxUFJGOU5RVlJTU1ZnZ0lITnZkWEpqWlRBOUltOW1a
+aUlnSUhSaGNtZGxkREE5CglJbTltWmlJZ0lHUmxabFl3UFNJelpqZ3dNREF3TUNJZ0lHeHZNRDBp
+TUNJZ0lHaHBNRDBpTUNJZ0lHMTFkR1V3UFNJdwoJSWlBZ1pHRnRjREE5SWpBaUlDQmhiR3d3UFNJ
+d0lpQWdjMjkxY21ObE1UMGliMlptSWlBZ2RHRnlaMlYwTVQwaWIyWm0KCUlpQWdaR1ZtVmpFOUlq
+Tm1PREF3TURBd0lpQWdiRzh4UFNJd0lpQWdhR2t4UFNJd0lpQWdiWFYwWlRFOUlqQWlJQ0JrCglZ
+VzF3TVQwaU1DSWdJR0ZzYkRFOUlqQWlJQ0J6YjNWeVkyVXlQU0p2Wm1ZaUlDQjBZWEpuWlhReVBT
+SnZabVlpSUNCawoJWldaV01qMGlNMlk0TURBd01EQWlJQ0JzYnpJOUlqQWlJQ0JvYVRJOUlqQWlJ
+Q0J0ZFhSbE1qMGlNQ0lnSUdSaGJYQXkKCVBTSXdJaUFnWVd4c01qMGlNQ0lnSUhOdmRYSmpaVE05
+SW05bVppSWdJSFJoY21kbGRETTlJbTltWmlJZ0lHUmxabFl6CglQU0l6Wmpnd01EQXdNQ0lnSUd4
+dk16MGlNQ0lnSUdocE16MGlNQ0lnSUcxMWRHVXpQU0l3SWlBZ1pHRnRjRE05SWpBaQoJSUNCaGJH
+d3pQU0l3SWlBZ2MyOTFjbU5sTkQwaWIyWm1JaUFnZEdGeVoyVjBORDBpYjJabUlpQWdaR1ZtVmpR
+OUlqTm0KCU9EQXdNREF3SWlBZ2JHODBQU0l3SWlBZ2FHazBQU0l3SWlBZ2JYVjBaVFE5SWpBaUlD
+QmtZVzF3TkQwaU1DSWdJR0ZzCgliRFE5SWpBaUlDQnpiM1Z5WTJVMVBTSnZabVlpSUNCMFlYSm5a
+WFExUFNKdlptWWlJQ0JrWldaV05UMGlNMlk0TURBdwoJTURBaUlDQnNielU5SWpBaUlDQm9hVFU5
+SWpBaUlDQnRkWFJsTlQwaU1DSWdJR1JoYlhBMVBTSXdJaUFnWVd4c05UMGkKCU1DSWdJSE52ZFhK
+alpUWTlJbTltWmlJZ0lIUmhjbWRsZERZOUltOW1aaUlnSUdSbFpsWTJQU0l6Wmpnd01EQXdNQ0ln
+CglJR3h2TmowaU1DSWdJR2hwTmowaU1DSWdJRzExZEdVMlBTSXdJaUFnWkdGdGNEWTlJakFpSUNC
+aGJHdzJQU0l3SWlBZwoJYzI5MWNtTmxOejBpYjJabUlpQWdkR0Z5WjJWME56MGliMlptSWlBZ1pH
+Vm1WamM5SWpObU9EQXdNREF3SWlBZ2JHODMKCVBTSXdJaUFnYUdrM1BTSXdJaUFnYlhWMFpUYzlJ
+akFpSUNCa1lXMXdOejBpTUNJZ0lHRnNiRGM5SWpBaUlDQnpiM1Z5CglZMlU0UFNKdlptWWlJQ0Iw
+WVhKblpYUTRQU0p2Wm1ZaUlDQmtaV1pXT0QwaU0yWTRNREF3TURBaUlDQnNiemc5SWpBaQoJSUNC
+b2FUZzlJakFpSUNCdGRYUmxPRDBpTUNJZ0lHUmhiWEE0UFNJd0lpQWdZV3hzT0QwaU1DSWdJSE52
+ZFhKalpUazkKCUltOW1aaUlnSUhSaGNtZGxkRGs5SW05bVppSWdJR1JsWmxZNVBTSXpaamd3TURB
+d01DSWdJR3h2T1QwaU1DSWdJR2hwCglPVDBpTUNJZ0lHMTFkR1U1UFNJd0lpQWdaR0Z0Y0RrOUlq
+QWlJQ0JoYkd3NVBTSXdJaUFnYzI5MWNtTmxNVEE5SW05bQoJWmlJZ0lIUmhjbWRsZERFd1BTSnZa
+bVlpSUNCa1pXWldNVEE5SWpObU9EQXdNREF3SWlBZ2JHOHhNRDBpTUNJZ0lHaHAKCU1UQTlJakFp
+SUNCdGRYUmxNVEE5SWpBaUlDQmtZVzF3TVRBOUlqQWlJQ0JoYkd3eE1EMGlNQ0lnSUhOdmRYSmpa
+VEV4CglQU0p2Wm1ZaUlDQjBZWEpuWlhReE1UMGliMlptSWlBZ1pHVm1WakV4UFNJelpqZ3dNREF3
+TUNJZ0lHeHZNVEU5SWpBaQoJSUNCb2FURXhQU0l3SWlBZ2JYVjBaVEV4UFNJd0lpQWdaR0Z0Y0RF
+eFBTSXdJaUFnWVd4c01URTlJakFpSUNCemIzVnkKCVkyVXhNajBpYjJabUlpQWdkR0Z5WjJWME1U
+STlJbTltWmlJZ0lHUmxabFl4TWowaU0yWTRNREF3TURBaUlDQnNiekV5CglQU0l3SWlBZ2FHa3hN
+ajBpTUNJZ0lHMTFkR1V4TWowaU1DSWdJR1JoYlhBeE1qMGlNQ0lnSUdGc2JERXlQU0l3SWlBZwoJ
+YzI5MWNtTmxNVE05SW05bVppSWdJSFJoY21kbGRERXpQU0p2Wm1ZaUlDQmtaV1pXTVRNOUlqTm1P
+REF3TURBd0lpQWcKCWJHOHhNejBpTUNJZ0lHaHBNVE05SWpBaUlDQnRkWFJsTVRNOUlqQWlJQ0Jr
+WVcxd01UTTlJakFpSUNCaGJHd3hNejBpCglNQ0lnSUhOdmRYSmpaVEUwUFNKdlptWWlJQ0IwWVhK
+blpYUXhORDBpYjJabUlpQWdaR1ZtVmpFMFBTSXpaamd3TURBdwoJTUNJZ0lHeHZNVFE5SWpBaUlD
+Qm9hVEUwUFNJd0lpQWdiWFYwWlRFMFBTSXdJaUFnWkdGdGNERTBQU0l3SWlBZ1lXeHMKCU1UUTlJ
+akFpSUNCemIzVnlZMlV4TlQwaWIyWm1JaUFnZEdGeVoyVjBNVFU5SW05bVppSWdJR1JsWmxZeE5U
+MGlNMlk0CglNREF3TURBaUlDQnNiekUxUFNJd0lpQWdhR2t4TlQwaU1DSWdJRzExZEdVeE5UMGlN
+Q0lnSUdSaGJYQXhOVDBpTUNJZwoJSUdGc2JERTFQU0l3SWlBZ2MyOTFjbU5sTVRZOUltOW1aaUln
+SUhSaGNtZGxkREUyUFNKdlptWWlJQ0JrWldaV01UWTkKCUlqTm1PREF3TURBd0lpQWdiRzh4Tmow
+aU1DSWdJR2hwTVRZOUlqQWlJQ0J0ZFhSbE1UWTlJakFpSUNCa1lXMXdNVFk5CglJakFpSUNCaGJH
+d3hOajBpTUNJZ0lITnZkWEpqWlRFM1BTSnZabVlpSUNCMFlYSm5aWFF4TnowaWIyWm1JaUFnWkdW
+bQoJVmpFM1BTSXpaamd3TURBd01DSWdJR3h2TVRjOUlqQWlJQ0JvYVRFM1BTSXdJaUFnYlhWMFpU
+RTNQU0l3SWlBZ1pHRnQKCWNERTNQU0l3SWlBZ1lXeHNNVGM5SWpBaUlDQnpiM1Z5WTJVeE9EMGli
+MlptSWlBZ2RHRnlaMlYwTVRnOUltOW1aaUlnCglJR1JsWmxZeE9EMGlNMlk0TURBd01EQWlJQ0Jz
+YnpFNFBTSXdJaUFnYUdreE9EMGlNQ0lnSUcxMWRHVXhPRDBpTUNJZwoJSUdSaGJYQXhPRDBpTUNJ
+Z0lHRnNiREU0UFNJd0lpQWdjMjkxY21ObE1UazlJbTltWmlJZ0lIUmhjbWRsZERFNVBTSnYKCVpt
+WWlJQ0JrWldaV01UazlJak5tT0RBd01EQXdJaUFnYkc4eE9UMGlNQ0lnSUdocE1UazlJakFpSUNC
+dGRYUmxNVGs5CglJakFpSUNCa1lXMXdNVGs5SWpBaUlDQmhiR3d4T1QwaU1DSWdJSE52ZFhKalpU
+SXdQU0p2Wm1ZaUlDQjBZWEpuWlhReQoJTUQwaWIyWm1JaUFnWkdWbVZqSXdQU0l6Wmpnd01EQXdN
+Q0lnSUd4dk1qQTlJakFpSUNCb2FUSXdQU0l3SWlBZ2JYVjAKCVpUSXdQU0l3SWlBZ1pHRnRjREl3
+UFNJd0lpQWdZV3hzTWpBOUlqQWlJQ0J6YjNWeVkyVXlNVDBpYjJabUlpQWdkR0Z5CglaMlYwTWpF
+OUltOW1aaUlnSUdSbFpsWXlNVDBpTTJZNE1EQXdNREFpSUNCc2J6SXhQU0l3SWlBZ2FHa3lNVDBp
+TUNJZwoJSUcxMWRHVXlNVDBpTUNJZ0lHUmhiWEF5TVQwaU1DSWdJR0ZzYkRJeFBTSXdJaUFnYzI5
+MWNtTmxNakk5SW05bVppSWcKCUlIUmhjbWRsZERJeVBTSnZabVlpSUNCa1pXWldNakk5SWpObU9E
+QXdNREF3SWlBZ2JHOHlNajBpTUNJZ0lHaHBNakk5CglJakFpSUNCdGRYUmxNakk5SWpBaUlDQmtZ
+VzF3TWpJOUlqQWlJQ0JoYkd3eU1qMGlNQ0lnSUhOdmRYSmpaVEl6UFNKdgoJWm1ZaUlDQjBZWEpu
+WlhReU16MGliMlptSWlBZ1pHVm1Wakl6UFNJelpqZ3dNREF3TUNJZ0lHeHZNak05SWpBaUlDQm8K
+CWFUSXpQU0l3SWlBZ2JYVjBaVEl6UFNJd0lpQWdaR0Z0Y0RJelBTSXdJaUFnWVd4c01qTTlJakFp
+SUNCemIzVnlZMlV5CglORDBpYjJabUlpQWdkR0Z5WjJWME1qUTlJbTltWmlJZ0lHUmxabFl5TkQw
+aU0yWTRNREF3TURBaUlDQnNiekkwUFNJdwoJSWlBZ2FHa3lORDBpTTJZd01EQXdNREFpSUNCdGRY
+UmxNalE5SWpBaUlDQmtZVzF3TWpROUlqQWlJQ0JoYkd3eU5EMGkKCU1DSWdJSE52ZFhKalpUSTFQ
+U0p2Wm1ZaUlDQjBZWEpuWlhReU5UMGliMlptSWlBZ1pHVm1WakkxUFNJelpqZ3dNREF3CglNQ0ln
+SUd4dk1qVTlJakFpSUNCb2FUSTFQU0l6WmpBd01EQXdNQ0lnSUcxMWRHVXlOVDBpTUNJZ0lHUmhi
+WEF5TlQwaQoJTUNJZ0lHRnNiREkxUFNJd0lpQWdjMjkxY21ObE1qWTlJbTltWmlJZ0lIUmhjbWRs
+ZERJMlBTSnZabVlpSUNCa1pXWlcKCU1qWTlJak5tT0RBd01EQXdJaUFnYkc4eU5qMGlNQ0lnSUdo
+cE1qWTlJak5tTURBd01EQXdJaUFnYlhWMFpUSTJQU0l3CglJaUFnWkdGdGNESTJQU0l3SWlBZ1lX
+eHNNalk5SWpBaUlDQnpiM1Z5WTJVeU56MGliMlptSWlBZ2RHRnlaMlYwTWpjOQoJSW05bVppSWdJ
+R1JsWmxZeU56MGlNMlk0TURBd01EQWlJQ0JzYnpJM1BTSXdJaUFnYUdreU56MGlNMll3TURBd01E
+QWkKCUlDQnRkWFJsTWpjOUlqQWlJQ0JrWVcxd01qYzlJakFpSUNCaGJHd3lOejBpTUNJZ0lITnZk
+WEpqWlRJNFBTSnZabVlpCglJQ0IwWVhKblpYUXlPRDBpYjJabUlpQWdaR1ZtVmpJNFBTSXpaamd3
+TURBd01DSWdJR3h2TWpnOUlqQWlJQ0JvYVRJNAoJUFNJelpqQXdNREF3TUNJZ0lHMTFkR1V5T0Qw
+aU1DSWdJR1JoYlhBeU9EMGlNQ0lnSUdGc2JESTRQU0l3SWlBZ2MyOTEKCWNtTmxNams5SW05bVpp
+SWdJSFJoY21kbGRESTVQU0p2Wm1ZaUlDQmtaV1pXTWprOUlqTm1PREF3TURBd0lpQWdiRzh5CglP
+VDBpTUNJZ0lHaHBNams5SWpObU1EQXdNREF3SWlBZ2JYVjBaVEk1UFNJd0lpQWdaR0Z0Y0RJNVBT
+SXdJaUFnWVd4cwoJTWprOUlqQWlJQ0J6YjNWeVkyVXpNRDBpYjJabUlpQWdkR0Z5WjJWME16QTlJ
+bTltWmlJZ0lHUmxabFl6TUQwaU0yWTQKCU1EQXdNREFpSUNCc2J6TXdQU0l3SWlBZ2FHa3pNRDBp
+TTJZd01EQXdNREFpSUNCdGRYUmxNekE5SWpBaUlDQmtZVzF3CglNekE5SWpBaUlDQmhiR3d6TUQw
+aU1DSWdJSE52ZFhKalpUTXhQU0p2Wm1ZaUlDQjBZWEpuWlhRek1UMGliMlptSWlBZwoJWkdWbVZq
+TXhQU0l6Wmpnd01EQXdNQ0lnSUd4dk16RTlJakFpSUNCb2FUTXhQU0l6WmpBd01EQXdNQ0lnSUcx
+MWRHVXoKCU1UMGlNQ0lnSUdSaGJYQXpNVDBpTUNJZ0lHRnNiRE14UFNJd0lpQWdjMjkxY21ObE16
+STlJbTltWmlJZ0lIUmhjbWRsCglkRE15UFNKdlptWWlJQ0JrWldaV016STlJak5tT0RBd01EQXdJ
+aUFnYkc4ek1qMGlNQ0lnSUdocE16STlJak5tTURBdwoJTURBd0lpQWdiWFYwWlRNeVBTSXdJaUFn
+WkdGdGNETXlQU0l3SWlBZ1lXeHNNekk5SWpBaUlDQnpiM1Z5WTJVek16MGkKCWIyWm1JaUFnZEdG
+eVoyVjBNek05SW05bVppSWdJR1JsWmxZek16MGlNMlk0TURBd01EQWlJQ0JzYnpNelBTSXdJaUFn
+CglhR2t6TXowaU0yWXdNREF3TURBaUlDQnRkWFJsTXpNOUlqQWlJQ0JrWVcxd016TTlJakFpSUNC
+aGJHd3pNejBpTUNJZwoJSUhOdmRYSmpaVE0wUFNKdlptWWlJQ0IwWVhKblpYUXpORDBpYjJabUlp
+QWdaR1ZtVmpNMFBTSXpaamd3TURBd01DSWcKCUlHeHZNelE5SWpBaUlDQm9hVE0wUFNJelpqQXdN
+REF3TUNJZ0lHMTFkR1V6TkQwaU1DSWdJR1JoYlhBek5EMGlNQ0lnCglJR0ZzYkRNMFBTSXdJaUFn
+YzI5MWNtTmxNelU5SW05bVppSWdJSFJoY21kbGRETTFQU0p2Wm1ZaUlDQmtaV1pXTXpVOQoJSWpO
+bU9EQXdNREF3SWlBZ2JHOHpOVDBpTUNJZ0lHaHBNelU5SWpObU1EQXdNREF3SWlBZ2JYVjBaVE0x
+UFNJd0lpQWcKCVpHRnRjRE0xUFNJd0lpQWdZV3hzTXpVOUlqQWlJQ0J6YjNWeVkyVXpOajBpYjJa
+bUlpQWdkR0Z5WjJWME16WTlJbTltCglaaUlnSUdSbFpsWXpOajBpTTJZNE1EQXdNREFpSUNCc2J6
+TTJQU0l3SWlBZ2FHa3pOajBpTTJZd01EQXdNREFpSUNCdAoJZFhSbE16WTlJakFpSUNCa1lXMXdN
+elk5SWpBaUlDQmhiR3d6TmowaU1DSWdJSE52ZFhKalpUTTNQU0p2Wm1ZaUlDQjAKCVlYSm5aWFF6
+TnowaWIyWm1JaUFnWkdWbVZqTTNQU0l6Wmpnd01EQXdNQ0lnSUd4dk16YzlJakFpSUNCb2FUTTNQ
+U0l6CglaakF3TURBd01DSWdJRzExZEdVek56MGlNQ0lnSUdSaGJYQXpOejBpTUNJZ0lHRnNiRE0z
+UFNJd0lpQWdjMjkxY21ObAoJTXpnOUltOW1aaUlnSUhSaGNtZGxkRE00UFNKdlptWWlJQ0JrWlda
+V016ZzlJak5tT0RBd01EQXdJaUFnYkc4ek9EMGkKCU1DSWdJR2hwTXpnOUlqTm1NREF3TURBd0lp
+QWdiWFYwWlRNNFBTSXdJaUFnWkdGdGNETTRQU0l3SWlBZ1lXeHNNemc5CglJakFpSUNCemIzVnlZ
+MlV6T1QwaWIyWm1JaUFnZEdGeVoyVjBNems5SW05bVppSWdJR1JsWmxZek9UMGlNMlk0TURBdwoJ
+TURBaUlDQnNiek01UFNJd0lpQWdhR2t6T1QwaU0yWXdNREF3TURBaUlDQnRkWFJsTXprOUlqQWlJ
+Q0JrWVcxd016azkKCUlqQWlJQ0JoYkd3ek9UMGlNQ0lnSUhOdmRYSmpaVFF3UFNKdlptWWlJQ0Iw
+WVhKblpYUTBNRDBpYjJabUlpQWdaR1ZtCglWalF3UFNJelpqZ3dNREF3TUNJZ0lHeHZOREE5SWpB
+aUlDQm9hVFF3UFNJelpqQXdNREF3TUNJZ0lHMTFkR1UwTUQwaQoJTUNJZ0lHUmhiWEEwTUQwaU1D
+SWdJR0ZzYkRRd1BTSXdJaUFnYzI5MWNtTmxOREU5SW05bVppSWdJSFJoY21kbGREUXgKCVBTSnZa
+bVlpSUNCa1pXWldOREU5SWpObU9EQXdNREF3SWlBZ2JHODBNVDBpTUNJZ0lHaHBOREU5SWpObU1E
+QXdNREF3CglJaUFnYlhWMFpUUXhQU0l3SWlBZ1pHRnRjRFF4UFNJd0lpQWdZV3hzTkRFOUlqQWlJ
+Q0J6YjNWeVkyVTBNajBpYjJabQoJSWlBZ2RHRnlaMlYwTkRJOUltOW1aaUlnSUdSbFpsWTBNajBp
+TTJZNE1EQXdNREFpSUNCc2J6UXlQU0l3SWlBZ2FHazAKCU1qMGlNMll3TURBd01EQWlJQ0J0ZFhS
+bE5ESTlJakFpSUNCa1lXMXdOREk5SWpBaUlDQmhiR3cwTWowaU1DSWdJSE52CglkWEpqWlRRelBT
+SnZabVlpSUNCMFlYSm5aWFEwTXowaWIyWm1JaUFnWkdWbVZqUXpQU0l6Wmpnd01EQXdNQ0lnSUd4
+dgoJTkRNOUlqQWlJQ0JvYVRRelBTSXpaakF3TURBd01DSWdJRzExZEdVME16MGlNQ0lnSUdSaGJY
+QTBNejBpTUNJZ0lHRnMKCWJEUXpQU0l3SWlBZ2MyOTFjbU5sTkRROUltOW1aaUlnSUhSaGNtZGxk
+RFEwUFNKdlptWWlJQ0JrWldaV05EUTlJak5tCglPREF3TURBd0lpQWdiRzgwTkQwaU1DSWdJR2hw
+TkRROUlqTm1NREF3TURBd0lpQWdiWFYwWlRRMFBTSXdJaUFnWkdGdAoJY0RRMFBTSXdJaUFnWVd4
+c05EUTlJakFpSUNCemIzVnlZMlUwTlQwaWIyWm1JaUFnZEdGeVoyVjBORFU5SW05bVppSWcKCUlH
+UmxabFkwTlQwaU0yWTRNREF3TURBaUlDQnNielExUFNJd0lpQWdhR2swTlQwaU0yWXdNREF3TURB
+aUlDQnRkWFJsCglORFU5SWpBaUlDQmtZVzF3TkRVOUlqQWlJQ0JoYkd3ME5UMGlNQ0lnSUhOdmRY
+SmpaVFEyUFNKdlptWWlJQ0IwWVhKbgoJWlhRME5qMGliMlptSWlBZ1pHVm1WalEyUFNJelpqZ3dN
+REF3TUNJZ0lHeHZORFk5SWpBaUlDQm9hVFEyUFNJelpqQXcKCU1EQXdNQ0lnSUcxMWRHVTBOajBp
+TUNJZ0lHUmhiWEEwTmowaU1DSWdJR0ZzYkRRMlBTSXdJaUFnYzI5MWNtTmxORGM5CglJbTltWmlJ
+Z0lIUmhjbWRsZERRM1BTSnZabVlpSUNCa1pXWldORGM5SWpObU9EQXdNREF3SWlBZ2JHODBOejBp
+TUNJZwoJSUdocE5EYzlJak5tTURBd01EQXdJaUFnYlhWMFpUUTNQU0l3SWlBZ1pHRnRjRFEzUFNJ
+d0lpQWdZV3hzTkRjOUlqQWkKCUlENEtQQzlOVDBSZlRVRlVVa2xZUGdvZ1BGWlBTVU5GSUNCd1lY
+VjRiRDBpTUNJZ0lIQmhkWGhwY0c5bVBTSXdJaUErCglDanhHU1V4VVJWSWdJR0ZqZEQwaU1DSWdJ
+SEJoY21FOUlqQWlJQ0JpWVd3OUlqQWlJQ0JtY21WeFBTSXdJaUFnYzNCeQoJWkQwaU1DSWdJSEps
+Y3owaU1DSWdJR3RsZVQwaU1DSWdJR3RsZVdsdWRqMGlNQ0lnSUd0bGVXMXdQU0l3SWlBZ1pXNTIK
+CVpIQjBhRDBpTUNJZ0lHVnVkbVJ3ZEdocGJuWTlJakFpSUNCdVlXMWxQU0l3SWlBZ1lXTjBNVDBp
+TUNJZ0lIUjVjR1V4CglQU0l3SWlBZ1puSmxjVEU5SWpBaUlDQnlaWE14UFNJd0lpQWdjR0Z1TVQw
+aU1DSWdJR0ZqZERJOUlqQWlJQ0IwZVhCbAoJTWowaU1DSWdJR1p5WlhFeVBTSXdJaUFnY21Wek1q
+MGlNQ0lnSUhCaGJqSTlJakFpSUNCa2FYTjBVRzl6ZEQwaU1DSWcKCUlHVnhVRzl6ZEQwaU1DSWdJ
+RTVoYldWVGRISTlJaUlnUGdvOFJWRXhNaUFnUVdOMGFYWmxQU0l3SWlBZ1VEQTlJakFpCglJQ0JR
+TVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3SWlBZ1VEWTlJ
+akFpSUNCUQoJTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5
+SWpBaUlDQlFNVEk5SWpBaUlDQlEKCU1UTTlJakFpSUNCUU1UUTlJakFpSUQ0S1BDOUZVVEV5UGdv
+Z1BFVlJNaUFnUVdOMGFYWmxQU0l3SWlBZ1VEQTlJakFpCglJQ0JRTVQwaU1DSWdJRkF5UFNJd0lp
+QWdVRE05SWpBaUlDQlFORDBpTUNJZ0lGQTFQU0l3SWlBZ1VEWTlJakFpSUNCUQoJTnowaU1DSWdJ
+RkE0UFNJd0lpQWdVRGs5SWpBaUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlD
+QlEKCU1UTTlJakFpSUNCUU1UUTlJakFpSUQ0S1BDOUZVVEkrQ2lBOFJFbFRWQ0FnUVdOMGFYWmxQ
+U0l3SWlBZ1VEQTlJakFpCglJQ0JRTVQwaU1DSWdJRkF5UFNJd0lpQWdVRE05SWpBaUlDQlFORDBp
+TUNJZ0lGQTFQU0l3SWlBZ1VEWTlJakFpSUNCUQoJTnowaU1DSWdJRkE0UFNJd0lpQWdVRGs5SWpB
+aUlDQlFNVEE5SWpBaUlDQlFNVEU5SWpBaUlDQlFNVEk5SWpBaUlDQlEKCU1UTTlJakFpSUNCUU1U
+UTlJakFpSUQ0S1BDOUVTVk5VUGdvZ1BDOUdTVXhVUlZJK0NpQThWMEZXUlZOSVFWQkZVaUFnCglZ
+V04wUFNJd0lpQWdkSGx3WlQwaU1DSWdJSEJ2Y3owaU1DSWdJR1J3ZEdnOUlqQWlJQ0JuWVdsdVBT
+SXdJaUFnYldsNAoJUFNJd0lpQWdkRzl1WlQwaU1DSWdJR0pqUFNJd0lpQWdjM0p5WkdNOUlqQWlJ
+Q0J0WjNKbWVURTlJakFpSUNCdFozSm0KCWVUSTlJakFpSUNCdVlXMWxQU0l3SWlBZ1RtRnRaVk4w
+Y2owaUlpQStDand2VjBGV1JWTklRVkJGVWo0S0lEeFBVME1nCglJSFI1Y0dVOUlqQWlJQ0JyYVc1
+a1BTSXdJaUFnY1d3OUlqQWlJQ0J4YkhJOUlqQWlJQ0J4Y25JOUlqTm1PREF3TURBdwoJSWlBZ2NY
+STlJak5tT0RBd01EQXdJaUFnZEhWdVpUMGlNQ0lnSUhSMWJtVkdhVzVsUFNJd0lpQWdabWx1WlZO
+amJEMGkKCU1TSWdJSEJrWlhCMGFEMGlNQ0lnSUhCM2FXUjBhRDBpTUNJZ0lHOWpkRDBpTUNJZ0lI
+TmxiV2s5SWpBaUlDQnNaWFpsCgliRDBpTUNJZ0lIQmhiajBpTUNJZ0lIQnZjblE5SWpBaUlDQndi
+M0owUVdOMFBTSXdJaUFnZEhCelBTSXdJaUFnWm14VQoJWlcxd2JEMGlNQ0lnSUdac1UzQmtQU0l6
+WmpBd01EQXdNQ0lnSUdac1RHOXZjRDBpTTJZNE1EQXdNREFpSUNCdGIyUnAKCWJuUTlJakFpSUNC
+dGIyUmtaWEIwYUQwaU1DSWdJR1p0UFNJd0lpQWdabTFyZEQwaU1DSWdJR1p0ZDJZOUlqQWlJQ0Jt
+CgliWE5qYkQwaU1DSWdJR1p0Y0dROUlqQWlJQ0JtYlhCM1BTSXdJaUFnWm0xb2N6MGlNQ0lnSUVG
+TmJXOWthVzUwUFNJdwoJSWlBZ1FVMXRiMlJrWlhCMGFEMGlNQ0lnSUdGdFBTSXdJaUFnWVcxcmRE
+MGlNQ0lnSUdGdGQyWTlJakFpSUNCaGJYTmoKCWJEMGlNQ0lnSUdGdGNHUTlJakFpSUNCaGJYQjNQ
+U0l3SWlBZ1lXMW9jejBpTUNJZ0lHZHlZVzQ5SWpBaUlDQnVaM0poCglhVzV6UFNJd0lpQWdaM0po
+YVc0elBTSXdJaUFnWjNKaGFXNDBQU0l3SWlBZ1ozSmhhVzQxUFNJd0lpQWdaM0poYVc0MgoJUFNJ
+d0lpQWdaM0poYmxOd2NtUTlJakFpSUNCbmNtRnVVRVJwY2owaU1DSWdJR2R5WVc1UVFXTmpkVzA5
+SWpBaUlDQm4KCWNtRnVUV2w0UFNJd0lpQWdaM0poYmtWNGNEMGlNQ0lnSUdkeVlXNVVjbWM5SWpB
+aUlDQmxhVVp5VEc5alBTSXdJaUFnCglaM0poYmxCdmN6MGlNQ0lnSUdkeVlXNVdNVDBpTUNJZ0lI
+VmpiblE5SWpBaUlDQjFaSEIwYUQwaU1DSWdJSFYzWkhSbwoJUFNJd0lpQWdkV1J3Y21jOUlqQWlJ
+Q0IxYjJOMFBTSXdJaUFnZFdSeVpuUTlJakFpSUNCMWRuQnpQU0l3SWlBZ2FISmsKCWMyNWpQU0l3
+SWlBZ2NtVndkR05vUFNJd0lpQWdjM0JvWVQwaU1DSWdJSE5oYm1FOUlqQWlJQ0JoZEhKdFBTSXdJ
+aUFnCgljM05sY3owaU1DSWdJSE56WlhONVBTSXdJaUFnZG0xMFBTSXdJaUFnZG0xaFBTSXdJaUFn
+WTNOemFHUmhiWEE5SWpBaQoJSUQ0S1BFaEJVazBnSUVGamRERTlJakFpSUNCc2Rtd3hQU0l3SWlB
+Z2NHRnVNVDBpTUNJZ0lIUjFiakU5SWpBaUlDQnoKCWJXa3hQU0l3SWlBZ2MyaHdNVDBpTUNJZ0lI
+TjViVzB4UFNJd0lpQWdjM2x1TVQwaU1DSWdJSGRtYlRFOUlqQWlJQ0JCCglZM1F5UFNJd0lpQWdi
+SFpzTWowaU1DSWdJSEJoYmpJOUlqQWlJQ0IwZFc0eVBTSXdJaUFnYzIxcE1qMGlNQ0lnSUhObwoJ
+Y0RJOUlqQWlJQ0J6ZVcxdE1qMGlNQ0lnSUhONWJqSTlJakFpSUNCM1ptMHlQU0l3SWlBZ1FXTjBN
+ejBpTUNJZ0lHeDIKCWJETTlJakFpSUNCd1lXNHpQU0l3SWlBZ2RIVnVNejBpTUNJZ0lITnRhVE05
+SWpBaUlDQnphSEF6UFNJd0lpQWdjM2x0CgliVE05SWpBaUlDQnplVzR6UFNJd0lpQWdkMlp0TXow
+aU1DSWdJRUZqZERROUlqQWlJQ0JzZG13MFBTSXdJaUFnY0dGdQoJTkQwaU1DSWdJSFIxYmpROUlq
+QWlJQ0J6YldrMFBTSXdJaUFnYzJod05EMGlNQ0lnSUhONWJXMDBQU0l3SWlBZ2MzbHUKCU5EMGlN
+Q0lnSUhkbWJUUTlJakFpSUNCdGIyUTlJakFpSUNCdGFYZzlJakFpSUQ0S1BDOUlRVkpOUGdvZ1BG
+UlBUa1ZYCglTRVZGVENBZ1pISjNNVDBpTTJZd01EQXdNREFpSUNCa2NuY3lQU0l6WmpBd01EQXdN
+Q0lnSUdSeWR6TTlJak5tTURBdwoJTURBd0lpQWdaSEozTkQwaU0yWXdNREF3TURBaUlDQmtjbmMx
+UFNJd0lpQWdaSEozTmowaU1DSWdJR1J5ZHpjOUlqQWkKCUlDQmtjbmM0UFNJd0lpQWdaSEozT1Qw
+aU1DSWdJSEJsWkRFOUlqTm1NREF3TURBd0lpQWdjR1ZrTWowaU0yWXdNREF3CglNREFpSUNCVGNF
+OXVQU0l3SWlBZ1ZrOXVQU0l3SWlBZ1ZtMXZaR1U5SWpBaUlDQlFiMjQ5SWpBaUlDQlFjMjltZEQw
+aQoJTUNJZ0lGQm1ZWE4wUFNJd0lpQWdVR2hoY20wOUlqQWlJQ0JUY0d0eVBTSXdJaUFnUTJ4cFky
+czlJakFpSUNCSWRXMDkKCUlqQWlJQ0JCWjJVOUlqQWlJQ0JZZEdGc2F6MGlNQ0lnSUV4dmQyWnZi
+R1E5SWpObU9EQXdNREF3SWlBZ1VEbGtQU0l6Cglaamd3TURBd01DSWdJRkJzWldjOUlqTm1PREF3
+TURBd0lpQWdVR1JwYlQwaU0yWTRNREF3TURBaUlENEtQQzlVVDA1RgoJVjBoRlJVdytDaUE4VjBG
+V1JWTWdQZ284TDFkQlZrVlRQZ29nUEVaTlYwRldSVk1nUGdvOEwwWk5WMEZXUlZNK0NpQTgKCVFV
+MVhRVlpGVXlBK0Nqd3ZRVTFYUVZaRlV6NEtJRHd2VDFORFBnb2dQRVpGVGxZZ0lHTTlJamdpSUNC
+d1lXNDlJakFpCglJQ0I2YjI5dFBTSXpaakE0TXpFNFl5SWdQZ284Y0NBZ2JEMGlNMlk0TURBd01E
+QWlJQ0IwUFNJd0lpQWdjejBpTUNJZwoJSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJ
+Q0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5qTWpOa056QXcKCUlpQWdjejBpTUNJZ0lHTTlJak5t
+T0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5CglJak5qWVRO
+a056QXdJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6
+WmpndwoJTURBd01DSWdJSFE5SWpOalpqVmpNamcxSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURB
+d0lpQStDand2Y0Q0S0lEeHcKCUlDQnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmtNak5rTnpBMUlp
+QWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErCglDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dN
+REF3TUNJZ0lIUTlJak5rTkdOalkyTTNJaUFnY3owaU1DSWdJR005SWpObQoJT0RBd01EQXdJaUEr
+Q2p3dmNENEtJRHh3SUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpOa056VmpNamhoSWlBZ2N6MGkK
+CU1DSWdJR005SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0ln
+SUhROUlqTmtPR1kxCglZekkxSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0
+S0lEeHdJQ0JzUFNJd0lpQWdkRDBpTTJSaAoJTTJRM01EVWlJQ0J6UFNJd0lpQWdZejBpTTJZNE1E
+QXdNREFpSUQ0S1BDOXdQZ29nUEM5R1JVNVdQZ29nUEVaRlRsWlEKCVFWSkJUVk1nSUdFOUlqQWlJ
+Q0JvUFNJd0lpQWdaRDBpTUNJZ0lISTlJakFpSUNCaGRIUnJQU0l6WlRZMFpqa3lOeUlnCglJR2h2
+YkdROUlqTmxOalJtT1RJM0lpQWdaR1ZqZVQwaU0yVTJOR1k1TWpjaUlDQnpkWE4wUFNJelpqZ3dN
+REF3TUNJZwoJSUhKbGJITTlJak5sTmpSbU9USTNJaUFnYzIxd1BTSXdJaUFnYkhBOUlqQWlJQ0J6
+ZVc1alBTSXdJaUFnYzNCa1BTSXcKCUlpQWdkSEpuVFdROUlqQWlJQ0IyWld4elpXNXpQU0l3SWlB
+Z2JXZHNkbXh6UFNJd0lpQWdiV2RqY25aelBTSXdJaUFnCglaSEIwUFNJd0lpQWdZMmh6VkhKblBT
+SXdJaUFnWVhSamFITTlJakFpSUQ0S1BDOUdSVTVXVUVGU1FVMVRQZ29nUEVGRgoJVGxZZ0lHTTlJ
+amdpSUNCd1lXNDlJakFpSUNCNmIyOXRQU0l6WmpBNE16RTRZeUlnUGdvOGNDQWdiRDBpTTJZNE1E
+QXcKCU1EQWlJQ0IwUFNJd0lpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJ
+RHh3SUNCc1BTSXpaamd3CglNREF3TUNJZ0lIUTlJak5qTWpOa056QXdJaUFnY3owaU1DSWdJR005
+SWpObU9EQXdNREF3SWlBK0Nqd3ZjRDRLSUR4dwoJSUNCc1BTSXpaamd3TURBd01DSWdJSFE5SWpO
+allUTmtOekF3SWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQSsKCUNqd3ZjRDRLSUR4d0lD
+QnNQU0l6Wmpnd01EQXdNQ0lnSUhROUlqTmpaalZqTWpnMUlpQWdjejBpTUNJZ0lHTTlJak5tCglP
+REF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJelpqZ3dNREF3TUNJZ0lIUTlJak5rTWpOa056
+QTFJaUFnY3owaQoJTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3dmNENEtJRHh3SUNCc1BTSXpa
+amd3TURBd01DSWdJSFE5SWpOa05HTmoKCVkyTTNJaUFnY3owaU1DSWdJR005SWpObU9EQXdNREF3
+SWlBK0Nqd3ZjRDRLSUR4d0lDQnNQU0l6Wmpnd01EQXdNQ0lnCglJSFE5SWpOa056VmpNamhoSWlB
+Z2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lEeHdJQ0JzUFNJegoJWmpnd01E
+QXdNQ0lnSUhROUlqTmtPR1kxWXpJMUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErQ2p3
+dmNENEsKCUlEeHdJQ0JzUFNJd0lpQWdkRDBpTTJSaE0yUTNNRFVpSUNCelBTSXdJaUFnWXowaU0y
+WTRNREF3TURBaUlENEtQQzl3CglQZ29nUEM5QlJVNVdQZ29nUEVGRlRsWlFRVkpCVFZNZ0lHOXVU
+MlptUFNJd0lpQWdZVDBpTUNJZ0lHZzlJakFpSUNCawoJUFNJd0lpQWdjajBpTUNJZ0lHRjBkR3M5
+SWpObE5qUm1PVEkzSWlBZ2FHOXNaRDBpTTJVMk5HWTVNamNpSUNCa1pXTjUKCVBTSXpaVFkwWmpr
+eU55SWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TWpjaUlDQnpiWEE5
+CglJakFpSUNCc2NEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFpSUNCMGNtZE5aRDBpTUNJ
+Z0lIWmxiSE5sYm5NOQoJSWpBaUlDQnRaMngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJakFpSUNCa2NI
+UTlJakFpSUNCamFITlVjbWM5SWpBaUlDQmgKCWRHTm9jejBpTUNJZ1BnbzhMMEZGVGxaUVFWSkJU
+Vk0rQ2lBOFJVWkdVa0ZEU3lBK0NqeEZSa1pOVDBSVlRFVWdJRlI1CgljR1U5SWs1dklFVm1abVZq
+ZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROQoJSWpB
+aUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFn
+VURFd1BTSXcKCUlpQWdVREV4UFNJd0lpQWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUwUFNJ
+d0lpQWdRV04wYVhabFBTSXdJaUErCglDand2UlVaR1RVOUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJT
+QWdWSGx3WlQwaVRtOGdSV1ptWldOMElpQWdVREE5SWpBaQoJSUNCUU1UMGlNQ0lnSUZBeVBTSXdJ
+aUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlEKCU56MGlNQ0ln
+SUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlqQWlJ
+Q0JRCglNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5UMFJW
+VEVVK0NpQThSVVpHVFU5RQoJVlV4RklDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpTUNJ
+Z0lGQXhQU0l3SWlBZ1VESTlJakFpSUNCUU16MGkKCU1DSWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlD
+QlFOajBpTUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9UMGlNQ0lnCglJRkF4TUQwaU1DSWdJ
+RkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdJRUZqZEdsMgoJ
+WlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOVDBSVlRFVWdJRlI1Y0dVOUlrNXZJ
+RVZtWm1WamRDSWcKCUlGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFn
+VURROUlqQWlJQ0JRTlQwaU1DSWdJRkEyCglQU0l3SWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZB
+NVBTSXdJaUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeQoJUFNJd0lpQWdVREV6UFNJd0lp
+QWdVREUwUFNJd0lpQWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2cKCVBDOUZS
+a1pTUVVOTFBnb2dQQzlXVDBsRFJUNEtJRHhXVDBsRFJTQWdjR0YxZUd3OUlqQWlJQ0J3WVhWNGFY
+QnZaajBpCglNQ0lnUGdvOFJrbE1WRVZTSUNCaFkzUTlJakFpSUNCd1lYSmhQU0l3SWlBZ1ltRnNQ
+U0l3SWlBZ1puSmxjVDBpTUNJZwoJSUhOd2NtUTlJakFpSUNCeVpYTTlJakFpSUNCclpYazlJakFp
+SUNCclpYbHBiblk5SWpBaUlDQnJaWGx0Y0QwaU1DSWcKCUlHVnVkbVJ3ZEdnOUlqQWlJQ0JsYm5a
+a2NIUm9hVzUyUFNJd0lpQWdibUZ0WlQwaU1DSWdJR0ZqZERFOUlqQWlJQ0IwCgllWEJsTVQwaU1D
+SWdJR1p5WlhFeFBTSXdJaUFnY21Wek1UMGlNQ0lnSUhCaGJqRTlJakFpSUNCaFkzUXlQU0l3SWlB
+ZwoJZEhsd1pUSTlJakFpSUNCbWNtVnhNajBpTUNJZ0lISmxjekk5SWpBaUlDQndZVzR5UFNJd0lp
+QWdaR2x6ZEZCdmMzUTkKCUlqQWlJQ0JsY1ZCdmMzUTlJakFpSUNCT1lXMWxVM1J5UFNJaUlENEtQ
+RVZSTVRJZ0lFRmpkR2wyWlQwaU1DSWdJRkF3CglQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0ln
+SUZBelBTSXdJaUFnVURROUlqQWlJQ0JRTlQwaU1DSWdJRkEyUFNJdwoJSWlBZ1VEYzlJakFpSUNC
+UU9EMGlNQ0lnSUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeVBTSXcKCUlp
+QWdVREV6UFNJd0lpQWdVREUwUFNJd0lpQStDand2UlZFeE1qNEtJRHhGVVRJZ0lFRmpkR2wyWlQw
+aU1DSWdJRkF3CglQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROUlq
+QWlJQ0JRTlQwaU1DSWdJRkEyUFNJdwoJSWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJ
+aUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeVBTSXcKCUlpQWdVREV6UFNJd0lpQWdVREUw
+UFNJd0lpQStDand2UlZFeVBnb2dQRVJKVTFRZ0lFRmpkR2wyWlQwaU1DSWdJRkF3CglQU0l3SWlB
+Z1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROUlqQWlJQ0JRTlQwaU1DSWdJRkEy
+UFNJdwoJSWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFnVURFd1BTSXdJaUFnVURF
+eFBTSXdJaUFnVURFeVBTSXcKCUlpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lpQStDand2UkVsVFZE
+NEtJRHd2UmtsTVZFVlNQZ29nUEZkQlZrVlRTRUZRCglSVklnSUdGamREMGlNQ0lnSUhSNWNHVTlJ
+akFpSUNCd2IzTTlJakFpSUNCa2NIUm9QU0l3SWlBZ1oyRnBiajBpTUNJZwoJSUcxcGVEMGlNQ0ln
+SUhSdmJtVTlJakFpSUNCaVl6MGlNQ0lnSUhOeWNtUmpQU0l3SWlBZ2JXZHlabmt4UFNJd0lpQWcK
+CWJXZHlabmt5UFNJd0lpQWdibUZ0WlQwaU1DSWdJRTVoYldWVGRISTlJaUlnUGdvOEwxZEJWa1ZU
+U0VGUVJWSStDaUE4CglUMU5ESUNCMGVYQmxQU0l3SWlBZ2EybHVaRDBpTUNJZ0lIRnNQU0l3SWlB
+Z2NXeHlQU0l3SWlBZ2NYSnlQU0l6WmpndwoJTURBd01DSWdJSEZ5UFNJelpqZ3dNREF3TUNJZ0lI
+UjFibVU5SWpBaUlDQjBkVzVsUm1sdVpUMGlNQ0lnSUdacGJtVlQKCVkydzlJakVpSUNCd1pHVndk
+R2c5SWpBaUlDQndkMmxrZEdnOUlqQWlJQ0J2WTNROUlqQWlJQ0J6WlcxcFBTSXdJaUFnCgliR1Yy
+Wld3OUlqQWlJQ0J3WVc0OUlqQWlJQ0J3YjNKMFBTSXdJaUFnY0c5eWRFRmpkRDBpTUNJZ0lIUndj
+ejBpTUNJZwoJSUdac1ZHVnRjR3c5SWpBaUlDQm1iRk53WkQwaU0yWXdNREF3TURBaUlDQm1iRXh2
+YjNBOUlqTm1PREF3TURBd0lpQWcKCWJXOWthVzUwUFNJd0lpQWdiVzlrWkdWd2RHZzlJakFpSUNC
+bWJUMGlNQ0lnSUdadGEzUTlJakFpSUNCbWJYZG1QU0l3CglJaUFnWm0xelkydzlJakFpSUNCbWJY
+QmtQU0l3SWlBZ1ptMXdkejBpTUNJZ0lHWnRhSE05SWpBaUlDQkJUVzF2WkdsdQoJZEQwaU1DSWdJ
+RUZOYlc5a1pHVndkR2c5SWpBaUlDQmhiVDBpTUNJZ0lHRnRhM1E5SWpBaUlDQmhiWGRtUFNJd0lp
+QWcKCVlXMXpZMnc5SWpBaUlDQmhiWEJrUFNJd0lpQWdZVzF3ZHowaU1DSWdJR0Z0YUhNOUlqQWlJ
+Q0JuY21GdVBTSXdJaUFnCglibWR5WVdsdWN6MGlNQ0lnSUdkeVlXbHVNejBpTUNJZ0lHZHlZV2x1
+TkQwaU1DSWdJR2R5WVdsdU5UMGlNQ0lnSUdkeQoJWVdsdU5qMGlNQ0lnSUdkeVlXNVRjSEprUFNJ
+d0lpQWdaM0poYmxCRWFYSTlJakFpSUNCbmNtRnVVRUZqWTNWdFBTSXcKCUlpQWdaM0poYmsxcGVE
+MGlNQ0lnSUdkeVlXNUZlSEE5SWpBaUlDQm5jbUZ1VkhKblBTSXdJaUFnWldsR2NreHZZejBpCglN
+Q0lnSUdkeVlXNVFiM005SWpBaUlDQm5jbUZ1VmpFOUlqQWlJQ0IxWTI1MFBTSXdJaUFnZFdSd2RH
+ZzlJakFpSUNCMQoJZDJSMGFEMGlNQ0lnSUhWa2NISm5QU0l3SWlBZ2RXOWpkRDBpTUNJZ0lIVmtj
+bVowUFNJd0lpQWdkWFp3Y3owaU1DSWcKCUlHaHlaSE51WXowaU1DSWdJSEpsY0hSamFEMGlNQ0ln
+SUhOd2FHRTlJakFpSUNCellXNWhQU0l3SWlBZ1lYUnliVDBpCglNQ0lnSUhOelpYTTlJakFpSUNC
+emMyVnplVDBpTUNJZ0lIWnRkRDBpTUNJZ0lIWnRZVDBpTUNJZ0lHTnpjMmhrWVcxdwoJUFNJd0lp
+QStDanhJUVZKTklDQkJZM1F4UFNJd0lpQWdiSFpzTVQwaU1DSWdJSEJoYmpFOUlqQWlJQ0IwZFc0
+eFBTSXcKCUlpQWdjMjFwTVQwaU1DSWdJSE5vY0RFOUlqQWlJQ0J6ZVcxdE1UMGlNQ0lnSUhONWJq
+RTlJakFpSUNCM1ptMHhQU0l3CglJaUFnUVdOME1qMGlNQ0lnSUd4MmJESTlJakFpSUNCd1lXNHlQ
+U0l3SWlBZ2RIVnVNajBpTUNJZ0lITnRhVEk5SWpBaQoJSUNCemFIQXlQU0l3SWlBZ2MzbHRiVEk5
+SWpBaUlDQnplVzR5UFNJd0lpQWdkMlp0TWowaU1DSWdJRUZqZERNOUlqQWkKCUlDQnNkbXd6UFNJ
+d0lpQWdjR0Z1TXowaU1DSWdJSFIxYmpNOUlqQWlJQ0J6YldrelBTSXdJaUFnYzJod016MGlNQ0ln
+CglJSE41YlcwelBTSXdJaUFnYzNsdU16MGlNQ0lnSUhkbWJUTTlJakFpSUNCQlkzUTBQU0l3SWlB
+Z2JIWnNORDBpTUNJZwoJSUhCaGJqUTlJakFpSUNCMGRXNDBQU0l3SWlBZ2MyMXBORDBpTUNJZ0lI
+Tm9jRFE5SWpBaUlDQnplVzF0TkQwaU1DSWcKCUlITjVialE5SWpBaUlDQjNabTAwUFNJd0lpQWdi
+VzlrUFNJd0lpQWdiV2w0UFNJd0lpQStDand2U0VGU1RUNEtJRHhVCglUMDVGVjBoRlJVd2dJR1J5
+ZHpFOUlqTm1NREF3TURBd0lpQWdaSEozTWowaU0yWXdNREF3TURBaUlDQmtjbmN6UFNJegoJWmpB
+d01EQXdNQ0lnSUdSeWR6UTlJak5tTURBd01EQXdJaUFnWkhKM05UMGlNQ0lnSUdSeWR6WTlJakFp
+SUNCa2NuYzMKCVBTSXdJaUFnWkhKM09EMGlNQ0lnSUdSeWR6azlJakFpSUNCd1pXUXhQU0l6WmpB
+d01EQXdNQ0lnSUhCbFpESTlJak5tCglNREF3TURBd0lpQWdVM0JQYmowaU1DSWdJRlpQYmowaU1D
+SWdJRlp0YjJSbFBTSXdJaUFnVUc5dVBTSXdJaUFnVUhOdgoJWm5ROUlqQWlJQ0JRWm1GemREMGlN
+Q0lnSUZCb1lYSnRQU0l3SWlBZ1UzQnJjajBpTUNJZ0lFTnNhV05yUFNJd0lpQWcKCVNIVnRQU0l3
+SWlBZ1FXZGxQU0l3SWlBZ1dIUmhiR3M5SWpBaUlDQk1iM2RtYjJ4a1BTSXpaamd3TURBd01DSWdJ
+RkE1CglaRDBpTTJZNE1EQXdNREFpSUNCUWJHVm5QU0l6Wmpnd01EQXdNQ0lnSUZCa2FXMDlJak5t
+T0RBd01EQXdJaUErQ2p3dgoJVkU5T1JWZElSVVZNUGdvZ1BGZEJWa1ZUSUQ0S1BDOVhRVlpGVXo0
+S0lEeEdUVmRCVmtWVElENEtQQzlHVFZkQlZrVlQKCVBnb2dQRUZOVjBGV1JWTWdQZ284TDBGTlYw
+RldSVk0rQ2lBOEwwOVRRejRLSUR4R1JVNVdJQ0JqUFNJNElpQWdjR0Z1CglQU0l3SWlBZ2VtOXZi
+VDBpTTJZd09ETXhPR01pSUQ0S1BIQWdJR3c5SWpObU9EQXdNREF3SWlBZ2REMGlNQ0lnSUhNOQoJ
+SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJ
+Q0IwUFNJell6SXoKCVpEY3dNQ0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0Er
+Q2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpCglJQ0IwUFNJelkyRXpaRGN3TUNJZ0lITTlJakFpSUNC
+alBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaQoJTTJZNE1EQXdNREFpSUNCMFBT
+SXpZMlkxWXpJNE5TSWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQSsKCUNpQThj
+Q0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WkRJelpEY3dOU0lnSUhNOUlqQWlJQ0JqUFNJelpq
+Z3dNREF3CglNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpEUmpZ
+Mk5qTnlJZ0lITTlJakFpSUNCagoJUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBp
+TTJZNE1EQXdNREFpSUNCMFBTSXpaRGMxWXpJNFlTSWcKCUlITTlJakFpSUNCalBTSXpaamd3TURB
+d01DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6CglaRGhtTldNeU5T
+SWdJSE05SWpBaUlDQmpQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZ2JEMGlNQ0lnSUhR
+OQoJSWpOa1lUTmtOekExSWlBZ2N6MGlNQ0lnSUdNOUlqTm1PREF3TURBd0lpQStDand2Y0Q0S0lE
+d3ZSa1ZPVmo0S0lEeEcKCVJVNVdVRUZTUVUxVElDQmhQU0l3SWlBZ2FEMGlNQ0lnSUdROUlqQWlJ
+Q0J5UFNJd0lpQWdZWFIwYXowaU0yVTJOR1k1CglNamNpSUNCb2IyeGtQU0l6WlRZMFpqa3lOeUln
+SUdSbFkzazlJak5sTmpSbU9USTNJaUFnYzNWemREMGlNMlk0TURBdwoJTURBaUlDQnlaV3h6UFNJ
+elpUWTBaamt5TnlJZ0lITnRjRDBpTUNJZ0lHeHdQU0l3SWlBZ2MzbHVZejBpTUNJZ0lITncKCVpE
+MGlNQ0lnSUhSeVowMWtQU0l3SWlBZ2RtVnNjMlZ1Y3owaU1DSWdJRzFuYkhac2N6MGlNQ0lnSUcx
+blkzSjJjejBpCglNQ0lnSUdSd2REMGlNQ0lnSUdOb2MxUnlaejBpTUNJZ0lHRjBZMmh6UFNJd0lp
+QStDand2UmtWT1ZsQkJVa0ZOVXo0SwoJSUR4QlJVNVdJQ0JqUFNJNElpQWdjR0Z1UFNJd0lpQWdl
+bTl2YlQwaU0yWXdPRE14T0dNaUlENEtQSEFnSUd3OUlqTm0KCU9EQXdNREF3SWlBZ2REMGlNQ0ln
+SUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpCglNMlk0TURB
+d01EQWlJQ0IwUFNJell6SXpaRGN3TUNJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284
+TDNBKwoJQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXpZMkV6WkRjd01DSWdJSE05SWpB
+aUlDQmpQU0l6Wmpnd01EQXcKCU1DSWdQZ284TDNBK0NpQThjQ0FnYkQwaU0yWTRNREF3TURBaUlD
+QjBQU0l6WTJZMVl6STROU0lnSUhNOUlqQWlJQ0JqCglQU0l6Wmpnd01EQXdNQ0lnUGdvOEwzQStD
+aUE4Y0NBZ2JEMGlNMlk0TURBd01EQWlJQ0IwUFNJelpESXpaRGN3TlNJZwoJSUhNOUlqQWlJQ0Jq
+UFNJelpqZ3dNREF3TUNJZ1BnbzhMM0ErQ2lBOGNDQWdiRDBpTTJZNE1EQXdNREFpSUNCMFBTSXoK
+CVpEUmpZMk5qTnlJZ0lITTlJakFpSUNCalBTSXpaamd3TURBd01DSWdQZ284TDNBK0NpQThjQ0Fn
+YkQwaU0yWTRNREF3CglNREFpSUNCMFBTSXpaRGMxWXpJNFlTSWdJSE05SWpBaUlDQmpQU0l6Wmpn
+d01EQXdNQ0lnUGdvOEwzQStDaUE4Y0NBZwoJYkQwaU0yWTRNREF3TURBaUlDQjBQU0l6WkRobU5X
+TXlOU0lnSUhNOUlqQWlJQ0JqUFNJelpqZ3dNREF3TUNJZ1BnbzgKCUwzQStDaUE4Y0NBZ2JEMGlN
+Q0lnSUhROUlqTmtZVE5rTnpBMUlpQWdjejBpTUNJZ0lHTTlJak5tT0RBd01EQXdJaUErCglDand2
+Y0Q0S0lEd3ZRVVZPVmo0S0lEeEJSVTVXVUVGU1FVMVRJQ0J2Yms5bVpqMGlNQ0lnSUdFOUlqQWlJ
+Q0JvUFNJdwoJSWlBZ1pEMGlNQ0lnSUhJOUlqQWlJQ0JoZEhSclBTSXpaVFkwWmpreU55SWdJR2h2
+YkdROUlqTmxOalJtT1RJM0lpQWcKCVpHVmplVDBpTTJVMk5HWTVNamNpSUNCemRYTjBQU0l6Wmpn
+d01EQXdNQ0lnSUhKbGJITTlJak5sTmpSbU9USTNJaUFnCgljMjF3UFNJd0lpQWdiSEE5SWpBaUlD
+QnplVzVqUFNJd0lpQWdjM0JrUFNJd0lpQWdkSEpuVFdROUlqQWlJQ0IyWld4egoJWlc1elBTSXdJ
+aUFnYldkc2RteHpQU0l3SWlBZ2JXZGpjblp6UFNJd0lpQWdaSEIwUFNJd0lpQWdZMmh6VkhKblBT
+SXcKCUlpQWdZWFJqYUhNOUlqQWlJRDRLUEM5QlJVNVdVRUZTUVUxVFBnb2dQRVZHUmxKQlEwc2dQ
+Z284UlVaR1RVOUVWVXhGCglJQ0JVZVhCbFBTSk9ieUJGWm1abFkzUWlJQ0JRTUQwaU1DSWdJRkF4
+UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZwoJSUZBMFBTSXdJaUFnVURVOUlqQWlJQ0JRTmow
+aU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXgKCU1EMGlNQ0lnSUZBeE1U
+MGlNQ0lnSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGamRHbDJaVDBpCglN
+Q0lnUGdvOEwwVkdSazFQUkZWTVJUNEtJRHhGUmtaTlQwUlZURVVnSUZSNWNHVTlJazV2SUVWbVpt
+VmpkQ0lnSUZBdwoJUFNJd0lpQWdVREU5SWpBaUlDQlFNajBpTUNJZ0lGQXpQU0l3SWlBZ1VEUTlJ
+akFpSUNCUU5UMGlNQ0lnSUZBMlBTSXcKCUlpQWdVRGM5SWpBaUlDQlFPRDBpTUNJZ0lGQTVQU0l3
+SWlBZ1VERXdQU0l3SWlBZ1VERXhQU0l3SWlBZ1VERXlQU0l3CglJaUFnVURFelBTSXdJaUFnVURF
+MFBTSXdJaUFnUVdOMGFYWmxQU0l3SWlBK0Nqd3ZSVVpHVFU5RVZVeEZQZ29nUEVWRwoJUmsxUFJG
+Vk1SU0FnVkhsd1pUMGlUbThnUldabVpXTjBJaUFnVURBOUlqQWlJQ0JRTVQwaU1DSWdJRkF5UFNJ
+d0lpQWcKCVVETTlJakFpSUNCUU5EMGlNQ0lnSUZBMVBTSXdJaUFnVURZOUlqQWlJQ0JRTnowaU1D
+SWdJRkE0UFNJd0lpQWdVRGs5CglJakFpSUNCUU1UQTlJakFpSUNCUU1URTlJakFpSUNCUU1USTlJ
+akFpSUNCUU1UTTlJakFpSUNCUU1UUTlJakFpSUNCQgoJWTNScGRtVTlJakFpSUQ0S1BDOUZSa1pO
+VDBSVlRFVStDaUE4UlVaR1RVOUVWVXhGSUNCVWVYQmxQU0pPYnlCRlptWmwKCVkzUWlJQ0JRTUQw
+aU1DSWdJRkF4UFNJd0lpQWdVREk5SWpBaUlDQlFNejBpTUNJZ0lGQTBQU0l3SWlBZ1VEVTlJakFp
+CglJQ0JRTmowaU1DSWdJRkEzUFNJd0lpQWdVRGc5SWpBaUlDQlFPVDBpTUNJZ0lGQXhNRDBpTUNJ
+Z0lGQXhNVDBpTUNJZwoJSUZBeE1qMGlNQ0lnSUZBeE16MGlNQ0lnSUZBeE5EMGlNQ0lnSUVGamRH
+bDJaVDBpTUNJZ1BnbzhMMFZHUmsxUFJGVk0KCVJUNEtJRHd2UlVaR1VrRkRTejRLSUR3dlZrOUpR
+MFUrQ2lBOFRWVk1WRWxUUVUxUVRFVWdJRXhoZVdWeU1GWnZiRDBpCglNQ0lnSUV4aGVXVnlNRUZq
+ZEQwaU1DSWdJRXhoZVdWeU1FMTBQU0l3SWlBZ1RHRjVaWEl3Um13OUlqQWlJQ0JNWVhsbAoJY2pG
+V2IydzlJakFpSUNCTVlYbGxjakZCWTNROUlqQWlJQ0JNWVhsbGNqRk5kRDBpTUNJZ0lFeGhlV1Z5
+TVVac1BTSXcKCUlpQWdUR0Y1WlhJeVZtOXNQU0l3SWlBZ1RHRjVaWEl5UVdOMFBTSXdJaUFnVEdG
+NVpYSXlUWFE5SWpBaUlDQk1ZWGxsCgljakpHYkQwaU1DSWdJRXhoZVdWeU0xWnZiRDBpTUNJZ0lF
+eGhlV1Z5TTBGamREMGlNQ0lnSUV4aGVXVnlNMDEwUFNJdwoJSWlBZ1RHRjVaWEl6Um13OUlqQWlJ
+Q0J5Wld4V2IydzlJakFpSUNCd1pXUk1kbXc5SWpBaUlDQndaV1JHV0QwaU0yWTQKCU1EQXdNREFp
+SUNCemNuaG1ZV1JsUFNJd0lpQWdjbVZzVW5Wc1pUMGlNQ0lnSUhScGJXSnlaVDBpTUNJZ0lIUmli
+V1E5CglJakFpSUNCbGJuTnpibkpzUFNJd0lpQWdjbVZ3ZEdOb2NtVnNQU0l3SWlBZ2MzTnlaWFp3
+WWowaU1DSWdJRzF2WjNKcAoJWm5rOUlqQWlJQ0J6YzNSb2FXNUZiajBpTUNJZ1BnbzhMMDFWVEZS
+SlUwRk5VRXhGUGdvZ1BFMVZURlJKVTBGTlVFeEYKCUlDQk1ZWGxsY2pCV2IydzlJakFpSUNCTVlY
+bGxjakJCWTNROUlqQWlJQ0JNWVhsbGNqQk5kRDBpTUNJZ0lFeGhlV1Z5CglNRVpzUFNJd0lpQWdU
+R0Y1WlhJeFZtOXNQU0l3SWlBZ1RHRjVaWEl4UVdOMFBTSXdJaUFnVEdGNVpYSXhUWFE5SWpBaQoJ
+SUNCTVlYbGxjakZHYkQwaU1DSWdJRXhoZVdWeU1sWnZiRDBpTUNJZ0lFeGhlV1Z5TWtGamREMGlN
+Q0lnSUV4aGVXVnkKCU1rMTBQU0l3SWlBZ1RHRjVaWEl5Um13OUlqQWlJQ0JNWVhsbGNqTldiMnc5
+SWpBaUlDQk1ZWGxsY2pOQlkzUTlJakFpCglJQ0JNWVhsbGNqTk5kRDBpTUNJZ0lFeGhlV1Z5TTBa
+c1BTSXdJaUFnY21Wc1ZtOXNQU0l3SWlBZ2NHVmtUSFpzUFNJdwoJSWlBZ2NHVmtSbGc5SWpObU9E
+QXdNREF3SWlBZ2MzSjRabUZrWlQwaU1DSWdJSEpsYkZKMWJHVTlJakFpSUNCMGFXMWkKCWNtVTlJ
+akFpSUNCMFltMWtQU0l3SWlBZ1pXNXpjMjV5YkQwaU1DSWdJSEpsY0hSamFISmxiRDBpTUNJZ0lI
+TnpjbVYyCgljR0k5SWpBaUlDQnRiMmR5YVdaNVBTSXdJaUFnYzNOMGFHbHVSVzQ5SWpBaUlENEtQ
+QzlOVlV4VVNWTkJUVkJNUlQ0SwoJSUR4RlJrWlNRVU5MSUQ0S1BFVkdSazFQUkZWTVJTQWdWSGx3
+WlQwaVRtOGdSV1ptWldOMElpQWdVREE5SWpBaUlDQlEKCU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURN
+OUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBpCglNQ0lnSUZBNFBT
+SXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlqQWlJQ0JRTVRN
+OQoJSWpBaUlDQlFNVFE5SWpBaUlDQkJZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5UMFJWVEVVK0Np
+QThSVVpHVFU5RVZVeEYKCUlDQlVlWEJsUFNKT2J5QkZabVpsWTNRaUlDQlFNRDBpTUNJZ0lGQXhQ
+U0l3SWlBZ1VESTlJakFpSUNCUU16MGlNQ0lnCglJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBp
+TUNJZ0lGQTNQU0l3SWlBZ1VEZzlJakFpSUNCUU9UMGlNQ0lnSUZBeAoJTUQwaU1DSWdJRkF4TVQw
+aU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1DSWdJRkF4TkQwaU1DSWdJRUZqZEdsMlpUMGkKCU1D
+SWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZSa1pOVDBSVlRFVWdJRlI1Y0dVOUlrNXZJRVZtWm1W
+amRDSWdJRkF3CglQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROUlq
+QWlJQ0JRTlQwaU1DSWdJRkEyUFNJdwoJSWlBZ1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJ
+aUFnVURFd1BTSXdJaUFnVURFeFBTSXdJaUFnVURFeVBTSXcKCUlpQWdVREV6UFNJd0lpQWdVREUw
+UFNJd0lpQWdRV04wYVhabFBTSXdJaUErQ2p3dlJVWkdUVTlFVlV4RlBnb2dQRVZHCglSazFQUkZW
+TVJTQWdWSGx3WlQwaVRtOGdSV1ptWldOMElpQWdVREE5SWpBaUlDQlFNVDBpTUNJZ0lGQXlQU0l3
+SWlBZwoJVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExUFNJd0lpQWdVRFk5SWpBaUlDQlFOejBpTUNJ
+Z0lGQTRQU0l3SWlBZ1VEazkKCUlqQWlJQ0JRTVRBOUlqQWlJQ0JRTVRFOUlqQWlJQ0JRTVRJOUlq
+QWlJQ0JRTVRNOUlqQWlJQ0JRTVRROUlqQWlJQ0JCCglZM1JwZG1VOUlqQWlJRDRLUEM5RlJrWk5U
+MFJWVEVVK0NpQThMMFZHUmxKQlEwcytDaUE4UVZWWVJVWkdVa0ZEU3lBKwoJQ2p4RlJrWk5UMFJW
+VEVVZ0lGUjVjR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFpSUNCUU1qMGkK
+CU1DSWdJRkF6UFNJd0lpQWdVRFE5SWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlBZ1VEYzlJakFp
+SUNCUU9EMGlNQ0lnCglJRkE1UFNJd0lpQWdVREV3UFNJd0lpQWdVREV4UFNJd0lpQWdVREV5UFNJ
+d0lpQWdVREV6UFNJd0lpQWdVREUwUFNJdwoJSWlBZ1FXTjBhWFpsUFNJd0lpQStDand2UlVaR1RV
+OUVWVXhGUGdvZ1BFVkdSazFQUkZWTVJTQWdWSGx3WlQwaVRtOGcKCVJXWm1aV04wSWlBZ1VEQTlJ
+akFpSUNCUU1UMGlNQ0lnSUZBeVBTSXdJaUFnVURNOUlqQWlJQ0JRTkQwaU1DSWdJRkExCglQU0l3
+SWlBZ1VEWTlJakFpSUNCUU56MGlNQ0lnSUZBNFBTSXdJaUFnVURrOUlqQWlJQ0JRTVRBOUlqQWlJ
+Q0JRTVRFOQoJSWpBaUlDQlFNVEk5SWpBaUlDQlFNVE05SWpBaUlDQlFNVFE5SWpBaUlDQkJZM1Jw
+ZG1VOUlqQWlJRDRLUEM5RlJrWk4KCVQwUlZURVUrQ2lBOFJVWkdUVTlFVlV4RklDQlVlWEJsUFNK
+T2J5QkZabVpsWTNRaUlDQlFNRDBpTUNJZ0lGQXhQU0l3CglJaUFnVURJOUlqQWlJQ0JRTXowaU1D
+SWdJRkEwUFNJd0lpQWdVRFU5SWpBaUlDQlFOajBpTUNJZ0lGQTNQU0l3SWlBZwoJVURnOUlqQWlJ
+Q0JRT1QwaU1DSWdJRkF4TUQwaU1DSWdJRkF4TVQwaU1DSWdJRkF4TWowaU1DSWdJRkF4TXowaU1D
+SWcKCUlGQXhORDBpTUNJZ0lFRmpkR2wyWlQwaU1DSWdQZ284TDBWR1JrMVBSRlZNUlQ0S0lEeEZS
+a1pOVDBSVlRFVWdJRlI1CgljR1U5SWs1dklFVm1abVZqZENJZ0lGQXdQU0l3SWlBZ1VERTlJakFp
+SUNCUU1qMGlNQ0lnSUZBelBTSXdJaUFnVURROQoJSWpBaUlDQlFOVDBpTUNJZ0lGQTJQU0l3SWlB
+Z1VEYzlJakFpSUNCUU9EMGlNQ0lnSUZBNVBTSXdJaUFnVURFd1BTSXcKCUlpQWdVREV4UFNJd0lp
+QWdVREV5UFNJd0lpQWdVREV6UFNJd0lpQWdVREUwUFNJd0lpQWdRV04wYVhabFBTSXdJaUErCglD
+and2UlVaR1RVOUVWVXhGUGdvZ1BDOUJWVmhGUmtaU1FVTkxQZ29nUEV4R1QxOVRSVlFnUGdvOFRF
+WlBJQ0IwZVhCbAoJUFNJd0lpQWdZMlZ1ZEdWeVBTSXdJaUFnYzNkcGJtYzlJakFpSUNCeVlYUmxQ
+U0l3SWlBZ2NtNWtkSEk5SWpBaUlDQnkKCVlXNWtjbWM5SWpBaUlDQnlZVzVrY21WMlBTSXdJaUFn
+Y0hWc2MyVnRhWGc5SWpBaUlDQndkV3h6WlhKaGRHVTlJakFpCglJQ0J6WTJGc1pUMGlNQ0lnSUhO
+NWJtTTlJakFpSUNCeVpYTmxkSFJ5UFNJd0lpQWdaVzUyWkhCMGFEMGlNQ0lnSUdKdwoJYjJ4aGNq
+MGlNQ0lnSUhCb1lYTmxQU0l3SWlBZ2RXNXBaR2x5UFNJd0lpQStDand2VEVaUFBnb2dQRXhHVHlB
+Z2RIbHcKCVpUMGlNQ0lnSUdObGJuUmxjajBpTUNJZ0lITjNhVzVuUFNJd0lpQWdjbUYwWlQwaU1D
+SWdJSEp1WkhSeVBTSXdJaUFnCgljbUZ1WkhKblBTSXdJaUFnY21GdVpISmxkajBpTUNJZ0lIQjFi
+SE5sYldsNFBTSXdJaUFnY0hWc2MyVnlZWFJsUFNJdwoJSWlBZ2MyTmhiR1U5SWpBaUlDQnplVzVq
+UFNJd0lpQWdjbVZ6WlhSMGNqMGlNQ0lnSUdWdWRtUndkR2c5SWpBaUlDQmkKCWNHOXNZWEk5SWpB
+aUlDQndhR0Z6WlQwaU1DSWdJSFZ1YVdScGNqMGlNQ0lnUGdvOEwweEdUejRLSUR4TVJrOGdJSFI1
+CgljR1U5SWpBaUlDQmpaVzUwWlhJOUlqQWlJQ0J6ZDJsdVp6MGlNQ0lnSUhKaGRHVTlJakFpSUNC
+eWJtUjBjajBpTUNJZwoJSUhKaGJtUnlaejBpTUNJZ0lISmhibVJ5WlhZOUlqQWlJQ0J3ZFd4elpX
+MXBlRDBpTUNJZ0lIQjFiSE5sY21GMFpUMGkKCU1DSWdJSE5qWVd4bFBTSXdJaUFnYzNsdVl6MGlN
+Q0lnSUhKbGMyVjBkSEk5SWpBaUlDQmxiblprY0hSb1BTSXdJaUFnCglZbkJ2YkdGeVBTSXdJaUFn
+Y0doaGMyVTlJakFpSUNCMWJtbGthWEk5SWpBaUlENEtQQzlNUms4K0NpQThURVpQSUNCMAoJZVhC
+bFBTSXdJaUFnWTJWdWRHVnlQU0l3SWlBZ2MzZHBibWM5SWpBaUlDQnlZWFJsUFNJd0lpQWdjbTVr
+ZEhJOUlqQWkKCUlDQnlZVzVrY21jOUlqQWlJQ0J5WVc1a2NtVjJQU0l3SWlBZ2NIVnNjMlZ0YVhn
+OUlqQWlJQ0J3ZFd4elpYSmhkR1U5CglJakFpSUNCelkyRnNaVDBpTUNJZ0lITjVibU05SWpBaUlD
+QnlaWE5sZEhSeVBTSXdJaUFnWlc1MlpIQjBhRDBpTUNJZwoJSUdKd2IyeGhjajBpTUNJZ0lIQm9Z
+WE5sUFNJd0lpQWdkVzVwWkdseVBTSXdJaUErQ2p3dlRFWlBQZ29nUEV4R1R5QWcKCWRIbHdaVDBp
+TUNJZ0lHTmxiblJsY2owaU1DSWdJSE4zYVc1blBTSXdJaUFnY21GMFpUMGlNQ0lnSUhKdVpIUnlQ
+U0l3CglJaUFnY21GdVpISm5QU0l3SWlBZ2NtRnVaSEpsZGowaU1DSWdJSEIxYkhObGJXbDRQU0l3
+SWlBZ2NIVnNjMlZ5WVhSbAoJUFNJd0lpQWdjMk5oYkdVOUlqQWlJQ0J6ZVc1alBTSXdJaUFnY21W
+elpYUjBjajBpTUNJZ0lHVnVkbVJ3ZEdnOUlqQWkKCUlDQmljRzlzWVhJOUlqQWlJQ0J3YUdGelpU
+MGlNQ0lnSUhWdWFXUnBjajBpTUNJZ1BnbzhMMHhHVHo0S0lEeE1SazhnCglJSFI1Y0dVOUlqQWlJ
+Q0JqWlc1MFpYSTlJakFpSUNCemQybHVaejBpTUNJZ0lISmhkR1U5SWpBaUlDQnlibVIwY2owaQoJ
+TUNJZ0lISmhibVJ5WnowaU1DSWdJSEpoYm1SeVpYWTlJakFpSUNCd2RXeHpaVzFwZUQwaU1DSWdJ
+SEIxYkhObGNtRjAKCVpUMGlNQ0lnSUhOallXeGxQU0l3SWlBZ2MzbHVZejBpTUNJZ0lISmxjMlYw
+ZEhJOUlqQWlJQ0JsYm5aa2NIUm9QU0l3CglJaUFnWW5CdmJHRnlQU0l3SWlBZ2NHaGhjMlU5SWpB
+aUlDQjFibWxrYVhJOUlqQWlJRDRLUEM5TVJrOCtDaUE4VEVaUAoJSUNCMGVYQmxQU0l3SWlBZ1ky
+VnVkR1Z5UFNJd0lpQWdjM2RwYm1jOUlqQWlJQ0J5WVhSbFBTSXdJaUFnY201a2RISTkKCUlqQWlJ
+Q0J5WVc1a2NtYzlJakFpSUNCeVlXNWtjbVYyUFNJd0lpQWdjSFZzYzJWdGFYZzlJakFpSUNCd2RX
+eHpaWEpoCglkR1U5SWpBaUlDQnpZMkZzWlQwaU1DSWdJSE41Ym1NOUlqQWlJQ0J5WlhObGRIUnlQ
+U0l3SWlBZ1pXNTJaSEIwYUQwaQoJTUNJZ0lHSndiMnhoY2owaU1DSWdJSEJvWVhObFBTSXdJaUFn
+ZFc1cFpHbHlQU0l3SWlBK0Nqd3ZURVpQUGdvZ1BFeEcKCVR5QWdkSGx3WlQwaU1DSWdJR05sYm5S
+bGNqMGlNQ0lnSUhOM2FXNW5QU0l3SWlBZ2NtRjBaVDBpTUNJZ0lISnVaSFJ5CglQU0l3SWlBZ2Nt
+RnVaSEpuUFNJd0lpQWdjbUZ1WkhKbGRqMGlNQ0lnSUhCMWJITmxiV2w0UFNJd0lpQWdjSFZzYzJW
+eQoJWVhSbFBTSXdJaUFnYzJOaGJHVTlJakFpSUNCemVXNWpQU0l3SWlBZ2NtVnpaWFIwY2owaU1D
+SWdJR1Z1ZG1Sd2RHZzkKCUlqQWlJQ0JpY0c5c1lYSTlJakFpSUNCd2FHRnpaVDBpTUNJZ0lIVnVh
+V1JwY2owaU1DSWdQZ284TDB4R1R6NEtJRHd2CglURVpQWDFORlZENEtJRHhOVDBSRlRsWlFRVkpC
+VFZNZ0lHRTlJakFpSUNCb1BTSXdJaUFnWkQwaU1DSWdJSEk5SWpBaQoJSUNCaGRIUnJQU0l6WlRZ
+MFpqa3laU0lnSUdodmJHUTlJak5sTmpSbU9USmxJaUFnWkdWamVUMGlNMlUyTkdZNU1tWWkKCUlD
+QnpkWE4wUFNJelpqZ3dNREF3TUNJZ0lISmxiSE05SWpObE5qUm1PVEprSWlBZ2MyMXdQU0l3SWlB
+Z2JIQTlJakFpCglJQ0J6ZVc1alBTSXdJaUFnYzNCa1BTSXdJaUFnZEhKblRXUTlJakFpSUNCMlpX
+eHpaVzV6UFNJd0lpQWdiV2RzZG14egoJUFNJd0lpQWdiV2RqY25aelBTSXdJaUFnWkhCMFBTSXdJ
+aUFnWTJoelZISm5QU0l3SWlBZ1lYUmphSE05SWpBaUlENEsKCVBDOU5UMFJGVGxaUVFWSkJUVk0r
+Q2lBOFRVOUVYMFZPVmpKZk1pQWdZVDBpTUNJZ0lHZzlJakFpSUNCa1BTSXdJaUFnCgljajBpTUNJ
+Z0lHRjBkR3M5SWpObE5qUm1PVEpsSWlBZ2FHOXNaRDBpTTJVMk5HWTVNbVVpSUNCa1pXTjVQU0l6
+WlRZMAoJWmpreVppSWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TW1R
+aUlDQnpiWEE5SWpBaUlDQnMKCWNEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFpSUNCMGNt
+ZE5aRDBpTUNJZ0lIWmxiSE5sYm5NOUlqQWlJQ0J0CglaMngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJ
+akFpSUNCa2NIUTlJakFpSUNCamFITlVjbWM5SWpBaUlDQmhkR05vY3owaQoJTUNJZ1BnbzhMMDFQ
+UkY5RlRsWXlYekkrQ2lBOFRVOUVYMFZPVmpKZk1pQWdZVDBpTUNJZ0lHZzlJakFpSUNCa1BTSXcK
+CUlpQWdjajBpTUNJZ0lHRjBkR3M5SWpObE5qUm1PVEpsSWlBZ2FHOXNaRDBpTTJVMk5HWTVNbVVp
+SUNCa1pXTjVQU0l6CglaVFkwWmpreVppSWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3ow
+aU0yVTJOR1k1TW1RaUlDQnpiWEE5SWpBaQoJSUNCc2NEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNH
+UTlJakFpSUNCMGNtZE5aRDBpTUNJZ0lIWmxiSE5sYm5NOUlqQWkKCUlDQnRaMngyYkhNOUlqQWlJ
+Q0J0WjJOeWRuTTlJakFpSUNCa2NIUTlJakFpSUNCamFITlVjbWM5SWpBaUlDQmhkR05vCgljejBp
+TUNJZ1BnbzhMMDFQUkY5RlRsWXlYekkrQ2lBOFRVOUVYMFZPVmpKZk1pQWdZVDBpTUNJZ0lHZzlJ
+akFpSUNCawoJUFNJd0lpQWdjajBpTUNJZ0lHRjBkR3M5SWpObE5qUm1PVEpsSWlBZ2FHOXNaRDBp
+TTJVMk5HWTVNbVVpSUNCa1pXTjUKCVBTSXpaVFkwWmpreVppSWdJSE4xYzNROUlqTm1PREF3TURB
+d0lpQWdjbVZzY3owaU0yVTJOR1k1TW1RaUlDQnpiWEE5CglJakFpSUNCc2NEMGlNQ0lnSUhONWJt
+TTlJakFpSUNCemNHUTlJakFpSUNCMGNtZE5aRDBpTUNJZ0lIWmxiSE5sYm5NOQoJSWpBaUlDQnRa
+MngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJakFpSUNCa2NIUTlJakFpSUNCamFITlVjbWM5SWpBaUlD
+QmgKCWRHTm9jejBpTUNJZ1BnbzhMMDFQUkY5RlRsWXlYekkrQ2lBOFRVOUVYMFZPVmpKZk1pQWdZ
+VDBpTUNJZ0lHZzlJakFpCglJQ0JrUFNJd0lpQWdjajBpTUNJZ0lHRjBkR3M5SWpObE5qUm1PVEps
+SWlBZ2FHOXNaRDBpTTJVMk5HWTVNbVVpSUNCawoJWldONVBTSXpaVFkwWmpreVppSWdJSE4xYzNR
+OUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TW1RaUlDQnoKCWJYQTlJakFpSUNCc2NE
+MGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFpSUNCMGNtZE5aRDBpTUNJZ0lIWmxiSE5sCgli
+bk05SWpBaUlDQnRaMngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJakFpSUNCa2NIUTlJakFpSUNCamFI
+TlVjbWM5SWpBaQoJSUNCaGRHTm9jejBpTUNJZ1BnbzhMMDFQUkY5RlRsWXlYekkrQ2lBOFRVOUVY
+MFZPVmpKZk1pQWdZVDBpTUNJZ0lHZzkKCUlqQWlJQ0JrUFNJd0lpQWdjajBpTUNJZ0lHRjBkR3M5
+SWpObE5qUm1PVEpsSWlBZ2FHOXNaRDBpTTJVMk5HWTVNbVVpCglJQ0JrWldONVBTSXpaVFkwWmpr
+eVppSWdJSE4xYzNROUlqTm1PREF3TURBd0lpQWdjbVZzY3owaU0yVTJOR1k1TW1RaQoJSUNCemJY
+QTlJakFpSUNCc2NEMGlNQ0lnSUhONWJtTTlJakFpSUNCemNHUTlJakFpSUNCMGNtZE5aRDBpTUNJ
+Z0lIWmwKCWJITmxibk05SWpBaUlDQnRaMngyYkhNOUlqQWlJQ0J0WjJOeWRuTTlJakFpSUNCa2NI
+UTlJakFpSUNCamFITlVjbWM5CglJakFpSUNCaGRHTm9jejBpTUNJZ1BnbzhMMDFQUkY5RlRsWXlY
+ekkrQ2lBOFEzVnpkRzl0UkdGMFlUSWdQZ284TDBOMQoJYzNSdmJVUmhkR0V5UGdvZ1BDOVRXVTVV
+U0VWT1J6NEtJRHd2VTNsdWRHaEZibWRwYm1VK0NpQThMMU41Ym5Sb1UzVmkKCVJXNW5hVzVsUGdv
+Z1BDOVRlVzUwYUUxaGMzUmxjajRLSUFBPQoJPC9kYXRhPgoJPGtleT5tYW51ZmFjdHVyZXI8L2tl
+eT4KCTxpbnRlZ2VyPjExOTYzODEwMTU8L2ludGVnZXI+Cgk8a2V5Pm5hbWU8L2tleT4KCTxzdHJp
+bmc+I2RlZmF1bHQ8L3N0cmluZz4KCTxrZXk+cmVuZGVyLXF1YWxpdHk8L2tleT4KCTxpbnRlZ2Vy
+PjEyNzwvaW50ZWdlcj4KCTxrZXk+c3VidHlwZTwva2V5PgoJPGludGVnZXI+MTI2NTg1NzY0Njwv
+aW50ZWdlcj4KCTxrZXk+dHlwZTwva2V5PgoJPGludGVnZXI+MTYzNTA4NTY4NTwvaW50ZWdlcj4K
+CTxrZXk+dmVyc2lvbjwva2V5PgoJPGludGVnZXI+MDwvaW50ZWdlcj4KPC9kaWN0Pgo8L3BsaXN0
+PgoAAACx9m089kcR8I/9dmPoKz+mVUN1QQQADgAAACQAAAAAAAAABQAAAAIAAAACAJgXAAAAAAAA
+qAEAAAIAAAAAADUSAABhdXRvIG1vdmUuYXVwcmVzZXQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAQEBAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAEA
+AADzEwAAQ0hPUkRpbWlzdAAAc2VlTGltdWFpZG9DAAB1AQEAAALcFgAAAAAAAAAAAAAAADQ2aWEF
+ADw/eG1sIHZlcnNpb249IjEuMCIgZW5jb2Rpbmc9IlVURi04Ij8+CjwhRE9DVFlQRSBwbGlzdCBQ
+VUJMSUMgIi0vL0FwcGxlLy9EVEQgUExJU1QgMS4wLy9FTiIgImh0dHA6Ly93d3cuYXBwbGUuY29t
+L0RURHMvUHJvcGVydHlMaXN0LTEuMC5kdGQiPgo8cGxpc3QgdmVyc2lvbj0iMS4wIj4KPGRpY3Q+
+Cgk8a2V5PmRhdGE8L2tleT4KCTxkYXRhPgoJQUFBQUFBQUFBQUFBQUFBNUFBR2VYd0FBQUFBQU5C
+NkJBQUFBQUFBMGw4d0FBQUFBQlJYSU13QUFBQUFGWXdEclBjek0KCXpBWGc5bjhBQUFBQUJvTUpT
+Z0FBQUFBR2lzS0lBQUFBQUFhTVB2NC9BQUFBQ0xwTzVqMWh3NGNKUkUyVVB3QUFBQXlnCglFVmNB
+QUFBQURLQkNnd0FBQUFBUm5tSWpBQUFBQUJYeFNJSUFBQUFBSE1keWxBQUFBQUFkdjd4TEFBQUFB
+Q2V6WmFnLwoJQUFBQUs3cFFXQUFBQUFBczlwVUdBQUFBQUM3WEV6US9nQUFBTXBmNlFnQUFBQUF5
+NFRpU0FBQUFBRE5vWlRFL0FBQUEKCU9ZaFVZQUFBQUFBK0N2WE9BQUFBQUQ0T091WS9Fa2tsUHNM
+M09UOEFBQUJDYk9LMUFBQUFBRWNwTkZrQUFBQUFTRXd0Cgltd0FBQUFCT0dzczBBQUFBQUU3cUF5
+Z0FBQUFBVHhScnp3QUFBQUJQRlBoSFB3QUFBRThhbEEwK3d3d3hUend3bVQrQQoJQUFCUGdJT3VB
+QUFBQUZGSlg5OCtFa2tsVVlVU2REN1hsRFpaY0t5V0FBQUFBRnNXUm1NQUFBQUFaUko4OGo4QUFB
+Qm0KCXE1VXVBQUFBQUdjNFc2WUFBQUFBYktpZmR3QUFBQUJ0eUZvc1A0QUFBRzVYTHVBL2dBQUFi
+c0piY0FBQUFBQnYrSDczCglBQUFBQUhEU05BQUFBQUFBYy9vdnpRQUFBQUIzdGFnMEFBQUFBSGoz
+OWNNQUFBQUFlK2hkOHo4QUFBQjh5V0dOUDRBQQoJQUg4MlBOMC9BQUFBCgk8L2RhdGE+Cgk8a2V5
+PmVsZW1lbnQtbmFtZTwva2V5PgoJPGRpY3Q+CgkJPGtleT4yPC9rZXk+CgkJPGRpY3Q+CgkJCTxr
+ZXk+MDwva2V5PgoJCQk8c3RyaW5nPk91dHB1dDwvc3RyaW5nPgoJCTwvZGljdD4KCTwvZGljdD4K
+CTxrZXk+anVjZVBsdWdpblN0YXRlPC9rZXk+Cgk8ZGF0YT4KCWVKenRuV3RzSE5VVng4L2FzYjEy
+SE9JOGdCRHlXQlludkR6cDdMeDJOcTBnTTdzenJTRkpFMnhDUUVobVkwOFMxK3NICgl1MnRLQkZF
+R0ZVS0Nvc3EwNVZHcHFnZ1FWS2xDYWduOVVLUStxYXFxRXFvUytsRDVVSlVQYlVHcVdpcjFUWVY3
+Nzg3ZAoJbmRuMXpvNW4yWUlibjJQV3N6UG5uSHZ2Ny94bjc4enNEQTRBUUMrc0FNYzZvZHBXUUJ2
+TXowUHBWYmJLdXIwZUZwZ04KCWRxUVVReUxzVXB6dFpsQVBmVVU5TFpYdHdmVTBsMGJUN1R5Y0lF
+dWUvTlQwdVNEUGExM09DSHlzcithblRxUWRaYVByCglZMk9Na3ZIU3lHNXdSbGZiOCtWMUsxQVpZ
+K1Y5WTRzc01zYXhpS2V6N3FwMXY3bzB0bDRxUGhNK1F0ODdyVndnUzFkaAoJbThnNlAvOFl6R2ZK
+NW5uU1o2UlVvVkxvL0ViYkpwenovQW5nK2RKR1o3T25qNjdxWXZjeHEyeTBvMTFSNkNNdFJpTjkK
+CWRqZHBycHhjS1hDcEIrZjNnc29zMlBKb3BTemR6cEkxVjk3TmZmbkI1Wit2dzI4RC9lOS93Zyt0
+NUFjZi9ycUcvTWlQCgkvTWlQL011VGY3bmJjdGNmK1pFZitaRWYrWkVmK1pFZitaRWYrWkVmK1pF
+ZitaRWYrWkVmK1pFZitaRWYrWkVmK1pFZgoJK1pFZitaRWYrWkVmK1pFZitaRWYrWkVmK1pFZita
+RWYrWkVmK1pFZitaRWYrWkVmK1pFZitaRWYrWkVmK1pFZitaRWYKCStaRWYrWkVmK1pFZitaRWYr
+WkVmLy80Ukdob2FHaG9hMm9kaDlQeG5aVmNrVWpwUnVHVFBmMVkyNG04bi9HMlhObjlQCglJLzdJ
+cGE5Lyt6TG5qemJpWHdhZi83YUcvTDNSUzUyL295SC9wYTkvdzgvL2NwNy9kL2tXQmlBVzRLL2sr
+Mys2RnBmLwoJRWZyRGZ2L3pmRDM5MzdhWGxQNFRnUC8rQTM3L2gveklqL3pJai96SWoveklqL3pJ
+ai96SWoveUw0cCtxejMvNC80WC8KCVp4K1FmN25yai96SWoveklqL3pJai96SWoveklqL3pJai96
+SWoveklqL3pJai96SWoveklqL3pJai96SWoveklqL3pJCglqL3pJai96SWoveklqL3pJai96SWov
+eklqL3pJai94TGl4OE5EUTBORFExdG1kcXBUUFdmTUhwa2JjUzcrcW4rbXI5dwoJZERwVHRacUpW
+NFZEYk8zRERadXZiUjhORFcyNVdtL3Bzb3RhWjQybnZIM2Vjd0ZEMzVmVzNhc3oxMnl3SStCY0k5
+RkwKCXJzcnYwb3Q2NkN1Nm9OWDUrZTBiYWE1em1UWS96OE1Kc3VTQnIrMXp3V2k4MXVXTXdNZjZh
+bjdxUk5wUk5ybytOc1lvCglHUytON0FabmRMVTlYNzZnQ1pmQis3NnhSUllaNDVoMzR1NnVXdmVP
+YnJIVCs0T3JlbUt4ZU1IS1dhTkZhMnhmM2lwWQoJeGIzWlNTdStNeGJQV2RhSXdBdnlDQytPQ0tt
+UmhEakM4eU1TdjJOeWZDdytVSlUzbkQxQ0UycTI3c3NXaTFaK3FyclIKCW1oZ3RQek5lRTdDcTV6
+akVkOGExMGVuWlFuRjhOSmJKejA1T1d2a1lGOXMzUFJPN2ZYcDBJajRRSHkvY1VSaWZPckl2CglQ
+ejAyTzJybGJ4c3Z4bmNlenVZSzFrQzhVTXdXclFOV3ZqQStQUlhmS1E3RUp5eHJac2dxRmtsODRj
+NmoxbFQ2YUhicQoJQ0ZsaERidUo1WEhUM0VMUm1pcVN5SHlXYk1vUEg1dXhCc2ZJbHZIRDR6UWpU
+amVNbElmSUdqb2drSUhOa0l4Smk2VFEKCXJ2SldxUytDZVpoc3FiUjJ1eldhemVWWXY4Y0g0bkpT
+VnJTa29uSzZKQWxjSW1HWW5HNG9HaWRtRkVVVmRGTXhqVVI4Cgk1NE1sRU5vWG9WME1SNlcvcXBF
+dm83b21FN3FlU0tzS3FhdklPM1ZOcGNrN1ZkWVR1cFpRVFYzUkZsUFhZbjYybWJLYQoJczFNVGwx
+UmRhUjNLWmRVVTNsTldQYVZMWElwUEdXWktFVklKU2NYZE5menVxZ3NKSWNsTEVxZkprc25xbXBF
+VkxpMG4KCWxJeG9aRlRSVEdOZHc5YzFJZkNtTGlxMHJyTG8xRlVURFprVFRTMXRxbkphMVNRRDZ4
+cStycEtvaXFLUjREa3hsVFpJCglYVTJlMDNoU1Yxbm1wYVFtSlJPQ0lHRmR3OWZWVk5LeWtwQkxo
+eTJkSGJaTVdlVVVRMUdTU1YwelVwcUlkVzFpZjlXVAoJbWlpbnlRNHFpaUluU2J6SWFhcVU0TWpo
+VERKMFFkWUVCWTliVGRRMUphdTZLaG9DM1YvWjZhdXE4QW9uSmFXa1ltcUMKCWFlcFkxeWJxYWlo
+SlhzNm9LcGRPcERQTy9LckxhWUhqSlUwWFRUUERxNUtBcDYraFQxOGxsWmVVWkNySkdhYVc0Q1F4
+CglZM0FwVVV0elNWT1JoYlJtNm9LUXdkMjF5YXN0WFRHOGx3VnBtVjdLQ3JwdVpoSXBUY0xUMXli
+cXFxVzBaREpsU0J5ZgoJRUUxbkdranhjb0pUSklOUFo5S3FxT282MWpWOFhYbFoxSlMwWkpEVDE0
+ekc2cXBuRkU3SnlKcW1DbnFTN0xGWTEvQjEKCVZUWE5GQlFoVGV1YVlwY0ZTWExDWlJqcFJFWWxa
+N0pTR2k4TG1wMWZNeW5KTTc5cWlxSndRb2JYWlowY3VIZzh6V3FtCglydVFTVmhSbGc4NERsZE1z
+a1RjNVV4U1RlaW9wU0txSjM3NDJVZGRNUWs4WmVrTGxrcHJKdmg0Z1J6R1Y0ek9HcXBocAoJTmFN
+YUtheHJFNWV4OU9zVmlSUlNrMldKWFc3eEdaMVQ1S1FxcFdRaEk1ZzREelJ6UGlDbWpDUzU1UEo4
+L2FxUlMxY3UKCWtWSk1PVzJLT3EvZzE0U2g2MG9LbTUwdFRnK1Zlci9kT2tLR1hmQ0JTUnl2M1NJ
+ZjN6TmxmVElDVzloOTJmTGRVUG8wCglTeHU4eDI1eWxwZFhrdGVjSjRyZXZiNnFmSjh6N25ZekVO
+K1RmV0IzZHNxSzcrU1BVK2ZMcklGRE16bFNHWjcvZWFTdAoJZlVWSFoxZlB3Zjc3bmF5NytyUDUw
+YVBqWkcyNHZ6ZzljN0IvK3RCbkNFOWhMVVJPUGp2U3QzcnYwRzNXTVhvMzB3bTYKCUVPMGV6azlQ
+RiszSTExZjJYbjdGcHMzYnRsOTMvUTEzOUUvTjVuSnZyTHBzZGQvYTlYZnVIZG94WVIwcjNFMldy
+TEVECgkvYU81YktGd2RvM2RkbmFkM1c3M0hCZ2lOYlhHYU1hVlY2MC91OEZlY1hhajNXSDMzTDE3
+ZW5yR3pFNk81NDVSMzVacgoJMWorM05XWjMybDNQeGErMW8zYTMzWE9RUnRBN3FnZm9tOEd4ZTRy
+VzVFeU9sSGJINVBoVUgxeTg4YVlCN202bnV5a1MKCWRkQjVheFZHK3RidEhkb3pXOHdleWxtWjhk
+RWlRYy9tanowL3NPTmo5K3dkY2pjYzNEdjA2ZEtZaVNwcllDUDB3dzBnCglRQklHWVRmc2h5RVlB
+UXR5VUlRVGNCSk93ZU53Qmo1UGxIa2F2Z3JQd25Qd0Fyd0lYNFB6OENwOEI3NEhQNEFmd1kvaAoJ
+Si9CVGVBUGVoRC9BTy9BbitGZWtMYkloc2lseWc2TkxXL2x1ZHZsNWdQSk5idUcrb1FlR0l4Q3Iz
+QUQzN2g2amJPdG8KCWRSSWNZdHZXTFBJV2VmTzJvcUczOUxCRjUrT0xiZXdiN0JHdVg4NjdUMUFz
+enB4RWt2YWJqaldsSnpNbXN2bmhqdExICglaVGRVcW5haURiei9rTjU5US9jYmtVck1kMW1jRTlQ
+SFl2N2liTDJsa21NTjdYSGEzUWUxYXNoTXc1bDI1ODNWTEdjbAoJM0tpUitXRXlTM2N0ZDh4clF4
+RTZ4czk2Vm5xSG0yaWhwWUxaYlBuUDVnVzcrZGJlR3NFOGhmVVZqTVpjRGVFRUc0WWcKCXdUYXhI
+Qi9CMW9VaWRHeUpDZllJVzc3ZlNzRThoZlVWak1ac2duQ0NIWVFnd1RhekhCL0I2ank5RldoTFRM
+QlRiUG1mCglWZ3JtS2F5dllEUm1NNFFUN0I0SUVtd0x5L0VSck03RFpvRzJ4QVE3dzViL2FLVmdu
+c0w2Q2taanRrQTR3ZTZGSU1HMgoJc2h3ZndhNElSZWpZRWhOc2ppMy8za3JCN29WZ3dXak1WZ2du
+MkJnRUNSWmpPVDZDWFJtSzBMRWxKdGlYMlBMTlZncm0KCUtheXZZRFFtQnVFRU93cEJnbDNEY253
+RTJ4Q0swTEVsSnRnemJQbTNWZ3JtS2F5dllEVG1HZ2duV0E2Q0JJdXpIQi9CCglyb0x3OW9FRUs4
+V0hFaXhYSjhUN05QVlgyUEpYclJUTVUxaGZ3V2hNSE1JSk5nTkJnbDNMY253RTJ4aUswTEVsOWds
+NwoJbGkzLzJrckJQSVgxRll6R1hBdmhCQ3RDa0dEN1dZNlBZQU9oQ0IyckVndytjc0ZlWWNYOFl5
+dS82ZkFVMWxjd0dyTWYKCXdnbjJFQVFKMXM5eWZBVGJDdUh0Z3drV2VrcDhxRTZJZDByc1pTdS9i
+MW93KzNPdmR0WUk1aW1zcjJBMHBoL0NDV1pECglrR0RiV0k2UFlOMmhDQjFiWXArd1U0ejRuZVlG
+VzJmVVRvazJCQXRHWTdaQk9NRWVnU0RCdHJNY0g4RmlvUWdkVzJLQwoJN1dQRS8yN2xKOHhUV0Yv
+QmFNeDJDQ2ZZS1FnUzdEcVc0eU5ZSE1MYmh6d2xucW9UNHAwU3o3Q1YzN1h5RStZcHJLOWcKCU5P
+WTZDQ2ZZR1FnU3JDek9TdGd6bUJtTU9mZnhRbUhWMnZmYnExYURCVmhvTGYyRWxZMytUNVRsSXph
+TUx5YWp3VW1ICglwN0MrZ3RHWUtmQUt4ak13Z2Y1NnlubmY1ZlpYMmZWbVBQNGpaUGQ3QXJwV2t4
+WmVwdXQyN0ZzOTFCOE44TU01MTMrNgoJeXYrUzQzL0Y5VDlhTC84MTEzKzJuditpNjMrNG52OHQx
+NzhtNHZYTEswditkMTMvWUZYK1pNY01xM3ZadjcvS2Y0ZVQKCWYxbWtjZnViWGY4VGJYWEdOK0R4
+cjZqeWQ1YjhIL2Y0bzNYeWIzWDlYNnpLUCsvazMrWDZuNnpYL2xIWC8rVXEvN2NkCgkvMmRkL3pm
+cjFmZWs2NzlRNWYrRjQzL1NNLzZxK3B6dkx2bGZDS2pQZVk4Zkl1MnUvOWVPLzRldS8zUzB6djUx
+d2ZXLwoJWHNYM3VzUDNXOWN2ZDNqOEo5aisvMmZYZjY2anFuMW4vM2pmOWUvcHJKTy9xcTNpMSty
+dFA1dGMvN2w2K3R6aytyZDEKCTFOay9kN3IrbCtxTmI5RDFEM3JIRjV0dzJqL282YjltLy9LZjBM
+MVBRZFNmME10Zk8vV0M5OG1BY2t0d1BZUzJtZ21kCglXdGdKdmFPaGwwM29NYlk2VnlmRWV3UXVY
+N1RRbTBPVmdkeldvUDIyNmpkMUozUlBZWDBuZEJyekRIZ245SDBiM0NHLwoJOXlSOTk0VXhub3gy
+bDdQNU5QMDEwYjVnd2kvVHRHekNwLzBiVHpuOWY2S20vNXZhbmZHOXlQeTdhdnh2dHpuK1RVODcK
+CS9uU04vMlFiRzErREE4cGN4Vi9pQjI4K3JHYVNucXVNcjZIL2xnQi91bzQvNklBMlYvRTNHTjhy
+QWVOai9wc0QvTDdqCglhM0JBbmF2NEc0enZ0WUR4TWI4VzRQY2RYNE1EK2x6RjMyQjhGd1BHZHpH
+Zy93WW5ESE1WZjRQKzN3cm9uL2wzQmZnegoJZnVOcmNNSXlWL0UzR04rN1ZlUDdMMU1MbmFrPQoJ
+PC9kYXRhPgoJPGtleT5tYW51ZmFjdHVyZXI8L2tleT4KCTxpbnRlZ2VyPjEyODE3MTM1MjM8L2lu
+dGVnZXI+Cgk8a2V5Pm5hbWU8L2tleT4KCTxzdHJpbmc+YXV0byBtb3ZlPC9zdHJpbmc+Cgk8a2V5
+PnN1YnR5cGU8L2tleT4KCTxpbnRlZ2VyPjExMzEzNzM2NzM8L2ludGVnZXI+Cgk8a2V5PnR5cGU8
+L2tleT4KCTxpbnRlZ2VyPjE2MzUwODU2NzM8L2ludGVnZXI+Cgk8a2V5PnZlcnNpb248L2tleT4K
+CTxpbnRlZ2VyPjA8L2ludGVnZXI+CjwvZGljdD4KPC9wbGlzdD4KsfZuaPZHEfCRpwWezSI+EFVD
+dUEEAA4AAAAkAAAAAAAAAAYAAAACAAAAAgBEAQAAAAAAAKgBAAACAAEAAAA1EgAAVW50aXRsZWQu
+YXVwcmVzZXQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAEBAQAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAABAAAA9xMAAE1pZGkgRlggRnJlAFJDdUFp
+bXVhRlhGTQAAeQEAAAACiAAAAAAAAAAAAAAAAAAzdnVhBQBicGxpc3QwMNQBAgMEBQYHCF8QE2lz
+U2FtcGxlUmF0ZURlZmluZWRfEBJtaWRpRmlsZUV4cG9ydFBhdGheaG9zdFNhbXBsZVJhdGVWcGFy
+YW0xCVAiRyxEACIAAAAACBEnPEtSU1RZAAAAAAAAAQEAAAAAAAAACQAAAAAAAAAAAAAAAAAAAF4A
+sfZvMPZHEfCqN8IPgWMOU1VDdUEEAA4AAAAkAAAAAAAAAAoAAAACAAAAAgACFwAAAAAAAEAAAAAH
+AAEAAAA1EgAAAADeFgAAYnBsaXN0MDDUAAEAAgADAAQABQAGAAcAClgkdmVyc2lvblkkYXJjaGl2
+ZXJUJHRvcFgkb2JqZWN0cxIAAYagXxAPTlNLZXllZEFyY2hpdmVy0QAIAAlaZGljdGlvbmFyeYAB
+rxBOAAsADAAjACQAJQAmACcAKAApACoAKwAvAFoAWwBlAGkAbQCCAIYAmwCfALQAuADNANEA5gD9
+AQcBCwEQARYBHAEiASgBLgE0AToBQAFGAUwBUgFYAV4BZAFqAXABdgF6AXwBgAGVAZkBrQHIAcwB
+0QHXAd0B4wHpAe8B9QH7AgECBwINAhMCGQIfAiUCKwIxAjcCPQJDAkkCTgJSVSRudWxs0wANAA4A
+DwAQABkAIldOUy5rZXlzWk5TLm9iamVjdHNWJGNsYXNzqAARABIAEwAUABUAFgAXABiAAoADgASA
+BYAGgAeACIAJqAAaABsAHAAdAB4AHwAgACGACoAPgBGAE4AVgBeAMIAygE0QABAFEAEQBhACEAcQ
+AxAE0gAOAA8ALAAuoQAtgAuADt8QFgAwADEAMgAzADQANQA2AA8ANwA4ADkAOgA7ADwAPQA+AD8A
+QABBAEIAQwBEAEUAEQBHABEARwBHACMASwBHAE0ARwBHAFAARwBSABEAVABHAEcAVwBHAFRfEBNr
+U2F2ZWRWYWx1ZUZsb2F0S2V5VHNsb3RfEBFrSGFzU2F2ZWRWYWx1ZUtleV8QEHBhcmFtZXRlcklu
+ZGV4XzFfEBFrRmlsdGVyTWFwcGluZ0tleV5yYW5nZUlzRmxpcHBlZF8QEGtEaXNwbGF5SW5kZXhL
+ZXldbW9tZW50YXJ5VHlwZVtrR0luc3RJREtleVp3YXNBdXRvc2V0XGlzTUlESVBsdWdJblljaGFu
+bmVsSURcdGFrZVZlbG9jaXR5XxAUa1NhdmVkVmFsdWVEb3VibGVLZXlfEBRrUmFuZ2VNYXBwaW5n
+TW9kZUtleVlyYW5nZUhpZ2hfECVrRGlzcGxheVBhcmFtZXRlclZhbHVlQXNQZXJjZW50YWdlS2V5
+XxARa0Rpc2NyZXRlU3RlcHNLZXlfEBNrSXNOZXdTYXZlZFZhbHVlS2V5XxAea01hcHBpbmdDcmVh
+dGVkRnJvbVNtYXJ0TWFwS2V5WHJhbmdlTG93Ij3MzM2AAgiAAggIgA0IEHwICIAACCM/uZmZmZmZ
+moACgAwICAkIgAwT///////////SAFwAXQBeAF9aJGNsYXNzbmFtZVgkY2xhc3Nlc18QGE1BUGx1
+Z0luUGFyYW1ldGVyTWFwcGluZ6UAYABhAGIAYwBkXxAYTUFQbHVnSW5QYXJhbWV0ZXJNYXBwaW5n
+XxAhTUFBYnN0cmFjdENoYW5uZWxQYXJhbWV0ZXJNYXBwaW5nXxASTUFQYXJhbWV0ZXJNYXBwaW5n
+WU1BTWFwcGluZ1hOU09iamVjdNIAXABdAGYAZ15OU011dGFibGVBcnJheaMAZgBoAGRXTlNBcnJh
+edIADgAPAGoALqEAa4AQgA7fEBYAMAAxADIAMwA0ADUANgAPADcAOAA5ADoAOwA8AD0APgA/AEAA
+QQBCAEMARABuABEARwAVAEcARwAjAEsARwBNAEcAVwBQAEcAegARAFQARwBHAFcARwBUIgAAAACA
+AgiABggIgA0ICAmAAAgjAAAAAAAAAACAAoAMCAgJCIAM0gAOAA8AgwAuoQCEgBKADt8QFgAwADEA
+MgAzADQANQA2AA8ANwA4ADkAOgA7ADwAPQA+AD8AQABBAEIAQwBEAIcAEQBHABMARwBHACMASwBH
+AE0ARwBHAFAARwCTABEAVABHAEcAVwBHAFQiPczMzYACCIAECAiADQgICIAACCM/uZmZmZmZmoAC
+gAwICAkIgAzSAA4ADwCcAC6hAJ2AFIAO3xAWADAAMQAyADMANAA1ADYADwA3ADgAOQA6ADsAPAA9
+AD4APwBAAEEAQgBDAEQAoAARAEcAGABHAEcAIwBLAEcATQBHAFcAUABHAKwAEQBUAEcARwBXAEcA
+VCI9o9cKgAIIgAkICIANCAgJgAAIIz+0euFHrhR7gAKADAgICQiADNIADgAPALUALqEAtoAWgA7f
+EBYAMAAxADIAMwA0ADUANgAPADcAOAA5ADoAOwA8AD0APgA/AEAAQQBCAEMARAC5ABEARwAVAEcA
+RwAjAEsARwBNAEcARwBQAEcAxQARAFQARwBHAFcARwBUIj3MzM2AAgiABggIgA0ICAiAAAgjP7mZ
+mZmZmZqAAoAMCAgJCIAM0gAOAA8AzgAuoQDPgBiADt8QFwAwADEAMgAzADUANAA2AA8ANwA4ADkA
+OgA7ADwAPQA+AD8AQABBAEIAQwBEANIAbgARAEcAEgBHAEcAIwBLAEcATQBHAFcAUABHAHoAEQBU
+AEcAVwBXAEcAVADlXHNjYWxpbmdHcmFwaIACCIADCAiADQgICYAACIACgAwICQkIgAyAGdIADgAP
+AOcA/K8QFADoAOkA6gDrAOwA7QDuAO8A8ADxAPIA8wD0APUA9gD3APgA+QD6APuAGoAcgB2AHoAf
+gCCAIYAigCOAJIAlgCaAJ4AogCmAKoArgCyALYAugC/XAP4ADwD/AQABAQECAQMARwEFAHoAegB6
+AEcAelZpc1N0ZXBReFF5U2NweFdpc0N1cnZlU2NweQiAGwjSAFwAXQEIAQlcTUFHcmFwaFBvaW50
+ogEKAGRcTUFHcmFwaFBvaW501wD+AA8A/wEAAQEBAgEDAEcBBQEOAHoAegBHAHoIgBsjP7mZmZmZ
+mZoI1wD+AA8A/wEAAQEBAgEDAEcBBQETARQAegBHAHoIgBsjP7mZmZmZmZojP7xxxxxxxxwI1wD+
+AA8A/wEAAQEBAgEDAEcBBQEZARoAegBHAHoIgBsjP8mZmZmZmZojP7xxxxxxxxwI1wD+AA8A/wEA
+AQEBAgEDAEcBBQEfASAAegBHAHoIgBsjP8mZmZmZmZojP8xxxxxxxxwI1wD+AA8A/wEAAQEBAgED
+AEcBBQElASYAegBHAHoIgBsjP9MzMzMzMzMjP8xxxxxxxxwI1wD+AA8A/wEAAQEBAgEDAEcBBQEr
+ASwAegBHAHoIgBsjP9MzMzMzMzMjP9VVVVVVVVUI1wD+AA8A/wEAAQEBAgEDAEcBBQExATIAegBH
+AHoIgBsjP9mZmZmZmZojP9VVVVVVVVUI1wD+AA8A/wEAAQEBAgEDAEcBBQE3ATgAegBHAHoIgBsj
+P9mZmZmZmZojP9xxxxxxxxwI1wD+AA8A/wEAAQEBAgEDAEcBBQE9AT4AegBHAHoIgBsjP+AAAAAA
+AAAjP9xxxxxxxxwI1wD+AA8A/wEAAQEBAgEDAEcBBQFDAUQAegBHAHoIgBsjP+AAAAAAAAAjP+HH
+HHHHHHII1wD+AA8A/wEAAQEBAgEDAEcBBQFJAUoAegBHAHoIgBsjP+MzMzMzMzMjP+HHHHHHHHII
+1wD+AA8A/wEAAQEBAgEDAEcBBQFPAVAAegBHAHoIgBsjP+MzMzMzMzMjP+VVVVVVVVUI1wD+AA8A
+/wEAAQEBAgEDAEcBBQFVAVYAegBHAHoIgBsjP+ZmZmZmZmYjP+VVVVVVVVUI1wD+AA8A/wEAAQEB
+AgEDAEcBBQFbAVwAegBHAHoIgBsjP+ZmZmZmZmYjP+jjjjjjjjkI1wD+AA8A/wEAAQEBAgEDAEcB
+BQFhAWIAegBHAHoIgBsjP+mZmZmZmZojP+jjjjjjjjkI1wD+AA8A/wEAAQEBAgEDAEcBBQFnAWgA
+egBHAHoIgBsjP+mZmZmZmZojP+xxxxxxxxwI1wD+AA8A/wEAAQEBAgEDAEcBBQFtAW4AegBHAHoI
+gBsjP+zMzMzMzM0jP+xxxxxxxxwI1wD+AA8A/wEAAQEBAgEDAEcBBQFzAXQAegBHAHoIgBsjP+zM
+zMzMzM0jP/AAAAAAAAAI1wD+AA8A/wEAAQEBAgEDAEcBBQF0AXQAegBHAHoIgBsI0gBcAF0AaAF7
+ogBoAGTSAA4ADwF9AC6hAX6AMYAO3xAWADAAMQAyADMANAA1ADYADwA3ADgAOQA6ADsAPAA9AD4A
+PwBAAEEAQgBDAEQBgQARAEcAFwBHAEcAIwBLAEcATQBHAEcAUABHAY0AEQBUAEcARwBXAEcAVCI9
+zMzNgAIIgAgICIANCAgIgAAIIz+5mZmZmZmagAKADAgICQiADNIADgAPAZYALqEBl4AzgA7fEBcA
+MAAxADIAMwA1ADQANgAPADcAOAA5ADoAOwA8AD0APgA/AEAAQQBCAEMARADSAG4AEQBHABEARwBH
+ACMASwBHAE0ARwBXAFAARwB6ABEAVABHAFcAVwBHAFQBrIACCIACCAiADQgICYAACIACgAwICQkI
+gAyANNIADgAPAa4A/K8QGAGvAbABsQGyAbMBtAG1AbYBtwG4AbkBugG7AbwBvQG+Ab8BwAHBAcIB
+wwHEAcUBxoA1gDaAN4A4gDmAOoA7gDyAPYA+gD+AQIBBgEKAQ4BEgEWARoBHgEiASYBKgEuATIAv
+1wD+AA8A/wEAAQEBAgEDAEcBBQB6AHoAegBHAHoIgBsI1wD+AA8A/wEAAQEBAgEDAEcBBQHPAHoA
+egBHAHoIgBsjP7VVVVVVVVUI1wD+AA8A/wEAAQEBAgEDAEcBBQHUAdUAegBHAHoIgBsjP7VVVVVV
+VVUjP7dF0XRdF0YI1wD+AA8A/wEAAQEBAgEDAEcBBQHaAdsAegBHAHoIgBsjP8VVVVVVVVUjP7dF
+0XRdF0YI1wD+AA8A/wEAAQEBAgEDAEcBBQHgAeEAegBHAHoIgBsjP8VVVVVVVVUjP8dF0XRdF0YI
+1wD+AA8A/wEAAQEBAgEDAEcBBQHmAecAegBHAHoIgBsjP9AAAAAAAAAjP8dF0XRdF0YI1wD+AA8A
+/wEAAQEBAgEDAEcBBQHsAe0AegBHAHoIgBsjP9AAAAAAAAAjP9F0XRdF0XQI1wD+AA8A/wEAAQEB
+AgEDAEcBBQHyAfMAegBHAHoIgBsjP9VVVVVVVVUjP9F0XRdF0XQI1wD+AA8A/wEAAQEBAgEDAEcB
+BQH4AfkAegBHAHoIgBsjP9VVVVVVVVUjP9dF0XRdF0YI1wD+AA8A/wEAAQEBAgEDAEcBBQH+Af8A
+egBHAHoIgBsjP9qqqqqqqqsjP9dF0XRdF0YI1wD+AA8A/wEAAQEBAgEDAEcBBQIEAgUAegBHAHoI
+gBsjP9qqqqqqqqsjP90XRdF0XRcI1wD+AA8A/wEAAQEBAgEDAEcBBQIKAgsAegBHAHoIgBsjP+AA
+AAAAAAAjP90XRdF0XRcI1wD+AA8A/wEAAQEBAgEDAEcBBQIQAhEAegBHAHoIgBsjP+AAAAAAAAAj
+P+F0XRdF0XQI1wD+AA8A/wEAAQEBAgEDAEcBBQIWAhcAegBHAHoIgBsjP+KqqqqqqqsjP+F0XRdF
+0XQI1wD+AA8A/wEAAQEBAgEDAEcBBQIcAh0AegBHAHoIgBsjP+KqqqqqqqsjP+RdF0XRdF0I1wD+
+AA8A/wEAAQEBAgEDAEcBBQIiAiMAegBHAHoIgBsjP+VVVVVVVVUjP+RdF0XRdF0I1wD+AA8A/wEA
+AQEBAgEDAEcBBQIoAikAegBHAHoIgBsjP+VVVVVVVVUjP+dF0XRdF0YI1wD+AA8A/wEAAQEBAgED
+AEcBBQIuAi8AegBHAHoIgBsjP+gAAAAAAAAjP+dF0XRdF0YI1wD+AA8A/wEAAQEBAgEDAEcBBQI0
+AjUAegBHAHoIgBsjP+gAAAAAAAAjP+oui6Loui8I1wD+AA8A/wEAAQEBAgEDAEcBBQI6AjsAegBH
+AHoIgBsjP+qqqqqqqqsjP+oui6Loui8I1wD+AA8A/wEAAQEBAgEDAEcBBQJAAkEAegBHAHoIgBsj
+P+qqqqqqqqsjP+0XRdF0XRcI1wD+AA8A/wEAAQEBAgEDAEcBBQJGAkcAegBHAHoIgBsjP+1VVVVV
+VVUjP+0XRdF0XRcI1wD+AA8A/wEAAQEBAgEDAEcBBQJMAXQAegBHAHoIgBsjP+1VVVVVVVUI1wD+
+AA8A/wEAAQEBAgEDAEcBBQF0AXQAegBHAHoIgBsI0gBcAF0CUwJUXxATTlNNdXRhYmxlRGljdGlv
+bmFyeaMCUwJVAGRcTlNEaWN0aW9uYXJ5AAgAGQAiACwAMQA6AD8AUQBWAGEAYwECAQgBFQEdASgB
+LwFAAUIBRAFGAUgBSgFMAU4BUAFhAWMBZQFnAWkBawFtAW8BcQFzAXUBdwF5AXsBfQF/AYEBgwGM
+AY8BkQGTAe4CBAIJAh0CMAJEAlMCZgJ0AoACiwKYAqICrwLGAt0C5wMPAyMDOQNaA2MDaANqA2sD
+bQNuA28DcQNyA3QDdQN2A3gDeQOCA4QDhgOHA4gDiQOKA4wDlQOeA6kDsgPNA9gD8wQXBCwENgQ/
+BEgEVwReBGYEbwRyBHQEdgTRBNYE2ATZBNsE3ATdBN8E4AThBOIE5ATlBO4E8ATyBPME9AT1BPYE
++AUBBQQFBgUIBWMFaAVqBWsFbQVuBW8FcQVyBXMFdAV2BXcFgAWCBYQFhQWGBYcFiAWKBZMFlgWY
+BZoF9QX6BfwF/QX/BgAGAQYDBgQGBQYGBggGCQYSBhQGFgYXBhgGGQYaBhwGJQYoBioGLAaHBowG
+jgaPBpEGkgaTBpUGlgaXBpgGmgabBqQGpgaoBqkGqgarBqwGrga3BroGvAa+Bx0HKgcsBy0HLwcw
+BzEHMwc0BzUHNgc4BzkHOwc9Bz4HPwdAB0EHQwdFB04HeQd7B30HfweBB4MHhQeHB4kHiweNB48H
+kQeTB5UHlweZB5sHnQefB6EHowfAB8cHyQfLB88H1wfbB9wH3gffB+gH9Qf6CAcIJAglCCcIMAgx
+CE4ITwhRCFoIYwhkCIEIggiECI0IlgiXCLQItQi3CMAIyQjKCOcI6AjqCPMI/Aj9CRoJGwkdCSYJ
+LwkwCU0JTglQCVkJYgljCYAJgQmDCYwJlQmWCbMJtAm2Cb8JyAnJCeYJ5wnpCfIJ+wn8ChkKGgoc
+CiUKLgovCkwKTQpPClgKYQpiCn8KgAqCCosKlAqVCrIKswq1Cr4KxwrICuUK5groCvEK+gr7CxgL
+GQsbCyQLLQsuC0sLTAtOC1cLYAthC34LfwuBC4oLkwuUC7ELsgu0C7ULvgvDC8wLzwvRC9MMLgwz
+DDUMNgw4DDkMOgw8DD0MPgw/DEEMQgxLDE0MTwxQDFEMUgxTDFUMXgxhDGMMZQzEDMYMxwzJDMoM
+ywzNDM4MzwzQDNIM0wzVDNcM2AzZDNoM2wzdDN8M6A0bDR0NHw0hDSMNJQ0nDSkNKw0tDS8NMQ0z
+DTUNNw05DTsNPQ0/DUENQw1FDUcNSQ1LDU0Nag1rDW0Nbg2LDYwNjg2XDZgNtQ22DbgNwQ3KDcsN
+6A3pDesN9A39Df4OGw4cDh4OJw4wDjEOTg5PDlEOWg5jDmQOgQ6CDoQOjQ6WDpcOtA61DrcOwA7J
+DsoO5w7oDuoO8w78Dv0PGg8bDx0PJg8vDzAPTQ9OD1APWQ9iD2MPgA+BD4MPjA+VD5YPsw+0D7YP
+vw/ID8kP5g/nD+kP8g/7D/wQGRAaEBwQJRAuEC8QTBBNEE8QWBBhEGIQfxCAEIIQixCUEJUQshCz
+ELUQvhDHEMgQ5RDmEOgQ8RD6EPsRGBEZERsRJBEtES4RSxFMEU4RVxFgEWERfhF/EYERihGTEZQR
+sRGyEbQRvRG+EdsR3BHeEd8R6BH+EgUAAAAAAAACAgAAAAAAAAJWAAAAAAAAAAAAAAAAAAASErH2
+pPr2RxHwokTZq7B0+4lVQ3VBBAAOAAAAJAAAAAAAAAALAAAAAgAAAAIApwMAAAAAAABAAAAABwAC
+AAAANRIAAAAAgwMAAGJwbGlzdDAw1AECAwQFBgcKWCR2ZXJzaW9uWSRhcmNoaXZlclQkdG9wWCRv
+YmplY3RzEgABhqBfEA9OU0tleWVkQXJjaGl2ZXLRCAlaZGljdGlvbmFyeYABrxAgCwwXGBktMzQ3
+OzxAQUVGSktPUFRVWVpbXF1eX2BhYmhVJG51bGzTDQ4PEBMWV05TLmtleXNaTlMub2JqZWN0c1Yk
+Y2xhc3OiERKAAoADohQVgASAH4AeXxATSWRlbnRpdHlJbmRleExvb2t1cF8QFGNvbnRlbnRUYWdM
+YXlvdXROYW1l0w0ODxojFqgbHB0eHyAhIoAFgAiACoAMgA6AEIASgBSoJCUmJygpKiuAFoAXgBiA
+GYAagBuAHIAdgB7TLi8PMDEyWnV1aWRTdHJpbmddYXV0b2dlbmVyYXRlZIAGCIAHXFNtYXJ0IEtu
+b2IgNtE1NlokY2xhc3NuYW1lXxAQV3NQbHVnaW5JZGVudGl0edMuLw84MTKACQiAB1xTbWFydCBL
+bm9iIDfTLi8PPTEygAsIgAdcU21hcnQgS25vYiAx0y4vD0IxMoANCIAHXFNtYXJ0IEtub2IgONMu
+Lw9HMTKADwiAB1xTbWFydCBLbm9iIDLTLi8PTDEygBEIgAdcU21hcnQgS25vYiAz0y4vD1ExMoAT
+CIAHXFNtYXJ0IEtub2IgNNMuLw9WMTKAFQiAB1xTbWFydCBLbm9iIDUQBRAGEAAQBxABEAIQAxAE
+0jVjZGVYJGNsYXNzZXNfEBNOU011dGFibGVEaWN0aW9uYXJ5o2RmZ1xOU0RpY3Rpb25hcnlYTlNP
+YmplY3RfECNBdXRvbWF0aWMtTW9kZXJuIFN5bnRoIDggU2luZ2xlIFJvdwAIABEAGgAkACkAMgA3
+AEkATABXAFkAfACCAIkAkQCcAKMApgCoAKoArQCvALEAswDJAOAA5wDwAPIA9AD2APgA+gD8AP4B
+AAEJAQsBDQEPAREBEwEVARcBGQEbASIBLQE7AT0BPgFAAU0BUAFbAW4BdQF3AXgBegGHAY4BkAGR
+AZMBoAGnAakBqgGsAbkBwAHCAcMBxQHSAdkB2wHcAd4B6wHyAfQB9QH3AgQCCwINAg4CEAIdAh8C
+IQIjAiUCJwIpAisCLQIyAjsCUQJVAmICawAAAAAAAAIBAAAAAAAAAGkAAAAAAAAAAAAAAAAAAAKR
+sfZwPvZHEfCAszc+tOzzIk9DdUEGAA4AAAAkAAAAAQAAAP////8CAAAAAgAOAAAAAAAAACAAAAD/
+/wAAAAA1EgAAdHJucwAAAMQAAQAyAAAAAGlv9WwAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAFAAEAAAAAAAAAAAAAAAAAAAAAAAAA
+AAAAAAEAAAAACPQAAAAAAAAAAAAAAAAAAAAAAAEAAAAAEioAAAAAAAAAAAAAAAAAAAAAAAEAAAAA
+H80AAAAAAAAAAAAAAAAAAAAAAAEAAAAAdXMAAAAAAAAAAAAAAAAAAAAAYWRMRAAAAkJicGxpc3Qw
+MNQBAgMEBQYHClgkdmVyc2lvblkkYXJjaGl2ZXJUJHRvcFgkb2JqZWN0cxIAAYagXxAPTlNLZXll
+ZEFyY2hpdmVy0QgJWHJvb3REaWN0gAGvEBALDB8gISIjJCUmJygrMjM0VSRudWxs0w0ODxAXHldO
+Uy5rZXlzWk5TLm9iamVjdHNWJGNsYXNzphESExQVFoACgAOABIAFgAaAB6YYGRobHB2ACIAJgAqA
+C4ANgA6AD18QFGludGVncmF0ZWRMb3VkbmVzc1YxXlByZWZlckZpbGVOYW1lXxATZ2xvYmFsTWF4
+VHJ1ZVBlYWtWMVhNZXRhSW5mb1dWZXJzaW9uXxAadGFyZ2V0SW50ZWdyYXRlZExvdWRuZXNzVjEj
+wCv38UAAAAAII8APA3SgAAAA0g4PKSqggAzSLC0uL1okY2xhc3NuYW1lWCRjbGFzc2VzXk5TTXV0
+YWJsZUFycmF5oy4wMVdOU0FycmF5WE5TT2JqZWN0EAEjwDYAAAAAAADSLC01Nl8QE05TTXV0YWJs
+ZURpY3Rpb25hcnmjNTcxXE5TRGljdGlvbmFyeQAIABEAGgAkACkAMgA3AEkATABVAFcAagBwAHcA
+fwCKAJEAmACaAJwAngCgAKIApACrAK0ArwCxALMAtQC3ALkA0ADfAPUA/gEGASMBLAEtATYBOwE8
+AT4BQwFOAVcBZgFqAXIBewF9AYYBiwGhAaUAAAAAAAACAQAAAAAAAAA4AAAAAAAAAAAAAAAAAAAB
+smdlTW8AAABhTW5lRwEAHgAAAAAAAAD//////////wIAAAACAD0AAAAAAAAAPQAAAAAAAAAXAAAA
+kAAAAP//////////BAAAABkAAAAAAAAAeyJWZXJzaW9uIjoxLCJNYXhMYW5lIjowfQBGTExSAAAA
+8GlNQ0lnSUVOMWMzUnYKCWJWODFNajBpTUNJZ0lFTjFjM1J2YlY4MU16MGlNQ0lnSUVOMWMzUnZi
+VjgxTkQwaU1DSWdJRU4xYzNSdmJWODFOVDBpCglNQ0lnSUVOMWMzUnZiVjgxTmowaU1DSWdJRU4x
+YzNSdmJWODFOejBpTUNJZ0lFTjFjM1J2YlY4MU9EMGlNQ0lnSUVOMQoJYzNSdmJWODFPVDBpTUNJ
+Z0lFTjFjM1J2YlY4Mk1EMGlNQ0lnSUVOMWMzUnZiVjgyTVQwaU1DSWdJRU4xYzNSdmJWODIKCU1q
+MGlNQ0lnSUVOMWMzUlNTTkQAAAAA
+`;
+
+  return {
+    // Defaults
+    DEFAULT_PPQ,
+    DEFAULT_ACCUMULATE_DECAY_BEATS,
+    DEFAULT_CHROMA_WEIGHTS,
+    DEFAULT_CHORD_ALTERNATIVES,
+    DEFAULT_CONFIDENCE_THRESHOLD,
+    DEFAULT_SPLIT_BARS,
+    // Chord vocabulary
+    validateChordVocabulary,
+    buildChordVocabulary,
+    setChordVocabulary,
+    getChordVocabulary,
+    formatVocabularySummary,
+    // Parse
+    parseMidiNoteEvents,
+    parseMidiTiming,
+    listNoteSources,
+    resolveNoteSourceOptions,
+    parseChordName,
+    listEmbeddedChords,
+    parseChordChart,
+    parseIRealSongs,
+    parseIRealChart,
+    parseChordPro,
+    parseChartSongs,
+    parseMusicXml,
+    parseMusicXmlNoteEvents,
+    // Detect
+    detectMidiChords,
+    identifyChord,
+    estimateKey,
+    buildMeterMap,
+    // Encode and build the AIFF
+    getChordEncoding,
+    buildAiffFromMidi,
+    buildAiffFromChords,
+    verifyAiffOutput,
+    listMidiSections,
+    buildAiffSections,
+    buildChartMidi,
+    buildAiffFromChart,
+    // Export
+    buildMusicXml,
+    buildChordMidiFile,
+    buildChordList,
+    formatChordListCsv,
+    formatChordListLrc,
+    // Read an AIFF back
+    parseAiffChunks,
+    decodeAiffChords,
+    // Formatting and reports
+    formatNoteSource,
+    formatKeyName,
+    formatKeySummary,
+    formatMeterSummary,
+    formatBarBeat,
+    formatConfidence,
+    isLowConfidenceChord,
+    formatChordAlternatives,
+    formatChordScores,
+    formatDecodedChord,
+    formatChordEncoding,
+    formatChordSourceSummary,
+    buildChordReport,
+    // MIDI file helpers
+    writeUint32BE,
+    writeVarLen,
+    getTrimTickFromEvents
+  };
+});
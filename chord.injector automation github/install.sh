@@ -12,6 +12,9 @@ if [[ -z "${CHORD_INJECTOR_MOVED:-}" && -d "$DOWNLOADS_DIR" && "$ROOT_DIR" != "$
   else
     cp -R "$ROOT_DIR/." "$DEST_DIR/"
   fi
+  if [[ -f "$ROOT_DIR/../chord-injector-core.js" ]]; then
+    cp "$ROOT_DIR/../chord-injector-core.js" "$DEST_DIR/"
+  fi
   export CHORD_INJECTOR_MOVED=1
   exec bash "$DEST_DIR/install.sh"
 fi
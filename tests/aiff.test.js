@@ -0,0 +1,84 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { core, OPTIONS, buildChordMidi, readMidi } = require("./helpers.js");
+
+const BAR = 1920;
+
+test("a five-minute song keeps the AIFF small and its length in basc", async () => {
+  // 150 bars of C and F at the default 120 BPM.
+  const chords = Array.from({ length: 150 }, (_, index) => ({
+    tick: index * BAR,
+    notes: index % 2 ? [53, 57, 60] : [48, 52, 55],
+    length: BAR
+  }));
+  const midiInfo = readMidi(buildChordMidi(chords));
+  const detected = core.detectMidiChords(midiInfo, OPTIONS);
+  const result = await core.buildAiffFromMidi(midiInfo.midiBytes, midiInfo, detected.chords, detected.meterMap, OPTIONS);
+  assert.deepEqual(result.problems, []);
+  assert.ok(result.outputBytes.length < 1024 * 1024, result.outputBytes.length + " bytes");
+
+  const bytes = new Uint8Array(result.outputBytes);
+  const decoded = core.decodeAiffChords(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), OPTIONS);
+  assert.equal(decoded.chords.length, 150);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const bascBeats = view.getUint32(12 + 8 + 4, false);
+  assert.equal(bascBeats, 600);
+});
+
+test("the chord-track check reads each descriptor back as root, quality and bass", async () => {
+  const result = await core.buildAiffFromChart("C | F/A | G | C\n", OPTIONS);
+  assert.deepEqual(result.problems, []);
+
+  // Turn the F/A descriptor into an F minor one with the same bass.
+  const bytes = new Uint8Array(result.outputBytes);
+  const sequ = core.parseAiffChunks(bytes.buffer).find((chunk) => chunk.id === "Sequ");
+  const view = new DataView(bytes.buffer);
+  for (let offset = sequ.dataStart + 4; offset + 16 <= sequ.dataEnd; offset += 16) {
+    const code = view.getUint32(offset, false);
+    if ((view.getUint32(offset + 4, false) & 0xff) === 0xb2 && code >>> 16 === 0x9100 && (code & 0xffff) !== 0x070f) {
+      view.setUint32(offset, ((0x8900 << 16) | (code & 0xffff)) >>> 0, false);
+    }
+  }
+  const problems = core.verifyAiffOutput(bytes, result.chords, result.chart.ppq, result.midiBytes, result.meterMap);
+  assert.deepEqual(problems, ["2.1: expected F/A, read back Fm/A"]);
+});
+
+test("the AIFF keeps the template's chunks in the template's order", async () => {
+  const result = await core.buildAiffFromChart("C | F | G | C\n", OPTIONS);
+  const bytes = new Uint8Array(result.outputBytes);
+  const chunks = core.parseAiffChunks(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+  assert.deepEqual(
+    chunks.map((chunk) => chunk.id),
+    ["basc", "cate", "FLLR", "COMM", "CHAN", "LGWV", "MARK", ".mid", "Sequ", "CHSV", "trns", "adLD", "geMo", "FLLR", "SSND"]
+  );
+  const sizes = Object.fromEntries(chunks.filter((chunk) => chunk.id !== "FLLR").map((chunk) => [chunk.id, chunk.size]));
+  assert.deepEqual(
+    [sizes.cate, sizes.CHAN, sizes.LGWV, sizes.MARK, sizes.CHSV, sizes.trns, sizes.adLD, sizes.geMo],
+    [272, 32, 244, 30, 364384, 196, 578, 97]
+  );
+  // LGWV starts with the audio's frame count, like COMM.
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const frameCount = (id) => view.getUint32(chunks.find((chunk) => chunk.id === id).dataStart + (id === "COMM" ? 2 : 0), false);
+  assert.equal(frameCount("LGWV"), frameCount("COMM"));
+});
+
+test("a section replays only the last controller value from before its start", async () => {
+  const chords = [[48, 52, 55], [53, 57, 60], [55, 59, 62], [48, 52, 55]].map((notes, index) => ({
+    tick: index * BAR,
+    notes,
+    length: BAR
+  }));
+  const pedal = (tick, value) => ({ tick, bytes: [0xb0, 64, value] });
+  const lyric = { tick: BAR, bytes: [0xff, 0x05, 2, 0x6c, 0x61] };
+  const midiInfo = readMidi(buildChordMidi(chords, 480, [pedal(0, 127), pedal(960, 0), pedal(1440, 127), pedal(2400, 0), lyric]));
+  const detected = core.detectMidiChords(midiInfo, OPTIONS);
+  const options = { ...OPTIONS, splitMode: "bars", splitBars: 2, preserveOriginal: true };
+  const sections = await core.buildAiffSections(midiInfo.midiBytes, midiInfo, detected.chords, detected.meterMap, options);
+  const bytes = new Uint8Array(sections[1].outputBytes);
+  const embedded = core.decodeAiffChords(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), OPTIONS).midiBytes;
+  const section = readMidi(embedded);
+  assert.deepEqual(section.pedalEvents, [{ tick: 0, channel: 0, controller: 64, value: 0 }]);
+  assert.deepEqual(section.textEvents, []);
+});
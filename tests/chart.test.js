@@ -0,0 +1,46 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { core, OPTIONS, readMidi } = require("./helpers.js");
+
+const encode = (name) => {
+  const { parsed, encodedName } = core.getChordEncoding(name);
+  return { root: parsed.rootPc, quality: parsed.quality, encodedName };
+};
+
+test("chart symbols past Logic's qualities encode as their closest chord", async () => {
+  const [song] = core.parseChartSongs("Cmaj9 | C7sus | C69 | Ebmaj13 | Gsus\n", "chart.txt");
+  assert.deepEqual(song.chart.chords.map((chord) => encode(chord.name)), [
+    { root: 0, quality: "maj7(9)", encodedName: "Cmaj7(9)" },
+    { root: 0, quality: "7", encodedName: "C7" },
+    { root: 0, quality: "6", encodedName: "C6" },
+    { root: 3, quality: "maj7", encodedName: "Ebmaj7" },
+    { root: 7, quality: "sus4", encodedName: "Gsus4" }
+  ]);
+
+  // The block chords under the chart play the same chords.
+  const result = await core.buildAiffFromChart(song.chart, OPTIONS);
+  const { noteEvents } = readMidi(result.midiBytes);
+  const pitchClasses = (tick) =>
+    Array.from(new Set(noteEvents.filter((event) => event.on && event.tick === tick).map((event) => event.note % 12))).sort(
+      (a, b) => a - b
+    );
+  assert.deepEqual(pitchClasses(song.chart.chords[0].tick), [0, 2, 4, 7, 11]);
+  assert.deepEqual(pitchClasses(song.chart.chords[2].tick), [0, 4, 7, 9]);
+});
+
+test("iReal Pro qualities encode as their closest chord", () => {
+  const music = "[T44C^9 |C7sus |C69 |Csus |C^ |C-^7 |Ch7 |C9sus Z";
+  const [song] = core.parseChartSongs("irealbook://" + encodeURIComponent("Song=Composer=Medium Swing=C=n=" + music), "song.html");
+  const encodings = song.chart.chords.map((chord) => core.getChordEncoding(chord.name));
+  assert.deepEqual(
+    encodings.map((encoding) => encoding.parsed.quality),
+    ["maj7(9)", "7", "6", "sus4", "maj7", "mmaj7", "m7", "7(9)sus4"]
+  );
+  // ^9, sus and 9sus are the same chords Logic knows; 7sus, 69 and h7 lose a tone.
+  assert.deepEqual(
+    encodings.map((encoding) => encoding.downgraded),
+    [false, true, true, false, false, false, true, false]
+  );
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync, spawn } = require("child_process");
+const { buildChordMidi } = require("./helpers.js");
+
+const SCRIPT = path.join(__dirname, "..", "chord.injector automation github", "process-midi.js");
+const BAR = 1920;
+const progression = (chords) => chords.map((notes, index) => ({ tick: index * BAR, notes, length: BAR }));
+const SONG = buildChordMidi(progression([[48, 52, 55], [53, 57, 60], [55, 59, 62], [48, 52, 55]]));
+
+function withTempDir(run) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chord-injector-"));
+  try {
+    run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function runCli(args) {
+  return execFileSync(process.execPath, [SCRIPT, ...args], { encoding: "utf8", timeout: 60000 });
+}
+
+test("-o renames every file of a split input's one section after the AIFF", () => {
+  withTempDir((dir) => {
+    const input = path.join(dir, "song.mid");
+    fs.writeFileSync(input, SONG);
+    const outFile = path.join(dir, "out", "take.aif");
+    runCli(["convert", input, "-o", outFile, "--split-mode", "bars", "--write-midi", "--chord-list-formats", "csv"]);
+    assert.deepEqual(fs.readdirSync(path.dirname(outFile)).sort(), [
+      "take.aif",
+      "take.csv",
+      "take.mid",
+      "take.report.json"
+    ]);
+  });
+});
+
+test("a batch without -o doesn't read its own output files on the next run", () => {
+  withTempDir((dir) => {
+    fs.writeFileSync(path.join(dir, "song.mid"), SONG);
+    const args = ["batch", dir, "--write-midi", "--music-xml-part", "chords", "--json"];
+    runCli(args);
+    const firstRun = fs.readdirSync(dir).sort();
+    const results = JSON.parse(runCli(args));
+    assert.deepEqual(results.map((result) => path.basename(result.input)), ["song.mid"]);
+    assert.deepEqual(fs.readdirSync(dir).sort(), firstRun);
+  });
+});
+
+test("a sidecar with an unknown option value names the file and the option", () => {
+  withTempDir((dir) => {
+    const input = path.join(dir, "song.mid");
+    fs.writeFileSync(input, SONG);
+    fs.writeFileSync(path.join(dir, "song.chords.json"), JSON.stringify({ gridSnap: "bars", chordListFormats: ["csv", "pdf"] }));
+    assert.throws(
+      () => execFileSync(process.execPath, [SCRIPT, "convert", input], { encoding: "utf8", timeout: 60000, stdio: "pipe" }),
+      (err) =>
+        err.stderr.includes("Invalid options in song.chords.json") &&
+        err.stderr.includes('"gridSnap" must be "off", "bar", "half" or "beat", not "bars".') &&
+        err.stderr.includes('"chordListFormats" must be a list of "json", "csv" or "lrc", not ["csv","pdf"].')
+    );
+    assert.deepEqual(fs.readdirSync(dir).sort(), ["song.chords.json", "song.mid"]);
+  });
+});
+
+// Starts the watcher on dir and resolves with its first --json result.
+function watchOnce(dir) {
+  return new Promise((resolve, reject) => {
+    const watcher = spawn(process.execPath, [SCRIPT, "watch", dir, "--json"], { stdio: ["ignore", "pipe", "ignore"] });
+    const timer = setTimeout(() => watcher.kill(), 60000);
+    let output = "";
+    watcher.stdout.on("data", (data) => {
+      output += data;
+      const line = output.split("\n").find((text) => text.startsWith("{"));
+      if (line) watcher.kill();
+    });
+    watcher.on("exit", () => {
+      clearTimeout(timer);
+      const line = output.split("\n").find((text) => text.startsWith("{"));
+      line ? resolve(JSON.parse(line)) : reject(new Error("the watcher wrote no result"));
+    });
+  });
+}
+
+test("the watcher moves a file's sidecar out of the Inbox with it", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chord-injector-"));
+  try {
+    const inbox = path.join(dir, "Inbox");
+    fs.mkdirSync(inbox);
+    fs.writeFileSync(path.join(inbox, "song.mid"), SONG);
+    fs.writeFileSync(path.join(inbox, "song.chords.json"), JSON.stringify({ preferFlats: false }));
+    const result = await watchOnce(dir);
+    assert.equal(result.ok, true);
+    assert.deepEqual(fs.readdirSync(inbox), []);
+    assert.ok(fs.readdirSync(path.join(dir, "Outbox")).includes("song.chords.json"));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,29 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { core, OPTIONS, buildChordMidi, readMidi } = require("./helpers.js");
+
+const BAR = 1920;
+const progression = (chords) => chords.map((notes, index) => ({ tick: index * BAR, notes, length: BAR }));
+const detectChords = (chords) => core.detectMidiChords(readMidi(buildChordMidi(progression(chords))), OPTIONS).chords;
+
+test("an unambiguous progression has no low-confidence chords", () => {
+  const sevenths = detectChords([[57, 60, 64, 67], [50, 53, 57, 60], [43, 53, 59, 62], [48, 52, 55, 59]]);
+  assert.deepEqual(sevenths.map((chord) => chord.name), ["Am7", "Dm7", "G7", "Cmaj7"]);
+  assert.deepEqual(sevenths.filter((chord) => core.isLowConfidenceChord(chord, OPTIONS)), []);
+  const triads = detectChords([[48, 52, 55], [53, 57, 60], [55, 59, 62], [48, 52, 55]]);
+  assert.deepEqual(triads.filter((chord) => core.isLowConfidenceChord(chord, OPTIONS)), []);
+});
+
+test("another spelling of the same notes shares the chord's confidence", () => {
+  const [chord] = detectChords([[57, 60, 64, 67]]);
+  const spelling = chord.scores.find((candidate) => candidate.name === "C6/A");
+  assert.ok(spelling);
+  assert.equal(spelling.confidence, chord.confidence);
+});
+
+test("a chord with competing readings is still flagged", () => {
+  const [chord] = detectChords([[50, 55, 59, 60]]);
+  assert.ok(core.isLowConfidenceChord(chord, OPTIONS));
+});
@@ -0,0 +1,20 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { OPTIONS, detectChordNames } = require("./helpers.js");
+
+const BAR = 1920;
+const progression = (chords) => chords.map((notes, index) => ({ tick: index * BAR, notes, length: BAR }));
+
+test("a common tone struck again keeps its weight in the next chord", () => {
+  // A4 (69) ends and is struck again at each change.
+  const chords = progression([[62, 66, 69], [61, 64, 67, 69], [62, 66, 69], [61, 64, 67, 69]]);
+  assert.deepEqual(detectChordNames(chords), ["D", "A7/C#", "D", "A7/C#"]);
+  assert.deepEqual(detectChordNames(progression([[66, 69, 73], [61, 64, 67, 69]])), ["F#m", "A7/C#"]);
+});
+
+test("G7 to C with the common tone G struck again", () => {
+  const chords = progression([[55, 59, 62, 65], [55, 60, 64]]);
+  assert.deepEqual(detectChordNames(chords, { ...OPTIONS, useSlash: false }), ["G7", "C"]);
+});
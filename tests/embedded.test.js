@@ -0,0 +1,39 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { core, OPTIONS } = require("./helpers.js");
+
+const listEmbedded = (texts) =>
+  core.listEmbeddedChords({
+    textEvents: texts.map((text, index) => ({ tick: index * 1920, track: 0, type: "xf", text })),
+    markers: []
+  });
+
+test("embedded symbols keep the name they were written with", () => {
+  const names = ["Cmaj9", "Ebmaj13", "G7sus4", "G7(13)/B", "F6(9)", "Cmaj7", "C7(b9)", "Cm7/G"];
+  assert.deepEqual(listEmbedded(names).map((chord) => chord.name), names);
+});
+
+test("embedded symbols past Logic's qualities encode as their closest chord", () => {
+  const encoded = (name) => core.getChordEncoding(name).encodedName;
+  assert.equal(encoded("Cmaj9"), "Cmaj7(9)");
+  assert.equal(encoded("Ebmaj13"), "Ebmaj7");
+  assert.equal(encoded("G7sus4"), "G7");
+  assert.equal(encoded("G7(13)/B"), "G7/B");
+  assert.equal(encoded("F6(9)"), "F6");
+  assert.equal(encoded("F69"), "F6");
+  ["Cmaj7", "Cmaj7(9)", "C7(b9)", "C7(9)sus4", "Cm7/G"].forEach((name) => assert.equal(encoded(name), name));
+});
+
+test("the report flags an embedded Cmaj13 as downgraded", () => {
+  const chords = listEmbedded(["Cmaj13", "F"]);
+  const meterMap = core.buildMeterMap([], core.DEFAULT_PPQ);
+  const report = core.buildChordReport("song.mid", "song.chords.aif", chords, null, meterMap, OPTIONS);
+  assert.equal(report.downgradedCount, 1);
+  assert.deepEqual(
+    { name: report.chords[0].name, encoded: report.chords[0].encoded, downgraded: report.chords[0].downgraded },
+    { name: "Cmaj13", encoded: "Cmaj7", downgraded: true }
+  );
+  assert.match(report.chords[0].downgradeReason, /"maj13" is not a quality Logic knows, read as maj7/);
+});
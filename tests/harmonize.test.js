@@ -0,0 +1,26 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { OPTIONS, detectChordNames } = require("./helpers.js");
+
+const melody = (notes, length) => notes.map((note, index) => ({ tick: index * length, notes: [note], length }));
+
+test("a scale melody over four bars gets more than one chord", () => {
+  // C D | E F | G A | B C in half notes, one chord per bar.
+  const names = detectChordNames(melody([60, 62, 64, 65, 67, 69, 71, 72], 960), { ...OPTIONS, harmonize: "always" });
+  assert.ok(names.length > 1, names.join(" "));
+  assert.equal(names[0], "C");
+  assert.equal(names[names.length - 1], "C");
+  assert.ok(names.includes("G"), names.join(" "));
+});
+
+test("a harmonised melody starts and ends on the tonic chord", () => {
+  const names = detectChordNames(melody([60, 64, 67, 65, 64, 62, 60, 59, 60, 62, 64, 65, 67, 65, 64, 60], 480), {
+    ...OPTIONS,
+    harmonize: "always"
+  });
+  assert.ok(names.length > 1, names.join(" "));
+  assert.equal(names[0], "C");
+  assert.equal(names[names.length - 1], "C");
+});
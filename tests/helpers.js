@@ -0,0 +1,76 @@
+"use strict";
+
+const core = require("../chord-injector-core.js");
+
+// The watcher's default OPTIONS, for calls into the core.
+const OPTIONS = {
+  minNotes: 3,
+  ignoreDrums: true,
+  preferFlats: true,
+  useSlash: true,
+  allowExtensions: true,
+  chordSource: "embedded",
+  detectionMode: "greedy",
+  harmonize: "auto",
+  harmonizeSpan: "bar",
+  gridSnap: "off",
+  usePedals: true,
+  accumulateSpan: "off",
+  accumulateDecayBeats: 2,
+  chromaWeights: { ...core.DEFAULT_CHROMA_WEIGHTS },
+  alternativeCount: 3,
+  confidenceThreshold: core.DEFAULT_CONFIDENCE_THRESHOLD,
+  harmonyTracks: "",
+  bassTrack: "",
+  spellForKey: true,
+  emitNC: false,
+  chordWindowFactor: 1,
+  trimLeading: true,
+  preserveOriginal: false,
+  gateToNext: true
+};
+
+function writeVarLen(value) {
+  const bytes = [value & 0x7f];
+  for (let rest = value >>> 7; rest; rest >>>= 7) bytes.unshift((rest & 0x7f) | 0x80);
+  return bytes;
+}
+
+// A format 0 MIDI file of block chords: [{ tick, notes, length }], each note off before the
+// next note on at the same tick, as DAWs write them. Other events ({ tick, bytes }, status byte
+// first) go before the notes at their tick.
+function buildChordMidi(chords, ppq = 480, otherEvents = []) {
+  const events = otherEvents.map((event) => ({ ...event, order: -1 }));
+  chords.forEach((chord) => {
+    chord.notes.forEach((note) => {
+      events.push({ tick: chord.tick, order: 1, bytes: [0x90, note, 90] });
+      events.push({ tick: chord.tick + chord.length, order: 0, bytes: [0x80, note, 0] });
+    });
+  });
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+  const body = [];
+  let lastTick = 0;
+  events.forEach((event) => {
+    body.push(...writeVarLen(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  body.push(0, 0xff, 0x2f, 0);
+  const length = body.length;
+  return Uint8Array.from([
+    0x4d, 0x54, 0x68, 0x64, 0, 0, 0, 6, 0, 0, 0, 1, (ppq >> 8) & 0xff, ppq & 0xff,
+    0x4d, 0x54, 0x72, 0x6b, (length >>> 24) & 0xff, (length >>> 16) & 0xff, (length >>> 8) & 0xff, length & 0xff,
+    ...body
+  ]);
+}
+
+function readMidi(midiBytes, options = OPTIONS) {
+  const buffer = midiBytes.buffer.slice(midiBytes.byteOffset, midiBytes.byteOffset + midiBytes.byteLength);
+  return { ...core.parseMidiNoteEvents(buffer, options), midiBytes };
+}
+
+function detectChordNames(chords, options = OPTIONS) {
+  const midiInfo = readMidi(buildChordMidi(chords), options);
+  return core.detectMidiChords(midiInfo, options).chords.map((chord) => chord.name);
+}
+
+module.exports = { core, OPTIONS, buildChordMidi, readMidi, detectChordNames };
@@ -0,0 +1,47 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { core, OPTIONS, buildChordMidi, readMidi, detectChordNames } = require("./helpers.js");
+
+const BAR = 1920;
+const progression = (chords) => chords.map((notes, index) => ({ tick: index * BAR, notes, length: BAR }));
+const estimateKeyName = (chords) => {
+  const midiInfo = readMidi(buildChordMidi(progression(chords)));
+  return core.formatKeySummary(core.estimateKey(midiInfo.noteEvents, midiInfo.ppq), true);
+};
+
+test("D / A7 with the common tone struck again is in D major", () => {
+  const chords = [[62, 66, 69], [61, 64, 67, 69], [62, 66, 69], [61, 64, 67, 69]];
+  assert.equal(estimateKeyName(chords), "D major");
+  assert.deepEqual(detectChordNames(progression(chords), { ...OPTIONS, useSlash: false }), ["D", "A7", "D", "A7"]);
+});
+
+test("repeated notes don't move the key of ordinary progressions", () => {
+  const C = [48, 52, 55];
+  const F = [53, 57, 60];
+  const Am = [57, 60, 64];
+  assert.equal(estimateKeyName([C, F, [43, 55, 59, 62, 65], C]), "C major");
+  assert.equal(estimateKeyName([C, Am, F, [55, 59, 62]]), "C major");
+  assert.equal(estimateKeyName([Am, [50, 53, 57], [52, 56, 59, 62], Am]), "A minor");
+  assert.equal(estimateKeyName([[58, 62, 65], [51, 55, 58], [53, 57, 60, 63], [58, 62, 65]]), "Bb major");
+});
+
+test("roots and slash basses are spelled by the key's scale degrees", () => {
+  const Am = [57, 60, 64];
+  assert.deepEqual(detectChordNames(progression([Am, [50, 53, 57], [56, 59, 64], Am]), OPTIONS), ["Am", "Dm", "E/G#", "Am"]);
+  const C = [48, 52, 55];
+  assert.deepEqual(detectChordNames(progression([C, [42, 50, 57, 60], [43, 55, 59, 62], C]), OPTIONS), ["C", "D7/F#", "G", "C"]);
+});
+
+test("key changes in 3/4 start on the song's own barlines", () => {
+  const [C, F, G, Eb, Ab, Bb] = [[48, 52, 55], [53, 57, 60], [55, 59, 62], [51, 55, 58], [56, 60, 63], [58, 62, 65]];
+  const chords = [C, F, G, C, C, F, G, C, Eb, Ab, Bb, Eb, Eb, Ab, Bb, Eb];
+  const midiInfo = readMidi(buildChordMidi(chords.map((notes, index) => ({ tick: index * 1440, notes, length: 1440 }))));
+  midiInfo.timeSignatures = [{ tick: 0, numerator: 3, denominator: 4 }];
+  const { keyInfo, meterMap } = core.detectMidiChords(midiInfo, OPTIONS);
+  const change = keyInfo.segments[1];
+  assert.equal(core.formatKeyName(change.key, true), "Eb major");
+  assert.equal(change.tick, (change.bar - 1) * 1440);
+  assert.equal(core.formatBarBeat(meterMap, change.tick), change.bar + ".1");
+});